@@ -57,21 +57,31 @@ app.use('/api/v1/store-services', require('./routes/storeServices')); // Legacy
 app.use('/api/v1/online-store-orders', require('./routes/onlineStoreOrders')); // Online store order management
 app.use('/api/v1/tax', require('./routes/tax')); // Tax information and calculation
 app.use('/api/v1/pos', require('./routes/pos')); // POS system with barcode scanning
+app.use('/api/v1/cash-drawers', require('./routes/cashDrawers')); // POS till sessions and Z-reports
 app.use('/api/v1/staff', require('./routes/staff')); // Staff management
 app.use('/api/v1/roles', require('./routes/roles')); // Role and permission management
 app.use('/api/v1/suppliers', require('./routes/suppliers')); // Supplier management
 app.use('/api/v1/purchase-orders', require('./routes/purchaseOrders')); // Purchase order management
+app.use('/api/v1/supplier-bills', require('./routes/supplierBills')); // Supplier bills, payments and aged payables
+app.use('/api/v1/stock-transfers', require('./routes/stockTransfers')); // Stock transfers between stores
 app.use('/api/v1/menus', require('./routes/menus')); // Menu management (restaurants)
+app.use('/api/v1/restaurant', require('./routes/restaurant')); // Tables, tabs and kitchen display (restaurants)
 app.use('/api/v1/product-bundles', require('./routes/productBundles')); // Product bundle management
 app.use('/api/v1/expiry', require('./routes/expiry')); // Expiry date tracking
+app.use('/api/v1/prescriptions', require('./routes/prescriptions')); // Prescription management (pharmacies)
 app.use('/api/v1/features', require('./routes/features')); // Business category features
 app.use('/api/v1/receipts', require('./routes/receipts')); // Receipt printing
 app.use('/api/v1/licenses', require('./routes/licenses')); // License key management (admin only)
 app.use('/api/v1/meta-connection', require('./routes/metaConnection')); // Meta account connection
+app.use('/api/v1/shifts', require('./routes/staffShifts')); // Staff shift scheduling and rota
 app.use('/api/v1/attendance', require('./routes/attendance')); // Staff attendance/clock-in system
+app.use('/api/v1/payroll', require('./routes/payroll')); // Pay rates, timesheets and payroll exports
+app.use('/api/v1/commissions', require('./routes/commissions')); // Staff sales and service commissions
+app.use('/api/v1/service-packages', require('./routes/servicePackages')); // Prepaid service packages and memberships
 app.use('/api/v1/staff-analytics', require('./routes/staffAnalytics')); // Staff analytics and insights
 app.use('/api/v1/reports', require('./routes/reports')); // Reports and analytics
 app.use('/api/v1/loyalty', require('./routes/loyalty')); // Loyalty program
+app.use('/api/v1/promotions', require('./routes/promotions')); // Discount codes and promotions
 app.use('/api/v1/platform-admin', require('./routes/platformAdmin')); // Platform admin (Mycroshop owners)
 app.use('/api/v1/payment-gateways', require('./routes/paymentGateways')); // Payment gateway configuration
 app.use('/api/v1/payments', require('./routes/payments')); // Payment processing
@@ -92,6 +102,9 @@ app.use('/api/v1/public-checkout', require('./routes/publicCheckout'));
 // Public booking routes (no authentication required - for customers)
 app.use('/api/v1/public-bookings', require('./routes/publicBookings'));
 
+// Public invoice routes (signed payment links - no authentication required)
+app.use('/api/v1/public-invoices', require('./routes/publicInvoices'));
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -119,6 +132,15 @@ const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Daily overdue detection and invoice payment reminders
+  require('./services/invoiceReminderService').startInvoiceReminderScheduler();
+
+  // Booking reminders (email / WhatsApp) before appointments
+  require('./services/bookingReminderService').startBookingReminderScheduler();
+
+  // Release bookings whose deposit / prepayment was never completed
+  require('./services/bookingPaymentService').startBookingHoldReleaseScheduler();
 });
 
 module.exports = app;
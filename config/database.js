@@ -274,6 +274,7 @@ async function runTenantMigrations(connection, isSharedDb = false) {
       product_id INT NOT NULL,
       store_id INT NOT NULL,
       stock INT DEFAULT 0,
+      reserved_quantity INT DEFAULT 0,
       price_override DECIMAL(10, 2),
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       ${productStoreTenantIndex}
@@ -285,6 +286,27 @@ async function runTenantMigrations(connection, isSharedDb = false) {
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
   `);
 
+  // Add reserved_quantity column to product_stores if it doesn't exist (migration)
+  try {
+    const [reservedColumns] = await connection.query(`
+      SELECT COLUMN_NAME
+      FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'product_stores'
+      AND COLUMN_NAME = 'reserved_quantity'
+    `);
+
+    if (reservedColumns.length === 0) {
+      await connection.query(`
+        ALTER TABLE product_stores
+        ADD COLUMN reserved_quantity INT DEFAULT 0 AFTER stock
+      `);
+      console.log('✅ reserved_quantity column added to product_stores table');
+    }
+  } catch (alterError) {
+    console.warn('Could not add reserved_quantity column to product_stores:', alterError.message);
+  }
+
   // Customers table
   const customerTenantId = isSharedDb ? 'tenant_id INT NOT NULL,' : '';
   const customerTenantIndex = isSharedDb ? 'INDEX idx_tenant_id (tenant_id),' : '';
@@ -331,9 +353,12 @@ async function runTenantMigrations(connection, isSharedDb = false) {
       tax_calculation_method VARCHAR(50),
       discount_amount DECIMAL(10, 2) DEFAULT 0.00,
       total DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
-      status ENUM('draft', 'sent', 'paid', 'overdue', 'cancelled') DEFAULT 'draft',
+      amount_paid DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+      balance_due DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+      status ENUM('draft', 'sent', 'partially_paid', 'paid', 'overdue', 'cancelled') DEFAULT 'draft',
       payment_method VARCHAR(50),
       payment_date DATE,
+      reminders_enabled BOOLEAN DEFAULT TRUE,
       notes TEXT,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -572,6 +597,12 @@ async function runTenantMigrations(connection, isSharedDb = false) {
       duration_minutes INT DEFAULT 30,
       location_type ENUM('in_person', 'online', 'both') DEFAULT 'in_person',
       availability JSON,
+      payment_requirement ENUM('none', 'deposit', 'full') DEFAULT 'none',
+      deposit_type ENUM('percentage', 'fixed') DEFAULT 'percentage',
+      deposit_value DECIMAL(10, 2) DEFAULT 0.00,
+      cancellation_fee_type ENUM('none', 'percentage', 'fixed') DEFAULT 'none',
+      cancellation_fee_value DECIMAL(10, 2) DEFAULT 0.00,
+      cancellation_fee_window_hours INT DEFAULT 24,
       is_active BOOLEAN DEFAULT TRUE,
       sort_order INT DEFAULT 1,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -627,8 +658,21 @@ async function runTenantMigrations(connection, isSharedDb = false) {
       location_type ENUM('in_person', 'online', 'both') DEFAULT 'in_person',
       meeting_link VARCHAR(500),
       staff_name VARCHAR(255),
+      staff_id INT NULL,
+      resource_id INT NULL,
       status ENUM('pending', 'confirmed', 'completed', 'cancelled', 'no_show') DEFAULT 'pending',
       cancellation_reason TEXT,
+      reschedule_count INT DEFAULT 0,
+      payment_status ENUM('not_required', 'awaiting_payment', 'deposit_paid', 'paid', 'refund_due', 'refunded') DEFAULT 'not_required',
+      payment_required_amount DECIMAL(10, 2) DEFAULT 0.00,
+      amount_paid DECIMAL(10, 2) DEFAULT 0.00,
+      payment_transaction_id INT NULL,
+      payment_hold_expires_at DATETIME NULL,
+      cancellation_fee DECIMAL(10, 2) DEFAULT 0.00,
+      refund_amount DECIMAL(10, 2) DEFAULT 0.00,
+      series_id INT NULL,
+      customer_package_id INT NULL,
+      package_redeemed_at DATETIME NULL,
       notes TEXT,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -640,10 +684,310 @@ async function runTenantMigrations(connection, isSharedDb = false) {
       INDEX idx_service_id (service_id),
       INDEX idx_customer_id (customer_id),
       INDEX idx_scheduled_at (scheduled_at),
+      INDEX idx_status (status),
+      INDEX idx_staff_id (staff_id),
+      INDEX idx_payment_hold (payment_status, payment_hold_expires_at),
+      INDEX idx_series_id (series_id),
+      INDEX idx_customer_package_id (customer_package_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Add staff_id and resource_id columns to bookings if they don't exist (migration)
+  // No foreign keys: staff and bookable resources only exist in enterprise databases
+  try {
+    const [bookingAssignmentColumns] = await connection.query(`
+      SELECT COLUMN_NAME
+      FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'bookings'
+      AND COLUMN_NAME IN ('staff_id', 'resource_id')
+    `);
+    const existingAssignmentColumns = bookingAssignmentColumns.map(col => col.COLUMN_NAME);
+
+    if (!existingAssignmentColumns.includes('staff_id')) {
+      await connection.query(`
+        ALTER TABLE bookings
+        ADD COLUMN staff_id INT NULL AFTER staff_name,
+        ADD INDEX idx_staff_id (staff_id)
+      `);
+      console.log('✅ staff_id column added to bookings table');
+    }
+
+    if (!existingAssignmentColumns.includes('resource_id')) {
+      await connection.query(`
+        ALTER TABLE bookings
+        ADD COLUMN resource_id INT NULL AFTER staff_id
+      `);
+      console.log('✅ resource_id column added to bookings table');
+    }
+  } catch (alterError) {
+    console.warn('Could not add staff_id/resource_id columns to bookings:', alterError.message);
+  }
+
+  // Add reschedule_count column to bookings if it doesn't exist (migration)
+  try {
+    const [rescheduleColumns] = await connection.query(`
+      SELECT COLUMN_NAME
+      FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'bookings'
+      AND COLUMN_NAME = 'reschedule_count'
+    `);
+
+    if (rescheduleColumns.length === 0) {
+      await connection.query(`
+        ALTER TABLE bookings
+        ADD COLUMN reschedule_count INT DEFAULT 0 AFTER cancellation_reason
+      `);
+      console.log('✅ reschedule_count column added to bookings table');
+    }
+  } catch (alterError) {
+    console.warn('Could not add reschedule_count column to bookings:', alterError.message);
+  }
+
+  // Add deposit / prepayment and cancellation fee columns to services and bookings (migration)
+  try {
+    const bookingPaymentColumns = [
+      { table: 'store_services', column: 'payment_requirement', definition: "ENUM('none', 'deposit', 'full') DEFAULT 'none' AFTER availability" },
+      { table: 'store_services', column: 'deposit_type', definition: "ENUM('percentage', 'fixed') DEFAULT 'percentage' AFTER payment_requirement" },
+      { table: 'store_services', column: 'deposit_value', definition: 'DECIMAL(10, 2) DEFAULT 0.00 AFTER deposit_type' },
+      { table: 'store_services', column: 'cancellation_fee_type', definition: "ENUM('none', 'percentage', 'fixed') DEFAULT 'none' AFTER deposit_value" },
+      { table: 'store_services', column: 'cancellation_fee_value', definition: 'DECIMAL(10, 2) DEFAULT 0.00 AFTER cancellation_fee_type' },
+      { table: 'store_services', column: 'cancellation_fee_window_hours', definition: 'INT DEFAULT 24 AFTER cancellation_fee_value' },
+      { table: 'bookings', column: 'payment_status', definition: "ENUM('not_required', 'awaiting_payment', 'deposit_paid', 'paid', 'refund_due', 'refunded') DEFAULT 'not_required' AFTER reschedule_count" },
+      { table: 'bookings', column: 'payment_required_amount', definition: 'DECIMAL(10, 2) DEFAULT 0.00 AFTER payment_status' },
+      { table: 'bookings', column: 'amount_paid', definition: 'DECIMAL(10, 2) DEFAULT 0.00 AFTER payment_required_amount' },
+      { table: 'bookings', column: 'payment_transaction_id', definition: 'INT NULL AFTER amount_paid' },
+      { table: 'bookings', column: 'payment_hold_expires_at', definition: 'DATETIME NULL AFTER payment_transaction_id' },
+      { table: 'bookings', column: 'cancellation_fee', definition: 'DECIMAL(10, 2) DEFAULT 0.00 AFTER payment_hold_expires_at' },
+      { table: 'bookings', column: 'refund_amount', definition: 'DECIMAL(10, 2) DEFAULT 0.00 AFTER cancellation_fee' },
+      { table: 'bookings', column: 'series_id', definition: 'INT NULL AFTER refund_amount, ADD INDEX idx_series_id (series_id)' },
+      { table: 'bookings', column: 'customer_package_id', definition: 'INT NULL AFTER series_id, ADD INDEX idx_customer_package_id (customer_package_id)' },
+      { table: 'bookings', column: 'package_redeemed_at', definition: 'DATETIME NULL AFTER customer_package_id' }
+    ];
+
+    for (const { table, column, definition } of bookingPaymentColumns) {
+      const [existing] = await connection.query(`
+        SELECT COLUMN_NAME
+        FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE()
+        AND TABLE_NAME = ?
+        AND COLUMN_NAME = ?
+      `, [table, column]);
+
+      if (existing.length === 0) {
+        await connection.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        console.log(`✅ ${column} column added to ${table} table`);
+      }
+    }
+  } catch (alterError) {
+    console.warn('Could not add booking payment columns:', alterError.message);
+  }
+
+  // Booking Series table (recurring appointments - each occurrence is a booking with series_id)
+  const bookingSeriesTenantId = isSharedDb ? 'tenant_id INT NOT NULL,' : '';
+  const bookingSeriesTenantIndex = isSharedDb ? 'INDEX idx_tenant_id (tenant_id),' : '';
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS booking_series (
+      ${bookingSeriesTenantId}
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      store_id INT,
+      service_id INT,
+      customer_id INT,
+      frequency ENUM('weekly') NOT NULL DEFAULT 'weekly',
+      interval_weeks INT NOT NULL DEFAULT 1,
+      starts_at DATETIME NOT NULL,
+      end_date DATE NULL,
+      occurrence_count INT NULL,
+      staff_id INT NULL,
+      customer_package_id INT NULL,
+      status ENUM('active', 'cancelled') DEFAULT 'active',
+      created_by INT NULL,
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      ${bookingSeriesTenantIndex}
+      FOREIGN KEY (store_id) REFERENCES stores(id) ON DELETE SET NULL,
+      FOREIGN KEY (service_id) REFERENCES store_services(id) ON DELETE SET NULL,
+      FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL,
+      INDEX idx_store_id (store_id),
+      INDEX idx_customer_id (customer_id),
       INDEX idx_status (status)
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
   `);
 
+  // Service Packages table (session bundles and memberships sold to customers)
+  const servicePackageTenantId = isSharedDb ? 'tenant_id INT NOT NULL,' : '';
+  const servicePackageTenantIndex = isSharedDb ? 'INDEX idx_tenant_id (tenant_id),' : '';
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS service_packages (
+      ${servicePackageTenantId}
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      store_id INT NULL,
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      package_type ENUM('sessions', 'membership') NOT NULL DEFAULT 'sessions',
+      session_count INT NULL COMMENT 'NULL = unlimited sessions (memberships)',
+      validity_days INT NULL COMMENT 'NULL = never expires',
+      price DECIMAL(10, 2) DEFAULT 0.00,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      ${servicePackageTenantIndex}
+      FOREIGN KEY (store_id) REFERENCES stores(id) ON DELETE SET NULL,
+      INDEX idx_store_id (store_id),
+      INDEX idx_is_active (is_active)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Service Package Services table (services a package's sessions can be used for)
+  const servicePackageServiceTenantId = isSharedDb ? 'tenant_id INT NOT NULL,' : '';
+  const servicePackageServiceTenantIndex = isSharedDb ? 'INDEX idx_tenant_id (tenant_id),' : '';
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS service_package_services (
+      ${servicePackageServiceTenantId}
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      package_id INT NOT NULL,
+      service_id INT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      ${servicePackageServiceTenantIndex}
+      FOREIGN KEY (package_id) REFERENCES service_packages(id) ON DELETE CASCADE,
+      FOREIGN KEY (service_id) REFERENCES store_services(id) ON DELETE CASCADE,
+      UNIQUE KEY unique_package_service (package_id, service_id),
+      INDEX idx_service_id (service_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Customer Packages table (a package sold to a customer, with its session balance)
+  const customerPackageTenantId = isSharedDb ? 'tenant_id INT NOT NULL,' : '';
+  const customerPackageTenantIndex = isSharedDb ? 'INDEX idx_tenant_id (tenant_id),' : '';
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS customer_packages (
+      ${customerPackageTenantId}
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      customer_id INT NOT NULL,
+      package_id INT NULL,
+      package_name VARCHAR(255) NOT NULL,
+      package_type ENUM('sessions', 'membership') NOT NULL DEFAULT 'sessions',
+      sessions_total INT NULL COMMENT 'NULL = unlimited sessions (memberships)',
+      sessions_used INT NOT NULL DEFAULT 0,
+      price_paid DECIMAL(10, 2) DEFAULT 0.00,
+      payment_method VARCHAR(50) NULL,
+      payment_reference VARCHAR(255) NULL,
+      starts_at DATETIME NOT NULL,
+      expires_at DATETIME NULL,
+      status ENUM('active', 'exhausted', 'expired', 'cancelled') DEFAULT 'active',
+      sold_by INT NULL,
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      ${customerPackageTenantIndex}
+      FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+      FOREIGN KEY (package_id) REFERENCES service_packages(id) ON DELETE SET NULL,
+      INDEX idx_customer_id (customer_id),
+      INDEX idx_status (status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Customer Package Usages table (session ledger - redeemed on completed bookings, reversed on undo)
+  const customerPackageUsageTenantId = isSharedDb ? 'tenant_id INT NOT NULL,' : '';
+  const customerPackageUsageTenantIndex = isSharedDb ? 'INDEX idx_tenant_id (tenant_id),' : '';
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS customer_package_usages (
+      ${customerPackageUsageTenantId}
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      customer_package_id INT NOT NULL,
+      booking_id INT NULL,
+      usage_type ENUM('redeem', 'reverse', 'adjust') NOT NULL,
+      sessions INT NOT NULL COMMENT 'Sessions used (negative when given back)',
+      note VARCHAR(255) NULL,
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      ${customerPackageUsageTenantIndex}
+      FOREIGN KEY (customer_package_id) REFERENCES customer_packages(id) ON DELETE CASCADE,
+      INDEX idx_customer_package_id (customer_package_id),
+      INDEX idx_booking_id (booking_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Booking Calendar Feeds table (secret iCalendar subscription URLs per store or staff member)
+  const bookingCalendarFeedTenantId = isSharedDb ? 'tenant_id INT NOT NULL,' : '';
+  const bookingCalendarFeedTenantIndex = isSharedDb ? 'INDEX idx_tenant_id (tenant_id),' : '';
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS booking_calendar_feeds (
+      ${bookingCalendarFeedTenantId}
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      feed_type ENUM('store', 'staff') NOT NULL,
+      store_id INT NULL,
+      staff_id INT NULL,
+      token VARCHAR(64) NOT NULL COMMENT 'Secret in the feed URL - rotate to revoke old subscriptions',
+      is_active BOOLEAN DEFAULT TRUE,
+      created_by INT NULL,
+      last_accessed_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      ${bookingCalendarFeedTenantIndex}
+      UNIQUE KEY unique_token (token),
+      INDEX idx_store_id (store_id),
+      INDEX idx_staff_id (staff_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Booking Reminders table (reminder history, one row per channel per send)
+  const bookingReminderTenantId = isSharedDb ? 'tenant_id INT NOT NULL,' : '';
+  const bookingReminderTenantIndex = isSharedDb ? 'INDEX idx_tenant_id (tenant_id),' : '';
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS booking_reminders (
+      ${bookingReminderTenantId}
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      booking_id INT NOT NULL,
+      reminder_type ENUM('before_start', 'manual') NOT NULL,
+      hours_before INT NOT NULL DEFAULT 0,
+      channel ENUM('email', 'whatsapp') NOT NULL,
+      scheduled_for DATETIME NOT NULL COMMENT 'Appointment time the reminder was for (rescheduling re-arms reminders)',
+      sent_to VARCHAR(255) NULL,
+      status ENUM('sent', 'failed') NOT NULL,
+      error_message TEXT,
+      sent_by INT NULL,
+      sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      ${bookingReminderTenantIndex}
+      FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+      INDEX idx_booking_id (booking_id),
+      INDEX idx_booking_reminder (booking_id, hours_before, scheduled_for)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Booking Reminder Settings table (one row per tenant - reminders and self-service policy)
+  const bookingReminderSettingTenantId = isSharedDb ? 'tenant_id INT NOT NULL,' : '';
+  const bookingReminderSettingTenantIndex = isSharedDb ? 'UNIQUE KEY unique_tenant_id (tenant_id),' : '';
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS booking_reminder_settings (
+      ${bookingReminderSettingTenantId}
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      is_enabled BOOLEAN DEFAULT TRUE,
+      hours_before JSON,
+      send_email BOOLEAN DEFAULT TRUE,
+      send_whatsapp BOOLEAN DEFAULT TRUE,
+      allow_reschedule BOOLEAN DEFAULT TRUE,
+      allow_cancellation BOOLEAN DEFAULT TRUE,
+      reschedule_cutoff_hours INT DEFAULT 24,
+      cancellation_cutoff_hours INT DEFAULT 24,
+      max_reschedules INT DEFAULT 2,
+      ${bookingReminderSettingTenantIndex}
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
   // Booking Availability table (for service availability slots)
   const bookingAvailabilityTenantId = isSharedDb ? 'tenant_id INT NOT NULL,' : '';
   const bookingAvailabilityTenantIndex = isSharedDb ? 'INDEX idx_tenant_id (tenant_id),' : '';
@@ -817,8 +1161,9 @@ async function runTenantMigrations(connection, isSharedDb = false) {
       discount_amount DECIMAL(10, 2) DEFAULT 0.00,
       total DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
       status ENUM('pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled') DEFAULT 'pending',
-      payment_status ENUM('pending', 'paid', 'failed', 'refunded') DEFAULT 'pending',
+      payment_status ENUM('pending', 'paid', 'failed', 'partially_refunded', 'refunded') DEFAULT 'pending',
       payment_method VARCHAR(50),
+      refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
       notes TEXT,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -897,6 +1242,7 @@ async function runTenantMigrations(connection, isSharedDb = false) {
       variation_option_id INT NULL,
       variation_name VARCHAR(100) NULL,
       variation_option_value VARCHAR(255) NULL,
+      refunded_quantity DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       ${orderItemTenantIndex}
       FOREIGN KEY (order_id) REFERENCES online_store_orders(id) ON DELETE CASCADE,
@@ -1026,6 +1372,7 @@ async function runTenantMigrations(connection, isSharedDb = false) {
       id INT AUTO_INCREMENT PRIMARY KEY,
       order_id INT,
       invoice_id INT,
+      booking_id INT,
       transaction_reference VARCHAR(100) UNIQUE NOT NULL,
       gateway_name ENUM('paystack', 'flutterwave', 'stripe', 'other') NOT NULL,
       gateway_transaction_id VARCHAR(255),
@@ -1037,6 +1384,8 @@ async function runTenantMigrations(connection, isSharedDb = false) {
       customer_name VARCHAR(255),
       payment_method VARCHAR(50),
       status ENUM('pending', 'success', 'failed', 'cancelled', 'refunded') DEFAULT 'pending',
+      refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+      refund_due_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
       gateway_response JSON,
       failure_reason TEXT,
       paid_at TIMESTAMP NULL,
@@ -1047,10 +1396,33 @@ async function runTenantMigrations(connection, isSharedDb = false) {
       INDEX idx_gateway_transaction_id (gateway_transaction_id),
       INDEX idx_status (status),
       INDEX idx_order_id (order_id),
-      INDEX idx_invoice_id (invoice_id)
+      INDEX idx_invoice_id (invoice_id),
+      INDEX idx_booking_id (booking_id)
     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
   `);
 
+  // Add booking_id column to payment_transactions if it doesn't exist (migration - booking deposits)
+  try {
+    const [bookingIdColumns] = await connection.query(`
+      SELECT COLUMN_NAME
+      FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'payment_transactions'
+      AND COLUMN_NAME = 'booking_id'
+    `);
+
+    if (bookingIdColumns.length === 0) {
+      await connection.query(`
+        ALTER TABLE payment_transactions
+        ADD COLUMN booking_id INT NULL AFTER invoice_id,
+        ADD INDEX idx_booking_id (booking_id)
+      `);
+      console.log('✅ booking_id column added to payment_transactions table');
+    }
+  } catch (alterError) {
+    console.warn('Could not add booking_id column to payment_transactions:', alterError.message);
+  }
+
   // Brand Colors table (for invoice template color extraction and customization)
   const brandColorTenantId = isSharedDb ? 'tenant_id INT NOT NULL,' : '';
   const brandColorTenantIndex = isSharedDb ? 'INDEX idx_tenant_id (tenant_id),' : '';
@@ -1300,6 +1672,419 @@ async function runTenantMigrations(connection, isSharedDb = false) {
     console.warn('Could not add token_expires_at column to whatsapp_connections:', alterError.message);
   }
 
+  // Promotions table (discount codes usable at public checkout and POS)
+  const promotionTenantId = isSharedDb ? 'tenant_id INT NOT NULL,' : '';
+  const promotionTenantIndex = isSharedDb ? 'INDEX idx_tenant_id (tenant_id),' : '';
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS promotions (
+      ${promotionTenantId}
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      code VARCHAR(50) NOT NULL,
+      description TEXT,
+      promotion_type ENUM('percentage', 'fixed_amount', 'buy_x_get_y') NOT NULL DEFAULT 'percentage',
+      discount_value DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+      buy_quantity INT NULL,
+      get_quantity INT NULL,
+      min_basket_amount DECIMAL(10, 2) NULL,
+      max_discount_amount DECIMAL(10, 2) NULL,
+      applies_to ENUM('all', 'product', 'category', 'collection') DEFAULT 'all',
+      product_ids JSON,
+      categories JSON,
+      collection_ids JSON,
+      channel ENUM('all', 'online', 'pos') DEFAULT 'all',
+      usage_limit INT NULL,
+      usage_limit_per_customer INT NULL,
+      usage_count INT DEFAULT 0,
+      starts_at DATETIME NULL,
+      ends_at DATETIME NULL,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      ${promotionTenantIndex}
+      UNIQUE KEY unique_promotion_code (code${isSharedDb ? ', tenant_id' : ''}),
+      INDEX idx_is_active (is_active)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Promotion Redemptions table (usage ledger for limits and reporting)
+  const redemptionTenantId = isSharedDb ? 'tenant_id INT NOT NULL,' : '';
+  const redemptionTenantIndex = isSharedDb ? 'INDEX idx_tenant_id (tenant_id),' : '';
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS promotion_redemptions (
+      ${redemptionTenantId}
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      promotion_id INT NOT NULL,
+      channel ENUM('online', 'pos') NOT NULL,
+      order_id INT NULL,
+      pos_transaction_id INT NULL,
+      customer_id INT NULL,
+      customer_email VARCHAR(255),
+      discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      ${redemptionTenantIndex}
+      FOREIGN KEY (promotion_id) REFERENCES promotions(id) ON DELETE CASCADE,
+      INDEX idx_promotion_id (promotion_id),
+      INDEX idx_customer_id (customer_id),
+      INDEX idx_customer_email (customer_email)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Add promotion columns to online_store_orders if they don't exist (migration)
+  try {
+    const [promotionColumns] = await connection.query(`
+      SELECT COLUMN_NAME 
+      FROM INFORMATION_SCHEMA.COLUMNS 
+      WHERE TABLE_SCHEMA = DATABASE() 
+      AND TABLE_NAME = 'online_store_orders' 
+      AND COLUMN_NAME IN ('promotion_id', 'promotion_code')
+    `);
+    const existingPromotionColumns = promotionColumns.map(col => col.COLUMN_NAME);
+
+    if (!existingPromotionColumns.includes('promotion_id')) {
+      await connection.query(`
+        ALTER TABLE online_store_orders 
+        ADD COLUMN promotion_id INT NULL AFTER discount_amount,
+        ADD INDEX idx_promotion_id (promotion_id)
+      `);
+    }
+
+    if (!existingPromotionColumns.includes('promotion_code')) {
+      await connection.query(`
+        ALTER TABLE online_store_orders 
+        ADD COLUMN promotion_code VARCHAR(50) NULL AFTER promotion_id
+      `);
+    }
+
+    if (existingPromotionColumns.length < 2) {
+      console.log('✅ Promotion columns added to online_store_orders table');
+    }
+  } catch (alterError) {
+    console.warn('Could not add promotion columns to online_store_orders:', alterError.message);
+  }
+
+  // Product Batches table (lot-level stock and expiry for batch-tracked products)
+  const batchTenantId = isSharedDb ? 'tenant_id INT NOT NULL,' : '';
+  const batchTenantIndex = isSharedDb ? 'INDEX idx_tenant_id (tenant_id),' : '';
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS product_batches (
+      ${batchTenantId}
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      product_id INT NOT NULL,
+      store_id INT NULL,
+      batch_number VARCHAR(100) NOT NULL,
+      expiry_date DATE NULL,
+      quantity_received INT NOT NULL DEFAULT 0,
+      quantity_remaining INT NOT NULL DEFAULT 0,
+      cost_price DECIMAL(10, 2) NULL,
+      purchase_order_id INT NULL,
+      purchase_order_item_id INT NULL,
+      received_at DATETIME NULL,
+      status ENUM('active', 'depleted', 'expired') DEFAULT 'active',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      ${batchTenantIndex}
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+      FOREIGN KEY (store_id) REFERENCES stores(id) ON DELETE SET NULL,
+      INDEX idx_product_store (product_id, store_id),
+      INDEX idx_expiry_date (expiry_date),
+      INDEX idx_status (status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Add requires_prescription column to products if it doesn't exist (migration)
+  try {
+    const [prescriptionColumns] = await connection.query(`
+      SELECT COLUMN_NAME
+      FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'products'
+      AND COLUMN_NAME = 'requires_prescription'
+    `);
+
+    if (prescriptionColumns.length === 0) {
+      await connection.query(`
+        ALTER TABLE products
+        ADD COLUMN requires_prescription BOOLEAN DEFAULT FALSE AFTER image_url
+      `);
+      console.log('✅ requires_prescription column added to products table');
+    }
+  } catch (alterError) {
+    console.warn('Could not add requires_prescription column to products:', alterError.message);
+  }
+
+  // Add payment balance columns and partially_paid status to invoices (migration)
+  try {
+    const [balanceColumns] = await connection.query(`
+      SELECT COLUMN_NAME
+      FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'invoices'
+      AND COLUMN_NAME IN ('amount_paid', 'balance_due')
+    `);
+    const existingBalanceColumns = balanceColumns.map(col => col.COLUMN_NAME);
+
+    if (!existingBalanceColumns.includes('amount_paid')) {
+      await connection.query(`
+        ALTER TABLE invoices
+        ADD COLUMN amount_paid DECIMAL(10, 2) NOT NULL DEFAULT 0.00 AFTER total
+      `);
+      // Invoices already marked paid are treated as fully settled
+      await connection.query(`UPDATE invoices SET amount_paid = total WHERE status = 'paid'`);
+    }
+
+    if (!existingBalanceColumns.includes('balance_due')) {
+      await connection.query(`
+        ALTER TABLE invoices
+        ADD COLUMN balance_due DECIMAL(10, 2) NOT NULL DEFAULT 0.00 AFTER amount_paid
+      `);
+      await connection.query(`UPDATE invoices SET balance_due = GREATEST(total - amount_paid, 0)`);
+    }
+
+    const [statusColumn] = await connection.query(`
+      SELECT COLUMN_TYPE
+      FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'invoices'
+      AND COLUMN_NAME = 'status'
+    `);
+
+    if (statusColumn.length > 0 && !statusColumn[0].COLUMN_TYPE.includes('partially_paid')) {
+      await connection.query(`
+        ALTER TABLE invoices
+        MODIFY COLUMN status ENUM('draft', 'sent', 'partially_paid', 'paid', 'overdue', 'cancelled') DEFAULT 'draft'
+      `);
+      console.log('✅ partially_paid status added to invoices table');
+    }
+  } catch (alterError) {
+    console.warn('Could not add payment balance columns to invoices:', alterError.message);
+  }
+
+  // Invoice Payments table (payments ledger - deposits, instalments, online payments)
+  const invoicePaymentTenantId = isSharedDb ? 'tenant_id INT NOT NULL,' : '';
+  const invoicePaymentTenantIndex = isSharedDb ? 'INDEX idx_tenant_id (tenant_id),' : '';
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS invoice_payments (
+      ${invoicePaymentTenantId}
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      invoice_id INT NOT NULL,
+      amount DECIMAL(10, 2) NOT NULL,
+      payment_method VARCHAR(50) NOT NULL DEFAULT 'cash',
+      reference VARCHAR(255) NULL,
+      payment_date DATE NOT NULL,
+      payment_transaction_id INT NULL,
+      status ENUM('completed', 'voided') DEFAULT 'completed',
+      notes TEXT,
+      recorded_by INT NULL,
+      voided_at DATETIME NULL,
+      void_reason VARCHAR(255) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      ${invoicePaymentTenantIndex}
+      FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+      INDEX idx_invoice_id (invoice_id),
+      INDEX idx_payment_transaction_id (payment_transaction_id),
+      INDEX idx_payment_date (payment_date)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Backfill the ledger for invoices settled before it existed, so the first payment recorded or
+  // voided against them doesn't recalculate amount_paid from an empty ledger
+  try {
+    const backfillTenantColumn = isSharedDb ? 'tenant_id,' : '';
+    const backfillTenantValue = isSharedDb ? 'i.tenant_id,' : '';
+    const [backfill] = await connection.query(`
+      INSERT INTO invoice_payments
+        (${backfillTenantColumn} invoice_id, amount, payment_method, payment_date, status, notes)
+      SELECT ${backfillTenantValue} i.id, i.amount_paid, COALESCE(i.payment_method, 'cash'),
+        COALESCE(i.payment_date, DATE(i.updated_at)), 'completed', 'Payment recorded before the invoice payments ledger'
+      FROM invoices i
+      WHERE i.amount_paid > 0
+      AND NOT EXISTS (SELECT 1 FROM invoice_payments p WHERE p.invoice_id = i.id)
+    `);
+    if (backfill.affectedRows > 0) {
+      console.log(`✅ Backfilled ${backfill.affectedRows} invoice payment(s) for previously paid invoices`);
+    }
+  } catch (backfillError) {
+    console.warn('Could not backfill invoice payments:', backfillError.message);
+  }
+
+  // Invoice Payment Schedules table (optional instalment plan per invoice)
+  const paymentScheduleTenantId = isSharedDb ? 'tenant_id INT NOT NULL,' : '';
+  const paymentScheduleTenantIndex = isSharedDb ? 'INDEX idx_tenant_id (tenant_id),' : '';
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS invoice_payment_schedules (
+      ${paymentScheduleTenantId}
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      invoice_id INT NOT NULL,
+      instalment_number INT NOT NULL,
+      due_date DATE NOT NULL,
+      amount DECIMAL(10, 2) NOT NULL,
+      amount_paid DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+      status ENUM('pending', 'partially_paid', 'paid', 'overdue') DEFAULT 'pending',
+      description VARCHAR(255) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      ${paymentScheduleTenantIndex}
+      FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+      INDEX idx_invoice_id (invoice_id),
+      INDEX idx_due_date (due_date)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Add reminders_enabled (per-invoice reminder opt-out) to invoices if it doesn't exist (migration)
+  try {
+    const [reminderColumns] = await connection.query(`
+      SELECT COLUMN_NAME
+      FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'invoices'
+      AND COLUMN_NAME = 'reminders_enabled'
+    `);
+
+    if (reminderColumns.length === 0) {
+      await connection.query(`
+        ALTER TABLE invoices
+        ADD COLUMN reminders_enabled BOOLEAN DEFAULT TRUE AFTER payment_date
+      `);
+      console.log('✅ reminders_enabled column added to invoices table');
+    }
+  } catch (alterError) {
+    console.warn('Could not add reminders_enabled column to invoices:', alterError.message);
+  }
+
+  // Invoice Reminders table (payment reminder history)
+  const invoiceReminderTenantId = isSharedDb ? 'tenant_id INT NOT NULL,' : '';
+  const invoiceReminderTenantIndex = isSharedDb ? 'INDEX idx_tenant_id (tenant_id),' : '';
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS invoice_reminders (
+      ${invoiceReminderTenantId}
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      invoice_id INT NOT NULL,
+      reminder_type ENUM('before_due', 'on_due', 'after_due', 'manual') NOT NULL,
+      days_offset INT NOT NULL DEFAULT 0,
+      sent_to VARCHAR(255) NULL,
+      status ENUM('sent', 'failed') NOT NULL,
+      balance_due DECIMAL(10, 2) NULL,
+      pdf_attached BOOLEAN DEFAULT FALSE,
+      error_message TEXT,
+      sent_by INT NULL,
+      sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      ${invoiceReminderTenantIndex}
+      FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+      INDEX idx_invoice_id (invoice_id),
+      INDEX idx_invoice_reminder (invoice_id, reminder_type, days_offset)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Invoice Reminder Settings table (one row per tenant)
+  const reminderSettingTenantId = isSharedDb ? 'tenant_id INT NOT NULL,' : '';
+  const reminderSettingTenantIndex = isSharedDb ? 'UNIQUE KEY unique_tenant_id (tenant_id),' : '';
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS invoice_reminder_settings (
+      ${reminderSettingTenantId}
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      is_enabled BOOLEAN DEFAULT TRUE,
+      days_before_due JSON,
+      remind_on_due_date BOOLEAN DEFAULT TRUE,
+      days_after_due JSON,
+      attach_pdf BOOLEAN DEFAULT TRUE,
+      auto_mark_overdue BOOLEAN DEFAULT TRUE,
+      ${reminderSettingTenantIndex}
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
+  // Add refund tracking columns to online orders, order items and payment transactions (migration)
+  try {
+    const refundColumns = [
+      { table: 'online_store_orders', column: 'refunded_amount', definition: 'DECIMAL(10, 2) NOT NULL DEFAULT 0.00 AFTER payment_method' },
+      { table: 'online_store_order_items', column: 'refunded_quantity', definition: 'DECIMAL(10, 2) NOT NULL DEFAULT 0.00 AFTER variation_option_value' },
+      { table: 'payment_transactions', column: 'refunded_amount', definition: 'DECIMAL(10, 2) NOT NULL DEFAULT 0.00 AFTER status' },
+      { table: 'payment_transactions', column: 'refund_due_amount', definition: 'DECIMAL(10, 2) NOT NULL DEFAULT 0.00 AFTER refunded_amount' }
+    ];
+
+    for (const { table, column, definition } of refundColumns) {
+      const [existing] = await connection.query(`
+        SELECT COLUMN_NAME
+        FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE()
+        AND TABLE_NAME = ?
+        AND COLUMN_NAME = ?
+      `, [table, column]);
+
+      if (existing.length === 0) {
+        await connection.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        console.log(`✅ ${column} column added to ${table} table`);
+      }
+    }
+
+    const [paymentStatusColumn] = await connection.query(`
+      SELECT COLUMN_TYPE
+      FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_NAME = 'online_store_orders'
+      AND COLUMN_NAME = 'payment_status'
+    `);
+
+    if (paymentStatusColumn.length > 0 && !paymentStatusColumn[0].COLUMN_TYPE.includes('partially_refunded')) {
+      await connection.query(`
+        ALTER TABLE online_store_orders
+        MODIFY COLUMN payment_status ENUM('pending', 'paid', 'failed', 'partially_refunded', 'refunded') DEFAULT 'pending'
+      `);
+      console.log('✅ partially_refunded payment status added to online_store_orders table');
+    }
+  } catch (alterError) {
+    console.warn('Could not add refund columns:', alterError.message);
+  }
+
+  // Online Store Order Refunds table (gateway refunds for online orders)
+  const orderRefundTenantId = isSharedDb ? 'tenant_id INT NOT NULL,' : '';
+  const orderRefundTenantIndex = isSharedDb ? 'INDEX idx_tenant_id (tenant_id),' : '';
+
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS online_store_order_refunds (
+      ${orderRefundTenantId}
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      order_id INT NOT NULL,
+      payment_transaction_id INT NOT NULL,
+      refund_number VARCHAR(50) NOT NULL,
+      gateway_name ENUM('paystack', 'flutterwave', 'stripe', 'other') NOT NULL,
+      gateway_refund_id VARCHAR(255) NULL,
+      refund_type ENUM('full', 'partial') NOT NULL,
+      amount DECIMAL(10, 2) NOT NULL,
+      platform_fee_reversed DECIMAL(10, 2) DEFAULT 0.00,
+      merchant_amount_reversed DECIMAL(10, 2) DEFAULT 0.00,
+      items JSON,
+      restock BOOLEAN DEFAULT TRUE,
+      restocked_at DATETIME NULL,
+      reason TEXT,
+      status ENUM('pending', 'processing', 'completed', 'failed') DEFAULT 'pending',
+      failure_reason TEXT,
+      gateway_response JSON,
+      requested_by INT NULL,
+      processed_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      ${orderRefundTenantIndex}
+      FOREIGN KEY (order_id) REFERENCES online_store_orders(id) ON DELETE CASCADE,
+      FOREIGN KEY (payment_transaction_id) REFERENCES payment_transactions(id) ON DELETE CASCADE,
+      INDEX idx_order_id (order_id),
+      INDEX idx_payment_transaction_id (payment_transaction_id),
+      INDEX idx_gateway_refund_id (gateway_refund_id),
+      INDEX idx_status (status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+
   // All online store tables are now complete!
   // Note: Additional enterprise-only tables (roles, suppliers, purchase_orders, pos_transactions, etc.)
   // are not included here as free users only need online store functionality
@@ -1352,6 +2137,12 @@ async function migrateFreeUserToEnterprise(tenantId) {
       'invoice_items',
       'bookings',
       'booking_availability',
+      'booking_series',
+      'service_packages',
+      'service_package_services',
+      'customer_packages',
+      'customer_package_usages',
+      'booking_calendar_feeds',
       'online_stores',
       'online_store_locations',
       'store_products',
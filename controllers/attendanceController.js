@@ -1,5 +1,17 @@
 const { Sequelize } = require('sequelize');
 const moment = require('moment');
+const fs = require('fs');
+const { findShiftForClockIn, evaluateClockIn, getShiftWindow, markNoShows } = require('../services/shiftSchedulingService');
+const { verifyClockIn, describeReasons } = require('../services/attendanceVerificationService');
+
+/**
+ * Remove an uploaded clock-in photo that will not be kept
+ */
+function discardUpload(file) {
+  if (file && fs.existsSync(file.path)) {
+    fs.unlinkSync(file.path);
+  }
+}
 
 /**
  * Clock in staff member
@@ -16,12 +28,22 @@ async function clockIn(req, res) {
     } = req.body;
 
     if (!staff_id) {
+      discardUpload(req.file);
       return res.status(400).json({
         success: false,
         message: 'staff_id is required'
       });
     }
 
+    const staff = await req.db.models.Staff.findByPk(staff_id, { attributes: ['id', 'store_id'] });
+    if (!staff) {
+      discardUpload(req.file);
+      return res.status(404).json({
+        success: false,
+        message: 'Staff not found'
+      });
+    }
+
     // Check if staff already clocked in today
     const today = moment().format('YYYY-MM-DD');
     const existingAttendance = await req.db.models.StaffAttendance.findOne({
@@ -35,6 +57,7 @@ async function clockIn(req, res) {
     });
 
     if (existingAttendance) {
+      discardUpload(req.file);
       return res.status(400).json({
         success: false,
         message: 'Staff already clocked in today',
@@ -42,36 +65,75 @@ async function clockIn(req, res) {
       });
     }
 
-    // Get staff shift if exists
-    const shift = await req.db.models.StaffShift.findOne({
-      where: {
-        staff_id,
-        shift_date: today,
-        is_approved: true
-      }
+    // Match the clock-in to the scheduled (approved) shift and flag lateness against its start
+    const clockInTime = new Date();
+    const shift = await findShiftForClockIn(req.db.models, staff_id, clockInTime);
+    const evaluation = shift ? evaluateClockIn(shift, clockInTime) : null;
+    // Verified against the store the staff member is rostered at / assigned to, never a store picked by the client
+    const attendanceStoreId = shift ? shift.store_id : staff.store_id;
+
+    if (store_id && attendanceStoreId && parseInt(store_id) !== attendanceStoreId) {
+      discardUpload(req.file);
+      return res.status(400).json({
+        success: false,
+        message: 'store_id does not match the store this staff member is assigned to'
+      });
+    }
+
+    // Geofence, registered device and selfie checks for the store (no store is flagged for review)
+    const verification = await verifyClockIn(req.db.models, {
+      staffId: staff_id,
+      storeId: attendanceStoreId,
+      deviceId: device_id,
+      latitude: location_latitude,
+      longitude: location_longitude,
+      hasPhoto: !!req.file
     });
 
-    // Check if late
-    let status = 'present';
-    if (shift) {
-      const shiftStart = moment(`${today} ${shift.shift_start_time}`, 'YYYY-MM-DD HH:mm:ss');
-      const clockInTime = moment();
-      if (clockInTime.isAfter(shiftStart.add(15, 'minutes'))) {
-        status = 'late';
-      }
+    if (!verification.allowed) {
+      discardUpload(req.file);
+      return res.status(403).json({
+        success: false,
+        message: `Clock-in rejected: ${describeReasons(verification.reasons)}`,
+        data: {
+          reasons: verification.reasons,
+          distance_from_store_meters: verification.distance_from_store_meters,
+          radius_meters: verification.geofence.radius_meters
+        }
+      });
     }
 
     const attendance = await req.db.models.StaffAttendance.create({
       staff_id,
-      store_id: store_id || null,
-      clock_in_time: new Date(),
+      store_id: attendanceStoreId,
+      clock_in_time: clockInTime,
       attendance_method,
       device_id: device_id || null,
       location_latitude: location_latitude || null,
       location_longitude: location_longitude || null,
-      status
+      status: evaluation && evaluation.attendance_status === 'late' ? 'late' : 'present',
+      shift_id: shift ? shift.id : null,
+      minutes_late: evaluation ? evaluation.minutes_late : 0,
+      distance_from_store_meters: verification.distance_from_store_meters,
+      is_within_geofence: verification.is_within_geofence,
+      is_known_device: verification.is_known_device,
+      is_flagged: verification.flagged,
+      flag_reasons: verification.flagged ? verification.reasons : null,
+      photo_url: req.file ? `/uploads/attendance/${req.file.filename}` : null
     });
 
+    if (verification.device) {
+      await verification.device.update({ last_used_at: clockInTime });
+    }
+
+    if (shift) {
+      await shift.update({
+        attendance_id: attendance.id,
+        attendance_status: evaluation.attendance_status,
+        minutes_late: evaluation.minutes_late
+      });
+    }
+
     const completeAttendance = await req.db.models.StaffAttendance.findByPk(attendance.id, {
       include: [
         {
@@ -81,16 +143,30 @@ async function clockIn(req, res) {
         {
           model: req.db.models.Store,
           attributes: ['id', 'name']
+        },
+        {
+          model: req.db.models.StaffShift,
+          attributes: ['id', 'shift_date', 'shift_start_time', 'shift_end_time', 'attendance_status', 'minutes_late']
         }
       ]
     });
 
+    let message = !shift
+      ? 'Clocked in successfully (no scheduled shift found)'
+      : evaluation.attendance_status === 'late'
+        ? `Clocked in ${evaluation.minutes_late} minutes late for scheduled shift`
+        : 'Clocked in successfully';
+    if (verification.flagged) {
+      message += `. Flagged for review: ${describeReasons(verification.reasons)}`;
+    }
+
     res.status(201).json({
       success: true,
-      message: 'Clocked in successfully',
+      message,
       data: { attendance: completeAttendance }
     });
   } catch (error) {
+    discardUpload(req.file);
     console.error('Error clocking in:', error);
     res.status(500).json({
       success: false,
@@ -137,16 +213,18 @@ async function clockOut(req, res) {
 
     // Check for early leave
     let status = attendance.status;
-    const shift = await req.db.models.StaffShift.findOne({
-      where: {
-        staff_id: attendance.staff_id,
-        shift_date: moment(attendance.clock_in_time).format('YYYY-MM-DD'),
-        is_approved: true
-      }
-    });
+    const shift = attendance.shift_id
+      ? await req.db.models.StaffShift.findByPk(attendance.shift_id)
+      : await req.db.models.StaffShift.findOne({
+        where: {
+          staff_id: attendance.staff_id,
+          shift_date: moment(attendance.clock_in_time).format('YYYY-MM-DD'),
+          is_approved: true
+        }
+      });
 
     if (shift) {
-      const shiftEnd = moment(`${moment(attendance.clock_in_time).format('YYYY-MM-DD')} ${shift.shift_end_time}`, 'YYYY-MM-DD HH:mm:ss');
+      const shiftEnd = getShiftWindow(shift.shift_date, shift.shift_start_time, shift.shift_end_time).end;
       if (moment(clockOutTime).isBefore(shiftEnd.subtract(30, 'minutes'))) {
         status = 'early_leave';
       }
@@ -193,7 +271,7 @@ async function clockOut(req, res) {
  */
 async function getStaffAttendance(req, res) {
   try {
-    const { staff_id, store_id, start_date, end_date, status } = req.query;
+    const { staff_id, store_id, start_date, end_date, status, is_flagged } = req.query;
     const { page = 1, limit = 50 } = req.query;
     const offset = (page - 1) * limit;
 
@@ -201,6 +279,7 @@ async function getStaffAttendance(req, res) {
     if (staff_id) where.staff_id = staff_id;
     if (store_id) where.store_id = store_id;
     if (status) where.status = status;
+    if (is_flagged !== undefined) where.is_flagged = is_flagged === 'true';
     if (start_date || end_date) {
       where.clock_in_time = {};
       if (start_date) where.clock_in_time[Sequelize.Op.gte] = start_date;
@@ -382,15 +461,28 @@ async function getAttendanceSummary(req, res) {
       raw: true
     });
 
+    // Scheduled shifts nobody clocked in for
+    await markNoShows(req.db.models, { startDate: start_date, endDate: end_date });
+    const noShowCount = await req.db.models.StaffShift.count({
+      where: {
+        ...(staff_id && { staff_id }),
+        attendance_status: 'no_show',
+        shift_date: { [Sequelize.Op.between]: [start_date, end_date] }
+      }
+    });
+
     res.json({
       success: true,
       data: {
         period: { start_date, end_date },
-        summary: attendanceRecords[0] || {
-          total_hours: 0,
-          days_worked: 0,
-          late_count: 0,
-          absent_count: 0
+        summary: {
+          ...(attendanceRecords[0] || {
+            total_hours: 0,
+            days_worked: 0,
+            late_count: 0,
+            absent_count: 0
+          }),
+          no_show_count: noShowCount
         }
       }
     });
@@ -403,12 +495,243 @@ async function getAttendanceSummary(req, res) {
   }
 }
 
+/**
+ * Get store geofence settings
+ */
+async function getGeofences(req, res) {
+  try {
+    const { store_id } = req.query;
+
+    const geofences = await req.db.models.AttendanceGeofence.findAll({
+      where: store_id ? { store_id } : {},
+      include: [
+        {
+          model: req.db.models.Store,
+          attributes: ['id', 'name']
+        }
+      ]
+    });
+
+    res.json({
+      success: true,
+      data: { geofences }
+    });
+  } catch (error) {
+    console.error('Error getting geofences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get geofences'
+    });
+  }
+}
+
+/**
+ * Create or update a store's geofence (one per store)
+ */
+async function upsertGeofence(req, res) {
+  try {
+    const { store_id } = req.params;
+    const {
+      latitude,
+      longitude,
+      radius_meters,
+      enforcement,
+      require_registered_device,
+      require_photo,
+      is_active
+    } = req.body;
+
+    const store = await req.db.models.Store.findByPk(store_id);
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found'
+      });
+    }
+
+    const existing = await req.db.models.AttendanceGeofence.findOne({ where: { store_id } });
+
+    if (!existing && (latitude === undefined || longitude === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'latitude and longitude are required'
+      });
+    }
+
+    if ((latitude !== undefined && (isNaN(parseFloat(latitude)) || Math.abs(latitude) > 90)) ||
+        (longitude !== undefined && (isNaN(parseFloat(longitude)) || Math.abs(longitude) > 180))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid latitude or longitude'
+      });
+    }
+
+    if (radius_meters !== undefined && (isNaN(parseInt(radius_meters)) || parseInt(radius_meters) <= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'radius_meters must be greater than 0'
+      });
+    }
+
+    if (enforcement !== undefined && !['reject', 'flag'].includes(enforcement)) {
+      return res.status(400).json({
+        success: false,
+        message: "enforcement must be 'reject' or 'flag'"
+      });
+    }
+
+    const updates = {
+      ...(latitude !== undefined && { latitude }),
+      ...(longitude !== undefined && { longitude }),
+      ...(radius_meters !== undefined && { radius_meters: parseInt(radius_meters) }),
+      ...(enforcement !== undefined && { enforcement }),
+      ...(require_registered_device !== undefined && { require_registered_device }),
+      ...(require_photo !== undefined && { require_photo }),
+      ...(is_active !== undefined && { is_active })
+    };
+
+    const geofence = existing
+      ? await existing.update(updates)
+      : await req.db.models.AttendanceGeofence.create({ store_id, ...updates });
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: 'Geofence saved successfully',
+      data: { geofence }
+    });
+  } catch (error) {
+    console.error('Error saving geofence:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save geofence'
+    });
+  }
+}
+
+/**
+ * Get registered devices for a staff member
+ */
+async function getStaffDevices(req, res) {
+  try {
+    const { staff_id } = req.params;
+    const { include_inactive } = req.query;
+
+    const devices = await req.db.models.StaffDevice.findAll({
+      where: {
+        staff_id,
+        ...(include_inactive !== 'true' && { is_active: true })
+      },
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: { devices }
+    });
+  } catch (error) {
+    console.error('Error getting staff devices:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get staff devices'
+    });
+  }
+}
+
+/**
+ * Register an allowed clock-in device for a staff member
+ */
+async function registerStaffDevice(req, res) {
+  try {
+    const { staff_id } = req.params;
+    const { device_id, device_name } = req.body;
+
+    if (!device_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'device_id is required'
+      });
+    }
+
+    const staff = await req.db.models.Staff.findByPk(staff_id);
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff not found'
+      });
+    }
+
+    const existing = await req.db.models.StaffDevice.findOne({
+      where: { staff_id, device_id }
+    });
+
+    const device = existing
+      ? await existing.update({
+        is_active: true,
+        device_name: device_name || existing.device_name,
+        registered_by: req.user.staffId || req.user.id
+      })
+      : await req.db.models.StaffDevice.create({
+        staff_id,
+        device_id,
+        device_name: device_name || null,
+        registered_by: req.user.staffId || req.user.id
+      });
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: 'Device registered successfully',
+      data: { device }
+    });
+  } catch (error) {
+    console.error('Error registering staff device:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register device'
+    });
+  }
+}
+
+/**
+ * Revoke a staff member's device
+ */
+async function revokeStaffDevice(req, res) {
+  try {
+    const device = await req.db.models.StaffDevice.findOne({
+      where: { id: req.params.device_id, staff_id: req.params.staff_id }
+    });
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    await device.update({ is_active: false });
+
+    res.json({
+      success: true,
+      message: 'Device revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking staff device:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke device'
+    });
+  }
+}
+
 module.exports = {
   clockIn,
   clockOut,
   getStaffAttendance,
   getClockedInStaff,
   recordBreak,
-  getAttendanceSummary
+  getAttendanceSummary,
+  getGeofences,
+  upsertGeofence,
+  getStaffDevices,
+  registerStaffDevice,
+  revokeStaffDevice
 };
-
@@ -0,0 +1,339 @@
+const { Sequelize } = require('sequelize');
+const { getTenantConnection } = require('../config/database');
+const { getTenantById } = require('../config/tenant');
+const initModels = require('../models');
+const {
+  buildBookingEventLines,
+  buildCalendar,
+  generateFeedToken,
+  buildCalendarFeedUrls,
+  getFeedWindow
+} = require('../services/bookingCalendarService');
+
+/**
+ * Calendar feed with its subscription URLs
+ */
+function formatCalendarFeed(feed, tenantId) {
+  return {
+    ...feed.toJSON(),
+    ...buildCalendarFeedUrls(tenantId, feed.token)
+  };
+}
+
+/**
+ * Limit feed queries to the caller's tenant on the shared free-plan DB
+ */
+function tenantScope(req) {
+  return req.tenant && req.tenant.subscription_plan === 'free'
+    ? { tenant_id: req.user.tenantId }
+    : {};
+}
+
+/**
+ * Get calendar feeds (store and staff iCalendar subscriptions)
+ * GET /api/v1/bookings/calendar-feeds
+ */
+async function getCalendarFeeds(req, res) {
+  try {
+    const { store_id, staff_id } = req.query;
+
+    const where = { ...tenantScope(req), is_active: true };
+    if (store_id) {
+      where.store_id = store_id;
+    }
+    if (staff_id) {
+      where.staff_id = staff_id;
+    }
+
+    const feeds = await req.db.models.BookingCalendarFeed.findAll({
+      where,
+      include: [
+        {
+          model: req.db.models.Store,
+          required: false,
+          attributes: ['id', 'name']
+        },
+        {
+          model: req.db.models.Staff,
+          required: false,
+          attributes: ['id', 'name']
+        }
+      ],
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: { feeds: feeds.map(feed => formatCalendarFeed(feed, req.user.tenantId)) }
+    });
+  } catch (error) {
+    console.error('Error getting calendar feeds:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get calendar feeds'
+    });
+  }
+}
+
+/**
+ * Create a secret calendar feed for a store's bookings or a staff member's bookings
+ * Returns the existing feed when the store / staff member already has one
+ * POST /api/v1/bookings/calendar-feeds
+ */
+async function createCalendarFeed(req, res) {
+  try {
+    const { store_id, staff_id } = req.body;
+
+    if ((!store_id && !staff_id) || (store_id && staff_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide either store_id or staff_id'
+      });
+    }
+
+    const tenantId = req.user.tenantId;
+    const isFreePlan = req.tenant && req.tenant.subscription_plan === 'free';
+    const feedType = staff_id ? 'staff' : 'store';
+
+    if (feedType === 'staff') {
+      // Bookings are assigned to staff on the enterprise plan only
+      if (isFreePlan) {
+        return res.status(403).json({
+          success: false,
+          message: 'Staff calendar feeds are available on the enterprise plan'
+        });
+      }
+
+      const staff = await req.db.models.Staff.findByPk(staff_id);
+      if (!staff) {
+        return res.status(404).json({
+          success: false,
+          message: 'Staff not found'
+        });
+      }
+    } else {
+      const store = await req.db.models.Store.findOne({
+        where: { id: store_id, ...tenantScope(req) }
+      });
+      if (!store) {
+        return res.status(404).json({
+          success: false,
+          message: 'Store not found'
+        });
+      }
+    }
+
+    const existing = await req.db.models.BookingCalendarFeed.findOne({
+      where: {
+        ...tenantScope(req),
+        feed_type: feedType,
+        ...(feedType === 'staff' ? { staff_id } : { store_id }),
+        is_active: true
+      }
+    });
+
+    if (existing) {
+      return res.json({
+        success: true,
+        message: 'Calendar feed already exists',
+        data: { feed: formatCalendarFeed(existing, tenantId) }
+      });
+    }
+
+    const feed = await req.db.models.BookingCalendarFeed.create({
+      tenant_id: isFreePlan ? tenantId : null,
+      feed_type: feedType,
+      store_id: feedType === 'store' ? store_id : null,
+      staff_id: feedType === 'staff' ? staff_id : null,
+      token: generateFeedToken(),
+      is_active: true,
+      created_by: req.user.id || null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed created successfully',
+      data: { feed: formatCalendarFeed(feed, tenantId) }
+    });
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create calendar feed'
+    });
+  }
+}
+
+/**
+ * Replace a feed's secret URL (the old URL stops working, e.g. after a staff member leaves)
+ * POST /api/v1/bookings/calendar-feeds/:id/rotate
+ */
+async function rotateCalendarFeed(req, res) {
+  try {
+    const feed = await req.db.models.BookingCalendarFeed.findOne({
+      where: { id: req.params.id, ...tenantScope(req) }
+    });
+
+    if (!feed || !feed.is_active) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    await feed.update({ token: generateFeedToken(), last_accessed_at: null });
+
+    res.json({
+      success: true,
+      message: 'Calendar feed URL replaced. Subscribers must add the new URL.',
+      data: { feed: formatCalendarFeed(feed, req.user.tenantId) }
+    });
+  } catch (error) {
+    console.error('Error rotating calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rotate calendar feed'
+    });
+  }
+}
+
+/**
+ * Revoke a calendar feed
+ * DELETE /api/v1/bookings/calendar-feeds/:id
+ */
+async function deleteCalendarFeed(req, res) {
+  try {
+    const feed = await req.db.models.BookingCalendarFeed.findOne({
+      where: { id: req.params.id, ...tenantScope(req) }
+    });
+
+    if (!feed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    await feed.destroy();
+
+    res.json({
+      success: true,
+      message: 'Calendar feed revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke calendar feed'
+    });
+  }
+}
+
+/**
+ * iCalendar feed behind a secret URL (public - polled by calendar apps)
+ * GET /api/v1/public-bookings/calendar/:tenant_id/:token.ics
+ */
+async function getPublicCalendarFeed(req, res) {
+  try {
+    const { tenant_id, token } = req.params;
+
+    const parsedTenantId = parseInt(tenant_id, 10);
+    if (isNaN(parsedTenantId) || parsedTenantId <= 0 || !/^[a-f0-9]{48}$/.test(token || '')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const tenant = await getTenantById(parsedTenantId);
+    if (!tenant || tenant.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const sequelize = await getTenantConnection(parsedTenantId, tenant.subscription_plan || 'enterprise');
+    const models = initModels(sequelize);
+    const isFreePlan = tenant.subscription_plan === 'free';
+
+    const feed = await models.BookingCalendarFeed.findOne({
+      where: {
+        token,
+        is_active: true,
+        ...(isFreePlan ? { tenant_id: parsedTenantId } : {})
+      },
+      include: [
+        {
+          model: models.Store,
+          required: false,
+          attributes: ['id', 'name']
+        },
+        {
+          model: models.Staff,
+          required: false,
+          attributes: ['id', 'name']
+        }
+      ]
+    });
+
+    if (!feed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const { from, to } = getFeedWindow();
+    const bookings = await models.Booking.findAll({
+      where: {
+        ...(isFreePlan ? { tenant_id: parsedTenantId } : {}),
+        ...(feed.feed_type === 'staff' ? { staff_id: feed.staff_id } : { store_id: feed.store_id }),
+        scheduled_at: { [Sequelize.Op.between]: [from, to] },
+        // Unpaid online holds are not appointments yet
+        [Sequelize.Op.or]: [
+          { payment_status: null },
+          { payment_status: { [Sequelize.Op.ne]: 'awaiting_payment' } }
+        ]
+      },
+      include: [
+        {
+          model: models.Store,
+          required: false,
+          attributes: ['id', 'name', 'address', 'city', 'state']
+        }
+      ],
+      order: [['scheduled_at', 'ASC']]
+    });
+
+    const eventLines = bookings.flatMap(booking => buildBookingEventLines(booking, {
+      tenantId: parsedTenantId,
+      audience: 'staff'
+    }));
+
+    const calendarName = feed.feed_type === 'staff'
+      ? `${feed.Staff ? feed.Staff.name : 'Staff'} - Bookings`
+      : `${feed.Store ? feed.Store.name : (tenant.name || 'Store')} - Bookings`;
+
+    await feed.update({ last_accessed_at: new Date() });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="bookings.ics"');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.send(buildCalendar(eventLines, { name: calendarName }));
+  } catch (error) {
+    console.error('Error getting public calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get calendar feed'
+    });
+  }
+}
+
+module.exports = {
+  getCalendarFeeds,
+  createCalendarFeed,
+  rotateCalendarFeed,
+  deleteCalendarFeed,
+  getPublicCalendarFeed
+};
@@ -1,5 +1,18 @@
 const { Sequelize } = require('sequelize');
 const moment = require('moment');
+const { accrueBookingCommission, reverseCommission } = require('../services/commissionService');
+const { getAvailableSlots, findBookingAssignment, checkBookingSlot } = require('../services/bookingAvailabilityService');
+const { buildBookingManageLinks, getSelfServicePolicy } = require('../services/bookingLinkService');
+const {
+  DEFAULT_BOOKING_REMINDER_SETTINGS,
+  getBookingReminderSettings: loadBookingReminderSettings,
+  getActiveWhatsAppConnection,
+  sendBookingReminder
+} = require('../services/bookingReminderService');
+const { getCancellationCharges } = require('../services/bookingPaymentService');
+const { expandRecurrence } = require('../services/bookingRecurrenceService');
+const { validatePackageForBookings, redeemPackageSession, reversePackageSession } = require('../services/servicePackageService');
+const { isValidTimezone, buildBookingIcs } = require('../services/bookingCalendarService');
 
 /**
  * Get all bookings (store-specific or all stores)
@@ -114,8 +127,62 @@ async function getBookingById(req, res) {
   }
 }
 
+/**
+ * Find or create the customer a booking is for
+ * @returns {Promise<Object>} - { customerId, customer }
+ */
+async function resolveBookingCustomer(req, { customer_id, customer_name, customer_email, customer_phone }, tenantId, isFreePlan) {
+  if (customer_id) {
+    const customer = await req.db.models.Customer.findByPk(customer_id);
+    return { customerId: customer_id, customer };
+  }
+
+  if (!customer_email && !customer_phone) {
+    return { customerId: null, customer: null };
+  }
+
+  let customer = null;
+  if (customer_email) {
+    customer = await req.db.models.Customer.findOne({ where: { email: customer_email } });
+  }
+  if (!customer && customer_phone) {
+    customer = await req.db.models.Customer.findOne({ where: { phone: customer_phone } });
+  }
+
+  if (!customer && customer_name) {
+    customer = await req.db.models.Customer.create({
+      tenant_id: isFreePlan ? tenantId : null, // Set tenant_id for free users (shared DB)
+      name: customer_name,
+      email: customer_email || null,
+      phone: customer_phone || null
+    });
+  }
+
+  return { customerId: customer ? customer.id : null, customer };
+}
+
+/**
+ * Send the booking confirmation email (never fails the request)
+ */
+async function sendCreatedBookingConfirmation(tenant, booking, customerEmail, customerName) {
+  try {
+    const { sendBookingConfirmationEmail } = require('../services/emailService');
+    await sendBookingConfirmationEmail({
+      tenant,
+      booking,
+      customerEmail,
+      customerName
+    });
+  } catch (emailError) {
+    console.error('Error sending booking confirmation email:', emailError);
+    // Don't fail the booking creation if email fails
+  }
+}
+
 /**
  * Create booking (Calendly-like, store-specific)
+ * Pass `recurrence` ({ frequency: 'weekly', interval_weeks, end_date | count }) for a standing appointment,
+ * and `customer_package_id` to have the booking(s) paid from a prepaid service package
  */
 async function createBooking(req, res) {
   try {
@@ -130,7 +197,11 @@ async function createBooking(req, res) {
       timezone = 'Africa/Lagos',
       location_type = 'in_person',
       staff_name,
-      notes
+      staff_id,
+      notes,
+      recurrence,
+      customer_package_id,
+      skip_conflicts = false
     } = req.body;
 
     if (!store_id || !service_id || !scheduled_at) {
@@ -140,6 +211,13 @@ async function createBooking(req, res) {
       });
     }
 
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'timezone must be an IANA time zone (e.g. Africa/Lagos)'
+      });
+    }
+
     // Verify store exists
     const store = await req.db.models.Store.findByPk(store_id);
     if (!store) {
@@ -160,139 +238,239 @@ async function createBooking(req, res) {
       });
     }
 
-    // Check availability (Calendly-like conflict detection)
     const duration = service.duration_minutes || 60;
-    const startTime = moment(scheduled_at);
-    const endTime = moment(scheduled_at).add(duration, 'minutes');
-
-    // Check for overlapping bookings
-    const conflictingBooking = await req.db.models.Booking.findOne({
-      where: {
-        store_id,
-        service_id,
-        scheduled_at: {
-          [Sequelize.Op.between]: [startTime.toDate(), endTime.toDate()]
-        },
-        status: {
-          [Sequelize.Op.in]: ['pending', 'confirmed']
+    const tenantId = req.user?.tenantId;
+    const isFreePlan = !!req.tenant && req.tenant.subscription_plan === 'free';
+
+    // Work out every booking time: the one requested, or each occurrence of the recurrence
+    let rule = null;
+    let scheduledTimes = [scheduled_at];
+    if (recurrence) {
+      const expansion = expandRecurrence(recurrence, scheduled_at);
+      if (!expansion.valid) {
+        return res.status(expansion.status).json({
+          success: false,
+          message: expansion.message
+        });
+      }
+      rule = expansion.rule;
+      scheduledTimes = expansion.occurrences;
+    }
+
+    // Check availability (Calendly-like conflict detection) and assign a free staff member and resource
+    const available = [];
+    const conflicts = [];
+    for (const scheduledAt of scheduledTimes) {
+      let assignment;
+      if (rule) {
+        // Occurrences are not picked from the published slots, so check them against the service's hours too
+        assignment = await checkBookingSlot(req.db.models, {
+          storeId: store_id,
+          service,
+          scheduledAt,
+          staffId: staff_id || null,
+          isFreePlan
+        });
+      } else {
+        assignment = await findBookingAssignment(req.db.models, {
+          storeId: store_id,
+          service,
+          scheduledAt,
+          staffId: staff_id || null,
+          isFreePlan
+        });
+
+        // Stores without staff or resources keep the service-level conflict check
+        if (assignment.valid && !assignment.uses_assignment) {
+          const startTime = moment(scheduledAt);
+          const endTime = moment(scheduledAt).add(duration, 'minutes');
+          const conflictingBooking = await req.db.models.Booking.findOne({
+            where: {
+              store_id,
+              service_id,
+              scheduled_at: {
+                [Sequelize.Op.between]: [startTime.toDate(), endTime.toDate()]
+              },
+              status: {
+                [Sequelize.Op.in]: ['pending', 'confirmed']
+              }
+            }
+          });
+
+          if (conflictingBooking) {
+            assignment = { valid: false, status: 409, message: 'Time slot already booked' };
+          }
         }
       }
-    });
 
-    if (conflictingBooking) {
+      if (assignment.valid) {
+        available.push({ scheduled_at: scheduledAt, assignment });
+      } else {
+        conflicts.push({ scheduled_at: scheduledAt, status: assignment.status || 400, message: assignment.message });
+      }
+    }
+
+    if (!rule && conflicts.length > 0) {
+      return res.status(conflicts[0].status).json({
+        success: false,
+        message: conflicts[0].message
+      });
+    }
+
+    if (rule && (available.length === 0 || (conflicts.length > 0 && !skip_conflicts))) {
       return res.status(409).json({
         success: false,
-        message: 'Time slot already booked'
+        message: available.length === 0
+          ? 'None of the recurring bookings are available'
+          : `${conflicts.length} of ${scheduledTimes.length} recurring bookings are not available. Choose another time, or pass skip_conflicts to book the rest.`,
+        data: {
+          conflicts: conflicts.map(({ scheduled_at: at, message }) => ({ scheduled_at: at, message })),
+          available: available.map(occurrence => occurrence.scheduled_at)
+        }
       });
     }
 
     // Get or create customer if customer_id not provided
-    let finalCustomerId = customer_id;
-    if (!customer_id && (customer_email || customer_phone)) {
-      let customer = null;
-      if (customer_email) {
-        customer = await req.db.models.Customer.findOne({ where: { email: customer_email } });
-      }
-      if (!customer && customer_phone) {
-        customer = await req.db.models.Customer.findOne({ where: { phone: customer_phone } });
-      }
-      
-      // Get tenant to check subscription plan
-      const tenantId = req.user?.tenantId;
-      const { getTenantById } = require('../config/tenant');
-      let tenant = null;
-      let isFreePlan = false;
-      try {
-        tenant = await getTenantById(tenantId);
-        isFreePlan = tenant && tenant.subscription_plan === 'free';
-      } catch (error) {
-        console.warn('Could not fetch tenant:', error);
-      }
+    const { customerId: finalCustomerId, customer } = await resolveBookingCustomer(req, {
+      customer_id,
+      customer_name,
+      customer_email,
+      customer_phone
+    }, tenantId, isFreePlan);
 
-      if (!customer && customer_name) {
-        customer = await req.db.models.Customer.create({
-          tenant_id: isFreePlan ? tenantId : null, // Set tenant_id for free users (shared DB)
-          name: customer_name,
-          email: customer_email || null,
-          phone: customer_phone || null
+    // Prepaid package must belong to the customer, cover the service and have sessions for every booking
+    if (customer_package_id) {
+      const packageCheck = await validatePackageForBookings(req.db.models, {
+        customerPackageId: customer_package_id,
+        customerId: finalCustomerId,
+        serviceId: service.id,
+        scheduledTimes: available.map(occurrence => occurrence.scheduled_at)
+      });
+
+      if (!packageCheck.valid) {
+        return res.status(packageCheck.status).json({
+          success: false,
+          message: packageCheck.message
         });
       }
-      
-      if (customer) {
-        finalCustomerId = customer.id;
-      }
     }
 
-    // Get tenant info if not already fetched above
+    // Get tenant info for the confirmation email
     let tenant = null;
-    let isFreePlan = false;
-    const tenantId = req.user?.tenantId;
-    if (tenantId && !tenant) {
+    if (tenantId) {
       const { getTenantById } = require('../config/tenant');
       try {
         tenant = await getTenantById(tenantId);
-        isFreePlan = tenant && tenant.subscription_plan === 'free';
       } catch (error) {
         console.warn('Could not fetch tenant:', error);
       }
     }
 
-    const booking = await req.db.models.Booking.create({
-      tenant_id: isFreePlan ? tenantId : null, // Set tenant_id for free users (shared DB)
-      store_id,
-      service_id,
-      customer_id: finalCustomerId,
-      customer_name: customer_name || null,
-      customer_email: customer_email || null,
-      customer_phone: customer_phone || null,
-      service_title: service.service_title,
-      description: service.description || null,
-      scheduled_at,
-      duration_minutes: duration,
-      timezone,
-      location_type: location_type || service.location_type,
-      meeting_link: null, // Not used - focusing on in-person services only
-      staff_name: staff_name || null,
-      status: 'pending',
-      notes: notes || null
-    });
+    const transaction = await req.db.transaction();
+    let series = null;
+    const bookingIds = [];
 
-    const completeBooking = await req.db.models.Booking.findByPk(booking.id, {
-      include: [
-        {
-          model: req.db.models.Store,
-          attributes: ['id', 'name', 'store_type', 'address', 'city', 'state']
-        },
-        {
-          model: req.db.models.StoreService,
-          attributes: ['id', 'service_title', 'description', 'duration_minutes', 'price']
-        },
-        {
-          model: req.db.models.Customer
-        }
-      ]
+    try {
+      if (rule) {
+        series = await req.db.models.BookingSeries.create({
+          tenant_id: isFreePlan ? tenantId : null, // Set tenant_id for free users (shared DB)
+          store_id,
+          service_id,
+          customer_id: finalCustomerId,
+          frequency: rule.frequency,
+          interval_weeks: rule.interval_weeks,
+          starts_at: scheduled_at,
+          end_date: rule.end_date,
+          occurrence_count: rule.count,
+          staff_id: staff_id || null,
+          customer_package_id: customer_package_id || null,
+          status: 'active',
+          created_by: req.user?.id || null,
+          notes: notes || null
+        }, { transaction });
+      }
+
+      for (const occurrence of available) {
+        const { assignment } = occurrence;
+        const booking = await req.db.models.Booking.create({
+          tenant_id: isFreePlan ? tenantId : null, // Set tenant_id for free users (shared DB)
+          store_id,
+          service_id,
+          customer_id: finalCustomerId,
+          customer_name: customer_name || null,
+          customer_email: customer_email || null,
+          customer_phone: customer_phone || null,
+          service_title: service.service_title,
+          description: service.description || null,
+          scheduled_at: occurrence.scheduled_at,
+          duration_minutes: duration,
+          timezone,
+          location_type: location_type || service.location_type,
+          meeting_link: null, // Not used - focusing on in-person services only
+          staff_id: assignment.staff ? assignment.staff.id : null,
+          resource_id: assignment.resource ? assignment.resource.id : null,
+          staff_name: assignment.staff ? assignment.staff.name : (staff_name || null),
+          series_id: series ? series.id : null,
+          customer_package_id: customer_package_id || null,
+          status: 'pending',
+          notes: notes || null
+        }, { transaction });
+        bookingIds.push(booking.id);
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    const bookingInclude = [
+      {
+        model: req.db.models.Store,
+        attributes: ['id', 'name', 'store_type', 'address', 'city', 'state']
+      },
+      {
+        model: req.db.models.StoreService,
+        attributes: ['id', 'service_title', 'description', 'duration_minutes', 'price']
+      },
+      {
+        model: req.db.models.Customer
+      }
+    ];
+
+    const completeBooking = await req.db.models.Booking.findByPk(bookingIds[0], {
+      include: bookingInclude
     });
 
-    // Send booking confirmation email
+    // Send booking confirmation email (the first appointment of a series)
     if (customer_email && tenant) {
-      try {
-        const { sendBookingConfirmationEmail } = require('../services/emailService');
-        await sendBookingConfirmationEmail({
-          tenant,
-          booking: completeBooking,
-          customerEmail: customer_email,
-          customerName: customer_name || customer?.name || 'Customer'
-        });
-      } catch (emailError) {
-        console.error('Error sending booking confirmation email:', emailError);
-        // Don't fail the booking creation if email fails
-      }
+      await sendCreatedBookingConfirmation(tenant, completeBooking, customer_email, customer_name || customer?.name || 'Customer');
+    }
+
+    if (!series) {
+      return res.status(201).json({
+        success: true,
+        message: 'Booking created successfully',
+        data: { booking: completeBooking }
+      });
     }
 
+    const bookings = await req.db.models.Booking.findAll({
+      where: { series_id: series.id },
+      order: [['scheduled_at', 'ASC']]
+    });
+
     res.status(201).json({
       success: true,
-      message: 'Booking created successfully',
-      data: { booking: completeBooking }
+      message: conflicts.length > 0
+        ? `Recurring booking created (${bookings.length} bookings, ${conflicts.length} skipped)`
+        : `Recurring booking created (${bookings.length} bookings)`,
+      data: {
+        series,
+        booking: completeBooking,
+        bookings,
+        skipped: conflicts.map(({ scheduled_at: at, message }) => ({ scheduled_at: at, message }))
+      }
     });
   } catch (error) {
     console.error('Error creating booking:', error);
@@ -325,9 +503,42 @@ async function updateBooking(req, res) {
       scheduled_at,
       duration_minutes,
       staff_name,
+      staff_id,
+      timezone,
       notes
     } = req.body;
 
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'timezone must be an IANA time zone (e.g. Africa/Lagos)'
+      });
+    }
+
+    // Moving the booking or changing its staff member re-checks staff and resource availability
+    let assignment = null;
+    if (scheduled_at !== undefined || staff_id !== undefined || duration_minutes !== undefined) {
+      const service = await req.db.models.StoreService.findByPk(booking.service_id);
+      if (service) {
+        assignment = await findBookingAssignment(req.db.models, {
+          storeId: booking.store_id,
+          service,
+          scheduledAt: scheduled_at !== undefined ? scheduled_at : booking.scheduled_at,
+          duration: duration_minutes !== undefined ? duration_minutes : booking.duration_minutes,
+          staffId: staff_id !== undefined ? staff_id : booking.staff_id,
+          isFreePlan: !!req.tenant && req.tenant.subscription_plan === 'free',
+          excludeBookingId: booking.id
+        });
+
+        if (!assignment.valid) {
+          return res.status(assignment.status || 400).json({
+            success: false,
+            message: assignment.message
+          });
+        }
+      }
+    }
+
     await booking.update({
       ...(customer_id !== undefined && { customer_id }),
       ...(service_type !== undefined && { service_type }),
@@ -336,6 +547,12 @@ async function updateBooking(req, res) {
       ...(scheduled_at !== undefined && { scheduled_at }),
       ...(duration_minutes !== undefined && { duration_minutes }),
       ...(staff_name !== undefined && { staff_name }),
+      ...(timezone !== undefined && { timezone }),
+      ...(assignment && assignment.uses_assignment && {
+        staff_id: assignment.staff ? assignment.staff.id : null,
+        resource_id: assignment.resource ? assignment.resource.id : null,
+        ...(assignment.staff && { staff_name: assignment.staff.name })
+      }),
       ...(notes !== undefined && { notes })
     });
 
@@ -366,7 +583,7 @@ async function updateBooking(req, res) {
  */
 async function updateBookingStatus(req, res) {
   try {
-    const { status } = req.body;
+    const { status, cancellation_reason, waive_cancellation_fee } = req.body;
     
     const validStatuses = ['pending', 'confirmed', 'completed', 'cancelled', 'no_show'];
     if (!validStatuses.includes(status)) {
@@ -385,12 +602,69 @@ async function updateBookingStatus(req, res) {
       });
     }
 
-    await booking.update({ status });
+    const previousStatus = booking.status;
+
+    // Cancellations and no-shows keep the service's cancellation fee out of any deposit / prepayment
+    let charges = null;
+    if (['cancelled', 'no_show'].includes(status) && previousStatus !== status) {
+      const service = booking.service_id ? await req.db.models.StoreService.findByPk(booking.service_id) : null;
+      charges = getCancellationCharges(booking, waive_cancellation_fee ? null : service, { noShow: status === 'no_show' });
+    }
+
+    const tenantId = req.user?.tenantId;
+    const isFreePlan = !!req.tenant && req.tenant.subscription_plan === 'free';
+
+    // A completed booking paid from a prepaid package takes a session; undoing the completion gives it back
+    const transaction = await req.db.transaction();
+    let packageSession = null;
+    try {
+      await booking.update({
+        status,
+        ...(status === 'cancelled' && cancellation_reason !== undefined && { cancellation_reason }),
+        ...(charges && {
+          cancellation_fee: charges.cancellation_fee,
+          refund_amount: charges.refund_amount,
+          payment_status: charges.payment_status
+        })
+      }, { transaction });
+
+      if (previousStatus !== status && status === 'completed') {
+        packageSession = await redeemPackageSession(req.db.models, booking, {
+          tenantId: isFreePlan ? tenantId : null,
+          createdBy: req.user?.id || null
+        }, transaction);
+      } else if (previousStatus === 'completed' && status !== 'completed') {
+        await reversePackageSession(req.db.models, booking, {
+          tenantId: isFreePlan ? tenantId : null,
+          createdBy: req.user?.id || null,
+          reason: `Booking status changed to ${status}`
+        }, transaction);
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    // Service commission for the staff member named on the booking (staff and commissions are enterprise-only)
+    if (!(req.tenant && req.tenant.subscription_plan === 'free') && previousStatus !== status) {
+      if (status === 'completed') {
+        await accrueBookingCommission(req.db.models, booking);
+      } else if (previousStatus === 'completed') {
+        await reverseCommission(req.db.models, 'booking', booking.id, {
+          reason: `Booking status changed to ${status}`
+        });
+      }
+    }
 
     res.json({
       success: true,
       message: 'Booking status updated successfully',
-      data: { booking }
+      data: {
+        booking,
+        ...(packageSession && { package_session: packageSession })
+      }
     });
   } catch (error) {
     console.error('Error updating booking status:', error);
@@ -401,6 +675,201 @@ async function updateBookingStatus(req, res) {
   }
 }
 
+/**
+ * Record that the refund owed on a cancelled booking has been paid back to the customer
+ * POST /api/v1/bookings/:id/refund-completed
+ */
+async function markBookingRefunded(req, res) {
+  try {
+    const booking = await req.db.models.Booking.findByPk(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (booking.payment_status !== 'refund_due') {
+      return res.status(400).json({
+        success: false,
+        message: 'This booking has no refund outstanding'
+      });
+    }
+
+    await booking.update({ payment_status: 'refunded' });
+
+    res.json({
+      success: true,
+      message: 'Booking refund recorded',
+      data: { booking }
+    });
+  } catch (error) {
+    console.error('Error recording booking refund:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record booking refund'
+    });
+  }
+}
+
+/**
+ * Get a recurring booking series with its bookings
+ * GET /api/v1/bookings/series/:id
+ */
+async function getBookingSeries(req, res) {
+  try {
+    const series = await req.db.models.BookingSeries.findByPk(req.params.id, {
+      include: [
+        {
+          model: req.db.models.StoreService,
+          attributes: ['id', 'service_title', 'duration_minutes', 'price']
+        },
+        {
+          model: req.db.models.Customer,
+          attributes: ['id', 'name', 'email', 'phone']
+        },
+        {
+          model: req.db.models.Booking,
+          required: false
+        }
+      ],
+      order: [[req.db.models.Booking, 'scheduled_at', 'ASC']]
+    });
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking series not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { series }
+    });
+  } catch (error) {
+    console.error('Error getting booking series:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get booking series'
+    });
+  }
+}
+
+/**
+ * Cancel a recurring booking series: its upcoming bookings from a date (default now) are cancelled
+ * POST /api/v1/bookings/series/:id/cancel
+ */
+async function cancelBookingSeries(req, res) {
+  try {
+    const { from_date, cancellation_reason } = req.body;
+
+    const series = await req.db.models.BookingSeries.findByPk(req.params.id);
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking series not found'
+      });
+    }
+
+    if (series.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking series is already cancelled'
+      });
+    }
+
+    const from = from_date ? moment(from_date, 'YYYY-MM-DD', true) : moment();
+    if (!from.isValid()) {
+      return res.status(400).json({
+        success: false,
+        message: 'from_date must be a date (YYYY-MM-DD)'
+      });
+    }
+
+    const transaction = await req.db.transaction();
+    let cancelled;
+    try {
+      [cancelled] = await req.db.models.Booking.update({
+        status: 'cancelled',
+        cancellation_reason: cancellation_reason || 'Recurring booking cancelled'
+      }, {
+        where: {
+          series_id: series.id,
+          status: { [Sequelize.Op.in]: ['pending', 'confirmed'] },
+          scheduled_at: { [Sequelize.Op.gte]: from.toDate() }
+        },
+        transaction
+      });
+
+      // Cancelling from the start ends the whole series; from a later date it just stops there
+      await series.update(
+        from.isAfter(series.starts_at)
+          ? { end_date: from.clone().subtract(1, 'day').format('YYYY-MM-DD') }
+          : { status: 'cancelled' },
+        { transaction }
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      message: `${cancelled} booking(s) cancelled`,
+      data: { series, cancelled_bookings: cancelled }
+    });
+  } catch (error) {
+    console.error('Error cancelling booking series:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel booking series'
+    });
+  }
+}
+
+/**
+ * Download a booking as an .ics calendar event
+ * GET /api/v1/bookings/:id/ics
+ */
+async function downloadBookingIcs(req, res) {
+  try {
+    const booking = await req.db.models.Booking.findByPk(req.params.id, {
+      include: [
+        {
+          model: req.db.models.Store,
+          attributes: ['id', 'name', 'address', 'city', 'state']
+        }
+      ]
+    });
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const ics = buildBookingIcs(booking, {
+      tenantId: req.user?.tenantId,
+      audience: 'staff'
+    });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="booking-${booking.id}.ics"`);
+    res.send(ics);
+  } catch (error) {
+    console.error('Error exporting booking calendar event:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export booking'
+    });
+  }
+}
+
 /**
  * Delete booking
  */
@@ -491,10 +960,11 @@ async function getBookingsByDateRange(req, res) {
 
 /**
  * Get available time slots (Calendly-like availability)
+ * Enterprise stores only offer slots where a staff member who performs the service and a resource are free
  */
 async function getAvailableTimeSlots(req, res) {
   try {
-    const { store_id, service_id, date } = req.query;
+    const { store_id, service_id, date, staff_id } = req.query;
 
     if (!store_id || !service_id || !date) {
       return res.status(400).json({
@@ -515,83 +985,285 @@ async function getAvailableTimeSlots(req, res) {
       });
     }
 
-    // Get availability settings for this store/service
-    const availability = await req.db.models.BookingAvailability.findAll({
-      where: {
-        store_id,
-        service_id: service_id,
-        is_available: true
-      }
+    const result = await getAvailableSlots(req.db.models, {
+      storeId: store_id,
+      service,
+      date,
+      staffId: staff_id || null,
+      isFreePlan: !!req.tenant && req.tenant.subscription_plan === 'free'
     });
 
-    // Get existing bookings for this date
-    const startOfDay = moment(date).startOf('day');
-    const endOfDay = moment(date).endOf('day');
+    if (!result.valid) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
 
-    const existingBookings = await req.db.models.Booking.findAll({
-      where: {
-        store_id,
-        service_id,
-        scheduled_at: {
-          [Sequelize.Op.between]: [startOfDay.toDate(), endOfDay.toDate()]
+    res.json({
+      success: true,
+      data: {
+        service: {
+          id: service.id,
+          service_title: service.service_title,
+          duration_minutes: service.duration_minutes
         },
-        status: {
-          [Sequelize.Op.in]: ['pending', 'confirmed']
-        }
+        date,
+        available_slots: result.slots
       }
     });
+  } catch (error) {
+    console.error('Error getting available time slots:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get available time slots'
+    });
+  }
+}
 
-    // Get day of week (0 = Sunday, 1 = Monday, etc.)
-    const dayOfWeek = moment(date).day();
-    const dayAvailability = availability.filter(a => a.day_of_week === dayOfWeek);
+/**
+ * Get booking reminder and self-service settings (defaults if never saved)
+ */
+async function getBookingReminderSettings(req, res) {
+  try {
+    const isFreePlan = req.tenant && req.tenant.subscription_plan === 'free';
+    const settings = await loadBookingReminderSettings(req.db.models, isFreePlan ? req.user.tenantId : null);
+    const whatsappConnection = await getActiveWhatsAppConnection(req.db.models, isFreePlan ? req.user.tenantId : null);
 
-    // Generate available time slots
-    const availableSlots = [];
-    const duration = service.duration_minutes || 60;
+    res.json({
+      success: true,
+      data: {
+        settings,
+        whatsapp_connected: !!whatsappConnection
+      }
+    });
+  } catch (error) {
+    console.error('Error getting booking reminder settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get reminder settings'
+    });
+  }
+}
 
-    for (const avail of dayAvailability) {
-      const startTime = moment(`${date} ${avail.start_time}`, 'YYYY-MM-DD HH:mm:ss');
-      const endTime = moment(`${date} ${avail.end_time}`, 'YYYY-MM-DD HH:mm:ss');
+/**
+ * Update booking reminder and self-service settings
+ * Body: { is_enabled, hours_before: [24, 1], send_email, send_whatsapp, allow_reschedule, allow_cancellation,
+ *         reschedule_cutoff_hours, cancellation_cutoff_hours, max_reschedules }
+ */
+async function updateBookingReminderSettings(req, res) {
+  try {
+    const {
+      is_enabled,
+      hours_before,
+      send_email,
+      send_whatsapp,
+      allow_reschedule,
+      allow_cancellation,
+      reschedule_cutoff_hours,
+      cancellation_cutoff_hours,
+      max_reschedules
+    } = req.body;
 
-      let currentSlot = moment(startTime);
-      while (currentSlot.add(duration, 'minutes').isBefore(endTime) || currentSlot.isSame(endTime)) {
-        const slotStart = moment(currentSlot).subtract(duration, 'minutes');
-        const slotEnd = moment(currentSlot);
+    if (hours_before !== undefined && (!Array.isArray(hours_before) || hours_before.some(hour => !Number.isInteger(Number(hour)) || Number(hour) <= 0))) {
+      return res.status(400).json({
+        success: false,
+        message: 'hours_before must be an array of positive whole numbers of hours'
+      });
+    }
 
-        // Check if this slot conflicts with existing bookings
-        const hasConflict = existingBookings.some(booking => {
-          const bookingStart = moment(booking.scheduled_at);
-          const bookingEnd = moment(booking.scheduled_at).add(booking.duration_minutes, 'minutes');
-          return (slotStart.isBefore(bookingEnd) && slotEnd.isAfter(bookingStart));
+    for (const [field, value] of [
+      ['reschedule_cutoff_hours', reschedule_cutoff_hours],
+      ['cancellation_cutoff_hours', cancellation_cutoff_hours],
+      ['max_reschedules', max_reschedules]
+    ]) {
+      if (value !== undefined && (!Number.isInteger(Number(value)) || Number(value) < 0)) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be a whole number of 0 or more`
         });
+      }
+    }
 
-        if (!hasConflict) {
-          availableSlots.push({
-            start_time: slotStart.format('YYYY-MM-DD HH:mm:ss'),
-            end_time: slotEnd.format('YYYY-MM-DD HH:mm:ss'),
-            duration_minutes: duration
-          });
+    const isFreePlan = req.tenant && req.tenant.subscription_plan === 'free';
+    const tenantId = isFreePlan ? req.user.tenantId : null;
+
+    let setting = await req.db.models.BookingReminderSetting.findOne({
+      where: tenantId ? { tenant_id: tenantId } : {}
+    });
+
+    const updates = {
+      ...(is_enabled !== undefined && { is_enabled }),
+      ...(hours_before !== undefined && { hours_before: hours_before.map(Number) }),
+      ...(send_email !== undefined && { send_email }),
+      ...(send_whatsapp !== undefined && { send_whatsapp }),
+      ...(allow_reschedule !== undefined && { allow_reschedule }),
+      ...(allow_cancellation !== undefined && { allow_cancellation }),
+      ...(reschedule_cutoff_hours !== undefined && { reschedule_cutoff_hours: Number(reschedule_cutoff_hours) }),
+      ...(cancellation_cutoff_hours !== undefined && { cancellation_cutoff_hours: Number(cancellation_cutoff_hours) }),
+      ...(max_reschedules !== undefined && { max_reschedules: Number(max_reschedules) })
+    };
+
+    if (setting) {
+      await setting.update(updates);
+    } else {
+      setting = await req.db.models.BookingReminderSetting.create({
+        tenant_id: tenantId,
+        ...DEFAULT_BOOKING_REMINDER_SETTINGS,
+        ...updates
+      });
+    }
+
+    const settings = await loadBookingReminderSettings(req.db.models, tenantId);
+
+    res.json({
+      success: true,
+      message: 'Reminder settings updated successfully',
+      data: { settings }
+    });
+  } catch (error) {
+    console.error('Error updating booking reminder settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update reminder settings'
+    });
+  }
+}
+
+/**
+ * Get reminder history for a booking
+ */
+async function getBookingReminders(req, res) {
+  try {
+    const booking = await req.db.models.Booking.findByPk(req.params.id, {
+      attributes: ['id']
+    });
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const reminders = await req.db.models.BookingReminder.findAll({
+      where: { booking_id: booking.id },
+      order: [['sent_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: { reminders }
+    });
+  } catch (error) {
+    console.error('Error getting booking reminders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get booking reminders'
+    });
+  }
+}
+
+/**
+ * Send a reminder for a booking now (manual)
+ */
+async function sendBookingReminderNow(req, res) {
+  try {
+    const booking = await req.db.models.Booking.findByPk(req.params.id, {
+      include: [
+        {
+          model: req.db.models.Store,
+          required: false,
+          attributes: ['id', 'name', 'address', 'city', 'state', 'phone']
         }
-      }
+      ]
+    });
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!['pending', 'confirmed'].includes(booking.status) || !moment(booking.scheduled_at).isAfter(moment())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reminders can only be sent for upcoming pending or confirmed bookings'
+      });
     }
 
+    const isFreePlan = req.tenant && req.tenant.subscription_plan === 'free';
+    const tenantId = isFreePlan ? req.user.tenantId : null;
+    const settings = await loadBookingReminderSettings(req.db.models, tenantId);
+    const whatsappConnection = settings.send_whatsapp
+      ? await getActiveWhatsAppConnection(req.db.models, tenantId)
+      : null;
+
+    const reminders = await sendBookingReminder(req.db.models, {
+      tenant: req.tenant,
+      booking,
+      settings,
+      reminderType: 'manual',
+      hoursBefore: 0,
+      whatsappConnection,
+      sentBy: req.user.id
+    });
+
+    if (reminders.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Customer has no email address or WhatsApp number to remind'
+      });
+    }
+
+    const sent = reminders.filter(reminder => reminder.status === 'sent');
+
+    res.status(sent.length > 0 ? 200 : 502).json({
+      success: sent.length > 0,
+      message: sent.length > 0
+        ? `Reminder sent by ${sent.map(reminder => reminder.channel).join(' and ')}`
+        : 'Failed to send reminder',
+      data: { reminders }
+    });
+  } catch (error) {
+    console.error('Error sending booking reminder:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send reminder'
+    });
+  }
+}
+
+/**
+ * Get the customer's signed reschedule/cancel links for a booking (e.g. to share manually)
+ */
+async function getBookingManageLinks(req, res) {
+  try {
+    const booking = await req.db.models.Booking.findByPk(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const isFreePlan = req.tenant && req.tenant.subscription_plan === 'free';
+    const settings = await loadBookingReminderSettings(req.db.models, isFreePlan ? req.user.tenantId : null);
+
     res.json({
       success: true,
       data: {
-        service: {
-          id: service.id,
-          service_title: service.service_title,
-          duration_minutes: service.duration_minutes
-        },
-        date,
-        available_slots: availableSlots
+        links: buildBookingManageLinks(req.user.tenantId, booking.id),
+        policy: getSelfServicePolicy(booking, settings)
       }
     });
   } catch (error) {
-    console.error('Error getting available time slots:', error);
+    console.error('Error getting booking manage links:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to get available time slots'
+      message: 'Failed to get booking links'
     });
   }
 }
@@ -602,8 +1274,17 @@ module.exports = {
   createBooking,
   updateBooking,
   updateBookingStatus,
+  markBookingRefunded,
+  getBookingSeries,
+  cancelBookingSeries,
   deleteBooking,
   getBookingsByDateRange,
-  getAvailableTimeSlots
+  getAvailableTimeSlots,
+  getBookingReminderSettings,
+  updateBookingReminderSettings,
+  getBookingReminders,
+  sendBookingReminderNow,
+  getBookingManageLinks,
+  downloadBookingIcs
 };
 
@@ -0,0 +1,522 @@
+const { Sequelize } = require('sequelize');
+const moment = require('moment');
+const { normalizeTime } = require('../services/shiftSchedulingService');
+
+const TIME_OFF_TYPES = ['annual_leave', 'sick_leave', 'training', 'personal', 'other'];
+const TIME_OFF_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * Check every service id belongs to the store (or any store when storeId is null)
+ */
+async function findServices(models, serviceIds, storeId = null) {
+  const ids = [...new Set((serviceIds || []).map(id => parseInt(id)).filter(Boolean))];
+  if (ids.length === 0) return { valid: true, services: [] };
+
+  const where = { id: { [Sequelize.Op.in]: ids } };
+  if (storeId) where.store_id = storeId;
+
+  const services = await models.StoreService.findAll({ where });
+  if (services.length !== ids.length) {
+    return { valid: false, message: 'One or more services were not found for this store' };
+  }
+  return { valid: true, services };
+}
+
+/**
+ * Get a staff member's booking schedule: services, weekly working hours and upcoming time off
+ */
+async function getStaffBookingSchedule(req, res) {
+  try {
+    const staff = await req.db.models.Staff.findByPk(req.params.staff_id, {
+      attributes: ['id', 'name', 'store_id', 'status'],
+      include: [{
+        model: req.db.models.StoreService,
+        attributes: ['id', 'service_title', 'duration_minutes', 'store_id'],
+        through: { attributes: [] }
+      }]
+    });
+
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff not found'
+      });
+    }
+
+    const workingHours = await req.db.models.StaffWorkingHours.findAll({
+      where: { staff_id: staff.id },
+      order: [['store_id', 'ASC'], ['day_of_week', 'ASC'], ['start_time', 'ASC']]
+    });
+
+    const timeOff = await req.db.models.StaffTimeOff.findAll({
+      where: {
+        staff_id: staff.id,
+        end_at: { [Sequelize.Op.gte]: moment().toDate() }
+      },
+      order: [['start_at', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        staff,
+        working_hours: workingHours,
+        time_off: timeOff
+      }
+    });
+  } catch (error) {
+    console.error('Error getting staff booking schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get staff booking schedule'
+    });
+  }
+}
+
+/**
+ * Set the services a staff member performs (replaces the current list)
+ */
+async function setStaffServices(req, res) {
+  try {
+    const { service_ids } = req.body;
+
+    if (!Array.isArray(service_ids)) {
+      return res.status(400).json({
+        success: false,
+        message: 'service_ids must be an array'
+      });
+    }
+
+    const staff = await req.db.models.Staff.findByPk(req.params.staff_id);
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff not found'
+      });
+    }
+
+    const result = await findServices(req.db.models, service_ids);
+    if (!result.valid) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    await staff.setStoreServices(result.services);
+
+    res.json({
+      success: true,
+      message: 'Staff services updated successfully',
+      data: {
+        staff_id: staff.id,
+        services: result.services.map(service => ({ id: service.id, service_title: service.service_title }))
+      }
+    });
+  } catch (error) {
+    console.error('Error setting staff services:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update staff services'
+    });
+  }
+}
+
+/**
+ * Set a staff member's weekly working hours at a store (replaces that store's hours)
+ * Used for booking availability on days without a scheduled shift
+ */
+async function setStaffWorkingHours(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const { store_id, hours } = req.body; // hours: [{ day_of_week, start_time, end_time }]
+
+    if (!store_id || !Array.isArray(hours)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'store_id and hours are required'
+      });
+    }
+
+    const staff = await req.db.models.Staff.findByPk(req.params.staff_id, { transaction });
+    if (!staff) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Staff not found'
+      });
+    }
+
+    const rows = [];
+    for (const entry of hours) {
+      const dayOfWeek = parseInt(entry.day_of_week);
+      const startTime = normalizeTime(entry.start_time);
+      const endTime = normalizeTime(entry.end_time);
+
+      if (isNaN(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6 || !startTime || !endTime || startTime === endTime) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Each entry needs day_of_week (0-6) and different start_time and end_time (HH:mm)'
+        });
+      }
+
+      rows.push({
+        staff_id: staff.id,
+        store_id,
+        day_of_week: dayOfWeek,
+        start_time: startTime,
+        end_time: endTime,
+        is_active: entry.is_active !== undefined ? !!entry.is_active : true
+      });
+    }
+
+    await req.db.models.StaffWorkingHours.destroy({
+      where: { staff_id: staff.id, store_id },
+      transaction
+    });
+    const workingHours = await req.db.models.StaffWorkingHours.bulkCreate(rows, { transaction });
+
+    await transaction.commit();
+
+    res.json({
+      success: true,
+      message: 'Working hours updated successfully',
+      data: { working_hours: workingHours }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error setting staff working hours:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update working hours'
+    });
+  }
+}
+
+/**
+ * Add time off for a staff member
+ * Approved time off blocks booking slots; existing bookings in the period are returned for reassignment
+ */
+async function createStaffTimeOff(req, res) {
+  try {
+    const { start_at, end_at, time_off_type = 'annual_leave', status = 'approved', reason } = req.body;
+
+    if (!start_at || !end_at || !moment(end_at).isAfter(moment(start_at))) {
+      return res.status(400).json({
+        success: false,
+        message: 'start_at and end_at are required and end_at must be after start_at'
+      });
+    }
+
+    if (!TIME_OFF_TYPES.includes(time_off_type) || !TIME_OFF_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `time_off_type must be one of: ${TIME_OFF_TYPES.join(', ')}; status one of: ${TIME_OFF_STATUSES.join(', ')}`
+      });
+    }
+
+    const staff = await req.db.models.Staff.findByPk(req.params.staff_id);
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff not found'
+      });
+    }
+
+    const timeOff = await req.db.models.StaffTimeOff.create({
+      staff_id: staff.id,
+      start_at,
+      end_at,
+      time_off_type,
+      status,
+      reason: reason || null,
+      created_by: req.user.staffId || req.user.id
+    });
+
+    const affectedBookings = await req.db.models.Booking.findAll({
+      where: {
+        staff_id: staff.id,
+        scheduled_at: {
+          [Sequelize.Op.between]: [moment(start_at).toDate(), moment(end_at).toDate()]
+        },
+        status: {
+          [Sequelize.Op.in]: ['pending', 'confirmed']
+        }
+      },
+      attributes: ['id', 'service_title', 'customer_name', 'scheduled_at', 'status'],
+      order: [['scheduled_at', 'ASC']]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Time off added successfully',
+      data: {
+        time_off: timeOff,
+        affected_bookings: affectedBookings
+      }
+    });
+  } catch (error) {
+    console.error('Error creating staff time off:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add time off'
+    });
+  }
+}
+
+/**
+ * Delete time off
+ */
+async function deleteStaffTimeOff(req, res) {
+  try {
+    const timeOff = await req.db.models.StaffTimeOff.findByPk(req.params.id);
+
+    if (!timeOff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time off not found'
+      });
+    }
+
+    await timeOff.destroy();
+
+    res.json({
+      success: true,
+      message: 'Time off deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting staff time off:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete time off'
+    });
+  }
+}
+
+/**
+ * Get bookable resources (rooms, chairs, equipment)
+ */
+async function getResources(req, res) {
+  try {
+    const { store_id, service_id, is_active } = req.query;
+
+    const where = {};
+    if (store_id) where.store_id = store_id;
+    if (is_active !== undefined) where.is_active = is_active === 'true';
+
+    const resources = await req.db.models.BookableResource.findAll({
+      where,
+      include: [{
+        model: req.db.models.StoreService,
+        attributes: ['id', 'service_title'],
+        through: { attributes: [] },
+        ...(service_id && { where: { id: service_id } })
+      }],
+      order: [['store_id', 'ASC'], ['name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { resources }
+    });
+  } catch (error) {
+    console.error('Error getting bookable resources:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get resources'
+    });
+  }
+}
+
+/**
+ * Create bookable resource
+ */
+async function createResource(req, res) {
+  try {
+    const { store_id, name, resource_type = 'room', capacity = 1, service_ids = [], notes } = req.body;
+
+    if (!store_id || !name) {
+      return res.status(400).json({
+        success: false,
+        message: 'store_id and name are required'
+      });
+    }
+
+    if (!parseInt(capacity) || parseInt(capacity) < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'capacity must be at least 1'
+      });
+    }
+
+    const store = await req.db.models.Store.findByPk(store_id);
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found'
+      });
+    }
+
+    const result = await findServices(req.db.models, service_ids, store_id);
+    if (!result.valid) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const resource = await req.db.models.BookableResource.create({
+      store_id,
+      name,
+      resource_type,
+      capacity: parseInt(capacity),
+      notes: notes || null
+    });
+    await resource.setStoreServices(result.services);
+
+    const completeResource = await req.db.models.BookableResource.findByPk(resource.id, {
+      include: [{
+        model: req.db.models.StoreService,
+        attributes: ['id', 'service_title'],
+        through: { attributes: [] }
+      }]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Resource created successfully',
+      data: { resource: completeResource }
+    });
+  } catch (error) {
+    console.error('Error creating bookable resource:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create resource'
+    });
+  }
+}
+
+/**
+ * Update bookable resource
+ */
+async function updateResource(req, res) {
+  try {
+    const resource = await req.db.models.BookableResource.findByPk(req.params.id);
+
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    const { name, resource_type, capacity, is_active, service_ids, notes } = req.body;
+
+    if (capacity !== undefined && (!parseInt(capacity) || parseInt(capacity) < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'capacity must be at least 1'
+      });
+    }
+
+    if (service_ids !== undefined) {
+      const result = await findServices(req.db.models, service_ids, resource.store_id);
+      if (!result.valid) {
+        return res.status(400).json({
+          success: false,
+          message: result.message
+        });
+      }
+      await resource.setStoreServices(result.services);
+    }
+
+    await resource.update({
+      ...(name !== undefined && { name }),
+      ...(resource_type !== undefined && { resource_type }),
+      ...(capacity !== undefined && { capacity: parseInt(capacity) }),
+      ...(is_active !== undefined && { is_active }),
+      ...(notes !== undefined && { notes })
+    });
+
+    const updatedResource = await req.db.models.BookableResource.findByPk(resource.id, {
+      include: [{
+        model: req.db.models.StoreService,
+        attributes: ['id', 'service_title'],
+        through: { attributes: [] }
+      }]
+    });
+
+    res.json({
+      success: true,
+      message: 'Resource updated successfully',
+      data: { resource: updatedResource }
+    });
+  } catch (error) {
+    console.error('Error updating bookable resource:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update resource'
+    });
+  }
+}
+
+/**
+ * Delete bookable resource (deactivated instead when upcoming bookings use it)
+ */
+async function deleteResource(req, res) {
+  try {
+    const resource = await req.db.models.BookableResource.findByPk(req.params.id);
+
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    const upcomingBookings = await req.db.models.Booking.count({
+      where: {
+        resource_id: resource.id,
+        scheduled_at: { [Sequelize.Op.gte]: moment().toDate() },
+        status: { [Sequelize.Op.in]: ['pending', 'confirmed'] }
+      }
+    });
+
+    if (upcomingBookings > 0) {
+      await resource.update({ is_active: false });
+      return res.json({
+        success: true,
+        message: `Resource deactivated. ${upcomingBookings} upcoming booking(s) still use it`
+      });
+    }
+
+    await resource.setStoreServices([]);
+    await resource.destroy();
+
+    res.json({
+      success: true,
+      message: 'Resource deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting bookable resource:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete resource'
+    });
+  }
+}
+
+module.exports = {
+  getStaffBookingSchedule,
+  setStaffServices,
+  setStaffWorkingHours,
+  createStaffTimeOff,
+  deleteStaffTimeOff,
+  getResources,
+  createResource,
+  updateResource,
+  deleteResource
+};
@@ -0,0 +1,454 @@
+const { Sequelize } = require('sequelize');
+const moment = require('moment');
+const {
+  findOpenSession,
+  findCashierSession,
+  summarizeSession,
+  calculateVariance
+} = require('../services/cashDrawerService');
+const { generateNumber } = require('../services/numberService');
+
+/**
+ * Load a session with store, cashier and movements
+ */
+function findSession(models, id) {
+  return models.CashDrawerSession.findByPk(id, {
+    include: [
+      {
+        model: models.Store,
+        attributes: ['id', 'name']
+      },
+      {
+        model: models.Staff,
+        attributes: ['id', 'name', 'employee_id']
+      },
+      {
+        model: models.CashDrawerMovement
+      }
+    ],
+    order: [[models.CashDrawerMovement, 'created_at', 'ASC']]
+  });
+}
+
+/**
+ * Get cash drawer sessions
+ */
+async function getSessions(req, res) {
+  try {
+    const { store_id, staff_id, status, start_date, end_date, page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (store_id) where.store_id = store_id;
+    if (staff_id) where.staff_id = staff_id;
+    if (status) where.status = status;
+    if (start_date || end_date) {
+      where.opened_at = {};
+      if (start_date) where.opened_at[Sequelize.Op.gte] = moment(start_date).startOf('day').toDate();
+      if (end_date) where.opened_at[Sequelize.Op.lte] = moment(end_date).endOf('day').toDate();
+    }
+
+    const { count, rows } = await req.db.models.CashDrawerSession.findAndCountAll({
+      where,
+      include: [
+        {
+          model: req.db.models.Store,
+          attributes: ['id', 'name']
+        },
+        {
+          model: req.db.models.Staff,
+          attributes: ['id', 'name']
+        }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['opened_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: rows,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting cash drawer sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get cash drawer sessions'
+    });
+  }
+}
+
+/**
+ * Get the logged-in cashier's open session for a store, with running totals
+ */
+async function getCurrentSession(req, res) {
+  try {
+    const { store_id } = req.query;
+
+    if (!store_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'store_id is required'
+      });
+    }
+
+    const session = await findCashierSession(req.db.models, req.user, store_id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'No open cash drawer session'
+      });
+    }
+
+    const summary = await summarizeSession(req.db.models, session);
+
+    res.json({
+      success: true,
+      data: { session, summary }
+    });
+  } catch (error) {
+    console.error('Error getting current cash drawer session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get current cash drawer session'
+    });
+  }
+}
+
+/**
+ * Get session by ID (running totals while open)
+ */
+async function getSessionById(req, res) {
+  try {
+    const session = await findSession(req.db.models, req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cash drawer session not found'
+      });
+    }
+
+    const summary = await summarizeSession(req.db.models, session);
+
+    res.json({
+      success: true,
+      data: { session, summary }
+    });
+  } catch (error) {
+    console.error('Error getting cash drawer session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get cash drawer session'
+    });
+  }
+}
+
+/**
+ * Open a cash drawer session with an opening float
+ */
+async function openSession(req, res) {
+  try {
+    const { store_id, opening_float = 0, register_name, notes } = req.body;
+
+    if (!store_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'store_id is required'
+      });
+    }
+
+    if (isNaN(parseFloat(opening_float)) || parseFloat(opening_float) < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'opening_float must be zero or more'
+      });
+    }
+
+    const store = await req.db.models.Store.findByPk(store_id);
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found'
+      });
+    }
+
+    // Tills belong to a staff member, or to the owner (staff_id NULL); other users would open the owner's till
+    const staffId = req.user.staffId || null;
+    if (!staffId && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only staff members can open a cash drawer session'
+      });
+    }
+
+    const existingSession = await findOpenSession(req.db.models, { storeId: store_id, staffId });
+    if (existingSession) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have an open cash drawer session in this store',
+        data: { session: existingSession }
+      });
+    }
+
+    const session = await req.db.models.CashDrawerSession.create({
+      session_number: generateNumber('TILL'),
+      store_id,
+      staff_id: staffId,
+      register_name: register_name || null,
+      status: 'open',
+      opening_float,
+      opened_at: new Date(),
+      opened_by: req.user.staffId || req.user.id,
+      opening_notes: notes || null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Cash drawer session opened successfully',
+      data: { session }
+    });
+  } catch (error) {
+    console.error('Error opening cash drawer session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open cash drawer session'
+    });
+  }
+}
+
+/**
+ * Record cash in / cash out on an open session (float top-up, petty cash, bank drop)
+ */
+async function addCashMovement(req, res) {
+  try {
+    const { movement_type, amount, reason } = req.body;
+
+    if (!['cash_in', 'cash_out'].includes(movement_type) || amount === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "movement_type ('cash_in' or 'cash_out') and amount are required"
+      });
+    }
+
+    if (isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'amount must be greater than 0'
+      });
+    }
+
+    const session = await req.db.models.CashDrawerSession.findByPk(req.params.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cash drawer session not found'
+      });
+    }
+
+    if (session.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cash drawer session is closed'
+      });
+    }
+
+    if (movement_type === 'cash_out') {
+      const summary = await summarizeSession(req.db.models, session);
+      if (parseFloat(amount) > summary.expected_cash) {
+        return res.status(400).json({
+          success: false,
+          message: `Cash out exceeds cash in drawer. Expected cash: ${summary.expected_cash}`
+        });
+      }
+    }
+
+    const movement = await req.db.models.CashDrawerMovement.create({
+      session_id: session.id,
+      movement_type,
+      payment_method: 'cash',
+      amount,
+      reason: reason || null,
+      created_by: req.user.staffId || req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${movement_type === 'cash_in' ? 'Cash in' : 'Cash out'} recorded successfully`,
+      data: { movement }
+    });
+  } catch (error) {
+    console.error('Error recording cash movement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record cash movement'
+    });
+  }
+}
+
+/**
+ * Close session: compare counted amounts with expected per payment method and store the variance
+ */
+async function closeSession(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const { counted_cash, counted_by_method = {}, notes } = req.body;
+
+    if (counted_cash === undefined || isNaN(parseFloat(counted_cash)) || parseFloat(counted_cash) < 0) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'counted_cash is required'
+      });
+    }
+
+    const session = await req.db.models.CashDrawerSession.findByPk(req.params.id, { transaction });
+    if (!session) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Cash drawer session not found'
+      });
+    }
+
+    if (session.status !== 'open') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Cash drawer session is already closed'
+      });
+    }
+
+    const summary = await summarizeSession(req.db.models, session, transaction);
+    const variance = calculateVariance(summary.expected_by_method, {
+      ...counted_by_method,
+      cash: counted_cash
+    });
+
+    await session.update({
+      status: 'closed',
+      closed_at: new Date(),
+      closed_by: req.user.staffId || req.user.id,
+      expected_cash: summary.expected_cash,
+      counted_cash: variance.counted_by_method.cash,
+      cash_variance: variance.variance_by_method.cash,
+      expected_by_method: summary.expected_by_method,
+      counted_by_method: variance.counted_by_method,
+      variance_by_method: variance.variance_by_method,
+      total_sales: summary.total_sales,
+      total_refunds: summary.total_refunds,
+      transaction_count: summary.transaction_count,
+      closing_notes: notes || null
+    }, { transaction });
+
+    await transaction.commit();
+
+    const cashVariance = variance.variance_by_method.cash;
+
+    res.json({
+      success: true,
+      message: cashVariance === 0
+        ? 'Cash drawer session closed. Drawer balanced'
+        : `Cash drawer session closed. Cash ${cashVariance > 0 ? 'over' : 'short'} by ${Math.abs(cashVariance).toFixed(2)}`,
+      data: {
+        session,
+        summary,
+        variance
+      }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error closing cash drawer session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close cash drawer session'
+    });
+  }
+}
+
+/**
+ * Get Z-report for a session (JSON, plus ESC/POS commands for thermal printers with ?format=escpos)
+ */
+async function getZReport(req, res) {
+  try {
+    const { format, currency = 'NGN' } = req.query;
+    const session = await findSession(req.db.models, req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cash drawer session not found'
+      });
+    }
+
+    const summary = await summarizeSession(req.db.models, session);
+    const isClosed = session.status === 'closed';
+
+    const zReport = {
+      session_number: session.session_number,
+      store_name: session.Store ? session.Store.name : null,
+      register_name: session.register_name,
+      cashier_name: session.Staff ? session.Staff.name : null,
+      status: session.status,
+      opened_at: moment(session.opened_at).format('YYYY-MM-DD HH:mm'),
+      closed_at: session.closed_at ? moment(session.closed_at).format('YYYY-MM-DD HH:mm') : null,
+      currency,
+      transaction_count: summary.transaction_count,
+      total_sales: summary.total_sales,
+      total_refunds: summary.total_refunds,
+      layaway_payments: summary.layaway_payments,
+      opening_float: summary.opening_float,
+      cash_in: summary.cash_in,
+      cash_out: summary.cash_out,
+      by_method: summary.by_method,
+      // Closed sessions report the figures frozen at close
+      expected_cash: isClosed ? parseFloat(session.expected_cash) : summary.expected_cash,
+      counted_cash: isClosed ? parseFloat(session.counted_cash) : null,
+      cash_variance: isClosed ? parseFloat(session.cash_variance) : null,
+      expected_by_method: isClosed ? session.expected_by_method : summary.expected_by_method,
+      counted_by_method: isClosed ? session.counted_by_method : null,
+      variance_by_method: isClosed ? session.variance_by_method : null,
+      closing_notes: session.closing_notes
+    };
+
+    let escPosCommandsBase64 = null;
+    if (format === 'escpos') {
+      const { generateEscPosZReport } = require('../services/receiptEscPosService');
+      escPosCommandsBase64 = generateEscPosZReport(zReport).toString('base64');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        z_report: zReport,
+        ...(escPosCommandsBase64 && { esc_pos_commands: escPosCommandsBase64 })
+      }
+    });
+  } catch (error) {
+    console.error('Error generating Z-report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate Z-report'
+    });
+  }
+}
+
+module.exports = {
+  getSessions,
+  getCurrentSession,
+  getSessionById,
+  openSession,
+  addCashMovement,
+  closeSession,
+  getZReport
+};
@@ -0,0 +1,440 @@
+const { Sequelize } = require('sequelize');
+const moment = require('moment');
+const { normalizeTiers, buildCommissionStatement } = require('../services/commissionService');
+
+/**
+ * Validate plan fields and overrides shared by create and update
+ * @returns {Object} - { valid, message, tiers, overrides }
+ */
+function validatePlanInput(body, existingPlan = null) {
+  const planType = body.plan_type !== undefined ? body.plan_type : (existingPlan ? existingPlan.plan_type : 'flat');
+
+  if (!['flat', 'tiered'].includes(planType)) {
+    return { valid: false, message: "plan_type must be 'flat' or 'tiered'" };
+  }
+
+  for (const field of ['rate', 'service_rate']) {
+    if (body[field] !== undefined && (isNaN(parseFloat(body[field])) || parseFloat(body[field]) < 0 || parseFloat(body[field]) > 100)) {
+      return { valid: false, message: `${field} must be between 0 and 100` };
+    }
+  }
+
+  let tiers;
+  if (planType === 'tiered' && (body.tiers !== undefined || !existingPlan || !existingPlan.tiers)) {
+    const tierResult = normalizeTiers(body.tiers);
+    if (!tierResult.valid) return tierResult;
+    tiers = tierResult.tiers;
+  }
+
+  let overrides;
+  if (body.overrides !== undefined) {
+    if (!Array.isArray(body.overrides)) {
+      return { valid: false, message: 'overrides must be an array' };
+    }
+    overrides = [];
+    for (const override of body.overrides) {
+      const rate = parseFloat(override.rate);
+      if (isNaN(rate) || rate < 0 || rate > 100) {
+        return { valid: false, message: 'Each override needs a rate between 0 and 100' };
+      }
+      if (override.product_id) {
+        overrides.push({ override_type: 'product', product_id: override.product_id, rate });
+      } else if (override.category) {
+        overrides.push({ override_type: 'category', category: override.category, rate });
+      } else {
+        return { valid: false, message: 'Each override needs a product_id or category' };
+      }
+    }
+  }
+
+  return { valid: true, tiers, overrides };
+}
+
+/**
+ * Load a plan with its overrides and scope
+ */
+function findPlan(models, id, transaction = null) {
+  return models.CommissionPlan.findByPk(id, {
+    include: [
+      { model: models.CommissionPlanOverride },
+      { model: models.Staff, attributes: ['id', 'name', 'employee_id'] },
+      { model: models.Role, attributes: ['id', 'name'] },
+      { model: models.Store, attributes: ['id', 'name'] }
+    ],
+    transaction
+  });
+}
+
+/**
+ * Get commission plans
+ */
+async function getCommissionPlans(req, res) {
+  try {
+    const { staff_id, role_id, store_id, include_inactive } = req.query;
+
+    const where = {};
+    if (staff_id) where.staff_id = staff_id;
+    if (role_id) where.role_id = role_id;
+    if (store_id) where.store_id = store_id;
+    if (include_inactive !== 'true') where.is_active = true;
+
+    const plans = await req.db.models.CommissionPlan.findAll({
+      where,
+      include: [
+        { model: req.db.models.CommissionPlanOverride },
+        { model: req.db.models.Staff, attributes: ['id', 'name', 'employee_id'] },
+        { model: req.db.models.Role, attributes: ['id', 'name'] },
+        { model: req.db.models.Store, attributes: ['id', 'name'] }
+      ],
+      order: [['effective_from', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: { plans }
+    });
+  } catch (error) {
+    console.error('Error getting commission plans:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get commission plans'
+    });
+  }
+}
+
+/**
+ * Get commission plan by ID
+ */
+async function getCommissionPlanById(req, res) {
+  try {
+    const plan = await findPlan(req.db.models, req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Commission plan not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { plan }
+    });
+  } catch (error) {
+    console.error('Error getting commission plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get commission plan'
+    });
+  }
+}
+
+/**
+ * Create commission plan
+ */
+async function createCommissionPlan(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const {
+      name,
+      staff_id,
+      role_id,
+      store_id,
+      plan_type = 'flat',
+      rate = 0,
+      service_rate = 0,
+      effective_from,
+      effective_to
+    } = req.body;
+
+    if (!name) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'name is required'
+      });
+    }
+
+    if (staff_id && role_id) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'A plan applies to a staff member or a role, not both'
+      });
+    }
+
+    const validation = validatePlanInput(req.body);
+    if (!validation.valid) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: validation.message
+      });
+    }
+
+    if (staff_id && !(await req.db.models.Staff.findByPk(staff_id))) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Staff not found'
+      });
+    }
+
+    if (role_id && !(await req.db.models.Role.findByPk(role_id))) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const plan = await req.db.models.CommissionPlan.create({
+      name,
+      staff_id: staff_id || null,
+      role_id: role_id || null,
+      store_id: store_id || null,
+      plan_type,
+      rate,
+      tiers: plan_type === 'tiered' ? validation.tiers : null,
+      service_rate,
+      effective_from: effective_from || moment().format('YYYY-MM-DD'),
+      effective_to: effective_to || null
+    }, { transaction });
+
+    for (const override of validation.overrides || []) {
+      await req.db.models.CommissionPlanOverride.create({
+        commission_plan_id: plan.id,
+        ...override
+      }, { transaction });
+    }
+
+    await transaction.commit();
+
+    const completePlan = await findPlan(req.db.models, plan.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Commission plan created successfully',
+      data: { plan: completePlan }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error creating commission plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create commission plan'
+    });
+  }
+}
+
+/**
+ * Update commission plan (overrides, when sent, replace the existing list)
+ * Existing commission entries keep the rate they were accrued at
+ */
+async function updateCommissionPlan(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const plan = await req.db.models.CommissionPlan.findByPk(req.params.id, { transaction });
+
+    if (!plan) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Commission plan not found'
+      });
+    }
+
+    const validation = validatePlanInput(req.body, plan);
+    if (!validation.valid) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: validation.message
+      });
+    }
+
+    const fields = ['name', 'store_id', 'plan_type', 'rate', 'service_rate', 'effective_from', 'effective_to', 'is_active'];
+    const updates = {};
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+    if (validation.tiers) updates.tiers = validation.tiers;
+    if (updates.plan_type === 'flat') updates.tiers = null;
+
+    await plan.update(updates, { transaction });
+
+    if (validation.overrides) {
+      await req.db.models.CommissionPlanOverride.destroy({
+        where: { commission_plan_id: plan.id },
+        transaction
+      });
+      for (const override of validation.overrides) {
+        await req.db.models.CommissionPlanOverride.create({
+          commission_plan_id: plan.id,
+          ...override
+        }, { transaction });
+      }
+    }
+
+    await transaction.commit();
+
+    const completePlan = await findPlan(req.db.models, plan.id);
+
+    res.json({
+      success: true,
+      message: 'Commission plan updated successfully',
+      data: { plan: completePlan }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error updating commission plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update commission plan'
+    });
+  }
+}
+
+/**
+ * Deactivate commission plan (kept for past commission entries)
+ */
+async function deleteCommissionPlan(req, res) {
+  try {
+    const plan = await req.db.models.CommissionPlan.findByPk(req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Commission plan not found'
+      });
+    }
+
+    await plan.update({ is_active: false });
+
+    res.json({
+      success: true,
+      message: 'Commission plan deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting commission plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete commission plan'
+    });
+  }
+}
+
+/**
+ * Get commission entries (ledger)
+ */
+async function getCommissionEntries(req, res) {
+  try {
+    const { staff_id, store_id, source_type, entry_type, start_date, end_date, page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (staff_id) where.staff_id = staff_id;
+    if (store_id) where.store_id = store_id;
+    if (source_type) where.source_type = source_type;
+    if (entry_type) where.entry_type = entry_type;
+    if (start_date || end_date) {
+      where.earned_at = {};
+      if (start_date) where.earned_at[Sequelize.Op.gte] = moment(start_date).startOf('day').toDate();
+      if (end_date) where.earned_at[Sequelize.Op.lte] = moment(end_date).endOf('day').toDate();
+    }
+
+    const { count, rows } = await req.db.models.CommissionEntry.findAndCountAll({
+      where,
+      include: [
+        {
+          model: req.db.models.Staff,
+          attributes: ['id', 'name', 'employee_id']
+        }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['earned_at', 'DESC'], ['id', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        entries: rows,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting commission entries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get commission entries'
+    });
+  }
+}
+
+/**
+ * Get commission statement for a staff member and period
+ * Without a staff_id in the path, returns the logged-in staff member's own statement
+ */
+async function getCommissionStatement(req, res) {
+  try {
+    const { start_date, end_date } = req.query;
+    const staffId = req.params.staff_id || req.user.staffId;
+
+    if (!staffId || !start_date || !end_date) {
+      return res.status(400).json({
+        success: false,
+        message: 'staff_id, start_date and end_date are required'
+      });
+    }
+
+    const staff = await req.db.models.Staff.findByPk(staffId, {
+      attributes: ['id', 'name', 'employee_id', 'role_id', 'store_id']
+    });
+
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff not found'
+      });
+    }
+
+    const statement = await buildCommissionStatement(req.db.models, {
+      staffId: staff.id,
+      startDate: start_date,
+      endDate: end_date
+    });
+
+    res.json({
+      success: true,
+      data: {
+        staff,
+        period: { start_date, end_date },
+        ...statement
+      }
+    });
+  } catch (error) {
+    console.error('Error getting commission statement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get commission statement'
+    });
+  }
+}
+
+module.exports = {
+  getCommissionPlans,
+  getCommissionPlanById,
+  createCommissionPlan,
+  updateCommissionPlan,
+  deleteCommissionPlan,
+  getCommissionEntries,
+  getCommissionStatement
+};
@@ -1,27 +1,88 @@
 const { Sequelize } = require('sequelize');
 const moment = require('moment');
+const { syncProductBatchFields } = require('../services/productBatchService');
+
+/**
+ * Get IDs of products that have batch records (their expiry is tracked per batch)
+ */
+async function getBatchTrackedProductIds(models) {
+  const rows = await models.ProductBatch.findAll({
+    attributes: [[Sequelize.fn('DISTINCT', Sequelize.col('product_id')), 'product_id']],
+    raw: true
+  });
+  return rows.map(row => row.product_id);
+}
+
+/**
+ * Build where clause for products without batches (expiry tracked on the product itself)
+ */
+function buildUnbatchedProductWhere(expiryCondition, storeId, batchTrackedIds) {
+  const where = {
+    expiry_date: expiryCondition,
+    is_active: true
+  };
+
+  if (storeId) {
+    where.store_id = storeId;
+  }
+
+  if (batchTrackedIds.length > 0) {
+    where.id = { [Sequelize.Op.notIn]: batchTrackedIds };
+  }
+
+  return where;
+}
+
+/**
+ * Build where clause for batches with stock left
+ */
+function buildBatchWhere(expiryCondition, storeId) {
+  const where = {
+    expiry_date: expiryCondition,
+    status: 'active',
+    quantity_remaining: { [Sequelize.Op.gt]: 0 }
+  };
+
+  if (storeId) {
+    where.store_id = storeId;
+  }
+
+  return where;
+}
+
+const batchIncludes = (models) => [
+  {
+    model: models.Product,
+    attributes: ['id', 'name', 'sku', 'barcode', 'category', 'is_active']
+  },
+  {
+    model: models.Store,
+    attributes: ['id', 'name'],
+    required: false
+  }
+];
 
 /**
  * Get products expiring soon
+ * Batch-tracked products are reported per batch; other products by their own expiry_date
  */
 async function getExpiringProducts(req, res) {
   try {
     const { days = 30, store_id } = req.query;
     const expiryDate = moment().add(parseInt(days), 'days').format('YYYY-MM-DD');
-
-    const where = {
-      expiry_date: {
-        [Sequelize.Op.between]: [moment().format('YYYY-MM-DD'), expiryDate]
-      },
-      is_active: true
+    const expiryCondition = {
+      [Sequelize.Op.between]: [moment().format('YYYY-MM-DD'), expiryDate]
     };
 
-    if (store_id) {
-      where.store_id = store_id;
-    }
+    const batches = await req.db.models.ProductBatch.findAll({
+      where: buildBatchWhere(expiryCondition, store_id),
+      include: batchIncludes(req.db.models),
+      order: [['expiry_date', 'ASC']]
+    });
 
+    const batchTrackedIds = await getBatchTrackedProductIds(req.db.models);
     const products = await req.db.models.Product.findAll({
-      where,
+      where: buildUnbatchedProductWhere(expiryCondition, store_id, batchTrackedIds),
       include: [
         {
           model: req.db.models.Store,
@@ -34,6 +95,7 @@ async function getExpiringProducts(req, res) {
     res.json({
       success: true,
       data: {
+        batches,
         products,
         expiry_threshold_days: parseInt(days)
       }
@@ -49,25 +111,25 @@ async function getExpiringProducts(req, res) {
 
 /**
  * Get expired products
+ * Batch-tracked products are reported per batch; other products by their own expiry_date
  */
 async function getExpiredProducts(req, res) {
   try {
     const { store_id } = req.query;
     const today = moment().format('YYYY-MM-DD');
-
-    const where = {
-      expiry_date: {
-        [Sequelize.Op.lt]: today
-      },
-      is_active: true
+    const expiryCondition = {
+      [Sequelize.Op.lt]: today
     };
 
-    if (store_id) {
-      where.store_id = store_id;
-    }
+    const batches = await req.db.models.ProductBatch.findAll({
+      where: buildBatchWhere(expiryCondition, store_id),
+      include: batchIncludes(req.db.models),
+      order: [['expiry_date', 'ASC']]
+    });
 
+    const batchTrackedIds = await getBatchTrackedProductIds(req.db.models);
     const products = await req.db.models.Product.findAll({
-      where,
+      where: buildUnbatchedProductWhere(expiryCondition, store_id, batchTrackedIds),
       include: [
         {
           model: req.db.models.Store,
@@ -79,7 +141,7 @@ async function getExpiredProducts(req, res) {
 
     res.json({
       success: true,
-      data: { products }
+      data: { batches, products }
     });
   } catch (error) {
     console.error('Error getting expired products:', error);
@@ -92,34 +154,96 @@ async function getExpiredProducts(req, res) {
 
 /**
  * Mark expired products as inactive
+ * Expired batches are written off (stock removed with an 'expiry' movement) while the
+ * product stays on sale from its remaining lots. Products without batches are deactivated.
  */
 async function markExpiredAsInactive(req, res) {
+  const transaction = await req.db.transaction();
+
   try {
     const today = moment().format('YYYY-MM-DD');
     const { store_id } = req.query;
-
-    const where = {
-      expiry_date: {
-        [Sequelize.Op.lt]: today
-      },
-      is_active: true
+    const expiryCondition = {
+      [Sequelize.Op.lt]: today
     };
 
-    if (store_id) {
-      where.store_id = store_id;
+    const expiredBatches = await req.db.models.ProductBatch.findAll({
+      where: buildBatchWhere(expiryCondition, store_id),
+      transaction
+    });
+
+    let writtenOffQuantity = 0;
+    const affectedProductIds = new Set();
+
+    for (const batch of expiredBatches) {
+      const quantity = batch.quantity_remaining;
+
+      await batch.update({
+        quantity_remaining: 0,
+        status: 'expired'
+      }, { transaction });
+
+      const product = await req.db.models.Product.findByPk(batch.product_id, { transaction });
+      if (product) {
+        await product.update({
+          stock: Math.max(0, product.stock - quantity)
+        }, { transaction });
+      }
+
+      if (batch.store_id) {
+        const productStore = await req.db.models.ProductStore.findOne({
+          where: { product_id: batch.product_id, store_id: batch.store_id },
+          transaction
+        });
+        if (productStore) {
+          await productStore.update({
+            stock: Math.max(0, productStore.stock - quantity)
+          }, { transaction });
+        }
+      }
+
+      await req.db.models.StockMovement.create({
+        product_id: batch.product_id,
+        store_id: batch.store_id,
+        movement_type: 'expiry',
+        quantity: -quantity,
+        reference_type: 'product_batch',
+        reference_id: batch.id,
+        notes: `Batch ${batch.batch_number} expired on ${batch.expiry_date}`,
+        created_by: req.user.staffId || req.user.id
+      }, { transaction });
+
+      writtenOffQuantity += quantity;
+      affectedProductIds.add(batch.product_id);
+    }
+
+    for (const productId of affectedProductIds) {
+      await syncProductBatchFields(req.db.models, productId, transaction);
     }
 
+    // Products without batches keep the old behaviour: deactivate the whole product
+    const batchTrackedIds = await getBatchTrackedProductIds(req.db.models);
     const [updatedCount] = await req.db.models.Product.update(
       { is_active: false },
-      { where }
+      {
+        where: buildUnbatchedProductWhere(expiryCondition, store_id, batchTrackedIds),
+        transaction
+      }
     );
 
+    await transaction.commit();
+
     res.json({
       success: true,
-      message: `${updatedCount} expired product(s) marked as inactive`,
-      data: { updated_count: updatedCount }
+      message: `${expiredBatches.length} expired batch(es) written off, ${updatedCount} expired product(s) marked as inactive`,
+      data: {
+        expired_batch_count: expiredBatches.length,
+        written_off_quantity: writtenOffQuantity,
+        updated_count: updatedCount
+      }
     });
   } catch (error) {
+    await transaction.rollback();
     console.error('Error marking expired products:', error);
     res.status(500).json({
       success: false,
@@ -128,8 +252,61 @@ async function markExpiredAsInactive(req, res) {
   }
 }
 
+/**
+ * Get batches for a product (lot numbers, expiry and remaining quantity per store)
+ */
+async function getProductBatches(req, res) {
+  try {
+    const { product_id, store_id, status } = req.query;
+
+    if (!product_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'product_id is required'
+      });
+    }
+
+    const where = { product_id };
+    if (store_id) {
+      where.store_id = store_id;
+    }
+    if (status) {
+      where.status = status;
+    }
+
+    const batches = await req.db.models.ProductBatch.findAll({
+      where,
+      include: batchIncludes(req.db.models),
+      order: [
+        [Sequelize.literal('expiry_date IS NULL'), 'ASC'],
+        ['expiry_date', 'ASC'],
+        ['id', 'ASC']
+      ]
+    });
+
+    const totalRemaining = batches
+      .filter(batch => batch.status === 'active')
+      .reduce((sum, batch) => sum + batch.quantity_remaining, 0);
+
+    res.json({
+      success: true,
+      data: {
+        batches,
+        total_remaining: totalRemaining
+      }
+    });
+  } catch (error) {
+    console.error('Error getting product batches:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get product batches'
+    });
+  }
+}
+
 module.exports = {
   getExpiringProducts,
   getExpiredProducts,
-  markExpiredAsInactive
-};
\ No newline at end of file
+  markExpiredAsInactive,
+  getProductBatches
+};
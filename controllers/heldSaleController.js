@@ -0,0 +1,365 @@
+const { Sequelize } = require('sequelize');
+const moment = require('moment');
+const { getLayawaySettings } = require('../services/layawayService');
+const { generateNumber } = require('../services/numberService');
+
+/**
+ * Validate basket items and work out the basket subtotal
+ * @returns {Object} - { valid, message, subtotal, item_count }
+ */
+function summarizeCart(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { valid: false, message: 'items are required' };
+  }
+
+  let subtotal = 0;
+  let itemCount = 0;
+  for (const item of items) {
+    const { product_id, quantity, unit_price, discount_percentage = 0, discount_amount = 0 } = item;
+    if (!product_id || !quantity || unit_price === undefined) {
+      return { valid: false, message: 'Each item must have product_id, quantity, and unit_price' };
+    }
+    const itemSubtotal = quantity * unit_price;
+    subtotal += itemSubtotal - (discount_amount || (itemSubtotal * (discount_percentage / 100)));
+    itemCount += parseInt(quantity);
+  }
+
+  return { valid: true, subtotal, item_count: itemCount };
+}
+
+/**
+ * Discard held baskets left past their expiry
+ */
+function discardExpiredHolds(models, storeId = null) {
+  const where = {
+    status: 'held',
+    expires_at: { [Sequelize.Op.lt]: new Date() }
+  };
+  if (storeId) where.store_id = storeId;
+
+  return models.HeldSale.update({ status: 'discarded' }, { where });
+}
+
+/**
+ * Get held baskets for a store (any terminal in the store can resume them)
+ */
+async function getHeldSales(req, res) {
+  try {
+    const { store_id, status = 'held', customer_id } = req.query;
+
+    await discardExpiredHolds(req.db.models, store_id);
+
+    const where = { status };
+    if (store_id) where.store_id = store_id;
+    if (customer_id) where.customer_id = customer_id;
+
+    const heldSales = await req.db.models.HeldSale.findAll({
+      where,
+      include: [
+        {
+          model: req.db.models.Staff,
+          attributes: ['id', 'name']
+        },
+        {
+          model: req.db.models.Customer,
+          attributes: ['id', 'name', 'phone']
+        }
+      ],
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: { held_sales: heldSales }
+    });
+  } catch (error) {
+    console.error('Error getting held sales:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get held sales'
+    });
+  }
+}
+
+/**
+ * Get held sale by ID
+ */
+async function getHeldSaleById(req, res) {
+  try {
+    const heldSale = await req.db.models.HeldSale.findByPk(req.params.id, {
+      include: [
+        {
+          model: req.db.models.Staff,
+          attributes: ['id', 'name']
+        },
+        {
+          model: req.db.models.Customer,
+          attributes: ['id', 'name', 'email', 'phone']
+        }
+      ]
+    });
+
+    if (!heldSale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Held sale not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { held_sale: heldSale }
+    });
+  } catch (error) {
+    console.error('Error getting held sale:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get held sale'
+    });
+  }
+}
+
+/**
+ * Park the current basket (stock is not reserved while a basket is held)
+ */
+async function holdSale(req, res) {
+  try {
+    const {
+      store_id,
+      customer_id,
+      items, // Same shape as checkout: [{ product_id, quantity, unit_price, discount_percentage, discount_amount }]
+      discount_amount = 0,
+      promo_code,
+      prescription_id,
+      label,
+      notes
+    } = req.body;
+
+    if (!store_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'store_id is required'
+      });
+    }
+
+    const cartSummary = summarizeCart(items);
+    if (!cartSummary.valid) {
+      return res.status(400).json({
+        success: false,
+        message: cartSummary.message
+      });
+    }
+
+    const store = await req.db.models.Store.findByPk(store_id);
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found'
+      });
+    }
+
+    const { hold_expiry_hours: holdExpiryHours } = getLayawaySettings();
+
+    const heldSale = await req.db.models.HeldSale.create({
+      hold_number: generateNumber('HOLD'),
+      store_id,
+      staff_id: req.user.staffId || null,
+      customer_id: customer_id || null,
+      label: label || null,
+      cart: {
+        items,
+        discount_amount,
+        promo_code: promo_code || null,
+        prescription_id: prescription_id || null,
+        notes: notes || null
+      },
+      item_count: cartSummary.item_count,
+      subtotal: cartSummary.subtotal,
+      status: 'held',
+      expires_at: moment().add(holdExpiryHours, 'hours').toDate()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Sale held successfully',
+      data: { held_sale: heldSale }
+    });
+  } catch (error) {
+    console.error('Error holding sale:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to hold sale'
+    });
+  }
+}
+
+/**
+ * Resume a held basket on this terminal
+ * The hold is locked to the resuming cashier; checkout with held_sale_id closes it,
+ * or it can be parked again with an update
+ */
+async function resumeHeldSale(req, res) {
+  try {
+    const heldSale = await req.db.models.HeldSale.findByPk(req.params.id);
+
+    if (!heldSale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Held sale not found'
+      });
+    }
+
+    if (heldSale.status !== 'held') {
+      return res.status(400).json({
+        success: false,
+        message: heldSale.status === 'resumed'
+          ? 'Held sale has already been resumed on another terminal'
+          : `Held sale is ${heldSale.status}`
+      });
+    }
+
+    if (heldSale.expires_at && moment(heldSale.expires_at).isBefore(moment())) {
+      await heldSale.update({ status: 'discarded' });
+      return res.status(400).json({
+        success: false,
+        message: 'Held sale has expired'
+      });
+    }
+
+    const { store_id } = req.body;
+    if (store_id && parseInt(store_id) !== heldSale.store_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Held sale belongs to a different store'
+      });
+    }
+
+    await heldSale.update({
+      status: 'resumed',
+      resumed_by: req.user.staffId || req.user.id,
+      resumed_at: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: 'Held sale resumed',
+      data: {
+        held_sale: heldSale,
+        cart: heldSale.cart
+      }
+    });
+  } catch (error) {
+    console.error('Error resuming held sale:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resume held sale'
+    });
+  }
+}
+
+/**
+ * Update a held basket (replaces the cart and parks it again)
+ */
+async function updateHeldSale(req, res) {
+  try {
+    const heldSale = await req.db.models.HeldSale.findByPk(req.params.id);
+
+    if (!heldSale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Held sale not found'
+      });
+    }
+
+    if (!['held', 'resumed'].includes(heldSale.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Held sale is ${heldSale.status}`
+      });
+    }
+
+    const cart = { ...heldSale.cart };
+    ['items', 'discount_amount', 'promo_code', 'prescription_id', 'notes'].forEach(field => {
+      if (req.body[field] !== undefined) cart[field] = req.body[field];
+    });
+
+    const cartSummary = summarizeCart(cart.items);
+    if (!cartSummary.valid) {
+      return res.status(400).json({
+        success: false,
+        message: cartSummary.message
+      });
+    }
+
+    const { hold_expiry_hours: holdExpiryHours } = getLayawaySettings();
+
+    await heldSale.update({
+      cart,
+      customer_id: req.body.customer_id !== undefined ? req.body.customer_id : heldSale.customer_id,
+      label: req.body.label !== undefined ? req.body.label : heldSale.label,
+      item_count: cartSummary.item_count,
+      subtotal: cartSummary.subtotal,
+      status: 'held',
+      resumed_by: null,
+      resumed_at: null,
+      expires_at: moment().add(holdExpiryHours, 'hours').toDate()
+    });
+
+    res.json({
+      success: true,
+      message: 'Held sale updated successfully',
+      data: { held_sale: heldSale }
+    });
+  } catch (error) {
+    console.error('Error updating held sale:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update held sale'
+    });
+  }
+}
+
+/**
+ * Discard a held basket
+ */
+async function discardHeldSale(req, res) {
+  try {
+    const heldSale = await req.db.models.HeldSale.findByPk(req.params.id);
+
+    if (!heldSale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Held sale not found'
+      });
+    }
+
+    if (heldSale.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Held sale has already been checked out'
+      });
+    }
+
+    await heldSale.update({ status: 'discarded' });
+
+    res.json({
+      success: true,
+      message: 'Held sale discarded successfully'
+    });
+  } catch (error) {
+    console.error('Error discarding held sale:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to discard held sale'
+    });
+  }
+}
+
+module.exports = {
+  getHeldSales,
+  getHeldSaleById,
+  holdSale,
+  resumeHeldSale,
+  updateHeldSale,
+  discardHeldSale
+};
@@ -270,6 +270,7 @@ async function createProduct(req, res) {
       image_url,
       expiry_date,
       batch_number,
+      requires_prescription,
       unit_of_measure = 'piece',
       add_to_stores, // Array of store IDs to also add this product to
       variations // Array of variation objects: [{variation_name, variation_type, is_required, options: [{value, display_name, price_adjustment, stock, sku, barcode, image_url, is_default}]}]
@@ -376,6 +377,7 @@ async function createProduct(req, res) {
       image_url: finalImageUrl,
       expiry_date: expiry_date || null,
       batch_number: batch_number || null,
+      requires_prescription: requires_prescription === true || requires_prescription === 'true',
       unit_of_measure: unit_of_measure || 'piece',
       is_active: true
     });
@@ -636,7 +638,7 @@ async function updateProduct(req, res) {
       });
     }
 
-    const { name, sku, description, price, cost, stock, low_stock_threshold, category, image_url, is_active, variations } = req.body;
+    const { name, sku, description, price, cost, stock, low_stock_threshold, category, image_url, is_active, requires_prescription, variations } = req.body;
 
     // Handle product image: prioritize uploaded file over image_url
     let finalImageUrl = image_url;
@@ -692,7 +694,10 @@ async function updateProduct(req, res) {
       ...(low_stock_threshold !== undefined && { low_stock_threshold }),
       ...(category !== undefined && { category }),
       ...(finalImageUrl !== undefined && { image_url: finalImageUrl }),
-      ...(is_active !== undefined && { is_active })
+      ...(is_active !== undefined && { is_active }),
+      ...(requires_prescription !== undefined && {
+        requires_prescription: requires_prescription === true || requires_prescription === 'true'
+      })
     });
 
     // Handle variations update if provided
@@ -1456,9 +1461,25 @@ async function getLowStockProducts(req, res) {
       order: [['stock', 'ASC']]
     });
 
+    // Optionally attach reorder suggestions (preferred supplier, velocity, quantity) - enterprise only
+    let reorderSuggestions;
+    if (req.query.with_suggestions === 'true' && products.length > 0 && req.db.models.ProductSupplier) {
+      const isFreePlan = req.tenant && req.tenant.subscription_plan === 'free';
+      if (!isFreePlan) {
+        const { buildReorderSuggestions } = require('../services/reorderService');
+        reorderSuggestions = await buildReorderSuggestions(req.db.models, {
+          storeId: req.query.store_id || null,
+          productIds: products.map(p => p.id)
+        });
+      }
+    }
+
     res.json({
       success: true,
-      data: { products }
+      data: {
+        products,
+        ...(reorderSuggestions && { reorder_suggestions: reorderSuggestions })
+      }
     });
   } catch (error) {
     console.error('Error getting low stock products:', error);
@@ -6,6 +6,18 @@ const { extractColorsFromLogo, generateColorPalette } = require('../services/col
 const { generateTemplateOptions } = require('../services/invoiceTemplateGenerator');
 const invoiceHtmlTemplates = require('../services/invoiceHtmlTemplates');
 const { generateInvoicePdfAndPreview } = require('../services/invoicePdfService');
+const {
+  validateInvoicePayment,
+  recordInvoicePayment,
+  refreshInvoiceBalance,
+  validatePaymentSchedule
+} = require('../services/invoicePaymentService');
+const {
+  DEFAULT_REMINDER_SETTINGS,
+  getReminderSettings,
+  sendInvoiceReminder
+} = require('../services/invoiceReminderService');
+const { buildInvoicePaymentLink } = require('../services/invoicePaymentLinkService');
 
 /**
  * Generate unique invoice number
@@ -894,7 +906,19 @@ async function getInvoiceById(req, res) {
               attributes: ['id', 'name', 'sku', 'description', 'price', 'category', 'image_url']
             }
           ]
+        },
+        {
+          model: req.db.models.InvoicePayment,
+          required: false
+        },
+        {
+          model: req.db.models.InvoicePaymentSchedule,
+          required: false
         }
+      ],
+      order: [
+        [req.db.models.InvoicePayment, 'payment_date', 'ASC'],
+        [req.db.models.InvoicePaymentSchedule, 'due_date', 'ASC']
       ]
     });
 
@@ -1410,6 +1434,8 @@ async function createInvoice(req, res) {
       tax_breakdown: taxBreakdown,
       discount_amount,
       total,
+      amount_paid: 0,
+      balance_due: total,
       tax_calculation_method: taxCalculationMethod,
       tax_rate: tax_rate || 0,
       status: 'draft',
@@ -2047,6 +2073,14 @@ async function updateInvoice(req, res) {
       const taxAmount = subtotal * (tax_rate / 100);
       const total = subtotal + taxAmount - discount_amount;
 
+      if (total < Number(invoice.amount_paid || 0)) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `Invoice total cannot be less than the amount already paid (${Number(invoice.amount_paid).toFixed(2)})`
+        });
+      }
+
       // Update invoice
       await invoice.update({
         ...(customer_id !== undefined && { customer_id }),
@@ -2066,6 +2100,9 @@ async function updateInvoice(req, res) {
           ...item
         }, { transaction });
       }
+
+      // Total changed - recompute balance against payments already recorded
+      await refreshInvoiceBalance(req.db.models, invoice, transaction);
     } else {
       // Update invoice fields only
       await invoice.update({
@@ -2119,31 +2156,63 @@ async function updateInvoice(req, res) {
  * Update invoice status
  */
 async function updateInvoiceStatus(req, res) {
+  const transaction = await req.db.transaction();
+
   try {
-    const { status, payment_method, payment_date } = req.body;
+    const { status, payment_method, payment_date, reference } = req.body;
     
     const validStatuses = ['draft', 'sent', 'paid', 'overdue', 'cancelled'];
     if (!validStatuses.includes(status)) {
+      await transaction.rollback();
       return res.status(400).json({
         success: false,
-        message: 'Invalid status'
+        message: status === 'partially_paid'
+          ? 'partially_paid is set automatically - record a payment via POST /invoices/:id/payments'
+          : 'Invalid status'
       });
     }
 
-    const invoice = await req.db.models.Invoice.findByPk(req.params.id);
+    const invoice = await req.db.models.Invoice.findByPk(req.params.id, { transaction });
     
     if (!invoice) {
+      await transaction.rollback();
       return res.status(404).json({
         success: false,
         message: 'Invoice not found'
       });
     }
 
-    await invoice.update({
-      status,
-      ...(payment_method && { payment_method }),
-      ...(payment_date && { payment_date })
-    });
+    if (status === 'paid') {
+      // Marking as paid settles the outstanding balance as a single ledger entry
+      const balanceDue = Number(invoice.total || 0) - Number(invoice.amount_paid || 0);
+      if (balanceDue > 0) {
+        await recordInvoicePayment(req.db.models, invoice, {
+          amount: balanceDue,
+          paymentMethod: payment_method || invoice.payment_method || 'cash',
+          reference: reference || null,
+          paymentDate: payment_date || null,
+          recordedBy: req.user.staffId || req.user.id
+        }, transaction);
+      } else {
+        await invoice.update({ status }, { transaction });
+      }
+    } else {
+      if (['draft', 'sent'].includes(status) && Number(invoice.amount_paid || 0) > 0) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Invoice has payments recorded - void them before changing status to ' + status
+        });
+      }
+
+      await invoice.update({
+        status,
+        ...(payment_method && { payment_method }),
+        ...(payment_date && { payment_date })
+      }, { transaction });
+    }
+
+    await transaction.commit();
 
     res.json({
       success: true,
@@ -2151,6 +2220,7 @@ async function updateInvoiceStatus(req, res) {
       data: { invoice }
     });
   } catch (error) {
+    await transaction.rollback();
     console.error('Error updating invoice status:', error);
     res.status(500).json({
       success: false,
@@ -2159,6 +2229,663 @@ async function updateInvoiceStatus(req, res) {
   }
 }
 
+/**
+ * Get invoice payments ledger, instalment schedule and balance
+ */
+async function getInvoicePayments(req, res) {
+  try {
+    const invoice = await req.db.models.Invoice.findByPk(req.params.id, {
+      attributes: ['id', 'invoice_number', 'total', 'amount_paid', 'balance_due', 'status', 'due_date', 'currency', 'currency_symbol']
+    });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const payments = await req.db.models.InvoicePayment.findAll({
+      where: { invoice_id: invoice.id },
+      include: [
+        {
+          model: req.db.models.PaymentTransaction,
+          required: false,
+          attributes: ['id', 'transaction_reference', 'gateway_name', 'status', 'paid_at', 'refund_due_amount']
+        }
+      ],
+      order: [['payment_date', 'ASC'], ['id', 'ASC']]
+    });
+
+    const schedule = await req.db.models.InvoicePaymentSchedule.findAll({
+      where: { invoice_id: invoice.id },
+      order: [['due_date', 'ASC'], ['instalment_number', 'ASC']]
+    });
+
+    // Online payments (or parts of them) the invoice could not take - owed back to the customer
+    const refundsDue = await req.db.models.PaymentTransaction.findAll({
+      where: {
+        invoice_id: invoice.id,
+        refund_due_amount: { [Sequelize.Op.gt]: 0 }
+      },
+      attributes: ['id', 'transaction_reference', 'gateway_name', 'amount', 'refund_due_amount', 'paid_at'],
+      order: [['paid_at', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        invoice,
+        payments,
+        schedule,
+        refunds_due: refundsDue
+      }
+    });
+  } catch (error) {
+    console.error('Error getting invoice payments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get invoice payments'
+    });
+  }
+}
+
+/**
+ * Record a payment (deposit, instalment or final payment) against an invoice
+ */
+async function addInvoicePayment(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const {
+      amount,
+      payment_method = 'cash',
+      reference,
+      payment_date,
+      payment_transaction_id,
+      notes
+    } = req.body;
+
+    // Locked so two payments recorded at once cannot both pass the balance check
+    const invoice = await req.db.models.Invoice.findByPk(req.params.id, { lock: transaction.LOCK.UPDATE, transaction });
+
+    if (!invoice) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const validation = validateInvoicePayment(invoice, amount);
+    if (!validation.valid) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: validation.message
+      });
+    }
+
+    if (payment_transaction_id) {
+      const paymentTransaction = await req.db.models.PaymentTransaction.findOne({
+        where: {
+          id: payment_transaction_id,
+          invoice_id: invoice.id,
+          status: 'success'
+        },
+        transaction
+      });
+
+      if (!paymentTransaction) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'payment_transaction_id must be a successful online payment for this invoice'
+        });
+      }
+
+      const alreadyApplied = await req.db.models.InvoicePayment.findOne({
+        where: { payment_transaction_id },
+        transaction
+      });
+
+      if (alreadyApplied) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'This online payment has already been recorded'
+        });
+      }
+    }
+
+    if (payment_date && !moment(payment_date, 'YYYY-MM-DD', true).isValid()) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'payment_date must be in YYYY-MM-DD format'
+      });
+    }
+
+    const payment = await recordInvoicePayment(req.db.models, invoice, {
+      amount,
+      paymentMethod: payment_method,
+      reference: reference || null,
+      paymentDate: payment_date || null,
+      paymentTransactionId: payment_transaction_id || null,
+      notes: notes || null,
+      recordedBy: req.user.staffId || req.user.id
+    }, transaction);
+
+    await transaction.commit();
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      data: {
+        payment,
+        invoice: {
+          id: invoice.id,
+          total: invoice.total,
+          amount_paid: invoice.amount_paid,
+          balance_due: invoice.balance_due,
+          status: invoice.status
+        }
+      }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error recording invoice payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record payment'
+    });
+  }
+}
+
+/**
+ * Void a recorded payment (keeps the ledger row for audit, excludes it from the balance)
+ */
+async function voidInvoicePayment(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const { reason } = req.body;
+
+    const payment = await req.db.models.InvoicePayment.findOne({
+      where: {
+        id: req.params.paymentId,
+        invoice_id: req.params.id
+      },
+      transaction
+    });
+
+    if (!payment) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (payment.status === 'voided') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Payment is already voided'
+      });
+    }
+
+    if (payment.payment_transaction_id) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Online payments cannot be voided here - refund them through the payment gateway'
+      });
+    }
+
+    await payment.update({
+      status: 'voided',
+      voided_at: new Date(),
+      void_reason: reason || null
+    }, { transaction });
+
+    const invoice = await req.db.models.Invoice.findByPk(req.params.id, { transaction });
+    await refreshInvoiceBalance(req.db.models, invoice, transaction);
+
+    await transaction.commit();
+
+    res.json({
+      success: true,
+      message: 'Payment voided successfully',
+      data: {
+        payment,
+        invoice: {
+          id: invoice.id,
+          total: invoice.total,
+          amount_paid: invoice.amount_paid,
+          balance_due: invoice.balance_due,
+          status: invoice.status
+        }
+      }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error voiding invoice payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to void payment'
+    });
+  }
+}
+
+/**
+ * Set (replace) the instalment schedule for an invoice
+ * Body: { instalments: [{ due_date, amount, description }] } - amounts must add up to the invoice total
+ */
+async function setPaymentSchedule(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const { instalments } = req.body;
+
+    const invoice = await req.db.models.Invoice.findByPk(req.params.id, { transaction });
+
+    if (!invoice) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status === 'paid' || invoice.status === 'cancelled') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot set a payment schedule on a paid or cancelled invoice'
+      });
+    }
+
+    const validation = validatePaymentSchedule(invoice, instalments);
+    if (!validation.valid) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: validation.message
+      });
+    }
+
+    await req.db.models.InvoicePaymentSchedule.destroy({
+      where: { invoice_id: invoice.id },
+      transaction
+    });
+
+    const sortedInstalments = [...instalments].sort((a, b) => a.due_date.localeCompare(b.due_date));
+    for (let i = 0; i < sortedInstalments.length; i++) {
+      await req.db.models.InvoicePaymentSchedule.create({
+        tenant_id: invoice.tenant_id || null,
+        invoice_id: invoice.id,
+        instalment_number: i + 1,
+        due_date: sortedInstalments[i].due_date,
+        amount: sortedInstalments[i].amount,
+        description: sortedInstalments[i].description || null
+      }, { transaction });
+    }
+
+    // Apply payments already recorded to the new instalments
+    await refreshInvoiceBalance(req.db.models, invoice, transaction);
+
+    await transaction.commit();
+
+    const schedule = await req.db.models.InvoicePaymentSchedule.findAll({
+      where: { invoice_id: invoice.id },
+      order: [['instalment_number', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      message: 'Payment schedule saved successfully',
+      data: { schedule }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error setting payment schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to set payment schedule'
+    });
+  }
+}
+
+/**
+ * Remove the instalment schedule from an invoice
+ */
+async function deletePaymentSchedule(req, res) {
+  try {
+    const invoice = await req.db.models.Invoice.findByPk(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    await req.db.models.InvoicePaymentSchedule.destroy({
+      where: { invoice_id: invoice.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Payment schedule removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing payment schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove payment schedule'
+    });
+  }
+}
+
+/**
+ * Get payment reminder settings (defaults if never saved)
+ */
+async function getInvoiceReminderSettings(req, res) {
+  try {
+    const isFreePlan = req.tenant && req.tenant.subscription_plan === 'free';
+    const settings = await getReminderSettings(req.db.models, isFreePlan ? req.user.tenantId : null);
+
+    res.json({
+      success: true,
+      data: { settings }
+    });
+  } catch (error) {
+    console.error('Error getting invoice reminder settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get reminder settings'
+    });
+  }
+}
+
+/**
+ * Update payment reminder settings
+ * Body: { is_enabled, days_before_due: [3], remind_on_due_date, days_after_due: [1, 7, 14], attach_pdf, auto_mark_overdue }
+ */
+async function updateInvoiceReminderSettings(req, res) {
+  try {
+    const {
+      is_enabled,
+      days_before_due,
+      remind_on_due_date,
+      days_after_due,
+      attach_pdf,
+      auto_mark_overdue
+    } = req.body;
+
+    for (const [field, value] of [['days_before_due', days_before_due], ['days_after_due', days_after_due]]) {
+      if (value !== undefined && (!Array.isArray(value) || value.some(day => !Number.isInteger(Number(day)) || Number(day) <= 0))) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be an array of positive whole numbers of days`
+        });
+      }
+    }
+
+    const isFreePlan = req.tenant && req.tenant.subscription_plan === 'free';
+    const tenantId = isFreePlan ? req.user.tenantId : null;
+
+    let setting = await req.db.models.InvoiceReminderSetting.findOne({
+      where: tenantId ? { tenant_id: tenantId } : {}
+    });
+
+    const updates = {
+      ...(is_enabled !== undefined && { is_enabled }),
+      ...(days_before_due !== undefined && { days_before_due: days_before_due.map(Number) }),
+      ...(remind_on_due_date !== undefined && { remind_on_due_date }),
+      ...(days_after_due !== undefined && { days_after_due: days_after_due.map(Number) }),
+      ...(attach_pdf !== undefined && { attach_pdf }),
+      ...(auto_mark_overdue !== undefined && { auto_mark_overdue })
+    };
+
+    if (setting) {
+      await setting.update(updates);
+    } else {
+      setting = await req.db.models.InvoiceReminderSetting.create({
+        tenant_id: tenantId,
+        ...DEFAULT_REMINDER_SETTINGS,
+        ...updates
+      });
+    }
+
+    const settings = await getReminderSettings(req.db.models, tenantId);
+
+    res.json({
+      success: true,
+      message: 'Reminder settings updated successfully',
+      data: { settings }
+    });
+  } catch (error) {
+    console.error('Error updating invoice reminder settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update reminder settings'
+    });
+  }
+}
+
+/**
+ * Get reminder history for an invoice
+ */
+async function getInvoiceReminders(req, res) {
+  try {
+    const invoice = await req.db.models.Invoice.findByPk(req.params.id, {
+      attributes: ['id', 'invoice_number', 'status', 'due_date', 'balance_due', 'reminders_enabled']
+    });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const reminders = await req.db.models.InvoiceReminder.findAll({
+      where: { invoice_id: invoice.id },
+      order: [['sent_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        invoice,
+        reminders
+      }
+    });
+  } catch (error) {
+    console.error('Error getting invoice reminders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get invoice reminders'
+    });
+  }
+}
+
+/**
+ * Opt an invoice in or out of automatic reminders
+ * Body: { reminders_enabled: false }
+ */
+async function updateInvoiceReminderPreference(req, res) {
+  try {
+    const { reminders_enabled } = req.body;
+
+    if (typeof reminders_enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'reminders_enabled must be true or false'
+      });
+    }
+
+    const invoice = await req.db.models.Invoice.findByPk(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    await invoice.update({ reminders_enabled });
+
+    res.json({
+      success: true,
+      message: reminders_enabled ? 'Reminders enabled for invoice' : 'Reminders disabled for invoice',
+      data: {
+        invoice: {
+          id: invoice.id,
+          reminders_enabled: invoice.reminders_enabled
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error updating invoice reminder preference:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update reminder preference'
+    });
+  }
+}
+
+/**
+ * Send a payment reminder for an invoice now (manual)
+ */
+async function sendInvoiceReminderNow(req, res) {
+  try {
+    const invoice = await req.db.models.Invoice.findByPk(req.params.id, {
+      include: [
+        {
+          model: req.db.models.Customer,
+          required: false,
+          attributes: ['id', 'name', 'email', 'phone', 'address', 'city', 'state', 'country']
+        },
+        {
+          model: req.db.models.Store,
+          required: false,
+          attributes: ['id', 'name', 'address', 'city', 'state', 'country', 'phone', 'email']
+        },
+        {
+          model: req.db.models.InvoiceItem
+        }
+      ]
+    });
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (['draft', 'paid', 'cancelled'].includes(invoice.status) || Number(invoice.balance_due || 0) <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot send a payment reminder for a ${invoice.status} invoice`
+      });
+    }
+
+    if (!invoice.Customer || !invoice.Customer.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoice customer has no email address'
+      });
+    }
+
+    const tenant = req.tenant || await getTenantById(req.user.tenantId);
+    const isFreePlan = tenant && tenant.subscription_plan === 'free';
+    const settings = await getReminderSettings(req.db.models, isFreePlan ? req.user.tenantId : null);
+
+    const reminder = await sendInvoiceReminder(req.db.models, {
+      tenant,
+      invoice,
+      reminderType: 'manual',
+      daysOffset: invoice.due_date ? moment().diff(moment(invoice.due_date), 'days') : 0,
+      attachPdf: settings.attach_pdf,
+      sentBy: req.user.id
+    });
+
+    if (reminder.status !== 'sent') {
+      return res.status(502).json({
+        success: false,
+        message: `Failed to send reminder: ${reminder.error_message}`,
+        data: { reminder }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reminder sent successfully',
+      data: { reminder }
+    });
+  } catch (error) {
+    console.error('Error sending invoice reminder:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send reminder'
+    });
+  }
+}
+
+/**
+ * Get the signed public link customers use to view and pay an invoice
+ */
+async function getInvoicePaymentLink(req, res) {
+  try {
+    const invoice = await req.db.models.Invoice.findByPk(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status === 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Send the invoice before sharing a payment link'
+      });
+    }
+
+    const gatewayWhere = { is_active: true, is_default: true };
+    if (req.tenant && req.tenant.subscription_plan === 'free') {
+      gatewayWhere.tenant_id = req.user.tenantId;
+    }
+    const gateway = await req.db.models.PaymentGateway.findOne({ where: gatewayWhere });
+
+    const link = buildInvoicePaymentLink(req.user.tenantId, invoice.id);
+
+    res.json({
+      success: true,
+      data: {
+        invoice_id: invoice.id,
+        invoice_number: invoice.invoice_number,
+        payment_link: link.url,
+        pay_url: link.pay_url,
+        link_expires_at: link.expires_at,
+        balance_due: Number(invoice.balance_due || 0),
+        online_payment_available: !!gateway
+      }
+    });
+  } catch (error) {
+    console.error('Error getting invoice payment link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get payment link'
+    });
+  }
+}
+
 /**
  * Delete invoice
  */
@@ -2173,10 +2900,10 @@ async function deleteInvoice(req, res) {
       });
     }
 
-    if (invoice.status === 'paid') {
+    if (invoice.status === 'paid' || Number(invoice.amount_paid || 0) > 0) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot delete paid invoice'
+        message: 'Cannot delete paid or partially paid invoice'
       });
     }
 
@@ -2202,6 +2929,17 @@ module.exports = {
   updateInvoice,
   updateInvoiceStatus,
   deleteInvoice,
-  generateAiTemplatesForInvoice
+  generateAiTemplatesForInvoice,
+  getInvoicePayments,
+  addInvoicePayment,
+  voidInvoicePayment,
+  setPaymentSchedule,
+  deletePaymentSchedule,
+  getInvoiceReminderSettings,
+  updateInvoiceReminderSettings,
+  getInvoiceReminders,
+  updateInvoiceReminderPreference,
+  sendInvoiceReminderNow,
+  getInvoicePaymentLink
 };
 
@@ -0,0 +1,638 @@
+const moment = require('moment');
+const { calculateTax } = require('../services/taxCalculator');
+const { getTenantById } = require('../config/tenant');
+const { findCashierSession } = require('../services/cashDrawerService');
+const { validatePrescriptionForSale } = require('../services/prescriptionService');
+const {
+  LAYAWAY_TENDER_TYPES,
+  getLayawaySettings,
+  reserveStock,
+  releaseReservedStock,
+  calculateCancellation,
+  expireLayaways,
+  completeLayaway
+} = require('../services/layawayService');
+const { round2, generateNumber } = require('../services/numberService');
+
+/**
+ * Load a layaway with items, payments, customer and store
+ */
+function findLayaway(models, id) {
+  return models.LayawayOrder.findByPk(id, {
+    include: [
+      {
+        model: models.Store,
+        attributes: ['id', 'name']
+      },
+      {
+        model: models.Customer,
+        attributes: ['id', 'name', 'email', 'phone']
+      },
+      {
+        model: models.Staff,
+        attributes: ['id', 'name']
+      },
+      {
+        model: models.LayawayItem
+      },
+      {
+        model: models.LayawayPayment
+      }
+    ],
+    order: [[models.LayawayPayment, 'created_at', 'ASC']]
+  });
+}
+
+/**
+ * Run layaway expiry in its own transaction
+ */
+async function runExpiry(db, storeId = null) {
+  const transaction = await db.transaction();
+  try {
+    const expired = await expireLayaways(db.models, { storeId }, transaction);
+    await transaction.commit();
+    return expired;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+/**
+ * Get layaway orders (overdue layaways are expired first)
+ */
+async function getLayaways(req, res) {
+  try {
+    const { store_id, customer_id, status, page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    await runExpiry(req.db, store_id);
+
+    const where = {};
+    if (store_id) where.store_id = store_id;
+    if (customer_id) where.customer_id = customer_id;
+    if (status) where.status = status;
+
+    const { count, rows } = await req.db.models.LayawayOrder.findAndCountAll({
+      where,
+      include: [
+        {
+          model: req.db.models.Store,
+          attributes: ['id', 'name']
+        },
+        {
+          model: req.db.models.Customer,
+          attributes: ['id', 'name', 'phone']
+        }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        layaways: rows,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting layaways:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get layaways'
+    });
+  }
+}
+
+/**
+ * Get layaway by ID
+ */
+async function getLayawayById(req, res) {
+  try {
+    await runExpiry(req.db);
+
+    const layaway = await findLayaway(req.db.models, req.params.id);
+
+    if (!layaway) {
+      return res.status(404).json({
+        success: false,
+        message: 'Layaway not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { layaway }
+    });
+  } catch (error) {
+    console.error('Error getting layaway:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get layaway'
+    });
+  }
+}
+
+/**
+ * Create layaway: reserve the goods in the store and take the deposit
+ */
+async function createLayaway(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const {
+      store_id,
+      customer_id,
+      items, // Array of { product_id, quantity, unit_price, discount_percentage, discount_amount }
+      discount_amount = 0,
+      prescription_id,
+      deposit_amount,
+      tender_type = 'cash',
+      reference,
+      duration_days,
+      notes
+    } = req.body;
+
+    if (!store_id || !customer_id || !Array.isArray(items) || items.length === 0) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'store_id, customer_id and items are required'
+      });
+    }
+
+    if (!LAYAWAY_TENDER_TYPES.includes(tender_type)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `tender_type must be one of: ${LAYAWAY_TENDER_TYPES.join(', ')}`
+      });
+    }
+
+    const [store, customer] = await Promise.all([
+      req.db.models.Store.findByPk(store_id),
+      req.db.models.Customer.findByPk(customer_id)
+    ]);
+
+    if (!store) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found'
+      });
+    }
+
+    if (!customer) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    // Get tenant for tax calculation
+    let tenant = null;
+    try {
+      tenant = await getTenantById(req.user.tenantId);
+    } catch (error) {
+      console.warn('Could not fetch tenant for tax calculation:', error);
+    }
+
+    let subtotal = 0;
+    const layawayItems = [];
+
+    for (const item of items) {
+      const { product_id, quantity, unit_price, discount_percentage = 0, discount_amount: itemDiscount = 0 } = item;
+
+      if (!product_id || !quantity || unit_price === undefined) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Each item must have product_id, quantity, and unit_price'
+        });
+      }
+
+      const product = await req.db.models.Product.findByPk(product_id);
+      if (!product) {
+        await transaction.rollback();
+        return res.status(404).json({
+          success: false,
+          message: `Product ${product_id} not found`
+        });
+      }
+
+      const itemSubtotal = quantity * unit_price;
+      const calculatedDiscount = itemDiscount || (itemSubtotal * (discount_percentage / 100));
+      const itemTotal = itemSubtotal - calculatedDiscount;
+      subtotal += itemTotal;
+
+      layawayItems.push({
+        product_id,
+        product_name: product.name,
+        barcode: product.barcode || product.sku,
+        quantity,
+        unit_price,
+        discount_percentage,
+        discount_amount: calculatedDiscount,
+        total: itemTotal
+      });
+    }
+
+    // Prescription-only products need a valid prescription for this customer before they are reserved
+    const prescriptionResult = await validatePrescriptionForSale(req.db.models, {
+      prescriptionId: prescription_id || null,
+      customerId: customer_id,
+      items: layawayItems,
+      transaction
+    });
+
+    if (!prescriptionResult.valid) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: prescriptionResult.message
+      });
+    }
+
+    let taxAmount = 0;
+    if (tenant && tenant.country) {
+      const taxBreakdown = calculateTax({
+        country: tenant.country,
+        subtotal: subtotal,
+        businessType: tenant.business_type || 'company',
+        annualTurnover: tenant.annual_turnover ? parseFloat(tenant.annual_turnover) : null,
+        totalFixedAssets: tenant.total_fixed_assets ? parseFloat(tenant.total_fixed_assets) : null
+      });
+      taxAmount = taxBreakdown.total_tax;
+    }
+
+    const total = round2(subtotal + taxAmount - parseFloat(discount_amount || 0));
+    const settings = getLayawaySettings();
+    const minimumDeposit = round2(total * (settings.min_deposit_percentage / 100));
+    const deposit = round2(deposit_amount);
+
+    if (deposit < minimumDeposit || deposit <= 0) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `A deposit of at least ${minimumDeposit.toFixed(2)} (${settings.min_deposit_percentage}% of ${total.toFixed(2)}) is required`
+      });
+    }
+
+    if (deposit > total) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Deposit exceeds the layaway total (${total.toFixed(2)})`
+      });
+    }
+
+    // Reserve the goods so they cannot be sold to someone else
+    const reservation = await reserveStock(req.db.models, { storeId: store_id, items: layawayItems }, transaction);
+    if (!reservation.valid) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: reservation.message
+      });
+    }
+
+    const layaway = await req.db.models.LayawayOrder.create({
+      layaway_number: generateNumber('LAY'),
+      store_id,
+      customer_id,
+      staff_id: req.user.staffId || null,
+      prescription_id: prescriptionResult.prescription ? prescriptionResult.prescription.id : null,
+      status: 'active',
+      subtotal,
+      tax_amount: taxAmount,
+      discount_amount,
+      total,
+      minimum_deposit: minimumDeposit,
+      amount_paid: deposit,
+      balance_due: round2(total - deposit),
+      expires_at: moment().add(parseInt(duration_days) || settings.duration_days, 'days').endOf('day').toDate(),
+      cancellation_fee_percentage: settings.cancellation_fee_percentage,
+      notes: notes || null
+    }, { transaction });
+
+    for (const item of layawayItems) {
+      await req.db.models.LayawayItem.create({
+        layaway_order_id: layaway.id,
+        ...item
+      }, { transaction });
+    }
+
+    // Deposit counted in the cashier's open till (if any)
+    const drawerSession = await findCashierSession(req.db.models, req.user, store_id, transaction);
+
+    await req.db.models.LayawayPayment.create({
+      layaway_order_id: layaway.id,
+      payment_type: 'deposit',
+      tender_type,
+      amount: deposit,
+      reference: reference || null,
+      cash_drawer_session_id: drawerSession ? drawerSession.id : null,
+      received_by: req.user.staffId || req.user.id
+    }, { transaction });
+
+    // Paid in full up front: hand the goods over straight away
+    let posTransaction = null;
+    if (round2(total - deposit) === 0) {
+      const completion = await completeLayaway(req.db.models, layaway, {
+        userId: req.user.staffId || req.user.id
+      }, transaction);
+
+      if (!completion.valid) {
+        await transaction.rollback();
+        return res.status(completion.status).json({
+          success: false,
+          message: completion.message
+        });
+      }
+      posTransaction = completion.posTransaction;
+    }
+
+    await transaction.commit();
+
+    const completeLayawayOrder = await findLayaway(req.db.models, layaway.id);
+
+    res.status(201).json({
+      success: true,
+      message: posTransaction
+        ? 'Layaway paid in full and completed'
+        : 'Layaway created successfully',
+      data: {
+        layaway: completeLayawayOrder,
+        ...(posTransaction && { transaction: posTransaction })
+      }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error creating layaway:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create layaway'
+    });
+  }
+}
+
+/**
+ * Record an instalment; the final payment completes the layaway as a POS sale
+ */
+async function addLayawayPayment(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const { amount, tender_type = 'cash', reference, notes } = req.body;
+
+    if (amount === undefined || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'amount must be greater than 0'
+      });
+    }
+
+    if (!LAYAWAY_TENDER_TYPES.includes(tender_type)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `tender_type must be one of: ${LAYAWAY_TENDER_TYPES.join(', ')}`
+      });
+    }
+
+    const layaway = await req.db.models.LayawayOrder.findByPk(req.params.id, { lock: true, transaction });
+
+    if (!layaway) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Layaway not found'
+      });
+    }
+
+    if (layaway.status !== 'active') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Layaway is ${layaway.status}`
+      });
+    }
+
+    if (moment(layaway.expires_at).isBefore(moment())) {
+      await transaction.rollback();
+      await runExpiry(req.db, layaway.store_id);
+      return res.status(400).json({
+        success: false,
+        message: 'Layaway has expired and the goods have been released'
+      });
+    }
+
+    const paymentAmount = round2(amount);
+    const balanceDue = round2(layaway.balance_due);
+    if (paymentAmount > balanceDue) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Payment exceeds the balance due (${balanceDue.toFixed(2)})`
+      });
+    }
+
+    const drawerSession = await findCashierSession(req.db.models, req.user, layaway.store_id, transaction);
+
+    const payment = await req.db.models.LayawayPayment.create({
+      layaway_order_id: layaway.id,
+      payment_type: 'instalment',
+      tender_type,
+      amount: paymentAmount,
+      reference: reference || null,
+      cash_drawer_session_id: drawerSession ? drawerSession.id : null,
+      received_by: req.user.staffId || req.user.id,
+      notes: notes || null
+    }, { transaction });
+
+    await layaway.update({
+      amount_paid: round2(parseFloat(layaway.amount_paid) + paymentAmount),
+      balance_due: round2(balanceDue - paymentAmount)
+    }, { transaction });
+
+    let posTransaction = null;
+    if (round2(balanceDue - paymentAmount) === 0) {
+      const completion = await completeLayaway(req.db.models, layaway, {
+        userId: req.user.staffId || req.user.id
+      }, transaction);
+
+      if (!completion.valid) {
+        await transaction.rollback();
+        return res.status(completion.status).json({
+          success: false,
+          message: completion.message
+        });
+      }
+      posTransaction = completion.posTransaction;
+    }
+
+    await transaction.commit();
+
+    res.status(201).json({
+      success: true,
+      message: posTransaction
+        ? 'Layaway paid in full. Goods can be collected'
+        : 'Layaway payment recorded successfully',
+      data: {
+        payment,
+        layaway,
+        ...(posTransaction && { transaction: posTransaction })
+      }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error recording layaway payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record layaway payment'
+    });
+  }
+}
+
+/**
+ * Cancel layaway: release the goods, keep the cancellation fee and refund the rest
+ * Expired layaways are cancelled the same way to pay out the refund due
+ */
+async function cancelLayaway(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const { reason, cancellation_fee, refund_tender_type = 'cash', reference } = req.body;
+
+    if (!LAYAWAY_TENDER_TYPES.includes(refund_tender_type)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `refund_tender_type must be one of: ${LAYAWAY_TENDER_TYPES.join(', ')}`
+      });
+    }
+
+    if (cancellation_fee !== undefined && (isNaN(parseFloat(cancellation_fee)) || parseFloat(cancellation_fee) < 0)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'cancellation_fee must be zero or more'
+      });
+    }
+
+    const layaway = await req.db.models.LayawayOrder.findByPk(req.params.id, {
+      include: [{ model: req.db.models.LayawayItem }],
+      transaction
+    });
+
+    if (!layaway) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Layaway not found'
+      });
+    }
+
+    if (!['active', 'expired'].includes(layaway.status)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Layaway is ${layaway.status}`
+      });
+    }
+
+    // Expired layaways had their reservation released at expiry
+    if (layaway.status === 'active') {
+      await releaseReservedStock(req.db.models, layaway, layaway.LayawayItems || [], transaction);
+    }
+
+    const feeOverride = cancellation_fee !== undefined ? parseFloat(cancellation_fee) : null;
+    const { cancellation_fee: cancellationFee, refund_amount: refundAmount } = calculateCancellation(layaway, feeOverride);
+
+    let refund = null;
+    if (refundAmount > 0) {
+      // Refund paid out of the cancelling cashier's open till
+      const drawerSession = await findCashierSession(req.db.models, req.user, layaway.store_id, transaction);
+
+      refund = await req.db.models.LayawayPayment.create({
+        layaway_order_id: layaway.id,
+        payment_type: 'refund',
+        tender_type: refund_tender_type,
+        amount: refundAmount,
+        reference: reference || null,
+        cash_drawer_session_id: drawerSession ? drawerSession.id : null,
+        received_by: req.user.staffId || req.user.id,
+        notes: reason || null
+      }, { transaction });
+    }
+
+    await layaway.update({
+      status: 'cancelled',
+      cancellation_fee: cancellationFee,
+      refund_due: 0,
+      amount_refunded: refundAmount,
+      cancelled_at: new Date(),
+      cancelled_by: req.user.staffId || req.user.id,
+      cancellation_reason: reason || null
+    }, { transaction });
+
+    await transaction.commit();
+
+    res.json({
+      success: true,
+      message: refundAmount > 0
+        ? `Layaway cancelled. Refund ${refundAmount.toFixed(2)} (fee kept: ${cancellationFee.toFixed(2)})`
+        : 'Layaway cancelled',
+      data: {
+        layaway,
+        ...(refund && { refund })
+      }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error cancelling layaway:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel layaway'
+    });
+  }
+}
+
+/**
+ * Expire overdue layaways now (also runs whenever layaways are listed)
+ */
+async function expireOverdueLayaways(req, res) {
+  try {
+    const expired = await runExpiry(req.db, req.body.store_id || null);
+
+    res.json({
+      success: true,
+      message: `${expired} layaway(s) expired`,
+      data: { expired }
+    });
+  } catch (error) {
+    console.error('Error expiring layaways:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to expire layaways'
+    });
+  }
+}
+
+module.exports = {
+  getLayaways,
+  getLayawayById,
+  createLayaway,
+  addLayawayPayment,
+  cancelLayaway,
+  expireOverdueLayaways
+};
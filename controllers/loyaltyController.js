@@ -1,4 +1,5 @@
 const { Sequelize } = require('sequelize');
+const { redeemCustomerPoints } = require('../services/loyaltyService');
 
 /**
  * Get loyalty program settings
@@ -238,55 +239,37 @@ async function redeemPoints(req, res) {
       });
     }
 
-    const loyaltyPoints = await req.db.models.CustomerLoyaltyPoints.findOne({
-      where: { customer_id },
-      include: [
-        {
-          model: req.db.models.LoyaltyProgram
-        }
-      ]
-    });
+    // Locks the customer's balance so concurrent redemptions (e.g. at the till) cannot overdraw it
+    const transaction = await req.db.transaction();
+    let result;
+    try {
+      result = await redeemCustomerPoints(req.db.models, {
+        customerId: customer_id,
+        points: points_to_redeem,
+        description
+      }, transaction);
+
+      if (!result.valid) {
+        await transaction.rollback();
+        return res.status(result.status).json({
+          success: false,
+          message: result.message
+        });
+      }
 
-    if (!loyaltyPoints) {
-      return res.status(404).json({
-        success: false,
-        message: 'Customer has no loyalty points'
-      });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
     }
 
-    if (parseFloat(loyaltyPoints.available_points) < points_to_redeem) {
-      return res.status(400).json({
-        success: false,
-        message: 'Insufficient points'
-      });
-    }
-
-    // Calculate redemption value
-    const program = loyaltyPoints.LoyaltyProgram;
-    const redemptionValue = (points_to_redeem / program.redemption_rate) * program.currency_unit;
-
-    // Update points
-    await loyaltyPoints.update({
-      redeemed_points: parseFloat(loyaltyPoints.redeemed_points) + points_to_redeem,
-      available_points: parseFloat(loyaltyPoints.available_points) - points_to_redeem
-    });
-
-    // Record transaction
-    await req.db.models.LoyaltyPointTransaction.create({
-      customer_id,
-      loyalty_program_id: program.id,
-      transaction_type: 'redeemed',
-      points: -points_to_redeem,
-      description: description || `Redeemed ${points_to_redeem} points (₦${redemptionValue.toFixed(2)} value)`
-    });
-
     res.json({
       success: true,
       message: 'Points redeemed successfully',
       data: {
-        points_redeemed: points_to_redeem,
-        redemption_value: redemptionValue,
-        remaining_points: parseFloat(loyaltyPoints.available_points) - points_to_redeem
+        points_redeemed: result.points_redeemed,
+        redemption_value: result.redemption_value,
+        remaining_points: result.remaining_points
       }
     });
   } catch (error) {
@@ -1,5 +1,18 @@
 const { Sequelize } = require('sequelize');
 const { v4: uuidv4 } = require('uuid');
+const { consumeBatchesFefo, formatBatchAllocations } = require('../services/productBatchService');
+const { recordOrderRedemption, releaseOrderRedemption } = require('../services/promotionService');
+const { decryptSecretKey } = require('./paymentGatewayController');
+const {
+  requestGatewayRefund,
+  fetchGatewayRefundStatus,
+  calculateRefund,
+  calculateFeeReversal,
+  completeRefund,
+  failRefund,
+  markRefundProcessing
+} = require('../services/orderRefundService');
+const { generateNumber } = require('../services/numberService');
 
 /**
  * Generate unique order number
@@ -156,8 +169,12 @@ async function getOrderById(req, res) {
         },
         {
           model: req.db.models.PaymentTransaction,
-          attributes: ['id', 'transaction_reference', 'status', 'amount', 'paid_at', 'gateway_name'],
+          attributes: ['id', 'transaction_reference', 'status', 'amount', 'refunded_amount', 'paid_at', 'gateway_name'],
           required: false // Payment might not exist yet
+        },
+        {
+          model: req.db.models.OnlineStoreOrderRefund,
+          required: false
         }
       ]
     });
@@ -351,7 +368,9 @@ async function createOrder(req, res) {
     if (finalStoreId) {
       for (const item of items) {
         const productStore = await req.db.models.ProductStore.findOne({
-          where: { product_id: item.product_id, store_id: finalStoreId }
+          where: { product_id: item.product_id, store_id: finalStoreId },
+          transaction,
+          lock: transaction.LOCK.UPDATE
         });
         
         if (productStore) {
@@ -359,6 +378,28 @@ async function createOrder(req, res) {
             stock: productStore.stock - item.quantity
           }, { transaction });
         }
+
+        // Pick batch-tracked stock first-expiry-first-out
+        const batchAllocations = await consumeBatchesFefo(req.db.models, {
+          productId: item.product_id,
+          storeId: finalStoreId,
+          quantity: item.quantity,
+          transaction
+        });
+
+        const batchNote = formatBatchAllocations(batchAllocations);
+        await req.db.models.StockMovement.create({
+          product_id: item.product_id,
+          store_id: finalStoreId,
+          movement_type: 'sale',
+          quantity: -item.quantity,
+          reference_type: 'online_order',
+          reference_id: order.id,
+          notes: batchNote
+            ? `Online order ${order.order_number} (${batchNote})`
+            : `Online order ${order.order_number}`,
+          created_by: req.user ? (req.user.staffId || req.user.id) : null
+        }, { transaction });
       }
     }
 
@@ -403,12 +444,18 @@ async function createOrder(req, res) {
  * Update order status
  */
 async function updateOrderStatus(req, res) {
+  const transaction = await req.db.transaction();
   try {
     const { status, payment_status } = req.body;
     
-    const order = await req.db.models.OnlineStoreOrder.findByPk(req.params.id);
+    // Locked so a payment webhook cannot change the order between the checks and the update
+    const order = await req.db.models.OnlineStoreOrder.findByPk(req.params.id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
     
     if (!order) {
+      await transaction.rollback();
       return res.status(404).json({
         success: false,
         message: 'Order not found'
@@ -416,9 +463,10 @@ async function updateOrderStatus(req, res) {
     }
 
     const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
-    const validPaymentStatuses = ['pending', 'paid', 'failed', 'refunded'];
+    const validPaymentStatuses = ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'];
 
     if (status && !validStatuses.includes(status)) {
+      await transaction.rollback();
       return res.status(400).json({
         success: false,
         message: 'Invalid status'
@@ -426,16 +474,29 @@ async function updateOrderStatus(req, res) {
     }
 
     if (payment_status && !validPaymentStatuses.includes(payment_status)) {
+      await transaction.rollback();
       return res.status(400).json({
         success: false,
         message: 'Invalid payment status'
       });
     }
 
+    const wasPaid = order.payment_status === 'paid';
+
     await order.update({
       ...(status !== undefined && { status }),
       ...(payment_status !== undefined && { payment_status })
-    });
+    }, { transaction });
+
+    if (payment_status === 'paid' && !wasPaid) {
+      // Marked paid by hand (e.g. pay on delivery) - the promo code is used up now
+      await recordOrderRedemption(req.db.models, order, transaction);
+    } else if (status === 'cancelled' && order.payment_status !== 'paid') {
+      // Cancelled before payment - give the promo code use back
+      await releaseOrderRedemption(req.db.models, order, transaction);
+    }
+
+    await transaction.commit();
 
     res.json({
       success: true,
@@ -443,6 +504,7 @@ async function updateOrderStatus(req, res) {
       data: { order }
     });
   } catch (error) {
+    await transaction.rollback();
     console.error('Error updating order status:', error);
     res.status(500).json({
       success: false,
@@ -451,10 +513,321 @@ async function updateOrderStatus(req, res) {
   }
 }
 
+/**
+ * Get refunds for an order
+ */
+async function getOrderRefunds(req, res) {
+  try {
+    const order = await req.db.models.OnlineStoreOrder.findByPk(req.params.id, {
+      attributes: ['id', 'order_number', 'total', 'refunded_amount', 'payment_status']
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const refunds = await req.db.models.OnlineStoreOrderRefund.findAll({
+      where: { order_id: order.id },
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: { order, refunds }
+    });
+  } catch (error) {
+    console.error('Error getting order refunds:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get order refunds'
+    });
+  }
+}
+
+/**
+ * Refund an online order (full or partial) through the payment gateway
+ * Body: { amount?, items?: [{ order_item_id, quantity }], reason?, restock? }
+ * - No amount/items: full refund of everything left, all remaining items restocked
+ * - items only: refund the returned lines at their unit price
+ * - amount (with or without items): refund exactly that amount
+ */
+async function createOrderRefund(req, res) {
+  // Held while the refundable balance is checked and the pending refund is saved, so concurrent
+  // refunds on the same order queue on the order row; released before calling the gateway
+  const reservation = await req.db.transaction();
+  let reservationOpen = true;
+
+  try {
+    const { amount, items, reason, restock = true } = req.body;
+
+    const tenant = req.tenant || req.user?.tenant;
+    const isFreePlan = tenant?.subscription_plan === 'free';
+    const tenantId = isFreePlan ? req.user.tenantId : null;
+
+    const order = await req.db.models.OnlineStoreOrder.findOne({
+      where: {
+        id: req.params.id,
+        ...(isFreePlan ? { tenant_id: tenantId } : {})
+      },
+      include: [
+        {
+          model: req.db.models.OnlineStoreOrderItem
+        }
+      ],
+      lock: true,
+      transaction: reservation
+    });
+
+    if (!order) {
+      await reservation.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!['paid', 'partially_refunded'].includes(order.payment_status)) {
+      await reservation.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Cannot refund an order with payment status ${order.payment_status}`
+      });
+    }
+
+    const paymentTransaction = await req.db.models.PaymentTransaction.findOne({
+      where: {
+        order_id: order.id,
+        status: 'success',
+        ...(isFreePlan ? { tenant_id: tenantId } : {})
+      },
+      order: [['paid_at', 'DESC']],
+      transaction: reservation
+    });
+
+    if (!paymentTransaction) {
+      await reservation.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'No successful online payment found for this order'
+      });
+    }
+
+    // Refunds still waiting on the gateway count against the refundable balance
+    const reservedAmount = await req.db.models.OnlineStoreOrderRefund.sum('amount', {
+      where: {
+        payment_transaction_id: paymentTransaction.id,
+        status: { [Sequelize.Op.in]: ['pending', 'processing'] }
+      },
+      transaction: reservation
+    });
+
+    const calculation = calculateRefund(paymentTransaction, order.OnlineStoreOrderItems || [], {
+      amount,
+      items,
+      reservedAmount: reservedAmount || 0
+    });
+
+    if (!calculation.valid) {
+      await reservation.rollback();
+      return res.status(400).json({
+        success: false,
+        message: calculation.message
+      });
+    }
+
+    const gateway = await req.db.models.PaymentGateway.findOne({
+      where: {
+        gateway_name: paymentTransaction.gateway_name,
+        is_active: true,
+        ...(isFreePlan ? { tenant_id: tenantId } : {})
+      },
+      transaction: reservation
+    });
+
+    if (!gateway) {
+      await reservation.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `No active ${paymentTransaction.gateway_name} gateway configured to process the refund`
+      });
+    }
+
+    const { platformFeeReversed, merchantAmountReversed } = calculateFeeReversal(paymentTransaction, calculation.amount);
+
+    const refund = await req.db.models.OnlineStoreOrderRefund.create({
+      tenant_id: tenantId,
+      order_id: order.id,
+      payment_transaction_id: paymentTransaction.id,
+      refund_number: generateNumber('RFD'),
+      gateway_name: paymentTransaction.gateway_name,
+      refund_type: calculation.refundType,
+      amount: calculation.amount,
+      platform_fee_reversed: platformFeeReversed,
+      merchant_amount_reversed: merchantAmountReversed,
+      items: calculation.lines,
+      restock: restock !== false && restock !== 'false',
+      reason: reason || null,
+      status: 'pending',
+      requested_by: req.user.staffId || req.user.id
+    }, { transaction: reservation });
+
+    await reservation.commit();
+    reservationOpen = false;
+
+    let gatewayResult;
+    try {
+      gatewayResult = await requestGatewayRefund(
+        gateway,
+        decryptSecretKey(gateway.secret_key),
+        paymentTransaction,
+        calculation.amount,
+        reason
+      );
+    } catch (gatewayError) {
+      await failRefund(req.db.models, refund, gatewayError.message);
+      return res.status(502).json({
+        success: false,
+        message: `Refund failed: ${gatewayError.message}`,
+        data: { refund }
+      });
+    }
+
+    await markRefundProcessing(req.db.models, refund, gatewayResult);
+
+    if (gatewayResult.status === 'completed') {
+      const transaction = await req.db.transaction();
+      try {
+        await completeRefund(req.db.models, refund, {
+          isFreePlan,
+          createdBy: req.user.staffId || req.user.id,
+          transaction
+        });
+        await transaction.commit();
+      } catch (applyError) {
+        await transaction.rollback();
+        throw applyError;
+      }
+    } else if (gatewayResult.status === 'failed') {
+      await failRefund(req.db.models, refund, 'Refund rejected by payment gateway', gatewayResult.response);
+    }
+
+    await refund.reload();
+
+    const messages = {
+      completed: 'Refund completed successfully',
+      processing: 'Refund submitted - waiting for the payment gateway to confirm',
+      failed: 'Refund was rejected by the payment gateway'
+    };
+
+    res.status(refund.status === 'failed' ? 502 : 201).json({
+      success: refund.status !== 'failed',
+      message: messages[refund.status] || 'Refund created',
+      data: { refund }
+    });
+  } catch (error) {
+    if (reservationOpen) {
+      await reservation.rollback();
+    }
+    console.error('Error refunding order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refund order'
+    });
+  }
+}
+
+/**
+ * Re-check a processing refund with the payment gateway (fallback when the webhook was missed)
+ */
+async function syncOrderRefund(req, res) {
+  try {
+    const tenant = req.tenant || req.user?.tenant;
+    const isFreePlan = tenant?.subscription_plan === 'free';
+
+    const refund = await req.db.models.OnlineStoreOrderRefund.findOne({
+      where: {
+        id: req.params.refundId,
+        order_id: req.params.id,
+        ...(isFreePlan ? { tenant_id: req.user.tenantId } : {})
+      }
+    });
+
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund not found'
+      });
+    }
+
+    if (refund.status !== 'processing') {
+      return res.json({
+        success: true,
+        message: `Refund is already ${refund.status}`,
+        data: { refund }
+      });
+    }
+
+    const gateway = await req.db.models.PaymentGateway.findOne({
+      where: {
+        gateway_name: refund.gateway_name,
+        is_active: true,
+        ...(isFreePlan ? { tenant_id: req.user.tenantId } : {})
+      }
+    });
+
+    if (!gateway) {
+      return res.status(400).json({
+        success: false,
+        message: `No active ${refund.gateway_name} gateway configured`
+      });
+    }
+
+    const result = await fetchGatewayRefundStatus(gateway, decryptSecretKey(gateway.secret_key), refund);
+
+    if (result.status === 'completed') {
+      const transaction = await req.db.transaction();
+      try {
+        await completeRefund(req.db.models, refund, {
+          isFreePlan,
+          createdBy: req.user.staffId || req.user.id,
+          gatewayResponse: result.response,
+          transaction
+        });
+        await transaction.commit();
+      } catch (applyError) {
+        await transaction.rollback();
+        throw applyError;
+      }
+    } else if (result.status === 'failed') {
+      await failRefund(req.db.models, refund, 'Refund failed at payment gateway', result.response);
+    }
+
+    await refund.reload();
+
+    res.json({
+      success: true,
+      message: `Refund is ${refund.status}`,
+      data: { refund }
+    });
+  } catch (error) {
+    console.error('Error syncing order refund:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sync refund status'
+    });
+  }
+}
+
 module.exports = {
   getAllOrders,
   getOrderById,
   createOrder,
-  updateOrderStatus
+  updateOrderStatus,
+  getOrderRefunds,
+  createOrderRefund,
+  syncOrderRefund
 };
 
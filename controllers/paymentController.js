@@ -6,6 +6,13 @@ const { getTenantConnection } = require('../config/database');
 const initModels = require('../models');
 const { Sequelize } = require('sequelize');
 const moment = require('moment');
+const { recordGatewayInvoicePayment } = require('../services/invoicePaymentService');
+const { completeOnlineInvoicePayment } = require('../services/invoicePaymentLinkService');
+const { completeRefund, failRefund, fetchGatewayRefundStatus } = require('../services/orderRefundService');
+const { findBookingAssignment } = require('../services/bookingAvailabilityService');
+const { confirmBookingPayment, sendPaidBookingConfirmation } = require('../services/bookingPaymentService');
+const { isValidTimezone, DEFAULT_TIMEZONE } = require('../services/bookingCalendarService');
+const { recordOrderRedemption } = require('../services/promotionService');
 
 /**
  * Initialize payment (create payment link/transaction)
@@ -761,6 +768,12 @@ async function verifyPayment(req, res) {
           { where: orderWhere, transaction: dbTransaction }
         );
 
+        // The order's promo code is used up now that it is paid
+        if (orderUpdateResult[0] > 0) {
+          const paidOrder = await models.OnlineStoreOrder.findByPk(currentTransaction.order_id, { transaction: dbTransaction });
+          await recordOrderRedemption(models, paidOrder, dbTransaction);
+        }
+
         // Send order confirmation email after successful payment
         // Only send if order was actually updated (orderUpdateResult[0] > 0)
         if (orderUpdateResult[0] > 0) {
@@ -812,22 +825,19 @@ async function verifyPayment(req, res) {
         }
       }
 
-      // Update invoice status if payment successful (only if not already paid)
+      // Record the payment on the invoice ledger if payment successful (updates amount_paid/balance_due/status)
+      let settledInvoicePayment = null;
       if (newStatus === 'success' && currentTransaction.invoice_id && !emailSent) {
-        // Build where clause for invoice update (for free users, filter by tenant_id)
-        // Only update if invoice is not already paid
-        const invoiceWhere = { id: currentTransaction.invoice_id };
-        if (isFreePlan && currentTransaction.tenant_id) {
-          invoiceWhere.tenant_id = currentTransaction.tenant_id;
-        }
-        // Add condition to only update if not already paid
-        const { Sequelize } = require('sequelize');
-        invoiceWhere.status = { [Sequelize.Op.ne]: 'paid' };
-        
-        await models.Invoice.update(
-          { status: 'paid', payment_date: new Date() },
-          { where: invoiceWhere, transaction: dbTransaction }
-        );
+        settledInvoicePayment = await recordGatewayInvoicePayment(models, currentTransaction, {
+          paymentMethod: verificationResult.channel || 'card',
+          transaction: dbTransaction
+        });
+      }
+
+      // Confirm the booking this deposit / prepayment was holding
+      let bookingPayment = null;
+      if (newStatus === 'success' && currentTransaction.booking_id) {
+        bookingPayment = await confirmBookingPayment(models, currentTransaction, dbTransaction);
       }
 
       // Handle booking creation if payment is for a service booking
@@ -886,7 +896,7 @@ async function verifyPayment(req, res) {
                 customer_email: currentTransaction.customer_email || metadata.customer_email,
                 customer_phone: metadata.customer_phone || null,
                 scheduled_at: metadata.scheduled_at,
-                timezone: metadata.timezone || 'Africa/Lagos',
+                timezone: isValidTimezone(metadata.timezone) ? metadata.timezone : DEFAULT_TIMEZONE,
                 location_type: metadata.location_type || 'in_person',
                 meeting_link: null, // Not used - focusing on in-person services only
                 staff_name: metadata.staff_name || null,
@@ -942,6 +952,20 @@ async function verifyPayment(req, res) {
                 bookingData.service_title = service.service_title;
                 bookingData.description = service.description;
                 bookingData.duration_minutes = service.duration_minutes || 60;
+
+                // Payment is already taken, so staff and resource assignment is best effort
+                const assignment = await findBookingAssignment(models, {
+                  storeId: metadata.store_id,
+                  service,
+                  scheduledAt: metadata.scheduled_at,
+                  staffId: metadata.staff_id || null,
+                  isFreePlan
+                }, dbTransaction);
+                if (assignment.valid && assignment.uses_assignment) {
+                  bookingData.staff_id = assignment.staff ? assignment.staff.id : null;
+                  bookingData.resource_id = assignment.resource ? assignment.resource.id : null;
+                  if (assignment.staff) bookingData.staff_name = assignment.staff.name;
+                }
               }
 
               const booking = await models.Booking.create(bookingData, { transaction: dbTransaction });
@@ -992,6 +1016,16 @@ async function verifyPayment(req, res) {
       if (!emailSent) {
         await dbTransaction.commit();
       }
+
+      // Receipt + merchant notification for invoice payments (runs in background, never throws)
+      if (settledInvoicePayment) {
+        completeOnlineInvoicePayment(sequelize, tenant, settledInvoicePayment);
+      }
+
+      // Booking confirmation once the deposit / prepayment has confirmed it (never throws)
+      if (bookingPayment && bookingPayment.confirmed) {
+        sendPaidBookingConfirmation(models, tenant, bookingPayment.booking.id);
+      }
       
       // Return success response
       const responseData = {
@@ -1005,6 +1039,19 @@ async function verifyPayment(req, res) {
         }
       };
 
+      if (bookingPayment) {
+        responseData.booking = {
+          id: bookingPayment.booking.id,
+          status: bookingPayment.booking.status,
+          payment_status: bookingPayment.booking.payment_status,
+          scheduled_at: bookingPayment.booking.scheduled_at
+        };
+        responseData.booking_confirmed = bookingPayment.confirmed;
+        if (bookingPayment.refund_due) {
+          responseData.booking_message = 'The booking hold expired before payment was received. The payment will be refunded.';
+        }
+      }
+
       // Include booking info if booking was created
       if (bookingCreated) {
         const bookingWhere = { payment_transaction_id: currentTransaction.id };
@@ -1129,7 +1176,8 @@ async function verifyPaystackPayment(reference, secretKey) {
       message: data.gateway_response || data.message,
       gateway_transaction_id: data.reference,
       amount: data.amount / 100, // Convert from kobo
-      paid_at: data.paid_at
+      paid_at: data.paid_at,
+      channel: data.channel
     };
   } catch (error) {
     console.error('Paystack verification error:', error.response?.data || error.message);
@@ -1191,7 +1239,8 @@ async function verifyFlutterwavePayment(txRef, secretKey) {
       message: data.processor_response || data.status,
       gateway_transaction_id: data.tx_ref,
       amount: data.amount,
-      paid_at: data.created_at
+      paid_at: data.created_at,
+      channel: data.payment_type
     };
   } catch (error) {
     console.error('Flutterwave verification error:', error.response?.data || error.message);
@@ -1249,8 +1298,9 @@ async function handlePaymentWebhook(req, res) {
     console.log(`Paystack webhook received: ${event} for online_store_id: ${online_store_id || 'N/A'}`);
 
     // Extract tenant_id from metadata (required to connect to correct database)
+    // Refund events carry no metadata - fall back to the tenant_id on the webhook URL (see getWebhookUrl)
     const metadata = data.metadata || {};
-    const tenantId = metadata.tenant_id;
+    const tenantId = metadata.tenant_id || req.query.tenant_id;
     
     if (!tenantId) {
       console.error('Missing tenant_id in webhook metadata');
@@ -1299,8 +1349,9 @@ async function handlePaymentWebhook(req, res) {
         console.warn(`Transaction not found for reference: ${reference}. Creating from webhook data...`);
         
         // Try to get order_id and invoice_id from metadata
-        const orderId = metadata.order_id || metadata.transaction_id || null;
+        // (invoice and booking payments also carry transaction_id, which is not an order)
         const invoiceId = metadata.invoice_id || null;
+        const orderId = metadata.order_id || (invoiceId || metadata.booking_id ? null : metadata.transaction_id) || null;
         
         // Get gateway name from metadata or default to paystack
         const gatewayName = metadata.gateway_name || 'paystack';
@@ -1315,6 +1366,7 @@ async function handlePaymentWebhook(req, res) {
             tenant_id: isFreePlan ? parsedTenantId : null,
             order_id: orderId,
             invoice_id: invoiceId,
+            booking_id: metadata.booking_id || null,
             transaction_reference: reference,
             gateway_name: gatewayName,
             gateway_transaction_id: reference,
@@ -1369,14 +1421,29 @@ async function handlePaymentWebhook(req, res) {
         const { Sequelize } = require('sequelize');
         orderWhere.payment_status = { [Sequelize.Op.ne]: 'paid' };
         
-        const orderUpdateResult = await models.OnlineStoreOrder.update(
-          {
-            payment_status: 'paid',
-            status: 'confirmed',
-            paid_at: new Date()
-          },
-          { where: orderWhere }
-        );
+        // The order is marked paid and its promo code used up together, with the promotion locked
+        const orderTransaction = await sequelize.transaction();
+        let orderUpdateResult;
+        try {
+          orderUpdateResult = await models.OnlineStoreOrder.update(
+            {
+              payment_status: 'paid',
+              status: 'confirmed',
+              paid_at: new Date()
+            },
+            { where: orderWhere, transaction: orderTransaction }
+          );
+
+          if (orderUpdateResult[0] > 0) {
+            const paidOrder = await models.OnlineStoreOrder.findByPk(transaction.order_id, { transaction: orderTransaction });
+            await recordOrderRedemption(models, paidOrder, orderTransaction);
+          }
+
+          await orderTransaction.commit();
+        } catch (orderError) {
+          await orderTransaction.rollback();
+          throw orderError;
+        }
 
         // Only fetch and send email if order was actually updated
         if (orderUpdateResult[0] > 0) {
@@ -1416,24 +1483,33 @@ async function handlePaymentWebhook(req, res) {
         }
       }
 
-      // Update invoice status if payment successful (only if not already paid)
+      // Record the payment on the invoice ledger (skipped if verifyPayment already applied this transaction)
       if (transaction.invoice_id) {
-        const invoiceWhere = { id: transaction.invoice_id };
-        if (isFreePlan && transaction.tenant_id) {
-          invoiceWhere.tenant_id = transaction.tenant_id;
+        const dbTransaction = await sequelize.transaction();
+        let invoicePayment;
+        try {
+          invoicePayment = await recordGatewayInvoicePayment(models, transaction, {
+            paymentMethod: data.authorization?.channel || 'card',
+            transaction: dbTransaction
+          });
+          await dbTransaction.commit();
+        } catch (invoiceError) {
+          await dbTransaction.rollback();
+          throw invoiceError;
+        }
+
+        // First time this payment is applied - generate the receipt and notify the merchant
+        if (invoicePayment) {
+          completeOnlineInvoicePayment(sequelize, tenant, invoicePayment);
+        }
+      }
+
+      // Confirm the booking this deposit / prepayment was holding (skipped if verifyPayment already did)
+      if (transaction.booking_id) {
+        const bookingPayment = await confirmBookingPayment(models, transaction);
+        if (bookingPayment && bookingPayment.confirmed) {
+          sendPaidBookingConfirmation(models, tenant, bookingPayment.booking.id);
         }
-        // Only update if not already paid
-        const { Sequelize } = require('sequelize');
-        invoiceWhere.status = { [Sequelize.Op.ne]: 'paid' };
-        
-        await models.Invoice.update(
-          { 
-            status: 'paid', 
-            payment_date: new Date(),
-            payment_method: data.authorization?.channel || 'card'
-          },
-          { where: invoiceWhere }
-        );
       }
 
       // Handle booking creation if payment is for a service booking
@@ -1470,7 +1546,7 @@ async function handlePaymentWebhook(req, res) {
                 customer_email: transaction.customer_email || metadata.customer_email,
                 customer_phone: metadata.customer_phone || null,
                 scheduled_at: metadata.scheduled_at,
-                timezone: metadata.timezone || 'Africa/Lagos',
+                timezone: isValidTimezone(metadata.timezone) ? metadata.timezone : DEFAULT_TIMEZONE,
                 location_type: metadata.location_type || 'in_person',
                 meeting_link: null, // Not used - focusing on in-person services only
                 staff_name: metadata.staff_name || null,
@@ -1519,6 +1595,20 @@ async function handlePaymentWebhook(req, res) {
                 bookingData.service_title = service.service_title;
                 bookingData.description = service.description;
                 bookingData.duration_minutes = service.duration_minutes || 60;
+
+                // Payment is already taken, so staff and resource assignment is best effort
+                const assignment = await findBookingAssignment(models, {
+                  storeId: metadata.store_id,
+                  service,
+                  scheduledAt: metadata.scheduled_at,
+                  staffId: metadata.staff_id || null,
+                  isFreePlan
+                });
+                if (assignment.valid && assignment.uses_assignment) {
+                  bookingData.staff_id = assignment.staff ? assignment.staff.id : null;
+                  bookingData.resource_id = assignment.resource ? assignment.resource.id : null;
+                  if (assignment.staff) bookingData.staff_name = assignment.staff.name;
+                }
               }
 
               const booking = await models.Booking.create(bookingData);
@@ -1574,8 +1664,8 @@ async function handlePaymentWebhook(req, res) {
       if (!transaction) {
         console.warn(`Transaction not found for failed reference: ${reference}. Creating from webhook data...`);
         
-        const orderId = metadata.order_id || metadata.transaction_id || null;
         const invoiceId = metadata.invoice_id || null;
+        const orderId = metadata.order_id || (invoiceId || metadata.booking_id ? null : metadata.transaction_id) || null;
         const gatewayName = metadata.gateway_name || 'paystack';
         const platformFee = metadata.platform_fee || 0;
         const merchantAmount = (data.amount / 100) - platformFee;
@@ -1585,6 +1675,7 @@ async function handlePaymentWebhook(req, res) {
             tenant_id: isFreePlan ? parsedTenantId : null,
             order_id: orderId,
             invoice_id: invoiceId,
+            booking_id: metadata.booking_id || null,
             transaction_reference: reference,
             gateway_name: gatewayName,
             gateway_transaction_id: reference,
@@ -1619,6 +1710,62 @@ async function handlePaymentWebhook(req, res) {
 
         console.log(`✅ Payment webhook processed: Transaction ${transaction.id} marked as failed`);
       }
+    } else if (event === 'refund.processed' || event === 'refund.failed') {
+      // Refund started from POST /online-store-orders/:id/refunds has finished at Paystack
+      const refundWhere = { status: { [Sequelize.Op.in]: ['pending', 'processing'] } };
+      if (isFreePlan) {
+        refundWhere.tenant_id = parsedTenantId;
+      }
+
+      let refund = null;
+      if (data.id) {
+        refund = await models.OnlineStoreOrderRefund.findOne({
+          where: { ...refundWhere, gateway_refund_id: String(data.id) }
+        });
+      }
+
+      // Older payloads without the refund id - match on the original transaction and amount
+      if (!refund && data.transaction_reference) {
+        const refundTransactionWhere = { transaction_reference: data.transaction_reference };
+        if (isFreePlan) {
+          refundTransactionWhere.tenant_id = parsedTenantId;
+        }
+        const refundedTransaction = await models.PaymentTransaction.findOne({ where: refundTransactionWhere });
+
+        if (refundedTransaction) {
+          refund = await models.OnlineStoreOrderRefund.findOne({
+            where: {
+              ...refundWhere,
+              payment_transaction_id: refundedTransaction.id,
+              amount: Number(data.amount || 0) / 100
+            },
+            order: [['created_at', 'ASC']]
+          });
+        }
+      }
+
+      if (refund) {
+        if (event === 'refund.processed') {
+          const dbTransaction = await sequelize.transaction();
+          try {
+            await completeRefund(models, refund, {
+              isFreePlan,
+              gatewayResponse: data,
+              transaction: dbTransaction
+            });
+            await dbTransaction.commit();
+          } catch (refundError) {
+            await dbTransaction.rollback();
+            throw refundError;
+          }
+          console.log(`✅ Refund webhook processed: Refund ${refund.refund_number} completed`);
+        } else {
+          await failRefund(models, refund, data.message || data.status || 'Refund failed at Paystack', data);
+          console.log(`Refund webhook processed: Refund ${refund.refund_number} failed`);
+        }
+      } else {
+        console.warn(`No pending refund found for webhook ${event} (transaction ${data.transaction_reference || 'N/A'})`);
+      }
     }
 
     // Always return 200 to acknowledge receipt
@@ -1629,6 +1776,114 @@ async function handlePaymentWebhook(req, res) {
   }
 }
 
+/**
+ * Flutterwave webhook - finishes refunds started from POST /online-store-orders/:id/refunds
+ * POST /api/v1/payments/webhook/flutterwave?tenant_id=123
+ * Flutterwave sends the secret hash set on its dashboard in the verif-hash header; it must match the
+ * tenant's Flutterwave gateway webhook_secret. The payload only identifies the refund - its status is
+ * read back from the Flutterwave API, as the manual sync does
+ */
+async function handleFlutterwaveWebhook(req, res) {
+  try {
+    const signature = req.headers['verif-hash'];
+    const tenantId = req.query.tenant_id;
+
+    if (!signature) {
+      console.error('Missing Flutterwave verif-hash');
+      return res.status(400).json({ error: 'Missing signature' });
+    }
+
+    if (!tenantId) {
+      console.error('Missing tenant_id on Flutterwave webhook URL');
+      return res.status(200).json({
+        received: true,
+        warning: 'Missing tenant_id - cannot process webhook'
+      });
+    }
+
+    const tenant = await getTenantById(tenantId);
+    if (!tenant) {
+      console.error(`Tenant not found: ${tenantId}`);
+      return res.status(200).json({
+        received: true,
+        warning: `Tenant ${tenantId} not found`
+      });
+    }
+
+    const sequelize = await getTenantConnection(tenantId, tenant.subscription_plan || 'enterprise');
+    const models = initModels(sequelize);
+    const isFreePlan = tenant.subscription_plan === 'free';
+    const parsedTenantId = parseInt(tenantId, 10);
+
+    const gateway = await models.PaymentGateway.findOne({
+      where: {
+        gateway_name: 'flutterwave',
+        is_active: true,
+        ...(isFreePlan ? { tenant_id: parsedTenantId } : {})
+      }
+    });
+
+    if (!gateway || !gateway.webhook_secret) {
+      console.error(`Flutterwave webhook secret not configured for tenant ${tenantId}`);
+      return res.status(500).json({ error: 'Webhook configuration error' });
+    }
+
+    const expectedHash = Buffer.from(gateway.webhook_secret);
+    const providedHash = Buffer.from(String(signature));
+    if (expectedHash.length !== providedHash.length || !crypto.timingSafeEqual(expectedHash, providedHash)) {
+      console.error('Invalid Flutterwave webhook signature');
+      return res.status(403).json({ error: 'Invalid signature' });
+    }
+
+    const event = req.body.event || req.body['event.type'];
+    const data = req.body.data || req.body;
+
+    console.log(`Flutterwave webhook received: ${event || 'unknown event'} for tenant ${tenantId}`);
+
+    const refund = data.id
+      ? await models.OnlineStoreOrderRefund.findOne({
+        where: {
+          gateway_name: 'flutterwave',
+          gateway_refund_id: String(data.id),
+          status: { [Sequelize.Op.in]: ['pending', 'processing'] },
+          ...(isFreePlan ? { tenant_id: parsedTenantId } : {})
+        }
+      })
+      : null;
+
+    if (!refund) {
+      // Charges are confirmed through verifyPayment; only refunds are handled here
+      return res.status(200).json({ received: true });
+    }
+
+    const result = await fetchGatewayRefundStatus(gateway, decryptSecretKey(gateway.secret_key), refund);
+
+    if (result.status === 'completed') {
+      const dbTransaction = await sequelize.transaction();
+      try {
+        await completeRefund(models, refund, {
+          isFreePlan,
+          gatewayResponse: result.response,
+          transaction: dbTransaction
+        });
+        await dbTransaction.commit();
+      } catch (refundError) {
+        await dbTransaction.rollback();
+        throw refundError;
+      }
+      console.log(`✅ Flutterwave refund webhook processed: Refund ${refund.refund_number} completed`);
+    } else if (result.status === 'failed') {
+      await failRefund(models, refund, 'Refund failed at Flutterwave', result.response);
+      console.log(`Flutterwave refund webhook processed: Refund ${refund.refund_number} failed`);
+    }
+
+    res.status(200).json({ received: true });
+  } catch (error) {
+    console.error('Flutterwave webhook error:', error);
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+}
+
 /**
  * Get webhook URL for online store
  * GET /api/v1/payments/webhook-url/:online_store_id
@@ -1684,20 +1939,23 @@ async function getWebhookUrl(req, res) {
     // Build webhook URL with online_store_id parameter
     // Use backend.mycroshop.com as base URL
     const baseUrl = process.env.BASE_URL || process.env.API_URL || 'https://backend.mycroshop.com';
-    const webhookUrl = `${baseUrl}/api/v1/payments/webhook?online_store_id=${online_store_id}`;
+    const webhookUrl = `${baseUrl}/api/v1/payments/webhook?online_store_id=${online_store_id}&tenant_id=${parsedTenantId}`;
+    const flutterwaveWebhookUrl = `${baseUrl}/api/v1/payments/webhook/flutterwave?tenant_id=${parsedTenantId}`;
 
     res.json({
       success: true,
       data: {
         webhook_url: webhookUrl,
+        flutterwave_webhook_url: flutterwaveWebhookUrl,
         online_store_id: parseInt(online_store_id),
         instructions: [
           '1. Copy the webhook URL above',
           '2. Go to your Paystack Dashboard → Settings → API Keys & Webhooks',
           '3. Click "Add Webhook"',
           '4. Paste the webhook URL',
-          '5. Select events: charge.success and charge.failed',
-          '6. Save the webhook'
+          '5. Select events: charge.success, charge.failed, refund.processed and refund.failed',
+          '6. Save the webhook',
+          '7. Flutterwave: add flutterwave_webhook_url under Settings → Webhooks and set a secret hash - save the same value as the gateway webhook_secret'
         ]
       }
     });
@@ -1715,6 +1973,9 @@ module.exports = {
   initializePayment,
   verifyPayment,
   handlePaymentWebhook,
-  getWebhookUrl
+  handleFlutterwaveWebhook,
+  getWebhookUrl,
+  initializePaystackPayment,
+  initializeFlutterwavePayment
 };
 
@@ -0,0 +1,777 @@
+const { Sequelize } = require('sequelize');
+const moment = require('moment');
+const path = require('path');
+const fs = require('fs');
+const { buildTimesheetEntries, timesheetToCsv, renderTimesheetHtml } = require('../services/payrollService');
+const { round2 } = require('../services/numberService');
+
+/**
+ * Recalculate timesheet totals from its entries
+ */
+async function refreshTimesheetTotals(models, timesheet, transaction = null) {
+  const entries = await models.TimesheetEntry.findAll({
+    where: { timesheet_id: timesheet.id },
+    transaction
+  });
+
+  const sum = key => round2(entries.reduce((total, entry) => total + parseFloat(entry[key] || 0), 0));
+
+  return timesheet.update({
+    total_regular_hours: sum('regular_hours'),
+    total_overtime_hours: sum('overtime_hours'),
+    total_night_hours: sum('night_hours'),
+    total_holiday_hours: sum('holiday_hours'),
+    total_gross_pay: sum('gross_pay')
+  }, { transaction });
+}
+
+/**
+ * Approved timesheet for the store whose period overlaps the given one (its attendance is already paid)
+ */
+function findOverlappingApprovedTimesheet(models, { storeId, periodStart, periodEnd, excludeId = null }, transaction = null) {
+  return models.Timesheet.findOne({
+    where: {
+      store_id: storeId,
+      status: 'approved',
+      period_start: { [Sequelize.Op.lte]: periodEnd },
+      period_end: { [Sequelize.Op.gte]: periodStart },
+      ...(excludeId && { id: { [Sequelize.Op.ne]: excludeId } })
+    },
+    transaction
+  });
+}
+
+/**
+ * Get pay rates
+ */
+async function getPayRates(req, res) {
+  try {
+    const { staff_id, role_id, include_inactive } = req.query;
+
+    const where = {};
+    if (staff_id) where.staff_id = staff_id;
+    if (role_id) where.role_id = role_id;
+    if (include_inactive !== 'true') where.is_active = true;
+
+    const payRates = await req.db.models.StaffPayRate.findAll({
+      where,
+      include: [
+        {
+          model: req.db.models.Staff,
+          attributes: ['id', 'name', 'employee_id']
+        },
+        {
+          model: req.db.models.Role,
+          attributes: ['id', 'name']
+        }
+      ],
+      order: [['effective_from', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: { pay_rates: payRates }
+    });
+  } catch (error) {
+    console.error('Error getting pay rates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get pay rates'
+    });
+  }
+}
+
+/**
+ * Validate multiplier / threshold fields shared by create and update
+ */
+function validatePayRateFields(body) {
+  const positive = ['hourly_rate', 'daily_overtime_after_hours', 'weekly_overtime_after_hours'];
+  for (const field of positive) {
+    if (body[field] !== undefined && (isNaN(parseFloat(body[field])) || parseFloat(body[field]) < 0)) {
+      return `${field} must be zero or more`;
+    }
+  }
+  const multipliers = ['overtime_multiplier', 'night_multiplier', 'holiday_multiplier'];
+  for (const field of multipliers) {
+    if (body[field] !== undefined && (isNaN(parseFloat(body[field])) || parseFloat(body[field]) < 1)) {
+      return `${field} must be at least 1`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Create pay rate for a staff member or role
+ */
+async function createPayRate(req, res) {
+  try {
+    const {
+      staff_id,
+      role_id,
+      hourly_rate,
+      overtime_multiplier,
+      night_multiplier,
+      holiday_multiplier,
+      daily_overtime_after_hours,
+      weekly_overtime_after_hours,
+      night_start_time,
+      night_end_time,
+      effective_from,
+      effective_to
+    } = req.body;
+
+    if ((!staff_id && !role_id) || (staff_id && role_id) || hourly_rate === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'hourly_rate and either staff_id or role_id are required'
+      });
+    }
+
+    const validationError = validatePayRateFields(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    if (staff_id && !(await req.db.models.Staff.findByPk(staff_id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff not found'
+      });
+    }
+
+    if (role_id && !(await req.db.models.Role.findByPk(role_id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const payRate = await req.db.models.StaffPayRate.create({
+      staff_id: staff_id || null,
+      role_id: role_id || null,
+      hourly_rate,
+      ...(overtime_multiplier !== undefined && { overtime_multiplier }),
+      ...(night_multiplier !== undefined && { night_multiplier }),
+      ...(holiday_multiplier !== undefined && { holiday_multiplier }),
+      ...(daily_overtime_after_hours !== undefined && { daily_overtime_after_hours }),
+      ...(weekly_overtime_after_hours !== undefined && { weekly_overtime_after_hours }),
+      ...(night_start_time && { night_start_time }),
+      ...(night_end_time && { night_end_time }),
+      effective_from: effective_from || moment().format('YYYY-MM-DD'),
+      effective_to: effective_to || null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Pay rate created successfully',
+      data: { pay_rate: payRate }
+    });
+  } catch (error) {
+    console.error('Error creating pay rate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create pay rate'
+    });
+  }
+}
+
+/**
+ * Update pay rate
+ */
+async function updatePayRate(req, res) {
+  try {
+    const payRate = await req.db.models.StaffPayRate.findByPk(req.params.id);
+
+    if (!payRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pay rate not found'
+      });
+    }
+
+    const validationError = validatePayRateFields(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const fields = [
+      'hourly_rate',
+      'overtime_multiplier',
+      'night_multiplier',
+      'holiday_multiplier',
+      'daily_overtime_after_hours',
+      'weekly_overtime_after_hours',
+      'night_start_time',
+      'night_end_time',
+      'effective_from',
+      'effective_to',
+      'is_active'
+    ];
+    const updates = {};
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    await payRate.update(updates);
+
+    res.json({
+      success: true,
+      message: 'Pay rate updated successfully',
+      data: { pay_rate: payRate }
+    });
+  } catch (error) {
+    console.error('Error updating pay rate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update pay rate'
+    });
+  }
+}
+
+/**
+ * Deactivate pay rate (kept for past timesheets)
+ */
+async function deletePayRate(req, res) {
+  try {
+    const payRate = await req.db.models.StaffPayRate.findByPk(req.params.id);
+
+    if (!payRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pay rate not found'
+      });
+    }
+
+    await payRate.update({ is_active: false });
+
+    res.json({
+      success: true,
+      message: 'Pay rate deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting pay rate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete pay rate'
+    });
+  }
+}
+
+/**
+ * Get public holidays
+ */
+async function getHolidays(req, res) {
+  try {
+    const { year, store_id } = req.query;
+
+    const where = {};
+    if (year) {
+      where.holiday_date = { [Sequelize.Op.between]: [`${year}-01-01`, `${year}-12-31`] };
+    }
+    if (store_id) {
+      where[Sequelize.Op.or] = [{ store_id }, { store_id: null }];
+    }
+
+    const holidays = await req.db.models.PublicHoliday.findAll({
+      where,
+      order: [['holiday_date', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { holidays }
+    });
+  } catch (error) {
+    console.error('Error getting holidays:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get holidays'
+    });
+  }
+}
+
+/**
+ * Create public holiday
+ */
+async function createHoliday(req, res) {
+  try {
+    const { holiday_date, name, store_id } = req.body;
+
+    if (!holiday_date || !name || !moment(holiday_date, 'YYYY-MM-DD', true).isValid()) {
+      return res.status(400).json({
+        success: false,
+        message: 'holiday_date (YYYY-MM-DD) and name are required'
+      });
+    }
+
+    const holiday = await req.db.models.PublicHoliday.create({
+      holiday_date,
+      name,
+      store_id: store_id || null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Holiday created successfully',
+      data: { holiday }
+    });
+  } catch (error) {
+    console.error('Error creating holiday:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create holiday'
+    });
+  }
+}
+
+/**
+ * Delete public holiday
+ */
+async function deleteHoliday(req, res) {
+  try {
+    const holiday = await req.db.models.PublicHoliday.findByPk(req.params.id);
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found'
+      });
+    }
+
+    await holiday.destroy();
+
+    res.json({
+      success: true,
+      message: 'Holiday deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting holiday:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete holiday'
+    });
+  }
+}
+
+/**
+ * Get timesheets
+ */
+async function getTimesheets(req, res) {
+  try {
+    const { store_id, status, page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (store_id) where.store_id = store_id;
+    if (status) where.status = status;
+
+    const { count, rows } = await req.db.models.Timesheet.findAndCountAll({
+      where,
+      include: [
+        {
+          model: req.db.models.Store,
+          attributes: ['id', 'name']
+        }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['period_start', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        timesheets: rows,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting timesheets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get timesheets'
+    });
+  }
+}
+
+/**
+ * Load a timesheet with its store and entries
+ */
+function findTimesheet(models, id) {
+  return models.Timesheet.findByPk(id, {
+    include: [
+      {
+        model: models.Store,
+        attributes: ['id', 'name']
+      },
+      {
+        model: models.TimesheetEntry
+      }
+    ],
+    order: [[models.TimesheetEntry, 'staff_name', 'ASC']]
+  });
+}
+
+/**
+ * Get timesheet by ID
+ */
+async function getTimesheetById(req, res) {
+  try {
+    const timesheet = await findTimesheet(req.db.models, req.params.id);
+
+    if (!timesheet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Timesheet not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { timesheet }
+    });
+  } catch (error) {
+    console.error('Error getting timesheet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get timesheet'
+    });
+  }
+}
+
+/**
+ * Generate (or regenerate) a draft timesheet for a store and pay period from attendance
+ */
+async function generateTimesheet(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const { store_id, period_start, period_end, notes } = req.body;
+
+    if (!store_id || !period_start || !period_end) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'store_id, period_start and period_end are required'
+      });
+    }
+
+    if (moment(period_end).isBefore(period_start, 'day')) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'period_end must be on or after period_start'
+      });
+    }
+
+    const store = await req.db.models.Store.findByPk(store_id);
+    if (!store) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found'
+      });
+    }
+
+    // One timesheet per store and period; approved periods are locked
+    let timesheet = await req.db.models.Timesheet.findOne({
+      where: { store_id, period_start, period_end },
+      transaction
+    });
+
+    if (timesheet && timesheet.status === 'approved') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Timesheet for this period is already approved',
+        data: { timesheet_id: timesheet.id }
+      });
+    }
+
+    const overlapping = await findOverlappingApprovedTimesheet(req.db.models, {
+      storeId: store.id,
+      periodStart: period_start,
+      periodEnd: period_end
+    }, transaction);
+
+    if (overlapping) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Period overlaps approved timesheet ${overlapping.period_start} to ${overlapping.period_end}`,
+        data: { timesheet_id: overlapping.id }
+      });
+    }
+
+    const entries = await buildTimesheetEntries(req.db.models, {
+      storeId: store.id,
+      periodStart: period_start,
+      periodEnd: period_end
+    });
+
+    if (timesheet) {
+      await req.db.models.TimesheetEntry.destroy({ where: { timesheet_id: timesheet.id }, transaction });
+      await timesheet.update({
+        notes: notes !== undefined ? notes : timesheet.notes,
+        generated_by: req.user.staffId || req.user.id
+      }, { transaction });
+    } else {
+      timesheet = await req.db.models.Timesheet.create({
+        store_id: store.id,
+        period_start,
+        period_end,
+        status: 'draft',
+        notes: notes || null,
+        generated_by: req.user.staffId || req.user.id
+      }, { transaction });
+    }
+
+    for (const entry of entries) {
+      await req.db.models.TimesheetEntry.create({
+        timesheet_id: timesheet.id,
+        ...entry
+      }, { transaction });
+    }
+
+    await refreshTimesheetTotals(req.db.models, timesheet, transaction);
+
+    await transaction.commit();
+
+    const completeTimesheet = await findTimesheet(req.db.models, timesheet.id);
+    const missingRates = entries.filter(entry => entry.missing_pay_rate).map(entry => entry.staff_name);
+
+    res.status(201).json({
+      success: true,
+      message: missingRates.length > 0
+        ? `Timesheet generated. No pay rate for: ${missingRates.join(', ')}`
+        : 'Timesheet generated successfully',
+      data: { timesheet: completeTimesheet }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error generating timesheet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate timesheet'
+    });
+  }
+}
+
+/**
+ * Adjust a timesheet entry (bonus / deduction) while the timesheet is a draft
+ */
+async function updateTimesheetEntry(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const { adjustments, adjustment_notes } = req.body;
+
+    const timesheet = await req.db.models.Timesheet.findByPk(req.params.id, { transaction });
+    if (!timesheet) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Timesheet not found'
+      });
+    }
+
+    if (timesheet.status !== 'draft') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Approved timesheets cannot be changed'
+      });
+    }
+
+    const entry = await req.db.models.TimesheetEntry.findOne({
+      where: { id: req.params.entryId, timesheet_id: timesheet.id },
+      transaction
+    });
+    if (!entry) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Timesheet entry not found'
+      });
+    }
+
+    if (adjustments !== undefined && isNaN(parseFloat(adjustments))) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'adjustments must be a number'
+      });
+    }
+
+    const newAdjustments = adjustments !== undefined ? round2(adjustments) : parseFloat(entry.adjustments || 0);
+    const calculatedPay = parseFloat(entry.regular_pay || 0) + parseFloat(entry.overtime_pay || 0)
+      + parseFloat(entry.night_premium || 0) + parseFloat(entry.holiday_premium || 0);
+
+    await entry.update({
+      adjustments: newAdjustments,
+      adjustment_notes: adjustment_notes !== undefined ? adjustment_notes : entry.adjustment_notes,
+      gross_pay: round2(calculatedPay + newAdjustments)
+    }, { transaction });
+
+    await refreshTimesheetTotals(req.db.models, timesheet, transaction);
+
+    await transaction.commit();
+
+    res.json({
+      success: true,
+      message: 'Timesheet entry updated successfully',
+      data: { entry, timesheet }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error updating timesheet entry:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update timesheet entry'
+    });
+  }
+}
+
+/**
+ * Approve timesheet (locks it for export)
+ */
+async function approveTimesheet(req, res) {
+  try {
+    const timesheet = await req.db.models.Timesheet.findByPk(req.params.id);
+
+    if (!timesheet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Timesheet not found'
+      });
+    }
+
+    if (timesheet.status === 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Timesheet is already approved'
+      });
+    }
+
+    // Another timesheet covering part of this period may have been approved since this draft was generated
+    const overlapping = await findOverlappingApprovedTimesheet(req.db.models, {
+      storeId: timesheet.store_id,
+      periodStart: timesheet.period_start,
+      periodEnd: timesheet.period_end,
+      excludeId: timesheet.id
+    });
+
+    if (overlapping) {
+      return res.status(400).json({
+        success: false,
+        message: `Period overlaps approved timesheet ${overlapping.period_start} to ${overlapping.period_end}`,
+        data: { timesheet_id: overlapping.id }
+      });
+    }
+
+    await timesheet.update({
+      status: 'approved',
+      approved_by: req.user.staffId || req.user.id,
+      approved_at: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: 'Timesheet approved successfully',
+      data: { timesheet }
+    });
+  } catch (error) {
+    console.error('Error approving timesheet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve timesheet'
+    });
+  }
+}
+
+/**
+ * Export an approved timesheet as CSV (default) or PDF
+ */
+async function exportTimesheet(req, res) {
+  try {
+    const { format = 'csv' } = req.query;
+    const timesheet = await findTimesheet(req.db.models, req.params.id);
+
+    if (!timesheet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Timesheet not found'
+      });
+    }
+
+    if (timesheet.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only approved timesheets can be exported'
+      });
+    }
+
+    const storeSlug = (timesheet.Store ? timesheet.Store.name : `store-${timesheet.store_id}`)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+    const fileBase = `timesheet-${storeSlug}-${timesheet.period_start}-to-${timesheet.period_end}`;
+
+    if (format === 'pdf') {
+      const { generateInvoicePdfAndPreview } = require('../services/invoicePdfService');
+      const { pdfPath, previewPath } = await generateInvoicePdfAndPreview({
+        html: renderTimesheetHtml(timesheet),
+        invoiceId: `timesheet-${timesheet.id}`,
+        templateId: 'timesheet'
+      });
+      // Rendered under the public uploads folder - remove the files once sent so pay data is never left there
+      return res.download(pdfPath, `${fileBase}.pdf`, () => {
+        [pdfPath, previewPath].forEach(filePath => fs.unlink(filePath, () => {}));
+      });
+    }
+
+    if (format !== 'csv') {
+      return res.status(400).json({
+        success: false,
+        message: "format must be 'csv' or 'pdf'"
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${path.basename(fileBase)}.csv"`);
+    res.send(timesheetToCsv(timesheet));
+  } catch (error) {
+    console.error('Error exporting timesheet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export timesheet'
+    });
+  }
+}
+
+module.exports = {
+  getPayRates,
+  createPayRate,
+  updatePayRate,
+  deletePayRate,
+  getHolidays,
+  createHoliday,
+  deleteHoliday,
+  getTimesheets,
+  getTimesheetById,
+  generateTimesheet,
+  updateTimesheetEntry,
+  approveTimesheet,
+  exportTimesheet
+};
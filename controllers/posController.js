@@ -2,6 +2,15 @@ const { Sequelize } = require('sequelize');
 const { v4: uuidv4 } = require('uuid');
 const { calculateTax } = require('../services/taxCalculator');
 const { getTenantById } = require('../config/tenant');
+const { evaluatePromotion, recordRedemption } = require('../services/promotionService');
+const { consumeBatchesFefo, formatBatchAllocations } = require('../services/productBatchService');
+const { validatePrescriptionForSale, recordDispensing } = require('../services/prescriptionService');
+const { accrueSaleCommission, reverseCommission } = require('../services/commissionService');
+const { findCashierSession } = require('../services/cashDrawerService');
+const { settleTenders, valueTenders, recordTenders } = require('../services/tenderService');
+const { restoreRedeemedPoints } = require('../services/loyaltyService');
+const { getAvailableStock } = require('../services/layawayService');
+const { issueStoreCredit } = require('../services/storeCreditService');
 
 /**
  * Generate unique transaction number
@@ -210,7 +219,12 @@ async function createTransaction(req, res) {
       items, // Array of { product_id, quantity, unit_price, discount_percentage, discount_amount }
       payment_method = 'cash',
       amount_paid,
+      tenders, // Optional split tender: [{ tender_type, amount, reference }] or { tender_type: 'loyalty_points', points }
+      exchange_return_id, // Return whose exchange credit pays towards this sale
       discount_amount = 0,
+      promo_code,
+      prescription_id, // Required when selling prescription-only products
+      held_sale_id, // Set when checking out a resumed held basket
       notes
     } = req.body;
 
@@ -232,6 +246,30 @@ async function createTransaction(req, res) {
       });
     }
 
+    let exchangeReturn = null;
+    if (exchange_return_id) {
+      exchangeReturn = await req.db.models.POSReturn.findByPk(exchange_return_id, { transaction });
+      if (!exchangeReturn || exchangeReturn.status !== 'pending_exchange' || exchangeReturn.store_id !== parseInt(store_id)) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Exchange return not found or its credit has already been used'
+        });
+      }
+    }
+
+    let heldSale = null;
+    if (held_sale_id) {
+      heldSale = await req.db.models.HeldSale.findByPk(held_sale_id, { transaction });
+      if (!heldSale || heldSale.store_id !== parseInt(store_id) || !['held', 'resumed'].includes(heldSale.status)) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Held sale not found or already closed'
+        });
+      }
+    }
+
     // Get tenant for tax calculation
     const tenantId = req.user.tenantId;
     let tenant = null;
@@ -256,8 +294,8 @@ async function createTransaction(req, res) {
         });
       }
 
-      // Get product info
-      const product = await req.db.models.Product.findByPk(product_id);
+      // Get product info (locked so a layaway reservation cannot take the same units)
+      const product = await req.db.models.Product.findByPk(product_id, { lock: true, transaction });
       if (!product) {
         await transaction.rollback();
         return res.status(404).json({
@@ -266,12 +304,13 @@ async function createTransaction(req, res) {
         });
       }
 
-      // Check stock
-      if (product.stock < quantity) {
+      // Check stock (units reserved for layaways are not for sale)
+      const availableStock = await getAvailableStock(req.db.models, product, transaction);
+      if (availableStock < quantity) {
         await transaction.rollback();
         return res.status(400).json({
           success: false,
-          message: `Insufficient stock for ${product.name}. Available: ${product.stock}, Requested: ${quantity}`
+          message: `Insufficient stock for ${product.name}. Available: ${Math.max(availableStock, 0)}, Requested: ${quantity}`
         });
       }
 
@@ -292,6 +331,26 @@ async function createTransaction(req, res) {
       });
     }
 
+    // Prescription-only products need a valid prescription for this customer
+    const prescriptionResult = await validatePrescriptionForSale(req.db.models, {
+      prescriptionId: prescription_id || null,
+      customerId: customer_id || null,
+      items: transactionItems,
+      transaction
+    });
+
+    if (!prescriptionResult.valid) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: prescriptionResult.message
+      });
+    }
+
+    const saleCustomerId = customer_id
+      || (prescriptionResult.prescription ? prescriptionResult.prescription.customer_id : null)
+      || (exchangeReturn ? exchangeReturn.customer_id : null);
+
     // Calculate tax
     let taxBreakdown = null;
     let taxAmount = 0;
@@ -306,32 +365,117 @@ async function createTransaction(req, res) {
       taxAmount = taxBreakdown.total_tax;
     }
 
-    const total = subtotal + taxAmount - discount_amount;
-    const changeAmount = amount_paid ? Math.max(0, amount_paid - total) : 0;
+    // Apply promo code (validated server-side against the basket)
+    let appliedPromotion = null;
+    let promotionDiscount = 0;
+    const promotionTenantId = tenant && tenant.subscription_plan === 'free' ? tenantId : null;
+    if (promo_code && promo_code.toString().trim() !== '') {
+      // Promotions apply to what is left after line discounts, so the two never stack on the same value
+      const promotionResult = await evaluatePromotion(req.db.models, {
+        code: promo_code,
+        channel: 'pos',
+        items: transactionItems.map(item => ({ ...item, unit_price: item.total / item.quantity })),
+        subtotal,
+        customerId: saleCustomerId,
+        tenantId: promotionTenantId,
+        transaction
+      });
+
+      if (!promotionResult.valid) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: promotionResult.message
+        });
+      }
+
+      appliedPromotion = promotionResult.promotion;
+      promotionDiscount = promotionResult.discount_amount;
+    }
+
+    const totalDiscount = parseFloat(discount_amount || 0) + promotionDiscount;
+    const total = Math.max(subtotal + taxAmount - totalDiscount, 0);
+
+    // Exchange credit from returned goods pays first; anything over the new sale is given back after checkout
+    const exchangeCredit = exchangeReturn
+      ? Math.min(parseFloat(exchangeReturn.return_amount), total)
+      : 0;
+    const amountDueAfterExchange = Math.round((total - exchangeCredit) * 100) / 100;
+
+    // Tender lines: split tender, or a single payment_method / amount_paid
+    let tenderInputs = Array.isArray(tenders) && tenders.length > 0
+      ? tenders
+      : [{ tender_type: payment_method, amount: amount_paid || amountDueAfterExchange }];
+    if (exchangeReturn && !(Array.isArray(tenders) && tenders.length > 0) && !amount_paid && amountDueAfterExchange <= 0) {
+      tenderInputs = [];
+    }
+
+    // Loyalty points are valued at the program's redemption rate; store credit is checked against the wallet
+    const tenderValuation = await valueTenders(req.db.models, tenderInputs, saleCustomerId, transaction);
+    if (!tenderValuation.valid) {
+      await transaction.rollback();
+      return res.status(tenderValuation.status).json({
+        success: false,
+        message: tenderValuation.message
+      });
+    }
+
+    const valuedTenders = exchangeReturn && exchangeCredit > 0
+      ? [{ tender_type: 'exchange', amount: exchangeCredit, reference: exchangeReturn.return_number }, ...tenderValuation.tenders]
+      : tenderValuation.tenders;
+
+    const settlement = settleTenders(valuedTenders, total);
+    if (!settlement.valid) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: settlement.message
+      });
+    }
+
+    // Attach the sale to the cashier's open till session (if any) for reconciliation
+    const drawerSession = await findCashierSession(req.db.models, req.user, store_id, transaction);
 
     // Create POS transaction
     const posTransaction = await req.db.models.POSTransaction.create({
       transaction_number: generateTransactionNumber(),
       store_id,
       staff_id: req.user.staffId || null,
-      customer_id: customer_id || null,
+      customer_id: saleCustomerId,
       subtotal,
       tax_amount: taxAmount,
-      discount_amount,
+      discount_amount: totalDiscount,
+      promotion_id: appliedPromotion ? appliedPromotion.id : null,
+      promotion_code: appliedPromotion ? appliedPromotion.code : null,
       total,
-      payment_method,
-      amount_paid: amount_paid || total,
-      change_amount: changeAmount,
+      payment_method: settlement.payment_method,
+      amount_paid: settlement.amount_paid,
+      change_amount: settlement.change_amount,
       status: 'completed',
+      cash_drawer_session_id: drawerSession ? drawerSession.id : null,
       notes: notes || null
     }, { transaction });
 
+    // Create tender lines (redeeming points for loyalty tenders and credit for store credit tenders)
+    const tenderResult = await recordTenders(req.db.models, posTransaction, settlement.lines, {
+      customerId: saleCustomerId,
+      createdBy: req.user.staffId || req.user.id
+    }, transaction);
+    if (!tenderResult.valid) {
+      await transaction.rollback();
+      return res.status(tenderResult.status).json({
+        success: false,
+        message: tenderResult.message
+      });
+    }
+
     // Create transaction items
+    const createdItems = [];
     for (const item of transactionItems) {
-      await req.db.models.POSTransactionItem.create({
+      createdItems.push(await req.db.models.POSTransactionItem.create({
         transaction_id: posTransaction.id,
         ...item
-      }, { transaction });
+      }, { transaction }));
 
       // Update product stock
       const product = await req.db.models.Product.findByPk(item.product_id);
@@ -339,6 +483,14 @@ async function createTransaction(req, res) {
         stock: product.stock - item.quantity
       }, { transaction });
 
+      // Pick batch-tracked stock first-expiry-first-out
+      const batchAllocations = await consumeBatchesFefo(req.db.models, {
+        productId: item.product_id,
+        storeId: store_id,
+        quantity: item.quantity,
+        transaction
+      });
+
       // Record stock movement
       await req.db.models.StockMovement.create({
         product_id: item.product_id,
@@ -347,10 +499,73 @@ async function createTransaction(req, res) {
         quantity: -item.quantity,
         reference_type: 'pos_transaction',
         reference_id: posTransaction.id,
+        notes: formatBatchAllocations(batchAllocations),
         created_by: req.user.staffId || req.user.id
       }, { transaction });
     }
 
+    if (prescriptionResult.prescription && prescriptionResult.dispensedItems.length > 0) {
+      await recordDispensing(req.db.models, prescriptionResult.prescription, {
+        items: prescriptionResult.dispensedItems,
+        posTransactionId: posTransaction.id,
+        dispensedBy: req.user.staffId || req.user.id
+      }, transaction);
+    }
+
+    if (appliedPromotion) {
+      await recordRedemption(req.db.models, appliedPromotion, {
+        channel: 'pos',
+        posTransactionId: posTransaction.id,
+        customerId: saleCustomerId,
+        discountAmount: promotionDiscount,
+        tenantId: promotionTenantId
+      }, transaction);
+    }
+
+    // Accrue sales commission for the cashier / salesperson
+    await accrueSaleCommission(req.db.models, posTransaction, createdItems, transaction);
+
+    if (exchangeReturn) {
+      const exchangeSurplus = Math.round((parseFloat(exchangeReturn.return_amount) - exchangeCredit) * 100) / 100;
+      const creditCustomerId = exchangeReturn.customer_id || saleCustomerId;
+
+      // Returned goods worth more than the new sale: the difference goes to store credit, or back in cash
+      if (exchangeSurplus > 0 && creditCustomerId) {
+        await issueStoreCredit(req.db.models, {
+          customerId: creditCustomerId,
+          amount: exchangeSurplus,
+          referenceType: 'pos_return',
+          referenceId: exchangeReturn.id,
+          description: `Exchange difference on ${exchangeReturn.return_number}`,
+          createdBy: req.user.staffId || req.user.id
+        }, transaction);
+      } else if (exchangeSurplus > 0 && drawerSession) {
+        await req.db.models.CashDrawerMovement.create({
+          session_id: drawerSession.id,
+          movement_type: 'refund',
+          payment_method: 'cash',
+          amount: exchangeSurplus,
+          reason: `Exchange difference on ${exchangeReturn.return_number}`,
+          pos_transaction_id: exchangeReturn.transaction_id,
+          created_by: req.user.staffId || req.user.id
+        }, { transaction });
+      }
+
+      await exchangeReturn.update({
+        status: 'completed',
+        exchange_transaction_id: posTransaction.id,
+        exchange_amount_applied: exchangeCredit,
+        store_credit_issued: exchangeSurplus > 0 && creditCustomerId ? exchangeSurplus : 0
+      }, { transaction });
+    }
+
+    if (heldSale) {
+      await heldSale.update({
+        status: 'completed',
+        pos_transaction_id: posTransaction.id
+      }, { transaction });
+    }
+
     await transaction.commit();
 
     // Fetch complete transaction
@@ -376,6 +591,9 @@ async function createTransaction(req, res) {
               attributes: ['id', 'name', 'barcode']
             }
           ]
+        },
+        {
+          model: req.db.models.POSTransactionTender
         }
       ]
     });
@@ -392,8 +610,10 @@ async function createTransaction(req, res) {
           subtotal: completeTransaction.subtotal,
           tax: completeTransaction.tax_amount,
           discount: completeTransaction.discount_amount,
+          promo_code: completeTransaction.promotion_code,
           total: completeTransaction.total,
           payment_method: completeTransaction.payment_method,
+          tenders: completeTransaction.POSTransactionTenders,
           amount_paid: completeTransaction.amount_paid,
           change: completeTransaction.change_amount
         }
@@ -496,6 +716,9 @@ async function getTransactionById(req, res) {
               attributes: ['id', 'name', 'barcode', 'sku']
             }
           ]
+        },
+        {
+          model: req.db.models.POSTransactionTender
         }
       ]
     });
@@ -546,6 +769,14 @@ async function refundTransaction(req, res) {
       });
     }
 
+    if (parseFloat(posTransaction.returned_amount || 0) > 0) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Transaction has item returns. Return the remaining items instead'
+      });
+    }
+
     // Update transaction status
     await posTransaction.update({
       status: 'refunded'
@@ -577,6 +808,62 @@ async function refundTransaction(req, res) {
       }
     }
 
+    // Refund each tender the way it was paid; redeemed points and spent store credit go back to the customer,
+    // and exchange credit becomes store credit (cash when the sale has no customer)
+    const tenderLines = await req.db.models.POSTransactionTender.findAll({
+      where: { transaction_id: posTransaction.id },
+      transaction
+    });
+    const refundTenders = tenderLines.length > 0
+      ? tenderLines
+      : [{ tender_type: posTransaction.payment_method, amount: posTransaction.total }];
+
+    for (const tender of refundTenders) {
+      if (tender.tender_type === 'loyalty_points') {
+        await restoreRedeemedPoints(req.db.models, {
+          customerId: posTransaction.customer_id,
+          points: tender.loyalty_points,
+          referenceType: 'pos_transaction',
+          referenceId: posTransaction.id,
+          description: `Points restored on refund of ${posTransaction.transaction_number}`
+        }, transaction);
+      }
+
+      if (tender.tender_type === 'store_credit' || (tender.tender_type === 'exchange' && posTransaction.customer_id)) {
+        await issueStoreCredit(req.db.models, {
+          customerId: posTransaction.customer_id,
+          amount: tender.amount,
+          referenceType: 'pos_transaction',
+          referenceId: posTransaction.id,
+          description: `Refund of ${posTransaction.transaction_number}`,
+          createdBy: req.user.staffId || req.user.id
+        }, transaction);
+      }
+    }
+
+    // Refund paid out of the refunding cashier's open till
+    const drawerSession = await findCashierSession(req.db.models, req.user, posTransaction.store_id, transaction);
+    if (drawerSession) {
+      for (const tender of refundTenders) {
+        if (['loyalty_points', 'store_credit'].includes(tender.tender_type)) continue;
+        if (tender.tender_type === 'exchange' && posTransaction.customer_id) continue;
+        await req.db.models.CashDrawerMovement.create({
+          session_id: drawerSession.id,
+          movement_type: 'refund',
+          payment_method: tender.tender_type === 'exchange' ? 'cash' : tender.tender_type,
+          amount: tender.amount,
+          reason: reason || null,
+          pos_transaction_id: posTransaction.id,
+          created_by: req.user.staffId || req.user.id
+        }, { transaction });
+      }
+    }
+
+    // Reverse commission accrued on the sale
+    await reverseCommission(req.db.models, 'pos_transaction', posTransaction.id, {
+      reason: `Refund: ${reason || 'No reason provided'}`
+    }, transaction);
+
     await transaction.commit();
 
     res.json({
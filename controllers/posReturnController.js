@@ -0,0 +1,410 @@
+const { Sequelize } = require('sequelize');
+const { findCashierSession } = require('../services/cashDrawerService');
+const { reverseItemCommission } = require('../services/commissionService');
+const { issueStoreCredit } = require('../services/storeCreditService');
+const { round2, generateNumber } = require('../services/numberService');
+
+const REASON_CODES = ['defective', 'damaged', 'wrong_item', 'not_as_described', 'expired', 'changed_mind', 'other'];
+const DISPOSITIONS = ['restock', 'damaged'];
+const REFUND_METHODS = ['cash', 'card', 'transfer', 'mobile_money', 'other', 'store_credit', 'exchange'];
+
+/**
+ * Load a return with its lines, sale and exchange sale
+ */
+function findReturn(models, id) {
+  return models.POSReturn.findByPk(id, {
+    include: [
+      {
+        model: models.POSReturnItem
+      },
+      {
+        model: models.POSTransaction,
+        attributes: ['id', 'transaction_number', 'total', 'returned_amount', 'status', 'created_at']
+      },
+      {
+        model: models.POSTransaction,
+        as: 'ExchangeTransaction',
+        attributes: ['id', 'transaction_number', 'total', 'created_at']
+      },
+      {
+        model: models.Customer,
+        attributes: ['id', 'name', 'phone']
+      },
+      {
+        model: models.Staff,
+        attributes: ['id', 'name']
+      }
+    ]
+  });
+}
+
+/**
+ * Get POS returns
+ */
+async function getReturns(req, res) {
+  try {
+    const { store_id, transaction_id, customer_id, refund_method, status, start_date, end_date, page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (store_id) where.store_id = store_id;
+    if (transaction_id) where.transaction_id = transaction_id;
+    if (customer_id) where.customer_id = customer_id;
+    if (refund_method) where.refund_method = refund_method;
+    if (status) where.status = status;
+    if (start_date || end_date) {
+      where.created_at = {};
+      if (start_date) where.created_at[Sequelize.Op.gte] = start_date;
+      if (end_date) where.created_at[Sequelize.Op.lte] = end_date;
+    }
+
+    const { count, rows } = await req.db.models.POSReturn.findAndCountAll({
+      where,
+      include: [
+        {
+          model: req.db.models.POSTransaction,
+          attributes: ['id', 'transaction_number']
+        },
+        {
+          model: req.db.models.Customer,
+          attributes: ['id', 'name']
+        }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        returns: rows,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting POS returns:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get returns'
+    });
+  }
+}
+
+/**
+ * Get POS return by ID
+ */
+async function getReturnById(req, res) {
+  try {
+    const posReturn = await findReturn(req.db.models, req.params.id);
+
+    if (!posReturn) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { return: posReturn }
+    });
+  } catch (error) {
+    console.error('Error getting POS return:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get return'
+    });
+  }
+}
+
+/**
+ * Return items from a sale
+ * Each line carries a reason code and a disposition: restock puts the units back on sale,
+ * damaged writes them off. The value is refunded to a tender, issued as store credit, or
+ * held as exchange credit for the next sale (checkout with exchange_return_id)
+ */
+async function createReturn(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const {
+      items, // Array of { transaction_item_id, quantity, reason_code, disposition, notes }
+      refund_method = 'cash',
+      refund_reference,
+      customer_id,
+      notes
+    } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'items are required'
+      });
+    }
+
+    if (!REFUND_METHODS.includes(refund_method)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `refund_method must be one of: ${REFUND_METHODS.join(', ')}`
+      });
+    }
+
+    // Locked so concurrent returns against the same sale queue on its returnable quantities
+    const sale = await req.db.models.POSTransaction.findByPk(req.params.id, {
+      include: [{ model: req.db.models.POSTransactionItem }],
+      lock: true,
+      transaction
+    });
+
+    if (!sale) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    if (sale.status !== 'completed') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Cannot return items from a ${sale.status} transaction`
+      });
+    }
+
+    const customerId = sale.customer_id || customer_id || null;
+    if (refund_method === 'store_credit' && !customerId) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'customer_id is required to issue store credit'
+      });
+    }
+
+    // Lines are refunded at what was actually paid: item total plus its share of tax and sale discount
+    const subtotal = parseFloat(sale.subtotal || 0);
+    const paidFactor = subtotal > 0 ? parseFloat(sale.total || 0) / subtotal : 1;
+
+    const returnLines = [];
+    const requestedQuantities = {};
+    for (const line of items) {
+      const saleItem = (sale.POSTransactionItems || []).find(item => item.id === parseInt(line.transaction_item_id));
+      if (!saleItem) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `Item ${line.transaction_item_id} is not on this transaction`
+        });
+      }
+
+      // The same sale line may appear more than once (e.g. split by reason) - check the running total
+      const quantity = parseFloat(line.quantity);
+      const alreadyRequested = requestedQuantities[saleItem.id] || 0;
+      const returnable = parseFloat(saleItem.quantity) - parseFloat(saleItem.returned_quantity || 0) - alreadyRequested;
+      if (!quantity || quantity <= 0 || quantity > returnable) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `Invalid quantity for ${saleItem.product_name}. Returnable: ${returnable}`
+        });
+      }
+
+      const disposition = line.disposition || 'restock';
+      if (!REASON_CODES.includes(line.reason_code) || !DISPOSITIONS.includes(disposition)) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `Each line needs a reason_code (${REASON_CODES.join(', ')}) and a disposition (${DISPOSITIONS.join(', ')})`
+        });
+      }
+
+      requestedQuantities[saleItem.id] = alreadyRequested + quantity;
+
+      returnLines.push({
+        saleItem,
+        quantity,
+        amount: round2((parseFloat(saleItem.total) / parseFloat(saleItem.quantity)) * quantity * paidFactor),
+        reason_code: line.reason_code,
+        disposition,
+        notes: line.notes || null
+      });
+    }
+
+    const returnAmount = round2(returnLines.reduce((sum, line) => sum + line.amount, 0));
+
+    // Money goes back only to a tender the sale was paid with, and no more than was paid by it
+    if (!['store_credit', 'exchange'].includes(refund_method)) {
+      const tenderLines = await req.db.models.POSTransactionTender.findAll({
+        where: { transaction_id: sale.id },
+        transaction
+      });
+      const saleTenders = tenderLines.length > 0
+        ? tenderLines
+        : [{ tender_type: sale.payment_method, amount: sale.total }];
+
+      const paidByMethod = round2(saleTenders
+        .filter(tender => tender.tender_type === refund_method)
+        .reduce((sum, tender) => sum + parseFloat(tender.amount || 0), 0));
+
+      if (paidByMethod <= 0) {
+        const moneyTenders = [...new Set(saleTenders
+          .map(tender => tender.tender_type)
+          .filter(type => REFUND_METHODS.includes(type) && !['store_credit', 'exchange'].includes(type)))];
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: moneyTenders.length > 0
+            ? `This sale was not paid by ${refund_method}. Refund to: ${moneyTenders.join(', ')}, store_credit or exchange`
+            : 'This sale was not paid with money. Refund as store_credit or exchange'
+        });
+      }
+
+      const refundedByMethod = await req.db.models.POSReturn.sum('return_amount', {
+        where: { transaction_id: sale.id, refund_method },
+        transaction
+      });
+      const refundable = round2(paidByMethod - parseFloat(refundedByMethod || 0));
+      if (returnAmount > refundable) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `Refund of ${returnAmount.toFixed(2)} exceeds the ${refundable.toFixed(2)} left to refund by ${refund_method}`
+        });
+      }
+    }
+
+    // Money back comes out of the processing cashier's open till
+    const drawerSession = await findCashierSession(req.db.models, req.user, sale.store_id, transaction);
+
+    const posReturn = await req.db.models.POSReturn.create({
+      return_number: generateNumber('RET'),
+      transaction_id: sale.id,
+      store_id: sale.store_id,
+      customer_id: customerId,
+      staff_id: req.user.staffId || null,
+      return_amount: returnAmount,
+      refund_method,
+      refund_reference: refund_reference || null,
+      status: refund_method === 'exchange' ? 'pending_exchange' : 'completed',
+      store_credit_issued: refund_method === 'store_credit' ? returnAmount : 0,
+      cash_drawer_session_id: drawerSession ? drawerSession.id : null,
+      notes: notes || null
+    }, { transaction });
+
+    for (const line of returnLines) {
+      const { saleItem, quantity } = line;
+
+      await req.db.models.POSReturnItem.create({
+        return_id: posReturn.id,
+        transaction_item_id: saleItem.id,
+        product_id: saleItem.product_id,
+        product_name: saleItem.product_name,
+        quantity,
+        amount: line.amount,
+        reason_code: line.reason_code,
+        disposition: line.disposition,
+        notes: line.notes
+      }, { transaction });
+
+      await saleItem.update({
+        returned_quantity: parseFloat(saleItem.returned_quantity || 0) + quantity
+      }, { transaction });
+
+      if (saleItem.product_id) {
+        if (line.disposition === 'restock') {
+          const product = await req.db.models.Product.findByPk(saleItem.product_id, { transaction });
+          if (product) {
+            await product.update({
+              stock: product.stock + quantity
+            }, { transaction });
+          }
+        }
+
+        // Restocked units go back on sale; damaged units are written off and not restocked
+        await req.db.models.StockMovement.create({
+          product_id: saleItem.product_id,
+          store_id: sale.store_id,
+          movement_type: line.disposition === 'restock' ? 'return' : 'damage',
+          quantity,
+          reference_type: 'pos_return',
+          reference_id: posReturn.id,
+          notes: `${posReturn.return_number} (${line.reason_code})${line.disposition === 'damaged' ? ' - written off' : ''}`,
+          created_by: req.user.staffId || req.user.id
+        }, { transaction });
+      }
+
+      await reverseItemCommission(req.db.models, {
+        transactionId: sale.id,
+        itemId: saleItem.id,
+        ratio: quantity / parseFloat(saleItem.quantity),
+        reason: `Return ${posReturn.return_number}: ${line.reason_code}`
+      }, transaction);
+    }
+
+    if (refund_method === 'store_credit') {
+      await issueStoreCredit(req.db.models, {
+        customerId,
+        amount: returnAmount,
+        referenceType: 'pos_return',
+        referenceId: posReturn.id,
+        description: `Store credit for return ${posReturn.return_number}`,
+        createdBy: req.user.staffId || req.user.id
+      }, transaction);
+    } else if (refund_method !== 'exchange' && drawerSession) {
+      await req.db.models.CashDrawerMovement.create({
+        session_id: drawerSession.id,
+        movement_type: 'refund',
+        payment_method: refund_method,
+        amount: returnAmount,
+        reason: `Return ${posReturn.return_number}`,
+        pos_transaction_id: sale.id,
+        created_by: req.user.staffId || req.user.id
+      }, { transaction });
+    }
+
+    // A sale with every unit returned counts as refunded
+    const fullyReturned = (sale.POSTransactionItems || []).every(item =>
+      parseFloat(item.returned_quantity || 0) >= parseFloat(item.quantity)
+    );
+    await sale.update({
+      returned_amount: round2(parseFloat(sale.returned_amount || 0) + returnAmount),
+      ...(fullyReturned && { status: 'refunded' })
+    }, { transaction });
+
+    await transaction.commit();
+
+    const completeReturn = await findReturn(req.db.models, posReturn.id);
+
+    const messages = {
+      store_credit: `Return processed. ${returnAmount.toFixed(2)} issued as store credit`,
+      exchange: `Return processed. ${returnAmount.toFixed(2)} exchange credit available for the new sale`
+    };
+
+    res.status(201).json({
+      success: true,
+      message: messages[refund_method] || `Return processed. Refund ${returnAmount.toFixed(2)} by ${refund_method}`,
+      data: { return: completeReturn }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error creating POS return:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process return'
+    });
+  }
+}
+
+module.exports = {
+  getReturns,
+  getReturnById,
+  createReturn
+};
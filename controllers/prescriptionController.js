@@ -0,0 +1,427 @@
+const { Sequelize } = require('sequelize');
+const path = require('path');
+const fs = require('fs');
+const { generateNumber } = require('../services/numberService');
+
+/**
+ * Parse items sent as JSON string (multipart/form-data) or array
+ */
+function parseItems(items) {
+  if (!items) return [];
+  if (typeof items === 'string') {
+    try {
+      return JSON.parse(items);
+    } catch (parseError) {
+      return null;
+    }
+  }
+  return Array.isArray(items) ? items : null;
+}
+
+/**
+ * Remove an uploaded file that is no longer needed
+ */
+function removeUploadedFile(file) {
+  if (file && fs.existsSync(file.path)) {
+    fs.unlinkSync(file.path);
+  }
+}
+
+/**
+ * Get all prescriptions
+ */
+async function getAllPrescriptions(req, res) {
+  try {
+    const { page = 1, limit = 50, customer_id, status, search } = req.query;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (customer_id) where.customer_id = customer_id;
+    if (status) where.status = status;
+    if (search) {
+      where[Sequelize.Op.or] = [
+        { prescription_number: { [Sequelize.Op.like]: `%${search}%` } },
+        { prescriber_name: { [Sequelize.Op.like]: `%${search}%` } }
+      ];
+    }
+
+    const { count, rows } = await req.db.models.Prescription.findAndCountAll({
+      where,
+      include: [
+        {
+          model: req.db.models.Customer,
+          attributes: ['id', 'name', 'email', 'phone']
+        },
+        {
+          model: req.db.models.PrescriptionItem
+        }
+      ],
+      distinct: true,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['issue_date', 'DESC'], ['created_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        prescriptions: rows,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting prescriptions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get prescriptions'
+    });
+  }
+}
+
+/**
+ * Get prescription by ID (with items and dispensing history)
+ */
+async function getPrescriptionById(req, res) {
+  try {
+    const prescription = await req.db.models.Prescription.findByPk(req.params.id, {
+      include: [
+        {
+          model: req.db.models.Customer,
+          attributes: ['id', 'name', 'email', 'phone']
+        },
+        {
+          model: req.db.models.PrescriptionItem,
+          include: [
+            {
+              model: req.db.models.Product,
+              attributes: ['id', 'name', 'sku', 'barcode', 'stock', 'requires_prescription']
+            }
+          ]
+        },
+        {
+          model: req.db.models.PrescriptionDispensing
+        }
+      ],
+      order: [[req.db.models.PrescriptionDispensing, 'dispensed_at', 'DESC']]
+    });
+
+    if (!prescription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prescription not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { prescription }
+    });
+  } catch (error) {
+    console.error('Error getting prescription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get prescription'
+    });
+  }
+}
+
+/**
+ * Create prescription (optionally with scanned image as prescription_image)
+ */
+async function createPrescription(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const {
+      customer_id,
+      store_id,
+      prescriber_name,
+      prescriber_license_number,
+      prescriber_facility,
+      prescriber_phone,
+      issue_date,
+      valid_until,
+      refills_allowed = 0,
+      notes
+    } = req.body;
+
+    const items = parseItems(req.body.items); // Array of { product_id, medication_name, dosage, quantity, instructions }
+
+    if (!customer_id || !prescriber_name || !issue_date) {
+      await transaction.rollback();
+      removeUploadedFile(req.file);
+      return res.status(400).json({
+        success: false,
+        message: 'customer_id, prescriber_name and issue_date are required'
+      });
+    }
+
+    if (!items || items.length === 0) {
+      await transaction.rollback();
+      removeUploadedFile(req.file);
+      return res.status(400).json({
+        success: false,
+        message: 'At least one prescription item is required'
+      });
+    }
+
+    const customer = await req.db.models.Customer.findByPk(customer_id);
+    if (!customer) {
+      await transaction.rollback();
+      removeUploadedFile(req.file);
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    if (valid_until && new Date(valid_until) < new Date(issue_date)) {
+      await transaction.rollback();
+      removeUploadedFile(req.file);
+      return res.status(400).json({
+        success: false,
+        message: 'valid_until cannot be before issue_date'
+      });
+    }
+
+    const refills = parseInt(refills_allowed) || 0;
+
+    const prescription = await req.db.models.Prescription.create({
+      prescription_number: generateNumber('RX'),
+      customer_id,
+      store_id: store_id || null,
+      prescriber_name,
+      prescriber_license_number: prescriber_license_number || null,
+      prescriber_facility: prescriber_facility || null,
+      prescriber_phone: prescriber_phone || null,
+      issue_date,
+      valid_until: valid_until || null,
+      refills_allowed: refills,
+      refills_remaining: refills,
+      times_dispensed: 0,
+      image_url: req.file ? `/uploads/prescriptions/${req.file.filename}` : null,
+      status: 'active',
+      notes: notes || null,
+      created_by: req.user.staffId || req.user.id
+    }, { transaction });
+
+    for (const item of items) {
+      let medicationName = item.medication_name;
+
+      if (item.product_id) {
+        const product = await req.db.models.Product.findByPk(item.product_id);
+        if (!product) {
+          await transaction.rollback();
+          removeUploadedFile(req.file);
+          return res.status(404).json({
+            success: false,
+            message: `Product ${item.product_id} not found`
+          });
+        }
+        medicationName = medicationName || product.name;
+      }
+
+      if (!medicationName) {
+        await transaction.rollback();
+        removeUploadedFile(req.file);
+        return res.status(400).json({
+          success: false,
+          message: 'Each item must have product_id or medication_name'
+        });
+      }
+
+      await req.db.models.PrescriptionItem.create({
+        prescription_id: prescription.id,
+        product_id: item.product_id || null,
+        medication_name: medicationName,
+        dosage: item.dosage || null,
+        quantity: parseInt(item.quantity) || 1,
+        instructions: item.instructions || null
+      }, { transaction });
+    }
+
+    await transaction.commit();
+
+    const completePrescription = await req.db.models.Prescription.findByPk(prescription.id, {
+      include: [
+        {
+          model: req.db.models.Customer,
+          attributes: ['id', 'name', 'email', 'phone']
+        },
+        {
+          model: req.db.models.PrescriptionItem
+        }
+      ]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Prescription created successfully',
+      data: { prescription: completePrescription }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    removeUploadedFile(req.file);
+    console.error('Error creating prescription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create prescription'
+    });
+  }
+}
+
+/**
+ * Update prescription details, status or scanned image
+ * Items are fixed once created; cancel and re-issue to change medication
+ */
+async function updatePrescription(req, res) {
+  try {
+    const prescription = await req.db.models.Prescription.findByPk(req.params.id);
+
+    if (!prescription) {
+      removeUploadedFile(req.file);
+      return res.status(404).json({
+        success: false,
+        message: 'Prescription not found'
+      });
+    }
+
+    const {
+      prescriber_name,
+      prescriber_license_number,
+      prescriber_facility,
+      prescriber_phone,
+      valid_until,
+      status,
+      notes
+    } = req.body;
+
+    const validStatuses = ['active', 'completed', 'expired', 'cancelled'];
+    if (status && !validStatuses.includes(status)) {
+      removeUploadedFile(req.file);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status'
+      });
+    }
+
+    let imageUrl;
+    if (req.file) {
+      imageUrl = `/uploads/prescriptions/${req.file.filename}`;
+      // Delete old scan if exists
+      if (prescription.image_url && prescription.image_url.startsWith('/uploads/prescriptions/')) {
+        const oldImagePath = path.join(__dirname, '..', prescription.image_url);
+        if (fs.existsSync(oldImagePath)) {
+          fs.unlinkSync(oldImagePath);
+        }
+      }
+    }
+
+    await prescription.update({
+      ...(prescriber_name !== undefined && { prescriber_name }),
+      ...(prescriber_license_number !== undefined && { prescriber_license_number }),
+      ...(prescriber_facility !== undefined && { prescriber_facility }),
+      ...(prescriber_phone !== undefined && { prescriber_phone }),
+      ...(valid_until !== undefined && { valid_until }),
+      ...(status !== undefined && { status }),
+      ...(notes !== undefined && { notes }),
+      ...(imageUrl !== undefined && { image_url: imageUrl })
+    });
+
+    res.json({
+      success: true,
+      message: 'Prescription updated successfully',
+      data: { prescription }
+    });
+  } catch (error) {
+    removeUploadedFile(req.file);
+    console.error('Error updating prescription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update prescription'
+    });
+  }
+}
+
+/**
+ * Get dispensing log (all fills, filterable by prescription, product, customer and date)
+ */
+async function getDispensingLog(req, res) {
+  try {
+    const { page = 1, limit = 50, prescription_id, product_id, customer_id, start_date, end_date } = req.query;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (prescription_id) where.prescription_id = prescription_id;
+    if (product_id) where.product_id = product_id;
+    if (start_date || end_date) {
+      where.dispensed_at = {};
+      if (start_date) where.dispensed_at[Sequelize.Op.gte] = new Date(`${start_date}T00:00:00.000Z`);
+      if (end_date) where.dispensed_at[Sequelize.Op.lte] = new Date(`${end_date}T23:59:59.999Z`);
+    }
+
+    const prescriptionWhere = {};
+    if (customer_id) prescriptionWhere.customer_id = customer_id;
+
+    const { count, rows } = await req.db.models.PrescriptionDispensing.findAndCountAll({
+      where,
+      include: [
+        {
+          model: req.db.models.Prescription,
+          where: prescriptionWhere,
+          attributes: ['id', 'prescription_number', 'customer_id', 'prescriber_name'],
+          include: [
+            {
+              model: req.db.models.Customer,
+              attributes: ['id', 'name', 'phone']
+            }
+          ]
+        },
+        {
+          model: req.db.models.PrescriptionItem,
+          attributes: ['id', 'medication_name', 'dosage']
+        },
+        {
+          model: req.db.models.POSTransaction,
+          attributes: ['id', 'transaction_number'],
+          required: false
+        }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['dispensed_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        dispensings: rows,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting dispensing log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get dispensing log'
+    });
+  }
+}
+
+module.exports = {
+  getAllPrescriptions,
+  getPrescriptionById,
+  createPrescription,
+  updatePrescription,
+  getDispensingLog
+};
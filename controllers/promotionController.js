@@ -0,0 +1,483 @@
+const { Sequelize } = require('sequelize');
+const { normalizePromotionCode, evaluatePromotion } = require('../services/promotionService');
+
+const PROMOTION_TYPES = ['percentage', 'fixed_amount', 'buy_x_get_y'];
+const APPLIES_TO = ['all', 'product', 'category', 'collection'];
+const CHANNELS = ['all', 'online', 'pos'];
+
+/**
+ * Get tenant_id to scope promotion queries (free users share a database)
+ */
+function getPromotionTenantId(req) {
+  return req.tenant && req.tenant.subscription_plan === 'free' ? req.user.tenantId : null;
+}
+
+/**
+ * Find a promotion that belongs to the current tenant
+ */
+async function findTenantPromotion(req, id) {
+  const where = { id };
+  const tenantId = getPromotionTenantId(req);
+  if (tenantId) {
+    where.tenant_id = tenantId;
+  }
+  return await req.db.models.Promotion.findOne({ where });
+}
+
+/**
+ * Validate promotion payload, returns an error message or null
+ */
+function validatePromotionPayload(data, isUpdate = false) {
+  if (!isUpdate) {
+    if (!data.name || !data.code) {
+      return 'name and code are required';
+    }
+  }
+
+  if (data.promotion_type !== undefined && !PROMOTION_TYPES.includes(data.promotion_type)) {
+    return `promotion_type must be one of: ${PROMOTION_TYPES.join(', ')}`;
+  }
+  if (data.applies_to !== undefined && !APPLIES_TO.includes(data.applies_to)) {
+    return `applies_to must be one of: ${APPLIES_TO.join(', ')}`;
+  }
+  if (data.channel !== undefined && !CHANNELS.includes(data.channel)) {
+    return `channel must be one of: ${CHANNELS.join(', ')}`;
+  }
+
+  const promotionType = data.promotion_type || 'percentage';
+  if (promotionType === 'percentage' && data.discount_value !== undefined) {
+    const value = parseFloat(data.discount_value);
+    if (isNaN(value) || value <= 0 || value > 100) {
+      return 'Percentage discount_value must be between 0 and 100';
+    }
+  }
+  if (promotionType === 'buy_x_get_y' && !isUpdate) {
+    if (!parseInt(data.buy_quantity) || !parseInt(data.get_quantity)) {
+      return 'buy_quantity and get_quantity are required for buy_x_get_y promotions';
+    }
+  }
+
+  if (data.applies_to === 'product' && (!Array.isArray(data.product_ids) || data.product_ids.length === 0)) {
+    return 'product_ids are required when applies_to is product';
+  }
+  if (data.applies_to === 'category' && (!Array.isArray(data.categories) || data.categories.length === 0)) {
+    return 'categories are required when applies_to is category';
+  }
+  if (data.applies_to === 'collection' && (!Array.isArray(data.collection_ids) || data.collection_ids.length === 0)) {
+    return 'collection_ids are required when applies_to is collection';
+  }
+
+  if (data.starts_at && data.ends_at && new Date(data.starts_at) > new Date(data.ends_at)) {
+    return 'starts_at must be before ends_at';
+  }
+
+  return null;
+}
+
+/**
+ * Get all promotions
+ */
+async function getAllPromotions(req, res) {
+  try {
+    const { page = 1, limit = 50, is_active, channel, search } = req.query;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    const tenantId = getPromotionTenantId(req);
+    if (tenantId) where.tenant_id = tenantId;
+    if (is_active !== undefined) where.is_active = is_active === 'true';
+    if (channel) where.channel = channel;
+    if (search) {
+      where[Sequelize.Op.or] = [
+        { name: { [Sequelize.Op.like]: `%${search}%` } },
+        { code: { [Sequelize.Op.like]: `%${search.toUpperCase()}%` } }
+      ];
+    }
+
+    const { count, rows } = await req.db.models.Promotion.findAndCountAll({
+      where,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        promotions: rows,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting promotions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get promotions'
+    });
+  }
+}
+
+/**
+ * Get promotion by ID (with redemption summary)
+ */
+async function getPromotionById(req, res) {
+  try {
+    const promotion = await findTenantPromotion(req, req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    const summary = await req.db.models.PromotionRedemption.findAll({
+      where: { promotion_id: promotion.id },
+      attributes: [
+        'channel',
+        [Sequelize.fn('COUNT', Sequelize.col('id')), 'redemptions'],
+        [Sequelize.fn('SUM', Sequelize.col('discount_amount')), 'total_discount']
+      ],
+      group: ['channel'],
+      raw: true
+    });
+
+    res.json({
+      success: true,
+      data: {
+        promotion,
+        redemption_summary: summary.map(row => ({
+          channel: row.channel,
+          redemptions: parseInt(row.redemptions) || 0,
+          total_discount: parseFloat(row.total_discount) || 0
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error getting promotion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get promotion'
+    });
+  }
+}
+
+/**
+ * Create promotion
+ */
+async function createPromotion(req, res) {
+  try {
+    const {
+      name,
+      code,
+      description,
+      promotion_type = 'percentage',
+      discount_value = 0,
+      buy_quantity,
+      get_quantity,
+      min_basket_amount,
+      max_discount_amount,
+      applies_to = 'all',
+      product_ids,
+      categories,
+      collection_ids,
+      channel = 'all',
+      usage_limit,
+      usage_limit_per_customer,
+      starts_at,
+      ends_at,
+      is_active = true
+    } = req.body;
+
+    const validationError = validatePromotionPayload({ ...req.body, promotion_type, applies_to, channel });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const tenantId = getPromotionTenantId(req);
+    const normalizedCode = normalizePromotionCode(code);
+
+    const existingWhere = { code: normalizedCode };
+    if (tenantId) existingWhere.tenant_id = tenantId;
+    const existing = await req.db.models.Promotion.findOne({ where: existingWhere });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `Promo code ${normalizedCode} already exists`
+      });
+    }
+
+    const promotion = await req.db.models.Promotion.create({
+      tenant_id: tenantId,
+      name,
+      code: normalizedCode,
+      description: description || null,
+      promotion_type,
+      discount_value: parseFloat(discount_value) || 0,
+      buy_quantity: buy_quantity ? parseInt(buy_quantity) : null,
+      get_quantity: get_quantity ? parseInt(get_quantity) : null,
+      min_basket_amount: min_basket_amount ? parseFloat(min_basket_amount) : null,
+      max_discount_amount: max_discount_amount ? parseFloat(max_discount_amount) : null,
+      applies_to,
+      product_ids: applies_to === 'product' ? product_ids : null,
+      categories: applies_to === 'category' ? categories : null,
+      collection_ids: applies_to === 'collection' ? collection_ids : null,
+      channel,
+      usage_limit: usage_limit ? parseInt(usage_limit) : null,
+      usage_limit_per_customer: usage_limit_per_customer ? parseInt(usage_limit_per_customer) : null,
+      starts_at: starts_at || null,
+      ends_at: ends_at || null,
+      is_active
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      data: { promotion }
+    });
+  } catch (error) {
+    console.error('Error creating promotion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create promotion'
+    });
+  }
+}
+
+/**
+ * Update promotion
+ */
+async function updatePromotion(req, res) {
+  try {
+    const promotion = await findTenantPromotion(req, req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    const merged = {
+      ...req.body,
+      promotion_type: req.body.promotion_type || promotion.promotion_type
+    };
+    const validationError = validatePromotionPayload(merged, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const updatableFields = [
+      'name', 'description', 'promotion_type', 'discount_value', 'buy_quantity', 'get_quantity',
+      'min_basket_amount', 'max_discount_amount', 'applies_to', 'product_ids', 'categories',
+      'collection_ids', 'channel', 'usage_limit', 'usage_limit_per_customer', 'starts_at',
+      'ends_at', 'is_active'
+    ];
+
+    const updates = {};
+    updatableFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field] === '' ? null : req.body[field];
+      }
+    });
+
+    if (req.body.code !== undefined) {
+      const normalizedCode = normalizePromotionCode(req.body.code);
+      if (normalizedCode !== promotion.code) {
+        const existingWhere = { code: normalizedCode, id: { [Sequelize.Op.ne]: promotion.id } };
+        const tenantId = getPromotionTenantId(req);
+        if (tenantId) existingWhere.tenant_id = tenantId;
+        const existing = await req.db.models.Promotion.findOne({ where: existingWhere });
+        if (existing) {
+          return res.status(409).json({
+            success: false,
+            message: `Promo code ${normalizedCode} already exists`
+          });
+        }
+        updates.code = normalizedCode;
+      }
+    }
+
+    await promotion.update(updates);
+
+    res.json({
+      success: true,
+      message: 'Promotion updated successfully',
+      data: { promotion }
+    });
+  } catch (error) {
+    console.error('Error updating promotion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update promotion'
+    });
+  }
+}
+
+/**
+ * Delete promotion
+ * Promotions that have been redeemed are deactivated instead, so order history keeps its reference
+ */
+async function deletePromotion(req, res) {
+  try {
+    const promotion = await findTenantPromotion(req, req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    if (promotion.usage_count > 0) {
+      await promotion.update({ is_active: false });
+      return res.json({
+        success: true,
+        message: 'Promotion has been redeemed before, so it was deactivated instead of deleted'
+      });
+    }
+
+    await promotion.destroy();
+
+    res.json({
+      success: true,
+      message: 'Promotion deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting promotion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete promotion'
+    });
+  }
+}
+
+/**
+ * Validate promo code for a POS basket (cashier preview before checkout)
+ */
+async function validatePromotionCode(req, res) {
+  try {
+    const { promo_code, items, customer_id } = req.body;
+
+    if (!promo_code || !items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'promo_code and items are required'
+      });
+    }
+
+    const basket = items.map(item => ({
+      product_id: item.product_id,
+      quantity: parseFloat(item.quantity) || 1,
+      unit_price: parseFloat(item.unit_price) || 0
+    }));
+    const subtotal = basket.reduce((sum, item) => sum + item.quantity * item.unit_price, 0);
+
+    const result = await evaluatePromotion(req.db.models, {
+      code: promo_code,
+      channel: 'pos',
+      items: basket,
+      subtotal,
+      customerId: customer_id || null,
+      tenantId: getPromotionTenantId(req)
+    });
+
+    if (!result.valid) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        promo_code: result.promotion.code,
+        promotion_name: result.promotion.name,
+        promotion_type: result.promotion.promotion_type,
+        subtotal: Math.round(subtotal * 100) / 100,
+        eligible_subtotal: result.eligible_subtotal,
+        discount_amount: result.discount_amount
+      }
+    });
+  } catch (error) {
+    console.error('Error validating promo code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to validate promo code'
+    });
+  }
+}
+
+/**
+ * Get promotion redemptions (for reporting)
+ */
+async function getPromotionRedemptions(req, res) {
+  try {
+    const { page = 1, limit = 50, channel, start_date, end_date } = req.query;
+    const offset = (page - 1) * limit;
+
+    const promotion = await findTenantPromotion(req, req.params.id);
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    const where = { promotion_id: promotion.id };
+    if (channel) where.channel = channel;
+    if (start_date || end_date) {
+      where.created_at = {};
+      if (start_date) where.created_at[Sequelize.Op.gte] = start_date;
+      if (end_date) where.created_at[Sequelize.Op.lte] = end_date;
+    }
+
+    const { count, rows } = await req.db.models.PromotionRedemption.findAndCountAll({
+      where,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        redemptions: rows,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting promotion redemptions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get promotion redemptions'
+    });
+  }
+}
+
+module.exports = {
+  getAllPromotions,
+  getPromotionById,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+  validatePromotionCode,
+  getPromotionRedemptions
+};
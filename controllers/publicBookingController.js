@@ -9,14 +9,24 @@ const initModels = require('../models');
 const { Sequelize } = require('sequelize');
 const moment = require('moment');
 const { sendBookingConfirmationEmail } = require('../services/emailService');
+const { getAvailableSlots, findBookingAssignment } = require('../services/bookingAvailabilityService');
+const { verifyBookingLinkSignature, buildBookingManageLinks, getSelfServicePolicy } = require('../services/bookingLinkService');
+const { getBookingReminderSettings } = require('../services/bookingReminderService');
+const {
+  BOOKING_PAYMENT_HOLD_MINUTES,
+  getServicePaymentTerms,
+  getCancellationCharges
+} = require('../services/bookingPaymentService');
+const { isValidTimezone } = require('../services/bookingCalendarService');
+const { initializeGatewayPayment } = require('./publicCheckoutController');
 
 /**
  * Get available time slots for a service (public)
- * GET /api/v1/public-bookings/availability?tenant_id=123&store_id=1&service_id=1&date=2024-01-15
+ * GET /api/v1/public-bookings/availability?tenant_id=123&store_id=1&service_id=1&date=2024-01-15&staff_id=4
  */
 async function getAvailableTimeSlots(req, res) {
   try {
-    const { tenant_id, store_id, service_id, date } = req.query;
+    const { tenant_id, store_id, service_id, date, staff_id } = req.query;
 
     if (!tenant_id || !service_id || !date) {
       return res.status(400).json({
@@ -70,66 +80,24 @@ async function getAvailableTimeSlots(req, res) {
       });
     }
 
-    // Get availability settings for this store/service
-    const availability = await models.BookingAvailability.findAll({
-      where: {
-        store_id: finalStoreId,
-        service_id: service_id,
-        is_available: true
-      }
-    });
-
-    // Get existing bookings for this date
-    const startOfDay = moment(date).startOf('day');
-    const endOfDay = moment(date).endOf('day');
-
-    const existingBookings = await models.Booking.findAll({
-      where: {
-        store_id: finalStoreId,
-        service_id,
-        scheduled_at: {
-          [Sequelize.Op.between]: [startOfDay.toDate(), endOfDay.toDate()]
-        },
-        status: {
-          [Sequelize.Op.in]: ['pending', 'confirmed']
-        }
-      }
+    // Slots where the service is offered and, for enterprise stores, a staff member and a resource are free
+    const result = await getAvailableSlots(models, {
+      storeId: finalStoreId,
+      service,
+      date,
+      staffId: staff_id || null,
+      isFreePlan: tenant.subscription_plan === 'free'
     });
 
-    // Get day of week (0 = Sunday, 1 = Monday, etc.)
-    const dayOfWeek = moment(date).day();
-    const dayAvailability = availability.filter(a => a.day_of_week === dayOfWeek);
-
-    // Generate available time slots
-    const availableSlots = [];
-    const duration = service.duration_minutes || 60;
-
-    for (const avail of dayAvailability) {
-      const startTime = moment(`${date} ${avail.start_time}`, 'YYYY-MM-DD HH:mm:ss');
-      const endTime = moment(`${date} ${avail.end_time}`, 'YYYY-MM-DD HH:mm:ss');
-
-      let currentSlot = moment(startTime);
-      while (currentSlot.add(duration, 'minutes').isBefore(endTime) || currentSlot.isSame(endTime)) {
-        const slotStart = moment(currentSlot).subtract(duration, 'minutes');
-        const slotEnd = moment(currentSlot);
-
-        // Check if this slot conflicts with existing bookings
-        const hasConflict = existingBookings.some(booking => {
-          const bookingStart = moment(booking.scheduled_at);
-          const bookingEnd = moment(booking.scheduled_at).add(booking.duration_minutes, 'minutes');
-          return (slotStart.isBefore(bookingEnd) && slotEnd.isAfter(bookingStart));
-        });
-
-        if (!hasConflict) {
-          availableSlots.push({
-            start_time: slotStart.format('YYYY-MM-DD HH:mm:ss'),
-            end_time: slotEnd.format('YYYY-MM-DD HH:mm:ss'),
-            duration_minutes: duration
-          });
-        }
-      }
+    if (!result.valid) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.message
+      });
     }
 
+    const paymentTerms = getServicePaymentTerms(service);
+
     res.json({
       success: true,
       data: {
@@ -137,10 +105,12 @@ async function getAvailableTimeSlots(req, res) {
           id: service.id,
           service_title: service.service_title,
           duration_minutes: service.duration_minutes,
-          price: service.price
+          price: service.price,
+          payment_requirement: paymentTerms.requirement,
+          amount_due_now: paymentTerms.amount_due_now
         },
         date,
-        available_slots: availableSlots
+        available_slots: result.slots
       }
     });
   } catch (error) {
@@ -170,9 +140,11 @@ async function createPublicBooking(req, res) {
       timezone = 'Africa/Lagos',
       location_type = 'in_person',
       staff_name,
+      staff_id, // Optional - preferred staff member (enterprise)
       notes,
       payment_transaction_id, // Payment transaction ID (required for paid services)
-      payment_reference // Payment reference from gateway (alternative to transaction_id)
+      payment_reference, // Payment reference from gateway (alternative to transaction_id)
+      callback_url // Where the gateway returns the customer (deposit / prepaid services)
     } = req.body;
 
     if (!tenant_id || !service_id || !scheduled_at) {
@@ -189,6 +161,13 @@ async function createPublicBooking(req, res) {
       });
     }
 
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'timezone must be an IANA time zone (e.g. Africa/Lagos)'
+      });
+    }
+
     // Get tenant database connection
     const tenant = await getTenantById(tenant_id);
     if (!tenant) {
@@ -248,6 +227,10 @@ async function createPublicBooking(req, res) {
 
     const servicePrice = parseFloat(service.price || 0);
 
+    // Deposit / prepaid services hold the booking as pending until the gateway confirms payment
+    const paymentTerms = getServicePaymentTerms(service);
+    const requiresPayment = paymentTerms.amount_due_now > 0;
+
     // Check if booking already exists from verifyPayment (automatic creation)
     // This prevents duplicate bookings when verifyPayment already created it
     if (payment_transaction_id || payment_reference) {
@@ -298,8 +281,8 @@ async function createPublicBooking(req, res) {
       }
     }
 
-    // Only online store bookings require payment
-    if (isOnlineStoreBooking && servicePrice > 0) {
+    // Only online store bookings require payment (services without deposit / prepayment terms pay through checkout)
+    if (isOnlineStoreBooking && servicePrice > 0 && !requiresPayment) {
       // For paid bookings, verifyPayment should have created the booking automatically
       // This endpoint is mainly for free bookings or fallback cases
       if (!payment_transaction_id && !payment_reference) {
@@ -315,25 +298,48 @@ async function createPublicBooking(req, res) {
     const startTime = moment(scheduled_at);
     const endTime = moment(scheduled_at).add(duration, 'minutes');
 
-    // Check for overlapping bookings
-    const conflictingBooking = await models.Booking.findOne({
-      where: {
-        store_id: finalStoreId,
-        service_id,
-        scheduled_at: {
-          [Sequelize.Op.between]: [startTime.toDate(), endTime.toDate()]
-        },
-        status: {
-          [Sequelize.Op.in]: ['pending', 'confirmed']
-        }
-      }
+    // Assign a free staff member and resource; stores without them keep the service-level conflict check
+    const assignment = await findBookingAssignment(models, {
+      storeId: finalStoreId,
+      service,
+      scheduledAt: scheduled_at,
+      staffId: staff_id || null,
+      isFreePlan
     });
 
-    if (conflictingBooking) {
-      return res.status(409).json({
+    if (!assignment.valid) {
+      return res.status(assignment.status || 400).json({
         success: false,
-        message: 'Time slot already booked'
+        message: assignment.message
+      });
+    }
+
+    if (!assignment.uses_assignment) {
+      // Check for overlapping bookings
+      const conflictingBooking = await models.Booking.findOne({
+        where: {
+          store_id: finalStoreId,
+          service_id,
+          scheduled_at: {
+            [Sequelize.Op.between]: [startTime.toDate(), endTime.toDate()]
+          },
+          status: {
+            [Sequelize.Op.in]: ['pending', 'confirmed']
+          },
+          // Expired payment holds no longer block the slot
+          [Sequelize.Op.or]: [
+            { payment_status: { [Sequelize.Op.ne]: 'awaiting_payment' } },
+            { payment_hold_expires_at: { [Sequelize.Op.gt]: new Date() } }
+          ]
+        }
       });
+
+      if (conflictingBooking) {
+        return res.status(409).json({
+          success: false,
+          message: 'Time slot already booked'
+        });
+      }
     }
 
     // Get or create customer
@@ -378,12 +384,55 @@ async function createPublicBooking(req, res) {
       timezone,
       location_type: location_type || service.location_type,
       meeting_link: null, // Not used - focusing on in-person services only
-      staff_name: staff_name || null,
-      status: (isOnlineStoreBooking && servicePrice > 0) ? 'confirmed' : 'pending', // Auto-confirm if online store booking with payment
-      payment_transaction_id: (isOnlineStoreBooking && servicePrice > 0) ? (payment_transaction_id || null) : null,
+      staff_id: assignment.staff ? assignment.staff.id : null,
+      resource_id: assignment.resource ? assignment.resource.id : null,
+      staff_name: assignment.staff ? assignment.staff.name : (staff_name || null),
+      status: (isOnlineStoreBooking && servicePrice > 0 && !requiresPayment) ? 'confirmed' : 'pending', // Auto-confirm if online store booking with payment
+      payment_transaction_id: (isOnlineStoreBooking && servicePrice > 0 && !requiresPayment) ? (payment_transaction_id || null) : null,
+      payment_status: requiresPayment ? 'awaiting_payment' : 'not_required',
+      payment_required_amount: paymentTerms.amount_due_now,
+      payment_hold_expires_at: requiresPayment ? moment().add(BOOKING_PAYMENT_HOLD_MINUTES, 'minutes').toDate() : null,
       notes: notes || null
     });
 
+    // Start the deposit / prepayment; the booking is confirmed by the payment webhook (or verification)
+    let payment = null;
+    if (requiresPayment) {
+      try {
+        payment = await initializeGatewayPayment(models, tenant, {
+          tenantId: parseInt(tenant_id, 10),
+          bookingId: booking.id,
+          onlineStoreId: onlineStoreService ? onlineStoreService.online_store_id : null,
+          amount: paymentTerms.amount_due_now,
+          email: customer_email,
+          name: customer_name,
+          callbackUrl: callback_url,
+          metadata: {
+            booking_id: booking.id,
+            booking_payment: paymentTerms.requirement,
+            service_id: service.id
+          }
+        });
+      } catch (paymentError) {
+        console.error('Error initializing booking payment:', paymentError);
+        payment = { valid: false, status: 502, message: 'Could not start the payment. Please try again.' };
+      }
+
+      if (!payment.valid) {
+        // Free the slot straight away - the customer can't pay for it
+        await booking.update({
+          status: 'cancelled',
+          cancellation_reason: 'Payment could not be started'
+        });
+        return res.status(payment.status || 400).json({
+          success: false,
+          message: payment.message
+        });
+      }
+
+      await booking.update({ payment_transaction_id: payment.paymentTransaction.id });
+    }
+
     const completeBooking = await models.Booking.findByPk(booking.id, {
       include: [
         {
@@ -401,8 +450,8 @@ async function createPublicBooking(req, res) {
       ]
     });
 
-    // Send booking confirmation email
-    if (customer_email) {
+    // Send booking confirmation email (paid bookings get theirs once the payment is confirmed)
+    if (customer_email && !requiresPayment) {
       try {
         await sendBookingConfirmationEmail({
           tenant,
@@ -418,8 +467,26 @@ async function createPublicBooking(req, res) {
 
     res.status(201).json({
       success: true,
-      message: 'Booking created successfully',
-      data: { booking: completeBooking }
+      message: requiresPayment
+        ? `Booking held for ${BOOKING_PAYMENT_HOLD_MINUTES} minutes. Complete payment to confirm it.`
+        : 'Booking created successfully',
+      data: {
+        booking: completeBooking,
+        manage_links: buildBookingManageLinks(tenant_id, booking.id),
+        ...(payment && {
+          payment: {
+            requirement: paymentTerms.requirement,
+            amount: paymentTerms.amount_due_now,
+            service_price: paymentTerms.price,
+            balance_due_at_appointment: Math.max(0, Math.round((paymentTerms.price - paymentTerms.amount_due_now) * 100) / 100),
+            transaction_reference: payment.transactionReference,
+            authorization_url: payment.paymentData.authorization_url,
+            access_code: payment.paymentData.access_code,
+            gateway: payment.gateway.gateway_name,
+            hold_expires_at: booking.payment_hold_expires_at
+          }
+        })
+      }
     });
   } catch (error) {
     console.error('Error creating booking:', error);
@@ -431,8 +498,370 @@ async function createPublicBooking(req, res) {
   }
 }
 
+/**
+ * Resolve tenant, models, booking and policy from a signed manage link
+ * Sends the error response itself and returns null when the link is not usable
+ */
+async function loadSignedBooking(req, res) {
+  const { tenant_id, booking_id } = req.params;
+  const signature = req.query.signature || (req.body && req.body.signature);
+
+  const parsedTenantId = parseInt(tenant_id, 10);
+  const parsedBookingId = parseInt(booking_id, 10);
+  if (isNaN(parsedTenantId) || parsedTenantId <= 0 || isNaN(parsedBookingId) || parsedBookingId <= 0) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid booking link'
+    });
+    return null;
+  }
+
+  if (!verifyBookingLinkSignature(parsedTenantId, parsedBookingId, signature)) {
+    res.status(403).json({
+      success: false,
+      message: 'Invalid or tampered booking link'
+    });
+    return null;
+  }
+
+  const tenant = await getTenantById(parsedTenantId);
+  if (!tenant || tenant.status !== 'active') {
+    res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+    return null;
+  }
+
+  const sequelize = await getTenantConnection(parsedTenantId, tenant.subscription_plan || 'enterprise');
+  const models = initModels(sequelize);
+  const isFreePlan = tenant.subscription_plan === 'free';
+
+  const booking = await models.Booking.findOne({
+    where: {
+      id: parsedBookingId,
+      ...(isFreePlan ? { tenant_id: parsedTenantId } : {})
+    },
+    include: [
+      {
+        model: models.Store,
+        required: false,
+        attributes: ['id', 'name', 'address', 'city', 'state', 'phone', 'email']
+      },
+      {
+        model: models.StoreService,
+        required: false,
+        attributes: ['id', 'service_title', 'description', 'duration_minutes', 'price']
+      }
+    ]
+  });
+
+  if (!booking) {
+    res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+    return null;
+  }
+
+  const settings = await getBookingReminderSettings(models, isFreePlan ? parsedTenantId : null);
+  const policy = getSelfServicePolicy(booking, settings);
+
+  return { tenant, models, booking, isFreePlan, settings, policy };
+}
+
+/**
+ * Customer-safe view of a booking
+ */
+function formatManagedBooking(booking) {
+  return {
+    id: booking.id,
+    service_id: booking.service_id,
+    service_title: booking.service_title,
+    scheduled_at: booking.scheduled_at,
+    duration_minutes: booking.duration_minutes,
+    timezone: booking.timezone,
+    staff_name: booking.staff_name,
+    status: booking.status,
+    payment_status: booking.payment_status,
+    amount_paid: booking.amount_paid,
+    cancellation_fee: booking.cancellation_fee,
+    refund_amount: booking.refund_amount,
+    customer_name: booking.customer_name,
+    store: booking.Store || null,
+    service: booking.StoreService || null
+  };
+}
+
+/**
+ * View a booking from a signed manage link (public)
+ * GET /api/v1/public-bookings/manage/:tenant_id/:booking_id?signature=...
+ */
+async function getManagedBooking(req, res) {
+  try {
+    const context = await loadSignedBooking(req, res);
+    if (!context) return;
+
+    res.json({
+      success: true,
+      data: {
+        booking: formatManagedBooking(context.booking),
+        policy: context.policy
+      }
+    });
+  } catch (error) {
+    console.error('Error getting managed booking:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get booking'
+    });
+  }
+}
+
+/**
+ * Slots the customer can move a booking to (public)
+ * GET /api/v1/public-bookings/manage/:tenant_id/:booking_id/availability?date=2024-01-15&staff_id=4&signature=...
+ */
+async function getRescheduleSlots(req, res) {
+  try {
+    const context = await loadSignedBooking(req, res);
+    if (!context) return;
+
+    const { models, booking, isFreePlan, policy } = context;
+    const { date, staff_id } = req.query;
+
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'date is required'
+      });
+    }
+
+    if (!policy.can_reschedule) {
+      return res.status(400).json({
+        success: false,
+        message: policy.message || 'This booking can no longer be rescheduled online'
+      });
+    }
+
+    const service = await models.StoreService.findByPk(booking.service_id);
+    if (!service || !service.is_active) {
+      return res.status(400).json({
+        success: false,
+        message: 'This service is no longer available to book online'
+      });
+    }
+
+    const result = await getAvailableSlots(models, {
+      storeId: booking.store_id,
+      service,
+      date,
+      staffId: staff_id || null,
+      isFreePlan,
+      excludeBookingId: booking.id
+    });
+
+    if (!result.valid) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        date,
+        available_slots: result.slots.filter(slot => moment(slot.start_time).isAfter(moment()))
+      }
+    });
+  } catch (error) {
+    console.error('Error getting reschedule slots:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get available time slots'
+    });
+  }
+}
+
+/**
+ * Reschedule a booking from a signed manage link (public)
+ * POST /api/v1/public-bookings/manage/:tenant_id/:booking_id/reschedule?signature=...
+ * Body: { scheduled_at, staff_id }
+ */
+async function rescheduleManagedBooking(req, res) {
+  try {
+    const context = await loadSignedBooking(req, res);
+    if (!context) return;
+
+    const { tenant, models, booking, isFreePlan, settings, policy } = context;
+    const { scheduled_at, staff_id } = req.body;
+
+    if (!scheduled_at || !moment(scheduled_at).isValid()) {
+      return res.status(400).json({
+        success: false,
+        message: 'scheduled_at is required'
+      });
+    }
+
+    if (!policy.can_reschedule) {
+      return res.status(400).json({
+        success: false,
+        message: policy.message || 'This booking can no longer be rescheduled online'
+      });
+    }
+
+    const newTime = moment(scheduled_at);
+    if (!newTime.isAfter(moment())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose a time in the future'
+      });
+    }
+
+    const service = await models.StoreService.findByPk(booking.service_id);
+    if (!service || !service.is_active) {
+      return res.status(400).json({
+        success: false,
+        message: 'This service is no longer available to book online'
+      });
+    }
+
+    // Customers may only move to a published slot
+    const slots = await getAvailableSlots(models, {
+      storeId: booking.store_id,
+      service,
+      date: newTime.format('YYYY-MM-DD'),
+      staffId: staff_id || null,
+      isFreePlan,
+      excludeBookingId: booking.id
+    });
+
+    if (!slots.valid) {
+      return res.status(slots.status || 400).json({
+        success: false,
+        message: slots.message
+      });
+    }
+
+    if (!slots.slots.some(slot => moment(slot.start_time).isSame(newTime))) {
+      return res.status(409).json({
+        success: false,
+        message: 'That time is no longer available. Please choose another slot.'
+      });
+    }
+
+    const assignment = await findBookingAssignment(models, {
+      storeId: booking.store_id,
+      service,
+      scheduledAt: newTime.format('YYYY-MM-DD HH:mm:ss'),
+      duration: booking.duration_minutes,
+      staffId: staff_id || null,
+      isFreePlan,
+      excludeBookingId: booking.id
+    });
+
+    if (!assignment.valid) {
+      return res.status(assignment.status || 400).json({
+        success: false,
+        message: assignment.message
+      });
+    }
+
+    await booking.update({
+      scheduled_at: newTime.format('YYYY-MM-DD HH:mm:ss'),
+      reschedule_count: (booking.reschedule_count || 0) + 1,
+      ...(assignment.uses_assignment && {
+        staff_id: assignment.staff ? assignment.staff.id : null,
+        resource_id: assignment.resource ? assignment.resource.id : null,
+        ...(assignment.staff && { staff_name: assignment.staff.name })
+      })
+    });
+
+    // Confirm the new time (reminders re-arm automatically for the new appointment time)
+    if (booking.customer_email) {
+      try {
+        await sendBookingConfirmationEmail({
+          tenant,
+          booking,
+          customerEmail: booking.customer_email,
+          customerName: booking.customer_name || 'Customer'
+        });
+      } catch (emailError) {
+        console.error('Error sending booking confirmation email:', emailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Booking rescheduled successfully',
+      data: {
+        booking: formatManagedBooking(booking),
+        policy: getSelfServicePolicy(booking, settings)
+      }
+    });
+  } catch (error) {
+    console.error('Error rescheduling booking:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reschedule booking'
+    });
+  }
+}
+
+/**
+ * Cancel a booking from a signed manage link (public)
+ * POST /api/v1/public-bookings/manage/:tenant_id/:booking_id/cancel?signature=...
+ * Body: { reason }
+ */
+async function cancelManagedBooking(req, res) {
+  try {
+    const context = await loadSignedBooking(req, res);
+    if (!context) return;
+
+    const { models, booking, policy } = context;
+
+    if (!policy.can_cancel) {
+      return res.status(400).json({
+        success: false,
+        message: policy.message || 'This booking can no longer be cancelled online'
+      });
+    }
+
+    // Late cancellations keep the service's cancellation fee out of any deposit / prepayment
+    const service = booking.service_id ? await models.StoreService.findByPk(booking.service_id) : null;
+    const charges = getCancellationCharges(booking, service);
+
+    await booking.update({
+      status: 'cancelled',
+      cancellation_reason: req.body.reason || 'Cancelled by customer',
+      cancellation_fee: charges.cancellation_fee,
+      refund_amount: charges.refund_amount,
+      payment_status: charges.payment_status
+    });
+
+    res.json({
+      success: true,
+      message: charges.cancellation_fee > 0
+        ? `Booking cancelled. A cancellation fee of ${charges.cancellation_fee} has been kept from your payment.`
+        : 'Booking cancelled successfully',
+      data: { booking: formatManagedBooking(booking) }
+    });
+  } catch (error) {
+    console.error('Error cancelling booking:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel booking'
+    });
+  }
+}
+
 module.exports = {
   getAvailableTimeSlots,
-  createPublicBooking
+  createPublicBooking,
+  getManagedBooking,
+  getRescheduleSlots,
+  rescheduleManagedBooking,
+  cancelManagedBooking
 };
 
@@ -8,6 +8,7 @@ const { getTenantConnection } = require('../config/database');
 const { getTenantById } = require('../config/tenant');
 const initModels = require('../models');
 const { decryptSecretKey } = require('./paymentGatewayController');
+const { evaluatePromotion, recordOrderRedemption } = require('../services/promotionService');
 const axios = require('axios');
 const crypto = require('crypto');
 
@@ -101,6 +102,187 @@ async function initializeFlutterwavePayment(paymentData, secretKey, testMode) {
   }
 }
 
+/**
+ * Create a pending payment transaction and initialize it with the tenant's default gateway
+ * Shared by order checkout and service booking deposits
+ * @param {Object} models - Tenant models
+ * @param {Object} tenant - Tenant
+ * @param {Object} options
+ * @param {number} options.tenantId - Parsed tenant ID
+ * @param {number} options.orderId - Online store order (optional)
+ * @param {number} options.invoiceId - Invoice (optional)
+ * @param {number} options.bookingId - Booking (optional)
+ * @param {number} options.onlineStoreId - Online store for split payments when there is no order (optional)
+ * @param {number} options.amount - Amount to charge
+ * @param {string} options.email - Customer email
+ * @param {string} options.name - Customer name
+ * @param {string} options.currency - Currency (default NGN)
+ * @param {string} options.callbackUrl - Where the gateway sends the customer afterwards
+ * @param {Object} options.metadata - Extra gateway metadata
+ * @returns {Promise<Object>} - { valid, status, message } or { valid, paymentTransaction, paymentData, gateway, transactionReference, platformFee, merchantAmount }
+ */
+async function initializeGatewayPayment(models, tenant, options) {
+  const {
+    tenantId,
+    orderId = null,
+    invoiceId = null,
+    bookingId = null,
+    onlineStoreId = null,
+    amount,
+    email,
+    name = null,
+    currency = 'NGN',
+    callbackUrl = null,
+    metadata = {}
+  } = options;
+
+  // Determine if this is a free plan user
+  const isFreePlan = tenant.subscription_plan === 'free';
+
+  // Get default payment gateway
+  // For free users, must filter by tenant_id since they share a database
+  const gatewayWhere = {
+    is_active: true,
+    is_default: true
+  };
+
+  if (isFreePlan) {
+    gatewayWhere.tenant_id = tenantId;
+  }
+
+  const gateway = await models.PaymentGateway.findOne({
+    where: gatewayWhere
+  });
+
+  if (!gateway) {
+    return {
+      valid: false,
+      status: 400,
+      message: 'No active payment gateway configured. Please contact the store owner.'
+    };
+  }
+
+  if (!['paystack', 'flutterwave'].includes(gateway.gateway_name)) {
+    return {
+      valid: false,
+      status: 400,
+      message: 'Unsupported payment gateway'
+    };
+  }
+
+  // Calculate platform fee (only for free users, enterprise users pay 0%)
+  // Transaction fee is capped at 500 NGN maximum
+  const transactionFeePercentage = isFreePlan
+    ? parseFloat(tenant.transaction_fee_percentage || 3.00)
+    : 0.00;
+
+  // Calculate fee: (amount * percentage) / 100, then cap at 500 NGN
+  const calculatedFee = (amount * transactionFeePercentage) / 100;
+  const platformFee = Math.min(calculatedFee, 500.00); // Cap at 500 NGN maximum
+  const merchantAmount = amount - platformFee;
+
+  // Get online store from the order (or the one given) for split payments
+  let onlineStore = null;
+  let splitOptions = null;
+  if (orderId) {
+    const order = await models.OnlineStoreOrder.findByPk(orderId);
+    if (order && order.online_store_id) {
+      onlineStore = await models.OnlineStore.findByPk(order.online_store_id);
+    }
+  } else if (onlineStoreId) {
+    onlineStore = await models.OnlineStore.findByPk(onlineStoreId);
+  }
+
+  // If online store has Paystack subaccount configured, use split payment
+  if (onlineStore && onlineStore.paystack_subaccount_code && platformFee > 0) {
+    const chargeAmountInKobo = Math.round(platformFee * 100);
+    splitOptions = {
+      subaccount: onlineStore.paystack_subaccount_code,
+      charge_amount: chargeAmountInKobo
+    };
+  }
+
+  // Generate transaction reference
+  const transactionReference = generateTransactionReference();
+
+  // Create payment transaction record
+  const paymentTransaction = await models.PaymentTransaction.create({
+    tenant_id: isFreePlan ? tenantId : null,
+    order_id: orderId,
+    invoice_id: invoiceId,
+    booking_id: bookingId,
+    transaction_reference: transactionReference,
+    gateway_name: gateway.gateway_name,
+    amount,
+    currency,
+    platform_fee: platformFee,
+    merchant_amount: merchantAmount,
+    customer_email: email,
+    customer_name: name || null,
+    status: 'pending'
+  });
+
+  // Initialize payment with gateway
+  let paymentData;
+  const secretKey = decryptSecretKey(gateway.secret_key);
+  const redirectUrl = callbackUrl || `${process.env.FRONTEND_URL || 'http://localhost:3001'}/payment/callback`;
+
+  // Build metadata
+  const paymentMetadata = {
+    ...metadata,
+    tenant_id: tenantId,
+    transaction_id: paymentTransaction.id
+  };
+
+  if (onlineStore) {
+    paymentMetadata.online_store_id = onlineStore.id;
+  }
+
+  try {
+    if (gateway.gateway_name === 'paystack') {
+      paymentData = await initializePaystackPayment({
+        amount: Math.round(amount * 100), // Paystack uses kobo
+        email,
+        reference: transactionReference,
+        callback_url: redirectUrl,
+        metadata: paymentMetadata
+      }, secretKey, gateway.test_mode, splitOptions);
+    } else {
+      paymentData = await initializeFlutterwavePayment({
+        amount,
+        email,
+        tx_ref: transactionReference,
+        currency,
+        redirect_url: redirectUrl,
+        customer: {
+          email,
+          name: name || 'Customer'
+        },
+        meta: paymentMetadata
+      }, secretKey, gateway.test_mode);
+    }
+  } catch (gatewayError) {
+    await paymentTransaction.update({ status: 'failed', failure_reason: gatewayError.message });
+    throw gatewayError;
+  }
+
+  // Update transaction with gateway response
+  await paymentTransaction.update({
+    gateway_transaction_id: paymentData.gateway_transaction_id || paymentData.reference,
+    gateway_response: paymentData
+  });
+
+  return {
+    valid: true,
+    paymentTransaction,
+    paymentData,
+    gateway,
+    transactionReference,
+    platformFee,
+    merchantAmount
+  };
+}
+
 /**
  * Create order (checkout) - Public endpoint
  * POST /api/v1/public-checkout/orders
@@ -127,6 +309,7 @@ async function createPublicOrder(req, res) {
       tax_rate = 0,
       shipping_amount = 0,
       discount_amount = 0,
+      promo_code, // Optional - validated server-side, overrides discount_amount when applied
       payment_method,
       notes
     } = req.body;
@@ -566,7 +749,32 @@ async function createPublicOrder(req, res) {
       // Handle optional tax_rate, shipping_amount, discount_amount (default to 0 if not provided)
       const finalTaxRate = tax_rate !== undefined && tax_rate !== null ? parseFloat(tax_rate) : 0;
       const finalShippingAmount = shipping_amount !== undefined && shipping_amount !== null ? parseFloat(shipping_amount) : 0;
-      const finalDiscountAmount = discount_amount !== undefined && discount_amount !== null ? parseFloat(discount_amount) : 0;
+      let finalDiscountAmount = discount_amount !== undefined && discount_amount !== null ? parseFloat(discount_amount) : 0;
+
+      // Apply promo code (validated against the server-priced basket, never trust client discount)
+      let appliedPromotion = null;
+      if (promo_code && promo_code.toString().trim() !== '') {
+        const promotionResult = await evaluatePromotion(models, {
+          code: promo_code,
+          channel: 'online',
+          items: orderItems,
+          subtotal,
+          customerEmail: customer_email || null,
+          tenantId: orderTenantId,
+          transaction
+        });
+
+        if (!promotionResult.valid) {
+          await transaction.rollback();
+          return res.status(400).json({
+            success: false,
+            message: promotionResult.message
+          });
+        }
+
+        appliedPromotion = promotionResult.promotion;
+        finalDiscountAmount = promotionResult.discount_amount;
+      }
       
       const taxAmount = subtotal * (finalTaxRate / 100);
       const total = subtotal + taxAmount + finalShippingAmount - finalDiscountAmount;
@@ -640,6 +848,8 @@ async function createPublicOrder(req, res) {
         tax_amount: taxAmount,
         shipping_amount: finalShippingAmount,
         discount_amount: finalDiscountAmount,
+        promotion_id: appliedPromotion ? appliedPromotion.id : null,
+        promotion_code: appliedPromotion ? appliedPromotion.code : null,
         total,
         status: 'pending',
         payment_status: 'pending',
@@ -770,6 +980,12 @@ async function createPublicOrder(req, res) {
         }, { transaction });
       }
 
+      // Hold a use of the promo code so unpaid orders count towards its limits
+      // (given back if the order is cancelled or left unpaid, see promotionService)
+      if (appliedPromotion) {
+        await recordOrderRedemption(models, order, transaction);
+      }
+
       // NOTE: Stock deduction removed - stock should only be deducted AFTER payment is confirmed
       // Stock will be deducted in the payment webhook handler or payment verification function
       // This prevents stock from being reserved for unpaid orders
@@ -938,9 +1154,6 @@ async function initializePublicPayment(req, res) {
     const sequelize = await getTenantConnection(tenant_id, tenant.subscription_plan || 'enterprise');
     const models = initModels(sequelize);
 
-    // Determine if this is a free plan user
-    const isFreePlan = tenant.subscription_plan === 'free';
-
     // Parse tenant_id as integer (JSON body may send it as string)
     const parsedTenantId = parseInt(tenant_id, 10);
     if (isNaN(parsedTenantId) || parsedTenantId <= 0) {
@@ -950,128 +1163,26 @@ async function initializePublicPayment(req, res) {
       });
     }
 
-    // Get default payment gateway
-    // For free users, must filter by tenant_id since they share a database
-    const gatewayWhere = {
-      is_active: true,
-      is_default: true
-    };
-    
-    if (isFreePlan) {
-      gatewayWhere.tenant_id = parsedTenantId;
-    }
-    
-    const gateway = await models.PaymentGateway.findOne({
-      where: gatewayWhere
-    });
-
-    if (!gateway) {
-      return res.status(400).json({
-        success: false,
-        message: 'No active payment gateway configured. Please contact the store owner.'
-      });
-    }
-
-    // Calculate platform fee (only for free users, enterprise users pay 0%)
-    // Transaction fee is capped at 500 NGN maximum
-    const transactionFeePercentage = tenant.subscription_plan === 'free' 
-      ? parseFloat(tenant.transaction_fee_percentage || 3.00)
-      : 0.00;
-
-    // Calculate fee: (amount * percentage) / 100, then cap at 500 NGN
-    const calculatedFee = (parseFloat(amount) * transactionFeePercentage) / 100;
-    const platformFee = Math.min(calculatedFee, 500.00); // Cap at 500 NGN maximum
-    const merchantAmount = parseFloat(amount) - platformFee;
-
-    // Get online store if order_id is provided (for split payments)
-    let onlineStore = null;
-    let splitOptions = null;
-    if (order_id) {
-      const order = await models.OnlineStoreOrder.findByPk(order_id);
-      if (order && order.online_store_id) {
-        onlineStore = await models.OnlineStore.findByPk(order.online_store_id);
-
-        // If online store has Paystack subaccount configured, use split payment
-        if (onlineStore && onlineStore.paystack_subaccount_code && platformFee > 0) {
-          const chargeAmountInKobo = Math.round(platformFee * 100);
-          splitOptions = {
-            subaccount: onlineStore.paystack_subaccount_code,
-            charge_amount: chargeAmountInKobo
-          };
-        }
-      }
-    }
-
-    // Generate transaction reference
-    const transactionReference = generateTransactionReference();
-
-    // Get tenant_id for transaction creation (for free users)
-    const transactionTenantId = isFreePlan ? parsedTenantId : null;
-
-    // Create payment transaction record
-    const paymentTransaction = await models.PaymentTransaction.create({
-      tenant_id: transactionTenantId,
-      order_id: order_id || null,
-      invoice_id: invoice_id || null,
-      transaction_reference: transactionReference,
-      gateway_name: gateway.gateway_name,
+    const payment = await initializeGatewayPayment(models, tenant, {
+      tenantId: parsedTenantId,
+      orderId: order_id || null,
+      invoiceId: invoice_id || null,
       amount: parseFloat(amount),
+      email,
+      name,
       currency,
-      platform_fee: platformFee,
-      merchant_amount: merchantAmount,
-      customer_email: email,
-      customer_name: name || null,
-      status: 'pending'
+      callbackUrl: callback_url,
+      metadata
     });
 
-    // Initialize payment with gateway
-    let paymentData;
-    const secretKey = decryptSecretKey(gateway.secret_key);
-
-    // Build metadata
-    const paymentMetadata = {
-      ...metadata,
-      tenant_id: parsedTenantId,
-      transaction_id: paymentTransaction.id
-    };
-
-    if (onlineStore) {
-      paymentMetadata.online_store_id = onlineStore.id;
-    }
-
-    if (gateway.gateway_name === 'paystack') {
-      paymentData = await initializePaystackPayment({
-        amount: parseFloat(amount) * 100, // Paystack uses kobo
-        email,
-        reference: transactionReference,
-        callback_url: callback_url || `${process.env.FRONTEND_URL || 'http://localhost:3001'}/payment/callback`,
-        metadata: paymentMetadata
-      }, secretKey, gateway.test_mode, splitOptions);
-    } else if (gateway.gateway_name === 'flutterwave') {
-      paymentData = await initializeFlutterwavePayment({
-        amount: parseFloat(amount),
-        email,
-        tx_ref: transactionReference,
-        currency,
-        redirect_url: callback_url || `${process.env.FRONTEND_URL || 'http://localhost:3001'}/payment/callback`,
-        customer: {
-          email,
-          name: name || 'Customer'
-        },
-        meta: paymentMetadata
-      }, secretKey, gateway.test_mode);
-    } else {
-      return res.status(400).json({
+    if (!payment.valid) {
+      return res.status(payment.status).json({
         success: false,
-        message: 'Unsupported payment gateway'
+        message: payment.message
       });
     }
 
-    // Update transaction with gateway response
-    await paymentTransaction.update({
-      gateway_transaction_id: paymentData.gateway_transaction_id || paymentData.reference,
-      gateway_response: paymentData
-    });
+    const { paymentData, gateway, transactionReference, platformFee, merchantAmount } = payment;
 
     res.json({
       success: true,
@@ -1208,9 +1319,124 @@ async function getPublicOrderByNumber(req, res) {
   }
 }
 
+/**
+ * Validate promo code against a basket - Public endpoint
+ * POST /api/v1/public-checkout/promotions/validate
+ * Lets the storefront preview a discount before the order is placed
+ */
+async function validatePublicPromotion(req, res) {
+  try {
+    const {
+      tenant_id,
+      promo_code,
+      customer_email,
+      items // Array of { product_id, quantity, variation_option_id }
+    } = req.body;
+
+    if (!tenant_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'tenant_id is required'
+      });
+    }
+
+    if (!promo_code || !items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'promo_code and items are required'
+      });
+    }
+
+    const tenant = await getTenantById(tenant_id);
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found'
+      });
+    }
+
+    const sequelize = await getTenantConnection(tenant_id, tenant.subscription_plan || 'enterprise');
+    const models = initModels(sequelize);
+    const isFreePlan = tenant.subscription_plan === 'free';
+    const promotionTenantId = isFreePlan ? parseInt(tenant_id, 10) : null;
+
+    // Price the basket from the database (same rules as createPublicOrder)
+    let subtotal = 0;
+    const pricedItems = [];
+    for (const item of items) {
+      const productWhere = { id: item.product_id, is_active: true };
+      if (isFreePlan) {
+        productWhere.tenant_id = promotionTenantId;
+      }
+
+      const product = await models.Product.findOne({
+        where: productWhere,
+        attributes: ['id', 'name', 'price']
+      });
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: `Product ${item.product_id} not found or not available`
+        });
+      }
+
+      let unitPrice = parseFloat(product.price || 0);
+      if (item.variation_option_id) {
+        const option = await models.ProductVariationOption.findByPk(item.variation_option_id, {
+          attributes: ['id', 'price_adjustment']
+        });
+        if (option) {
+          unitPrice += parseFloat(option.price_adjustment || 0);
+        }
+      }
+
+      const quantity = parseFloat(item.quantity) || 1;
+      subtotal += unitPrice * quantity;
+      pricedItems.push({ product_id: product.id, quantity, unit_price: unitPrice });
+    }
+
+    const result = await evaluatePromotion(models, {
+      code: promo_code,
+      channel: 'online',
+      items: pricedItems,
+      subtotal,
+      customerEmail: customer_email || null,
+      tenantId: promotionTenantId
+    });
+
+    if (!result.valid) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        promo_code: result.promotion.code,
+        promotion_name: result.promotion.name,
+        promotion_type: result.promotion.promotion_type,
+        subtotal: Math.round(subtotal * 100) / 100,
+        eligible_subtotal: result.eligible_subtotal,
+        discount_amount: result.discount_amount
+      }
+    });
+  } catch (error) {
+    console.error('Error validating promo code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to validate promo code',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
 module.exports = {
   createPublicOrder,
   initializePublicPayment,
-  getPublicOrderByNumber
+  getPublicOrderByNumber,
+  validatePublicPromotion,
+  initializeGatewayPayment
 };
 
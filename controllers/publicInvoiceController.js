@@ -0,0 +1,411 @@
+/**
+ * Public Invoice Controller
+ * Customer-facing invoice page and online payment via signed links
+ * No authentication required - access is granted by the link signature
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { getTenantConnection } = require('../config/database');
+const { getTenantById } = require('../config/tenant');
+const initModels = require('../models');
+const { decryptSecretKey } = require('./paymentGatewayController');
+const { initializePaystackPayment, initializeFlutterwavePayment } = require('./paymentController');
+const { renderInvoiceHtml } = require('../services/invoiceHtmlRenderer');
+const { validateInvoicePayment } = require('../services/invoicePaymentService');
+const { verifyInvoiceLinkSignature, isInvoiceLinkExpired, buildInvoicePaymentLink } = require('../services/invoicePaymentLinkService');
+
+/**
+ * Generate unique transaction reference
+ */
+function generateTransactionReference() {
+  return `TXN-${Date.now()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+}
+
+function escapeHtml(text) {
+  if (text === null || text === undefined) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+/**
+ * Resolve tenant, models and invoice from a signed link
+ * Sends the error response itself and returns null when the link is not usable
+ */
+async function loadSignedInvoice(req, res) {
+  const { tenant_id, invoice_id } = req.params;
+  const { signature, exp } = req.query;
+
+  const parsedTenantId = parseInt(tenant_id, 10);
+  const parsedInvoiceId = parseInt(invoice_id, 10);
+  if (isNaN(parsedTenantId) || parsedTenantId <= 0 || isNaN(parsedInvoiceId) || parsedInvoiceId <= 0) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid invoice link'
+    });
+    return null;
+  }
+
+  if (!verifyInvoiceLinkSignature(parsedTenantId, parsedInvoiceId, exp, signature)) {
+    res.status(403).json({
+      success: false,
+      message: 'Invalid or tampered invoice link'
+    });
+    return null;
+  }
+
+  if (isInvoiceLinkExpired(exp)) {
+    res.status(410).json({
+      success: false,
+      message: 'This invoice link has expired. Ask the business for a new one'
+    });
+    return null;
+  }
+
+  const tenant = await getTenantById(parsedTenantId);
+  if (!tenant || tenant.status !== 'active') {
+    res.status(404).json({
+      success: false,
+      message: 'Invoice not found'
+    });
+    return null;
+  }
+
+  const sequelize = await getTenantConnection(parsedTenantId, tenant.subscription_plan || 'enterprise');
+  const models = initModels(sequelize);
+  const isFreePlan = tenant.subscription_plan === 'free';
+
+  const invoice = await models.Invoice.findOne({
+    where: {
+      id: parsedInvoiceId,
+      ...(isFreePlan ? { tenant_id: parsedTenantId } : {})
+    },
+    include: [
+      {
+        model: models.Customer,
+        required: false,
+        attributes: ['id', 'name', 'email', 'phone', 'address', 'city', 'state', 'country']
+      },
+      {
+        model: models.Store,
+        required: false,
+        attributes: ['id', 'name', 'address', 'city', 'state', 'country', 'phone', 'email']
+      },
+      {
+        model: models.InvoiceItem
+      },
+      {
+        model: models.InvoicePaymentSchedule,
+        required: false
+      }
+    ],
+    order: [[models.InvoicePaymentSchedule, 'due_date', 'ASC']]
+  });
+
+  // Drafts have not been issued to the customer yet
+  if (!invoice || invoice.status === 'draft') {
+    res.status(404).json({
+      success: false,
+      message: 'Invoice not found'
+    });
+    return null;
+  }
+
+  return { tenant, models, invoice, isFreePlan, parsedTenantId, linkExpiresAt: parseInt(exp, 10) };
+}
+
+/**
+ * Get the tenant's default active payment gateway
+ */
+async function getDefaultGateway(models, isFreePlan, tenantId) {
+  return models.PaymentGateway.findOne({
+    where: {
+      is_active: true,
+      is_default: true,
+      ...(isFreePlan ? { tenant_id: tenantId } : {})
+    }
+  });
+}
+
+/**
+ * Payment panel appended to the rendered invoice page
+ */
+function renderPaymentPanel({ invoice, payUrl, canPay, paymentPending }) {
+  const currencySymbol = invoice.currency_symbol || '₦';
+  const balanceDue = Number(invoice.balance_due || 0);
+
+  let content;
+  if (invoice.status === 'paid' || balanceDue <= 0) {
+    content = '<p class="pay-status paid">This invoice has been paid. Thank you!</p>';
+  } else if (invoice.status === 'cancelled') {
+    content = '<p class="pay-status">This invoice has been cancelled.</p>';
+  } else if (paymentPending) {
+    content = '<p class="pay-status">We are confirming your payment. Refresh this page in a moment.</p>';
+  } else if (!canPay) {
+    content = '<p class="pay-status">Online payment is not available for this invoice. Please contact the business.</p>';
+  } else {
+    content = `
+      <form method="POST" action="${escapeHtml(payUrl)}" class="pay-form">
+        <p class="pay-balance">Balance due: <strong>${escapeHtml(currencySymbol)}${balanceDue.toFixed(2)}</strong></p>
+        <input type="email" name="email" required placeholder="Your email address" value="${escapeHtml(invoice.Customer?.email || '')}" />
+        <button type="submit">Pay ${escapeHtml(currencySymbol)}${balanceDue.toFixed(2)}</button>
+      </form>`;
+  }
+
+  return `
+  <style>
+    .pay-panel { max-width: 800px; margin: 24px auto; padding: 24px; border: 1px solid #E5E7EB; border-radius: 8px; background: #FFFFFF; font-family: Arial, sans-serif; text-align: center; }
+    .pay-panel .pay-balance { font-size: 18px; margin: 0 0 16px; color: #111827; }
+    .pay-panel input { padding: 10px 12px; border: 1px solid #D1D5DB; border-radius: 6px; width: 260px; max-width: 100%; margin-bottom: 12px; }
+    .pay-panel button { display: block; margin: 0 auto; padding: 12px 32px; border: none; border-radius: 6px; background: #2563EB; color: #FFFFFF; font-size: 16px; font-weight: 600; cursor: pointer; }
+    .pay-panel .pay-status { margin: 0; font-size: 16px; color: #374151; }
+    .pay-panel .pay-status.paid { color: #059669; font-weight: 600; }
+  </style>
+  <div class="pay-panel">${content}</div>`;
+}
+
+/**
+ * View invoice from a signed link - Public endpoint
+ * GET /api/v1/public-invoices/:tenant_id/:invoice_id?exp=...&signature=...
+ * Returns the rendered invoice page, or JSON with ?format=json
+ */
+async function getPublicInvoice(req, res) {
+  try {
+    const context = await loadSignedInvoice(req, res);
+    if (!context) return;
+
+    const { tenant, models, invoice, isFreePlan, parsedTenantId, linkExpiresAt } = context;
+    const gateway = await getDefaultGateway(models, isFreePlan, parsedTenantId);
+    const link = buildInvoicePaymentLink(parsedTenantId, invoice.id, linkExpiresAt);
+    const canPay = !!gateway && !['paid', 'cancelled'].includes(invoice.status) && Number(invoice.balance_due || 0) > 0;
+
+    if (req.query.format === 'json') {
+      const invoiceJson = invoice.toJSON();
+      return res.json({
+        success: true,
+        data: {
+          invoice: invoiceJson,
+          business: {
+            name: invoice.Store?.name || tenant.name,
+            logo_url: tenant.logo_url || null
+          },
+          can_pay: canPay,
+          gateway: gateway ? gateway.gateway_name : null,
+          pay_url: link.pay_url
+        }
+      });
+    }
+
+    // Returning from the gateway (callback) before the webhook has landed
+    const paymentPending = !!(req.query.reference || req.query.tx_ref || req.query.trxref) && invoice.status !== 'paid';
+
+    const html = renderInvoiceHtml({
+      invoice: {
+        ...invoice.toJSON(),
+        logoUrl: tenant.logo_url || null
+      },
+      template: { layout: [] },
+      brandColors: {
+        primary: '#0F172A',
+        secondary: '#64748B',
+        accent: '#4F46E5',
+        text: '#0F172A',
+        background: '#F9FAFB',
+        border: '#E5E7EB',
+        table_header: '#111827',
+        table_row_alt: '#F3F4F6'
+      }
+    });
+
+    const panel = renderPaymentPanel({ invoice, payUrl: link.pay_url, canPay, paymentPending });
+
+    // Helmet's default CSP limits form-action to 'self', which blocks the redirect to the gateway checkout
+    res.set('Content-Security-Policy', [
+      "default-src 'self'",
+      "img-src * data:",
+      "style-src 'self' 'unsafe-inline' https:",
+      "font-src 'self' https: data:",
+      "form-action 'self' https://checkout.paystack.com https://*.flutterwave.com",
+      "frame-ancestors 'self'"
+    ].join('; '));
+    res.set('Content-Type', 'text/html');
+    return res.send(html.replace('</body>', `${panel}\n</body>`));
+  } catch (error) {
+    console.error('Error getting public invoice:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load invoice',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+/**
+ * Initialize online payment of an invoice - Public endpoint
+ * POST /api/v1/public-invoices/:tenant_id/:invoice_id/pay?exp=...&signature=...
+ * Body: { email?, amount? } - amount defaults to the balance due
+ * Form posts (from the invoice page) are redirected straight to the gateway, which returns the
+ * customer to the signed invoice page (never a caller-supplied URL - this endpoint is public)
+ */
+async function initializeInvoicePayment(req, res) {
+  try {
+    const context = await loadSignedInvoice(req, res);
+    if (!context) return;
+
+    const { tenant, models, invoice, isFreePlan, parsedTenantId, linkExpiresAt } = context;
+    const { name } = req.body;
+    const email = req.body.email || invoice.Customer?.email;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'email is required'
+      });
+    }
+
+    const balanceDue = Number(invoice.balance_due || 0);
+    const amount = req.body.amount !== undefined && req.body.amount !== '' ? parseFloat(req.body.amount) : balanceDue;
+
+    const validation = validateInvoicePayment(invoice, amount);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: validation.message
+      });
+    }
+
+    const gateway = await getDefaultGateway(models, isFreePlan, parsedTenantId);
+    if (!gateway) {
+      return res.status(400).json({
+        success: false,
+        message: 'No active payment gateway configured. Please contact the business.'
+      });
+    }
+
+    // Calculate platform fee (only for free users, enterprise users pay 0%)
+    // Transaction fee is capped at 500 NGN maximum
+    const transactionFeePercentage = isFreePlan
+      ? parseFloat(tenant.transaction_fee_percentage || 3.00)
+      : 0.00;
+    const calculatedFee = (amount * transactionFeePercentage) / 100;
+    const platformFee = Math.min(calculatedFee, 500.00);
+    const merchantAmount = amount - platformFee;
+
+    // Use the tenant's online store subaccount for split payments (if configured)
+    let splitOptions = null;
+    if (platformFee > 0) {
+      const onlineStore = await models.OnlineStore.findOne({
+        where: {
+          ...(isFreePlan ? { tenant_id: parsedTenantId } : {}),
+          paystack_subaccount_code: { [Op.ne]: null }
+        }
+      });
+      if (onlineStore) {
+        splitOptions = {
+          subaccount: onlineStore.paystack_subaccount_code,
+          charge_amount: Math.round(platformFee * 100)
+        };
+      }
+    }
+
+    const transactionReference = generateTransactionReference();
+    const currency = invoice.currency || 'NGN';
+    const customerName = name || invoice.Customer?.name || null;
+
+    const paymentTransaction = await models.PaymentTransaction.create({
+      tenant_id: isFreePlan ? parsedTenantId : null,
+      order_id: null,
+      invoice_id: invoice.id,
+      transaction_reference: transactionReference,
+      gateway_name: gateway.gateway_name,
+      amount,
+      currency,
+      platform_fee: platformFee,
+      merchant_amount: merchantAmount,
+      customer_email: email,
+      customer_name: customerName,
+      status: 'pending'
+    });
+
+    const secretKey = decryptSecretKey(gateway.secret_key);
+    const link = buildInvoicePaymentLink(parsedTenantId, invoice.id, linkExpiresAt);
+    const redirectUrl = link.url;
+    const paymentMetadata = {
+      tenant_id: parsedTenantId,
+      transaction_id: paymentTransaction.id,
+      invoice_id: invoice.id,
+      invoice_number: invoice.invoice_number
+    };
+
+    let paymentData;
+    if (gateway.gateway_name === 'paystack') {
+      paymentData = await initializePaystackPayment({
+        amount: Math.round(amount * 100), // Paystack uses kobo
+        email,
+        reference: transactionReference,
+        callback_url: redirectUrl,
+        metadata: paymentMetadata
+      }, secretKey, gateway.test_mode, splitOptions);
+    } else if (gateway.gateway_name === 'flutterwave') {
+      paymentData = await initializeFlutterwavePayment({
+        amount,
+        email,
+        tx_ref: transactionReference,
+        currency,
+        redirect_url: redirectUrl,
+        customer: {
+          email,
+          name: customerName || 'Customer'
+        },
+        meta: paymentMetadata
+      }, secretKey, gateway.test_mode);
+    } else {
+      await paymentTransaction.update({ status: 'cancelled' });
+      return res.status(400).json({
+        success: false,
+        message: 'Unsupported payment gateway'
+      });
+    }
+
+    await paymentTransaction.update({
+      gateway_transaction_id: paymentData.gateway_transaction_id || paymentData.reference,
+      gateway_response: paymentData
+    });
+
+    // Submitted from the hosted invoice page - send the customer straight to checkout
+    if (req.is('application/x-www-form-urlencoded')) {
+      return res.redirect(303, paymentData.authorization_url);
+    }
+
+    res.json({
+      success: true,
+      message: 'Payment initialized successfully',
+      data: {
+        transaction_reference: transactionReference,
+        authorization_url: paymentData.authorization_url,
+        access_code: paymentData.access_code,
+        gateway: gateway.gateway_name,
+        amount,
+        currency,
+        invoice_number: invoice.invoice_number,
+        balance_due: balanceDue
+      }
+    });
+  } catch (error) {
+    console.error('Error initializing invoice payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to initialize payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+module.exports = {
+  getPublicInvoice,
+  initializeInvoicePayment
+};
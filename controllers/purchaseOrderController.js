@@ -1,5 +1,7 @@
 const { Sequelize } = require('sequelize');
 const { v4: uuidv4 } = require('uuid');
+const { receiveBatch } = require('../services/productBatchService');
+const { buildReorderSuggestions, recordSupplierCost } = require('../services/reorderService');
 
 /**
  * Generate unique PO number
@@ -246,7 +248,7 @@ async function receivePurchaseOrder(req, res) {
   const transaction = await req.db.transaction();
   
   try {
-    const { received_items } = req.body; // Array of { item_id, received_quantity }
+    const { received_items } = req.body; // Array of { item_id, received_quantity, batch_number?, expiry_date? }
     const purchaseOrder = await req.db.models.PurchaseOrder.findByPk(req.params.id);
 
     if (!purchaseOrder) {
@@ -290,6 +292,29 @@ async function receivePurchaseOrder(req, res) {
             stock: product.stock + receivedQty
           }, { transaction });
 
+          // Create a batch when the lot number or expiry is captured at receiving
+          let batch = null;
+          if (receivedItem.batch_number || receivedItem.expiry_date) {
+            batch = await receiveBatch(req.db.models, {
+              productId: item.product_id,
+              storeId: purchaseOrder.store_id,
+              batchNumber: receivedItem.batch_number || `${purchaseOrder.po_number}-${item.id}`,
+              expiryDate: receivedItem.expiry_date || null,
+              quantity: receivedQty,
+              costPrice: item.unit_price,
+              purchaseOrderId: purchaseOrder.id,
+              purchaseOrderItemId: item.id
+            }, transaction);
+          }
+
+          // Keep the supplier's last cost current for reorder suggestions
+          await recordSupplierCost(req.db.models, {
+            productId: item.product_id,
+            supplierId: purchaseOrder.supplier_id,
+            unitCost: item.unit_price,
+            purchaseOrderId: purchaseOrder.id
+          }, transaction);
+
           // Record stock movement
           await req.db.models.StockMovement.create({
             product_id: item.product_id,
@@ -298,7 +323,9 @@ async function receivePurchaseOrder(req, res) {
             quantity: receivedQty,
             reference_type: 'purchase_order',
             reference_id: purchaseOrder.id,
-            notes: `Received from PO ${purchaseOrder.po_number}`,
+            notes: batch
+              ? `Received from PO ${purchaseOrder.po_number} (batch ${batch.batch_number})`
+              : `Received from PO ${purchaseOrder.po_number}`,
             created_by: req.user.staffId || req.user.id
           }, { transaction });
         }
@@ -340,6 +367,150 @@ async function receivePurchaseOrder(req, res) {
   }
 }
 
+/**
+ * Get reorder suggestions grouped by supplier
+ */
+async function getReorderSuggestions(req, res) {
+  try {
+    const { store_id, days = 30, safety_days = 7, cover_days = 30 } = req.query;
+
+    const result = await buildReorderSuggestions(req.db.models, {
+      storeId: store_id || null,
+      days: parseInt(days) || 30,
+      safetyDays: parseInt(safety_days) || 0,
+      coverDays: parseInt(cover_days) || 0
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        parameters: {
+          store_id: store_id || null,
+          days: parseInt(days) || 30,
+          safety_days: parseInt(safety_days) || 0,
+          cover_days: parseInt(cover_days) || 0
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting reorder suggestions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get reorder suggestions'
+    });
+  }
+}
+
+/**
+ * Generate draft purchase orders from reorder suggestions (one per supplier)
+ */
+async function generateReorderPurchaseOrders(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const {
+      store_id,
+      days = 30,
+      safety_days = 7,
+      cover_days = 30,
+      supplier_ids, // Optional: only generate for these suppliers
+      product_ids, // Optional: only these products
+      expected_delivery_date,
+      notes
+    } = req.body;
+
+    const result = await buildReorderSuggestions(req.db.models, {
+      storeId: store_id || null,
+      days: parseInt(days) || 30,
+      safetyDays: parseInt(safety_days) || 0,
+      coverDays: parseInt(cover_days) || 0,
+      productIds: Array.isArray(product_ids) ? product_ids : null
+    });
+
+    let groups = result.by_supplier;
+    if (Array.isArray(supplier_ids) && supplier_ids.length > 0) {
+      const wanted = supplier_ids.map(id => parseInt(id));
+      groups = groups.filter(group => wanted.includes(parseInt(group.supplier_id)));
+    }
+
+    if (groups.length === 0) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'No reorder suggestions with a supplier to order from',
+        data: { unassigned: result.unassigned }
+      });
+    }
+
+    const orderDate = new Date().toISOString().split('T')[0];
+    const createdIds = [];
+
+    for (const group of groups) {
+      const subtotal = group.items.reduce((sum, item) => sum + item.estimated_total, 0);
+
+      const purchaseOrder = await req.db.models.PurchaseOrder.create({
+        po_number: generatePONumber(),
+        supplier_id: group.supplier_id,
+        store_id: store_id || null,
+        order_date: orderDate,
+        expected_delivery_date: expected_delivery_date || null,
+        status: 'draft',
+        subtotal,
+        tax_amount: 0,
+        shipping_amount: 0,
+        total: subtotal,
+        notes: notes || 'Generated from reorder suggestions'
+      }, { transaction });
+
+      for (const item of group.items) {
+        await req.db.models.PurchaseOrderItem.create({
+          purchase_order_id: purchaseOrder.id,
+          product_id: item.product_id,
+          product_name: item.product_name,
+          quantity: item.reorder_quantity,
+          unit_price: item.unit_cost,
+          total: item.estimated_total
+        }, { transaction });
+      }
+
+      createdIds.push(purchaseOrder.id);
+    }
+
+    await transaction.commit();
+
+    const purchaseOrders = await req.db.models.PurchaseOrder.findAll({
+      where: { id: createdIds },
+      include: [
+        {
+          model: req.db.models.Supplier,
+          attributes: ['id', 'name', 'company_name', 'email', 'phone']
+        },
+        {
+          model: req.db.models.PurchaseOrderItem
+        }
+      ],
+      order: [['id', 'ASC']]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${purchaseOrders.length} draft purchase order(s) created`,
+      data: {
+        purchase_orders: purchaseOrders,
+        unassigned: result.unassigned
+      }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error generating reorder purchase orders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate purchase orders'
+    });
+  }
+}
+
 /**
  * Update purchase order status
  */
@@ -384,6 +555,8 @@ module.exports = {
   getPurchaseOrderById,
   createPurchaseOrder,
   receivePurchaseOrder,
-  updatePurchaseOrderStatus
+  updatePurchaseOrderStatus,
+  getReorderSuggestions,
+  generateReorderPurchaseOrders
 };
 
@@ -7,6 +7,7 @@ const { generateReceiptTemplate } = require('../services/receiptTemplate');
 const { generateEscPosReceipt } = require('../services/receiptEscPosService');
 const { generateInvoicePdfAndPreview } = require('../services/invoicePdfService');
 const { extractColorsFromLogo } = require('../services/colorExtractionService');
+const { createInvoiceReceipt } = require('../services/invoiceReceiptService');
 
 /**
  * Generate receipt from invoice
@@ -65,250 +66,61 @@ async function generateReceiptFromInvoice(req, res) {
       });
     }
 
-    // Generate receipt number
-    const receiptNumber = `RCP-${invoice.invoice_number.replace('INV-', '')}`;
-
-    // Check if receipt already exists for this invoice (duplicate prevention)
-    let existingReceipt = null;
-    try {
-      const [tables] = await req.db.query(`
-        SELECT TABLE_NAME 
-        FROM INFORMATION_SCHEMA.TABLES 
-        WHERE TABLE_SCHEMA = DATABASE() 
-        AND TABLE_NAME = 'receipts'
-      `);
-
-      if (tables && tables.length > 0) {
-        const existingReceiptQuery = isFreePlan && tenantId
-          ? `SELECT * FROM receipts WHERE tenant_id = ? AND invoice_id = ? ORDER BY id DESC LIMIT 1`
-          : `SELECT * FROM receipts WHERE invoice_id = ? ORDER BY id DESC LIMIT 1`;
-
-        const [existingReceipts] = await req.db.query(existingReceiptQuery, {
-          replacements: isFreePlan && tenantId ? [tenantId, invoice.id] : [invoice.id]
-        });
-
-        if (existingReceipts && existingReceipts.length > 0) {
-          existingReceipt = existingReceipts[0];
-        }
-      }
-    } catch (checkError) {
-      console.warn('Could not check for existing receipt:', checkError.message);
-      // Continue - will generate new receipt
-    }
+    const result = await createInvoiceReceipt(req.db, invoice, invoiceItems, {
+      tenantId,
+      includeStamp: include_stamp,
+      stampStyle: stamp_style
+    });
+    const { receiptData } = result;
 
     // If receipt already exists, return it instead of generating a new one
-    if (existingReceipt) {
-      // Ensure URLs have base URL prefix
-      const baseUrl = process.env.BASE_URL || 'https://backend.mycroshop.com';
-      let existingPreviewUrl = existingReceipt.preview_url || null;
-      let existingPdfUrl = existingReceipt.pdf_url || null;
-      
-      if (existingPreviewUrl && !existingPreviewUrl.startsWith('http')) {
-        existingPreviewUrl = `${baseUrl}${existingPreviewUrl}`;
-      }
-      if (existingPdfUrl && !existingPdfUrl.startsWith('http')) {
-        existingPdfUrl = `${baseUrl}${existingPdfUrl}`;
-      }
-
+    if (result.alreadyExists) {
       return res.json({
         success: true,
         message: 'Receipt already exists for this invoice',
         data: {
           receipt: {
-            id: existingReceipt.id,
-            receipt_number: existingReceipt.receipt_number,
-            invoice_id: existingReceipt.invoice_id,
-            transaction_date: invoice.issue_date || new Date().toISOString().split('T')[0],
-            transaction_time: new Date().toLocaleTimeString(),
-            total: Number(invoice.total || 0),
-            currency: invoice.currency || 'NGN',
-            payment_method: invoice.payment_method || 'Cash'
+            id: result.receipt.id,
+            receipt_number: result.receipt.receipt_number,
+            invoice_id: result.receipt.invoice_id,
+            transaction_date: receiptData.transaction_date,
+            transaction_time: receiptData.transaction_time,
+            total: receiptData.total,
+            amount_paid: receiptData.amount_paid,
+            balance_due: receiptData.balance_due,
+            currency: receiptData.currency,
+            payment_method: receiptData.payment_method
           },
-          preview_url: existingPreviewUrl,
-          pdf_url: existingPdfUrl,
-          esc_pos_commands: existingReceipt.esc_pos_commands || null,
-          esc_pos_commands_length: existingReceipt.esc_pos_commands ? Buffer.from(existingReceipt.esc_pos_commands, 'base64').length : 0,
+          preview_url: result.previewUrl,
+          pdf_url: result.pdfUrl,
+          esc_pos_commands: result.escPosCommands,
+          esc_pos_commands_length: result.escPosCommandsLength,
           already_exists: true
         }
       });
     }
 
-    // Get store info
-    // For free users, they don't have physical stores, so use tenant info or empty store
-    const store = invoice.Store || {};
-    
-    // Receipts shouldn't contain logos - use default brand colors
-    const brandColors = {
-      primary: '#2563EB'
-    };
-
-    // Prepare receipt data
-    const receiptData = {
-      receipt_number: receiptNumber,
-      transaction_date: invoice.issue_date || new Date().toISOString().split('T')[0],
-      transaction_time: new Date().toLocaleTimeString(),
-      currency: invoice.currency || 'NGN',
-      currency_symbol: invoice.currency_symbol || (invoice.currency === 'USD' ? '$' : invoice.currency === 'GBP' ? '£' : invoice.currency === 'EUR' ? '€' : invoice.currency === 'NGN' ? '₦' : '$'),
-      subtotal: Number(invoice.subtotal || 0),
-      tax_amount: Number(invoice.tax_amount || 0),
-      discount_amount: Number(invoice.discount_amount || 0),
-      total: Number(invoice.total || 0),
-      payment_method: invoice.payment_method || 'Cash',
-      items: invoiceItems.map(item => ({
-        item_name: item.item_name,
-        quantity: Number(item.quantity || 0),
-        unit_price: Number(item.unit_price || item.price || 0),
-        price: Number(item.unit_price || item.price || 0),
-        total: Number(item.total || (Number(item.quantity || 0) * Number(item.unit_price || item.price || 0)))
-      })),
-      company_name: store.name || 'Business',
-      primary_color: brandColors.primary || '#2563EB'
-    };
-
-    // Generate receipt HTML
-    // Receipts don't include logos - pass null for logoUrl
-    const receiptHtml = generateReceiptTemplate({
-      receipt: receiptData,
-      store: store,
-      items: invoiceItems,
-      logoUrl: null, // Receipts don't contain logos
-      colors: brandColors,
-      digitalStamp: include_stamp ? {
-        company_name: store.name || 'Business',
-        style: stamp_style
-      } : null
-    });
-
-    // Generate PDF and preview
-    let pdfPath = null;
-    let previewPath = null;
-    let pdfUrl = null;
-    let previewUrl = null;
-
-    try {
-      const result = await generateInvoicePdfAndPreview({
-        html: receiptHtml,
-        invoiceId: invoice.id,
-        templateId: 'receipt'
-      });
-
-      pdfPath = result.pdfPath;
-      previewPath = result.previewPath;
-
-      // Normalize paths to URLs
-      const normalizePath = (localPath) => {
-        if (!localPath) return null;
-        let normalized = String(localPath).replace(/\\/g, '/');
-        const uploadsIndex = normalized.indexOf('/uploads');
-        if (uploadsIndex !== -1) {
-          return normalized.substring(uploadsIndex);
-        }
-        const filename = normalized.split('/').pop();
-        if (filename.endsWith('.pdf')) {
-          return `/uploads/invoices/pdfs/${filename}`;
-        } else if (filename.match(/\.(png|jpg|jpeg)$/i)) {
-          return `/uploads/invoices/previews/${filename}`;
-        }
-        return null;
-      };
-
-      pdfUrl = normalizePath(pdfPath);
-      previewUrl = normalizePath(previewPath);
-      
-      // Convert relative paths to full URLs
-      const baseUrl = process.env.BASE_URL || 'https://backend.mycroshop.com';
-      if (pdfUrl && !pdfUrl.startsWith('http')) {
-        pdfUrl = `${baseUrl}${pdfUrl}`;
-      }
-      if (previewUrl && !previewUrl.startsWith('http')) {
-        previewUrl = `${baseUrl}${previewUrl}`;
-      }
-    } catch (pdfError) {
-      console.error('Error generating PDF/preview for receipt:', pdfError);
-      // Continue without PDF - ESC/POS will still work
-    }
-
-    // Generate ESC/POS commands
-    let escPosCommands = null;
-    let escPosCommandsBase64 = null;
-
-    try {
-      escPosCommands = await generateEscPosReceipt(receiptData, {
-        includeStamp: include_stamp,
-        stampStyle: stamp_style,
-        maxWidth: 200
-      });
-      escPosCommandsBase64 = escPosCommands.toString('base64');
-    } catch (escPosError) {
-      console.error('Error generating ESC/POS commands:', escPosError);
-      // Continue without ESC/POS - PDF/preview will still work
-    }
-
-    // Save receipt to database (if receipts table exists)
-    let savedReceipt = null;
-    try {
-      // Check if receipts table exists
-      const [tables] = await req.db.query(`
-        SELECT TABLE_NAME 
-        FROM INFORMATION_SCHEMA.TABLES 
-        WHERE TABLE_SCHEMA = DATABASE() 
-        AND TABLE_NAME = 'receipts'
-      `);
-
-      if (tables && tables.length > 0) {
-        // Save receipt
-        const receiptInsertQuery = isFreePlan && tenantId
-          ? `INSERT INTO receipts (tenant_id, invoice_id, receipt_number, preview_url, pdf_url, esc_pos_commands, created_at) 
-             VALUES (?, ?, ?, ?, ?, ?, NOW())`
-          : `INSERT INTO receipts (invoice_id, receipt_number, preview_url, pdf_url, esc_pos_commands, created_at) 
-             VALUES (?, ?, ?, ?, ?, NOW())`;
-
-        const receiptParams = isFreePlan && tenantId
-          ? [tenantId, invoice.id, receiptNumber, previewUrl, pdfUrl, escPosCommandsBase64]
-          : [invoice.id, receiptNumber, previewUrl, pdfUrl, escPosCommandsBase64];
-
-        await req.db.query(receiptInsertQuery, {
-          replacements: receiptParams
-        });
-
-        // Fetch saved receipt
-        const [savedReceipts] = await req.db.query(
-          isFreePlan && tenantId
-            ? `SELECT * FROM receipts WHERE tenant_id = ? AND invoice_id = ? ORDER BY id DESC LIMIT 1`
-            : `SELECT * FROM receipts WHERE invoice_id = ? ORDER BY id DESC LIMIT 1`,
-          {
-            replacements: isFreePlan && tenantId ? [tenantId, invoice.id] : [invoice.id]
-          }
-        );
-
-        if (savedReceipts && savedReceipts.length > 0) {
-          savedReceipt = savedReceipts[0];
-        }
-      }
-    } catch (saveError) {
-      console.warn('Could not save receipt to database (table may not exist):', saveError.message);
-      // Continue - receipt generation still works
-    }
-
     // Return receipt data
     return res.json({
       success: true,
       message: 'Receipt generated successfully',
       data: {
         receipt: {
-          id: savedReceipt?.id || null,
-          receipt_number: receiptNumber,
+          id: result.receipt?.id || null,
+          receipt_number: result.receiptNumber,
           invoice_id: invoice.id,
           transaction_date: receiptData.transaction_date,
           transaction_time: receiptData.transaction_time,
           total: receiptData.total,
+          amount_paid: receiptData.amount_paid,
+          balance_due: receiptData.balance_due,
           currency: receiptData.currency,
           payment_method: receiptData.payment_method
         },
-        preview_url: previewUrl,
-        pdf_url: pdfUrl,
-        esc_pos_commands: escPosCommandsBase64,
-        esc_pos_commands_length: escPosCommands ? escPosCommands.length : 0,
+        preview_url: result.previewUrl,
+        pdf_url: result.pdfUrl,
+        esc_pos_commands: result.escPosCommands,
+        esc_pos_commands_length: result.escPosCommandsLength,
         receipt_data: receiptData
       }
     });
@@ -1,5 +1,6 @@
 const { Sequelize } = require('sequelize');
 const moment = require('moment');
+const { getSaleTenders } = require('../services/tenderService');
 
 /**
  * Get sales report
@@ -67,6 +68,39 @@ async function getSalesReport(req, res) {
 
     const totalRevenue = parseFloat(totalSales) + parseFloat(totalInvoices);
 
+    // POS sales by tender type (split-tender sales count towards each tender used)
+    const tenderSales = await req.db.models.POSTransaction.findAll({
+      where,
+      attributes: ['id', 'total', 'payment_method', 'created_at'],
+      include: [
+        {
+          model: req.db.models.POSTransactionTender,
+          attributes: ['tender_type', 'amount']
+        }
+      ]
+    });
+
+    const tenderBreakdown = {};
+    const dailyTenders = {};
+    tenderSales.forEach(sale => {
+      const date = moment(sale.created_at).format('YYYY-MM-DD');
+      const tenders = getSaleTenders(sale);
+      if (!dailyTenders[date]) dailyTenders[date] = { date };
+
+      Object.keys(tenders).forEach(tenderType => {
+        if (!tenderBreakdown[tenderType]) {
+          tenderBreakdown[tenderType] = { tender_type: tenderType, total_amount: 0, transaction_count: 0 };
+        }
+        tenderBreakdown[tenderType].total_amount += tenders[tenderType];
+        tenderBreakdown[tenderType].transaction_count += 1;
+        dailyTenders[date][tenderType] = parseFloat(((dailyTenders[date][tenderType] || 0) + tenders[tenderType]).toFixed(2));
+      });
+
+      if (Object.keys(tenders).length > 1) {
+        dailyTenders[date].split_tender_count = (dailyTenders[date].split_tender_count || 0) + 1;
+      }
+    });
+
     res.json({
       success: true,
       data: {
@@ -79,8 +113,15 @@ async function getSalesReport(req, res) {
           pos_sales: parseFloat(totalSales),
           invoice_sales: parseFloat(totalInvoices)
         },
+        tender_breakdown: Object.values(tenderBreakdown)
+          .map(tender => ({
+            ...tender,
+            total_amount: parseFloat(tender.total_amount.toFixed(2))
+          }))
+          .sort((a, b) => b.total_amount - a.total_amount),
         daily_breakdown: {
           pos: posTransactions,
+          pos_by_tender: Object.values(dailyTenders).sort((a, b) => a.date.localeCompare(b.date)),
           invoices: paidInvoices
         }
       }
@@ -315,7 +356,7 @@ async function getDashboardOverview(req, res) {
       where: {
         ...where,
         status: {
-          [Sequelize.Op.in]: ['draft', 'sent']
+          [Sequelize.Op.in]: ['draft', 'sent', 'partially_paid']
         }
       }
     });
@@ -0,0 +1,1472 @@
+const { Sequelize } = require('sequelize');
+const { calculateTax } = require('../services/taxCalculator');
+const { getTenantById } = require('../config/tenant');
+const { generateNumber } = require('../services/numberService');
+const { consumeBatchesFefo, formatBatchAllocations } = require('../services/productBatchService');
+const { getAvailableStock } = require('../services/layawayService');
+const { settleTenders, valueTenders, recordTenders } = require('../services/tenderService');
+const { findCashierSession } = require('../services/cashDrawerService');
+const { accrueSaleCommission } = require('../services/commissionService');
+
+/**
+ * Generate kitchen ticket number (short, readable on the pass)
+ */
+function generateTicketNumber() {
+  const timestamp = Date.now().toString().slice(-5);
+  const random = Math.floor(Math.random() * 100).toString().padStart(2, '0');
+  return `KT-${timestamp}${random}`;
+}
+
+/**
+ * Pick the kitchen station for a menu item
+ * Item-level routing wins over menu-level routing; otherwise the default station is used
+ */
+function resolveStation(stations, menuItem) {
+  const itemId = parseInt(menuItem.id);
+  const menuId = parseInt(menuItem.menu_id);
+
+  const byItem = stations.find(station =>
+    (station.menu_item_ids || []).map(id => parseInt(id)).includes(itemId)
+  );
+  if (byItem) return byItem;
+
+  const byMenu = stations.find(station =>
+    (station.menu_ids || []).map(id => parseInt(id)).includes(menuId)
+  );
+  if (byMenu) return byMenu;
+
+  return stations.find(station => station.is_default) || null;
+}
+
+/**
+ * Recalculate tab subtotal from its non-voided items
+ */
+async function recalculateTabSubtotal(models, tab, transaction = null) {
+  const items = await models.RestaurantTabItem.findAll({
+    where: {
+      tab_id: tab.id,
+      status: { [Sequelize.Op.ne]: 'voided' }
+    },
+    transaction
+  });
+
+  const subtotal = items.reduce((sum, item) => sum + parseFloat(item.total), 0);
+  await tab.update({ subtotal }, { transaction });
+  return subtotal;
+}
+
+/**
+ * Full tab include (items with modifiers, tickets, table)
+ */
+function tabIncludes(models) {
+  return [
+    {
+      model: models.RestaurantTable,
+      attributes: ['id', 'table_number', 'section_id', 'capacity'],
+      required: false
+    },
+    {
+      model: models.RestaurantTabItem
+    },
+    {
+      model: models.KitchenTicket,
+      include: [
+        {
+          model: models.KitchenStation,
+          attributes: ['id', 'name']
+        }
+      ]
+    }
+  ];
+}
+
+// ==================== SECTIONS ====================
+
+/**
+ * Get floor sections
+ */
+async function getAllSections(req, res) {
+  try {
+    const { store_id } = req.query;
+
+    const where = {};
+    if (store_id) where.store_id = store_id;
+
+    const sections = await req.db.models.RestaurantSection.findAll({
+      where,
+      include: [
+        {
+          model: req.db.models.RestaurantTable,
+          where: { is_active: true },
+          required: false
+        }
+      ],
+      order: [['sort_order', 'ASC'], ['name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { sections }
+    });
+  } catch (error) {
+    console.error('Error getting sections:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get sections'
+    });
+  }
+}
+
+/**
+ * Create floor section
+ */
+async function createSection(req, res) {
+  try {
+    const { store_id, name, sort_order = 0 } = req.body;
+
+    if (!store_id || !name) {
+      return res.status(400).json({
+        success: false,
+        message: 'store_id and name are required'
+      });
+    }
+
+    const store = await req.db.models.Store.findByPk(store_id);
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found'
+      });
+    }
+
+    const section = await req.db.models.RestaurantSection.create({
+      store_id,
+      name,
+      sort_order,
+      is_active: true
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Section created successfully',
+      data: { section }
+    });
+  } catch (error) {
+    console.error('Error creating section:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create section'
+    });
+  }
+}
+
+/**
+ * Update floor section
+ */
+async function updateSection(req, res) {
+  try {
+    const section = await req.db.models.RestaurantSection.findByPk(req.params.id);
+    if (!section) {
+      return res.status(404).json({
+        success: false,
+        message: 'Section not found'
+      });
+    }
+
+    const { name, sort_order, is_active } = req.body;
+    await section.update({
+      ...(name !== undefined && { name }),
+      ...(sort_order !== undefined && { sort_order }),
+      ...(is_active !== undefined && { is_active })
+    });
+
+    res.json({
+      success: true,
+      message: 'Section updated successfully',
+      data: { section }
+    });
+  } catch (error) {
+    console.error('Error updating section:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update section'
+    });
+  }
+}
+
+// ==================== TABLES ====================
+
+/**
+ * Get tables (floor plan) with their open tab
+ */
+async function getAllTables(req, res) {
+  try {
+    const { store_id, section_id, status } = req.query;
+
+    const where = { is_active: true };
+    if (store_id) where.store_id = store_id;
+    if (section_id) where.section_id = section_id;
+    if (status) where.status = status;
+
+    const tables = await req.db.models.RestaurantTable.findAll({
+      where,
+      include: [
+        {
+          model: req.db.models.RestaurantSection,
+          attributes: ['id', 'name'],
+          required: false
+        },
+        {
+          model: req.db.models.RestaurantTab,
+          where: { status: 'open' },
+          required: false,
+          attributes: ['id', 'tab_number', 'guest_count', 'subtotal', 'opened_at', 'staff_id']
+        }
+      ],
+      order: [['section_id', 'ASC'], ['table_number', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { tables }
+    });
+  } catch (error) {
+    console.error('Error getting tables:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get tables'
+    });
+  }
+}
+
+/**
+ * Create table
+ */
+async function createTable(req, res) {
+  try {
+    const { store_id, section_id, table_number, capacity = 4 } = req.body;
+
+    if (!store_id || !table_number) {
+      return res.status(400).json({
+        success: false,
+        message: 'store_id and table_number are required'
+      });
+    }
+
+    if (section_id) {
+      const section = await req.db.models.RestaurantSection.findOne({
+        where: { id: section_id, store_id }
+      });
+      if (!section) {
+        return res.status(404).json({
+          success: false,
+          message: 'Section not found in this store'
+        });
+      }
+    }
+
+    const existing = await req.db.models.RestaurantTable.findOne({
+      where: { store_id, table_number, is_active: true }
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `Table ${table_number} already exists in this store`
+      });
+    }
+
+    const table = await req.db.models.RestaurantTable.create({
+      store_id,
+      section_id: section_id || null,
+      table_number,
+      capacity,
+      status: 'available',
+      is_active: true
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Table created successfully',
+      data: { table }
+    });
+  } catch (error) {
+    console.error('Error creating table:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create table'
+    });
+  }
+}
+
+/**
+ * Update table (details or status, e.g. reserved / out_of_service)
+ */
+async function updateTable(req, res) {
+  try {
+    const table = await req.db.models.RestaurantTable.findByPk(req.params.id);
+    if (!table) {
+      return res.status(404).json({
+        success: false,
+        message: 'Table not found'
+      });
+    }
+
+    const { section_id, table_number, capacity, status, is_active } = req.body;
+
+    const validStatuses = ['available', 'occupied', 'reserved', 'out_of_service'];
+    if (status && !validStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
+      });
+    }
+
+    // A table with an open tab stays occupied until the tab is settled or cancelled
+    if (status && status !== 'occupied') {
+      const openTab = await req.db.models.RestaurantTab.findOne({
+        where: { table_id: table.id, status: 'open' }
+      });
+      if (openTab) {
+        return res.status(400).json({
+          success: false,
+          message: `Table has an open tab (${openTab.tab_number}). Settle or cancel it first.`
+        });
+      }
+    }
+
+    await table.update({
+      ...(section_id !== undefined && { section_id }),
+      ...(table_number !== undefined && { table_number }),
+      ...(capacity !== undefined && { capacity }),
+      ...(status !== undefined && { status }),
+      ...(is_active !== undefined && { is_active })
+    });
+
+    res.json({
+      success: true,
+      message: 'Table updated successfully',
+      data: { table }
+    });
+  } catch (error) {
+    console.error('Error updating table:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update table'
+    });
+  }
+}
+
+// ==================== KITCHEN STATIONS ====================
+
+/**
+ * Get kitchen stations
+ */
+async function getAllStations(req, res) {
+  try {
+    const { store_id } = req.query;
+
+    const where = { is_active: true };
+    if (store_id) where.store_id = store_id;
+
+    const stations = await req.db.models.KitchenStation.findAll({
+      where,
+      order: [['name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { stations }
+    });
+  } catch (error) {
+    console.error('Error getting kitchen stations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get kitchen stations'
+    });
+  }
+}
+
+/**
+ * Create kitchen station
+ */
+async function createStation(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const { store_id, name, menu_ids, menu_item_ids, is_default = false } = req.body;
+
+    if (!store_id || !name) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'store_id and name are required'
+      });
+    }
+
+    // Only one default station per store
+    if (is_default) {
+      await req.db.models.KitchenStation.update(
+        { is_default: false },
+        { where: { store_id }, transaction }
+      );
+    }
+
+    const station = await req.db.models.KitchenStation.create({
+      store_id,
+      name,
+      menu_ids: Array.isArray(menu_ids) ? menu_ids : null,
+      menu_item_ids: Array.isArray(menu_item_ids) ? menu_item_ids : null,
+      is_default,
+      is_active: true
+    }, { transaction });
+
+    await transaction.commit();
+
+    res.status(201).json({
+      success: true,
+      message: 'Kitchen station created successfully',
+      data: { station }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error creating kitchen station:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create kitchen station'
+    });
+  }
+}
+
+/**
+ * Update kitchen station (name or routing)
+ */
+async function updateStation(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const station = await req.db.models.KitchenStation.findByPk(req.params.id);
+    if (!station) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Kitchen station not found'
+      });
+    }
+
+    const { name, menu_ids, menu_item_ids, is_default, is_active } = req.body;
+
+    if (is_default) {
+      await req.db.models.KitchenStation.update(
+        { is_default: false },
+        { where: { store_id: station.store_id }, transaction }
+      );
+    }
+
+    await station.update({
+      ...(name !== undefined && { name }),
+      ...(menu_ids !== undefined && { menu_ids }),
+      ...(menu_item_ids !== undefined && { menu_item_ids }),
+      ...(is_default !== undefined && { is_default }),
+      ...(is_active !== undefined && { is_active })
+    }, { transaction });
+
+    await transaction.commit();
+
+    res.json({
+      success: true,
+      message: 'Kitchen station updated successfully',
+      data: { station }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error updating kitchen station:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update kitchen station'
+    });
+  }
+}
+
+// ==================== TABS ====================
+
+/**
+ * Get tabs
+ */
+async function getAllTabs(req, res) {
+  try {
+    const { store_id, table_id, status = 'open' } = req.query;
+
+    const where = {};
+    if (store_id) where.store_id = store_id;
+    if (table_id) where.table_id = table_id;
+    if (status !== 'all') where.status = status;
+
+    const tabs = await req.db.models.RestaurantTab.findAll({
+      where,
+      include: [
+        {
+          model: req.db.models.RestaurantTable,
+          attributes: ['id', 'table_number'],
+          required: false
+        },
+        {
+          model: req.db.models.Staff,
+          attributes: ['id', 'name'],
+          required: false
+        }
+      ],
+      order: [['opened_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: { tabs }
+    });
+  } catch (error) {
+    console.error('Error getting tabs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get tabs'
+    });
+  }
+}
+
+/**
+ * Get tab by ID
+ */
+async function getTabById(req, res) {
+  try {
+    const tab = await req.db.models.RestaurantTab.findByPk(req.params.id, {
+      include: tabIncludes(req.db.models)
+    });
+
+    if (!tab) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tab not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { tab }
+    });
+  } catch (error) {
+    console.error('Error getting tab:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get tab'
+    });
+  }
+}
+
+/**
+ * Open a tab (on a table, or without one for counter/takeaway orders)
+ */
+async function openTab(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const { store_id, table_id, customer_id, guest_count = 1, notes } = req.body;
+
+    if (!store_id) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'store_id is required'
+      });
+    }
+
+    let table = null;
+    if (table_id) {
+      table = await req.db.models.RestaurantTable.findOne({
+        where: { id: table_id, store_id, is_active: true },
+        transaction
+      });
+      if (!table) {
+        await transaction.rollback();
+        return res.status(404).json({
+          success: false,
+          message: 'Table not found in this store'
+        });
+      }
+
+      if (table.status === 'out_of_service') {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `Table ${table.table_number} is out of service`
+        });
+      }
+
+      const openTab = await req.db.models.RestaurantTab.findOne({
+        where: { table_id, status: 'open' },
+        transaction
+      });
+      if (openTab) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `Table ${table.table_number} already has an open tab (${openTab.tab_number})`
+        });
+      }
+    }
+
+    const tab = await req.db.models.RestaurantTab.create({
+      tab_number: generateNumber('TAB'),
+      store_id,
+      table_id: table ? table.id : null,
+      staff_id: req.user.staffId || null,
+      customer_id: customer_id || null,
+      guest_count,
+      subtotal: 0,
+      status: 'open',
+      opened_at: new Date(),
+      notes: notes || null
+    }, { transaction });
+
+    if (table) {
+      await table.update({ status: 'occupied' }, { transaction });
+    }
+
+    await transaction.commit();
+
+    res.status(201).json({
+      success: true,
+      message: 'Tab opened successfully',
+      data: { tab }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error opening tab:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open tab'
+    });
+  }
+}
+
+/**
+ * Add menu items to an open tab
+ * Body: items: [{ menu_item_id, quantity, modifier_ids: [], notes }]
+ */
+async function addTabItems(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const { items } = req.body;
+
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'items are required'
+      });
+    }
+
+    // Locked so items are never added to a tab that is being settled or cancelled
+    const tab = await req.db.models.RestaurantTab.findByPk(req.params.id, { lock: transaction.LOCK.UPDATE, transaction });
+    if (!tab) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Tab not found'
+      });
+    }
+
+    if (tab.status !== 'open') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Tab is ${tab.status}`
+      });
+    }
+
+    for (const item of items) {
+      const { menu_item_id, quantity = 1, modifier_ids = [], notes } = item;
+
+      if (!menu_item_id || parseInt(quantity) <= 0) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Each item must have menu_item_id and a positive quantity'
+        });
+      }
+
+      const menuItem = await req.db.models.MenuItem.findByPk(menu_item_id, {
+        include: [{ model: req.db.models.MenuItemModifier }],
+        transaction
+      });
+      if (!menuItem) {
+        await transaction.rollback();
+        return res.status(404).json({
+          success: false,
+          message: `Menu item ${menu_item_id} not found`
+        });
+      }
+
+      if (!menuItem.is_available) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `${menuItem.name} is not available`
+        });
+      }
+
+      const availableModifiers = menuItem.MenuItemModifiers || [];
+      const selectedIds = (modifier_ids || []).map(id => parseInt(id));
+
+      const invalidId = selectedIds.find(id => !availableModifiers.some(modifier => modifier.id === id));
+      if (invalidId) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `Modifier ${invalidId} does not belong to ${menuItem.name}`
+        });
+      }
+
+      const missingRequired = availableModifiers.filter(
+        modifier => modifier.is_required && !selectedIds.includes(modifier.id)
+      );
+      if (missingRequired.length > 0) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `${menuItem.name} requires: ${missingRequired.map(modifier => modifier.name).join(', ')}`
+        });
+      }
+
+      const selectedModifiers = availableModifiers
+        .filter(modifier => selectedIds.includes(modifier.id))
+        .map(modifier => ({
+          id: modifier.id,
+          name: modifier.name,
+          price: parseFloat(modifier.price) || 0
+        }));
+      const modifiersTotal = selectedModifiers.reduce((sum, modifier) => sum + modifier.price, 0);
+      const unitPrice = parseFloat(menuItem.price) || 0;
+      const qty = parseInt(quantity);
+
+      await req.db.models.RestaurantTabItem.create({
+        tab_id: tab.id,
+        menu_item_id: menuItem.id,
+        product_id: menuItem.product_id || null,
+        name: menuItem.name,
+        quantity: qty,
+        unit_price: unitPrice,
+        modifiers: selectedModifiers,
+        modifiers_total: modifiersTotal,
+        total: (unitPrice + modifiersTotal) * qty,
+        notes: notes || null,
+        status: 'pending'
+      }, { transaction });
+    }
+
+    await recalculateTabSubtotal(req.db.models, tab, transaction);
+    await transaction.commit();
+
+    const completeTab = await req.db.models.RestaurantTab.findByPk(tab.id, {
+      include: tabIncludes(req.db.models)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Items added to tab',
+      data: { tab: completeTab }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error adding tab items:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add items to tab'
+    });
+  }
+}
+
+/**
+ * Void an item on a tab
+ * Items already fired to the kitchen need manager approval (admin/manager role)
+ */
+async function voidTabItem(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const { reason } = req.body;
+
+    // Locked so the void cannot race a settle of the same tab
+    const tab = await req.db.models.RestaurantTab.findByPk(req.params.id, { lock: transaction.LOCK.UPDATE, transaction });
+    const item = tab
+      ? await req.db.models.RestaurantTabItem.findOne({
+          where: { id: req.params.itemId, tab_id: tab.id },
+          transaction
+        })
+      : null;
+
+    if (!item) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Tab item not found'
+      });
+    }
+
+    if (tab.status !== 'open') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Tab is ${tab.status}`
+      });
+    }
+
+    if (item.status === 'voided') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Item already voided'
+      });
+    }
+
+    if (item.status === 'fired' && !['admin', 'manager'].includes(req.user.role)) {
+      await transaction.rollback();
+      return res.status(403).json({
+        success: false,
+        message: 'Only a manager can void items already sent to the kitchen'
+      });
+    }
+
+    await item.update({
+      status: 'voided',
+      void_reason: reason || null
+    }, { transaction });
+
+    await recalculateTabSubtotal(req.db.models, tab, transaction);
+    await transaction.commit();
+
+    res.json({
+      success: true,
+      message: 'Item voided successfully',
+      data: { item }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error voiding tab item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to void item'
+    });
+  }
+}
+
+/**
+ * Fire pending tab items to the kitchen
+ * Creates one ticket per station the items route to
+ */
+async function fireTab(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    // Locked so items are not fired from a tab that is being settled or cancelled
+    const tab = await req.db.models.RestaurantTab.findByPk(req.params.id, { lock: transaction.LOCK.UPDATE, transaction });
+    if (!tab) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Tab not found'
+      });
+    }
+
+    if (tab.status !== 'open') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Tab is ${tab.status}`
+      });
+    }
+
+    const pendingItems = await req.db.models.RestaurantTabItem.findAll({
+      where: { tab_id: tab.id, status: 'pending' },
+      include: [{ model: req.db.models.MenuItem, attributes: ['id', 'menu_id'] }],
+      transaction
+    });
+
+    if (pendingItems.length === 0) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'No pending items to send to the kitchen'
+      });
+    }
+
+    const stations = await req.db.models.KitchenStation.findAll({
+      where: { store_id: tab.store_id, is_active: true },
+      transaction
+    });
+
+    // Group items by station (null = no station configured, shown on every KDS screen)
+    const groups = new Map();
+    for (const item of pendingItems) {
+      const station = resolveStation(stations, item.MenuItem || { id: item.menu_item_id });
+      const key = station ? station.id : null;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    }
+
+    const tickets = [];
+    for (const [stationId, stationItems] of groups) {
+      const ticket = await req.db.models.KitchenTicket.create({
+        ticket_number: generateTicketNumber(),
+        store_id: tab.store_id,
+        tab_id: tab.id,
+        station_id: stationId,
+        status: 'queued',
+        fired_by: req.user.staffId || req.user.id,
+        fired_at: new Date()
+      }, { transaction });
+
+      await req.db.models.RestaurantTabItem.update(
+        { status: 'fired', kitchen_ticket_id: ticket.id },
+        {
+          where: { id: { [Sequelize.Op.in]: stationItems.map(item => item.id) } },
+          transaction
+        }
+      );
+
+      tickets.push(ticket);
+    }
+
+    await transaction.commit();
+
+    const completeTickets = await req.db.models.KitchenTicket.findAll({
+      where: { id: { [Sequelize.Op.in]: tickets.map(ticket => ticket.id) } },
+      include: [
+        { model: req.db.models.KitchenStation, attributes: ['id', 'name'] },
+        { model: req.db.models.RestaurantTabItem }
+      ]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${tickets.length} ticket(s) sent to the kitchen`,
+      data: { tickets: completeTickets }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error firing tab:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send items to the kitchen'
+    });
+  }
+}
+
+/**
+ * Settle tab - creates a completed POS transaction and frees the table
+ * Items never sent to the kitchen are only billed when include_unfired is set
+ */
+async function settleTab(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const {
+      payment_method = 'cash',
+      amount_paid,
+      tenders,
+      discount_amount = 0,
+      customer_id,
+      include_unfired = false,
+      notes
+    } = req.body;
+
+    // Locked so a second settle, a cancel or added items on the same tab wait and then see it settled
+    const tab = await req.db.models.RestaurantTab.findByPk(req.params.id, { lock: transaction.LOCK.UPDATE, transaction });
+    if (!tab) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Tab not found'
+      });
+    }
+
+    if (tab.status !== 'open') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Tab is already ${tab.status}`
+      });
+    }
+
+    const tabItems = await req.db.models.RestaurantTabItem.findAll({
+      where: {
+        tab_id: tab.id,
+        status: { [Sequelize.Op.ne]: 'voided' }
+      },
+      transaction
+    });
+
+    if (tabItems.length === 0) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Tab has no items to settle. Cancel it instead.'
+      });
+    }
+
+    const unfiredItems = tabItems.filter(item => item.status === 'pending');
+    if (unfiredItems.length > 0 && include_unfired !== true && include_unfired !== 'true') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `${unfiredItems.length} item(s) were never sent to the kitchen. Fire or void them, or settle with include_unfired to bill them as served`,
+        data: { unfired_items: unfiredItems.map(item => ({ id: item.id, name: item.name, quantity: item.quantity })) }
+      });
+    }
+
+    const subtotal = tabItems.reduce((sum, item) => sum + parseFloat(item.total), 0);
+
+    const discount = parseFloat(discount_amount || 0);
+    if (isNaN(discount) || discount < 0 || discount > subtotal) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `discount_amount must be between 0 and the tab subtotal (${subtotal.toFixed(2)})`
+      });
+    }
+
+    // Menu items linked to a stocked product: lock each product once and check what is free to sell
+    // (units reserved for layaways are not for sale), the same way POS checkout does
+    const stockQuantities = {};
+    tabItems.filter(item => item.product_id).forEach(item => {
+      stockQuantities[item.product_id] = (stockQuantities[item.product_id] || 0) + parseInt(item.quantity);
+    });
+
+    const stockedProducts = [];
+    for (const [productId, quantity] of Object.entries(stockQuantities)) {
+      const product = await req.db.models.Product.findByPk(productId, { lock: true, transaction });
+      if (!product) {
+        continue;
+      }
+
+      const availableStock = await getAvailableStock(req.db.models, product, transaction);
+      if (availableStock < quantity) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `Insufficient stock for ${product.name}. Available: ${Math.max(availableStock, 0)}, Requested: ${quantity}`
+        });
+      }
+
+      stockedProducts.push({ product, quantity });
+    }
+
+    // Get tenant for tax calculation
+    const tenantId = req.user.tenantId;
+    let tenant = null;
+    try {
+      tenant = await getTenantById(tenantId);
+    } catch (error) {
+      console.warn('Could not fetch tenant for tax calculation:', error);
+    }
+
+    let taxAmount = 0;
+    if (tenant && tenant.country) {
+      const taxBreakdown = calculateTax({
+        country: tenant.country,
+        subtotal: subtotal,
+        businessType: tenant.business_type || 'company',
+        annualTurnover: tenant.annual_turnover ? parseFloat(tenant.annual_turnover) : null,
+        totalFixedAssets: tenant.total_fixed_assets ? parseFloat(tenant.total_fixed_assets) : null
+      });
+      taxAmount = taxBreakdown.total_tax;
+    }
+
+    const total = Math.max(subtotal + taxAmount - discount, 0);
+
+    const saleCustomerId = customer_id || tab.customer_id || null;
+
+    // Split tender, or a single payment_method / amount_paid; the payment must cover the bill and
+    // change is only given on cash (same tender rules as POS checkout)
+    const tenderInputs = Array.isArray(tenders) && tenders.length > 0
+      ? tenders
+      : [{ tender_type: payment_method, amount: amount_paid || total }];
+
+    const tenderValuation = await valueTenders(req.db.models, tenderInputs, saleCustomerId, transaction);
+    if (!tenderValuation.valid) {
+      await transaction.rollback();
+      return res.status(tenderValuation.status).json({
+        success: false,
+        message: tenderValuation.message
+      });
+    }
+
+    const settlement = settleTenders(tenderValuation.tenders, total);
+    if (!settlement.valid) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: settlement.message
+      });
+    }
+
+    // Cash is counted in the settling cashier's open till, so it shows up in the session and its Z-report
+    const drawerSession = await findCashierSession(req.db.models, req.user, tab.store_id, transaction);
+    if (!drawerSession && settlement.lines.some(line => line.tender_type === 'cash')) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Open a till session for this store before taking cash'
+      });
+    }
+
+    const posTransaction = await req.db.models.POSTransaction.create({
+      transaction_number: generateNumber('POS'),
+      store_id: tab.store_id,
+      staff_id: tab.staff_id || req.user.staffId || null,
+      customer_id: saleCustomerId,
+      subtotal,
+      tax_amount: taxAmount,
+      discount_amount: discount,
+      total,
+      payment_method: settlement.payment_method,
+      amount_paid: settlement.amount_paid,
+      change_amount: settlement.change_amount,
+      status: 'completed',
+      cash_drawer_session_id: drawerSession ? drawerSession.id : null,
+      notes: notes || `Restaurant tab ${tab.tab_number}`
+    }, { transaction });
+
+    // Tender lines (redeeming points for loyalty tenders and credit for store credit tenders)
+    const tenderResult = await recordTenders(req.db.models, posTransaction, settlement.lines, {
+      customerId: saleCustomerId,
+      createdBy: req.user.staffId || req.user.id
+    }, transaction);
+    if (!tenderResult.valid) {
+      await transaction.rollback();
+      return res.status(tenderResult.status).json({
+        success: false,
+        message: tenderResult.message
+      });
+    }
+
+    const createdItems = [];
+    for (const item of tabItems) {
+      const modifierNames = (item.modifiers || []).map(modifier => modifier.name);
+      const itemName = modifierNames.length > 0
+        ? `${item.name} (${modifierNames.join(', ')})`
+        : item.name;
+
+      createdItems.push(await req.db.models.POSTransactionItem.create({
+        transaction_id: posTransaction.id,
+        product_id: item.product_id || null,
+        product_name: itemName.substring(0, 255),
+        quantity: item.quantity,
+        unit_price: parseFloat(item.unit_price) + parseFloat(item.modifiers_total || 0),
+        discount_percentage: 0,
+        discount_amount: 0,
+        total: item.total
+      }, { transaction }));
+    }
+
+    // Stocked menu items draw down inventory, batch-tracked stock first-expiry-first-out
+    for (const { product, quantity } of stockedProducts) {
+      await product.update({
+        stock: product.stock - quantity
+      }, { transaction });
+
+      const batchAllocations = await consumeBatchesFefo(req.db.models, {
+        productId: product.id,
+        storeId: tab.store_id,
+        quantity,
+        transaction
+      });
+
+      const batchNote = formatBatchAllocations(batchAllocations);
+      await req.db.models.StockMovement.create({
+        product_id: product.id,
+        store_id: tab.store_id,
+        movement_type: 'sale',
+        quantity: -quantity,
+        reference_type: 'pos_transaction',
+        reference_id: posTransaction.id,
+        notes: batchNote ? `Restaurant tab ${tab.tab_number}. ${batchNote}` : `Restaurant tab ${tab.tab_number}`,
+        created_by: req.user.staffId || req.user.id
+      }, { transaction });
+    }
+
+    // Accrue sales commission for the server who ran the tab
+    await accrueSaleCommission(req.db.models, posTransaction, createdItems, transaction);
+
+    await tab.update({
+      status: 'settled',
+      subtotal,
+      pos_transaction_id: posTransaction.id,
+      closed_at: new Date()
+    }, { transaction });
+
+    if (tab.table_id) {
+      await req.db.models.RestaurantTable.update(
+        { status: 'available' },
+        { where: { id: tab.table_id }, transaction }
+      );
+    }
+
+    await transaction.commit();
+
+    const completeTransaction = await req.db.models.POSTransaction.findByPk(posTransaction.id, {
+      include: [
+        {
+          model: req.db.models.Store,
+          attributes: ['id', 'name', 'address', 'phone']
+        },
+        {
+          model: req.db.models.POSTransactionItem
+        },
+        {
+          model: req.db.models.POSTransactionTender
+        }
+      ]
+    });
+
+    res.json({
+      success: true,
+      message: 'Tab settled successfully',
+      data: {
+        tab,
+        transaction: completeTransaction,
+        receipt: {
+          transaction_number: completeTransaction.transaction_number,
+          date: completeTransaction.created_at,
+          items: completeTransaction.POSTransactionItems,
+          subtotal: completeTransaction.subtotal,
+          tax: completeTransaction.tax_amount,
+          discount: completeTransaction.discount_amount,
+          total: completeTransaction.total,
+          payment_method: completeTransaction.payment_method,
+          tenders: completeTransaction.POSTransactionTenders,
+          amount_paid: completeTransaction.amount_paid,
+          change: completeTransaction.change_amount
+        }
+      }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error settling tab:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to settle tab'
+    });
+  }
+}
+
+/**
+ * Cancel an open tab (walk-out, opened by mistake)
+ */
+async function cancelTab(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const { reason } = req.body;
+
+    // Locked so a cancel waits for a settle in progress and then sees the tab settled
+    const tab = await req.db.models.RestaurantTab.findByPk(req.params.id, { lock: transaction.LOCK.UPDATE, transaction });
+    if (!tab) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Tab not found'
+      });
+    }
+
+    if (tab.status !== 'open') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Tab is already ${tab.status}`
+      });
+    }
+
+    await tab.update({
+      status: 'cancelled',
+      closed_at: new Date(),
+      notes: reason ? `${tab.notes ? tab.notes + '\n' : ''}Cancelled: ${reason}` : tab.notes
+    }, { transaction });
+
+    // Pull any tickets still waiting in the kitchen
+    await req.db.models.KitchenTicket.update(
+      { status: 'cancelled' },
+      {
+        where: {
+          tab_id: tab.id,
+          status: { [Sequelize.Op.in]: ['queued', 'preparing'] }
+        },
+        transaction
+      }
+    );
+
+    if (tab.table_id) {
+      await req.db.models.RestaurantTable.update(
+        { status: 'available' },
+        { where: { id: tab.table_id }, transaction }
+      );
+    }
+
+    await transaction.commit();
+
+    res.json({
+      success: true,
+      message: 'Tab cancelled successfully',
+      data: { tab }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error cancelling tab:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel tab'
+    });
+  }
+}
+
+// ==================== KITCHEN DISPLAY (KDS) ====================
+
+/**
+ * Get kitchen tickets queue for a station (oldest first)
+ */
+async function getKitchenTickets(req, res) {
+  try {
+    const { store_id, station_id, status } = req.query;
+
+    const where = {};
+    if (store_id) where.store_id = store_id;
+    if (station_id) where.station_id = station_id;
+    if (status) {
+      where.status = status.split(',');
+    } else {
+      where.status = { [Sequelize.Op.in]: ['queued', 'preparing', 'ready'] };
+    }
+
+    const tickets = await req.db.models.KitchenTicket.findAll({
+      where,
+      include: [
+        {
+          model: req.db.models.KitchenStation,
+          attributes: ['id', 'name'],
+          required: false
+        },
+        {
+          model: req.db.models.RestaurantTabItem,
+          where: { status: { [Sequelize.Op.ne]: 'voided' } },
+          required: false,
+          attributes: ['id', 'name', 'quantity', 'modifiers', 'notes', 'status']
+        },
+        {
+          model: req.db.models.RestaurantTab,
+          attributes: ['id', 'tab_number', 'table_id'],
+          include: [
+            {
+              model: req.db.models.RestaurantTable,
+              attributes: ['id', 'table_number'],
+              required: false
+            }
+          ]
+        }
+      ],
+      order: [['fired_at', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { tickets }
+    });
+  } catch (error) {
+    console.error('Error getting kitchen tickets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get kitchen tickets'
+    });
+  }
+}
+
+/**
+ * Update kitchen ticket status (queued -> preparing -> ready -> served)
+ */
+async function updateKitchenTicketStatus(req, res) {
+  try {
+    const { status } = req.body;
+
+    const allowedTransitions = {
+      queued: ['preparing', 'cancelled'],
+      preparing: ['ready', 'cancelled'],
+      ready: ['served'],
+      served: [],
+      cancelled: []
+    };
+
+    if (!Object.keys(allowedTransitions).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Must be one of: queued, preparing, ready, served, cancelled'
+      });
+    }
+
+    const ticket = await req.db.models.KitchenTicket.findByPk(req.params.id);
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Kitchen ticket not found'
+      });
+    }
+
+    if (!allowedTransitions[ticket.status].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot move ticket from ${ticket.status} to ${status}`
+      });
+    }
+
+    const timestamps = {
+      preparing: { started_at: new Date() },
+      ready: { ready_at: new Date() },
+      served: { served_at: new Date() }
+    };
+
+    await ticket.update({
+      status,
+      ...(timestamps[status] || {})
+    });
+
+    res.json({
+      success: true,
+      message: 'Kitchen ticket status updated successfully',
+      data: { ticket }
+    });
+  } catch (error) {
+    console.error('Error updating kitchen ticket status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update kitchen ticket status'
+    });
+  }
+}
+
+module.exports = {
+  getAllSections,
+  createSection,
+  updateSection,
+  getAllTables,
+  createTable,
+  updateTable,
+  getAllStations,
+  createStation,
+  updateStation,
+  getAllTabs,
+  getTabById,
+  openTab,
+  addTabItems,
+  voidTabItem,
+  fireTab,
+  settleTab,
+  cancelTab,
+  getKitchenTickets,
+  updateKitchenTicketStatus
+};
@@ -1,4 +1,5 @@
 const { Sequelize } = require('sequelize');
+const { clearPermissionCache } = require('../middleware/permissions');
 
 /**
  * Get all roles
@@ -68,6 +69,9 @@ async function createRole(req, res) {
       }
     }
 
+    // Users without a staff role fall back to the default role with a matching name, which may be this one
+    clearPermissionCache(req.user.tenantId);
+
     const completeRole = await req.db.models.Role.findByPk(role.id, {
       include: [
         {
@@ -121,6 +125,9 @@ async function updateRolePermissions(req, res) {
       }
     }
 
+    // Staff holding this role pick up the change on their next request
+    clearPermissionCache(req.user.tenantId);
+
     const updatedRole = await req.db.models.Role.findByPk(role.id, {
       include: [
         {
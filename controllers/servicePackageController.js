@@ -0,0 +1,612 @@
+const { Sequelize } = require('sequelize');
+const moment = require('moment');
+const { getRemainingSessions, isPackageExpired } = require('../services/servicePackageService');
+
+const PACKAGE_TYPES = ['sessions', 'membership'];
+
+/**
+ * Check every service id exists (and belongs to the store when the package is store-specific)
+ */
+async function findServices(models, serviceIds, storeId = null) {
+  const ids = [...new Set((serviceIds || []).map(id => parseInt(id)).filter(Boolean))];
+  if (ids.length === 0) return { valid: true, services: [] };
+
+  const where = { id: { [Sequelize.Op.in]: ids } };
+  if (storeId) where.store_id = storeId;
+
+  const services = await models.StoreService.findAll({ where });
+  if (services.length !== ids.length) {
+    return { valid: false, message: 'One or more services were not found for this store' };
+  }
+  return { valid: true, services };
+}
+
+/**
+ * Validate package type, session count, validity and price (merged with the package's current values)
+ */
+function validatePackageSettings({ package_type, session_count, validity_days, price }) {
+  if (!PACKAGE_TYPES.includes(package_type)) {
+    return { valid: false, message: 'package_type must be sessions or membership' };
+  }
+
+  if (package_type === 'sessions' && (!session_count || parseInt(session_count) < 1)) {
+    return { valid: false, message: 'session_count must be at least 1 for a sessions package' };
+  }
+
+  if (validity_days !== null && validity_days !== undefined && validity_days !== '' && parseInt(validity_days) < 1) {
+    return { valid: false, message: 'validity_days must be at least 1' };
+  }
+
+  if (package_type === 'membership' && !validity_days) {
+    return { valid: false, message: 'A membership needs validity_days' };
+  }
+
+  if (parseFloat(price || 0) < 0) {
+    return { valid: false, message: 'price cannot be negative' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Replace the services a package covers (none = every service)
+ */
+async function setPackageServices(models, packageId, services, tenantId, transaction) {
+  await models.ServicePackageService.destroy({ where: { package_id: packageId }, transaction });
+
+  for (const service of services) {
+    await models.ServicePackageService.create({
+      tenant_id: tenantId,
+      package_id: packageId,
+      service_id: service.id
+    }, { transaction });
+  }
+}
+
+/**
+ * Customer package with its remaining session balance
+ */
+function formatCustomerPackage(customerPackage) {
+  return {
+    ...customerPackage.toJSON(),
+    sessions_remaining: getRemainingSessions(customerPackage),
+    is_expired: isPackageExpired(customerPackage)
+  };
+}
+
+/**
+ * Get all service packages
+ */
+async function getAllServicePackages(req, res) {
+  try {
+    const { store_id, is_active } = req.query;
+
+    const where = {};
+    if (store_id) {
+      where[Sequelize.Op.or] = [{ store_id }, { store_id: null }];
+    }
+    if (is_active !== undefined) {
+      where.is_active = is_active === 'true';
+    }
+
+    const packages = await req.db.models.ServicePackage.findAll({
+      where,
+      include: [{
+        model: req.db.models.StoreService,
+        attributes: ['id', 'service_title', 'duration_minutes', 'price'],
+        through: { attributes: [] }
+      }],
+      order: [['name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { packages }
+    });
+  } catch (error) {
+    console.error('Error getting service packages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get service packages'
+    });
+  }
+}
+
+/**
+ * Get service package by ID
+ */
+async function getServicePackageById(req, res) {
+  try {
+    const servicePackage = await req.db.models.ServicePackage.findByPk(req.params.id, {
+      include: [{
+        model: req.db.models.StoreService,
+        attributes: ['id', 'service_title', 'duration_minutes', 'price'],
+        through: { attributes: [] }
+      }]
+    });
+
+    if (!servicePackage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service package not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { package: servicePackage }
+    });
+  } catch (error) {
+    console.error('Error getting service package:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get service package'
+    });
+  }
+}
+
+/**
+ * Create service package ("10 sessions" bundle or membership)
+ */
+async function createServicePackage(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const {
+      store_id,
+      name,
+      description,
+      package_type = 'sessions',
+      session_count,
+      validity_days,
+      price = 0,
+      service_ids = [],
+      is_active = true
+    } = req.body;
+
+    if (!name) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'name is required'
+      });
+    }
+
+    const validation = validatePackageSettings({ package_type, session_count, validity_days, price });
+    if (!validation.valid) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: validation.message
+      });
+    }
+
+    const result = await findServices(req.db.models, service_ids, store_id || null);
+    if (!result.valid) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const tenantId = req.user.tenantId;
+    const isFreePlan = req.tenant && req.tenant.subscription_plan === 'free';
+
+    const servicePackage = await req.db.models.ServicePackage.create({
+      tenant_id: isFreePlan ? tenantId : null,
+      store_id: store_id || null,
+      name,
+      description: description || null,
+      package_type,
+      // Memberships are unlimited within their validity
+      session_count: package_type === 'membership' ? null : parseInt(session_count),
+      validity_days: validity_days ? parseInt(validity_days) : null,
+      price,
+      is_active
+    }, { transaction });
+
+    await setPackageServices(req.db.models, servicePackage.id, result.services, isFreePlan ? tenantId : null, transaction);
+
+    await transaction.commit();
+
+    const completePackage = await req.db.models.ServicePackage.findByPk(servicePackage.id, {
+      include: [{
+        model: req.db.models.StoreService,
+        attributes: ['id', 'service_title', 'duration_minutes', 'price'],
+        through: { attributes: [] }
+      }]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Service package created successfully',
+      data: { package: completePackage }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error creating service package:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create service package'
+    });
+  }
+}
+
+/**
+ * Update service package
+ * Changes apply to future sales; packages already sold keep the terms they were sold with
+ */
+async function updateServicePackage(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const servicePackage = await req.db.models.ServicePackage.findByPk(req.params.id, { transaction });
+
+    if (!servicePackage) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Service package not found'
+      });
+    }
+
+    const { name, description, package_type, session_count, validity_days, price, service_ids, is_active } = req.body;
+
+    const settings = {
+      package_type: package_type !== undefined ? package_type : servicePackage.package_type,
+      session_count: session_count !== undefined ? session_count : servicePackage.session_count,
+      validity_days: validity_days !== undefined ? validity_days : servicePackage.validity_days,
+      price: price !== undefined ? price : servicePackage.price
+    };
+
+    const validation = validatePackageSettings(settings);
+    if (!validation.valid) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: validation.message
+      });
+    }
+
+    let services = null;
+    if (service_ids !== undefined) {
+      const result = await findServices(req.db.models, service_ids, servicePackage.store_id);
+      if (!result.valid) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: result.message
+        });
+      }
+      services = result.services;
+    }
+
+    await servicePackage.update({
+      ...(name !== undefined && { name }),
+      ...(description !== undefined && { description }),
+      package_type: settings.package_type,
+      session_count: settings.package_type === 'membership' ? null : parseInt(settings.session_count),
+      validity_days: settings.validity_days ? parseInt(settings.validity_days) : null,
+      price: settings.price,
+      ...(is_active !== undefined && { is_active })
+    }, { transaction });
+
+    if (services) {
+      const isFreePlan = req.tenant && req.tenant.subscription_plan === 'free';
+      await setPackageServices(req.db.models, servicePackage.id, services, isFreePlan ? req.user.tenantId : null, transaction);
+    }
+
+    await transaction.commit();
+
+    const updatedPackage = await req.db.models.ServicePackage.findByPk(servicePackage.id, {
+      include: [{
+        model: req.db.models.StoreService,
+        attributes: ['id', 'service_title', 'duration_minutes', 'price'],
+        through: { attributes: [] }
+      }]
+    });
+
+    res.json({
+      success: true,
+      message: 'Service package updated successfully',
+      data: { package: updatedPackage }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error updating service package:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update service package'
+    });
+  }
+}
+
+/**
+ * Delete service package
+ * Packages that have been sold are deactivated instead, so customers keep their balances
+ */
+async function deleteServicePackage(req, res) {
+  try {
+    const servicePackage = await req.db.models.ServicePackage.findByPk(req.params.id);
+
+    if (!servicePackage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service package not found'
+      });
+    }
+
+    const soldCount = await req.db.models.CustomerPackage.count({
+      where: { package_id: servicePackage.id }
+    });
+
+    if (soldCount > 0) {
+      await servicePackage.update({ is_active: false });
+      return res.json({
+        success: true,
+        message: 'Service package has been sold to customers, so it was deactivated instead of deleted',
+        data: { package: servicePackage }
+      });
+    }
+
+    await req.db.models.ServicePackageService.destroy({ where: { package_id: servicePackage.id } });
+    await servicePackage.destroy();
+
+    res.json({
+      success: true,
+      message: 'Service package deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting service package:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete service package'
+    });
+  }
+}
+
+/**
+ * Get packages sold to customers
+ */
+async function getCustomerPackages(req, res) {
+  try {
+    const { customer_id, status, page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (customer_id) {
+      where.customer_id = customer_id;
+    }
+    if (status) {
+      where.status = status;
+    }
+
+    const { count, rows } = await req.db.models.CustomerPackage.findAndCountAll({
+      where,
+      include: [{
+        model: req.db.models.Customer,
+        attributes: ['id', 'name', 'email', 'phone']
+      }],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        customer_packages: rows.map(formatCustomerPackage),
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting customer packages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get customer packages'
+    });
+  }
+}
+
+/**
+ * Get a customer package with its session history and the bookings drawing on it
+ */
+async function getCustomerPackageById(req, res) {
+  try {
+    const customerPackage = await req.db.models.CustomerPackage.findByPk(req.params.id, {
+      include: [
+        {
+          model: req.db.models.Customer,
+          attributes: ['id', 'name', 'email', 'phone']
+        },
+        {
+          model: req.db.models.CustomerPackageUsage,
+          required: false
+        },
+        {
+          model: req.db.models.Booking,
+          required: false,
+          attributes: ['id', 'service_title', 'scheduled_at', 'status', 'package_redeemed_at']
+        }
+      ],
+      order: [
+        [req.db.models.CustomerPackageUsage, 'created_at', 'DESC'],
+        [req.db.models.Booking, 'scheduled_at', 'ASC']
+      ]
+    });
+
+    if (!customerPackage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer package not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { customer_package: formatCustomerPackage(customerPackage) }
+    });
+  } catch (error) {
+    console.error('Error getting customer package:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get customer package'
+    });
+  }
+}
+
+/**
+ * Sell a service package to a customer
+ * The package's sessions, validity and price are copied so later catalogue changes don't affect it
+ */
+async function sellServicePackage(req, res) {
+  try {
+    const { package_id, customer_id, price_paid, payment_method, payment_reference, starts_at, notes } = req.body;
+
+    if (!package_id || !customer_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'package_id and customer_id are required'
+      });
+    }
+
+    const servicePackage = await req.db.models.ServicePackage.findByPk(package_id);
+    if (!servicePackage || !servicePackage.is_active) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service package not found or no longer sold'
+      });
+    }
+
+    const customer = await req.db.models.Customer.findByPk(customer_id);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const startsAt = starts_at ? moment(starts_at) : moment();
+    if (!startsAt.isValid()) {
+      return res.status(400).json({
+        success: false,
+        message: 'starts_at must be a valid date'
+      });
+    }
+
+    const tenantId = req.user.tenantId;
+    const isFreePlan = req.tenant && req.tenant.subscription_plan === 'free';
+
+    const customerPackage = await req.db.models.CustomerPackage.create({
+      tenant_id: isFreePlan ? tenantId : null,
+      customer_id: customer.id,
+      package_id: servicePackage.id,
+      package_name: servicePackage.name,
+      package_type: servicePackage.package_type,
+      sessions_total: servicePackage.session_count,
+      sessions_used: 0,
+      price_paid: price_paid !== undefined ? price_paid : servicePackage.price,
+      payment_method: payment_method || null,
+      payment_reference: payment_reference || null,
+      starts_at: startsAt.toDate(),
+      expires_at: servicePackage.validity_days
+        ? startsAt.clone().add(servicePackage.validity_days, 'days').endOf('day').toDate()
+        : null,
+      status: 'active',
+      sold_by: req.user.id || null,
+      notes: notes || null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Service package sold successfully',
+      data: { customer_package: formatCustomerPackage(customerPackage) }
+    });
+  } catch (error) {
+    console.error('Error selling service package:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sell service package'
+    });
+  }
+}
+
+/**
+ * Cancel a customer package
+ * Upcoming bookings drawing on it stay booked but are no longer paid from the package
+ */
+async function cancelCustomerPackage(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const customerPackage = await req.db.models.CustomerPackage.findByPk(req.params.id, { transaction });
+
+    if (!customerPackage) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Customer package not found'
+      });
+    }
+
+    if (customerPackage.status === 'cancelled') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Customer package is already cancelled'
+      });
+    }
+
+    const { reason } = req.body;
+
+    await customerPackage.update({
+      status: 'cancelled',
+      ...(reason && { notes: customerPackage.notes ? `${customerPackage.notes}\nCancelled: ${reason}` : `Cancelled: ${reason}` })
+    }, { transaction });
+
+    const [detachedBookings] = await req.db.models.Booking.update({ customer_package_id: null }, {
+      where: {
+        customer_package_id: customerPackage.id,
+        package_redeemed_at: null,
+        status: { [Sequelize.Op.in]: ['pending', 'confirmed'] }
+      },
+      transaction
+    });
+
+    await transaction.commit();
+
+    res.json({
+      success: true,
+      message: 'Customer package cancelled successfully',
+      data: {
+        customer_package: formatCustomerPackage(customerPackage),
+        detached_bookings: detachedBookings
+      }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error cancelling customer package:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel customer package'
+    });
+  }
+}
+
+module.exports = {
+  getAllServicePackages,
+  getServicePackageById,
+  createServicePackage,
+  updateServicePackage,
+  deleteServicePackage,
+  getCustomerPackages,
+  getCustomerPackageById,
+  sellServicePackage,
+  cancelCustomerPackage
+};
@@ -414,6 +414,158 @@ async function getAttendanceTrends(req, res) {
   }
 }
 
+/**
+ * Get clock-in anomalies (outside geofence, unknown devices, missing photos, shared devices)
+ */
+async function getAttendanceAnomalies(req, res) {
+  try {
+    const { start_date, end_date, store_id, staff_id } = req.query;
+
+    if (!start_date || !end_date) {
+      return res.status(400).json({
+        success: false,
+        message: 'start_date and end_date are required'
+      });
+    }
+
+    const where = {
+      clock_in_time: {
+        [Sequelize.Op.between]: [moment(start_date).startOf('day').toDate(), moment(end_date).endOf('day').toDate()]
+      }
+    };
+
+    if (store_id) where.store_id = store_id;
+    if (staff_id) where.staff_id = staff_id;
+
+    const attendanceRecords = await req.db.models.StaffAttendance.findAll({
+      where,
+      include: [
+        {
+          model: req.db.models.Staff,
+          attributes: ['id', 'name', 'employee_id']
+        },
+        {
+          model: req.db.models.Store,
+          attributes: ['id', 'name'],
+          required: false
+        }
+      ],
+      order: [['clock_in_time', 'DESC']]
+    });
+
+    // The same device used by more than one staff member (possible buddy punching)
+    const deviceUsers = new Map();
+    attendanceRecords.forEach(record => {
+      if (!record.device_id) return;
+      if (!deviceUsers.has(record.device_id)) {
+        deviceUsers.set(record.device_id, new Map());
+      }
+      if (record.Staff) {
+        deviceUsers.get(record.device_id).set(record.staff_id, record.Staff.name);
+      }
+    });
+    const sharedDevices = Array.from(deviceUsers.entries())
+      .filter(([, users]) => users.size > 1)
+      .map(([deviceId, users]) => ({
+        device_id: deviceId,
+        staff: Array.from(users.entries()).map(([id, name]) => ({ staff_id: id, name }))
+      }));
+    const sharedDeviceIds = new Set(sharedDevices.map(device => device.device_id));
+
+    const reasonCounts = {
+      outside_geofence: 0,
+      missing_location: 0,
+      unknown_device: 0,
+      missing_device: 0,
+      missing_photo: 0,
+      shared_device: 0
+    };
+    const staffMap = new Map();
+    const anomalies = [];
+
+    attendanceRecords.forEach(record => {
+      const reasons = Array.isArray(record.flag_reasons) ? [...record.flag_reasons] : [];
+      if (record.device_id && sharedDeviceIds.has(record.device_id)) {
+        reasons.push('shared_device');
+      }
+      if (reasons.length === 0) return;
+
+      reasons.forEach(reason => {
+        reasonCounts[reason] = (reasonCounts[reason] || 0) + 1;
+      });
+
+      if (!staffMap.has(record.staff_id)) {
+        staffMap.set(record.staff_id, {
+          staff_id: record.staff_id,
+          staff_name: record.Staff ? record.Staff.name : null,
+          employee_id: record.Staff ? record.Staff.employee_id : null,
+          anomaly_count: 0,
+          total_clock_ins: 0,
+          reasons: {}
+        });
+      }
+      const staffEntry = staffMap.get(record.staff_id);
+      staffEntry.anomaly_count += 1;
+      reasons.forEach(reason => {
+        staffEntry.reasons[reason] = (staffEntry.reasons[reason] || 0) + 1;
+      });
+
+      anomalies.push({
+        attendance_id: record.id,
+        staff_id: record.staff_id,
+        staff_name: record.Staff ? record.Staff.name : null,
+        store: record.Store ? { id: record.Store.id, name: record.Store.name } : null,
+        clock_in_time: record.clock_in_time,
+        reasons,
+        distance_from_store_meters: record.distance_from_store_meters !== null
+          ? parseFloat(record.distance_from_store_meters)
+          : null,
+        device_id: record.device_id,
+        photo_url: record.photo_url
+      });
+    });
+
+    attendanceRecords.forEach(record => {
+      if (staffMap.has(record.staff_id)) {
+        staffMap.get(record.staff_id).total_clock_ins += 1;
+      }
+    });
+
+    const staffBreakdown = Array.from(staffMap.values())
+      .map(entry => ({
+        ...entry,
+        anomaly_rate_percentage: entry.total_clock_ins > 0
+          ? parseFloat(((entry.anomaly_count / entry.total_clock_ins) * 100).toFixed(2))
+          : 0
+      }))
+      .sort((a, b) => b.anomaly_count - a.anomaly_count);
+
+    res.json({
+      success: true,
+      data: {
+        period: { start_date, end_date },
+        summary: {
+          total_clock_ins: attendanceRecords.length,
+          total_anomalies: anomalies.length,
+          anomaly_rate_percentage: attendanceRecords.length > 0
+            ? parseFloat(((anomalies.length / attendanceRecords.length) * 100).toFixed(2))
+            : 0,
+          by_reason: reasonCounts
+        },
+        staff_breakdown: staffBreakdown,
+        shared_devices: sharedDevices,
+        anomalies
+      }
+    });
+  } catch (error) {
+    console.error('Error getting attendance anomalies:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get attendance anomalies'
+    });
+  }
+}
+
 /**
  * Helper function to calculate staff metrics
  */
@@ -609,6 +761,7 @@ module.exports = {
   getStaffMemberAnalytics,
   getAttendanceSummary,
   getTopPerformers,
-  getAttendanceTrends
+  getAttendanceTrends,
+  getAttendanceAnomalies
 };
 
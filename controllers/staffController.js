@@ -1,5 +1,6 @@
 const { Sequelize } = require('sequelize');
 const bcrypt = require('bcryptjs');
+const { clearPermissionCache } = require('../middleware/permissions');
 
 /**
  * Get all staff
@@ -228,6 +229,11 @@ async function updateStaff(req, res) {
       ...(status !== undefined && { status })
     });
 
+    // Role, email or status changes affect resolved permissions
+    if (role_id !== undefined || email !== undefined || status !== undefined) {
+      clearPermissionCache(req.user.tenantId);
+    }
+
     const updatedStaff = await req.db.models.Staff.findByPk(staff.id, {
       include: [
         {
@@ -268,6 +274,7 @@ async function deleteStaff(req, res) {
     }
 
     await staff.destroy();
+    clearPermissionCache(req.user.tenantId);
 
     res.json({
       success: true,
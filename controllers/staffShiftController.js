@@ -0,0 +1,1121 @@
+const { Sequelize } = require('sequelize');
+const moment = require('moment');
+const {
+  normalizeTime,
+  getShiftHours,
+  findShiftConflicts,
+  findBatchConflicts,
+  getWeekRange,
+  expandTemplateDates,
+  markNoShows
+} = require('../services/shiftSchedulingService');
+
+/**
+ * Standard includes for a shift
+ */
+function shiftIncludes(models) {
+  return [
+    {
+      model: models.Staff,
+      attributes: ['id', 'name', 'employee_id', 'store_id']
+    },
+    {
+      model: models.Store,
+      attributes: ['id', 'name']
+    },
+    {
+      model: models.StaffShiftTemplate,
+      attributes: ['id', 'name']
+    }
+  ];
+}
+
+/**
+ * Shape conflicting shifts for API responses
+ */
+function formatConflicts(conflicts) {
+  return conflicts.map(shift => ({
+    shift_id: shift.id,
+    staff_id: shift.staff_id,
+    shift_date: shift.shift_date,
+    shift_start_time: shift.shift_start_time,
+    shift_end_time: shift.shift_end_time
+  }));
+}
+
+/**
+ * Get shifts
+ */
+async function getShifts(req, res) {
+  try {
+    const { staff_id, store_id, start_date, end_date, attendance_status, is_approved } = req.query;
+
+    const where = {};
+    if (staff_id) where.staff_id = staff_id;
+    if (store_id) where.store_id = store_id;
+    if (attendance_status) where.attendance_status = attendance_status;
+    if (is_approved !== undefined) where.is_approved = is_approved === 'true';
+    if (start_date || end_date) {
+      where.shift_date = {};
+      if (start_date) where.shift_date[Sequelize.Op.gte] = start_date;
+      if (end_date) where.shift_date[Sequelize.Op.lte] = end_date;
+    }
+
+    // Bring no-shows up to date before reporting
+    await markNoShows(req.db.models, {
+      startDate: start_date || moment().subtract(7, 'days').format('YYYY-MM-DD'),
+      endDate: end_date,
+      storeId: store_id || null
+    });
+
+    const shifts = await req.db.models.StaffShift.findAll({
+      where,
+      include: shiftIncludes(req.db.models),
+      order: [['shift_date', 'ASC'], ['shift_start_time', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { shifts }
+    });
+  } catch (error) {
+    console.error('Error getting shifts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get shifts'
+    });
+  }
+}
+
+/**
+ * Get weekly rota for a store (Monday to Sunday)
+ */
+async function getWeeklyRota(req, res) {
+  try {
+    const { store_id, week_start } = req.query;
+
+    if (!store_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'store_id is required'
+      });
+    }
+
+    const week = getWeekRange(week_start);
+
+    await markNoShows(req.db.models, {
+      startDate: week.start,
+      endDate: week.end,
+      storeId: store_id
+    });
+
+    const shifts = await req.db.models.StaffShift.findAll({
+      where: {
+        store_id,
+        shift_date: { [Sequelize.Op.between]: [week.start, week.end] }
+      },
+      include: shiftIncludes(req.db.models),
+      order: [['shift_date', 'ASC'], ['shift_start_time', 'ASC']]
+    });
+
+    const staffTotals = {};
+    const days = week.dates.map(date => ({
+      date,
+      day: moment(date).format('dddd'),
+      shifts: shifts.filter(shift => shift.shift_date === date)
+    }));
+
+    shifts.forEach(shift => {
+      if (!staffTotals[shift.staff_id]) {
+        staffTotals[shift.staff_id] = {
+          staff_id: shift.staff_id,
+          name: shift.Staff ? shift.Staff.name : null,
+          shifts: 0,
+          scheduled_hours: 0,
+          late: 0,
+          no_show: 0
+        };
+      }
+      const totals = staffTotals[shift.staff_id];
+      totals.shifts++;
+      totals.scheduled_hours = Math.round((totals.scheduled_hours + getShiftHours(shift)) * 100) / 100;
+      if (shift.attendance_status === 'late') totals.late++;
+      if (shift.attendance_status === 'no_show') totals.no_show++;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        store_id: parseInt(store_id),
+        week_start: week.start,
+        week_end: week.end,
+        published: shifts.length > 0 && shifts.every(shift => shift.is_approved),
+        days,
+        staff: Object.values(staffTotals)
+      }
+    });
+  } catch (error) {
+    console.error('Error getting weekly rota:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get weekly rota'
+    });
+  }
+}
+
+/**
+ * Create a single shift
+ */
+async function createShift(req, res) {
+  try {
+    const { staff_id, store_id, shift_date, shift_start_time, shift_end_time, break_duration = 0, notes } = req.body;
+
+    const startTime = normalizeTime(shift_start_time);
+    const endTime = normalizeTime(shift_end_time);
+
+    if (!staff_id || !shift_date || !startTime || !endTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'staff_id, shift_date, shift_start_time and shift_end_time (HH:mm) are required'
+      });
+    }
+
+    const staff = await req.db.models.Staff.findByPk(staff_id);
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff not found'
+      });
+    }
+
+    const conflicts = await findShiftConflicts(req.db.models, {
+      staffId: staff.id,
+      shiftDate: shift_date,
+      startTime,
+      endTime
+    });
+
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${staff.name} already has a shift that overlaps this time`,
+        data: { conflicts: formatConflicts(conflicts) }
+      });
+    }
+
+    const shift = await req.db.models.StaffShift.create({
+      staff_id: staff.id,
+      store_id: store_id || staff.store_id || null,
+      shift_date,
+      shift_start_time: startTime,
+      shift_end_time: endTime,
+      break_duration: parseInt(break_duration) || 0,
+      notes: notes || null
+    });
+
+    const completeShift = await req.db.models.StaffShift.findByPk(shift.id, {
+      include: shiftIncludes(req.db.models)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift created successfully',
+      data: { shift: completeShift }
+    });
+  } catch (error) {
+    console.error('Error creating shift:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create shift'
+    });
+  }
+}
+
+/**
+ * Create a weekly rota for a store
+ * Each entry is either a template (expanded to the template's days) or explicit times on a date / day_of_week.
+ * Conflicts (with existing shifts or within the batch) reject the whole rota unless skip_conflicts is set.
+ */
+async function createWeeklyRota(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const {
+      store_id,
+      week_start,
+      shifts, // Array of { staff_id, template_id?, shift_date?, day_of_week?, shift_start_time?, shift_end_time?, break_duration?, notes? }
+      publish = false,
+      skip_conflicts = false
+    } = req.body;
+
+    if (!store_id || !Array.isArray(shifts) || shifts.length === 0) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'store_id and shifts are required'
+      });
+    }
+
+    const week = getWeekRange(week_start);
+    const templateIds = [...new Set(shifts.filter(entry => entry.template_id).map(entry => parseInt(entry.template_id)))];
+    const templates = templateIds.length > 0
+      ? await req.db.models.StaffShiftTemplate.findAll({ where: { id: templateIds, is_active: true }, transaction })
+      : [];
+
+    const staffIds = [...new Set(shifts.map(entry => parseInt(entry.staff_id)).filter(Boolean))];
+    const staffMembers = await req.db.models.Staff.findAll({ where: { id: staffIds }, transaction });
+
+    // Expand entries into concrete shifts
+    const planned = [];
+    for (const entry of shifts) {
+      const staff = staffMembers.find(member => member.id === parseInt(entry.staff_id));
+      if (!staff) {
+        await transaction.rollback();
+        return res.status(404).json({
+          success: false,
+          message: `Staff ${entry.staff_id} not found`
+        });
+      }
+
+      if (entry.template_id) {
+        const template = templates.find(t => t.id === parseInt(entry.template_id));
+        if (!template) {
+          await transaction.rollback();
+          return res.status(404).json({
+            success: false,
+            message: `Shift template ${entry.template_id} not found`
+          });
+        }
+
+        const dates = entry.shift_date ? [entry.shift_date] : expandTemplateDates(template, week.dates);
+        dates.forEach(date => planned.push({
+          staff_id: staff.id,
+          store_id,
+          shift_date: date,
+          shift_start_time: template.start_time,
+          shift_end_time: template.end_time,
+          break_duration: template.break_duration || 0,
+          shift_template_id: template.id,
+          notes: entry.notes || null
+        }));
+        continue;
+      }
+
+      const startTime = normalizeTime(entry.shift_start_time);
+      const endTime = normalizeTime(entry.shift_end_time);
+      const shiftDate = entry.shift_date
+        || (entry.day_of_week !== undefined ? week.dates.find(date => moment(date).day() === parseInt(entry.day_of_week)) : null);
+
+      if (!shiftDate || !startTime || !endTime) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Each shift needs a template_id, or shift_date/day_of_week with shift_start_time and shift_end_time'
+        });
+      }
+
+      planned.push({
+        staff_id: staff.id,
+        store_id,
+        shift_date: shiftDate,
+        shift_start_time: startTime,
+        shift_end_time: endTime,
+        break_duration: parseInt(entry.break_duration) || 0,
+        shift_template_id: null,
+        notes: entry.notes || null
+      });
+    }
+
+    // Conflict detection: against saved shifts, then within this rota
+    const conflicts = [];
+    const skipped = new Set();
+    for (let i = 0; i < planned.length; i++) {
+      const shift = planned[i];
+      const existing = await findShiftConflicts(req.db.models, {
+        staffId: shift.staff_id,
+        shiftDate: shift.shift_date,
+        startTime: shift.shift_start_time,
+        endTime: shift.shift_end_time
+      }, transaction);
+      if (existing.length > 0) {
+        conflicts.push({ ...shift, reason: 'overlaps_existing_shift', conflicts: formatConflicts(existing) });
+        skipped.add(i);
+      }
+    }
+    findBatchConflicts(planned).forEach(({ index, other_index }) => {
+      if (skipped.has(index) || skipped.has(other_index)) return;
+      conflicts.push({ ...planned[index], reason: 'overlaps_shift_in_rota' });
+      skipped.add(index);
+    });
+
+    if (conflicts.length > 0 && !skip_conflicts) {
+      await transaction.rollback();
+      return res.status(409).json({
+        success: false,
+        message: `${conflicts.length} shift(s) conflict with existing shifts. Fix them or resend with skip_conflicts=true.`,
+        data: { conflicts }
+      });
+    }
+
+    const created = [];
+    for (let i = 0; i < planned.length; i++) {
+      if (skipped.has(i)) continue;
+      const shift = await req.db.models.StaffShift.create({
+        ...planned[i],
+        is_approved: !!publish,
+        approved_by: publish ? (req.user.staffId || req.user.id) : null
+      }, { transaction });
+      created.push(shift.id);
+    }
+
+    await transaction.commit();
+
+    const createdShifts = await req.db.models.StaffShift.findAll({
+      where: { id: created },
+      include: shiftIncludes(req.db.models),
+      order: [['shift_date', 'ASC'], ['shift_start_time', 'ASC']]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${createdShifts.length} shift(s) scheduled${conflicts.length > 0 ? `, ${conflicts.length} skipped due to conflicts` : ''}`,
+      data: {
+        week_start: week.start,
+        week_end: week.end,
+        shifts: createdShifts,
+        skipped: conflicts
+      }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error creating weekly rota:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create weekly rota'
+    });
+  }
+}
+
+/**
+ * Publish (approve) all shifts in a store's week
+ */
+async function publishWeeklyRota(req, res) {
+  try {
+    const { store_id, week_start } = req.body;
+
+    if (!store_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'store_id is required'
+      });
+    }
+
+    const week = getWeekRange(week_start);
+    const [updated] = await req.db.models.StaffShift.update({
+      is_approved: true,
+      approved_by: req.user.staffId || req.user.id
+    }, {
+      where: {
+        store_id,
+        is_approved: false,
+        shift_date: { [Sequelize.Op.between]: [week.start, week.end] }
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `${updated} shift(s) published`,
+      data: {
+        week_start: week.start,
+        week_end: week.end,
+        published: updated
+      }
+    });
+  } catch (error) {
+    console.error('Error publishing rota:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to publish rota'
+    });
+  }
+}
+
+/**
+ * Update shift
+ */
+async function updateShift(req, res) {
+  try {
+    const shift = await req.db.models.StaffShift.findByPk(req.params.id);
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    if (shift.attendance_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change a shift that has already been clocked in'
+      });
+    }
+
+    const { staff_id, store_id, shift_date, shift_start_time, shift_end_time, break_duration, notes } = req.body;
+
+    const startTime = shift_start_time !== undefined ? normalizeTime(shift_start_time) : shift.shift_start_time;
+    const endTime = shift_end_time !== undefined ? normalizeTime(shift_end_time) : shift.shift_end_time;
+    if (!startTime || !endTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid shift time (use HH:mm)'
+      });
+    }
+
+    const staffId = staff_id || shift.staff_id;
+    const shiftDate = shift_date || shift.shift_date;
+
+    const conflicts = await findShiftConflicts(req.db.models, {
+      staffId,
+      shiftDate,
+      startTime,
+      endTime,
+      excludeShiftIds: [shift.id]
+    });
+
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Shift overlaps another shift for this staff member',
+        data: { conflicts: formatConflicts(conflicts) }
+      });
+    }
+
+    await shift.update({
+      staff_id: staffId,
+      shift_date: shiftDate,
+      shift_start_time: startTime,
+      shift_end_time: endTime,
+      attendance_status: 'scheduled',
+      ...(store_id !== undefined && { store_id }),
+      ...(break_duration !== undefined && { break_duration: parseInt(break_duration) || 0 }),
+      ...(notes !== undefined && { notes })
+    });
+
+    const completeShift = await req.db.models.StaffShift.findByPk(shift.id, {
+      include: shiftIncludes(req.db.models)
+    });
+
+    res.json({
+      success: true,
+      message: 'Shift updated successfully',
+      data: { shift: completeShift }
+    });
+  } catch (error) {
+    console.error('Error updating shift:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update shift'
+    });
+  }
+}
+
+/**
+ * Approve shift
+ */
+async function approveShift(req, res) {
+  try {
+    const shift = await req.db.models.StaffShift.findByPk(req.params.id);
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    await shift.update({
+      is_approved: true,
+      approved_by: req.user.staffId || req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Shift approved successfully',
+      data: { shift }
+    });
+  } catch (error) {
+    console.error('Error approving shift:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve shift'
+    });
+  }
+}
+
+/**
+ * Delete shift
+ */
+async function deleteShift(req, res) {
+  try {
+    const shift = await req.db.models.StaffShift.findByPk(req.params.id);
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    if (shift.attendance_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete a shift that has already been clocked in'
+      });
+    }
+
+    await req.db.models.StaffShiftSwapRequest.update(
+      { status: 'cancelled' },
+      { where: { shift_id: shift.id, status: 'pending' } }
+    );
+    await shift.destroy();
+
+    res.json({
+      success: true,
+      message: 'Shift deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting shift:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete shift'
+    });
+  }
+}
+
+/**
+ * Get shift templates
+ */
+async function getShiftTemplates(req, res) {
+  try {
+    const { store_id, include_inactive } = req.query;
+
+    const where = {};
+    if (store_id) {
+      // Store templates plus templates shared by all stores
+      where[Sequelize.Op.or] = [{ store_id }, { store_id: null }];
+    }
+    if (include_inactive !== 'true') where.is_active = true;
+
+    const templates = await req.db.models.StaffShiftTemplate.findAll({
+      where,
+      order: [['start_time', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { templates }
+    });
+  } catch (error) {
+    console.error('Error getting shift templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get shift templates'
+    });
+  }
+}
+
+/**
+ * Validate days_of_week (0 = Sunday ... 6 = Saturday)
+ */
+function isValidDaysOfWeek(days) {
+  return days === undefined || days === null
+    || (Array.isArray(days) && days.every(day => Number.isInteger(parseInt(day)) && parseInt(day) >= 0 && parseInt(day) <= 6));
+}
+
+/**
+ * Create shift template
+ */
+async function createShiftTemplate(req, res) {
+  try {
+    const { store_id, name, start_time, end_time, break_duration = 0, days_of_week } = req.body;
+
+    const startTime = normalizeTime(start_time);
+    const endTime = normalizeTime(end_time);
+
+    if (!name || !startTime || !endTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'name, start_time and end_time (HH:mm) are required'
+      });
+    }
+
+    if (!isValidDaysOfWeek(days_of_week)) {
+      return res.status(400).json({
+        success: false,
+        message: 'days_of_week must be an array of numbers from 0 (Sunday) to 6 (Saturday)'
+      });
+    }
+
+    const template = await req.db.models.StaffShiftTemplate.create({
+      store_id: store_id || null,
+      name,
+      start_time: startTime,
+      end_time: endTime,
+      break_duration: parseInt(break_duration) || 0,
+      days_of_week: days_of_week ? days_of_week.map(day => parseInt(day)) : null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift template created successfully',
+      data: { template }
+    });
+  } catch (error) {
+    console.error('Error creating shift template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create shift template'
+    });
+  }
+}
+
+/**
+ * Update shift template (existing shifts keep their times)
+ */
+async function updateShiftTemplate(req, res) {
+  try {
+    const template = await req.db.models.StaffShiftTemplate.findByPk(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift template not found'
+      });
+    }
+
+    const { store_id, name, start_time, end_time, break_duration, days_of_week, is_active } = req.body;
+
+    if ((start_time !== undefined && !normalizeTime(start_time)) || (end_time !== undefined && !normalizeTime(end_time))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template time (use HH:mm)'
+      });
+    }
+
+    if (!isValidDaysOfWeek(days_of_week)) {
+      return res.status(400).json({
+        success: false,
+        message: 'days_of_week must be an array of numbers from 0 (Sunday) to 6 (Saturday)'
+      });
+    }
+
+    await template.update({
+      ...(store_id !== undefined && { store_id }),
+      ...(name !== undefined && { name }),
+      ...(start_time !== undefined && { start_time: normalizeTime(start_time) }),
+      ...(end_time !== undefined && { end_time: normalizeTime(end_time) }),
+      ...(break_duration !== undefined && { break_duration: parseInt(break_duration) || 0 }),
+      ...(days_of_week !== undefined && { days_of_week: days_of_week ? days_of_week.map(day => parseInt(day)) : null }),
+      ...(is_active !== undefined && { is_active })
+    });
+
+    res.json({
+      success: true,
+      message: 'Shift template updated successfully',
+      data: { template }
+    });
+  } catch (error) {
+    console.error('Error updating shift template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update shift template'
+    });
+  }
+}
+
+/**
+ * Delete shift template (deactivated when shifts already use it)
+ */
+async function deleteShiftTemplate(req, res) {
+  try {
+    const template = await req.db.models.StaffShiftTemplate.findByPk(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift template not found'
+      });
+    }
+
+    const usage = await req.db.models.StaffShift.count({ where: { shift_template_id: template.id } });
+    if (usage > 0) {
+      await template.update({ is_active: false });
+      return res.json({
+        success: true,
+        message: 'Shift template is used by existing shifts and has been deactivated'
+      });
+    }
+
+    await template.destroy();
+
+    res.json({
+      success: true,
+      message: 'Shift template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting shift template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete shift template'
+    });
+  }
+}
+
+/**
+ * Get swap/cover requests
+ */
+async function getSwapRequests(req, res) {
+  try {
+    const { status, staff_id, store_id } = req.query;
+
+    const where = {};
+    if (status) where.status = status;
+    if (staff_id) {
+      where[Sequelize.Op.or] = [
+        { requested_by_staff_id: staff_id },
+        { target_staff_id: staff_id }
+      ];
+    }
+
+    const requests = await req.db.models.StaffShiftSwapRequest.findAll({
+      where,
+      include: [
+        {
+          model: req.db.models.StaffShift,
+          where: store_id ? { store_id } : undefined
+        },
+        {
+          model: req.db.models.StaffShift,
+          as: 'TargetShift',
+          required: false
+        },
+        {
+          model: req.db.models.Staff,
+          as: 'RequestedBy',
+          attributes: ['id', 'name', 'employee_id']
+        },
+        {
+          model: req.db.models.Staff,
+          as: 'TargetStaff',
+          attributes: ['id', 'name', 'employee_id']
+        }
+      ],
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: { requests }
+    });
+  } catch (error) {
+    console.error('Error getting swap requests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get swap requests'
+    });
+  }
+}
+
+/**
+ * Request a swap (trade shifts with a colleague) or cover (colleague takes the shift)
+ */
+async function createSwapRequest(req, res) {
+  try {
+    const { shift_id, request_type, target_staff_id, target_shift_id, reason } = req.body;
+
+    if (!shift_id || !['swap', 'cover'].includes(request_type)) {
+      return res.status(400).json({
+        success: false,
+        message: "shift_id and request_type ('swap' or 'cover') are required"
+      });
+    }
+
+    const shift = await req.db.models.StaffShift.findByPk(shift_id);
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    // Staff can only ask to give away their own shifts (req.user.staffId is set by requireStaff)
+    if (shift.staff_id !== req.user.staffId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only request swaps for your own shifts'
+      });
+    }
+
+    if (shift.attendance_id || moment(shift.shift_date).isBefore(moment(), 'day')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot swap a shift that has already started or passed'
+      });
+    }
+
+    let targetShift = null;
+    let targetStaffId = target_staff_id ? parseInt(target_staff_id) : null;
+    if (request_type === 'swap') {
+      if (!target_shift_id) {
+        return res.status(400).json({
+          success: false,
+          message: 'target_shift_id is required for a swap'
+        });
+      }
+      targetShift = await req.db.models.StaffShift.findByPk(target_shift_id);
+      if (!targetShift) {
+        return res.status(404).json({
+          success: false,
+          message: 'Target shift not found'
+        });
+      }
+      targetStaffId = targetShift.staff_id;
+    }
+
+    if (!targetStaffId) {
+      return res.status(400).json({
+        success: false,
+        message: 'target_staff_id is required for a cover request'
+      });
+    }
+
+    if (targetStaffId === shift.staff_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot swap a shift with the same staff member'
+      });
+    }
+
+    const targetStaff = await req.db.models.Staff.findByPk(targetStaffId);
+    if (!targetStaff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Target staff not found'
+      });
+    }
+
+    const pending = await req.db.models.StaffShiftSwapRequest.findOne({
+      where: { shift_id: shift.id, status: 'pending' }
+    });
+    if (pending) {
+      return res.status(400).json({
+        success: false,
+        message: 'This shift already has a pending swap/cover request',
+        data: { request: pending }
+      });
+    }
+
+    const request = await req.db.models.StaffShiftSwapRequest.create({
+      shift_id: shift.id,
+      request_type,
+      requested_by_staff_id: shift.staff_id,
+      target_staff_id: targetStaffId,
+      target_shift_id: targetShift ? targetShift.id : null,
+      reason: reason || null,
+      status: 'pending'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Swap request submitted for manager approval',
+      data: { request }
+    });
+  } catch (error) {
+    console.error('Error creating swap request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create swap request'
+    });
+  }
+}
+
+/**
+ * Approve swap/cover request (manager) - reassigns the shift(s) after a conflict check
+ */
+async function approveSwapRequest(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const request = await req.db.models.StaffShiftSwapRequest.findByPk(req.params.id, { transaction });
+
+    if (!request) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Swap request not found'
+      });
+    }
+
+    if (request.status !== 'pending') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Swap request is already ${request.status}`
+      });
+    }
+
+    const shift = await req.db.models.StaffShift.findByPk(request.shift_id, { transaction });
+    const targetShift = request.target_shift_id
+      ? await req.db.models.StaffShift.findByPk(request.target_shift_id, { transaction })
+      : null;
+
+    if (!shift || (request.request_type === 'swap' && !targetShift)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'A shift in this request no longer exists'
+      });
+    }
+
+    // Both shifts are moving, so ignore them when checking each person's new schedule
+    const exclude = [shift.id, targetShift ? targetShift.id : null];
+    const conflicts = await findShiftConflicts(req.db.models, {
+      staffId: request.target_staff_id,
+      shiftDate: shift.shift_date,
+      startTime: shift.shift_start_time,
+      endTime: shift.shift_end_time,
+      excludeShiftIds: exclude
+    }, transaction);
+
+    if (targetShift) {
+      conflicts.push(...await findShiftConflicts(req.db.models, {
+        staffId: shift.staff_id,
+        shiftDate: targetShift.shift_date,
+        startTime: targetShift.shift_start_time,
+        endTime: targetShift.shift_end_time,
+        excludeShiftIds: exclude
+      }, transaction));
+    }
+
+    if (conflicts.length > 0) {
+      await transaction.rollback();
+      return res.status(409).json({
+        success: false,
+        message: 'Approving this request would create overlapping shifts',
+        data: { conflicts: formatConflicts(conflicts) }
+      });
+    }
+
+    const originalStaffId = shift.staff_id;
+    await shift.update({ staff_id: request.target_staff_id }, { transaction });
+    if (targetShift) {
+      await targetShift.update({ staff_id: originalStaffId }, { transaction });
+    }
+
+    await request.update({
+      status: 'approved',
+      reviewed_by: req.user.staffId || req.user.id,
+      reviewed_at: new Date(),
+      review_notes: req.body.notes || null
+    }, { transaction });
+
+    await transaction.commit();
+
+    res.json({
+      success: true,
+      message: request.request_type === 'swap' ? 'Shifts swapped successfully' : 'Shift cover approved',
+      data: { request }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error approving swap request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve swap request'
+    });
+  }
+}
+
+/**
+ * Close a pending swap/cover request as rejected (manager) or cancelled (requester)
+ */
+async function closeSwapRequest(req, res, isCancel) {
+  try {
+    const request = await req.db.models.StaffShiftSwapRequest.findByPk(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Swap request not found'
+      });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Swap request is already ${request.status}`
+      });
+    }
+
+    if (isCancel && request.requested_by_staff_id !== req.user.staffId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the requester can cancel this request'
+      });
+    }
+
+    await request.update({
+      status: isCancel ? 'cancelled' : 'rejected',
+      reviewed_by: isCancel ? null : (req.user.staffId || req.user.id),
+      reviewed_at: isCancel ? null : new Date(),
+      review_notes: req.body.notes || null
+    });
+
+    res.json({
+      success: true,
+      message: isCancel ? 'Swap request cancelled' : 'Swap request rejected',
+      data: { request }
+    });
+  } catch (error) {
+    console.error('Error closing swap request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update swap request'
+    });
+  }
+}
+
+/**
+ * Reject swap/cover request (manager)
+ */
+async function rejectSwapRequest(req, res) {
+  return closeSwapRequest(req, res, false);
+}
+
+/**
+ * Cancel swap/cover request (requester)
+ */
+async function cancelSwapRequest(req, res) {
+  return closeSwapRequest(req, res, true);
+}
+
+module.exports = {
+  getShifts,
+  getWeeklyRota,
+  createShift,
+  createWeeklyRota,
+  publishWeeklyRota,
+  updateShift,
+  approveShift,
+  deleteShift,
+  getShiftTemplates,
+  createShiftTemplate,
+  updateShiftTemplate,
+  deleteShiftTemplate,
+  getSwapRequests,
+  createSwapRequest,
+  approveSwapRequest,
+  rejectSwapRequest,
+  cancelSwapRequest
+};
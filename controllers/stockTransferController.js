@@ -0,0 +1,605 @@
+const { Sequelize } = require('sequelize');
+const { consumeBatchesFefo, receiveBatch, formatBatchAllocations } = require('../services/productBatchService');
+const { generateNumber } = require('../services/numberService');
+
+/**
+ * Standard includes for a transfer with its stores and lines
+ */
+function transferIncludes(models) {
+  return [
+    {
+      model: models.Store,
+      as: 'FromStore',
+      attributes: ['id', 'name']
+    },
+    {
+      model: models.Store,
+      as: 'ToStore',
+      attributes: ['id', 'name']
+    },
+    {
+      model: models.StockTransferItem,
+      include: [
+        {
+          model: models.Product,
+          attributes: ['id', 'name', 'sku', 'barcode']
+        }
+      ]
+    }
+  ];
+}
+
+/**
+ * Get all stock transfers
+ */
+async function getAllStockTransfers(req, res) {
+  try {
+    const { page = 1, limit = 50, store_id, from_store_id, to_store_id, status, start_date, end_date } = req.query;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (store_id) {
+      where[Sequelize.Op.or] = [
+        { from_store_id: store_id },
+        { to_store_id: store_id }
+      ];
+    }
+    if (from_store_id) where.from_store_id = from_store_id;
+    if (to_store_id) where.to_store_id = to_store_id;
+    if (status) where.status = status;
+    if (start_date || end_date) {
+      where.created_at = {};
+      if (start_date) where.created_at[Sequelize.Op.gte] = new Date(start_date);
+      if (end_date) where.created_at[Sequelize.Op.lte] = new Date(end_date + ' 23:59:59');
+    }
+
+    const { count, rows } = await req.db.models.StockTransfer.findAndCountAll({
+      where,
+      include: [
+        {
+          model: req.db.models.Store,
+          as: 'FromStore',
+          attributes: ['id', 'name']
+        },
+        {
+          model: req.db.models.Store,
+          as: 'ToStore',
+          attributes: ['id', 'name']
+        }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        stock_transfers: rows,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting stock transfers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get stock transfers'
+    });
+  }
+}
+
+/**
+ * Get stock transfer by ID
+ */
+async function getStockTransferById(req, res) {
+  try {
+    const stockTransfer = await req.db.models.StockTransfer.findByPk(req.params.id, {
+      include: transferIncludes(req.db.models)
+    });
+
+    if (!stockTransfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock transfer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { stock_transfer: stockTransfer }
+    });
+  } catch (error) {
+    console.error('Error getting stock transfer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get stock transfer'
+    });
+  }
+}
+
+/**
+ * Create stock transfer request
+ */
+async function createStockTransfer(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const {
+      from_store_id,
+      to_store_id,
+      items, // Array of { product_id, quantity, notes? }
+      notes
+    } = req.body;
+
+    if (!from_store_id || !to_store_id || !items || !Array.isArray(items) || items.length === 0) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'from_store_id, to_store_id, and items are required'
+      });
+    }
+
+    if (parseInt(from_store_id) === parseInt(to_store_id)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Source and destination stores must be different'
+      });
+    }
+
+    // Verify both stores exist
+    const stores = await req.db.models.Store.findAll({
+      where: { id: [from_store_id, to_store_id] }
+    });
+    if (stores.length !== 2) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Source or destination store not found'
+      });
+    }
+
+    // Validate lines
+    const lines = [];
+    for (const item of items) {
+      const quantity = parseInt(item.quantity);
+      if (!item.product_id || !quantity || quantity <= 0) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Each item requires product_id and a positive quantity'
+        });
+      }
+
+      const product = await req.db.models.Product.findByPk(item.product_id);
+      if (!product) {
+        await transaction.rollback();
+        return res.status(404).json({
+          success: false,
+          message: `Product ${item.product_id} not found`
+        });
+      }
+
+      lines.push({
+        product_id: product.id,
+        product_name: product.name,
+        quantity_requested: quantity,
+        notes: item.notes || null
+      });
+    }
+
+    const stockTransfer = await req.db.models.StockTransfer.create({
+      transfer_number: generateNumber('TRF'),
+      from_store_id,
+      to_store_id,
+      status: 'requested',
+      notes,
+      requested_by: req.user.staffId || req.user.id
+    }, { transaction });
+
+    for (const line of lines) {
+      await req.db.models.StockTransferItem.create({
+        stock_transfer_id: stockTransfer.id,
+        ...line
+      }, { transaction });
+    }
+
+    await transaction.commit();
+
+    const completeTransfer = await req.db.models.StockTransfer.findByPk(stockTransfer.id, {
+      include: transferIncludes(req.db.models)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock transfer requested successfully',
+      data: { stock_transfer: completeTransfer }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error creating stock transfer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create stock transfer'
+    });
+  }
+}
+
+/**
+ * Dispatch stock transfer
+ * Deducts stock (and batches, FEFO) from the source store; the goods are in transit until received
+ */
+async function dispatchStockTransfer(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const { items: dispatchedItems = [], notes } = req.body; // Optional array of { item_id, quantity }
+    // Locked so a second dispatch / receive of the same transfer waits and then sees the new status
+    const stockTransfer = await req.db.models.StockTransfer.findByPk(req.params.id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!stockTransfer) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Stock transfer not found'
+      });
+    }
+
+    if (stockTransfer.status !== 'requested') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Cannot dispatch a transfer that is ${stockTransfer.status}`
+      });
+    }
+
+    const items = await req.db.models.StockTransferItem.findAll({
+      where: { stock_transfer_id: stockTransfer.id },
+      transaction
+    });
+
+    let totalDispatched = 0;
+
+    for (const item of items) {
+      // Quantity defaults to the requested quantity unless the dispatcher sends less
+      const override = Array.isArray(dispatchedItems)
+        ? dispatchedItems.find(d => parseInt(d.item_id) === item.id)
+        : null;
+      const quantity = override && override.quantity !== undefined
+        ? parseInt(override.quantity)
+        : item.quantity_requested;
+
+      if (isNaN(quantity) || quantity < 0) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `Invalid dispatch quantity for ${item.product_name}`
+        });
+      }
+
+      if (quantity > item.quantity_requested) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `Cannot dispatch more ${item.product_name} than requested (${item.quantity_requested})`
+        });
+      }
+
+      if (quantity === 0) {
+        continue;
+      }
+
+      const productStore = await req.db.models.ProductStore.findOne({
+        where: {
+          product_id: item.product_id,
+          store_id: stockTransfer.from_store_id
+        },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      const available = productStore ? (productStore.stock || 0) : 0;
+      if (available < quantity) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `Insufficient stock for ${item.product_name} at source store. Available: ${available}, Requested: ${quantity}`
+        });
+      }
+
+      await productStore.update({
+        stock: available - quantity
+      }, { transaction });
+
+      // Pick lots leaving the source store so they can be recreated at the destination
+      const allocations = await consumeBatchesFefo(req.db.models, {
+        productId: item.product_id,
+        storeId: stockTransfer.from_store_id,
+        quantity,
+        transaction
+      });
+
+      await item.update({
+        quantity_dispatched: quantity,
+        batch_allocations: allocations.length > 0 ? allocations : null
+      }, { transaction });
+
+      const batchNote = formatBatchAllocations(allocations);
+      await req.db.models.StockMovement.create({
+        product_id: item.product_id,
+        store_id: stockTransfer.from_store_id,
+        movement_type: 'transfer',
+        quantity: -quantity,
+        reference_type: 'stock_transfer',
+        reference_id: stockTransfer.id,
+        notes: batchNote
+          ? `Dispatched on transfer ${stockTransfer.transfer_number} (${batchNote})`
+          : `Dispatched on transfer ${stockTransfer.transfer_number}`,
+        created_by: req.user.staffId || req.user.id
+      }, { transaction });
+
+      totalDispatched += quantity;
+    }
+
+    if (totalDispatched === 0) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to dispatch'
+      });
+    }
+
+    await stockTransfer.update({
+      status: 'dispatched',
+      dispatched_by: req.user.staffId || req.user.id,
+      dispatched_at: new Date(),
+      notes: notes || stockTransfer.notes
+    }, { transaction });
+
+    await transaction.commit();
+
+    const updatedTransfer = await req.db.models.StockTransfer.findByPk(stockTransfer.id, {
+      include: transferIncludes(req.db.models)
+    });
+
+    res.json({
+      success: true,
+      message: 'Stock transfer dispatched successfully',
+      data: { stock_transfer: updatedTransfer }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error dispatching stock transfer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to dispatch stock transfer'
+    });
+  }
+}
+
+/**
+ * Receive stock transfer
+ * Adds the received quantity to the destination store and records any discrepancy against what was dispatched
+ */
+async function receiveStockTransfer(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const { received_items = [], notes } = req.body; // Optional array of { item_id, quantity_received, discrepancy_reason? }
+    // Locked so a second dispatch / receive of the same transfer waits and then sees the new status
+    const stockTransfer = await req.db.models.StockTransfer.findByPk(req.params.id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!stockTransfer) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Stock transfer not found'
+      });
+    }
+
+    if (stockTransfer.status !== 'dispatched') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Cannot receive a transfer that is ${stockTransfer.status}`
+      });
+    }
+
+    const items = await req.db.models.StockTransferItem.findAll({
+      where: { stock_transfer_id: stockTransfer.id },
+      transaction
+    });
+
+    let hasDiscrepancy = false;
+
+    for (const item of items) {
+      // Received quantity defaults to what was dispatched
+      const received = Array.isArray(received_items)
+        ? received_items.find(r => parseInt(r.item_id) === item.id)
+        : null;
+      const quantityReceived = received && received.quantity_received !== undefined
+        ? parseInt(received.quantity_received)
+        : item.quantity_dispatched;
+
+      if (isNaN(quantityReceived) || quantityReceived < 0) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `Invalid received quantity for ${item.product_name}`
+        });
+      }
+
+      const discrepancy = item.quantity_dispatched - quantityReceived;
+      if (discrepancy !== 0) {
+        hasDiscrepancy = true;
+      }
+
+      if (quantityReceived > 0) {
+        let productStore = await req.db.models.ProductStore.findOne({
+          where: {
+            product_id: item.product_id,
+            store_id: stockTransfer.to_store_id
+          },
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+
+        if (!productStore) {
+          productStore = await req.db.models.ProductStore.create({
+            product_id: item.product_id,
+            store_id: stockTransfer.to_store_id,
+            stock: 0
+          }, { transaction });
+        }
+
+        await productStore.update({
+          stock: (productStore.stock || 0) + quantityReceived
+        }, { transaction });
+
+        // Recreate the dispatched lots at the destination (same lot number and expiry)
+        let remaining = quantityReceived;
+        const receivedBatches = [];
+        for (const allocation of (item.batch_allocations || [])) {
+          if (remaining <= 0) break;
+          const quantity = Math.min(allocation.quantity, remaining);
+          const sourceBatch = await req.db.models.ProductBatch.findByPk(allocation.batch_id, { transaction });
+
+          await receiveBatch(req.db.models, {
+            productId: item.product_id,
+            storeId: stockTransfer.to_store_id,
+            batchNumber: allocation.batch_number,
+            expiryDate: allocation.expiry_date || null,
+            quantity,
+            costPrice: sourceBatch ? sourceBatch.cost_price : null
+          }, transaction);
+
+          receivedBatches.push({ batch_number: allocation.batch_number, quantity });
+          remaining -= quantity;
+        }
+
+        const batchNote = formatBatchAllocations(receivedBatches);
+        await req.db.models.StockMovement.create({
+          product_id: item.product_id,
+          store_id: stockTransfer.to_store_id,
+          movement_type: 'transfer',
+          quantity: quantityReceived,
+          reference_type: 'stock_transfer',
+          reference_id: stockTransfer.id,
+          notes: batchNote
+            ? `Received on transfer ${stockTransfer.transfer_number} (${batchNote})`
+            : `Received on transfer ${stockTransfer.transfer_number}`,
+          created_by: req.user.staffId || req.user.id
+        }, { transaction });
+      }
+
+      await item.update({
+        quantity_received: quantityReceived,
+        discrepancy_quantity: discrepancy,
+        discrepancy_reason: discrepancy !== 0
+          ? ((received && received.discrepancy_reason) || (discrepancy > 0 ? 'Short delivery' : 'Over delivery'))
+          : null
+      }, { transaction });
+    }
+
+    await stockTransfer.update({
+      status: 'received',
+      has_discrepancy: hasDiscrepancy,
+      received_by: req.user.staffId || req.user.id,
+      received_at: new Date(),
+      notes: notes || stockTransfer.notes
+    }, { transaction });
+
+    await transaction.commit();
+
+    const updatedTransfer = await req.db.models.StockTransfer.findByPk(stockTransfer.id, {
+      include: transferIncludes(req.db.models)
+    });
+
+    res.json({
+      success: true,
+      message: hasDiscrepancy
+        ? 'Stock transfer received with discrepancies'
+        : 'Stock transfer received successfully',
+      data: { stock_transfer: updatedTransfer }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error receiving stock transfer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to receive stock transfer'
+    });
+  }
+}
+
+/**
+ * Cancel stock transfer (only before it is dispatched)
+ */
+async function cancelStockTransfer(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    // Locked so a cancel cannot slip in while the transfer is being dispatched
+    const stockTransfer = await req.db.models.StockTransfer.findByPk(req.params.id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!stockTransfer) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Stock transfer not found'
+      });
+    }
+
+    if (stockTransfer.status !== 'requested') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Only requested transfers can be cancelled'
+      });
+    }
+
+    await stockTransfer.update({
+      status: 'cancelled',
+      cancelled_at: new Date(),
+      notes: req.body.reason || stockTransfer.notes
+    }, { transaction });
+
+    await transaction.commit();
+
+    res.json({
+      success: true,
+      message: 'Stock transfer cancelled successfully',
+      data: { stock_transfer: stockTransfer }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error cancelling stock transfer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel stock transfer'
+    });
+  }
+}
+
+module.exports = {
+  getAllStockTransfers,
+  getStockTransferById,
+  createStockTransfer,
+  dispatchStockTransfer,
+  receiveStockTransfer,
+  cancelStockTransfer
+};
@@ -0,0 +1,133 @@
+const { getAccount, postStoreCredit } = require('../services/storeCreditService');
+
+/**
+ * Get a customer's store credit balance and ledger
+ */
+async function getCustomerStoreCredit(req, res) {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const customer = await req.db.models.Customer.findByPk(req.params.customer_id, {
+      attributes: ['id', 'name', 'email', 'phone']
+    });
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const account = await getAccount(req.db.models, customer.id);
+
+    const { count, rows } = await req.db.models.StoreCreditTransaction.findAndCountAll({
+      where: { customer_id: customer.id },
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['created_at', 'DESC'], ['id', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        customer,
+        balance: account ? parseFloat(account.balance) : 0,
+        account,
+        transactions: rows,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting store credit:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get store credit'
+    });
+  }
+}
+
+/**
+ * Manually add or remove store credit (goodwill credit, corrections)
+ */
+async function adjustStoreCredit(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const { amount, reason } = req.body;
+
+    if (amount === undefined || isNaN(parseFloat(amount)) || parseFloat(amount) === 0 || !reason) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'A non-zero amount and a reason are required'
+      });
+    }
+
+    const customer = await req.db.models.Customer.findByPk(req.params.customer_id);
+    if (!customer) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const existingAccount = await getAccount(req.db.models, customer.id, transaction);
+    const currentBalance = existingAccount ? parseFloat(existingAccount.balance) : 0;
+    if (currentBalance + parseFloat(amount) < 0) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Adjustment would take the balance below zero. Balance: ${currentBalance.toFixed(2)}`
+      });
+    }
+
+    const result = await postStoreCredit(req.db.models, {
+      customerId: customer.id,
+      amount,
+      transactionType: 'adjusted',
+      referenceType: 'manual',
+      description: reason,
+      createdBy: req.user.staffId || req.user.id
+    }, transaction);
+
+    if (!result.valid) {
+      await transaction.rollback();
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const { account, entry } = result;
+
+    await transaction.commit();
+
+    res.json({
+      success: true,
+      message: 'Store credit adjusted successfully',
+      data: {
+        balance: parseFloat(account.balance),
+        transaction: entry
+      }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error adjusting store credit:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to adjust store credit'
+    });
+  }
+}
+
+module.exports = {
+  getCustomerStoreCredit,
+  adjustStoreCredit
+};
@@ -281,6 +281,40 @@ async function deleteStore(req, res) {
   }
 }
 
+/**
+ * Summarize dispatched (not yet received) transfers into or out of a store
+ */
+async function getInTransitSummary(models, where) {
+  const transfers = await models.StockTransfer.findAll({
+    where: { ...where, status: 'dispatched' },
+    attributes: ['id'],
+    include: [
+      {
+        model: models.StockTransferItem,
+        attributes: ['product_id', 'quantity_dispatched']
+      }
+    ]
+  });
+
+  const products = {};
+  let units = 0;
+  transfers.forEach(transfer => {
+    (transfer.StockTransferItems || []).forEach(item => {
+      products[item.product_id] = (products[item.product_id] || 0) + item.quantity_dispatched;
+      units += item.quantity_dispatched;
+    });
+  });
+
+  return {
+    transfers: transfers.length,
+    units,
+    products: Object.keys(products).map(productId => ({
+      product_id: parseInt(productId),
+      quantity: products[productId]
+    }))
+  };
+}
+
 /**
  * Get store overview (products, invoices, bookings count)
  */
@@ -307,6 +341,15 @@ async function getStoreOverview(req, res) {
       })
     ]);
 
+    // Stock dispatched between stores but not yet received (enterprise only - free users have no transfers)
+    const isFreePlan = req.tenant && req.tenant.subscription_plan === 'free';
+    const inTransit = isFreePlan
+      ? null
+      : {
+        incoming: await getInTransitSummary(req.db.models, { to_store_id: store.id }),
+        outgoing: await getInTransitSummary(req.db.models, { from_store_id: store.id })
+      };
+
     res.json({
       success: true,
       data: {
@@ -319,7 +362,8 @@ async function getStoreOverview(req, res) {
           products: productCount,
           invoices: invoiceCount,
           bookings: bookingCount,
-          low_stock_products: lowStockCount
+          low_stock_products: lowStockCount,
+          in_transit: inTransit
         }
       }
     });
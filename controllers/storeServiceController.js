@@ -2,6 +2,30 @@ const { Sequelize } = require('sequelize');
 const path = require('path');
 const fs = require('fs');
 const initModels = require('../models');
+const { validateServicePaymentSettings } = require('../services/bookingPaymentService');
+
+// Deposit / prepayment and cancellation fee settings accepted on a service
+const PAYMENT_SETTING_FIELDS = [
+  'payment_requirement',
+  'deposit_type',
+  'deposit_value',
+  'cancellation_fee_type',
+  'cancellation_fee_value',
+  'cancellation_fee_window_hours'
+];
+
+/**
+ * Helper function to pick the payment settings present in a request body
+ */
+function pickPaymentSettings(body) {
+  const settings = {};
+  for (const field of PAYMENT_SETTING_FIELDS) {
+    if (body[field] !== undefined && body[field] !== '') {
+      settings[field] = body[field];
+    }
+  }
+  return settings;
+}
 
 /**
  * Helper function to generate full URL from relative path
@@ -225,6 +249,18 @@ async function createStoreService(req, res) {
       });
     }
 
+    const paymentSettings = pickPaymentSettings(req.body);
+    const paymentValidation = validateServicePaymentSettings({ ...paymentSettings, price: price || 0 });
+    if (!paymentValidation.valid) {
+      if (req.file && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(paymentValidation.status).json({
+        success: false,
+        message: paymentValidation.message
+      });
+    }
+
     // Get tenant to check subscription plan
     const tenantId = req.user.tenantId;
     const { getTenantById } = require('../config/tenant');
@@ -332,6 +368,7 @@ async function createStoreService(req, res) {
       duration_minutes: duration_minutes || 30,
       location_type: location_type || 'in_person',
       availability: parsedAvailability || null,
+      ...paymentSettings,
       is_active: true,
       sort_order: serviceSortOrder
     });
@@ -496,6 +533,29 @@ async function updateStoreService(req, res) {
       sort_order
     } = req.body;
 
+    // Deposit / cancellation fee changes are checked against the service's current settings
+    const paymentSettings = pickPaymentSettings(req.body);
+    if (Object.keys(paymentSettings).length > 0 || price !== undefined) {
+      const currentSettings = {};
+      for (const field of PAYMENT_SETTING_FIELDS) {
+        currentSettings[field] = service[field];
+      }
+      const paymentValidation = validateServicePaymentSettings({
+        ...currentSettings,
+        ...paymentSettings,
+        price: price !== undefined ? price : service.price
+      });
+      if (!paymentValidation.valid) {
+        if (req.file && fs.existsSync(req.file.path)) {
+          fs.unlinkSync(req.file.path);
+        }
+        return res.status(paymentValidation.status).json({
+          success: false,
+          message: paymentValidation.message
+        });
+      }
+    }
+
     // Determine service image URL: prioritize uploaded file over URL
     let finalServiceImageUrl = undefined;
     if (req.file) {
@@ -607,6 +667,7 @@ async function updateStoreService(req, res) {
     if (parsedAvailability !== undefined) updateData.availability = parsedAvailability;
     if (is_active !== undefined) updateData.is_active = is_active;
     if (sort_order !== undefined) updateData.sort_order = sort_order;
+    Object.assign(updateData, paymentSettings);
 
     await service.update(updateData);
 
@@ -1103,6 +1164,18 @@ async function createOnlineStoreService(req, res) {
       }
     }
 
+    const paymentSettings = pickPaymentSettings(req.body);
+    const paymentValidation = validateServicePaymentSettings({ ...paymentSettings, price: price || 0 });
+    if (!paymentValidation.valid) {
+      if (req.file && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(paymentValidation.status).json({
+        success: false,
+        message: paymentValidation.message
+      });
+    }
+
     // Create the service (store_id is null for free users, optional for enterprise)
     const service = await models.StoreService.create({
       tenant_id: isFreePlan ? tenantId : null, // Set tenant_id for free users (shared DB)
@@ -1114,6 +1187,7 @@ async function createOnlineStoreService(req, res) {
       duration_minutes: duration_minutes || 30,
       location_type: location_type || 'in_person',
       availability: parsedAvailability, // Use parsed availability (object from string or already object)
+      ...paymentSettings,
       is_active: true,
       sort_order: targetSortOrder
     });
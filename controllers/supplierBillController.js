@@ -0,0 +1,602 @@
+const { Sequelize } = require('sequelize');
+const moment = require('moment');
+const {
+  getPaymentTermsDays,
+  matchBillLine,
+  validateSupplierPayment,
+  refreshBillBalance,
+  buildAgedPayables
+} = require('../services/supplierPayablesService');
+const { round2, generateNumber } = require('../services/numberService');
+
+/**
+ * Standard includes for a bill with its lines and payments
+ */
+function billIncludes(models) {
+  return [
+    {
+      model: models.Supplier,
+      attributes: ['id', 'name', 'company_name', 'email', 'phone', 'payment_terms']
+    },
+    {
+      model: models.PurchaseOrder,
+      attributes: ['id', 'po_number', 'order_date', 'status', 'total']
+    },
+    {
+      model: models.SupplierBillItem
+    },
+    {
+      model: models.SupplierPayment
+    }
+  ];
+}
+
+/**
+ * Get all supplier bills
+ */
+async function getAllSupplierBills(req, res) {
+  try {
+    const { page = 1, limit = 50, supplier_id, purchase_order_id, status, match_status, overdue, start_date, end_date } = req.query;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (supplier_id) where.supplier_id = supplier_id;
+    if (purchase_order_id) where.purchase_order_id = purchase_order_id;
+    if (status) where.status = status;
+    if (match_status) where.match_status = match_status;
+    if (overdue === 'true') {
+      where.status = ['open', 'partially_paid'];
+      where.due_date = { [Sequelize.Op.lt]: moment().format('YYYY-MM-DD') };
+    }
+    if (start_date || end_date) {
+      where.bill_date = {};
+      if (start_date) where.bill_date[Sequelize.Op.gte] = start_date;
+      if (end_date) where.bill_date[Sequelize.Op.lte] = end_date;
+    }
+
+    const { count, rows } = await req.db.models.SupplierBill.findAndCountAll({
+      where,
+      include: [
+        {
+          model: req.db.models.Supplier,
+          attributes: ['id', 'name', 'company_name']
+        },
+        {
+          model: req.db.models.PurchaseOrder,
+          attributes: ['id', 'po_number']
+        }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['bill_date', 'DESC'], ['id', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        bills: rows,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting supplier bills:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get supplier bills'
+    });
+  }
+}
+
+/**
+ * Get supplier bill by ID
+ */
+async function getSupplierBillById(req, res) {
+  try {
+    const bill = await req.db.models.SupplierBill.findByPk(req.params.id, {
+      include: billIncludes(req.db.models)
+    });
+
+    if (!bill) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier bill not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { bill }
+    });
+  } catch (error) {
+    console.error('Error getting supplier bill:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get supplier bill'
+    });
+  }
+}
+
+/**
+ * Create supplier bill from a received purchase order
+ * Each line is matched against the PO line (ordered price, received quantity, quantity already billed);
+ * bills with a variance are put on hold until approved
+ */
+async function createSupplierBill(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const {
+      purchase_order_id,
+      supplier_invoice_number,
+      bill_date,
+      due_date,
+      items, // Optional array of { purchase_order_item_id, quantity, unit_price } - defaults to received but unbilled quantities at PO prices
+      tax_amount,
+      shipping_amount,
+      price_tolerance_percent = 0,
+      notes
+    } = req.body;
+
+    if (!purchase_order_id) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'purchase_order_id is required'
+      });
+    }
+
+    const purchaseOrder = await req.db.models.PurchaseOrder.findByPk(purchase_order_id, {
+      include: [
+        { model: req.db.models.Supplier },
+        { model: req.db.models.PurchaseOrderItem }
+      ],
+      transaction
+    });
+
+    if (!purchaseOrder) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (!['partial', 'received'].includes(purchaseOrder.status)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Bills can only be created for received or partially received purchase orders'
+      });
+    }
+
+    const poItems = purchaseOrder.PurchaseOrderItems || [];
+
+    // Quantities already billed on earlier (non-void) bills for this PO
+    const billedRows = await req.db.models.SupplierBillItem.findAll({
+      where: { purchase_order_item_id: poItems.map(item => item.id) },
+      include: [
+        {
+          model: req.db.models.SupplierBill,
+          where: { status: { [Sequelize.Op.ne]: 'void' } },
+          attributes: ['id']
+        }
+      ],
+      transaction
+    });
+    const previouslyBilled = {};
+    billedRows.forEach(row => {
+      previouslyBilled[row.purchase_order_item_id] = (previouslyBilled[row.purchase_order_item_id] || 0) + row.quantity_billed;
+    });
+
+    let requestedLines;
+    if (Array.isArray(items) && items.length > 0) {
+      requestedLines = items;
+    } else {
+      requestedLines = poItems
+        .map(item => ({
+          purchase_order_item_id: item.id,
+          quantity: (item.received_quantity || 0) - (previouslyBilled[item.id] || 0),
+          unit_price: item.unit_price
+        }))
+        .filter(line => line.quantity > 0);
+    }
+
+    if (requestedLines.length === 0) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing left to bill on this purchase order'
+      });
+    }
+
+    const billLines = [];
+    let subtotal = 0;
+    let hasVariance = false;
+
+    for (const line of requestedLines) {
+      const poItem = poItems.find(item => item.id === parseInt(line.purchase_order_item_id));
+      if (!poItem) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `Purchase order item ${line.purchase_order_item_id} not found on this purchase order`
+        });
+      }
+
+      const quantity = parseInt(line.quantity);
+      if (!quantity || quantity <= 0) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `Invalid billed quantity for ${poItem.product_name}`
+        });
+      }
+
+      const unitPrice = line.unit_price !== undefined ? round2(line.unit_price) : round2(poItem.unit_price);
+      const matchStatus = matchBillLine({
+        quantityReceived: poItem.received_quantity || 0,
+        quantityPreviouslyBilled: previouslyBilled[poItem.id] || 0,
+        quantityBilled: quantity,
+        orderedUnitPrice: Number(poItem.unit_price),
+        billedUnitPrice: unitPrice
+      }, parseFloat(price_tolerance_percent) || 0);
+
+      if (matchStatus !== 'matched') {
+        hasVariance = true;
+      }
+
+      const lineTotal = round2(quantity * unitPrice);
+      subtotal += lineTotal;
+
+      billLines.push({
+        purchase_order_item_id: poItem.id,
+        product_id: poItem.product_id,
+        product_name: poItem.product_name,
+        quantity_ordered: poItem.quantity,
+        quantity_received: poItem.received_quantity || 0,
+        quantity_billed: quantity,
+        ordered_unit_price: poItem.unit_price,
+        unit_price: unitPrice,
+        total: lineTotal,
+        match_status: matchStatus
+      });
+    }
+
+    subtotal = round2(subtotal);
+
+    // Tax defaults to the PO tax pro rata; shipping defaults to the PO shipping on the first bill only
+    const priorBillCount = await req.db.models.SupplierBill.count({
+      where: {
+        purchase_order_id: purchaseOrder.id,
+        status: { [Sequelize.Op.ne]: 'void' }
+      },
+      transaction
+    });
+    const poSubtotal = Number(purchaseOrder.subtotal || 0);
+    const billTax = tax_amount !== undefined
+      ? round2(tax_amount)
+      : (poSubtotal > 0 ? round2(Number(purchaseOrder.tax_amount || 0) * (subtotal / poSubtotal)) : 0);
+    const billShipping = shipping_amount !== undefined
+      ? round2(shipping_amount)
+      : (priorBillCount === 0 ? round2(purchaseOrder.shipping_amount || 0) : 0);
+    const total = round2(subtotal + billTax + billShipping);
+
+    const billDate = bill_date || moment().format('YYYY-MM-DD');
+    const termsDays = getPaymentTermsDays(purchaseOrder.Supplier ? purchaseOrder.Supplier.payment_terms : null);
+
+    const bill = await req.db.models.SupplierBill.create({
+      bill_number: generateNumber('BILL'),
+      supplier_invoice_number: supplier_invoice_number || null,
+      supplier_id: purchaseOrder.supplier_id,
+      purchase_order_id: purchaseOrder.id,
+      store_id: purchaseOrder.store_id,
+      bill_date: billDate,
+      due_date: due_date || moment(billDate).add(termsDays, 'days').format('YYYY-MM-DD'),
+      subtotal,
+      tax_amount: billTax,
+      shipping_amount: billShipping,
+      total,
+      amount_paid: 0,
+      balance_due: total,
+      status: hasVariance ? 'on_hold' : 'open',
+      match_status: hasVariance ? 'variance' : 'matched',
+      notes: notes || null,
+      created_by: req.user.staffId || req.user.id
+    }, { transaction });
+
+    for (const line of billLines) {
+      await req.db.models.SupplierBillItem.create({
+        supplier_bill_id: bill.id,
+        ...line
+      }, { transaction });
+    }
+
+    await transaction.commit();
+
+    const completeBill = await req.db.models.SupplierBill.findByPk(bill.id, {
+      include: billIncludes(req.db.models)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: hasVariance
+        ? 'Supplier bill created and put on hold: billed quantities or prices do not match the purchase order'
+        : 'Supplier bill created successfully',
+      data: { bill: completeBill }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error creating supplier bill:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create supplier bill'
+    });
+  }
+}
+
+/**
+ * Approve a bill's match variance so it can be paid
+ */
+async function approveSupplierBill(req, res) {
+  try {
+    const bill = await req.db.models.SupplierBill.findByPk(req.params.id);
+
+    if (!bill) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier bill not found'
+      });
+    }
+
+    if (bill.status !== 'on_hold') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only bills on hold need approval'
+      });
+    }
+
+    await bill.update({
+      status: 'open',
+      variance_approved_by: req.user.staffId || req.user.id,
+      variance_approved_at: new Date(),
+      notes: req.body.notes || bill.notes
+    });
+    await refreshBillBalance(req.db.models, bill);
+
+    res.json({
+      success: true,
+      message: 'Supplier bill approved',
+      data: { bill }
+    });
+  } catch (error) {
+    console.error('Error approving supplier bill:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve supplier bill'
+    });
+  }
+}
+
+/**
+ * Void supplier bill (only when it has no completed payments)
+ */
+async function voidSupplierBill(req, res) {
+  try {
+    const bill = await req.db.models.SupplierBill.findByPk(req.params.id);
+
+    if (!bill) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier bill not found'
+      });
+    }
+
+    if (bill.status === 'void') {
+      return res.status(400).json({
+        success: false,
+        message: 'Supplier bill is already void'
+      });
+    }
+
+    const paymentCount = await req.db.models.SupplierPayment.count({
+      where: { supplier_bill_id: bill.id, status: 'completed' }
+    });
+
+    if (paymentCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot void a bill with ${paymentCount} payment(s). Void the payments first.`
+      });
+    }
+
+    await bill.update({
+      status: 'void',
+      balance_due: 0,
+      voided_at: new Date(),
+      void_reason: req.body.reason || null
+    });
+
+    res.json({
+      success: true,
+      message: 'Supplier bill voided successfully',
+      data: { bill }
+    });
+  } catch (error) {
+    console.error('Error voiding supplier bill:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to void supplier bill'
+    });
+  }
+}
+
+/**
+ * Record a payment against a supplier bill
+ */
+async function recordSupplierPayment(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const { amount, payment_method = 'transfer', reference, payment_date, notes } = req.body;
+
+    const bill = await req.db.models.SupplierBill.findByPk(req.params.id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!bill) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier bill not found'
+      });
+    }
+
+    const validation = validateSupplierPayment(bill, amount);
+    if (!validation.valid) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: validation.message
+      });
+    }
+
+    const payment = await req.db.models.SupplierPayment.create({
+      payment_number: generateNumber('SPAY'),
+      supplier_id: bill.supplier_id,
+      supplier_bill_id: bill.id,
+      amount: round2(amount),
+      payment_method,
+      reference: reference || null,
+      payment_date: payment_date || moment().format('YYYY-MM-DD'),
+      status: 'completed',
+      notes: notes || null,
+      recorded_by: req.user.staffId || req.user.id
+    }, { transaction });
+
+    await refreshBillBalance(req.db.models, bill, transaction);
+
+    await transaction.commit();
+
+    res.status(201).json({
+      success: true,
+      message: 'Supplier payment recorded successfully',
+      data: {
+        payment,
+        bill: {
+          id: bill.id,
+          bill_number: bill.bill_number,
+          total: bill.total,
+          amount_paid: bill.amount_paid,
+          balance_due: bill.balance_due,
+          status: bill.status
+        }
+      }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error recording supplier payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record supplier payment'
+    });
+  }
+}
+
+/**
+ * Void a supplier payment (reverses it on the bill balance)
+ */
+async function voidSupplierPayment(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const payment = await req.db.models.SupplierPayment.findOne({
+      where: {
+        id: req.params.paymentId,
+        supplier_bill_id: req.params.id
+      },
+      transaction
+    });
+
+    if (!payment) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier payment not found'
+      });
+    }
+
+    if (payment.status === 'voided') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Supplier payment is already voided'
+      });
+    }
+
+    await payment.update({
+      status: 'voided',
+      voided_at: new Date(),
+      void_reason: req.body.reason || null
+    }, { transaction });
+
+    const bill = await req.db.models.SupplierBill.findByPk(payment.supplier_bill_id, { transaction });
+    await refreshBillBalance(req.db.models, bill, transaction);
+
+    await transaction.commit();
+
+    res.json({
+      success: true,
+      message: 'Supplier payment voided successfully',
+      data: { payment, bill }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error voiding supplier payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to void supplier payment'
+    });
+  }
+}
+
+/**
+ * Aged payables report
+ */
+async function getAgedPayables(req, res) {
+  try {
+    const { as_of, supplier_id } = req.query;
+
+    const report = await buildAgedPayables(req.db.models, {
+      asOf: as_of || null,
+      supplierId: supplier_id || null
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error getting aged payables:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get aged payables'
+    });
+  }
+}
+
+module.exports = {
+  getAllSupplierBills,
+  getSupplierBillById,
+  createSupplierBill,
+  approveSupplierBill,
+  voidSupplierBill,
+  recordSupplierPayment,
+  voidSupplierPayment,
+  getAgedPayables
+};
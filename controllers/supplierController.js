@@ -1,4 +1,5 @@
 const { Sequelize } = require('sequelize');
+const { buildSupplierStatement } = require('../services/supplierPayablesService');
 
 /**
  * Get all suppliers
@@ -243,10 +244,220 @@ async function deleteSupplier(req, res) {
   }
 }
 
+/**
+ * Get products supplied by a supplier (cost, lead time, preferred flag)
+ */
+async function getSupplierProducts(req, res) {
+  try {
+    const supplier = await req.db.models.Supplier.findByPk(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const products = await req.db.models.ProductSupplier.findAll({
+      where: { supplier_id: supplier.id },
+      include: [
+        {
+          model: req.db.models.Product,
+          attributes: ['id', 'name', 'sku', 'stock', 'low_stock_threshold', 'cost']
+        }
+      ],
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: { products }
+    });
+  } catch (error) {
+    console.error('Error getting supplier products:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get supplier products'
+    });
+  }
+}
+
+/**
+ * Link a product to a supplier (or update the link)
+ * Marking a supplier as preferred clears the flag on the product's other suppliers
+ */
+async function upsertSupplierProduct(req, res) {
+  const transaction = await req.db.transaction();
+
+  try {
+    const {
+      product_id,
+      supplier_sku,
+      is_preferred,
+      last_cost,
+      lead_time_days,
+      min_order_quantity
+    } = req.body;
+
+    if (!product_id) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'product_id is required'
+      });
+    }
+
+    const supplier = await req.db.models.Supplier.findByPk(req.params.id);
+    if (!supplier) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const product = await req.db.models.Product.findByPk(product_id);
+    if (!product) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (lead_time_days !== undefined && (isNaN(parseInt(lead_time_days)) || parseInt(lead_time_days) < 0)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'lead_time_days must be zero or more'
+      });
+    }
+
+    if (is_preferred) {
+      await req.db.models.ProductSupplier.update(
+        { is_preferred: false },
+        { where: { product_id: product.id }, transaction }
+      );
+    }
+
+    let link = await req.db.models.ProductSupplier.findOne({
+      where: { product_id: product.id, supplier_id: supplier.id },
+      transaction
+    });
+
+    const created = !link;
+    if (link) {
+      await link.update({
+        ...(supplier_sku !== undefined && { supplier_sku }),
+        ...(is_preferred !== undefined && { is_preferred: !!is_preferred }),
+        ...(last_cost !== undefined && { last_cost }),
+        ...(lead_time_days !== undefined && { lead_time_days: parseInt(lead_time_days) }),
+        ...(min_order_quantity !== undefined && { min_order_quantity: Math.max(parseInt(min_order_quantity) || 1, 1) })
+      }, { transaction });
+    } else {
+      link = await req.db.models.ProductSupplier.create({
+        product_id: product.id,
+        supplier_id: supplier.id,
+        supplier_sku: supplier_sku || null,
+        is_preferred: !!is_preferred,
+        last_cost: last_cost !== undefined ? last_cost : null,
+        lead_time_days: lead_time_days !== undefined ? parseInt(lead_time_days) : 7,
+        min_order_quantity: Math.max(parseInt(min_order_quantity) || 1, 1)
+      }, { transaction });
+    }
+
+    await transaction.commit();
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Product linked to supplier successfully' : 'Supplier product updated successfully',
+      data: { product_supplier: link }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error saving supplier product:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save supplier product'
+    });
+  }
+}
+
+/**
+ * Remove a product from a supplier
+ */
+async function removeSupplierProduct(req, res) {
+  try {
+    const link = await req.db.models.ProductSupplier.findOne({
+      where: {
+        supplier_id: req.params.id,
+        product_id: req.params.productId
+      }
+    });
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier product not found'
+      });
+    }
+
+    await link.destroy();
+
+    res.json({
+      success: true,
+      message: 'Product removed from supplier successfully'
+    });
+  } catch (error) {
+    console.error('Error removing supplier product:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove supplier product'
+    });
+  }
+}
+
+/**
+ * Get supplier statement (bills, payments, running balance and aging)
+ */
+async function getSupplierStatement(req, res) {
+  try {
+    const { start_date, end_date } = req.query;
+    const supplier = await req.db.models.Supplier.findByPk(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const statement = await buildSupplierStatement(req.db.models, supplier, {
+      startDate: start_date || null,
+      endDate: end_date || null
+    });
+
+    res.json({
+      success: true,
+      data: { statement }
+    });
+  } catch (error) {
+    console.error('Error getting supplier statement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get supplier statement'
+    });
+  }
+}
+
 module.exports = {
   getAllSuppliers,
   getSupplierById,
   createSupplier,
   updateSupplier,
-  deleteSupplier
+  deleteSupplier,
+  getSupplierProducts,
+  upsertSupplierProduct,
+  removeSupplierProduct,
+  getSupplierStatement
 };
\ No newline at end of file
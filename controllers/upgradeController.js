@@ -120,6 +120,28 @@ async function migrateFreeUserData(tenantId, newTenantId) {
     await newModels.Invoice.create(invoice.toJSON());
   }
 
+  // Migrate invoice payments and instalment schedules
+  const invoicePayments = await models.InvoicePayment.findAll({ where: { tenant_id: tenantId } });
+  for (const payment of invoicePayments) {
+    await newModels.InvoicePayment.create(payment.toJSON());
+  }
+
+  const paymentSchedules = await models.InvoicePaymentSchedule.findAll({ where: { tenant_id: tenantId } });
+  for (const instalment of paymentSchedules) {
+    await newModels.InvoicePaymentSchedule.create(instalment.toJSON());
+  }
+
+  // Migrate invoice reminder history and settings
+  const invoiceReminders = await models.InvoiceReminder.findAll({ where: { tenant_id: tenantId } });
+  for (const reminder of invoiceReminders) {
+    await newModels.InvoiceReminder.create(reminder.toJSON());
+  }
+
+  const reminderSetting = await models.InvoiceReminderSetting.findOne({ where: { tenant_id: tenantId } });
+  if (reminderSetting) {
+    await newModels.InvoiceReminderSetting.create(reminderSetting.toJSON());
+  }
+
   // Migrate online store orders
   const orders = await models.OnlineStoreOrder.findAll({ where: { tenant_id: tenantId } });
   for (const order of orders) {
@@ -0,0 +1,238 @@
+/**
+ * Permission middleware
+ * Enforces the Role/Permission tables (managed via roleController) on top of authenticate()
+ * Must be used after attachTenantDb and initializeTenantModels middleware
+ */
+
+const { Sequelize } = require('sequelize');
+
+// Cache resolved permissions per tenant user so every request doesn't hit the role tables
+const CACHE_TTL_MS = parseInt(process.env.PERMISSION_CACHE_TTL_MS) || 5 * 60 * 1000;
+const permissionCache = new Map();
+
+/**
+ * Account roles (users table) mapped to the default tenant role names from scripts/initDefaultRoles.js
+ * Used when the logged-in user has no staff record of their own
+ */
+const accountRoleFallback = {
+  manager: 'Manager',
+  staff: 'Staff'
+};
+
+function getCacheKey(tenantId, userId) {
+  return `${tenantId}:${userId}`;
+}
+
+/**
+ * Limit staff and role lookups to the caller's tenant on the shared (non-enterprise) database
+ */
+function tenantScope(req) {
+  const isSharedDb = !req.tenant || req.tenant.subscription_plan !== 'enterprise';
+  return isSharedDb ? { tenant_id: req.user.tenantId } : {};
+}
+
+/**
+ * Load permission names for a role
+ */
+async function getRolePermissionNames(models, where) {
+  const role = await models.Role.findOne({
+    where,
+    include: [
+      {
+        model: models.Permission,
+        through: { attributes: [] },
+        attributes: ['name']
+      }
+    ]
+  });
+
+  if (!role) {
+    return null;
+  }
+
+  return (role.Permissions || []).map(permission => permission.name);
+}
+
+/**
+ * Resolve the permission names for the current user
+ * - Tenant admins (account owners) have every permission
+ * - Staff members get the permissions of their assigned role
+ * - Other users fall back to the default role matching their account role
+ * @returns {Promise<Object>} - { permissions: Set, isAdmin, staffId }
+ */
+async function resolveUserPermissions(req) {
+  const cacheKey = getCacheKey(req.user.tenantId, req.user.id);
+  const cached = permissionCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached;
+  }
+
+  let resolved = { permissions: new Set(), isAdmin: false, staffId: null };
+
+  if (req.user.role === 'admin') {
+    resolved.isAdmin = true;
+  } else {
+    const models = req.db.models;
+
+    const staff = req.user.email
+      ? await models.Staff.findOne({
+          where: {
+            ...tenantScope(req),
+            email: req.user.email,
+            status: 'active'
+          },
+          attributes: ['id', 'role_id']
+        })
+      : null;
+
+    let permissionNames = null;
+    if (staff) {
+      resolved.staffId = staff.id;
+      if (staff.role_id) {
+        permissionNames = await getRolePermissionNames(models, { ...tenantScope(req), id: staff.role_id });
+      }
+    }
+
+    if (!permissionNames && accountRoleFallback[req.user.role]) {
+      permissionNames = await getRolePermissionNames(models, {
+        ...tenantScope(req),
+        name: { [Sequelize.Op.like]: accountRoleFallback[req.user.role] }
+      });
+    }
+
+    resolved.permissions = new Set(permissionNames || []);
+  }
+
+  resolved.expiresAt = Date.now() + CACHE_TTL_MS;
+  permissionCache.set(cacheKey, resolved);
+  return resolved;
+}
+
+/**
+ * Require one or more permissions (all must be granted)
+ * Usage: router.put('/:id', requirePermission('inventory.update'), controller.update)
+ */
+function requirePermission(...permissionNames) {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (!req.db || !req.db.models) {
+      return res.status(500).json({
+        success: false,
+        message: 'Database connection not available'
+      });
+    }
+
+    try {
+      const resolved = await resolveUserPermissions(req);
+
+      if (resolved.staffId && !req.user.staffId) {
+        req.user.staffId = resolved.staffId;
+      }
+
+      if (resolved.isAdmin) {
+        return next();
+      }
+
+      const missing = permissionNames.filter(name => !resolved.permissions.has(name));
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Insufficient permissions: missing '${missing.join("', '")}'`,
+          required_permissions: permissionNames,
+          missing_permissions: missing
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Error checking permissions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to verify permissions'
+      });
+    }
+  };
+}
+
+/**
+ * Resolve the caller's staff record (sets req.user.staffId) without requiring a permission
+ * For routes any signed-in user may call but whose data depends on which staff member is calling
+ * (POS checkout, own commission statement, shift swap requests)
+ * Usage: router.post('/swap-requests', requireStaff, controller.createSwapRequest)
+ * @param {boolean} required - Reject callers who have no active staff record
+ */
+function resolveStaff(required) {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (!req.db || !req.db.models) {
+      return res.status(500).json({
+        success: false,
+        message: 'Database connection not available'
+      });
+    }
+
+    try {
+      const resolved = await resolveUserPermissions(req);
+
+      if (resolved.staffId && !req.user.staffId) {
+        req.user.staffId = resolved.staffId;
+      }
+
+      if (required && !req.user.staffId) {
+        return res.status(403).json({
+          success: false,
+          message: 'This action is only available to staff members'
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Error resolving staff record:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to verify staff record'
+      });
+    }
+  };
+}
+
+const attachStaff = resolveStaff(false);
+const requireStaff = resolveStaff(true);
+
+/**
+ * Drop cached permissions after roles, role permissions or staff roles change
+ * @param {number} tenantId - Clear only this tenant's users (omit to clear everything)
+ */
+function clearPermissionCache(tenantId = null) {
+  if (!tenantId) {
+    permissionCache.clear();
+    return;
+  }
+
+  const prefix = `${tenantId}:`;
+  for (const key of permissionCache.keys()) {
+    if (key.startsWith(prefix)) {
+      permissionCache.delete(key);
+    }
+  }
+}
+
+module.exports = {
+  requirePermission,
+  attachStaff,
+  requireStaff,
+  resolveUserPermissions,
+  clearPermissionCache
+};
@@ -269,6 +269,11 @@ function initializeModels(sequelize) {
       type: DataTypes.STRING(500),
       allowNull: true
     },
+    requires_prescription: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: 'Prescription-only medicine: POS will not sell it without a valid prescription'
+    },
     is_active: {
       type: DataTypes.BOOLEAN,
       defaultValue: true
@@ -312,6 +317,11 @@ function initializeModels(sequelize) {
       type: DataTypes.INTEGER,
       defaultValue: 0
     },
+    reserved_quantity: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: 'Units held for layaway orders (not available for sale)'
+    },
     price_override: {
       type: DataTypes.DECIMAL(10, 2),
       allowNull: true
@@ -578,8 +588,18 @@ function initializeModels(sequelize) {
       type: DataTypes.DECIMAL(5, 2),
       defaultValue: 0.00
     },
+    amount_paid: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    balance_due: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
     status: {
-      type: DataTypes.ENUM('draft', 'sent', 'paid', 'overdue', 'cancelled'),
+      type: DataTypes.ENUM('draft', 'sent', 'partially_paid', 'paid', 'overdue', 'cancelled'),
       defaultValue: 'draft'
     },
     payment_method: {
@@ -590,6 +610,11 @@ function initializeModels(sequelize) {
       type: DataTypes.DATEONLY,
       allowNull: true
     },
+    reminders_enabled: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+      comment: 'Set to false to opt this invoice out of automatic payment reminders'
+    },
     notes: {
       type: DataTypes.TEXT,
       allowNull: true
@@ -684,6 +709,240 @@ function initializeModels(sequelize) {
     updatedAt: false
   });
 
+  // Invoice Payment Model (payments ledger - one row per deposit/instalment/online payment)
+  const InvoicePayment = sequelize.define('InvoicePayment', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    tenant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Nullable for enterprise users (they have separate DBs), required for free users (shared DB)
+      comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
+    },
+    invoice_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'invoices',
+        key: 'id'
+      }
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    payment_method: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      defaultValue: 'cash'
+    },
+    reference: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Bank transfer reference, cheque number, gateway reference, etc.'
+    },
+    payment_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    payment_transaction_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Set when the payment was made online through the payment gateway'
+    },
+    status: {
+      type: DataTypes.ENUM('completed', 'voided'),
+      defaultValue: 'completed'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    recorded_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    voided_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    void_reason: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    }
+  }, {
+    tableName: 'invoice_payments',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Invoice Payment Schedule Model (optional instalment plan)
+  const InvoicePaymentSchedule = sequelize.define('InvoicePaymentSchedule', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    tenant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Nullable for enterprise users (they have separate DBs), required for free users (shared DB)
+      comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
+    },
+    invoice_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'invoices',
+        key: 'id'
+      }
+    },
+    instalment_number: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    due_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    amount_paid: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'partially_paid', 'paid', 'overdue'),
+      defaultValue: 'pending'
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    }
+  }, {
+    tableName: 'invoice_payment_schedules',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Invoice Reminder Model (history of payment reminder emails per invoice)
+  const InvoiceReminder = sequelize.define('InvoiceReminder', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    tenant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Nullable for enterprise users (they have separate DBs), required for free users (shared DB)
+      comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
+    },
+    invoice_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'invoices',
+        key: 'id'
+      }
+    },
+    reminder_type: {
+      type: DataTypes.ENUM('before_due', 'on_due', 'after_due', 'manual'),
+      allowNull: false
+    },
+    days_offset: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Days before (before_due) or after (after_due) the due date'
+    },
+    sent_to: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('sent', 'failed'),
+      allowNull: false
+    },
+    balance_due: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'Balance at the time the reminder was sent'
+    },
+    pdf_attached: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    error_message: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    sent_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'User who sent a manual reminder (NULL for scheduled reminders)'
+    },
+    sent_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'invoice_reminders',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+  });
+
+  // Invoice Reminder Setting Model (one row per tenant - when reminders go out)
+  const InvoiceReminderSetting = sequelize.define('InvoiceReminderSetting', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    tenant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Nullable for enterprise users (they have separate DBs), required for free users (shared DB)
+      comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
+    },
+    is_enabled: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    days_before_due: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Array of days before the due date to send a reminder, e.g. [3]'
+    },
+    remind_on_due_date: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    days_after_due: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Array of days after the due date to send a reminder, e.g. [1, 7, 14]'
+    },
+    attach_pdf: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    auto_mark_overdue: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'invoice_reminder_settings',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
   // Receipt Model (can be standalone or linked to invoice)
   const Receipt = sequelize.define('Receipt', {
     id: {
@@ -840,6 +1099,32 @@ function initializeModels(sequelize) {
       type: DataTypes.JSON,
       allowNull: true
     },
+    payment_requirement: {
+      type: DataTypes.ENUM('none', 'deposit', 'full'),
+      defaultValue: 'none',
+      comment: 'Online payment needed to secure a public booking: none, a deposit, or the full price'
+    },
+    deposit_type: {
+      type: DataTypes.ENUM('percentage', 'fixed'),
+      defaultValue: 'percentage'
+    },
+    deposit_value: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    cancellation_fee_type: {
+      type: DataTypes.ENUM('none', 'percentage', 'fixed'),
+      defaultValue: 'none'
+    },
+    cancellation_fee_value: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    cancellation_fee_window_hours: {
+      type: DataTypes.INTEGER,
+      defaultValue: 24,
+      comment: 'Cancellations this close to the appointment (and no-shows) are charged the fee'
+    },
     is_active: {
       type: DataTypes.BOOLEAN,
       defaultValue: true
@@ -930,6 +1215,16 @@ function initializeModels(sequelize) {
       type: DataTypes.STRING(255),
       allowNull: true
     },
+    staff_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Assigned staff member (enterprise only; staff_name keeps the display name)'
+    },
+    resource_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Room / chair / equipment held for the booking (enterprise only)'
+    },
     status: {
       type: DataTypes.ENUM('pending', 'confirmed', 'completed', 'cancelled', 'no_show'),
       defaultValue: 'pending'
@@ -938,6 +1233,56 @@ function initializeModels(sequelize) {
       type: DataTypes.TEXT,
       allowNull: true
     },
+    reschedule_count: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: 'Times the customer has moved the booking via the self-service link'
+    },
+    payment_status: {
+      type: DataTypes.ENUM('not_required', 'awaiting_payment', 'deposit_paid', 'paid', 'refund_due', 'refunded'),
+      defaultValue: 'not_required'
+    },
+    payment_required_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00,
+      comment: 'Deposit or full price to be paid online to secure the booking'
+    },
+    amount_paid: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    payment_transaction_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    payment_hold_expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Unpaid bookings are released after this time'
+    },
+    cancellation_fee: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    refund_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00,
+      comment: 'Amount paid online still owed back to the customer after cancellation'
+    },
+    series_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Recurring series this booking is an occurrence of'
+    },
+    customer_package_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Customer package a session is taken from when the booking is completed'
+    },
+    package_redeemed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     notes: {
       type: DataTypes.TEXT,
       allowNull: true
@@ -1006,8 +1351,8 @@ function initializeModels(sequelize) {
     updatedAt: false
   });
 
-  // Store Product Model (for online store product publishing)
-  const StoreProduct = sequelize.define('StoreProduct', {
+  // Booking Reminder Model (reminder history per booking and channel)
+  const BookingReminder = sequelize.define('BookingReminder', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
@@ -1018,89 +1363,119 @@ function initializeModels(sequelize) {
       allowNull: true, // Nullable for enterprise users (they have separate DBs), required for free users (shared DB)
       comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
     },
-    product_id: {
+    booking_id: {
       type: DataTypes.INTEGER,
       allowNull: false,
       references: {
-        model: 'products',
+        model: 'bookings',
         key: 'id'
       }
     },
-    is_published: {
-      type: DataTypes.BOOLEAN,
-      defaultValue: false
+    reminder_type: {
+      type: DataTypes.ENUM('before_start', 'manual'),
+      allowNull: false
     },
-    seo_title: {
+    hours_before: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    channel: {
+      type: DataTypes.ENUM('email', 'whatsapp'),
+      allowNull: false
+    },
+    scheduled_for: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Appointment time the reminder was for (rescheduling re-arms reminders)'
+    },
+    sent_to: {
       type: DataTypes.STRING(255),
       allowNull: true
     },
-    seo_description: {
+    status: {
+      type: DataTypes.ENUM('sent', 'failed'),
+      allowNull: false
+    },
+    error_message: {
       type: DataTypes.TEXT,
       allowNull: true
     },
-    seo_keywords: {
-      type: DataTypes.STRING(500),
+    sent_by: {
+      type: DataTypes.INTEGER,
       allowNull: true
     },
-    featured: {
-      type: DataTypes.BOOLEAN,
-      defaultValue: false
-    },
-    sort_order: {
-      type: DataTypes.INTEGER,
-      defaultValue: 1
+    sent_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
     }
   }, {
-    tableName: 'store_products',
+    tableName: 'booking_reminders',
     timestamps: true,
     createdAt: 'created_at',
-    updatedAt: 'updated_at'
+    updatedAt: false
   });
 
-  // Customer Interaction Model
-  const CustomerInteraction = sequelize.define('CustomerInteraction', {
+  // Booking Reminder Setting Model (one row per tenant - reminder schedule and self-service reschedule/cancel policy)
+  const BookingReminderSetting = sequelize.define('BookingReminderSetting', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
       autoIncrement: true
     },
-    customer_id: {
+    tenant_id: {
       type: DataTypes.INTEGER,
-      allowNull: false,
-      references: {
-        model: 'customers',
-        key: 'id'
-      }
+      allowNull: true, // Nullable for enterprise users (they have separate DBs), required for free users (shared DB)
+      comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
     },
-    interaction_type: {
-      type: DataTypes.ENUM('call', 'email', 'meeting', 'note', 'whatsapp', 'instagram'),
-      allowNull: false
+    is_enabled: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
     },
-    subject: {
-      type: DataTypes.STRING(255),
-      allowNull: true
+    hours_before: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Array of hours before the appointment to send a reminder, e.g. [24, 1]'
     },
-    description: {
-      type: DataTypes.TEXT,
-      allowNull: true
+    send_email: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
     },
-    interaction_date: {
-      type: DataTypes.DATE,
-      allowNull: false
+    send_whatsapp: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
     },
-    created_by: {
-      type: DataTypes.STRING(255),
-      allowNull: true
+    allow_reschedule: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    allow_cancellation: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    reschedule_cutoff_hours: {
+      type: DataTypes.INTEGER,
+      defaultValue: 24,
+      comment: 'Customers can reschedule up to this many hours before the appointment'
+    },
+    cancellation_cutoff_hours: {
+      type: DataTypes.INTEGER,
+      defaultValue: 24,
+      comment: 'Customers can cancel up to this many hours before the appointment'
+    },
+    max_reschedules: {
+      type: DataTypes.INTEGER,
+      defaultValue: 2
     }
   }, {
-    tableName: 'customer_interactions',
+    tableName: 'booking_reminder_settings',
     timestamps: true,
     createdAt: 'created_at',
-    updatedAt: false
+    updatedAt: 'updated_at'
   });
 
-  // AI Agent Config Model
-  const AIAgentConfig = sequelize.define('AIAgentConfig', {
+  // Booking Series Model (recurring appointments - weekly or every N weeks)
+  const BookingSeries = sequelize.define('BookingSeries', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
@@ -1111,69 +1486,68 @@ function initializeModels(sequelize) {
       allowNull: true, // Nullable for enterprise users (they have separate DBs), required for free users (shared DB)
       comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
     },
-    whatsapp_enabled: {
-      type: DataTypes.BOOLEAN,
-      defaultValue: false
-    },
-    instagram_enabled: {
-      type: DataTypes.BOOLEAN,
-      defaultValue: false
-    },
-    whatsapp_phone_number: {
-      type: DataTypes.STRING(50),
+    store_id: {
+      type: DataTypes.INTEGER,
       allowNull: true
     },
-    whatsapp_phone_number_id: {
-      type: DataTypes.STRING(100),
+    service_id: {
+      type: DataTypes.INTEGER,
       allowNull: true
     },
-    whatsapp_access_token: {
-      type: DataTypes.TEXT,
+    customer_id: {
+      type: DataTypes.INTEGER,
       allowNull: true
     },
-    whatsapp_token_expires_at: {
+    frequency: {
+      type: DataTypes.ENUM('weekly'),
+      defaultValue: 'weekly'
+    },
+    interval_weeks: {
+      type: DataTypes.INTEGER,
+      defaultValue: 1
+    },
+    starts_at: {
       type: DataTypes.DATE,
-      allowNull: true,
-      comment: 'When the WhatsApp access token expires (for long-lived tokens, typically 60 days)'
+      allowNull: false
     },
-    instagram_account_id: {
-      type: DataTypes.STRING(100),
+    end_date: {
+      type: DataTypes.DATEONLY,
       allowNull: true
     },
-    instagram_access_token: {
-      type: DataTypes.TEXT,
+    occurrence_count: {
+      type: DataTypes.INTEGER,
       allowNull: true
     },
-    instagram_token_expires_at: {
-      type: DataTypes.DATE,
+    staff_id: {
+      type: DataTypes.INTEGER,
       allowNull: true,
-      comment: 'When the Instagram access token expires (for long-lived tokens, typically 60 days)'
+      comment: 'Requested staff member for every occurrence (enterprise only)'
     },
-    greeting_message: {
-      type: DataTypes.TEXT,
+    customer_package_id: {
+      type: DataTypes.INTEGER,
       allowNull: true
     },
-    unavailable_message: {
-      type: DataTypes.TEXT,
-      allowNull: true
+    status: {
+      type: DataTypes.ENUM('active', 'cancelled'),
+      defaultValue: 'active'
     },
-    business_hours: {
-      type: DataTypes.JSON,
+    created_by: {
+      type: DataTypes.INTEGER,
       allowNull: true
     },
-    settings: {
-      type: DataTypes.JSON,
+    notes: {
+      type: DataTypes.TEXT,
       allowNull: true
     }
   }, {
-    tableName: 'ai_agent_configs',
+    tableName: 'booking_series',
     timestamps: true,
     createdAt: 'created_at',
     updatedAt: 'updated_at'
   });
 
-  // WhatsApp Connection Model (for tenant databases)
-  const WhatsAppConnection = sequelize.define('WhatsAppConnection', {
+  // Service Package Model (e.g. "10 sessions" bundles and memberships)
+  const ServicePackage = sequelize.define('ServicePackage', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
@@ -1184,89 +1558,49 @@ function initializeModels(sequelize) {
       allowNull: true, // Nullable for enterprise users (they have separate DBs), required for free users (shared DB)
       comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
     },
-    phone_number_id: {
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    name: {
       type: DataTypes.STRING(255),
       allowNull: false
     },
-    waba_id: {
-      type: DataTypes.STRING(255),
+    description: {
+      type: DataTypes.TEXT,
       allowNull: true
     },
-    access_token: {
-      type: DataTypes.TEXT,
-      allowNull: false
+    package_type: {
+      type: DataTypes.ENUM('sessions', 'membership'),
+      defaultValue: 'sessions'
     },
-    token_expires_at: {
-      type: DataTypes.DATE,
+    session_count: {
+      type: DataTypes.INTEGER,
       allowNull: true,
-      comment: 'When the access token expires (for long-lived tokens, typically 60 days)'
+      comment: 'NULL = unlimited sessions (memberships)'
+    },
+    validity_days: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'NULL = never expires'
+    },
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
     }
   }, {
-    tableName: 'whatsapp_connections',
+    tableName: 'service_packages',
     timestamps: true,
-    createdAt: 'connected_at',
+    createdAt: 'created_at',
     updatedAt: 'updated_at'
   });
 
-    // Define associations (all associations must be inside try block)
-    console.log('Defining model associations...');
-    
-  // Store associations
-  Store.hasMany(Product, { foreignKey: 'store_id' });
-  Product.belongsTo(Store, { foreignKey: 'store_id' });
-
-  Store.belongsToMany(Product, { through: ProductStore, foreignKey: 'store_id', otherKey: 'product_id' });
-  Product.belongsToMany(Store, { through: ProductStore, foreignKey: 'product_id', otherKey: 'store_id' });
-
-  Store.hasMany(Invoice, { foreignKey: 'store_id' });
-  Invoice.belongsTo(Store, { foreignKey: 'store_id' });
-
-  Store.hasMany(StoreService, { foreignKey: 'store_id', onDelete: 'CASCADE' });
-  StoreService.belongsTo(Store, { foreignKey: 'store_id' });
-
-  Store.hasMany(Booking, { foreignKey: 'store_id' });
-  Booking.belongsTo(Store, { foreignKey: 'store_id' });
-
-  Store.hasMany(BookingAvailability, { foreignKey: 'store_id', onDelete: 'CASCADE' });
-  BookingAvailability.belongsTo(Store, { foreignKey: 'store_id' });
-
-  // Customer associations
-  Customer.hasMany(Invoice, { foreignKey: 'customer_id' });
-  Invoice.belongsTo(Customer, { foreignKey: 'customer_id' });
-
-  Customer.hasMany(Booking, { foreignKey: 'customer_id' });
-  Booking.belongsTo(Customer, { foreignKey: 'customer_id' });
-
-  Customer.hasMany(CustomerInteraction, { foreignKey: 'customer_id', onDelete: 'CASCADE' });
-  CustomerInteraction.belongsTo(Customer, { foreignKey: 'customer_id' });
-
-  // Invoice associations
-  Invoice.hasMany(InvoiceItem, { foreignKey: 'invoice_id', onDelete: 'CASCADE' });
-  InvoiceItem.belongsTo(Invoice, { foreignKey: 'invoice_id' });
-
-  Product.hasMany(InvoiceItem, { foreignKey: 'product_id' });
-  InvoiceItem.belongsTo(Product, { foreignKey: 'product_id' });
-
-  // Booking associations
-  StoreService.hasMany(Booking, { foreignKey: 'service_id' });
-  Booking.belongsTo(StoreService, { foreignKey: 'service_id' });
-
-  StoreService.hasMany(BookingAvailability, { foreignKey: 'service_id', onDelete: 'CASCADE' });
-  BookingAvailability.belongsTo(StoreService, { foreignKey: 'service_id' });
-  
-  // Product associations
-    // One product can be published to multiple stores, so it's hasMany, not hasOne
-    Product.hasMany(StoreProduct, { foreignKey: 'product_id', onDelete: 'CASCADE' });
-  StoreProduct.belongsTo(Product, { foreignKey: 'product_id' });
-
-  // Product Variation associations
-  Product.hasMany(ProductVariation, { foreignKey: 'product_id', onDelete: 'CASCADE' });
-  ProductVariation.belongsTo(Product, { foreignKey: 'product_id' });
-  ProductVariation.hasMany(ProductVariationOption, { foreignKey: 'variation_id', onDelete: 'CASCADE' });
-  ProductVariationOption.belongsTo(ProductVariation, { foreignKey: 'variation_id' });
- 
-  // Online Store Model (aggregates physical stores)
-  const OnlineStore = sequelize.define('OnlineStore', {
+  // Service Package Service Model (services a package covers)
+  const ServicePackageService = sequelize.define('ServicePackageService', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
@@ -1277,89 +1611,99 @@ function initializeModels(sequelize) {
       allowNull: true, // Nullable for enterprise users (they have separate DBs), required for free users (shared DB)
       comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
     },
-    username: {
-      type: DataTypes.STRING(100),
-      allowNull: false,
-      unique: true
-    },
-    store_name: {
-      type: DataTypes.STRING(255),
+    package_id: {
+      type: DataTypes.INTEGER,
       allowNull: false
     },
-    store_description: {
-      type: DataTypes.TEXT,
-      allowNull: true
+    service_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    }
+  }, {
+    tableName: 'service_package_services',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+  });
+
+  // Customer Package Model (a package sold to a customer, with its session balance)
+  const CustomerPackage = sequelize.define('CustomerPackage', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
     },
-    profile_logo_url: {
-      type: DataTypes.STRING(500),
-      allowNull: true
+    tenant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Nullable for enterprise users (they have separate DBs), required for free users (shared DB)
+      comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
     },
-    banner_image_url: {
-      type: DataTypes.STRING(500),
-      allowNull: true
+    customer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false
     },
-    background_image_url: {
-      type: DataTypes.STRING(500),
+    package_id: {
+      type: DataTypes.INTEGER,
       allowNull: true
     },
-    background_color: {
-      type: DataTypes.STRING(7),
-      defaultValue: '#F2EFEF'
-    },
-    button_style: {
-      type: DataTypes.ENUM('rounded', 'square', 'pill'),
-      defaultValue: 'rounded'
-    },
-    button_color: {
-      type: DataTypes.STRING(7),
-      defaultValue: '#78716C'
+    package_name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
     },
-    button_font_color: {
-      type: DataTypes.STRING(7),
-      defaultValue: '#FFFFFF'
+    package_type: {
+      type: DataTypes.ENUM('sessions', 'membership'),
+      defaultValue: 'sessions'
     },
-    is_location_based: {
-      type: DataTypes.BOOLEAN,
-      defaultValue: false
+    sessions_total: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'NULL = unlimited sessions (memberships)'
     },
-    show_location: {
-      type: DataTypes.BOOLEAN,
-      defaultValue: true
+    sessions_used: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
     },
-    allow_delivery_datetime: {
-      type: DataTypes.BOOLEAN,
-      defaultValue: false
+    price_paid: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
     },
-    social_links: {
-      type: DataTypes.JSON,
+    payment_method: {
+      type: DataTypes.STRING(50),
       allowNull: true
     },
-    // Paystack subaccount details for split payments (enterprise and free users)
-    paystack_subaccount_code: {
+    payment_reference: {
       type: DataTypes.STRING(255),
       allowNull: true
     },
-    paystack_subaccount_id: {
-      type: DataTypes.STRING(255),
+    starts_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    expires_at: {
+      type: DataTypes.DATE,
       allowNull: true
     },
-    is_published: {
-      type: DataTypes.BOOLEAN,
-      defaultValue: false
+    status: {
+      type: DataTypes.ENUM('active', 'exhausted', 'expired', 'cancelled'),
+      defaultValue: 'active'
     },
-    setup_completed: {
-      type: DataTypes.BOOLEAN,
-      defaultValue: false
+    sold_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
     }
   }, {
-    tableName: 'online_stores',
+    tableName: 'customer_packages',
     timestamps: true,
     createdAt: 'created_at',
     updatedAt: 'updated_at'
   });
 
-  // Online Store Location Model (many-to-many: online store ↔ physical stores)
-  const OnlineStoreLocation = sequelize.define('OnlineStoreLocation', {
+  // Customer Package Usage Model (session ledger)
+  const CustomerPackageUsage = sequelize.define('CustomerPackageUsage', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
@@ -1370,35 +1714,40 @@ function initializeModels(sequelize) {
       allowNull: true, // Nullable for enterprise users (they have separate DBs), required for free users (shared DB)
       comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
     },
-    online_store_id: {
+    customer_package_id: {
       type: DataTypes.INTEGER,
-      allowNull: false,
-      references: {
-        model: 'online_stores',
-        key: 'id'
-      }
+      allowNull: false
     },
-    store_id: {
+    booking_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    usage_type: {
+      type: DataTypes.ENUM('redeem', 'reverse', 'adjust'),
+      allowNull: false
+    },
+    sessions: {
       type: DataTypes.INTEGER,
       allowNull: false,
-      references: {
-        model: 'stores',
-        key: 'id'
-      }
+      comment: 'Sessions used (negative when given back)'
     },
-    is_default: {
-      type: DataTypes.BOOLEAN,
-      defaultValue: false
+    note: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true
     }
   }, {
-    tableName: 'online_store_locations',
+    tableName: 'customer_package_usages',
     timestamps: true,
     createdAt: 'created_at',
     updatedAt: false
   });
 
-  // Online Store Service Model (links physical store services to online store)
-  const OnlineStoreService = sequelize.define('OnlineStoreService', {
+  // Booking Calendar Feed Model (secret iCalendar subscription URL for a store's or staff member's bookings)
+  const BookingCalendarFeed = sequelize.define('BookingCalendarFeed', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
@@ -1409,40 +1758,45 @@ function initializeModels(sequelize) {
       allowNull: true, // Nullable for enterprise users (they have separate DBs), required for free users (shared DB)
       comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
     },
-    online_store_id: {
+    feed_type: {
+      type: DataTypes.ENUM('store', 'staff'),
+      allowNull: false
+    },
+    store_id: {
       type: DataTypes.INTEGER,
-      allowNull: false,
-      references: {
-        model: 'online_stores',
-        key: 'id'
-      }
+      allowNull: true
     },
-    service_id: {
+    staff_id: {
       type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    token: {
+      type: DataTypes.STRING(64),
       allowNull: false,
-      references: {
-        model: 'store_services',
-        key: 'id'
-      }
+      unique: true,
+      comment: 'Secret in the feed URL - rotate to revoke old subscriptions'
     },
-    is_visible: {
+    is_active: {
       type: DataTypes.BOOLEAN,
       defaultValue: true
     },
-    sort_order: {
+    created_by: {
       type: DataTypes.INTEGER,
-      defaultValue: 1
+      allowNull: true
+    },
+    last_accessed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
   }, {
-    tableName: 'online_store_services',
+    tableName: 'booking_calendar_feeds',
     timestamps: true,
     createdAt: 'created_at',
-    updatedAt: false
+    updatedAt: 'updated_at'
   });
 
-
-  // Store Collection Model
-  const StoreCollection = sequelize.define('StoreCollection', {
+  // Store Product Model (for online store product publishing)
+  const StoreProduct = sequelize.define('StoreProduct', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
@@ -1453,100 +1807,89 @@ function initializeModels(sequelize) {
       allowNull: true, // Nullable for enterprise users (they have separate DBs), required for free users (shared DB)
       comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
     },
-    online_store_id: {
+    product_id: {
       type: DataTypes.INTEGER,
       allowNull: false,
       references: {
-        model: 'online_stores',
+        model: 'products',
         key: 'id'
       }
     },
-    collection_name: {
+    is_published: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    seo_title: {
       type: DataTypes.STRING(255),
-      allowNull: false
+      allowNull: true
     },
-    collection_type: {
-      type: DataTypes.ENUM('product', 'service'),
-      allowNull: false,
-      defaultValue: 'product',
-      comment: 'Type of collection: product or service'
+    seo_description: {
+      type: DataTypes.TEXT,
+      allowNull: true
     },
-    layout_type: {
-      type: DataTypes.ENUM('grid', 'list', 'carousel'),
-      defaultValue: 'grid'
+    seo_keywords: {
+      type: DataTypes.STRING(500),
+      allowNull: true
     },
-    is_pinned: {
+    featured: {
       type: DataTypes.BOOLEAN,
       defaultValue: false
     },
-    is_visible: {
-      type: DataTypes.BOOLEAN,
-      defaultValue: true
-    },
     sort_order: {
       type: DataTypes.INTEGER,
       defaultValue: 1
     }
   }, {
-    tableName: 'store_collections',
+    tableName: 'store_products',
     timestamps: true,
     createdAt: 'created_at',
     updatedAt: 'updated_at'
   });
 
-  // Store Collection Product Model (junction table)
-  const StoreCollectionProduct = sequelize.define('StoreCollectionProduct', {
+  // Customer Interaction Model
+  const CustomerInteraction = sequelize.define('CustomerInteraction', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
       autoIncrement: true
     },
-    tenant_id: {
-      type: DataTypes.INTEGER,
-      allowNull: true, // Nullable for enterprise users (they have separate DBs), required for free users (shared DB)
-      comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
-    },
-    collection_id: {
+    customer_id: {
       type: DataTypes.INTEGER,
       allowNull: false,
       references: {
-        model: 'store_collections',
+        model: 'customers',
         key: 'id'
       }
     },
-    product_id: {
-      type: DataTypes.INTEGER,
-      allowNull: false,
-      references: {
-        model: 'products',
-        key: 'id'
-      }
+    interaction_type: {
+      type: DataTypes.ENUM('call', 'email', 'meeting', 'note', 'whatsapp', 'instagram'),
+      allowNull: false
     },
-    store_id: {
-      type: DataTypes.INTEGER,
-      allowNull: true,
-      references: {
-        model: 'stores',
-        key: 'id'
-      }
+    subject: {
+      type: DataTypes.STRING(255),
+      allowNull: true
     },
-    is_pinned: {
-      type: DataTypes.BOOLEAN,
-      defaultValue: false
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
     },
-    sort_order: {
-      type: DataTypes.INTEGER,
-      defaultValue: 1
+    interaction_date: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    created_by: {
+      type: DataTypes.STRING(255),
+      allowNull: true
     }
   }, {
-    tableName: 'store_collection_products',
+    tableName: 'customer_interactions',
     timestamps: true,
     createdAt: 'created_at',
     updatedAt: false
   });
 
-  // Store Collection Service Model (junction table for services in collections)
-  const StoreCollectionService = sequelize.define('StoreCollectionService', {
+  // AI Agent Config Model
+  const AIAgentConfig = sequelize.define('AIAgentConfig', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
@@ -1557,65 +1900,3747 @@ function initializeModels(sequelize) {
       allowNull: true, // Nullable for enterprise users (they have separate DBs), required for free users (shared DB)
       comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
     },
-    collection_id: {
-      type: DataTypes.INTEGER,
-      allowNull: false,
-      references: {
-        model: 'store_collections',
-        key: 'id'
-      }
-    },
-    service_id: {
-      type: DataTypes.INTEGER,
-      allowNull: false,
-      references: {
-        model: 'store_services',
-        key: 'id'
-      }
-    },
-    store_id: {
-      type: DataTypes.INTEGER,
-      allowNull: true,
-      references: {
-        model: 'stores',
-        key: 'id'
-      }
-    },
-    is_pinned: {
+    whatsapp_enabled: {
       type: DataTypes.BOOLEAN,
       defaultValue: false
     },
-    sort_order: {
+    instagram_enabled: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    whatsapp_phone_number: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    whatsapp_phone_number_id: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    whatsapp_access_token: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    whatsapp_token_expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the WhatsApp access token expires (for long-lived tokens, typically 60 days)'
+    },
+    instagram_account_id: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    instagram_access_token: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    instagram_token_expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the Instagram access token expires (for long-lived tokens, typically 60 days)'
+    },
+    greeting_message: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    unavailable_message: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    business_hours: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    settings: {
+      type: DataTypes.JSON,
+      allowNull: true
+    }
+  }, {
+    tableName: 'ai_agent_configs',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // WhatsApp Connection Model (for tenant databases)
+  const WhatsAppConnection = sequelize.define('WhatsAppConnection', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    tenant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Nullable for enterprise users (they have separate DBs), required for free users (shared DB)
+      comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
+    },
+    phone_number_id: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    waba_id: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    access_token: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    token_expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the access token expires (for long-lived tokens, typically 60 days)'
+    }
+  }, {
+    tableName: 'whatsapp_connections',
+    timestamps: true,
+    createdAt: 'connected_at',
+    updatedAt: 'updated_at'
+  });
+
+    // Define associations (all associations must be inside try block)
+    console.log('Defining model associations...');
+    
+  // Store associations
+  Store.hasMany(Product, { foreignKey: 'store_id' });
+  Product.belongsTo(Store, { foreignKey: 'store_id' });
+
+  Store.belongsToMany(Product, { through: ProductStore, foreignKey: 'store_id', otherKey: 'product_id' });
+  Product.belongsToMany(Store, { through: ProductStore, foreignKey: 'product_id', otherKey: 'store_id' });
+
+  Store.hasMany(Invoice, { foreignKey: 'store_id' });
+  Invoice.belongsTo(Store, { foreignKey: 'store_id' });
+
+  Store.hasMany(StoreService, { foreignKey: 'store_id', onDelete: 'CASCADE' });
+  StoreService.belongsTo(Store, { foreignKey: 'store_id' });
+
+  Store.hasMany(Booking, { foreignKey: 'store_id' });
+  Booking.belongsTo(Store, { foreignKey: 'store_id' });
+
+  Store.hasMany(BookingAvailability, { foreignKey: 'store_id', onDelete: 'CASCADE' });
+  BookingAvailability.belongsTo(Store, { foreignKey: 'store_id' });
+
+  Booking.hasMany(BookingReminder, { foreignKey: 'booking_id', onDelete: 'CASCADE' });
+  BookingReminder.belongsTo(Booking, { foreignKey: 'booking_id' });
+
+  BookingSeries.hasMany(Booking, { foreignKey: 'series_id', constraints: false });
+  Booking.belongsTo(BookingSeries, { foreignKey: 'series_id', constraints: false });
+  BookingSeries.belongsTo(StoreService, { foreignKey: 'service_id' });
+  BookingSeries.belongsTo(Customer, { foreignKey: 'customer_id' });
+
+  // Service package associations
+  ServicePackage.belongsToMany(StoreService, { through: ServicePackageService, foreignKey: 'package_id', otherKey: 'service_id' });
+  StoreService.belongsToMany(ServicePackage, { through: ServicePackageService, foreignKey: 'service_id', otherKey: 'package_id' });
+
+  ServicePackage.hasMany(CustomerPackage, { foreignKey: 'package_id' });
+  CustomerPackage.belongsTo(ServicePackage, { foreignKey: 'package_id' });
+
+  Customer.hasMany(CustomerPackage, { foreignKey: 'customer_id', onDelete: 'CASCADE' });
+  CustomerPackage.belongsTo(Customer, { foreignKey: 'customer_id' });
+
+  CustomerPackage.hasMany(CustomerPackageUsage, { foreignKey: 'customer_package_id', onDelete: 'CASCADE' });
+  CustomerPackageUsage.belongsTo(CustomerPackage, { foreignKey: 'customer_package_id' });
+
+  CustomerPackage.hasMany(Booking, { foreignKey: 'customer_package_id', constraints: false });
+  Booking.belongsTo(CustomerPackage, { foreignKey: 'customer_package_id', constraints: false });
+
+  // Customer associations
+  Customer.hasMany(Invoice, { foreignKey: 'customer_id' });
+  Invoice.belongsTo(Customer, { foreignKey: 'customer_id' });
+
+  Customer.hasMany(Booking, { foreignKey: 'customer_id' });
+  Booking.belongsTo(Customer, { foreignKey: 'customer_id' });
+
+  Customer.hasMany(CustomerInteraction, { foreignKey: 'customer_id', onDelete: 'CASCADE' });
+  CustomerInteraction.belongsTo(Customer, { foreignKey: 'customer_id' });
+
+  // Invoice associations
+  Invoice.hasMany(InvoiceItem, { foreignKey: 'invoice_id', onDelete: 'CASCADE' });
+  InvoiceItem.belongsTo(Invoice, { foreignKey: 'invoice_id' });
+
+  Product.hasMany(InvoiceItem, { foreignKey: 'product_id' });
+  InvoiceItem.belongsTo(Product, { foreignKey: 'product_id' });
+
+  Invoice.hasMany(InvoicePayment, { foreignKey: 'invoice_id', onDelete: 'CASCADE' });
+  InvoicePayment.belongsTo(Invoice, { foreignKey: 'invoice_id' });
+
+  Invoice.hasMany(InvoicePaymentSchedule, { foreignKey: 'invoice_id', onDelete: 'CASCADE' });
+  InvoicePaymentSchedule.belongsTo(Invoice, { foreignKey: 'invoice_id' });
+
+  Invoice.hasMany(InvoiceReminder, { foreignKey: 'invoice_id', onDelete: 'CASCADE' });
+  InvoiceReminder.belongsTo(Invoice, { foreignKey: 'invoice_id' });
+
+  // Booking associations
+  StoreService.hasMany(Booking, { foreignKey: 'service_id' });
+  Booking.belongsTo(StoreService, { foreignKey: 'service_id' });
+
+  StoreService.hasMany(BookingAvailability, { foreignKey: 'service_id', onDelete: 'CASCADE' });
+  BookingAvailability.belongsTo(StoreService, { foreignKey: 'service_id' });
+  
+  // Product associations
+    // One product can be published to multiple stores, so it's hasMany, not hasOne
+    Product.hasMany(StoreProduct, { foreignKey: 'product_id', onDelete: 'CASCADE' });
+  StoreProduct.belongsTo(Product, { foreignKey: 'product_id' });
+
+  // Product Variation associations
+  Product.hasMany(ProductVariation, { foreignKey: 'product_id', onDelete: 'CASCADE' });
+  ProductVariation.belongsTo(Product, { foreignKey: 'product_id' });
+  ProductVariation.hasMany(ProductVariationOption, { foreignKey: 'variation_id', onDelete: 'CASCADE' });
+  ProductVariationOption.belongsTo(ProductVariation, { foreignKey: 'variation_id' });
+ 
+  // Online Store Model (aggregates physical stores)
+  const OnlineStore = sequelize.define('OnlineStore', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    tenant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Nullable for enterprise users (they have separate DBs), required for free users (shared DB)
+      comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
+    },
+    username: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true
+    },
+    store_name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    store_description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    profile_logo_url: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    banner_image_url: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    background_image_url: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    background_color: {
+      type: DataTypes.STRING(7),
+      defaultValue: '#F2EFEF'
+    },
+    button_style: {
+      type: DataTypes.ENUM('rounded', 'square', 'pill'),
+      defaultValue: 'rounded'
+    },
+    button_color: {
+      type: DataTypes.STRING(7),
+      defaultValue: '#78716C'
+    },
+    button_font_color: {
+      type: DataTypes.STRING(7),
+      defaultValue: '#FFFFFF'
+    },
+    is_location_based: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    show_location: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    allow_delivery_datetime: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    social_links: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    // Paystack subaccount details for split payments (enterprise and free users)
+    paystack_subaccount_code: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    paystack_subaccount_id: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    is_published: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    setup_completed: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    }
+  }, {
+    tableName: 'online_stores',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Online Store Location Model (many-to-many: online store ↔ physical stores)
+  const OnlineStoreLocation = sequelize.define('OnlineStoreLocation', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    tenant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Nullable for enterprise users (they have separate DBs), required for free users (shared DB)
+      comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
+    },
+    online_store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'online_stores',
+        key: 'id'
+      }
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    is_default: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    }
+  }, {
+    tableName: 'online_store_locations',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+  });
+
+  // Online Store Service Model (links physical store services to online store)
+  const OnlineStoreService = sequelize.define('OnlineStoreService', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    tenant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Nullable for enterprise users (they have separate DBs), required for free users (shared DB)
+      comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
+    },
+    online_store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'online_stores',
+        key: 'id'
+      }
+    },
+    service_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'store_services',
+        key: 'id'
+      }
+    },
+    is_visible: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    sort_order: {
+      type: DataTypes.INTEGER,
+      defaultValue: 1
+    }
+  }, {
+    tableName: 'online_store_services',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+  });
+
+
+  // Store Collection Model
+  const StoreCollection = sequelize.define('StoreCollection', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    tenant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Nullable for enterprise users (they have separate DBs), required for free users (shared DB)
+      comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
+    },
+    online_store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'online_stores',
+        key: 'id'
+      }
+    },
+    collection_name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    collection_type: {
+      type: DataTypes.ENUM('product', 'service'),
+      allowNull: false,
+      defaultValue: 'product',
+      comment: 'Type of collection: product or service'
+    },
+    layout_type: {
+      type: DataTypes.ENUM('grid', 'list', 'carousel'),
+      defaultValue: 'grid'
+    },
+    is_pinned: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    is_visible: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    sort_order: {
+      type: DataTypes.INTEGER,
+      defaultValue: 1
+    }
+  }, {
+    tableName: 'store_collections',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Store Collection Product Model (junction table)
+  const StoreCollectionProduct = sequelize.define('StoreCollectionProduct', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    tenant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Nullable for enterprise users (they have separate DBs), required for free users (shared DB)
+      comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
+    },
+    collection_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'store_collections',
+        key: 'id'
+      }
+    },
+    product_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    is_pinned: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    sort_order: {
+      type: DataTypes.INTEGER,
+      defaultValue: 1
+    }
+  }, {
+    tableName: 'store_collection_products',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+  });
+
+  // Store Collection Service Model (junction table for services in collections)
+  const StoreCollectionService = sequelize.define('StoreCollectionService', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    tenant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Nullable for enterprise users (they have separate DBs), required for free users (shared DB)
+      comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
+    },
+    collection_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'store_collections',
+        key: 'id'
+      }
+    },
+    service_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'store_services',
+        key: 'id'
+      }
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    is_pinned: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    sort_order: {
+      type: DataTypes.INTEGER,
+      defaultValue: 1
+    }
+  }, {
+    tableName: 'store_collection_services',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+  });
+
+  // Online Store Order Model
+  const OnlineStoreOrder = sequelize.define('OnlineStoreOrder', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    tenant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Nullable for enterprise users (they have separate DBs), required for free users (shared DB)
+      comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
+    },
+    online_store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'online_stores',
+        key: 'id'
+      }
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    order_number: {
+      type: DataTypes.STRING(50),
+      unique: true,
+      allowNull: false
+    },
+    idempotency_key: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Unique key to prevent duplicate orders from the same request'
+    },
+    customer_name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    customer_email: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    customer_phone: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    customer_address: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    city: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    state: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    country: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    delivery_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    delivery_time: {
+      type: DataTypes.TIME,
+      allowNull: true
+    },
+    subtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    tax_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    shipping_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    discount_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    promotion_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'promotions',
+        key: 'id'
+      }
+    },
+    promotion_code: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'Promo code applied at checkout (snapshot for reporting)'
+    },
+    total: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'),
+      defaultValue: 'pending'
+    },
+    payment_status: {
+      type: DataTypes.ENUM('pending', 'paid', 'failed', 'partially_refunded', 'refunded'),
+      defaultValue: 'pending'
+    },
+    payment_method: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    refunded_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      comment: 'Total refunded to the customer through the payment gateway'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'online_store_orders',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Online Store Order Item Model
+  const OnlineStoreOrderItem = sequelize.define('OnlineStoreOrderItem', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    order_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'online_store_orders',
+        key: 'id'
+      }
+    },
+    product_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    product_name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    unit_price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    total: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    variation_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'product_variations',
+        key: 'id'
+      }
+    },
+    variation_option_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'product_variation_options',
+        key: 'id'
+      }
+    },
+    variation_name: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Name of the variation (e.g., "Color", "Size")'
+    },
+    variation_option_value: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Value of the selected variation option (e.g., "Red", "Large")'
+    },
+    refunded_quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Quantity refunded/returned so far (partial refunds)'
+    }
+  }, {
+    tableName: 'online_store_order_items',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+  });
+
+  // Define OnlineStoreOrder associations
+  // OnlineStoreOrder ↔ OnlineStore
+  OnlineStoreOrder.belongsTo(OnlineStore, { foreignKey: 'online_store_id', onDelete: 'CASCADE' });
+  OnlineStore.hasMany(OnlineStoreOrder, { foreignKey: 'online_store_id', onDelete: 'CASCADE' });
+
+  // OnlineStoreOrder ↔ Store (optional - for enterprise users with physical stores)
+  OnlineStoreOrder.belongsTo(Store, { foreignKey: 'store_id', onDelete: 'SET NULL' });
+
+  // OnlineStoreOrder ↔ OnlineStoreOrderItem
+  OnlineStoreOrder.hasMany(OnlineStoreOrderItem, { foreignKey: 'order_id', onDelete: 'CASCADE' });
+  OnlineStoreOrderItem.belongsTo(OnlineStoreOrder, { foreignKey: 'order_id', onDelete: 'CASCADE' });
+
+  // OnlineStoreOrderItem ↔ Product (optional)
+  OnlineStoreOrderItem.belongsTo(Product, { foreignKey: 'product_id', onDelete: 'SET NULL' });
+
+  // Define store associations (online stores are linked to physical stores via OnlineStoreLocation)
+  // OnlineStore ↔ OnlineStoreLocation (one online store can have many physical locations)
+  OnlineStore.hasMany(OnlineStoreLocation, { foreignKey: 'online_store_id', onDelete: 'CASCADE' });
+  OnlineStoreLocation.belongsTo(OnlineStore, { foreignKey: 'online_store_id' });
+
+  // Store ↔ OnlineStoreLocation (one physical store can be linked to many online stores)
+  Store.hasMany(OnlineStoreLocation, { foreignKey: 'store_id', onDelete: 'CASCADE' });
+  OnlineStoreLocation.belongsTo(Store, { foreignKey: 'store_id' });
+
+  // OnlineStore ↔ StoreService (many-to-many through OnlineStoreService junction table)
+  // OnlineStore ↔ OnlineStoreService
+  OnlineStore.hasMany(OnlineStoreService, { foreignKey: 'online_store_id', onDelete: 'CASCADE' });
+  OnlineStoreService.belongsTo(OnlineStore, { foreignKey: 'online_store_id' });
+  
+  // StoreService ↔ OnlineStoreService
+  StoreService.hasMany(OnlineStoreService, { foreignKey: 'service_id', onDelete: 'CASCADE' });
+  OnlineStoreService.belongsTo(StoreService, { foreignKey: 'service_id' });
+  
+  // Many-to-many relationship (using belongsToMany for convenience)
+  OnlineStore.belongsToMany(StoreService, { through: OnlineStoreService, foreignKey: 'online_store_id', otherKey: 'service_id' });
+  StoreService.belongsToMany(OnlineStore, { through: OnlineStoreService, foreignKey: 'service_id', otherKey: 'online_store_id' });
+
+  // OnlineStore ↔ StoreCollection (collections on online store)
+  OnlineStore.hasMany(StoreCollection, { foreignKey: 'online_store_id', onDelete: 'CASCADE' });
+  StoreCollection.belongsTo(OnlineStore, { foreignKey: 'online_store_id' });
+
+  // StoreCollection ↔ StoreCollectionProduct ↔ Product
+  StoreCollection.hasMany(StoreCollectionProduct, { foreignKey: 'collection_id', onDelete: 'CASCADE' });
+  StoreCollectionProduct.belongsTo(StoreCollection, { foreignKey: 'collection_id' });
+
+  Product.hasMany(StoreCollectionProduct, { foreignKey: 'product_id', onDelete: 'CASCADE' });
+  StoreCollectionProduct.belongsTo(Product, { foreignKey: 'product_id' });
+
+  // StoreCollection ↔ StoreCollectionService ↔ StoreService
+  StoreCollection.hasMany(StoreCollectionService, { foreignKey: 'collection_id', onDelete: 'CASCADE' });
+  StoreCollectionService.belongsTo(StoreCollection, { foreignKey: 'collection_id' });
+
+  StoreService.hasMany(StoreCollectionService, { foreignKey: 'service_id', onDelete: 'CASCADE' });
+  StoreCollectionService.belongsTo(StoreService, { foreignKey: 'service_id' });
+
+  // Staff Model
+  const Staff = sequelize.define('Staff', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    email: {
+      type: DataTypes.STRING(255),
+      unique: true,
+      allowNull: true
+    },
+    phone: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    role_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'roles',
+        key: 'id'
+      }
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    employee_id: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    hire_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    salary: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'inactive', 'suspended', 'terminated'),
+      defaultValue: 'active'
+    },
+    last_login: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'staff',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Role Model
+  const Role = sequelize.define('Role', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    is_system_role: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    }
+  }, {
+    tableName: 'roles',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Permission Model
+  const Permission = sequelize.define('Permission', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true
+    },
+    resource: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    action: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'permissions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+  });
+
+  // Role Permission Model
+  const RolePermission = sequelize.define('RolePermission', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    role_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'roles',
+        key: 'id'
+      }
+    },
+    permission_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'permissions',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'role_permissions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+  });
+
+  // Supplier Model
+  const Supplier = sequelize.define('Supplier', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    company_name: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    phone: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    address: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    city: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    state: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    country: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    contact_person: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    payment_terms: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    tax_id: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'suppliers',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Purchase Order Model
+  const PurchaseOrder = sequelize.define('PurchaseOrder', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    po_number: {
+      type: DataTypes.STRING(50),
+      unique: true,
+      allowNull: false
+    },
+    supplier_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'suppliers',
+        key: 'id'
+      }
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    order_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    expected_delivery_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('draft', 'sent', 'confirmed', 'partial', 'received', 'cancelled'),
+      defaultValue: 'draft'
+    },
+    subtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    tax_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    shipping_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    total: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'purchase_orders',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Purchase Order Item Model
+  const PurchaseOrderItem = sequelize.define('PurchaseOrderItem', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    purchase_order_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'purchase_orders',
+        key: 'id'
+      }
+    },
+    product_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    product_name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    unit_price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    received_quantity: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    total: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    }
+  }, {
+    tableName: 'purchase_order_items',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+  });
+
+  // Product Supplier Model (who a product is bought from, at what cost and lead time)
+  const ProductSupplier = sequelize.define('ProductSupplier', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    product_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    supplier_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'suppliers',
+        key: 'id'
+      }
+    },
+    supplier_sku: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    is_preferred: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: 'Preferred supplier is used for reorder suggestions'
+    },
+    last_cost: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'Unit cost from the most recent purchase order'
+    },
+    lead_time_days: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 7
+    },
+    min_order_quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    last_purchase_order_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    last_received_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'product_suppliers',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Supplier Bill Model (what we owe a supplier for a received purchase order)
+  const SupplierBill = sequelize.define('SupplierBill', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    bill_number: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true
+    },
+    supplier_invoice_number: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: "Supplier's own invoice reference"
+    },
+    supplier_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'suppliers',
+        key: 'id'
+      }
+    },
+    purchase_order_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'purchase_orders',
+        key: 'id'
+      }
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    bill_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    due_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    subtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    tax_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    shipping_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    total: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    amount_paid: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    balance_due: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    status: {
+      type: DataTypes.ENUM('on_hold', 'open', 'partially_paid', 'paid', 'void'),
+      defaultValue: 'open',
+      comment: 'on_hold when the three-way match fails until the variance is approved'
+    },
+    match_status: {
+      type: DataTypes.ENUM('matched', 'variance'),
+      defaultValue: 'matched'
+    },
+    variance_approved_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    variance_approved_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    voided_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    void_reason: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    }
+  }, {
+    tableName: 'supplier_bills',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Supplier Bill Item Model (billed line matched against the PO line ordered/received)
+  const SupplierBillItem = sequelize.define('SupplierBillItem', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    supplier_bill_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'supplier_bills',
+        key: 'id'
+      }
+    },
+    purchase_order_item_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    product_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    product_name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    quantity_ordered: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    quantity_received: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    quantity_billed: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    ordered_unit_price: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    unit_price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      comment: 'Unit price on the supplier invoice'
+    },
+    total: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    match_status: {
+      type: DataTypes.ENUM('matched', 'quantity_variance', 'price_variance', 'quantity_and_price_variance'),
+      defaultValue: 'matched'
+    }
+  }, {
+    tableName: 'supplier_bill_items',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+  });
+
+  // Supplier Payment Model
+  const SupplierPayment = sequelize.define('SupplierPayment', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    payment_number: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true
+    },
+    supplier_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'suppliers',
+        key: 'id'
+      }
+    },
+    supplier_bill_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'supplier_bills',
+        key: 'id'
+      }
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    payment_method: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      defaultValue: 'transfer'
+    },
+    reference: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Bank transfer reference, cheque number, etc.'
+    },
+    payment_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('completed', 'voided'),
+      defaultValue: 'completed'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    recorded_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    voided_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    void_reason: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    }
+  }, {
+    tableName: 'supplier_payments',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // POS Transaction Model
+  const POSTransaction = sequelize.define('POSTransaction', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    transaction_number: {
+      type: DataTypes.STRING(50),
+      unique: true,
+      allowNull: false
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    staff_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'staff',
+        key: 'id'
+      }
+    },
+    customer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'customers',
+        key: 'id'
+      }
+    },
+    subtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    tax_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    discount_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    promotion_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'promotions',
+        key: 'id'
+      }
+    },
+    promotion_code: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'Promo code applied at the till (snapshot for reporting)'
+    },
+    total: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    payment_method: {
+      type: DataTypes.ENUM('cash', 'card', 'transfer', 'mobile_money', 'loyalty_points', 'store_credit', 'exchange', 'other', 'split'),
+      defaultValue: 'cash',
+      comment: 'split when paid with more than one tender type (see pos_transaction_tenders)'
+    },
+    amount_paid: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    change_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'completed', 'cancelled', 'refunded'),
+      defaultValue: 'pending'
+    },
+    returned_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00,
+      comment: 'Value of items returned line by line (see pos_returns)'
+    },
+    receipt_printed: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    cash_drawer_session_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Till session open for the cashier when the sale was made'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'pos_transactions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // POS Transaction Item Model
+  const POSTransactionItem = sequelize.define('POSTransactionItem', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    transaction_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'pos_transactions',
+        key: 'id'
+      }
+    },
+    product_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    product_name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    barcode: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    quantity: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 1.00
+    },
+    unit_price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    discount_percentage: {
+      type: DataTypes.DECIMAL(5, 2),
+      defaultValue: 0.00
+    },
+    discount_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    total: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    returned_quantity: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    }
+  }, {
+    tableName: 'pos_transaction_items',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+  });
+
+  // POS Transaction Tender Model (one line per payment method used on a sale)
+  const POSTransactionTender = sequelize.define('POSTransactionTender', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    transaction_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'pos_transactions',
+        key: 'id'
+      }
+    },
+    tender_type: {
+      type: DataTypes.ENUM('cash', 'card', 'transfer', 'mobile_money', 'loyalty_points', 'store_credit', 'exchange', 'other'),
+      allowNull: false
+    },
+    amount_tendered: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: 'Amount handed over (cash may exceed the amount applied)'
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: 'Amount applied to the sale'
+    },
+    change_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    reference: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Card approval code, transfer reference, return number for exchanges, etc.'
+    },
+    loyalty_points: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'Points redeemed for loyalty_points tenders'
+    }
+  }, {
+    tableName: 'pos_transaction_tenders',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+  });
+
+  // POS Return Model (line-level return against a sale, refunded, credited or exchanged)
+  const POSReturn = sequelize.define('POSReturn', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    return_number: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true
+    },
+    transaction_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'pos_transactions',
+        key: 'id'
+      },
+      comment: 'Original sale'
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    customer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'customers',
+        key: 'id'
+      }
+    },
+    staff_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'staff',
+        key: 'id'
+      },
+      comment: 'Staff who processed the return'
+    },
+    return_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: 'Value of the returned lines including their share of tax and sale discount'
+    },
+    refund_method: {
+      type: DataTypes.ENUM('cash', 'card', 'transfer', 'mobile_money', 'other', 'store_credit', 'exchange'),
+      allowNull: false
+    },
+    refund_reference: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('pending_exchange', 'completed'),
+      defaultValue: 'completed',
+      comment: 'pending_exchange until the credit is used on the exchange sale'
+    },
+    exchange_transaction_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'pos_transactions',
+        key: 'id'
+      }
+    },
+    exchange_amount_applied: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'Part of the return credit used to pay for the exchange sale'
+    },
+    store_credit_issued: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    cash_drawer_session_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'cash_drawer_sessions',
+        key: 'id'
+      }
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'pos_returns',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // POS Return Item Model (returned quantity of a sale line with reason and disposition)
+  const POSReturnItem = sequelize.define('POSReturnItem', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    return_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'pos_returns',
+        key: 'id'
+      }
+    },
+    transaction_item_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'pos_transaction_items',
+        key: 'id'
+      }
+    },
+    product_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    product_name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    quantity: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: 'Refund value of the returned quantity'
+    },
+    reason_code: {
+      type: DataTypes.ENUM('defective', 'damaged', 'wrong_item', 'not_as_described', 'expired', 'changed_mind', 'other'),
+      allowNull: false
+    },
+    disposition: {
+      type: DataTypes.ENUM('restock', 'damaged'),
+      allowNull: false,
+      comment: 'restock puts the units back on sale; damaged writes them off'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'pos_return_items',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+  });
+
+  // Store Credit Account Model (customer wallet issued on returns, spent as a POS tender)
+  const StoreCreditAccount = sequelize.define('StoreCreditAccount', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    customer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'customers',
+        key: 'id'
+      }
+    },
+    balance: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    total_issued: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    total_redeemed: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    }
+  }, {
+    tableName: 'store_credit_accounts',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Store Credit Transaction Model (wallet ledger)
+  const StoreCreditTransaction = sequelize.define('StoreCreditTransaction', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    account_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'store_credit_accounts',
+        key: 'id'
+      }
+    },
+    customer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'customers',
+        key: 'id'
+      }
+    },
+    transaction_type: {
+      type: DataTypes.ENUM('issued', 'redeemed', 'adjusted'),
+      allowNull: false
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: 'Positive adds to the balance, negative spends it'
+    },
+    balance_after: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    reference_type: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'pos_return, pos_transaction, manual'
+    },
+    reference_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {
+    tableName: 'store_credit_transactions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+  });
+
+  // Cash Drawer Session Model (till session per store and cashier)
+  const CashDrawerSession = sequelize.define('CashDrawerSession', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    session_number: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    staff_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'staff',
+        key: 'id'
+      }
+    },
+    register_name: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('open', 'closed'),
+      defaultValue: 'open'
+    },
+    opening_float: {
+      type: DataTypes.DECIMAL(12, 2),
+      defaultValue: 0
+    },
+    opened_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    opened_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    closed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    closed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    expected_cash: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true
+    },
+    counted_cash: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true
+    },
+    cash_variance: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true,
+      comment: 'Counted minus expected cash (positive = over, negative = short)'
+    },
+    expected_by_method: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    counted_by_method: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    variance_by_method: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    total_sales: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true
+    },
+    total_refunds: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true
+    },
+    transaction_count: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    opening_notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    closing_notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'cash_drawer_sessions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Cash Drawer Movement Model (cash in / out and refunds paid from the till)
+  const CashDrawerMovement = sequelize.define('CashDrawerMovement', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    session_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'cash_drawer_sessions',
+        key: 'id'
+      }
+    },
+    movement_type: {
+      type: DataTypes.ENUM('cash_in', 'cash_out', 'refund'),
+      allowNull: false
+    },
+    payment_method: {
+      type: DataTypes.STRING(50),
+      defaultValue: 'cash'
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false
+    },
+    reason: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    pos_transaction_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {
+    tableName: 'cash_drawer_movements',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+  });
+
+  // Held Sale Model (parked POS basket, resumable on any terminal in the store)
+  const HeldSale = sequelize.define('HeldSale', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    hold_number: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    staff_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'staff',
+        key: 'id'
+      },
+      comment: 'Cashier who parked the basket'
+    },
+    customer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'customers',
+        key: 'id'
+      }
+    },
+    label: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Short name shown on the held list, e.g. "Lady in red"'
+    },
+    cart: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment: 'Basket as sent to checkout: { items, discount_amount, promo_code, prescription_id, notes }'
+    },
+    item_count: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    subtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    status: {
+      type: DataTypes.ENUM('held', 'resumed', 'completed', 'discarded'),
+      defaultValue: 'held'
+    },
+    resumed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    resumed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    pos_transaction_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'pos_transactions',
+        key: 'id'
+      }
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'held_sales',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Layaway Order Model (goods reserved while the customer pays in instalments)
+  const LayawayOrder = sequelize.define('LayawayOrder', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    layaway_number: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    customer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'customers',
+        key: 'id'
+      }
+    },
+    staff_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'staff',
+        key: 'id'
+      }
+    },
+    prescription_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'prescriptions',
+        key: 'id'
+      },
+      comment: 'Prescription the prescription-only items are reserved and dispensed against'
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'completed', 'cancelled', 'expired'),
+      defaultValue: 'active'
+    },
+    subtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    tax_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    discount_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    total: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    minimum_deposit: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    amount_paid: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    balance_due: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Reservation is released if not paid in full by this date'
+    },
+    cancellation_fee_percentage: {
+      type: DataTypes.DECIMAL(5, 2),
+      defaultValue: 0,
+      comment: 'Share of the amount paid kept on cancellation or expiry'
+    },
+    cancellation_fee: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    refund_due: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'Amount owed back to the customer after expiry (paid out on cancellation)'
+    },
+    amount_refunded: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    pos_transaction_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'pos_transactions',
+        key: 'id'
+      },
+      comment: 'Sale created when the layaway was paid in full'
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancelled_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancelled_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    cancellation_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'layaway_orders',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Layaway Item Model
+  const LayawayItem = sequelize.define('LayawayItem', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    layaway_order_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'layaway_orders',
+        key: 'id'
+      }
+    },
+    product_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    product_name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    barcode: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    unit_price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    discount_percentage: {
+      type: DataTypes.DECIMAL(5, 2),
+      defaultValue: 0
+    },
+    discount_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    total: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    }
+  }, {
+    tableName: 'layaway_items',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+  });
+
+  // Layaway Payment Model (deposit, instalments and refunds on cancellation)
+  const LayawayPayment = sequelize.define('LayawayPayment', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    layaway_order_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'layaway_orders',
+        key: 'id'
+      }
+    },
+    payment_type: {
+      type: DataTypes.ENUM('deposit', 'instalment', 'refund'),
+      allowNull: false
+    },
+    tender_type: {
+      type: DataTypes.ENUM('cash', 'card', 'transfer', 'mobile_money', 'other'),
+      allowNull: false
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    reference: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    cash_drawer_session_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'cash_drawer_sessions',
+        key: 'id'
+      }
+    },
+    received_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'layaway_payments',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+  });
+
+  // Product Bundle Model
+  const ProductBundle = sequelize.define('ProductBundle', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    bundle_price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    image_url: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'product_bundles',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Product Bundle Item Model
+  const ProductBundleItem = sequelize.define('ProductBundleItem', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    bundle_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'product_bundles',
+        key: 'id'
+      }
+    },
+    product_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    }
+  }, {
+    tableName: 'product_bundle_items',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+  });
+
+  // Menu Model (for restaurants)
+  const Menu = sequelize.define('Menu', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    menu_type: {
+      type: DataTypes.ENUM('breakfast', 'lunch', 'dinner', 'drinks', 'dessert', 'all_day'),
+      defaultValue: 'all_day'
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    sort_order: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'menus',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Menu Item Model
+  const MenuItem = sequelize.define('MenuItem', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    menu_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'menus',
+        key: 'id'
+      }
+    },
+    product_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true, // Can be null for products with variations (each variation option has its own price)
+      defaultValue: 0.00
+    },
+    image_url: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    is_available: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    preparation_time: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    dietary_info: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    allergens: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    sort_order: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'menu_items',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Menu Item Modifier Model
+  const MenuItemModifier = sequelize.define('MenuItemModifier', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    menu_item_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'menu_items',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    is_required: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    sort_order: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'menu_item_modifiers',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+  });
+
+  // Restaurant Section Model (floor areas, e.g. Main Hall, Terrace, VIP)
+  const RestaurantSection = sequelize.define('RestaurantSection', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    sort_order: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'restaurant_sections',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Restaurant Table Model
+  const RestaurantTable = sequelize.define('RestaurantTable', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    section_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'restaurant_sections',
+        key: 'id'
+      }
+    },
+    table_number: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    capacity: {
+      type: DataTypes.INTEGER,
+      defaultValue: 4
+    },
+    status: {
+      type: DataTypes.ENUM('available', 'occupied', 'reserved', 'out_of_service'),
+      defaultValue: 'available'
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'restaurant_tables',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Kitchen Station Model (KDS queues, e.g. Grill, Bar, Pastry)
+  const KitchenStation = sequelize.define('KitchenStation', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    menu_ids: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Route every item on these menus to this station'
+    },
+    menu_item_ids: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Route these specific menu items to this station (takes priority over menu_ids)'
+    },
+    is_default: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: 'Receives items not routed to any other station'
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'kitchen_stations',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Restaurant Tab Model (open bill for a table, settled into a POS transaction)
+  const RestaurantTab = sequelize.define('RestaurantTab', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    tab_number: {
+      type: DataTypes.STRING(50),
+      unique: true,
+      allowNull: false
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    table_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'restaurant_tables',
+        key: 'id'
+      }
+    },
+    staff_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'staff',
+        key: 'id'
+      }
+    },
+    customer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'customers',
+        key: 'id'
+      }
+    },
+    guest_count: {
+      type: DataTypes.INTEGER,
+      defaultValue: 1
+    },
+    subtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    status: {
+      type: DataTypes.ENUM('open', 'settled', 'cancelled'),
+      defaultValue: 'open'
+    },
+    pos_transaction_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'pos_transactions',
+        key: 'id'
+      }
+    },
+    opened_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    closed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'restaurant_tabs',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Kitchen Ticket Model (items fired to one station in one go)
+  const KitchenTicket = sequelize.define('KitchenTicket', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    ticket_number: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    tab_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'restaurant_tabs',
+        key: 'id'
+      }
+    },
+    station_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'kitchen_stations',
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('queued', 'preparing', 'ready', 'served', 'cancelled'),
+      defaultValue: 'queued'
+    },
+    fired_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    fired_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    ready_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    served_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'kitchen_tickets',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Restaurant Tab Item Model (menu item + modifier selections on a tab)
+  const RestaurantTabItem = sequelize.define('RestaurantTabItem', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    tab_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'restaurant_tabs',
+        key: 'id'
+      }
+    },
+    menu_item_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'menu_items',
+        key: 'id'
+      }
+    },
+    product_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    kitchen_ticket_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'kitchen_tickets',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    unit_price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    modifiers: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Selected modifiers snapshot: [{ id, name, price }]'
+    },
+    modifiers_total: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    total: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    notes: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: 'Kitchen instructions, e.g. no onions'
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'fired', 'voided'),
+      defaultValue: 'pending'
+    },
+    void_reason: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    }
+  }, {
+    tableName: 'restaurant_tab_items',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Stock Movement Model
+  const StockMovement = sequelize.define('StockMovement', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    product_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    movement_type: {
+      type: DataTypes.ENUM('purchase', 'sale', 'adjustment', 'transfer', 'return', 'expiry', 'damage'),
+      allowNull: false
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    reference_type: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    reference_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {
+    tableName: 'stock_movements',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+  });
+
+  // Product Batch Model (lot-level stock with its own expiry, consumed first-expiry-first-out)
+  const ProductBatch = sequelize.define('ProductBatch', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    tenant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
+    },
+    product_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    batch_number: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'Lot/batch number printed on the pack'
+    },
+    expiry_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    quantity_received: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    quantity_remaining: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    cost_price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    purchase_order_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    purchase_order_item_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    received_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'depleted', 'expired'),
+      defaultValue: 'active'
+    }
+  }, {
+    tableName: 'product_batches',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Define additional associations
+  // Staff associations
+  Staff.belongsTo(Role, { foreignKey: 'role_id' });
+  Role.hasMany(Staff, { foreignKey: 'role_id' });
+  Staff.belongsTo(Store, { foreignKey: 'store_id' });
+  Store.hasMany(Staff, { foreignKey: 'store_id' });
+  Role.belongsToMany(Permission, { through: RolePermission, foreignKey: 'role_id', otherKey: 'permission_id' });
+  Permission.belongsToMany(Role, { through: RolePermission, foreignKey: 'permission_id', otherKey: 'role_id' });
+
+  // Supplier associations
+  Supplier.hasMany(PurchaseOrder, { foreignKey: 'supplier_id' });
+  PurchaseOrder.belongsTo(Supplier, { foreignKey: 'supplier_id' });
+  PurchaseOrder.belongsTo(Store, { foreignKey: 'store_id' });
+  Store.hasMany(PurchaseOrder, { foreignKey: 'store_id' });
+  PurchaseOrder.hasMany(PurchaseOrderItem, { foreignKey: 'purchase_order_id', onDelete: 'CASCADE' });
+  PurchaseOrderItem.belongsTo(PurchaseOrder, { foreignKey: 'purchase_order_id' });
+  Product.hasMany(PurchaseOrderItem, { foreignKey: 'product_id' });
+  PurchaseOrderItem.belongsTo(Product, { foreignKey: 'product_id' });
+  Product.hasMany(ProductSupplier, { foreignKey: 'product_id' });
+  ProductSupplier.belongsTo(Product, { foreignKey: 'product_id' });
+  Supplier.hasMany(ProductSupplier, { foreignKey: 'supplier_id' });
+  ProductSupplier.belongsTo(Supplier, { foreignKey: 'supplier_id' });
+
+  // Accounts payable associations
+  Supplier.hasMany(SupplierBill, { foreignKey: 'supplier_id' });
+  SupplierBill.belongsTo(Supplier, { foreignKey: 'supplier_id' });
+  PurchaseOrder.hasMany(SupplierBill, { foreignKey: 'purchase_order_id' });
+  SupplierBill.belongsTo(PurchaseOrder, { foreignKey: 'purchase_order_id' });
+  SupplierBill.hasMany(SupplierBillItem, { foreignKey: 'supplier_bill_id', onDelete: 'CASCADE' });
+  SupplierBillItem.belongsTo(SupplierBill, { foreignKey: 'supplier_bill_id' });
+  SupplierBillItem.belongsTo(PurchaseOrderItem, { foreignKey: 'purchase_order_item_id' });
+  SupplierBill.hasMany(SupplierPayment, { foreignKey: 'supplier_bill_id' });
+  SupplierPayment.belongsTo(SupplierBill, { foreignKey: 'supplier_bill_id' });
+  Supplier.hasMany(SupplierPayment, { foreignKey: 'supplier_id' });
+  SupplierPayment.belongsTo(Supplier, { foreignKey: 'supplier_id' });
+
+  // POS associations
+  POSTransaction.belongsTo(Store, { foreignKey: 'store_id' });
+  Store.hasMany(POSTransaction, { foreignKey: 'store_id' });
+  POSTransaction.belongsTo(Staff, { foreignKey: 'staff_id' });
+  Staff.hasMany(POSTransaction, { foreignKey: 'staff_id' });
+  POSTransaction.belongsTo(Customer, { foreignKey: 'customer_id' });
+  Customer.hasMany(POSTransaction, { foreignKey: 'customer_id' });
+  POSTransaction.hasMany(POSTransactionItem, { foreignKey: 'transaction_id', onDelete: 'CASCADE' });
+  POSTransactionItem.belongsTo(POSTransaction, { foreignKey: 'transaction_id' });
+  Product.hasMany(POSTransactionItem, { foreignKey: 'product_id' });
+  POSTransactionItem.belongsTo(Product, { foreignKey: 'product_id' });
+  POSTransaction.hasMany(POSTransactionTender, { foreignKey: 'transaction_id', onDelete: 'CASCADE' });
+  POSTransactionTender.belongsTo(POSTransaction, { foreignKey: 'transaction_id' });
+  POSTransaction.hasMany(POSReturn, { foreignKey: 'transaction_id' });
+  POSReturn.belongsTo(POSTransaction, { foreignKey: 'transaction_id' });
+  POSReturn.belongsTo(POSTransaction, { foreignKey: 'exchange_transaction_id', as: 'ExchangeTransaction' });
+  POSReturn.belongsTo(Store, { foreignKey: 'store_id' });
+  POSReturn.belongsTo(Customer, { foreignKey: 'customer_id' });
+  POSReturn.belongsTo(Staff, { foreignKey: 'staff_id' });
+  POSReturn.hasMany(POSReturnItem, { foreignKey: 'return_id', onDelete: 'CASCADE' });
+  POSReturnItem.belongsTo(POSReturn, { foreignKey: 'return_id' });
+  POSReturnItem.belongsTo(POSTransactionItem, { foreignKey: 'transaction_item_id' });
+  Customer.hasOne(StoreCreditAccount, { foreignKey: 'customer_id' });
+  StoreCreditAccount.belongsTo(Customer, { foreignKey: 'customer_id' });
+  StoreCreditAccount.hasMany(StoreCreditTransaction, { foreignKey: 'account_id', onDelete: 'CASCADE' });
+  StoreCreditTransaction.belongsTo(StoreCreditAccount, { foreignKey: 'account_id' });
+  CashDrawerSession.belongsTo(Store, { foreignKey: 'store_id' });
+  CashDrawerSession.belongsTo(Staff, { foreignKey: 'staff_id' });
+  CashDrawerSession.hasMany(CashDrawerMovement, { foreignKey: 'session_id', onDelete: 'CASCADE' });
+  CashDrawerMovement.belongsTo(CashDrawerSession, { foreignKey: 'session_id' });
+  CashDrawerSession.hasMany(POSTransaction, { foreignKey: 'cash_drawer_session_id' });
+  POSTransaction.belongsTo(CashDrawerSession, { foreignKey: 'cash_drawer_session_id' });
+  HeldSale.belongsTo(Store, { foreignKey: 'store_id' });
+  HeldSale.belongsTo(Staff, { foreignKey: 'staff_id' });
+  HeldSale.belongsTo(Customer, { foreignKey: 'customer_id' });
+  LayawayOrder.belongsTo(Store, { foreignKey: 'store_id' });
+  LayawayOrder.belongsTo(Customer, { foreignKey: 'customer_id' });
+  LayawayOrder.belongsTo(Staff, { foreignKey: 'staff_id' });
+  LayawayOrder.belongsTo(POSTransaction, { foreignKey: 'pos_transaction_id' });
+  LayawayOrder.hasMany(LayawayItem, { foreignKey: 'layaway_order_id', onDelete: 'CASCADE' });
+  LayawayItem.belongsTo(LayawayOrder, { foreignKey: 'layaway_order_id' });
+  LayawayItem.belongsTo(Product, { foreignKey: 'product_id' });
+  LayawayOrder.hasMany(LayawayPayment, { foreignKey: 'layaway_order_id', onDelete: 'CASCADE' });
+  LayawayPayment.belongsTo(LayawayOrder, { foreignKey: 'layaway_order_id' });
+  CashDrawerSession.hasMany(LayawayPayment, { foreignKey: 'cash_drawer_session_id' });
+  LayawayPayment.belongsTo(CashDrawerSession, { foreignKey: 'cash_drawer_session_id' });
+
+  // Bundle associations
+  ProductBundle.hasMany(ProductBundleItem, { foreignKey: 'bundle_id', onDelete: 'CASCADE' });
+  ProductBundleItem.belongsTo(ProductBundle, { foreignKey: 'bundle_id' });
+  Product.hasMany(ProductBundleItem, { foreignKey: 'product_id', onDelete: 'CASCADE' });
+  ProductBundleItem.belongsTo(Product, { foreignKey: 'product_id' });
+
+  // Menu associations
+  Menu.hasMany(MenuItem, { foreignKey: 'menu_id', onDelete: 'CASCADE' });
+  MenuItem.belongsTo(Menu, { foreignKey: 'menu_id' });
+  Product.hasMany(MenuItem, { foreignKey: 'product_id' });
+  MenuItem.belongsTo(Product, { foreignKey: 'product_id' });
+  MenuItem.hasMany(MenuItemModifier, { foreignKey: 'menu_item_id', onDelete: 'CASCADE' });
+  MenuItemModifier.belongsTo(MenuItem, { foreignKey: 'menu_item_id' });
+
+  // Restaurant table/tab/kitchen associations
+  RestaurantSection.belongsTo(Store, { foreignKey: 'store_id' });
+  RestaurantSection.hasMany(RestaurantTable, { foreignKey: 'section_id' });
+  RestaurantTable.belongsTo(RestaurantSection, { foreignKey: 'section_id' });
+  RestaurantTable.belongsTo(Store, { foreignKey: 'store_id' });
+  RestaurantTable.hasMany(RestaurantTab, { foreignKey: 'table_id' });
+  RestaurantTab.belongsTo(RestaurantTable, { foreignKey: 'table_id' });
+  RestaurantTab.belongsTo(Store, { foreignKey: 'store_id' });
+  RestaurantTab.belongsTo(Staff, { foreignKey: 'staff_id' });
+  RestaurantTab.belongsTo(Customer, { foreignKey: 'customer_id' });
+  RestaurantTab.belongsTo(POSTransaction, { foreignKey: 'pos_transaction_id' });
+  RestaurantTab.hasMany(RestaurantTabItem, { foreignKey: 'tab_id', onDelete: 'CASCADE' });
+  RestaurantTabItem.belongsTo(RestaurantTab, { foreignKey: 'tab_id' });
+  RestaurantTabItem.belongsTo(MenuItem, { foreignKey: 'menu_item_id' });
+  RestaurantTab.hasMany(KitchenTicket, { foreignKey: 'tab_id', onDelete: 'CASCADE' });
+  KitchenTicket.belongsTo(RestaurantTab, { foreignKey: 'tab_id' });
+  KitchenTicket.belongsTo(KitchenStation, { foreignKey: 'station_id' });
+  KitchenStation.hasMany(KitchenTicket, { foreignKey: 'station_id' });
+  KitchenStation.belongsTo(Store, { foreignKey: 'store_id' });
+  KitchenTicket.hasMany(RestaurantTabItem, { foreignKey: 'kitchen_ticket_id' });
+  RestaurantTabItem.belongsTo(KitchenTicket, { foreignKey: 'kitchen_ticket_id' });
+
+  // Stock movement associations
+  StockMovement.belongsTo(Product, { foreignKey: 'product_id' });
+  Product.hasMany(StockMovement, { foreignKey: 'product_id' });
+  StockMovement.belongsTo(Store, { foreignKey: 'store_id' });
+  Store.hasMany(StockMovement, { foreignKey: 'store_id' });
+
+  // Product batch associations
+  ProductBatch.belongsTo(Product, { foreignKey: 'product_id' });
+  Product.hasMany(ProductBatch, { foreignKey: 'product_id' });
+  ProductBatch.belongsTo(Store, { foreignKey: 'store_id' });
+  Store.hasMany(ProductBatch, { foreignKey: 'store_id' });
+  ProductBatch.belongsTo(PurchaseOrder, { foreignKey: 'purchase_order_id' });
+
+  // Stock Transfer Model (moves stock between two stores: requested -> dispatched -> received)
+  const StockTransfer = sequelize.define('StockTransfer', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    transfer_number: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true
+    },
+    from_store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    to_store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('requested', 'dispatched', 'received', 'cancelled'),
+      defaultValue: 'requested'
+    },
+    has_discrepancy: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: 'True when the destination received a different quantity than was dispatched'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    requested_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    dispatched_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    dispatched_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    received_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    received_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancelled_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'stock_transfers',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Stock Transfer Item Model
+  const StockTransferItem = sequelize.define('StockTransferItem', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    stock_transfer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'stock_transfers',
+        key: 'id'
+      }
+    },
+    product_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    product_name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    quantity_requested: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    quantity_dispatched: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    quantity_received: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    discrepancy_quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Dispatched minus received (positive = short, negative = over)'
+    },
+    discrepancy_reason: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    batch_allocations: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Batches consumed at the source store on dispatch'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'stock_transfer_items',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Stock transfer associations
+  StockTransfer.belongsTo(Store, { foreignKey: 'from_store_id', as: 'FromStore' });
+  StockTransfer.belongsTo(Store, { foreignKey: 'to_store_id', as: 'ToStore' });
+  Store.hasMany(StockTransfer, { foreignKey: 'from_store_id', as: 'OutgoingTransfers' });
+  Store.hasMany(StockTransfer, { foreignKey: 'to_store_id', as: 'IncomingTransfers' });
+  StockTransfer.hasMany(StockTransferItem, { foreignKey: 'stock_transfer_id', onDelete: 'CASCADE' });
+  StockTransferItem.belongsTo(StockTransfer, { foreignKey: 'stock_transfer_id' });
+  StockTransferItem.belongsTo(Product, { foreignKey: 'product_id' });
+  Product.hasMany(StockTransferItem, { foreignKey: 'product_id' });
+
+  // Loyalty Program Model
+  const LoyaltyProgram = sequelize.define('LoyaltyProgram', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    points_per_currency: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 1.00
+    },
+    currency_unit: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 1.00
+    },
+    redemption_rate: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 100.00
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'loyalty_programs',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Customer Loyalty Points Model
+  const CustomerLoyaltyPoints = sequelize.define('CustomerLoyaltyPoints', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    customer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'customers',
+        key: 'id'
+      }
+    },
+    loyalty_program_id: {
       type: DataTypes.INTEGER,
-      defaultValue: 1
+      allowNull: true,
+      references: {
+        model: 'loyalty_programs',
+        key: 'id'
+      }
+    },
+    total_points: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    redeemed_points: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    available_points: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    lifetime_points: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    tier: {
+      type: DataTypes.STRING(50),
+      defaultValue: 'bronze'
+    }
+  }, {
+    tableName: 'customer_loyalty_points',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'last_updated'
+  });
+
+  // Loyalty Point Transaction Model
+  const LoyaltyPointTransaction = sequelize.define('LoyaltyPointTransaction', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    customer_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'customers',
+        key: 'id'
+      }
+    },
+    loyalty_program_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'loyalty_programs',
+        key: 'id'
+      }
+    },
+    transaction_type: {
+      type: DataTypes.ENUM('earned', 'redeemed', 'expired', 'adjusted'),
+      allowNull: false
+    },
+    points: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    reference_type: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    reference_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    expires_at: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    }
+  }, {
+    tableName: 'loyalty_point_transactions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+  });
+
+  // Staff Attendance Model
+  const StaffAttendance = sequelize.define('StaffAttendance', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    staff_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'staff',
+        key: 'id'
+      }
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    clock_in_time: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    clock_out_time: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    break_start_time: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    break_end_time: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    total_hours: {
+      type: DataTypes.DECIMAL(5, 2),
+      defaultValue: 0.00
+    },
+    break_duration: {
+      type: DataTypes.DECIMAL(5, 2),
+      defaultValue: 0.00
+    },
+    work_duration: {
+      type: DataTypes.DECIMAL(5, 2),
+      defaultValue: 0.00
+    },
+    attendance_method: {
+      type: DataTypes.ENUM('manual', 'biometric', 'card', 'mobile', 'web'),
+      defaultValue: 'manual'
+    },
+    device_id: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    location_latitude: {
+      type: DataTypes.DECIMAL(10, 8),
+      allowNull: true
+    },
+    location_longitude: {
+      type: DataTypes.DECIMAL(11, 8),
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('present', 'absent', 'late', 'early_leave', 'half_day'),
+      defaultValue: 'present'
+    },
+    shift_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Scheduled shift this clock-in was matched to'
+    },
+    minutes_late: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    distance_from_store_meters: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'Distance of the clock-in location from the store geofence centre'
+    },
+    is_within_geofence: {
+      type: DataTypes.BOOLEAN,
+      allowNull: true,
+      comment: 'NULL when the store has no geofence or no location was sent'
+    },
+    is_known_device: {
+      type: DataTypes.BOOLEAN,
+      allowNull: true,
+      comment: 'NULL when device registration is not required for the store'
+    },
+    is_flagged: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    flag_reasons: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Array of reasons: outside_geofence, missing_location, unknown_device, missing_device, missing_photo'
+    },
+    photo_url: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: 'Selfie captured at clock-in'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'staff_attendance',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Staff Shift Model
+  const StaffShift = sequelize.define('StaffShift', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    staff_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'staff',
+        key: 'id'
+      }
+    },
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
+    },
+    shift_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    shift_start_time: {
+      type: DataTypes.TIME,
+      allowNull: false
+    },
+    shift_end_time: {
+      type: DataTypes.TIME,
+      allowNull: false
+    },
+    break_duration: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    is_approved: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    approved_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    shift_template_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    attendance_status: {
+      type: DataTypes.ENUM('scheduled', 'on_time', 'late', 'no_show'),
+      defaultValue: 'scheduled',
+      comment: 'Set from clock-in against the shift start (no_show when nobody clocked in)'
+    },
+    attendance_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    minutes_late: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
     }
   }, {
-    tableName: 'store_collection_services',
+    tableName: 'staff_shifts',
     timestamps: true,
     createdAt: 'created_at',
-    updatedAt: false
+    updatedAt: 'updated_at'
   });
 
-  // Online Store Order Model
-  const OnlineStoreOrder = sequelize.define('OnlineStoreOrder', {
+  // Staff Shift Template Model (reusable shift pattern, e.g. "Morning 08:00-16:00 Mon-Fri")
+  const StaffShiftTemplate = sequelize.define('StaffShiftTemplate', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
       autoIncrement: true
     },
-    tenant_id: {
-      type: DataTypes.INTEGER,
-      allowNull: true, // Nullable for enterprise users (they have separate DBs), required for free users (shared DB)
-      comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
-    },
-    online_store_id: {
-      type: DataTypes.INTEGER,
-      allowNull: false,
-      references: {
-        model: 'online_stores',
-        key: 'id'
-      }
-    },
     store_id: {
       type: DataTypes.INTEGER,
       allowNull: true,
@@ -1624,431 +5649,365 @@ function initializeModels(sequelize) {
         key: 'id'
       }
     },
-    order_number: {
-      type: DataTypes.STRING(50),
-      unique: true,
+    name: {
+      type: DataTypes.STRING(100),
       allowNull: false
     },
-    idempotency_key: {
-      type: DataTypes.STRING(255),
-      allowNull: true,
-      comment: 'Unique key to prevent duplicate orders from the same request'
-    },
-    customer_name: {
-      type: DataTypes.STRING(255),
+    start_time: {
+      type: DataTypes.TIME,
       allowNull: false
     },
-    customer_email: {
-      type: DataTypes.STRING(255),
-      allowNull: true
-    },
-    customer_phone: {
-      type: DataTypes.STRING(50),
-      allowNull: true
-    },
-    customer_address: {
-      type: DataTypes.TEXT,
-      allowNull: true
-    },
-    city: {
-      type: DataTypes.STRING(100),
-      allowNull: true
-    },
-    state: {
-      type: DataTypes.STRING(100),
-      allowNull: true
-    },
-    country: {
-      type: DataTypes.STRING(100),
-      allowNull: true
-    },
-    delivery_date: {
-      type: DataTypes.DATEONLY,
-      allowNull: true
-    },
-    delivery_time: {
+    end_time: {
       type: DataTypes.TIME,
-      allowNull: true
-    },
-    subtotal: {
-      type: DataTypes.DECIMAL(10, 2),
-      allowNull: false,
-      defaultValue: 0.00
-    },
-    tax_amount: {
-      type: DataTypes.DECIMAL(10, 2),
-      defaultValue: 0.00
-    },
-    shipping_amount: {
-      type: DataTypes.DECIMAL(10, 2),
-      defaultValue: 0.00
-    },
-    discount_amount: {
-      type: DataTypes.DECIMAL(10, 2),
-      defaultValue: 0.00
-    },
-    total: {
-      type: DataTypes.DECIMAL(10, 2),
-      allowNull: false,
-      defaultValue: 0.00
-    },
-    status: {
-      type: DataTypes.ENUM('pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'),
-      defaultValue: 'pending'
+      allowNull: false
     },
-    payment_status: {
-      type: DataTypes.ENUM('pending', 'paid', 'failed', 'refunded'),
-      defaultValue: 'pending'
+    break_duration: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
     },
-    payment_method: {
-      type: DataTypes.STRING(50),
-      allowNull: true
+    days_of_week: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Days the template applies to (0 = Sunday ... 6 = Saturday)'
     },
-    notes: {
-      type: DataTypes.TEXT,
-      allowNull: true
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
     }
   }, {
-    tableName: 'online_store_orders',
+    tableName: 'staff_shift_templates',
     timestamps: true,
     createdAt: 'created_at',
     updatedAt: 'updated_at'
   });
 
-  // Online Store Order Item Model
-  const OnlineStoreOrderItem = sequelize.define('OnlineStoreOrderItem', {
+  // Staff Shift Swap Request Model (swap with a colleague's shift, or ask someone to cover)
+  const StaffShiftSwapRequest = sequelize.define('StaffShiftSwapRequest', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
       autoIncrement: true
     },
-    order_id: {
+    shift_id: {
       type: DataTypes.INTEGER,
       allowNull: false,
       references: {
-        model: 'online_store_orders',
-        key: 'id'
-      }
-    },
-    product_id: {
-      type: DataTypes.INTEGER,
-      allowNull: true,
-      references: {
-        model: 'products',
+        model: 'staff_shifts',
         key: 'id'
       }
     },
-    product_name: {
-      type: DataTypes.STRING(255),
+    request_type: {
+      type: DataTypes.ENUM('swap', 'cover'),
       allowNull: false
     },
-    quantity: {
+    requested_by_staff_id: {
       type: DataTypes.INTEGER,
-      allowNull: false,
-      defaultValue: 1
-    },
-    unit_price: {
-      type: DataTypes.DECIMAL(10, 2),
-      allowNull: false,
-      defaultValue: 0.00
+      allowNull: false
     },
-    total: {
-      type: DataTypes.DECIMAL(10, 2),
+    target_staff_id: {
+      type: DataTypes.INTEGER,
       allowNull: false,
-      defaultValue: 0.00
+      comment: 'Colleague who takes the shift (cover) or trades shifts (swap)'
     },
-    variation_id: {
+    target_shift_id: {
       type: DataTypes.INTEGER,
       allowNull: true,
-      references: {
-        model: 'product_variations',
-        key: 'id'
-      }
+      comment: "Colleague's shift given in exchange (swap only)"
     },
-    variation_option_id: {
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'approved', 'rejected', 'cancelled'),
+      defaultValue: 'pending'
+    },
+    reviewed_by: {
       type: DataTypes.INTEGER,
-      allowNull: true,
-      references: {
-        model: 'product_variation_options',
-        key: 'id'
-      }
+      allowNull: true
     },
-    variation_name: {
-      type: DataTypes.STRING(100),
-      allowNull: true,
-      comment: 'Name of the variation (e.g., "Color", "Size")'
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
     },
-    variation_option_value: {
-      type: DataTypes.STRING(255),
-      allowNull: true,
-      comment: 'Value of the selected variation option (e.g., "Red", "Large")'
+    review_notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
     }
   }, {
-    tableName: 'online_store_order_items',
+    tableName: 'staff_shift_swap_requests',
     timestamps: true,
     createdAt: 'created_at',
-    updatedAt: false
+    updatedAt: 'updated_at'
   });
 
-  // Define OnlineStoreOrder associations
-  // OnlineStoreOrder ↔ OnlineStore
-  OnlineStoreOrder.belongsTo(OnlineStore, { foreignKey: 'online_store_id', onDelete: 'CASCADE' });
-  OnlineStore.hasMany(OnlineStoreOrder, { foreignKey: 'online_store_id', onDelete: 'CASCADE' });
-
-  // OnlineStoreOrder ↔ Store (optional - for enterprise users with physical stores)
-  OnlineStoreOrder.belongsTo(Store, { foreignKey: 'store_id', onDelete: 'SET NULL' });
-
-  // OnlineStoreOrder ↔ OnlineStoreOrderItem
-  OnlineStoreOrder.hasMany(OnlineStoreOrderItem, { foreignKey: 'order_id', onDelete: 'CASCADE' });
-  OnlineStoreOrderItem.belongsTo(OnlineStoreOrder, { foreignKey: 'order_id', onDelete: 'CASCADE' });
-
-  // OnlineStoreOrderItem ↔ Product (optional)
-  OnlineStoreOrderItem.belongsTo(Product, { foreignKey: 'product_id', onDelete: 'SET NULL' });
-
-  // Define store associations (online stores are linked to physical stores via OnlineStoreLocation)
-  // OnlineStore ↔ OnlineStoreLocation (one online store can have many physical locations)
-  OnlineStore.hasMany(OnlineStoreLocation, { foreignKey: 'online_store_id', onDelete: 'CASCADE' });
-  OnlineStoreLocation.belongsTo(OnlineStore, { foreignKey: 'online_store_id' });
-
-  // Store ↔ OnlineStoreLocation (one physical store can be linked to many online stores)
-  Store.hasMany(OnlineStoreLocation, { foreignKey: 'store_id', onDelete: 'CASCADE' });
-  OnlineStoreLocation.belongsTo(Store, { foreignKey: 'store_id' });
-
-  // OnlineStore ↔ StoreService (many-to-many through OnlineStoreService junction table)
-  // OnlineStore ↔ OnlineStoreService
-  OnlineStore.hasMany(OnlineStoreService, { foreignKey: 'online_store_id', onDelete: 'CASCADE' });
-  OnlineStoreService.belongsTo(OnlineStore, { foreignKey: 'online_store_id' });
-  
-  // StoreService ↔ OnlineStoreService
-  StoreService.hasMany(OnlineStoreService, { foreignKey: 'service_id', onDelete: 'CASCADE' });
-  OnlineStoreService.belongsTo(StoreService, { foreignKey: 'service_id' });
-  
-  // Many-to-many relationship (using belongsToMany for convenience)
-  OnlineStore.belongsToMany(StoreService, { through: OnlineStoreService, foreignKey: 'online_store_id', otherKey: 'service_id' });
-  StoreService.belongsToMany(OnlineStore, { through: OnlineStoreService, foreignKey: 'service_id', otherKey: 'online_store_id' });
-
-  // OnlineStore ↔ StoreCollection (collections on online store)
-  OnlineStore.hasMany(StoreCollection, { foreignKey: 'online_store_id', onDelete: 'CASCADE' });
-  StoreCollection.belongsTo(OnlineStore, { foreignKey: 'online_store_id' });
-
-  // StoreCollection ↔ StoreCollectionProduct ↔ Product
-  StoreCollection.hasMany(StoreCollectionProduct, { foreignKey: 'collection_id', onDelete: 'CASCADE' });
-  StoreCollectionProduct.belongsTo(StoreCollection, { foreignKey: 'collection_id' });
-
-  Product.hasMany(StoreCollectionProduct, { foreignKey: 'product_id', onDelete: 'CASCADE' });
-  StoreCollectionProduct.belongsTo(Product, { foreignKey: 'product_id' });
-
-  // StoreCollection ↔ StoreCollectionService ↔ StoreService
-  StoreCollection.hasMany(StoreCollectionService, { foreignKey: 'collection_id', onDelete: 'CASCADE' });
-  StoreCollectionService.belongsTo(StoreCollection, { foreignKey: 'collection_id' });
-
-  StoreService.hasMany(StoreCollectionService, { foreignKey: 'service_id', onDelete: 'CASCADE' });
-  StoreCollectionService.belongsTo(StoreService, { foreignKey: 'service_id' });
-
-  // Staff Model
-  const Staff = sequelize.define('Staff', {
+  // Staff Service Model (services a staff member can be booked for)
+  const StaffService = sequelize.define('StaffService', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
       autoIncrement: true
     },
-    name: {
-      type: DataTypes.STRING(255),
-      allowNull: false
-    },
-    email: {
-      type: DataTypes.STRING(255),
-      unique: true,
-      allowNull: true
+    staff_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'staff',
+        key: 'id'
+      }
     },
-    phone: {
-      type: DataTypes.STRING(50),
-      allowNull: true
+    service_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'store_services',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'staff_services',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['staff_id', 'service_id']
+      }
+    ]
+  });
+
+  // Staff Working Hours Model (weekly bookable hours; scheduled shifts on a date take precedence)
+  const StaffWorkingHours = sequelize.define('StaffWorkingHours', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
     },
-    role_id: {
+    staff_id: {
       type: DataTypes.INTEGER,
-      allowNull: true,
+      allowNull: false,
       references: {
-        model: 'roles',
+        model: 'staff',
         key: 'id'
       }
     },
     store_id: {
       type: DataTypes.INTEGER,
-      allowNull: true,
+      allowNull: false,
       references: {
         model: 'stores',
         key: 'id'
       }
     },
-    employee_id: {
-      type: DataTypes.STRING(50),
-      allowNull: true
-    },
-    hire_date: {
-      type: DataTypes.DATEONLY,
-      allowNull: true
+    day_of_week: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: '0=Sunday, 1=Monday, etc.'
     },
-    salary: {
-      type: DataTypes.DECIMAL(10, 2),
-      allowNull: true
+    start_time: {
+      type: DataTypes.TIME,
+      allowNull: false
     },
-    status: {
-      type: DataTypes.ENUM('active', 'inactive', 'suspended', 'terminated'),
-      defaultValue: 'active'
+    end_time: {
+      type: DataTypes.TIME,
+      allowNull: false
     },
-    last_login: {
-      type: DataTypes.DATE,
-      allowNull: true
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
     }
   }, {
-    tableName: 'staff',
+    tableName: 'staff_working_hours',
     timestamps: true,
     createdAt: 'created_at',
     updatedAt: 'updated_at'
   });
 
-  // Role Model
-  const Role = sequelize.define('Role', {
+  // Staff Time Off Model (leave and other absences that block bookings)
+  const StaffTimeOff = sequelize.define('StaffTimeOff', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
       autoIncrement: true
     },
-    name: {
-      type: DataTypes.STRING(100),
+    staff_id: {
+      type: DataTypes.INTEGER,
       allowNull: false,
-      unique: true
+      references: {
+        model: 'staff',
+        key: 'id'
+      }
     },
-    description: {
+    start_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    end_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    time_off_type: {
+      type: DataTypes.ENUM('annual_leave', 'sick_leave', 'training', 'personal', 'other'),
+      defaultValue: 'annual_leave'
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+      defaultValue: 'approved',
+      comment: 'Only approved time off blocks bookings'
+    },
+    reason: {
       type: DataTypes.TEXT,
       allowNull: true
     },
-    is_system_role: {
-      type: DataTypes.BOOLEAN,
-      defaultValue: false
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true
     }
   }, {
-    tableName: 'roles',
+    tableName: 'staff_time_off',
     timestamps: true,
     createdAt: 'created_at',
     updatedAt: 'updated_at'
   });
 
-  // Permission Model
-  const Permission = sequelize.define('Permission', {
+  // Bookable Resource Model (rooms, chairs, equipment a service needs)
+  const BookableResource = sequelize.define('BookableResource', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
       autoIncrement: true
     },
-    name: {
-      type: DataTypes.STRING(100),
+    store_id: {
+      type: DataTypes.INTEGER,
       allowNull: false,
-      unique: true
+      references: {
+        model: 'stores',
+        key: 'id'
+      }
     },
-    resource: {
+    name: {
       type: DataTypes.STRING(100),
       allowNull: false
     },
-    action: {
+    resource_type: {
       type: DataTypes.STRING(50),
-      allowNull: false
+      defaultValue: 'room',
+      comment: 'room, chair, bed, equipment, etc.'
     },
-    description: {
+    capacity: {
+      type: DataTypes.INTEGER,
+      defaultValue: 1,
+      comment: 'Bookings the resource can hold at the same time'
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    notes: {
       type: DataTypes.TEXT,
       allowNull: true
     }
   }, {
-    tableName: 'permissions',
+    tableName: 'bookable_resources',
     timestamps: true,
     createdAt: 'created_at',
-    updatedAt: false
+    updatedAt: 'updated_at'
   });
 
-  // Role Permission Model
-  const RolePermission = sequelize.define('RolePermission', {
+  // Bookable Resource Service Model (services that need one of the linked resources)
+  const BookableResourceService = sequelize.define('BookableResourceService', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
       autoIncrement: true
     },
-    role_id: {
+    resource_id: {
       type: DataTypes.INTEGER,
       allowNull: false,
       references: {
-        model: 'roles',
+        model: 'bookable_resources',
         key: 'id'
       }
     },
-    permission_id: {
+    service_id: {
       type: DataTypes.INTEGER,
       allowNull: false,
       references: {
-        model: 'permissions',
+        model: 'store_services',
         key: 'id'
       }
     }
   }, {
-    tableName: 'role_permissions',
+    tableName: 'bookable_resource_services',
     timestamps: true,
     createdAt: 'created_at',
-    updatedAt: false
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['resource_id', 'service_id']
+      }
+    ]
   });
 
-  // Supplier Model
-  const Supplier = sequelize.define('Supplier', {
+  // Staff Pay Rate Model (hourly rate and multipliers for a staff member, or a role default)
+  const StaffPayRate = sequelize.define('StaffPayRate', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
       autoIncrement: true
     },
-    name: {
-      type: DataTypes.STRING(255),
-      allowNull: false
+    staff_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Set for an individual rate; takes precedence over the role rate'
     },
-    company_name: {
-      type: DataTypes.STRING(255),
-      allowNull: true
+    role_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Set for a role default rate'
     },
-    email: {
-      type: DataTypes.STRING(255),
-      allowNull: true
+    hourly_rate: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
     },
-    phone: {
-      type: DataTypes.STRING(50),
-      allowNull: true
+    overtime_multiplier: {
+      type: DataTypes.DECIMAL(4, 2),
+      defaultValue: 1.5
     },
-    address: {
-      type: DataTypes.TEXT,
-      allowNull: true
+    night_multiplier: {
+      type: DataTypes.DECIMAL(4, 2),
+      defaultValue: 1.25
     },
-    city: {
-      type: DataTypes.STRING(100),
-      allowNull: true
+    holiday_multiplier: {
+      type: DataTypes.DECIMAL(4, 2),
+      defaultValue: 2.0
     },
-    state: {
-      type: DataTypes.STRING(100),
-      allowNull: true
+    daily_overtime_after_hours: {
+      type: DataTypes.DECIMAL(5, 2),
+      defaultValue: 8,
+      comment: 'Hours per day after which overtime applies'
     },
-    country: {
-      type: DataTypes.STRING(100),
-      allowNull: true
+    weekly_overtime_after_hours: {
+      type: DataTypes.DECIMAL(5, 2),
+      defaultValue: 40,
+      comment: 'Hours per week after which overtime applies'
     },
-    contact_person: {
-      type: DataTypes.STRING(255),
-      allowNull: true
+    night_start_time: {
+      type: DataTypes.TIME,
+      defaultValue: '22:00:00'
     },
-    payment_terms: {
-      type: DataTypes.STRING(100),
-      allowNull: true
+    night_end_time: {
+      type: DataTypes.TIME,
+      defaultValue: '06:00:00'
     },
-    tax_id: {
-      type: DataTypes.STRING(100),
-      allowNull: true
+    effective_from: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
     },
-    notes: {
-      type: DataTypes.TEXT,
+    effective_to: {
+      type: DataTypes.DATEONLY,
       allowNull: true
     },
     is_active: {
@@ -2056,146 +6015,140 @@ function initializeModels(sequelize) {
       defaultValue: true
     }
   }, {
-    tableName: 'suppliers',
+    tableName: 'staff_pay_rates',
     timestamps: true,
     createdAt: 'created_at',
     updatedAt: 'updated_at'
   });
 
-  // Purchase Order Model
-  const PurchaseOrder = sequelize.define('PurchaseOrder', {
+  // Public Holiday Model (days paid at the holiday multiplier)
+  const PublicHoliday = sequelize.define('PublicHoliday', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
       autoIncrement: true
     },
-    po_number: {
-      type: DataTypes.STRING(50),
-      unique: true,
+    store_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'NULL = applies to all stores'
+    },
+    holiday_date: {
+      type: DataTypes.DATEONLY,
       allowNull: false
     },
-    supplier_id: {
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    }
+  }, {
+    tableName: 'public_holidays',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+  });
+
+  // Attendance Geofence Model (per-store clock-in location and device rules)
+  const AttendanceGeofence = sequelize.define('AttendanceGeofence', {
+    id: {
       type: DataTypes.INTEGER,
-      allowNull: false,
-      references: {
-        model: 'suppliers',
-        key: 'id'
-      }
+      primaryKey: true,
+      autoIncrement: true
     },
     store_id: {
       type: DataTypes.INTEGER,
-      allowNull: true,
+      allowNull: false,
+      unique: true,
       references: {
         model: 'stores',
         key: 'id'
       }
     },
-    order_date: {
-      type: DataTypes.DATEONLY,
+    latitude: {
+      type: DataTypes.DECIMAL(10, 8),
       allowNull: false
     },
-    expected_delivery_date: {
-      type: DataTypes.DATEONLY,
-      allowNull: true
-    },
-    status: {
-      type: DataTypes.ENUM('draft', 'sent', 'confirmed', 'partial', 'received', 'cancelled'),
-      defaultValue: 'draft'
+    longitude: {
+      type: DataTypes.DECIMAL(11, 8),
+      allowNull: false
     },
-    subtotal: {
-      type: DataTypes.DECIMAL(10, 2),
-      allowNull: false,
-      defaultValue: 0.00
+    radius_meters: {
+      type: DataTypes.INTEGER,
+      defaultValue: 100
     },
-    tax_amount: {
-      type: DataTypes.DECIMAL(10, 2),
-      defaultValue: 0.00
+    enforcement: {
+      type: DataTypes.ENUM('reject', 'flag'),
+      defaultValue: 'flag',
+      comment: 'reject blocks the clock-in; flag records it for the anomaly report'
     },
-    shipping_amount: {
-      type: DataTypes.DECIMAL(10, 2),
-      defaultValue: 0.00
+    require_registered_device: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
     },
-    total: {
-      type: DataTypes.DECIMAL(10, 2),
-      allowNull: false,
-      defaultValue: 0.00
+    require_photo: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
     },
-    notes: {
-      type: DataTypes.TEXT,
-      allowNull: true
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
     }
   }, {
-    tableName: 'purchase_orders',
+    tableName: 'attendance_geofences',
     timestamps: true,
     createdAt: 'created_at',
     updatedAt: 'updated_at'
   });
 
-  // Purchase Order Item Model
-  const PurchaseOrderItem = sequelize.define('PurchaseOrderItem', {
+  // Staff Device Model (devices a staff member is allowed to clock in from)
+  const StaffDevice = sequelize.define('StaffDevice', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
       autoIncrement: true
     },
-    purchase_order_id: {
+    staff_id: {
       type: DataTypes.INTEGER,
       allowNull: false,
       references: {
-        model: 'purchase_orders',
-        key: 'id'
-      }
-    },
-    product_id: {
-      type: DataTypes.INTEGER,
-      allowNull: true,
-      references: {
-        model: 'products',
+        model: 'staff',
         key: 'id'
       }
     },
-    product_name: {
-      type: DataTypes.STRING(255),
+    device_id: {
+      type: DataTypes.STRING(100),
       allowNull: false
     },
-    quantity: {
-      type: DataTypes.INTEGER,
-      allowNull: false,
-      defaultValue: 1
+    device_name: {
+      type: DataTypes.STRING(255),
+      allowNull: true
     },
-    unit_price: {
-      type: DataTypes.DECIMAL(10, 2),
-      allowNull: false,
-      defaultValue: 0.00
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
     },
-    received_quantity: {
+    registered_by: {
       type: DataTypes.INTEGER,
-      defaultValue: 0
+      allowNull: true
     },
-    total: {
-      type: DataTypes.DECIMAL(10, 2),
-      allowNull: false,
-      defaultValue: 0.00
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
   }, {
-    tableName: 'purchase_order_items',
+    tableName: 'staff_devices',
     timestamps: true,
     createdAt: 'created_at',
-    updatedAt: false
+    updatedAt: 'updated_at'
   });
 
-  // POS Transaction Model
-  const POSTransaction = sequelize.define('POSTransaction', {
+  // Timesheet Model (one store's hours and gross pay for a pay period)
+  const Timesheet = sequelize.define('Timesheet', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
       autoIncrement: true
     },
-    transaction_number: {
-      type: DataTypes.STRING(50),
-      unique: true,
-      allowNull: false
-    },
     store_id: {
       type: DataTypes.INTEGER,
       allowNull: false,
@@ -2204,683 +6157,889 @@ function initializeModels(sequelize) {
         key: 'id'
       }
     },
-    staff_id: {
-      type: DataTypes.INTEGER,
-      allowNull: true,
-      references: {
-        model: 'staff',
-        key: 'id'
-      }
-    },
-    customer_id: {
-      type: DataTypes.INTEGER,
-      allowNull: true,
-      references: {
-        model: 'customers',
-        key: 'id'
-      }
+    period_start: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
     },
-    subtotal: {
-      type: DataTypes.DECIMAL(10, 2),
-      allowNull: false,
-      defaultValue: 0.00
+    period_end: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
     },
-    tax_amount: {
-      type: DataTypes.DECIMAL(10, 2),
-      defaultValue: 0.00
+    status: {
+      type: DataTypes.ENUM('draft', 'approved'),
+      defaultValue: 'draft'
     },
-    discount_amount: {
+    total_regular_hours: {
       type: DataTypes.DECIMAL(10, 2),
-      defaultValue: 0.00
+      defaultValue: 0
     },
-    total: {
+    total_overtime_hours: {
       type: DataTypes.DECIMAL(10, 2),
-      allowNull: false,
-      defaultValue: 0.00
-    },
-    payment_method: {
-      type: DataTypes.ENUM('cash', 'card', 'transfer', 'mobile_money', 'other'),
-      defaultValue: 'cash'
+      defaultValue: 0
     },
-    amount_paid: {
+    total_night_hours: {
       type: DataTypes.DECIMAL(10, 2),
-      allowNull: false,
-      defaultValue: 0.00
+      defaultValue: 0
     },
-    change_amount: {
+    total_holiday_hours: {
       type: DataTypes.DECIMAL(10, 2),
-      defaultValue: 0.00
-    },
-    status: {
-      type: DataTypes.ENUM('pending', 'completed', 'cancelled', 'refunded'),
-      defaultValue: 'pending'
+      defaultValue: 0
     },
-    receipt_printed: {
-      type: DataTypes.BOOLEAN,
-      defaultValue: false
+    total_gross_pay: {
+      type: DataTypes.DECIMAL(12, 2),
+      defaultValue: 0
     },
     notes: {
       type: DataTypes.TEXT,
       allowNull: true
+    },
+    generated_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    approved_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    approved_at: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
   }, {
-    tableName: 'pos_transactions',
+    tableName: 'timesheets',
     timestamps: true,
     createdAt: 'created_at',
     updatedAt: 'updated_at'
   });
 
-  // POS Transaction Item Model
-  const POSTransactionItem = sequelize.define('POSTransactionItem', {
+  // Timesheet Entry Model (one staff member's line on a timesheet)
+  const TimesheetEntry = sequelize.define('TimesheetEntry', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
       autoIncrement: true
     },
-    transaction_id: {
+    timesheet_id: {
       type: DataTypes.INTEGER,
       allowNull: false,
       references: {
-        model: 'pos_transactions',
+        model: 'timesheets',
         key: 'id'
       }
     },
-    product_id: {
+    staff_id: {
       type: DataTypes.INTEGER,
-      allowNull: true,
-      references: {
-        model: 'products',
-        key: 'id'
-      }
+      allowNull: false
     },
-    product_name: {
+    staff_name: {
       type: DataTypes.STRING(255),
       allowNull: false
     },
-    barcode: {
-      type: DataTypes.STRING(100),
+    employee_id: {
+      type: DataTypes.STRING(50),
       allowNull: true
     },
-    quantity: {
-      type: DataTypes.DECIMAL(10, 2),
-      allowNull: false,
-      defaultValue: 1.00
+    pay_rate_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
     },
-    unit_price: {
+    hourly_rate: {
       type: DataTypes.DECIMAL(10, 2),
-      allowNull: false,
-      defaultValue: 0.00
+      defaultValue: 0
     },
-    discount_percentage: {
-      type: DataTypes.DECIMAL(5, 2),
-      defaultValue: 0.00
+    days_worked: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
     },
-    discount_amount: {
-      type: DataTypes.DECIMAL(10, 2),
-      defaultValue: 0.00
+    regular_hours: {
+      type: DataTypes.DECIMAL(8, 2),
+      defaultValue: 0
     },
-    total: {
-      type: DataTypes.DECIMAL(10, 2),
-      allowNull: false,
-      defaultValue: 0.00
-    }
-  }, {
-    tableName: 'pos_transaction_items',
-    timestamps: true,
-    createdAt: 'created_at',
-    updatedAt: false
-  });
-
-  // Product Bundle Model
-  const ProductBundle = sequelize.define('ProductBundle', {
-    id: {
+    overtime_hours: {
+      type: DataTypes.DECIMAL(8, 2),
+      defaultValue: 0
+    },
+    night_hours: {
+      type: DataTypes.DECIMAL(8, 2),
+      defaultValue: 0
+    },
+    holiday_hours: {
+      type: DataTypes.DECIMAL(8, 2),
+      defaultValue: 0
+    },
+    late_count: {
       type: DataTypes.INTEGER,
-      primaryKey: true,
-      autoIncrement: true
+      defaultValue: 0
     },
-    name: {
-      type: DataTypes.STRING(255),
-      allowNull: false
+    no_show_count: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
     },
-    description: {
-      type: DataTypes.TEXT,
-      allowNull: true
+    regular_pay: {
+      type: DataTypes.DECIMAL(12, 2),
+      defaultValue: 0
     },
-    bundle_price: {
-      type: DataTypes.DECIMAL(10, 2),
-      allowNull: false,
-      defaultValue: 0.00
+    overtime_pay: {
+      type: DataTypes.DECIMAL(12, 2),
+      defaultValue: 0
     },
-    image_url: {
-      type: DataTypes.STRING(500),
+    night_premium: {
+      type: DataTypes.DECIMAL(12, 2),
+      defaultValue: 0
+    },
+    holiday_premium: {
+      type: DataTypes.DECIMAL(12, 2),
+      defaultValue: 0
+    },
+    adjustments: {
+      type: DataTypes.DECIMAL(12, 2),
+      defaultValue: 0,
+      comment: 'Manual adjustment added to gross pay (bonus, deduction)'
+    },
+    adjustment_notes: {
+      type: DataTypes.TEXT,
       allowNull: true
     },
-    is_active: {
+    gross_pay: {
+      type: DataTypes.DECIMAL(12, 2),
+      defaultValue: 0
+    },
+    missing_pay_rate: {
       type: DataTypes.BOOLEAN,
-      defaultValue: true
+      defaultValue: false
+    },
+    attendance_ids: {
+      type: DataTypes.JSON,
+      allowNull: true
     }
   }, {
-    tableName: 'product_bundles',
+    tableName: 'timesheet_entries',
     timestamps: true,
     createdAt: 'created_at',
     updatedAt: 'updated_at'
   });
 
-  // Product Bundle Item Model
-  const ProductBundleItem = sequelize.define('ProductBundleItem', {
+  // Commission Plan Model (staff-specific, role-wide, or default when both are NULL)
+  const CommissionPlan = sequelize.define('CommissionPlan', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
       autoIncrement: true
     },
-    bundle_id: {
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    staff_id: {
       type: DataTypes.INTEGER,
-      allowNull: false,
+      allowNull: true,
       references: {
-        model: 'product_bundles',
+        model: 'staff',
         key: 'id'
       }
     },
-    product_id: {
+    role_id: {
       type: DataTypes.INTEGER,
-      allowNull: false,
+      allowNull: true,
       references: {
-        model: 'products',
+        model: 'roles',
         key: 'id'
       }
     },
-    quantity: {
+    store_id: {
       type: DataTypes.INTEGER,
-      allowNull: false,
-      defaultValue: 1
+      allowNull: true,
+      references: {
+        model: 'stores',
+        key: 'id'
+      },
+      comment: 'NULL applies to sales in every store'
+    },
+    plan_type: {
+      type: DataTypes.ENUM('flat', 'tiered'),
+      defaultValue: 'flat'
+    },
+    rate: {
+      type: DataTypes.DECIMAL(5, 2),
+      defaultValue: 0,
+      comment: 'Flat commission percentage on product sales'
+    },
+    tiers: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Array of { min_sales, rate } by month-to-date sales, used when plan_type is tiered'
+    },
+    service_rate: {
+      type: DataTypes.DECIMAL(5, 2),
+      defaultValue: 0,
+      comment: 'Commission percentage on completed bookings'
+    },
+    effective_from: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    effective_to: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
     }
   }, {
-    tableName: 'product_bundle_items',
+    tableName: 'commission_plans',
     timestamps: true,
     createdAt: 'created_at',
-    updatedAt: false
+    updatedAt: 'updated_at'
   });
 
-  // Menu Model (for restaurants)
-  const Menu = sequelize.define('Menu', {
+  // Commission Plan Override Model (category or product rate replacing the plan rate)
+  const CommissionPlanOverride = sequelize.define('CommissionPlanOverride', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
       autoIncrement: true
     },
-    name: {
-      type: DataTypes.STRING(255),
-      allowNull: false
-    },
-    description: {
-      type: DataTypes.TEXT,
-      allowNull: true
+    commission_plan_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'commission_plans',
+        key: 'id'
+      }
     },
-    menu_type: {
-      type: DataTypes.ENUM('breakfast', 'lunch', 'dinner', 'drinks', 'dessert', 'all_day'),
-      defaultValue: 'all_day'
+    override_type: {
+      type: DataTypes.ENUM('category', 'product'),
+      allowNull: false
     },
-    is_active: {
-      type: DataTypes.BOOLEAN,
-      defaultValue: true
+    category: {
+      type: DataTypes.STRING(100),
+      allowNull: true
     },
-    sort_order: {
+    product_id: {
       type: DataTypes.INTEGER,
-      defaultValue: 0
+      allowNull: true,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    rate: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false
     }
   }, {
-    tableName: 'menus',
+    tableName: 'commission_plan_overrides',
     timestamps: true,
     createdAt: 'created_at',
     updatedAt: 'updated_at'
   });
 
-  // Menu Item Model
-  const MenuItem = sequelize.define('MenuItem', {
+  // Commission Entry Model (ledger of accruals and reversals)
+  const CommissionEntry = sequelize.define('CommissionEntry', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
       autoIncrement: true
     },
-    menu_id: {
+    staff_id: {
       type: DataTypes.INTEGER,
       allowNull: false,
       references: {
-        model: 'menus',
+        model: 'staff',
         key: 'id'
       }
     },
-    product_id: {
+    commission_plan_id: {
       type: DataTypes.INTEGER,
       allowNull: true,
       references: {
-        model: 'products',
+        model: 'commission_plans',
         key: 'id'
       }
     },
-    name: {
-      type: DataTypes.STRING(255),
-      allowNull: false
-    },
-    description: {
-      type: DataTypes.TEXT,
+    store_id: {
+      type: DataTypes.INTEGER,
       allowNull: true
     },
-    price: {
-      type: DataTypes.DECIMAL(10, 2),
-      allowNull: true, // Can be null for products with variations (each variation option has its own price)
-      defaultValue: 0.00
+    entry_type: {
+      type: DataTypes.ENUM('accrual', 'reversal'),
+      defaultValue: 'accrual'
     },
-    image_url: {
-      type: DataTypes.STRING(500),
-      allowNull: true
+    source_type: {
+      type: DataTypes.ENUM('pos_transaction', 'booking'),
+      allowNull: false
     },
-    is_available: {
-      type: DataTypes.BOOLEAN,
-      defaultValue: true
+    source_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false
     },
-    preparation_time: {
+    source_item_id: {
       type: DataTypes.INTEGER,
-      defaultValue: 0
+      allowNull: true,
+      comment: 'POSTransactionItem ID for product lines'
     },
-    dietary_info: {
-      type: DataTypes.JSON,
+    product_id: {
+      type: DataTypes.INTEGER,
       allowNull: true
     },
-    allergens: {
-      type: DataTypes.JSON,
+    description: {
+      type: DataTypes.STRING(255),
       allowNull: true
     },
-    sort_order: {
-      type: DataTypes.INTEGER,
+    sale_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      defaultValue: 0,
+      comment: 'Commissionable amount (negative on reversals)'
+    },
+    rate: {
+      type: DataTypes.DECIMAL(5, 2),
       defaultValue: 0
+    },
+    rate_source: {
+      type: DataTypes.ENUM('plan', 'tier', 'category', 'product', 'service'),
+      defaultValue: 'plan'
+    },
+    commission_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      defaultValue: 0,
+      comment: 'Negative on reversals'
+    },
+    reversed_entry_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    earned_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
     }
   }, {
-    tableName: 'menu_items',
+    tableName: 'commission_entries',
     timestamps: true,
     createdAt: 'created_at',
-    updatedAt: 'updated_at'
+    updatedAt: false
   });
 
-  // Menu Item Modifier Model
-  const MenuItemModifier = sequelize.define('MenuItemModifier', {
+  // Loyalty associations
+  LoyaltyProgram.hasMany(CustomerLoyaltyPoints, { foreignKey: 'loyalty_program_id' });
+  CustomerLoyaltyPoints.belongsTo(LoyaltyProgram, { foreignKey: 'loyalty_program_id' });
+  Customer.hasMany(CustomerLoyaltyPoints, { foreignKey: 'customer_id' });
+  CustomerLoyaltyPoints.belongsTo(Customer, { foreignKey: 'customer_id' });
+  Customer.hasMany(LoyaltyPointTransaction, { foreignKey: 'customer_id' });
+  LoyaltyPointTransaction.belongsTo(Customer, { foreignKey: 'customer_id' });
+  LoyaltyProgram.hasMany(LoyaltyPointTransaction, { foreignKey: 'loyalty_program_id' });
+  LoyaltyPointTransaction.belongsTo(LoyaltyProgram, { foreignKey: 'loyalty_program_id' });
+
+  // Attendance associations
+  Staff.hasMany(StaffAttendance, { foreignKey: 'staff_id' });
+  StaffAttendance.belongsTo(Staff, { foreignKey: 'staff_id' });
+  Store.hasMany(StaffAttendance, { foreignKey: 'store_id' });
+  StaffAttendance.belongsTo(Store, { foreignKey: 'store_id' });
+  Staff.hasMany(StaffShift, { foreignKey: 'staff_id' });
+  StaffShift.belongsTo(Staff, { foreignKey: 'staff_id' });
+  Store.hasMany(StaffShift, { foreignKey: 'store_id' });
+  StaffShift.belongsTo(Store, { foreignKey: 'store_id' });
+  StaffAttendance.belongsTo(StaffShift, { foreignKey: 'shift_id' });
+  StaffShift.belongsTo(StaffShiftTemplate, { foreignKey: 'shift_template_id' });
+  StaffShiftTemplate.hasMany(StaffShift, { foreignKey: 'shift_template_id' });
+  StaffShiftTemplate.belongsTo(Store, { foreignKey: 'store_id' });
+  StaffShift.hasMany(StaffShiftSwapRequest, { foreignKey: 'shift_id' });
+  StaffShiftSwapRequest.belongsTo(StaffShift, { foreignKey: 'shift_id' });
+  StaffShiftSwapRequest.belongsTo(StaffShift, { foreignKey: 'target_shift_id', as: 'TargetShift' });
+  StaffShiftSwapRequest.belongsTo(Staff, { foreignKey: 'requested_by_staff_id', as: 'RequestedBy' });
+  StaffShiftSwapRequest.belongsTo(Staff, { foreignKey: 'target_staff_id', as: 'TargetStaff' });
+  Staff.belongsToMany(StoreService, { through: StaffService, foreignKey: 'staff_id', otherKey: 'service_id' });
+  StoreService.belongsToMany(Staff, { through: StaffService, foreignKey: 'service_id', otherKey: 'staff_id' });
+  Staff.hasMany(StaffWorkingHours, { foreignKey: 'staff_id', onDelete: 'CASCADE' });
+  StaffWorkingHours.belongsTo(Staff, { foreignKey: 'staff_id' });
+  StaffWorkingHours.belongsTo(Store, { foreignKey: 'store_id' });
+  Staff.hasMany(StaffTimeOff, { foreignKey: 'staff_id', onDelete: 'CASCADE' });
+  StaffTimeOff.belongsTo(Staff, { foreignKey: 'staff_id' });
+  BookableResource.belongsTo(Store, { foreignKey: 'store_id' });
+  BookableResource.belongsToMany(StoreService, { through: BookableResourceService, foreignKey: 'resource_id', otherKey: 'service_id' });
+  StoreService.belongsToMany(BookableResource, { through: BookableResourceService, foreignKey: 'service_id', otherKey: 'resource_id' });
+  Booking.belongsTo(Staff, { foreignKey: 'staff_id', constraints: false });
+  Booking.belongsTo(BookableResource, { foreignKey: 'resource_id', constraints: false });
+  BookingCalendarFeed.belongsTo(Store, { foreignKey: 'store_id', constraints: false });
+  BookingCalendarFeed.belongsTo(Staff, { foreignKey: 'staff_id', constraints: false });
+  Staff.hasMany(StaffPayRate, { foreignKey: 'staff_id' });
+  StaffPayRate.belongsTo(Staff, { foreignKey: 'staff_id' });
+  StaffPayRate.belongsTo(Role, { foreignKey: 'role_id' });
+  Timesheet.belongsTo(Store, { foreignKey: 'store_id' });
+  Store.hasMany(Timesheet, { foreignKey: 'store_id' });
+  Timesheet.hasMany(TimesheetEntry, { foreignKey: 'timesheet_id', onDelete: 'CASCADE' });
+  TimesheetEntry.belongsTo(Timesheet, { foreignKey: 'timesheet_id' });
+  TimesheetEntry.belongsTo(Staff, { foreignKey: 'staff_id' });
+  Store.hasOne(AttendanceGeofence, { foreignKey: 'store_id' });
+  AttendanceGeofence.belongsTo(Store, { foreignKey: 'store_id' });
+  Staff.hasMany(StaffDevice, { foreignKey: 'staff_id' });
+  StaffDevice.belongsTo(Staff, { foreignKey: 'staff_id' });
+  CommissionPlan.belongsTo(Staff, { foreignKey: 'staff_id' });
+  CommissionPlan.belongsTo(Role, { foreignKey: 'role_id' });
+  CommissionPlan.belongsTo(Store, { foreignKey: 'store_id' });
+  CommissionPlan.hasMany(CommissionPlanOverride, { foreignKey: 'commission_plan_id', onDelete: 'CASCADE' });
+  CommissionPlanOverride.belongsTo(CommissionPlan, { foreignKey: 'commission_plan_id' });
+  CommissionPlanOverride.belongsTo(Product, { foreignKey: 'product_id' });
+  Staff.hasMany(CommissionEntry, { foreignKey: 'staff_id' });
+  CommissionEntry.belongsTo(Staff, { foreignKey: 'staff_id' });
+  CommissionEntry.belongsTo(CommissionPlan, { foreignKey: 'commission_plan_id' });
+
+  // Payment Gateway Model
+  const PaymentGateway = sequelize.define('PaymentGateway', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
       autoIncrement: true
     },
-    menu_item_id: {
+    tenant_id: {
       type: DataTypes.INTEGER,
-      allowNull: false,
-      references: {
-        model: 'menu_items',
-        key: 'id'
-      }
+      allowNull: false
     },
-    name: {
+    gateway_name: {
+      type: DataTypes.ENUM('paystack', 'flutterwave', 'stripe', 'other'),
+      allowNull: false
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    is_default: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    public_key: {
       type: DataTypes.STRING(255),
       allowNull: false
     },
-    price: {
-      type: DataTypes.DECIMAL(10, 2),
-      defaultValue: 0.00
+    secret_key: {
+      type: DataTypes.STRING(500),
+      allowNull: false
     },
-    is_required: {
+    webhook_secret: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    test_mode: {
       type: DataTypes.BOOLEAN,
       defaultValue: false
     },
-    sort_order: {
-      type: DataTypes.INTEGER,
-      defaultValue: 0
+    transaction_fee_percentage: {
+      type: DataTypes.DECIMAL(5, 2),
+      defaultValue: 0.00
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      allowNull: true
     }
   }, {
-    tableName: 'menu_item_modifiers',
+    tableName: 'payment_gateways',
     timestamps: true,
     createdAt: 'created_at',
-    updatedAt: false
+    updatedAt: 'updated_at'
   });
 
-  // Stock Movement Model
-  const StockMovement = sequelize.define('StockMovement', {
+  // Payment Transaction Model
+  const PaymentTransaction = sequelize.define('PaymentTransaction', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
       autoIncrement: true
     },
-    product_id: {
-      type: DataTypes.INTEGER,
-      allowNull: false,
-      references: {
-        model: 'products',
-        key: 'id'
-      }
-    },
-    store_id: {
+    tenant_id: {
       type: DataTypes.INTEGER,
-      allowNull: true,
-      references: {
-        model: 'stores',
-        key: 'id'
-      }
-    },
-    movement_type: {
-      type: DataTypes.ENUM('purchase', 'sale', 'adjustment', 'transfer', 'return', 'expiry', 'damage'),
       allowNull: false
     },
-    quantity: {
+    order_id: {
       type: DataTypes.INTEGER,
-      allowNull: false
-    },
-    reference_type: {
-      type: DataTypes.STRING(50),
       allowNull: true
     },
-    reference_id: {
+    invoice_id: {
       type: DataTypes.INTEGER,
       allowNull: true
     },
-    notes: {
-      type: DataTypes.TEXT,
+    booking_id: {
+      type: DataTypes.INTEGER,
       allowNull: true
     },
-    created_by: {
-      type: DataTypes.INTEGER,
+    transaction_reference: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true
+    },
+    gateway_name: {
+      type: DataTypes.ENUM('paystack', 'flutterwave', 'stripe', 'other'),
+      allowNull: false
+    },
+    gateway_transaction_id: {
+      type: DataTypes.STRING(255),
       allowNull: true
-    }
-  }, {
-    tableName: 'stock_movements',
-    timestamps: true,
-    createdAt: 'created_at',
-    updatedAt: false
-  });
-
-  // Define additional associations
-  // Staff associations
-  Staff.belongsTo(Role, { foreignKey: 'role_id' });
-  Role.hasMany(Staff, { foreignKey: 'role_id' });
-  Staff.belongsTo(Store, { foreignKey: 'store_id' });
-  Store.hasMany(Staff, { foreignKey: 'store_id' });
-  Role.belongsToMany(Permission, { through: RolePermission, foreignKey: 'role_id', otherKey: 'permission_id' });
-  Permission.belongsToMany(Role, { through: RolePermission, foreignKey: 'permission_id', otherKey: 'role_id' });
-
-  // Supplier associations
-  Supplier.hasMany(PurchaseOrder, { foreignKey: 'supplier_id' });
-  PurchaseOrder.belongsTo(Supplier, { foreignKey: 'supplier_id' });
-  PurchaseOrder.belongsTo(Store, { foreignKey: 'store_id' });
-  Store.hasMany(PurchaseOrder, { foreignKey: 'store_id' });
-  PurchaseOrder.hasMany(PurchaseOrderItem, { foreignKey: 'purchase_order_id', onDelete: 'CASCADE' });
-  PurchaseOrderItem.belongsTo(PurchaseOrder, { foreignKey: 'purchase_order_id' });
-  Product.hasMany(PurchaseOrderItem, { foreignKey: 'product_id' });
-  PurchaseOrderItem.belongsTo(Product, { foreignKey: 'product_id' });
-
-  // POS associations
-  POSTransaction.belongsTo(Store, { foreignKey: 'store_id' });
-  Store.hasMany(POSTransaction, { foreignKey: 'store_id' });
-  POSTransaction.belongsTo(Staff, { foreignKey: 'staff_id' });
-  Staff.hasMany(POSTransaction, { foreignKey: 'staff_id' });
-  POSTransaction.belongsTo(Customer, { foreignKey: 'customer_id' });
-  Customer.hasMany(POSTransaction, { foreignKey: 'customer_id' });
-  POSTransaction.hasMany(POSTransactionItem, { foreignKey: 'transaction_id', onDelete: 'CASCADE' });
-  POSTransactionItem.belongsTo(POSTransaction, { foreignKey: 'transaction_id' });
-  Product.hasMany(POSTransactionItem, { foreignKey: 'product_id' });
-  POSTransactionItem.belongsTo(Product, { foreignKey: 'product_id' });
-
-  // Bundle associations
-  ProductBundle.hasMany(ProductBundleItem, { foreignKey: 'bundle_id', onDelete: 'CASCADE' });
-  ProductBundleItem.belongsTo(ProductBundle, { foreignKey: 'bundle_id' });
-  Product.hasMany(ProductBundleItem, { foreignKey: 'product_id', onDelete: 'CASCADE' });
-  ProductBundleItem.belongsTo(Product, { foreignKey: 'product_id' });
-
-  // Menu associations
-  Menu.hasMany(MenuItem, { foreignKey: 'menu_id', onDelete: 'CASCADE' });
-  MenuItem.belongsTo(Menu, { foreignKey: 'menu_id' });
-  Product.hasMany(MenuItem, { foreignKey: 'product_id' });
-  MenuItem.belongsTo(Product, { foreignKey: 'product_id' });
-  MenuItem.hasMany(MenuItemModifier, { foreignKey: 'menu_item_id', onDelete: 'CASCADE' });
-  MenuItemModifier.belongsTo(MenuItem, { foreignKey: 'menu_item_id' });
-
-  // Stock movement associations
-  StockMovement.belongsTo(Product, { foreignKey: 'product_id' });
-  Product.hasMany(StockMovement, { foreignKey: 'product_id' });
-  StockMovement.belongsTo(Store, { foreignKey: 'store_id' });
-  Store.hasMany(StockMovement, { foreignKey: 'store_id' });
-
-  // Loyalty Program Model
-  const LoyaltyProgram = sequelize.define('LoyaltyProgram', {
-    id: {
-      type: DataTypes.INTEGER,
-      primaryKey: true,
-      autoIncrement: true
     },
-    name: {
-      type: DataTypes.STRING(255),
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    currency: {
+      type: DataTypes.STRING(10),
+      defaultValue: 'NGN'
+    },
+    platform_fee: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0.00
+    },
+    merchant_amount: {
+      type: DataTypes.DECIMAL(10, 2),
       allowNull: false
     },
-    description: {
-      type: DataTypes.TEXT,
+    customer_email: {
+      type: DataTypes.STRING(255),
       allowNull: true
     },
-    points_per_currency: {
-      type: DataTypes.DECIMAL(10, 2),
-      defaultValue: 1.00
+    customer_name: {
+      type: DataTypes.STRING(255),
+      allowNull: true
     },
-    currency_unit: {
+    payment_method: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'success', 'failed', 'cancelled', 'refunded'),
+      defaultValue: 'pending'
+    },
+    refunded_amount: {
       type: DataTypes.DECIMAL(10, 2),
-      defaultValue: 1.00
+      allowNull: false,
+      defaultValue: 0.00
     },
-    redemption_rate: {
+    refund_due_amount: {
       type: DataTypes.DECIMAL(10, 2),
-      defaultValue: 100.00
+      allowNull: false,
+      defaultValue: 0.00,
+      comment: 'Paid online but not applied to the invoice (overpayment) - owed back to the customer'
     },
-    is_active: {
-      type: DataTypes.BOOLEAN,
-      defaultValue: true
+    gateway_response: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    failure_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    paid_at: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
   }, {
-    tableName: 'loyalty_programs',
+    tableName: 'payment_transactions',
     timestamps: true,
     createdAt: 'created_at',
     updatedAt: 'updated_at'
   });
 
-  // Customer Loyalty Points Model
-  const CustomerLoyaltyPoints = sequelize.define('CustomerLoyaltyPoints', {
+    // Payment associations (these are the last associations after PaymentTransaction model)
+  PaymentTransaction.belongsTo(OnlineStoreOrder, { foreignKey: 'order_id' });
+  PaymentTransaction.belongsTo(Invoice, { foreignKey: 'invoice_id' });
+  // Allow including transactions from orders/invoices
+  if (typeof OnlineStoreOrder !== 'undefined') {
+    OnlineStoreOrder.hasMany(PaymentTransaction, { foreignKey: 'order_id' });
+  }
+  if (typeof Invoice !== 'undefined') {
+    Invoice.hasMany(PaymentTransaction, { foreignKey: 'invoice_id' });
+  }
+  InvoicePayment.belongsTo(PaymentTransaction, { foreignKey: 'payment_transaction_id' });
+  PaymentTransaction.belongsTo(Booking, { foreignKey: 'booking_id', constraints: false });
+  Booking.hasMany(PaymentTransaction, { foreignKey: 'booking_id', constraints: false });
+
+  // Online Store Order Refund Model (full/partial refunds through the payment gateway)
+  const OnlineStoreOrderRefund = sequelize.define('OnlineStoreOrderRefund', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
       autoIncrement: true
     },
-    customer_id: {
+    tenant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
+    },
+    order_id: {
       type: DataTypes.INTEGER,
       allowNull: false,
       references: {
-        model: 'customers',
+        model: 'online_store_orders',
         key: 'id'
       }
     },
-    loyalty_program_id: {
+    payment_transaction_id: {
       type: DataTypes.INTEGER,
-      allowNull: true,
+      allowNull: false,
       references: {
-        model: 'loyalty_programs',
+        model: 'payment_transactions',
         key: 'id'
       }
     },
-    total_points: {
-      type: DataTypes.DECIMAL(10, 2),
-      defaultValue: 0.00
+    refund_number: {
+      type: DataTypes.STRING(50),
+      allowNull: false
     },
-    redeemed_points: {
+    gateway_name: {
+      type: DataTypes.ENUM('paystack', 'flutterwave', 'stripe', 'other'),
+      allowNull: false
+    },
+    gateway_refund_id: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    refund_type: {
+      type: DataTypes.ENUM('full', 'partial'),
+      allowNull: false
+    },
+    amount: {
       type: DataTypes.DECIMAL(10, 2),
-      defaultValue: 0.00
+      allowNull: false
     },
-    available_points: {
+    platform_fee_reversed: {
       type: DataTypes.DECIMAL(10, 2),
-      defaultValue: 0.00
+      defaultValue: 0.00,
+      comment: 'Share of the transaction platform fee reversed with this refund'
     },
-    lifetime_points: {
+    merchant_amount_reversed: {
       type: DataTypes.DECIMAL(10, 2),
       defaultValue: 0.00
     },
-    tier: {
-      type: DataTypes.STRING(50),
-      defaultValue: 'bronze'
+    items: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Returned lines: [{ order_item_id, product_id, quantity, amount }]'
+    },
+    restock: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    restocked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'processing', 'completed', 'failed'),
+      defaultValue: 'pending'
+    },
+    failure_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    gateway_response: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    requested_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    processed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
   }, {
-    tableName: 'customer_loyalty_points',
+    tableName: 'online_store_order_refunds',
     timestamps: true,
     createdAt: 'created_at',
-    updatedAt: 'last_updated'
+    updatedAt: 'updated_at'
   });
 
-  // Loyalty Point Transaction Model
-  const LoyaltyPointTransaction = sequelize.define('LoyaltyPointTransaction', {
+  OnlineStoreOrder.hasMany(OnlineStoreOrderRefund, { foreignKey: 'order_id', onDelete: 'CASCADE' });
+  OnlineStoreOrderRefund.belongsTo(OnlineStoreOrder, { foreignKey: 'order_id' });
+  PaymentTransaction.hasMany(OnlineStoreOrderRefund, { foreignKey: 'payment_transaction_id' });
+  OnlineStoreOrderRefund.belongsTo(PaymentTransaction, { foreignKey: 'payment_transaction_id' });
+
+  // Promotion Model (discount codes and automatic promotions)
+  const Promotion = sequelize.define('Promotion', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
       autoIncrement: true
     },
-    customer_id: {
-      type: DataTypes.INTEGER,
-      allowNull: false,
-      references: {
-        model: 'customers',
-        key: 'id'
-      }
-    },
-    loyalty_program_id: {
+    tenant_id: {
       type: DataTypes.INTEGER,
       allowNull: true,
-      references: {
-        model: 'loyalty_programs',
-        key: 'id'
-      }
+      comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
     },
-    transaction_type: {
-      type: DataTypes.ENUM('earned', 'redeemed', 'expired', 'adjusted'),
+    name: {
+      type: DataTypes.STRING(255),
       allowNull: false
     },
-    points: {
+    code: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: 'Stored upper-cased; customers enter it case-insensitively'
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    promotion_type: {
+      type: DataTypes.ENUM('percentage', 'fixed_amount', 'buy_x_get_y'),
+      allowNull: false,
+      defaultValue: 'percentage'
+    },
+    discount_value: {
       type: DataTypes.DECIMAL(10, 2),
-      allowNull: false
+      allowNull: false,
+      defaultValue: 0.00,
+      comment: 'Percent off, fixed amount off, or percent off the free items for buy_x_get_y'
     },
-    reference_type: {
-      type: DataTypes.STRING(50),
+    buy_quantity: {
+      type: DataTypes.INTEGER,
       allowNull: true
     },
-    reference_id: {
+    get_quantity: {
       type: DataTypes.INTEGER,
       allowNull: true
     },
-    description: {
-      type: DataTypes.TEXT,
+    min_basket_amount: {
+      type: DataTypes.DECIMAL(10, 2),
       allowNull: true
     },
-    expires_at: {
-      type: DataTypes.DATEONLY,
+    max_discount_amount: {
+      type: DataTypes.DECIMAL(10, 2),
       allowNull: true
-    }
-  }, {
-    tableName: 'loyalty_point_transactions',
-    timestamps: true,
-    createdAt: 'created_at',
-    updatedAt: false
-  });
-
-  // Staff Attendance Model
-  const StaffAttendance = sequelize.define('StaffAttendance', {
-    id: {
-      type: DataTypes.INTEGER,
-      primaryKey: true,
-      autoIncrement: true
     },
-    staff_id: {
-      type: DataTypes.INTEGER,
-      allowNull: false,
-      references: {
-        model: 'staff',
-        key: 'id'
-      }
+    applies_to: {
+      type: DataTypes.ENUM('all', 'product', 'category', 'collection'),
+      defaultValue: 'all'
     },
-    store_id: {
+    product_ids: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    categories: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    collection_ids: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    channel: {
+      type: DataTypes.ENUM('all', 'online', 'pos'),
+      defaultValue: 'all'
+    },
+    usage_limit: {
       type: DataTypes.INTEGER,
       allowNull: true,
-      references: {
-        model: 'stores',
-        key: 'id'
-      }
-    },
-    clock_in_time: {
-      type: DataTypes.DATE,
-      allowNull: false
+      comment: 'Total redemptions allowed across all customers (NULL = unlimited)'
     },
-    clock_out_time: {
-      type: DataTypes.DATE,
+    usage_limit_per_customer: {
+      type: DataTypes.INTEGER,
       allowNull: true
     },
-    break_start_time: {
+    usage_count: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    starts_at: {
       type: DataTypes.DATE,
       allowNull: true
     },
-    break_end_time: {
+    ends_at: {
       type: DataTypes.DATE,
       allowNull: true
     },
-    total_hours: {
-      type: DataTypes.DECIMAL(5, 2),
-      defaultValue: 0.00
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'promotions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  // Promotion Redemption Model (one row per order/sale a promotion was applied to)
+  const PromotionRedemption = sequelize.define('PromotionRedemption', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
     },
-    break_duration: {
-      type: DataTypes.DECIMAL(5, 2),
-      defaultValue: 0.00
+    tenant_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Required for free users (shared DB), NULL for enterprise users (separate DB)'
     },
-    work_duration: {
-      type: DataTypes.DECIMAL(5, 2),
-      defaultValue: 0.00
+    promotion_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'promotions',
+        key: 'id'
+      }
     },
-    attendance_method: {
-      type: DataTypes.ENUM('manual', 'biometric', 'card', 'mobile', 'web'),
-      defaultValue: 'manual'
+    channel: {
+      type: DataTypes.ENUM('online', 'pos'),
+      allowNull: false
     },
-    device_id: {
-      type: DataTypes.STRING(100),
+    order_id: {
+      type: DataTypes.INTEGER,
       allowNull: true
     },
-    location_latitude: {
-      type: DataTypes.DECIMAL(10, 8),
+    pos_transaction_id: {
+      type: DataTypes.INTEGER,
       allowNull: true
     },
-    location_longitude: {
-      type: DataTypes.DECIMAL(11, 8),
+    customer_id: {
+      type: DataTypes.INTEGER,
       allowNull: true
     },
-    status: {
-      type: DataTypes.ENUM('present', 'absent', 'late', 'early_leave', 'half_day'),
-      defaultValue: 'present'
-    },
-    notes: {
-      type: DataTypes.TEXT,
+    customer_email: {
+      type: DataTypes.STRING(255),
       allowNull: true
+    },
+    discount_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
     }
   }, {
-    tableName: 'staff_attendance',
+    tableName: 'promotion_redemptions',
     timestamps: true,
     createdAt: 'created_at',
-    updatedAt: 'updated_at'
+    updatedAt: false
   });
 
-  // Staff Shift Model
-  const StaffShift = sequelize.define('StaffShift', {
+  // Promotion associations
+  Promotion.hasMany(PromotionRedemption, { foreignKey: 'promotion_id', onDelete: 'CASCADE' });
+  PromotionRedemption.belongsTo(Promotion, { foreignKey: 'promotion_id' });
+  OnlineStoreOrder.belongsTo(Promotion, { foreignKey: 'promotion_id' });
+  PromotionRedemption.belongsTo(OnlineStoreOrder, { foreignKey: 'order_id', constraints: false });
+  POSTransaction.belongsTo(Promotion, { foreignKey: 'promotion_id' });
+
+  // Prescription Model (pharmacy: prescriptions presented by customers)
+  const Prescription = sequelize.define('Prescription', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
       autoIncrement: true
     },
-    staff_id: {
+    prescription_number: {
+      type: DataTypes.STRING(50),
+      unique: true,
+      allowNull: false
+    },
+    customer_id: {
       type: DataTypes.INTEGER,
       allowNull: false,
       references: {
-        model: 'staff',
+        model: 'customers',
         key: 'id'
       }
     },
@@ -2892,208 +7051,197 @@ function initializeModels(sequelize) {
         key: 'id'
       }
     },
-    shift_date: {
-      type: DataTypes.DATEONLY,
+    prescriber_name: {
+      type: DataTypes.STRING(255),
       allowNull: false
     },
-    shift_start_time: {
-      type: DataTypes.TIME,
-      allowNull: false
+    prescriber_license_number: {
+      type: DataTypes.STRING(100),
+      allowNull: true
     },
-    shift_end_time: {
-      type: DataTypes.TIME,
+    prescriber_facility: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    prescriber_phone: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    issue_date: {
+      type: DataTypes.DATEONLY,
       allowNull: false
     },
-    break_duration: {
+    valid_until: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    refills_allowed: {
       type: DataTypes.INTEGER,
       defaultValue: 0
     },
-    is_approved: {
-      type: DataTypes.BOOLEAN,
-      defaultValue: false
+    refills_remaining: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
     },
-    approved_by: {
+    times_dispensed: {
       type: DataTypes.INTEGER,
-      allowNull: true
+      defaultValue: 0,
+      comment: 'First fill + refills dispensed so far'
+    },
+    image_url: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: 'Scanned copy of the paper prescription'
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'completed', 'expired', 'cancelled'),
+      defaultValue: 'active'
     },
     notes: {
       type: DataTypes.TEXT,
       allowNull: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true
     }
   }, {
-    tableName: 'staff_shifts',
+    tableName: 'prescriptions',
     timestamps: true,
     createdAt: 'created_at',
     updatedAt: 'updated_at'
   });
 
-  // Loyalty associations
-  LoyaltyProgram.hasMany(CustomerLoyaltyPoints, { foreignKey: 'loyalty_program_id' });
-  CustomerLoyaltyPoints.belongsTo(LoyaltyProgram, { foreignKey: 'loyalty_program_id' });
-  Customer.hasMany(CustomerLoyaltyPoints, { foreignKey: 'customer_id' });
-  CustomerLoyaltyPoints.belongsTo(Customer, { foreignKey: 'customer_id' });
-  Customer.hasMany(LoyaltyPointTransaction, { foreignKey: 'customer_id' });
-  LoyaltyPointTransaction.belongsTo(Customer, { foreignKey: 'customer_id' });
-  LoyaltyProgram.hasMany(LoyaltyPointTransaction, { foreignKey: 'loyalty_program_id' });
-  LoyaltyPointTransaction.belongsTo(LoyaltyProgram, { foreignKey: 'loyalty_program_id' });
-
-  // Attendance associations
-  Staff.hasMany(StaffAttendance, { foreignKey: 'staff_id' });
-  StaffAttendance.belongsTo(Staff, { foreignKey: 'staff_id' });
-  Store.hasMany(StaffAttendance, { foreignKey: 'store_id' });
-  StaffAttendance.belongsTo(Store, { foreignKey: 'store_id' });
-  Staff.hasMany(StaffShift, { foreignKey: 'staff_id' });
-  StaffShift.belongsTo(Staff, { foreignKey: 'staff_id' });
-  Store.hasMany(StaffShift, { foreignKey: 'store_id' });
-  StaffShift.belongsTo(Store, { foreignKey: 'store_id' });
-
-  // Payment Gateway Model
-  const PaymentGateway = sequelize.define('PaymentGateway', {
+  // Prescription Item Model (medicines on a prescription, quantity per fill)
+  const PrescriptionItem = sequelize.define('PrescriptionItem', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
       autoIncrement: true
     },
-    tenant_id: {
+    prescription_id: {
       type: DataTypes.INTEGER,
-      allowNull: false
-    },
-    gateway_name: {
-      type: DataTypes.ENUM('paystack', 'flutterwave', 'stripe', 'other'),
-      allowNull: false
-    },
-    is_active: {
-      type: DataTypes.BOOLEAN,
-      defaultValue: true
+      allowNull: false,
+      references: {
+        model: 'prescriptions',
+        key: 'id'
+      }
     },
-    is_default: {
-      type: DataTypes.BOOLEAN,
-      defaultValue: false
+    product_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
     },
-    public_key: {
+    medication_name: {
       type: DataTypes.STRING(255),
       allowNull: false
     },
-    secret_key: {
-      type: DataTypes.STRING(500),
-      allowNull: false
-    },
-    webhook_secret: {
-      type: DataTypes.STRING(500),
-      allowNull: true
-    },
-    test_mode: {
-      type: DataTypes.BOOLEAN,
-      defaultValue: false
+    dosage: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'e.g. 500mg twice daily for 7 days'
     },
-    transaction_fee_percentage: {
-      type: DataTypes.DECIMAL(5, 2),
-      defaultValue: 0.00
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      comment: 'Maximum quantity per fill'
     },
-    metadata: {
-      type: DataTypes.JSON,
+    instructions: {
+      type: DataTypes.TEXT,
       allowNull: true
     }
   }, {
-    tableName: 'payment_gateways',
+    tableName: 'prescription_items',
     timestamps: true,
     createdAt: 'created_at',
-    updatedAt: 'updated_at'
+    updatedAt: false
   });
 
-  // Payment Transaction Model
-  const PaymentTransaction = sequelize.define('PaymentTransaction', {
+  // Prescription Dispensing Model (dispensing log: what was handed over, when and by whom)
+  const PrescriptionDispensing = sequelize.define('PrescriptionDispensing', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
       autoIncrement: true
     },
-    tenant_id: {
+    prescription_id: {
       type: DataTypes.INTEGER,
-      allowNull: false
+      allowNull: false,
+      references: {
+        model: 'prescriptions',
+        key: 'id'
+      }
     },
-    order_id: {
+    prescription_item_id: {
       type: DataTypes.INTEGER,
-      allowNull: true
+      allowNull: true,
+      references: {
+        model: 'prescription_items',
+        key: 'id'
+      }
     },
-    invoice_id: {
+    product_id: {
       type: DataTypes.INTEGER,
-      allowNull: true
-    },
-    transaction_reference: {
-      type: DataTypes.STRING(100),
-      allowNull: false,
-      unique: true
-    },
-    gateway_name: {
-      type: DataTypes.ENUM('paystack', 'flutterwave', 'stripe', 'other'),
-      allowNull: false
-    },
-    gateway_transaction_id: {
-      type: DataTypes.STRING(255),
-      allowNull: true
-    },
-    amount: {
-      type: DataTypes.DECIMAL(10, 2),
-      allowNull: false
-    },
-    currency: {
-      type: DataTypes.STRING(10),
-      defaultValue: 'NGN'
+      allowNull: true,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
     },
-    platform_fee: {
-      type: DataTypes.DECIMAL(10, 2),
-      defaultValue: 0.00
+    pos_transaction_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'pos_transactions',
+        key: 'id'
+      }
     },
-    merchant_amount: {
-      type: DataTypes.DECIMAL(10, 2),
+    quantity: {
+      type: DataTypes.INTEGER,
       allowNull: false
     },
-    customer_email: {
-      type: DataTypes.STRING(255),
-      allowNull: true
-    },
-    customer_name: {
-      type: DataTypes.STRING(255),
-      allowNull: true
+    fill_number: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      comment: '1 = original fill, 2+ = refills'
     },
-    payment_method: {
-      type: DataTypes.STRING(50),
+    dispensed_by: {
+      type: DataTypes.INTEGER,
       allowNull: true
     },
-    status: {
-      type: DataTypes.ENUM('pending', 'success', 'failed', 'cancelled', 'refunded'),
-      defaultValue: 'pending'
-    },
-    gateway_response: {
-      type: DataTypes.JSON,
-      allowNull: true
+    dispensed_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
     },
-    failure_reason: {
+    notes: {
       type: DataTypes.TEXT,
       allowNull: true
-    },
-    paid_at: {
-      type: DataTypes.DATE,
-      allowNull: true
     }
   }, {
-    tableName: 'payment_transactions',
+    tableName: 'prescription_dispensings',
     timestamps: true,
     createdAt: 'created_at',
-    updatedAt: 'updated_at'
+    updatedAt: false
   });
 
-    // Payment associations (these are the last associations after PaymentTransaction model)
-  PaymentTransaction.belongsTo(OnlineStoreOrder, { foreignKey: 'order_id' });
-  PaymentTransaction.belongsTo(Invoice, { foreignKey: 'invoice_id' });
-  // Allow including transactions from orders/invoices
-  if (typeof OnlineStoreOrder !== 'undefined') {
-    OnlineStoreOrder.hasMany(PaymentTransaction, { foreignKey: 'order_id' });
-  }
-  if (typeof Invoice !== 'undefined') {
-    Invoice.hasMany(PaymentTransaction, { foreignKey: 'invoice_id' });
-  }
+  // Prescription associations
+  Prescription.belongsTo(Customer, { foreignKey: 'customer_id' });
+  Customer.hasMany(Prescription, { foreignKey: 'customer_id' });
+  Prescription.belongsTo(Store, { foreignKey: 'store_id' });
+  Prescription.hasMany(PrescriptionItem, { foreignKey: 'prescription_id', onDelete: 'CASCADE' });
+  PrescriptionItem.belongsTo(Prescription, { foreignKey: 'prescription_id' });
+  PrescriptionItem.belongsTo(Product, { foreignKey: 'product_id' });
+  Prescription.hasMany(PrescriptionDispensing, { foreignKey: 'prescription_id', onDelete: 'CASCADE' });
+  PrescriptionDispensing.belongsTo(Prescription, { foreignKey: 'prescription_id' });
+  PrescriptionDispensing.belongsTo(PrescriptionItem, { foreignKey: 'prescription_item_id' });
+  PrescriptionDispensing.belongsTo(Product, { foreignKey: 'product_id' });
+  PrescriptionDispensing.belongsTo(POSTransaction, { foreignKey: 'pos_transaction_id' });
 
     // Verify Invoice model is defined before returning
     console.log('Checking Invoice model before return...');
@@ -3118,10 +7266,22 @@ function initializeModels(sequelize) {
     Customer,
     Invoice,
     InvoiceItem,
+    InvoicePayment,
+    InvoicePaymentSchedule,
+    InvoiceReminder,
+    InvoiceReminderSetting,
       Receipt,
     StoreService,
     Booking,
     BookingAvailability,
+    BookingReminder,
+    BookingReminderSetting,
+    BookingSeries,
+    ServicePackage,
+    ServicePackageService,
+    CustomerPackage,
+    CustomerPackageUsage,
+    BookingCalendarFeed,
     StoreProduct,
     CustomerInteraction,
     AIAgentConfig,
@@ -3141,21 +7301,67 @@ function initializeModels(sequelize) {
     Supplier,
     PurchaseOrder,
     PurchaseOrderItem,
+    ProductSupplier,
+    SupplierBill,
+    SupplierBillItem,
+    SupplierPayment,
     POSTransaction,
     POSTransactionItem,
+    POSTransactionTender,
+    POSReturn,
+    POSReturnItem,
+    StoreCreditAccount,
+    StoreCreditTransaction,
+    CashDrawerSession,
+    CashDrawerMovement,
+    HeldSale,
+    LayawayOrder,
+    LayawayItem,
+    LayawayPayment,
     ProductBundle,
     ProductBundleItem,
     Menu,
     MenuItem,
     MenuItemModifier,
+    RestaurantSection,
+    RestaurantTable,
+    KitchenStation,
+    RestaurantTab,
+    RestaurantTabItem,
+    KitchenTicket,
     StockMovement,
+    ProductBatch,
+    StockTransfer,
+    StockTransferItem,
     LoyaltyProgram,
     CustomerLoyaltyPoints,
     LoyaltyPointTransaction,
     StaffAttendance,
     StaffShift,
+    StaffShiftTemplate,
+    StaffShiftSwapRequest,
+    StaffService,
+    StaffWorkingHours,
+    StaffTimeOff,
+    BookableResource,
+    BookableResourceService,
+    StaffPayRate,
+    PublicHoliday,
+    Timesheet,
+    TimesheetEntry,
+    AttendanceGeofence,
+    StaffDevice,
+    CommissionPlan,
+    CommissionPlanOverride,
+    CommissionEntry,
     PaymentGateway,
-    PaymentTransaction
+    PaymentTransaction,
+    OnlineStoreOrderRefund,
+    Promotion,
+    PromotionRedemption,
+    Prescription,
+    PrescriptionItem,
+    PrescriptionDispensing
   };
 
   // Final verification
@@ -2,12 +2,50 @@ const express = require('express');
 const router = express.Router();
 const attendanceController = require('../controllers/attendanceController');
 const { authenticate, authorize } = require('../middleware/auth');
+const { attachTenantDb } = require('../middleware/tenant');
+const { initializeTenantModels } = require('../middleware/models');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
 
-// All routes require authentication
+// Configure multer for clock-in selfie uploads
+const attendancePhotoStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const uploadPath = path.join(__dirname, '../uploads/attendance');
+    if (!fs.existsSync(uploadPath)) {
+      fs.mkdirSync(uploadPath, { recursive: true });
+    }
+    cb(null, uploadPath);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'clock-in-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const uploadAttendancePhotoMulter = multer({
+  storage: attendancePhotoStorage,
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|webp/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed'));
+    }
+  }
+}).single('photo');
+
+// All routes require authentication and tenant DB
 router.use(authenticate);
+router.use(attachTenantDb);
+router.use(initializeTenantModels);
 
-// Clock in
-router.post('/clock-in', attendanceController.clockIn);
+// Clock in (optional selfie as multipart field "photo")
+router.post('/clock-in', uploadAttendancePhotoMulter, attendanceController.clockIn);
 
 // Clock out
 router.post('/clock-out', attendanceController.clockOut);
@@ -24,5 +62,14 @@ router.get('/clocked-in', attendanceController.getClockedInStaff);
 // Get attendance summary
 router.get('/summary', attendanceController.getAttendanceSummary);
 
+// Store geofences (location radius, device and photo rules)
+router.get('/geofences', authorize('admin', 'manager'), attendanceController.getGeofences);
+router.put('/geofences/:store_id', authorize('admin', 'manager'), attendanceController.upsertGeofence);
+
+// Registered clock-in devices per staff member
+router.get('/staff/:staff_id/devices', authorize('admin', 'manager'), attendanceController.getStaffDevices);
+router.post('/staff/:staff_id/devices', authorize('admin', 'manager'), attendanceController.registerStaffDevice);
+router.delete('/staff/:staff_id/devices/:device_id', authorize('admin', 'manager'), attendanceController.revokeStaffDevice);
+
 module.exports = router;
 
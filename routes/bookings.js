@@ -1,10 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, authorize } = require('../middleware/auth');
 const { attachTenantDb } = require('../middleware/tenant');
 const { initializeTenantModels } = require('../middleware/models');
+const { requirePermission } = require('../middleware/permissions');
+const { checkSubscriptionPlan } = require('../middleware/subscriptionPlan');
 const bookingController = require('../controllers/bookingController');
+const bookingStaffController = require('../controllers/bookingStaffController');
+const bookingCalendarController = require('../controllers/bookingCalendarController');
 
 // All routes require authentication and tenant DB
 router.use(authenticate);
@@ -14,6 +18,33 @@ router.use(initializeTenantModels);
 // Get all bookings
 router.get('/', bookingController.getAllBookings);
 
+// Reminder and self-service reschedule/cancel settings (MUST come before /:id)
+router.get('/reminder-settings', bookingController.getBookingReminderSettings);
+router.put('/reminder-settings', authorize('admin', 'manager'), bookingController.updateBookingReminderSettings);
+
+// Staff booking schedule: services performed, weekly working hours and time off (enterprise)
+router.get('/staff/:staff_id/schedule', checkSubscriptionPlan('enterprise'), requirePermission('staff.view'), bookingStaffController.getStaffBookingSchedule);
+router.put('/staff/:staff_id/services', checkSubscriptionPlan('enterprise'), requirePermission('staff.update'), bookingStaffController.setStaffServices);
+router.put('/staff/:staff_id/working-hours', checkSubscriptionPlan('enterprise'), requirePermission('staff.update'), bookingStaffController.setStaffWorkingHours);
+router.post('/staff/:staff_id/time-off', checkSubscriptionPlan('enterprise'), requirePermission('staff.update'), bookingStaffController.createStaffTimeOff);
+router.delete('/staff/time-off/:id', checkSubscriptionPlan('enterprise'), requirePermission('staff.update'), bookingStaffController.deleteStaffTimeOff);
+
+// Bookable resources: rooms, chairs, equipment (enterprise)
+router.get('/resources', checkSubscriptionPlan('enterprise'), bookingStaffController.getResources);
+router.post('/resources', checkSubscriptionPlan('enterprise'), authorize('admin', 'manager'), bookingStaffController.createResource);
+router.put('/resources/:id', checkSubscriptionPlan('enterprise'), authorize('admin', 'manager'), bookingStaffController.updateResource);
+router.delete('/resources/:id', checkSubscriptionPlan('enterprise'), authorize('admin', 'manager'), bookingStaffController.deleteResource);
+
+// Secret iCalendar feed URLs for a store's or a staff member's bookings (MUST come before /:id)
+router.get('/calendar-feeds', bookingCalendarController.getCalendarFeeds);
+router.post('/calendar-feeds', authorize('admin', 'manager'), bookingCalendarController.createCalendarFeed);
+router.post('/calendar-feeds/:id/rotate', authorize('admin', 'manager'), bookingCalendarController.rotateCalendarFeed);
+router.delete('/calendar-feeds/:id', authorize('admin', 'manager'), bookingCalendarController.deleteCalendarFeed);
+
+// Recurring booking series (MUST come before /:id)
+router.get('/series/:id', bookingController.getBookingSeries);
+router.post('/series/:id/cancel', bookingController.cancelBookingSeries);
+
 // Get booking by ID
 router.get('/:id', bookingController.getBookingById);
 
@@ -33,9 +64,20 @@ router.put('/:id', bookingController.updateBooking);
 // Update booking status
 router.patch('/:id/status', bookingController.updateBookingStatus);
 
+// Record that a refund owed after cancellation has been paid back
+router.post('/:id/refund-completed', authorize('admin', 'manager'), bookingController.markBookingRefunded);
+
 // Delete booking
 router.delete('/:id', bookingController.deleteBooking);
 
+// Reminder history, send a reminder now, and the customer's reschedule/cancel links
+router.get('/:id/reminders', bookingController.getBookingReminders);
+router.post('/:id/reminders/send', bookingController.sendBookingReminderNow);
+router.get('/:id/manage-links', bookingController.getBookingManageLinks);
+
+// Download the booking as an .ics calendar event
+router.get('/:id/ics', bookingController.downloadBookingIcs);
+
 // Get bookings by date range
 router.get('/calendar/range', bookingController.getBookingsByDateRange);
 
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const cashDrawerController = require('../controllers/cashDrawerController');
+const { authenticate } = require('../middleware/auth');
+const { attachTenantDb } = require('../middleware/tenant');
+const { initializeTenantModels } = require('../middleware/models');
+const { requirePermission } = require('../middleware/permissions');
+
+// All routes require authentication and tenant DB
+router.use(authenticate);
+router.use(attachTenantDb);
+router.use(initializeTenantModels);
+
+// Get cash drawer sessions
+router.get('/sessions', requirePermission('pos.view'), cashDrawerController.getSessions);
+
+// Get logged-in cashier's open session for a store
+router.get('/sessions/current', requirePermission('pos.view'), cashDrawerController.getCurrentSession);
+
+// Open session with opening float
+router.post('/sessions', requirePermission('pos.create'), cashDrawerController.openSession);
+
+// Get session by ID
+router.get('/sessions/:id', requirePermission('pos.view'), cashDrawerController.getSessionById);
+
+// Record cash in / cash out
+router.post('/sessions/:id/movements', requirePermission('pos.create'), cashDrawerController.addCashMovement);
+
+// Close session (counted vs expected, over/short)
+router.post('/sessions/:id/close', requirePermission('pos.create'), cashDrawerController.closeSession);
+
+// Z-report (?format=escpos for thermal printer commands)
+router.get('/sessions/:id/z-report', requirePermission('pos.view'), cashDrawerController.getZReport);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const commissionController = require('../controllers/commissionController');
+const { authenticate } = require('../middleware/auth');
+const { attachTenantDb } = require('../middleware/tenant');
+const { initializeTenantModels } = require('../middleware/models');
+const { requirePermission, requireStaff } = require('../middleware/permissions');
+
+// All routes require authentication and tenant DB
+router.use(authenticate);
+router.use(attachTenantDb);
+router.use(initializeTenantModels);
+
+// Commission plans (flat / tiered, with category and product overrides)
+router.get('/plans', requirePermission('staff.view'), commissionController.getCommissionPlans);
+router.post('/plans', requirePermission('staff.update'), commissionController.createCommissionPlan);
+router.get('/plans/:id', requirePermission('staff.view'), commissionController.getCommissionPlanById);
+router.put('/plans/:id', requirePermission('staff.update'), commissionController.updateCommissionPlan);
+router.delete('/plans/:id', requirePermission('staff.update'), commissionController.deleteCommissionPlan);
+
+// Commission ledger (accruals and reversals)
+router.get('/entries', requirePermission('reports.view'), commissionController.getCommissionEntries);
+
+// Own commission statement (logged-in staff member)
+router.get('/statement', requireStaff, commissionController.getCommissionStatement);
+
+// Commission statement for a staff member
+router.get('/statement/:staff_id', requirePermission('reports.view'), commissionController.getCommissionStatement);
+
+module.exports = router;
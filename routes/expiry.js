@@ -2,17 +2,24 @@ const express = require('express');
 const router = express.Router();
 const expiryController = require('../controllers/expiryController');
 const { authenticate, authorize } = require('../middleware/auth');
+const { attachTenantDb } = require('../middleware/tenant');
+const { initializeTenantModels } = require('../middleware/models');
 
-// All routes require authentication
+// All routes require authentication and tenant DB
 router.use(authenticate);
+router.use(attachTenantDb);
+router.use(initializeTenantModels);
 
-// Get products expiring soon
+// Get products/batches expiring soon
 router.get('/expiring', expiryController.getExpiringProducts);
 
-// Get expired products
+// Get expired products/batches
 router.get('/expired', expiryController.getExpiredProducts);
 
-// Mark expired products as inactive (admin/manager only)
+// Get batches (lots) for a product
+router.get('/batches', expiryController.getProductBatches);
+
+// Write off expired batches and mark expired products as inactive (admin/manager only)
 router.post('/mark-inactive', authorize('admin', 'manager'), expiryController.markExpiredAsInactive);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
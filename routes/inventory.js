@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate } = require('../middleware/auth');
 const { attachTenantDb } = require('../middleware/tenant');
 const { initializeTenantModels } = require('../middleware/models');
+const { requirePermission } = require('../middleware/permissions');
 const inventoryController = require('../controllers/inventoryController');
 const multer = require('multer');
 const path = require('path');
@@ -77,24 +78,25 @@ router.use(attachTenantDb);
 router.use(initializeTenantModels);
 
 // Get all products
-router.get('/', inventoryController.getAllProducts);
+router.get('/', requirePermission('inventory.view'), inventoryController.getAllProducts);
 
 // Get low stock products (MUST come before /:id to avoid route conflicts)
-router.get('/alerts/low-stock', inventoryController.getLowStockProducts);
+router.get('/alerts/low-stock', requirePermission('inventory.view'), inventoryController.getLowStockProducts);
 
 // Get product categories (MUST come before /:id to avoid route conflicts)
-router.get('/categories', inventoryController.getProductCategories);
+router.get('/categories', requirePermission('inventory.view'), inventoryController.getProductCategories);
 
 // Barcode scanning endpoints for inventory management (MUST come before /:id)
-router.get('/lookup/barcode', inventoryController.lookupProductByBarcode);
-router.put('/stock/by-barcode', inventoryController.updateStockByBarcode);
-router.post('/stock/bulk-update', inventoryController.bulkUpdateStock);
+router.get('/lookup/barcode', requirePermission('inventory.view'), inventoryController.lookupProductByBarcode);
+router.put('/stock/by-barcode', requirePermission('inventory.update'), inventoryController.updateStockByBarcode);
+router.post('/stock/bulk-update', requirePermission('inventory.update'), inventoryController.bulkUpdateStock);
 
 // Get product by ID (parameterized routes should come last)
-router.get('/:id', inventoryController.getProductById);
+router.get('/:id', requirePermission('inventory.view'), inventoryController.getProductById);
 
 // Create product (with file upload support for product image and variation option images)
 router.post('/',
+  requirePermission('inventory.create'),
   (req, res, next) => {
     // Use dynamic storage to save product_image to /uploads/products/ 
     // and variation_option_image_* to /uploads/product-variations/
@@ -153,16 +155,16 @@ router.post('/',
 );
 
 // Update product (with file upload support)
-router.put('/:id', uploadProductImageMulter, inventoryController.updateProduct);
+router.put('/:id', requirePermission('inventory.update'), uploadProductImageMulter, inventoryController.updateProduct);
 
 // Delete product
-router.delete('/:id', authorize('admin', 'manager'), inventoryController.deleteProduct);
+router.delete('/:id', requirePermission('inventory.delete'), inventoryController.deleteProduct);
 
 // Add product to additional stores
-router.post('/:product_id/stores', inventoryController.addProductToStores);
+router.post('/:product_id/stores', requirePermission('inventory.update'), inventoryController.addProductToStores);
 
 // Remove product from store
-router.delete('/:product_id/stores/:store_id', inventoryController.removeProductFromStore);
+router.delete('/:product_id/stores/:store_id', requirePermission('inventory.update'), inventoryController.removeProductFromStore);
 
 module.exports = router;
 
@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate } = require('../middleware/auth');
 const { attachTenantDb } = require('../middleware/tenant');
 const { initializeTenantModels } = require('../middleware/models');
+const { requirePermission } = require('../middleware/permissions');
 const invoiceController = require('../controllers/invoiceController');
 
 // All routes require authentication and tenant DB
@@ -12,16 +13,23 @@ router.use(attachTenantDb);
 router.use(initializeTenantModels);
 
 // Get all invoices
-router.get('/', invoiceController.getAllInvoices);
+router.get('/', requirePermission('invoices.view'), invoiceController.getAllInvoices);
+
+// Get payment reminder settings (MUST come before /:id)
+router.get('/reminder-settings', requirePermission('invoices.view'), invoiceController.getInvoiceReminderSettings);
+
+// Update payment reminder settings (MUST come before /:id)
+router.put('/reminder-settings', requirePermission('invoices.update'), invoiceController.updateInvoiceReminderSettings);
 
 // Get invoice by ID
-router.get('/:id', invoiceController.getInvoiceById);
+router.get('/:id', requirePermission('invoices.view'), invoiceController.getInvoiceById);
 
 // Generate AI invoice templates, previews, and PDFs
-router.post('/:id/ai-templates', invoiceController.generateAiTemplatesForInvoice);
+router.post('/:id/ai-templates', requirePermission('invoices.update'), invoiceController.generateAiTemplatesForInvoice);
 
 // Create invoice
 router.post('/',
+  requirePermission('invoices.create'),
   [
     body('customer_id')
       .optional({ values: 'falsy' }) // Accept null, undefined, empty string
@@ -57,13 +65,40 @@ router.post('/',
 );
 
 // Update invoice
-router.put('/:id', invoiceController.updateInvoice);
+router.put('/:id', requirePermission('invoices.update'), invoiceController.updateInvoice);
 
 // Update invoice status
-router.patch('/:id/status', invoiceController.updateInvoiceStatus);
+router.patch('/:id/status', requirePermission('invoices.update'), invoiceController.updateInvoiceStatus);
+
+// Get payments ledger, instalment schedule and balance
+router.get('/:id/payments', requirePermission('invoices.view'), invoiceController.getInvoicePayments);
+
+// Record a payment (deposit, instalment or balance)
+router.post('/:id/payments', requirePermission('invoices.update'), invoiceController.addInvoicePayment);
+
+// Void a recorded payment
+router.post('/:id/payments/:paymentId/void', requirePermission('invoices.update'), invoiceController.voidInvoicePayment);
+
+// Set (replace) instalment schedule
+router.put('/:id/payment-schedule', requirePermission('invoices.update'), invoiceController.setPaymentSchedule);
+
+// Remove instalment schedule
+router.delete('/:id/payment-schedule', requirePermission('invoices.update'), invoiceController.deletePaymentSchedule);
+
+// Get reminder history
+router.get('/:id/reminders', requirePermission('invoices.view'), invoiceController.getInvoiceReminders);
+
+// Opt invoice in/out of automatic reminders
+router.patch('/:id/reminders', requirePermission('invoices.update'), invoiceController.updateInvoiceReminderPreference);
+
+// Send a reminder now
+router.post('/:id/reminders/send', requirePermission('invoices.update'), invoiceController.sendInvoiceReminderNow);
+
+// Get signed public link for the customer to view and pay online
+router.get('/:id/payment-link', requirePermission('invoices.view'), invoiceController.getInvoicePaymentLink);
 
 // Delete invoice
-router.delete('/:id', authorize('admin', 'manager'), invoiceController.deleteInvoice);
+router.delete('/:id', requirePermission('invoices.delete'), invoiceController.deleteInvoice);
 
 module.exports = router;
 
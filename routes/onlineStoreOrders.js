@@ -22,5 +22,14 @@ router.post('/', orderController.createOrder);
 // Update order status (admin/manager only)
 router.patch('/:id/status', authorize('admin', 'manager'), orderController.updateOrderStatus);
 
+// Get refunds for an order
+router.get('/:id/refunds', orderController.getOrderRefunds);
+
+// Refund an order through the payment gateway - full or partial (admin/manager only)
+router.post('/:id/refunds', authorize('admin', 'manager'), orderController.createOrderRefund);
+
+// Re-check a processing refund with the payment gateway (admin/manager only)
+router.post('/:id/refunds/:refundId/sync', authorize('admin', 'manager'), orderController.syncOrderRefund);
+
 module.exports = router;
 
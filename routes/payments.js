@@ -13,7 +13,10 @@ router.get('/verify', paymentController.verifyPayment);
 // Supports online_store_id as query parameter: /api/v1/payments/webhook?online_store_id=123
 router.post('/webhook', paymentController.handlePaymentWebhook);
 
-// Get webhook URL for online store (for Paystack dashboard configuration)
+// Flutterwave webhook (public - refund status): /api/v1/payments/webhook/flutterwave?tenant_id=123
+router.post('/webhook/flutterwave', paymentController.handleFlutterwaveWebhook);
+
+// Get webhook URLs for online store (for Paystack / Flutterwave dashboard configuration)
 router.get('/webhook-url/:online_store_id', authenticate, paymentController.getWebhookUrl);
 
 module.exports = router;
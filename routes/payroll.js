@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const payrollController = require('../controllers/payrollController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { attachTenantDb } = require('../middleware/tenant');
+const { initializeTenantModels } = require('../middleware/models');
+const { requirePermission } = require('../middleware/permissions');
+
+// All routes require authentication and tenant DB
+router.use(authenticate);
+router.use(attachTenantDb);
+router.use(initializeTenantModels);
+
+// Pay rates (per staff member or per role)
+router.get('/pay-rates', requirePermission('staff.view'), payrollController.getPayRates);
+router.post('/pay-rates', requirePermission('staff.update'), payrollController.createPayRate);
+router.put('/pay-rates/:id', requirePermission('staff.update'), payrollController.updatePayRate);
+router.delete('/pay-rates/:id', requirePermission('staff.update'), payrollController.deletePayRate);
+
+// Public holidays (holiday pay multiplier)
+router.get('/holidays', requirePermission('staff.view'), payrollController.getHolidays);
+router.post('/holidays', requirePermission('staff.update'), payrollController.createHoliday);
+router.delete('/holidays/:id', requirePermission('staff.update'), payrollController.deleteHoliday);
+
+// Timesheets
+router.get('/timesheets', requirePermission('staff.view'), payrollController.getTimesheets);
+
+// Generate (or regenerate draft) timesheet for a store and pay period
+router.post('/timesheets/generate', requirePermission('staff.update'), payrollController.generateTimesheet);
+
+// Get timesheet with entries
+router.get('/timesheets/:id', requirePermission('staff.view'), payrollController.getTimesheetById);
+
+// Adjust a staff entry on a draft timesheet
+router.put('/timesheets/:id/entries/:entryId', requirePermission('staff.update'), payrollController.updateTimesheetEntry);
+
+// Approve timesheet (admin/manager only)
+router.post('/timesheets/:id/approve', authorize('admin', 'manager'), payrollController.approveTimesheet);
+
+// Export approved timesheet (?format=csv|pdf)
+router.get('/timesheets/:id/export', requirePermission('staff.view'), payrollController.exportTimesheet);
+
+module.exports = router;
@@ -1,10 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const posController = require('../controllers/posController');
+const heldSaleController = require('../controllers/heldSaleController');
+const layawayController = require('../controllers/layawayController');
+const posReturnController = require('../controllers/posReturnController');
+const storeCreditController = require('../controllers/storeCreditController');
 const { authenticate, authorize } = require('../middleware/auth');
+const { attachTenantDb } = require('../middleware/tenant');
+const { initializeTenantModels } = require('../middleware/models');
+const { requirePermission, attachStaff } = require('../middleware/permissions');
 
-// All routes require authentication
+// All routes require authentication and tenant DB
 router.use(authenticate);
+router.use(attachTenantDb);
+router.use(initializeTenantModels);
 
 // Lookup product by barcode (for scanning)
 router.get('/lookup', posController.lookupProductByBarcode);
@@ -15,11 +24,38 @@ router.get('/transactions', posController.getAllTransactions);
 // Get transaction by ID
 router.get('/transactions/:id', posController.getTransactionById);
 
-// Create transaction (checkout)
-router.post('/transactions', posController.createTransaction);
+// Create transaction (checkout) - attachStaff records the selling cashier for commission and till sessions
+router.post('/transactions', attachStaff, posController.createTransaction);
 
 // Refund transaction
-router.post('/transactions/:id/refund', authorize('admin', 'manager'), posController.refundTransaction);
+router.post('/transactions/:id/refund', requirePermission('pos.refund'), posController.refundTransaction);
+
+// Return items from a transaction (refund, store credit or exchange credit)
+router.post('/transactions/:id/returns', requirePermission('pos.refund'), posReturnController.createReturn);
+
+// Returns
+router.get('/returns', requirePermission('pos.view'), posReturnController.getReturns);
+router.get('/returns/:id', requirePermission('pos.view'), posReturnController.getReturnById);
+
+// Customer store credit
+router.get('/store-credit/:customer_id', requirePermission('pos.view'), storeCreditController.getCustomerStoreCredit);
+router.post('/store-credit/:customer_id/adjust', authorize('admin', 'manager'), storeCreditController.adjustStoreCredit);
+
+// Held sales (parked baskets, resumable on any terminal in the store)
+router.get('/held-sales', requirePermission('pos.view'), heldSaleController.getHeldSales);
+router.get('/held-sales/:id', requirePermission('pos.view'), heldSaleController.getHeldSaleById);
+router.post('/held-sales', requirePermission('pos.create'), heldSaleController.holdSale);
+router.post('/held-sales/:id/resume', requirePermission('pos.create'), heldSaleController.resumeHeldSale);
+router.put('/held-sales/:id', requirePermission('pos.create'), heldSaleController.updateHeldSale);
+router.delete('/held-sales/:id', requirePermission('pos.create'), heldSaleController.discardHeldSale);
+
+// Layaways (deposit, reserved stock, instalments)
+router.get('/layaways', requirePermission('pos.view'), layawayController.getLayaways);
+router.post('/layaways/expire', requirePermission('pos.refund'), layawayController.expireOverdueLayaways);
+router.get('/layaways/:id', requirePermission('pos.view'), layawayController.getLayawayById);
+router.post('/layaways', requirePermission('pos.create'), layawayController.createLayaway);
+router.post('/layaways/:id/payments', requirePermission('pos.create'), layawayController.addLayawayPayment);
+router.post('/layaways/:id/cancel', requirePermission('pos.refund'), layawayController.cancelLayaway);
 
 module.exports = router;
 
@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const prescriptionController = require('../controllers/prescriptionController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { attachTenantDb } = require('../middleware/tenant');
+const { initializeTenantModels } = require('../middleware/models');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+
+// Configure multer for scanned prescription uploads
+const prescriptionImageStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const uploadPath = path.join(__dirname, '../uploads/prescriptions');
+    if (!fs.existsSync(uploadPath)) {
+      fs.mkdirSync(uploadPath, { recursive: true });
+    }
+    cb(null, uploadPath);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'prescription-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const uploadPrescriptionImage = multer({
+  storage: prescriptionImageStorage,
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|webp|pdf/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only image or PDF files are allowed'));
+    }
+  }
+}).single('prescription_image');
+
+// All routes require authentication and tenant DB
+router.use(authenticate);
+router.use(attachTenantDb);
+router.use(initializeTenantModels);
+
+// Get all prescriptions (filter by customer_id, status)
+router.get('/', prescriptionController.getAllPrescriptions);
+
+// Get dispensing log (MUST come before /:id)
+router.get('/dispensing-log', prescriptionController.getDispensingLog);
+
+// Get prescription by ID (with items and dispensing history)
+router.get('/:id', prescriptionController.getPrescriptionById);
+
+// Create prescription with optional scanned copy
+router.post('/', uploadPrescriptionImage, prescriptionController.createPrescription);
+
+// Update prescription details, status or scanned copy (admin/manager only)
+router.put('/:id', authorize('admin', 'manager'), uploadPrescriptionImage, prescriptionController.updatePrescription);
+
+module.exports = router;
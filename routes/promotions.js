@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const promotionController = require('../controllers/promotionController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { attachTenantDb } = require('../middleware/tenant');
+const { initializeTenantModels } = require('../middleware/models');
+
+// All routes require authentication and tenant DB
+router.use(authenticate);
+router.use(attachTenantDb);
+router.use(initializeTenantModels);
+
+// Get all promotions
+router.get('/', promotionController.getAllPromotions);
+
+// Validate promo code against a POS basket (MUST come before /:id)
+router.post('/validate', promotionController.validatePromotionCode);
+
+// Get promotion by ID
+router.get('/:id', promotionController.getPromotionById);
+
+// Get promotion redemptions (reporting)
+router.get('/:id/redemptions', authorize('admin', 'manager'), promotionController.getPromotionRedemptions);
+
+// Create promotion (admin/manager only)
+router.post('/', authorize('admin', 'manager'), promotionController.createPromotion);
+
+// Update promotion (admin/manager only)
+router.put('/:id', authorize('admin', 'manager'), promotionController.updatePromotion);
+
+// Delete promotion (admin only)
+router.delete('/:id', authorize('admin'), promotionController.deletePromotion);
+
+module.exports = router;
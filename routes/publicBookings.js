@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const publicBookingController = require('../controllers/publicBookingController');
+const bookingCalendarController = require('../controllers/bookingCalendarController');
 
 // Public booking routes - no authentication required
 // These routes are for customers to book services
@@ -13,5 +14,20 @@ router.get('/availability', publicBookingController.getAvailableTimeSlots);
 // POST /api/v1/public-bookings
 router.post('/', publicBookingController.createPublicBooking);
 
+// Manage a booking from the signed link in confirmation and reminder emails
+// GET /api/v1/public-bookings/manage/:tenant_id/:booking_id?signature=...
+router.get('/manage/:tenant_id/:booking_id', publicBookingController.getManagedBooking);
+
+// Slots the booking can be moved to
+router.get('/manage/:tenant_id/:booking_id/availability', publicBookingController.getRescheduleSlots);
+
+// Reschedule / cancel within the tenant's policy window
+router.post('/manage/:tenant_id/:booking_id/reschedule', publicBookingController.rescheduleManagedBooking);
+router.post('/manage/:tenant_id/:booking_id/cancel', publicBookingController.cancelManagedBooking);
+
+// Store / staff iCalendar feed behind a secret URL (subscribed to from phone calendars)
+// GET /api/v1/public-bookings/calendar/:tenant_id/:token.ics
+router.get('/calendar/:tenant_id/:token.ics', bookingCalendarController.getPublicCalendarFeed);
+
 module.exports = router;
 
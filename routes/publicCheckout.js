@@ -11,6 +11,9 @@ router.post('/orders', publicCheckoutController.createPublicOrder);
 // Initialize payment for order - public
 router.post('/payments/initialize', publicCheckoutController.initializePublicPayment);
 
+// Validate promo code against a basket - public
+router.post('/promotions/validate', publicCheckoutController.validatePublicPromotion);
+
 // Get order by order number (public - for customers to track orders)
 router.get('/orders/:order_number', publicCheckoutController.getPublicOrderByNumber);
 
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const publicInvoiceController = require('../controllers/publicInvoiceController');
+
+// Public invoice routes - no authentication required
+// Access is granted by the HMAC signature on the link (GET /api/v1/invoices/:id/payment-link)
+
+// View invoice (HTML page, or JSON with ?format=json)
+// GET /api/v1/public-invoices/123/45?exp=...&signature=...
+router.get('/:tenant_id/:invoice_id', publicInvoiceController.getPublicInvoice);
+
+// Initialize online payment for the invoice balance
+// POST /api/v1/public-invoices/123/45/pay?exp=...&signature=...
+router.post('/:tenant_id/:invoice_id/pay', publicInvoiceController.initializeInvoicePayment);
+
+module.exports = router;
@@ -1,25 +1,36 @@
 const express = require('express');
 const router = express.Router();
 const purchaseOrderController = require('../controllers/purchaseOrderController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate } = require('../middleware/auth');
+const { attachTenantDb } = require('../middleware/tenant');
+const { initializeTenantModels } = require('../middleware/models');
+const { requirePermission } = require('../middleware/permissions');
 
-// All routes require authentication
+// All routes require authentication and tenant DB
 router.use(authenticate);
+router.use(attachTenantDb);
+router.use(initializeTenantModels);
 
 // Get all purchase orders
-router.get('/', purchaseOrderController.getAllPurchaseOrders);
+router.get('/', requirePermission('purchase_orders.view'), purchaseOrderController.getAllPurchaseOrders);
+
+// Get reorder suggestions grouped by supplier
+router.get('/reorder-suggestions', requirePermission('purchase_orders.view'), purchaseOrderController.getReorderSuggestions);
+
+// Generate draft purchase orders from reorder suggestions
+router.post('/reorder-suggestions/generate', requirePermission('purchase_orders.create'), purchaseOrderController.generateReorderPurchaseOrders);
 
 // Get purchase order by ID
-router.get('/:id', purchaseOrderController.getPurchaseOrderById);
+router.get('/:id', requirePermission('purchase_orders.view'), purchaseOrderController.getPurchaseOrderById);
 
-// Create purchase order (admin/manager only)
-router.post('/', authorize('admin', 'manager'), purchaseOrderController.createPurchaseOrder);
+// Create purchase order
+router.post('/', requirePermission('purchase_orders.create'), purchaseOrderController.createPurchaseOrder);
 
 // Receive purchase order (update stock)
-router.post('/:id/receive', authorize('admin', 'manager'), purchaseOrderController.receivePurchaseOrder);
+router.post('/:id/receive', requirePermission('purchase_orders.receive'), purchaseOrderController.receivePurchaseOrder);
 
 // Update purchase order status
-router.patch('/:id/status', authorize('admin', 'manager'), purchaseOrderController.updatePurchaseOrderStatus);
+router.patch('/:id/status', requirePermission('purchase_orders.update'), purchaseOrderController.updatePurchaseOrderStatus);
 
 module.exports = router;
 
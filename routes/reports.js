@@ -2,21 +2,26 @@ const express = require('express');
 const router = express.Router();
 const reportController = require('../controllers/reportController');
 const { authenticate } = require('../middleware/auth');
+const { attachTenantDb } = require('../middleware/tenant');
+const { initializeTenantModels } = require('../middleware/models');
+const { requirePermission } = require('../middleware/permissions');
 
-// All routes require authentication
+// All routes require authentication and tenant DB
 router.use(authenticate);
+router.use(attachTenantDb);
+router.use(initializeTenantModels);
 
 // Dashboard overview
-router.get('/dashboard', reportController.getDashboardOverview);
+router.get('/dashboard', requirePermission('reports.view'), reportController.getDashboardOverview);
 
 // Sales report
-router.get('/sales', reportController.getSalesReport);
+router.get('/sales', requirePermission('reports.view'), reportController.getSalesReport);
 
 // Product performance report
-router.get('/products', reportController.getProductPerformanceReport);
+router.get('/products', requirePermission('reports.view'), reportController.getProductPerformanceReport);
 
 // Customer analytics
-router.get('/customers', reportController.getCustomerAnalytics);
+router.get('/customers', requirePermission('reports.view'), reportController.getCustomerAnalytics);
 
 module.exports = router;
 
@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+const restaurantController = require('../controllers/restaurantController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { attachTenantDb } = require('../middleware/tenant');
+const { initializeTenantModels } = require('../middleware/models');
+const { attachStaff } = require('../middleware/permissions');
+
+// All routes require authentication and tenant DB
+router.use(authenticate);
+router.use(attachTenantDb);
+router.use(initializeTenantModels);
+
+// ==================== FLOOR SECTIONS ====================
+
+// Get floor sections (with tables)
+router.get('/sections', restaurantController.getAllSections);
+
+// Create section (admin/manager only)
+router.post('/sections', authorize('admin', 'manager'), restaurantController.createSection);
+
+// Update section (admin/manager only)
+router.put('/sections/:id', authorize('admin', 'manager'), restaurantController.updateSection);
+
+// ==================== TABLES ====================
+
+// Get tables (floor plan with open tabs)
+router.get('/tables', restaurantController.getAllTables);
+
+// Create table (admin/manager only)
+router.post('/tables', authorize('admin', 'manager'), restaurantController.createTable);
+
+// Update table details or status
+router.put('/tables/:id', restaurantController.updateTable);
+
+// ==================== KITCHEN STATIONS ====================
+
+// Get kitchen stations
+router.get('/stations', restaurantController.getAllStations);
+
+// Create kitchen station (admin/manager only)
+router.post('/stations', authorize('admin', 'manager'), restaurantController.createStation);
+
+// Update kitchen station routing (admin/manager only)
+router.put('/stations/:id', authorize('admin', 'manager'), restaurantController.updateStation);
+
+// ==================== TABS ====================
+
+// Get tabs (defaults to open tabs)
+router.get('/tabs', restaurantController.getAllTabs);
+
+// Open tab
+router.post('/tabs', restaurantController.openTab);
+
+// Get tab by ID
+router.get('/tabs/:id', restaurantController.getTabById);
+
+// Add menu items (with modifiers) to tab
+router.post('/tabs/:id/items', restaurantController.addTabItems);
+
+// Void tab item (fired items require admin/manager)
+router.post('/tabs/:id/items/:itemId/void', restaurantController.voidTabItem);
+
+// Fire pending items to the kitchen
+router.post('/tabs/:id/fire', restaurantController.fireTab);
+
+// Settle tab (creates POS transaction) - attachStaff finds the settling cashier's till
+router.post('/tabs/:id/settle', attachStaff, restaurantController.settleTab);
+
+// Cancel tab
+router.post('/tabs/:id/cancel', authorize('admin', 'manager'), restaurantController.cancelTab);
+
+// ==================== KITCHEN DISPLAY ====================
+
+// Get kitchen ticket queue (filter by station_id for per-station screens)
+router.get('/kitchen/tickets', restaurantController.getKitchenTickets);
+
+// Update kitchen ticket status (queued/preparing/ready/served)
+router.patch('/kitchen/tickets/:id/status', restaurantController.updateKitchenTicketStatus);
+
+module.exports = router;
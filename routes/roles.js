@@ -2,9 +2,13 @@ const express = require('express');
 const router = express.Router();
 const roleController = require('../controllers/roleController');
 const { authenticate, authorize } = require('../middleware/auth');
+const { attachTenantDb } = require('../middleware/tenant');
+const { initializeTenantModels } = require('../middleware/models');
 
-// All routes require authentication
+// All routes require authentication and tenant DB
 router.use(authenticate);
+router.use(attachTenantDb);
+router.use(initializeTenantModels);
 
 // Get all roles
 router.get('/', roleController.getAllRoles);
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { attachTenantDb } = require('../middleware/tenant');
+const { initializeTenantModels } = require('../middleware/models');
+const servicePackageController = require('../controllers/servicePackageController');
+
+// All routes require authentication and tenant DB
+router.use(authenticate);
+router.use(attachTenantDb);
+router.use(initializeTenantModels);
+
+// Packages sold to customers (MUST come before /:id)
+router.get('/customer-packages', servicePackageController.getCustomerPackages);
+router.get('/customer-packages/:id', servicePackageController.getCustomerPackageById);
+router.post('/customer-packages', servicePackageController.sellServicePackage);
+router.post('/customer-packages/:id/cancel', authorize('admin', 'manager'), servicePackageController.cancelCustomerPackage);
+
+// Package catalogue ("10 sessions" bundles and memberships)
+router.get('/', servicePackageController.getAllServicePackages);
+router.get('/:id', servicePackageController.getServicePackageById);
+router.post('/', authorize('admin', 'manager'), servicePackageController.createServicePackage);
+router.put('/:id', authorize('admin', 'manager'), servicePackageController.updateServicePackage);
+router.delete('/:id', authorize('admin', 'manager'), servicePackageController.deleteServicePackage);
+
+module.exports = router;
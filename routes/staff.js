@@ -1,25 +1,30 @@
 const express = require('express');
 const router = express.Router();
 const staffController = require('../controllers/staffController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate } = require('../middleware/auth');
+const { attachTenantDb } = require('../middleware/tenant');
+const { initializeTenantModels } = require('../middleware/models');
+const { requirePermission } = require('../middleware/permissions');
 
-// All routes require authentication
+// All routes require authentication and tenant DB
 router.use(authenticate);
+router.use(attachTenantDb);
+router.use(initializeTenantModels);
 
 // Get all staff
-router.get('/', staffController.getAllStaff);
+router.get('/', requirePermission('staff.view'), staffController.getAllStaff);
 
 // Get staff by ID
-router.get('/:id', staffController.getStaffById);
+router.get('/:id', requirePermission('staff.view'), staffController.getStaffById);
 
-// Create staff (admin/manager only)
-router.post('/', authorize('admin', 'manager'), staffController.createStaff);
+// Create staff
+router.post('/', requirePermission('staff.create'), staffController.createStaff);
 
-// Update staff (admin/manager only)
-router.put('/:id', authorize('admin', 'manager'), staffController.updateStaff);
+// Update staff
+router.put('/:id', requirePermission('staff.update'), staffController.updateStaff);
 
-// Delete staff (admin only)
-router.delete('/:id', authorize('admin'), staffController.deleteStaff);
+// Delete staff
+router.delete('/:id', requirePermission('staff.delete'), staffController.deleteStaff);
 
 module.exports = router;
 
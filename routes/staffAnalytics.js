@@ -2,9 +2,13 @@ const express = require('express');
 const router = express.Router();
 const staffAnalyticsController = require('../controllers/staffAnalyticsController');
 const { authenticate, authorize } = require('../middleware/auth');
+const { attachTenantDb } = require('../middleware/tenant');
+const { initializeTenantModels } = require('../middleware/models');
 
-// All routes require authentication
+// All routes require authentication and tenant DB
 router.use(authenticate);
+router.use(attachTenantDb);
+router.use(initializeTenantModels);
 
 // Get comprehensive staff analytics
 router.get('/', authorize('admin', 'manager'), staffAnalyticsController.getStaffAnalytics);
@@ -21,5 +25,8 @@ router.get('/top-performers', authorize('admin', 'manager'), staffAnalyticsContr
 // Get attendance trends
 router.get('/trends', authorize('admin', 'manager'), staffAnalyticsController.getAttendanceTrends);
 
+// Get clock-in anomalies (geofence, device and photo checks)
+router.get('/anomalies', authorize('admin', 'manager'), staffAnalyticsController.getAttendanceAnomalies);
+
 module.exports = router;
 
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const staffShiftController = require('../controllers/staffShiftController');
+const { authenticate } = require('../middleware/auth');
+const { attachTenantDb } = require('../middleware/tenant');
+const { initializeTenantModels } = require('../middleware/models');
+const { requirePermission, requireStaff } = require('../middleware/permissions');
+
+// All routes require authentication and tenant DB
+router.use(authenticate);
+router.use(attachTenantDb);
+router.use(initializeTenantModels);
+
+// Weekly rota for a store
+router.get('/rota', requirePermission('staff.view'), staffShiftController.getWeeklyRota);
+
+// Create weekly rota (templates or explicit shifts, with conflict detection)
+router.post('/rota', requirePermission('staff.update'), staffShiftController.createWeeklyRota);
+
+// Publish (approve) a week's rota
+router.post('/rota/publish', requirePermission('staff.update'), staffShiftController.publishWeeklyRota);
+
+// Shift templates
+router.get('/templates', requirePermission('staff.view'), staffShiftController.getShiftTemplates);
+router.post('/templates', requirePermission('staff.update'), staffShiftController.createShiftTemplate);
+router.put('/templates/:id', requirePermission('staff.update'), staffShiftController.updateShiftTemplate);
+router.delete('/templates/:id', requirePermission('staff.update'), staffShiftController.deleteShiftTemplate);
+
+// Swap / cover requests (staff request, managers approve or reject)
+router.get('/swap-requests', requirePermission('staff.view'), staffShiftController.getSwapRequests);
+router.post('/swap-requests', requireStaff, staffShiftController.createSwapRequest);
+router.post('/swap-requests/:id/approve', requirePermission('staff.update'), staffShiftController.approveSwapRequest);
+router.post('/swap-requests/:id/reject', requirePermission('staff.update'), staffShiftController.rejectSwapRequest);
+router.post('/swap-requests/:id/cancel', requireStaff, staffShiftController.cancelSwapRequest);
+
+// Get shifts
+router.get('/', requirePermission('staff.view'), staffShiftController.getShifts);
+
+// Create shift
+router.post('/', requirePermission('staff.update'), staffShiftController.createShift);
+
+// Update shift
+router.put('/:id', requirePermission('staff.update'), staffShiftController.updateShift);
+
+// Approve shift
+router.post('/:id/approve', requirePermission('staff.update'), staffShiftController.approveShift);
+
+// Delete shift
+router.delete('/:id', requirePermission('staff.update'), staffShiftController.deleteShift);
+
+module.exports = router;
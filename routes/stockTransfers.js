@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const stockTransferController = require('../controllers/stockTransferController');
+const { authenticate } = require('../middleware/auth');
+const { attachTenantDb } = require('../middleware/tenant');
+const { initializeTenantModels } = require('../middleware/models');
+const { requirePermission } = require('../middleware/permissions');
+const { restrictPhysicalStores } = require('../middleware/subscriptionPlan');
+
+// All routes require authentication and tenant DB
+router.use(authenticate);
+router.use(attachTenantDb);
+router.use(initializeTenantModels);
+
+// Transfers move stock between physical stores (enterprise only)
+router.use(restrictPhysicalStores);
+
+// Get all stock transfers
+router.get('/', requirePermission('inventory.view'), stockTransferController.getAllStockTransfers);
+
+// Get stock transfer by ID
+router.get('/:id', requirePermission('inventory.view'), stockTransferController.getStockTransferById);
+
+// Request stock transfer
+router.post('/', requirePermission('inventory.update'), stockTransferController.createStockTransfer);
+
+// Dispatch stock transfer (deduct from source store)
+router.post('/:id/dispatch', requirePermission('inventory.update'), stockTransferController.dispatchStockTransfer);
+
+// Receive stock transfer (add to destination store, record discrepancies)
+router.post('/:id/receive', requirePermission('inventory.update'), stockTransferController.receiveStockTransfer);
+
+// Cancel stock transfer
+router.post('/:id/cancel', requirePermission('inventory.update'), stockTransferController.cancelStockTransfer);
+
+module.exports = router;
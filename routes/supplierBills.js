@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const supplierBillController = require('../controllers/supplierBillController');
+const { authenticate } = require('../middleware/auth');
+const { attachTenantDb } = require('../middleware/tenant');
+const { initializeTenantModels } = require('../middleware/models');
+const { requirePermission } = require('../middleware/permissions');
+
+// All routes require authentication and tenant DB
+router.use(authenticate);
+router.use(attachTenantDb);
+router.use(initializeTenantModels);
+
+// Aged payables report
+router.get('/reports/aged-payables', requirePermission('reports.view'), supplierBillController.getAgedPayables);
+
+// Get all supplier bills
+router.get('/', requirePermission('purchase_orders.view'), supplierBillController.getAllSupplierBills);
+
+// Get supplier bill by ID
+router.get('/:id', requirePermission('purchase_orders.view'), supplierBillController.getSupplierBillById);
+
+// Create supplier bill from a received purchase order (three-way match)
+router.post('/', requirePermission('purchase_orders.update'), supplierBillController.createSupplierBill);
+
+// Approve match variance on a bill that is on hold
+router.post('/:id/approve', requirePermission('purchase_orders.update'), supplierBillController.approveSupplierBill);
+
+// Void supplier bill
+router.post('/:id/void', requirePermission('purchase_orders.update'), supplierBillController.voidSupplierBill);
+
+// Record payment against a bill
+router.post('/:id/payments', requirePermission('purchase_orders.update'), supplierBillController.recordSupplierPayment);
+
+// Void a supplier payment
+router.post('/:id/payments/:paymentId/void', requirePermission('purchase_orders.update'), supplierBillController.voidSupplierPayment);
+
+module.exports = router;
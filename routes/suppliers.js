@@ -2,9 +2,13 @@ const express = require('express');
 const router = express.Router();
 const supplierController = require('../controllers/supplierController');
 const { authenticate, authorize } = require('../middleware/auth');
+const { attachTenantDb } = require('../middleware/tenant');
+const { initializeTenantModels } = require('../middleware/models');
 
-// All routes require authentication
+// All routes require authentication and tenant DB
 router.use(authenticate);
+router.use(attachTenantDb);
+router.use(initializeTenantModels);
 
 // Get all suppliers
 router.get('/', supplierController.getAllSuppliers);
@@ -18,6 +22,18 @@ router.post('/', authorize('admin', 'manager'), supplierController.createSupplie
 // Update supplier (admin/manager only)
 router.put('/:id', authorize('admin', 'manager'), supplierController.updateSupplier);
 
+// Get supplier statement (bills, payments, balance, aging)
+router.get('/:id/statement', supplierController.getSupplierStatement);
+
+// Get products supplied by supplier
+router.get('/:id/products', supplierController.getSupplierProducts);
+
+// Link product to supplier / update cost, lead time, preferred flag (admin/manager only)
+router.post('/:id/products', authorize('admin', 'manager'), supplierController.upsertSupplierProduct);
+
+// Remove product from supplier (admin/manager only)
+router.delete('/:id/products/:productId', authorize('admin', 'manager'), supplierController.removeSupplierProduct);
+
 // Delete supplier (admin only)
 router.delete('/:id', authorize('admin'), supplierController.deleteSupplier);
 
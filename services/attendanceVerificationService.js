@@ -0,0 +1,140 @@
+/**
+ * Attendance Verification Service
+ * Checks a clock-in against the store's geofence (location radius), the staff member's registered
+ * devices and the photo requirement, and decides whether to accept, flag or reject it
+ */
+
+// Mean Earth radius in meters (haversine)
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Great-circle distance between two coordinates
+ * @param {number} lat1
+ * @param {number} lon1
+ * @param {number} lat2
+ * @param {number} lon2
+ * @returns {number} - Distance in meters
+ */
+function getDistanceMeters(lat1, lon1, lat2, lon2) {
+  const toRadians = degrees => (parseFloat(degrees) * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return EARTH_RADIUS_METERS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Whether a value is a usable coordinate
+ */
+function isCoordinate(value, max) {
+  if (value === undefined || value === null || value === '') return false;
+  const number = parseFloat(value);
+  return !isNaN(number) && Math.abs(number) <= max;
+}
+
+/**
+ * Verify a clock-in against the store geofence and the staff member's registered devices
+ * Stores without an active geofence accept every clock-in unverified; a clock-in with no store
+ * (no shift and no assigned store) is accepted but flagged, since it cannot be verified at all
+ * @param {Object} models - Tenant models
+ * @param {Object} clockIn
+ * @param {number} clockIn.staffId - Staff ID
+ * @param {number} clockIn.storeId - Store the staff member is clocking in at
+ * @param {string} clockIn.deviceId - Device identifier sent by the app
+ * @param {number} clockIn.latitude - Reported latitude
+ * @param {number} clockIn.longitude - Reported longitude
+ * @param {boolean} clockIn.hasPhoto - Whether a selfie was uploaded
+ * @returns {Promise<Object>} - { allowed, flagged, reasons, distance_from_store_meters, is_within_geofence, is_known_device, device, geofence }
+ */
+async function verifyClockIn(models, clockIn) {
+  const { staffId, storeId, deviceId, latitude, longitude, hasPhoto } = clockIn;
+  const result = {
+    allowed: true,
+    flagged: false,
+    reasons: [],
+    distance_from_store_meters: null,
+    is_within_geofence: null,
+    is_known_device: null,
+    device: null,
+    geofence: null
+  };
+
+  if (!storeId) {
+    result.flagged = true;
+    result.reasons.push('no_store');
+    return result;
+  }
+
+  const geofence = await models.AttendanceGeofence.findOne({
+    where: { store_id: storeId, is_active: true }
+  });
+
+  if (!geofence) {
+    return result;
+  }
+  result.geofence = geofence;
+
+  // Location
+  if (isCoordinate(latitude, 90) && isCoordinate(longitude, 180)) {
+    const distance = getDistanceMeters(latitude, longitude, geofence.latitude, geofence.longitude);
+    result.distance_from_store_meters = Math.round(distance * 100) / 100;
+    result.is_within_geofence = distance <= geofence.radius_meters;
+    if (!result.is_within_geofence) {
+      result.reasons.push('outside_geofence');
+    }
+  } else {
+    result.reasons.push('missing_location');
+  }
+
+  // Device
+  if (geofence.require_registered_device) {
+    if (!deviceId) {
+      result.is_known_device = false;
+      result.reasons.push('missing_device');
+    } else {
+      result.device = await models.StaffDevice.findOne({
+        where: { staff_id: staffId, device_id: deviceId, is_active: true }
+      });
+      result.is_known_device = !!result.device;
+      if (!result.device) {
+        result.reasons.push('unknown_device');
+      }
+    }
+  }
+
+  // Selfie
+  if (geofence.require_photo && !hasPhoto) {
+    result.reasons.push('missing_photo');
+  }
+
+  if (result.reasons.length > 0) {
+    result.flagged = true;
+    result.allowed = geofence.enforcement !== 'reject';
+  }
+
+  return result;
+}
+
+/**
+ * Human-readable message for rejected / flagged clock-ins
+ * @param {Array<string>} reasons
+ * @returns {string}
+ */
+function describeReasons(reasons) {
+  const labels = {
+    outside_geofence: 'outside the store geofence',
+    missing_location: 'no location was provided',
+    unknown_device: 'device is not registered for this staff member',
+    missing_device: 'no device ID was provided',
+    missing_photo: 'a clock-in photo is required',
+    no_store: 'staff member has no assigned store to verify against'
+  };
+  return reasons.map(reason => labels[reason] || reason).join('; ');
+}
+
+module.exports = {
+  getDistanceMeters,
+  verifyClockIn,
+  describeReasons
+};
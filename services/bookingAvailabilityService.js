@@ -0,0 +1,413 @@
+/**
+ * Booking Availability Service
+ * Bookable time slots from the intersection of service availability, staff working time and resource
+ * capacity. Staff working time is the staff member's scheduled shifts on the day, or their weekly
+ * working hours when no shift is scheduled, less approved time off. Staff and resources are
+ * enterprise-only; free-plan stores keep service-level availability
+ */
+
+const { Sequelize } = require('sequelize');
+const moment = require('moment');
+const { getShiftWindow } = require('./shiftSchedulingService');
+
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed'];
+
+/**
+ * Whether two [start, end) ranges overlap
+ */
+function overlaps(startA, endA, startB, endB) {
+  return startA.isBefore(endB) && endA.isAfter(startB);
+}
+
+/**
+ * Whether [start, end) lies inside one of the windows
+ */
+function withinWindows(windows, start, end) {
+  return windows.some(window => !start.isBefore(window.start) && !end.isAfter(window.end));
+}
+
+/**
+ * Remove blocked ranges (time off) from working windows
+ * @param {Array} windows - [{ start, end }] moments
+ * @param {Array} blocks - [{ start, end }] moments
+ * @returns {Array} - Remaining windows
+ */
+function subtractBlocks(windows, blocks) {
+  let remaining = windows;
+  for (const block of blocks) {
+    const next = [];
+    for (const window of remaining) {
+      if (!overlaps(window.start, window.end, block.start, block.end)) {
+        next.push(window);
+        continue;
+      }
+      if (block.start.isAfter(window.start)) {
+        next.push({ start: window.start, end: moment(block.start) });
+      }
+      if (block.end.isBefore(window.end)) {
+        next.push({ start: moment(block.end), end: window.end });
+      }
+    }
+    remaining = next;
+  }
+  return remaining;
+}
+
+/**
+ * Service availability windows for a date (BookingAvailability rows for that weekday)
+ * @param {Array} availability - BookingAvailability records
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Array} - [{ start, end }]
+ */
+function getServiceWindows(availability, date) {
+  const dayOfWeek = moment(date).day();
+  return availability
+    .filter(a => a.day_of_week === dayOfWeek)
+    .map(a => ({
+      start: moment(`${date} ${a.start_time}`, 'YYYY-MM-DD HH:mm:ss'),
+      end: moment(`${date} ${a.end_time}`, 'YYYY-MM-DD HH:mm:ss')
+    }));
+}
+
+/**
+ * Working windows for a staff member on a date in a store
+ * Scheduled shifts take precedence over weekly working hours; approved time off is removed
+ * @param {Object} models - Tenant models
+ * @param {Object} options
+ * @param {number} options.staffId
+ * @param {number} options.storeId
+ * @param {string} options.date - YYYY-MM-DD
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Array>} - [{ start, end }] moments
+ */
+async function getStaffWindows(models, { staffId, storeId, date }, transaction = null) {
+  const shifts = await models.StaffShift.findAll({
+    where: {
+      staff_id: staffId,
+      shift_date: date,
+      [Sequelize.Op.or]: [{ store_id: storeId }, { store_id: null }]
+    },
+    transaction
+  });
+
+  let windows;
+  if (shifts.length > 0) {
+    windows = shifts.map(shift => getShiftWindow(shift.shift_date, shift.shift_start_time, shift.shift_end_time));
+  } else {
+    const hours = await models.StaffWorkingHours.findAll({
+      where: {
+        staff_id: staffId,
+        store_id: storeId,
+        day_of_week: moment(date).day(),
+        is_active: true
+      },
+      transaction
+    });
+    windows = hours.map(h => getShiftWindow(date, h.start_time, h.end_time));
+  }
+
+  if (windows.length === 0) return [];
+
+  const dayStart = moment(date).startOf('day');
+  const dayEnd = moment(date).add(1, 'day').endOf('day');
+  const timeOff = await models.StaffTimeOff.findAll({
+    where: {
+      staff_id: staffId,
+      status: 'approved',
+      start_at: { [Sequelize.Op.lt]: dayEnd.toDate() },
+      end_at: { [Sequelize.Op.gt]: dayStart.toDate() }
+    },
+    transaction
+  });
+
+  return subtractBlocks(windows, timeOff.map(off => ({ start: moment(off.start_at), end: moment(off.end_at) })));
+}
+
+/**
+ * Everything needed to check slots for a service on a date
+ * @param {Object} models - Tenant models
+ * @param {Object} options
+ * @param {number} options.storeId
+ * @param {Object} options.service - StoreService
+ * @param {string} options.date - YYYY-MM-DD
+ * @param {number} options.staffId - Optional requested staff member
+ * @param {boolean} options.isFreePlan - Free plan stores have no staff or resources
+ * @param {number} options.excludeBookingId - Booking being rescheduled
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object>} - { valid, status, message, ...context }
+ */
+async function loadAvailabilityContext(models, options, transaction = null) {
+  const { storeId, service, date, staffId = null, isFreePlan = false, excludeBookingId = null } = options;
+
+  const availability = await models.BookingAvailability.findAll({
+    where: {
+      store_id: storeId,
+      service_id: service.id,
+      is_available: true
+    },
+    transaction
+  });
+
+  const bookingWhere = {
+    store_id: storeId,
+    scheduled_at: {
+      [Sequelize.Op.between]: [moment(date).subtract(1, 'day').startOf('day').toDate(), moment(date).endOf('day').toDate()]
+    },
+    status: {
+      [Sequelize.Op.in]: ACTIVE_BOOKING_STATUSES
+    }
+  };
+  if (excludeBookingId) bookingWhere.id = { [Sequelize.Op.ne]: excludeBookingId };
+
+  // Unpaid holds stop blocking their slot once they expire, even before the release job cancels them
+  const now = moment();
+  const bookings = (await models.Booking.findAll({ where: bookingWhere, transaction }))
+    .filter(booking => !(booking.payment_status === 'awaiting_payment' && booking.payment_hold_expires_at && moment(booking.payment_hold_expires_at).isBefore(now)))
+    .map(booking => ({
+      service_id: booking.service_id,
+      staff_id: booking.staff_id,
+      resource_id: booking.resource_id,
+      start: moment(booking.scheduled_at),
+      end: moment(booking.scheduled_at).add(booking.duration_minutes || 60, 'minutes')
+    }));
+
+  const context = {
+    valid: true,
+    hasServiceAvailability: availability.length > 0,
+    serviceWindows: getServiceWindows(availability, date),
+    bookings,
+    usesStaff: false,
+    staff: [],
+    resources: []
+  };
+
+  if (isFreePlan) {
+    if (staffId) {
+      return { valid: false, status: 400, message: 'Staff selection is only available for enterprise stores' };
+    }
+    return context;
+  }
+
+  // Staff who can perform the service; services without linked staff can still be booked with anyone named
+  const links = await models.StaffService.findAll({
+    where: { service_id: service.id },
+    transaction
+  });
+  const linkedStaffIds = links.map(link => link.staff_id);
+
+  if (staffId && linkedStaffIds.length > 0 && !linkedStaffIds.includes(parseInt(staffId))) {
+    return { valid: false, status: 400, message: 'This staff member does not perform this service' };
+  }
+
+  const candidateIds = staffId ? [parseInt(staffId)] : linkedStaffIds;
+  if (candidateIds.length > 0) {
+    const staffMembers = await models.Staff.findAll({
+      where: { id: { [Sequelize.Op.in]: candidateIds }, status: 'active' },
+      attributes: ['id', 'name', 'store_id'],
+      transaction
+    });
+
+    if (staffId && staffMembers.length === 0) {
+      return { valid: false, status: 404, message: 'Staff not found or inactive' };
+    }
+
+    context.usesStaff = true;
+    for (const member of staffMembers) {
+      context.staff.push({
+        id: member.id,
+        name: member.name,
+        windows: await getStaffWindows(models, { staffId: member.id, storeId, date }, transaction)
+      });
+    }
+  }
+
+  const resources = await models.BookableResource.findAll({
+    where: { store_id: storeId, is_active: true },
+    include: [{
+      model: models.StoreService,
+      where: { id: service.id },
+      attributes: ['id'],
+      through: { attributes: [] }
+    }],
+    transaction
+  });
+  context.resources = resources.map(resource => ({
+    id: resource.id,
+    name: resource.name,
+    resource_type: resource.resource_type,
+    capacity: resource.capacity || 1
+  }));
+
+  return context;
+}
+
+/**
+ * Staff members free for [start, end): working then, and not on another booking
+ */
+function getFreeStaff(context, start, end) {
+  return context.staff.filter(member =>
+    withinWindows(member.windows, start, end)
+    && !context.bookings.some(booking => booking.staff_id === member.id && overlaps(start, end, booking.start, booking.end))
+  );
+}
+
+/**
+ * Resources with spare capacity for [start, end)
+ */
+function getFreeResources(context, start, end) {
+  return context.resources.filter(resource => {
+    const inUse = context.bookings.filter(booking =>
+      booking.resource_id === resource.id && overlaps(start, end, booking.start, booking.end)
+    ).length;
+    return inUse < resource.capacity;
+  });
+}
+
+/**
+ * Whether the service is already booked for [start, end) (services without staff or resources book one at a time)
+ */
+function serviceIsBooked(context, serviceId, start, end) {
+  return context.bookings.some(booking =>
+    booking.service_id === serviceId && overlaps(start, end, booking.start, booking.end)
+  );
+}
+
+/**
+ * Available slots for a service on a date
+ * @param {Object} models - Tenant models
+ * @param {Object} options - See loadAvailabilityContext
+ * @returns {Promise<Object>} - { valid, status, message, slots }
+ */
+async function getAvailableSlots(models, options) {
+  const context = await loadAvailabilityContext(models, options);
+  if (!context.valid) return context;
+
+  const { service } = options;
+  const duration = service.duration_minutes || 60;
+  const slots = [];
+
+  for (const window of context.serviceWindows) {
+    const slotStart = moment(window.start);
+    while (!moment(slotStart).add(duration, 'minutes').isAfter(window.end)) {
+      const start = moment(slotStart);
+      const end = moment(slotStart).add(duration, 'minutes');
+      slotStart.add(duration, 'minutes');
+
+      const freeStaff = context.usesStaff ? getFreeStaff(context, start, end) : [];
+      if (context.usesStaff && freeStaff.length === 0) continue;
+
+      const freeResources = getFreeResources(context, start, end);
+      if (context.resources.length > 0 && freeResources.length === 0) continue;
+
+      if (!context.usesStaff && context.resources.length === 0 && serviceIsBooked(context, service.id, start, end)) continue;
+
+      slots.push({
+        start_time: start.format('YYYY-MM-DD HH:mm:ss'),
+        end_time: end.format('YYYY-MM-DD HH:mm:ss'),
+        duration_minutes: duration,
+        ...(context.usesStaff && { available_staff: freeStaff.map(member => ({ id: member.id, name: member.name })) }),
+        ...(context.resources.length > 0 && { available_resources: freeResources.length })
+      });
+    }
+  }
+
+  return { valid: true, slots };
+}
+
+/**
+ * Pick a free staff member and resource for [start, end) from a loaded context
+ */
+function assignFromContext(context, start, end, staffId) {
+  if (!context.usesStaff && context.resources.length === 0) {
+    return { valid: true, uses_assignment: false, staff: null, resource: null };
+  }
+
+  let staff = null;
+  if (context.usesStaff) {
+    const freeStaff = getFreeStaff(context, start, end);
+    if (freeStaff.length === 0) {
+      return {
+        valid: false,
+        status: 409,
+        message: staffId
+          ? 'This staff member is not available at that time'
+          : 'No staff member is available at that time'
+      };
+    }
+    staff = { id: freeStaff[0].id, name: freeStaff[0].name };
+  }
+
+  let resource = null;
+  if (context.resources.length > 0) {
+    const freeResources = getFreeResources(context, start, end);
+    if (freeResources.length === 0) {
+      return { valid: false, status: 409, message: 'No room or resource is free at that time' };
+    }
+    resource = freeResources[0];
+  }
+
+  return { valid: true, uses_assignment: true, staff, resource };
+}
+
+/**
+ * Staff member and resource for a new or rescheduled booking
+ * Uses the requested staff member when given, otherwise the first free staff member who performs the service
+ * @param {Object} models - Tenant models
+ * @param {Object} options - See loadAvailabilityContext, plus options.scheduledAt and options.duration
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object>} - { valid, status, message, uses_assignment, staff, resource }
+ */
+async function findBookingAssignment(models, options, transaction = null) {
+  const { service, scheduledAt, staffId = null } = options;
+  const start = moment(scheduledAt);
+  const end = moment(scheduledAt).add(options.duration || service.duration_minutes || 60, 'minutes');
+
+  const context = await loadAvailabilityContext(models, {
+    ...options,
+    date: start.format('YYYY-MM-DD')
+  }, transaction);
+  if (!context.valid) return context;
+
+  return assignFromContext(context, start, end, staffId);
+}
+
+/**
+ * Full availability check for a booking time that was not picked from the published slots
+ * (e.g. each occurrence of a recurring booking): inside the service's available hours when the service
+ * has any, free of other bookings of the service, and with a staff member and resource to assign
+ * @param {Object} models - Tenant models
+ * @param {Object} options - See findBookingAssignment
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object>} - { valid, status, message, uses_assignment, staff, resource }
+ */
+async function checkBookingSlot(models, options, transaction = null) {
+  const { service, scheduledAt, staffId = null } = options;
+  const start = moment(scheduledAt);
+  const end = moment(scheduledAt).add(options.duration || service.duration_minutes || 60, 'minutes');
+
+  const context = await loadAvailabilityContext(models, {
+    ...options,
+    date: start.format('YYYY-MM-DD')
+  }, transaction);
+  if (!context.valid) return context;
+
+  if (context.hasServiceAvailability && !withinWindows(context.serviceWindows, start, end)) {
+    return { valid: false, status: 409, message: 'Outside the service\'s available hours' };
+  }
+
+  if (!context.usesStaff && context.resources.length === 0 && serviceIsBooked(context, service.id, start, end)) {
+    return { valid: false, status: 409, message: 'Time slot already booked' };
+  }
+
+  return assignFromContext(context, start, end, staffId);
+}
+
+module.exports = {
+  ACTIVE_BOOKING_STATUSES,
+  subtractBlocks,
+  getServiceWindows,
+  getStaffWindows,
+  getAvailableSlots,
+  findBookingAssignment,
+  checkBookingSlot
+};
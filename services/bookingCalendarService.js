@@ -0,0 +1,278 @@
+/**
+ * Booking Calendar Service
+ * iCalendar (RFC 5545) events for bookings: the .ics attached to confirmation emails and the secret
+ * subscription feeds staff add to their phone calendars. Booking times are stored as the wall-clock
+ * time of the appointment; Booking.timezone says which zone that wall clock is in, so events are
+ * written in UTC after converting from the booking's zone
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+
+const DEFAULT_TIMEZONE = 'Africa/Lagos';
+
+// Feed window: recent history plus upcoming bookings
+const FEED_PAST_DAYS = parseInt(process.env.BOOKING_CALENDAR_FEED_PAST_DAYS || '30');
+const FEED_FUTURE_DAYS = parseInt(process.env.BOOKING_CALENDAR_FEED_FUTURE_DAYS || '365');
+
+/**
+ * Whether a string is an IANA time zone the runtime knows (e.g. Africa/Lagos)
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Minutes a time zone is ahead of UTC at an instant
+ */
+function getTimezoneOffsetMinutes(timezone, date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const values = {};
+  parts.forEach(part => { values[part.type] = parseInt(part.value, 10); });
+
+  const asUtc = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * UTC instant of a wall-clock time in a time zone
+ * @param {string} wallClock - YYYY-MM-DD HH:mm:ss
+ * @param {string} timezone - IANA zone (falls back to Africa/Lagos when unknown)
+ * @returns {Date}
+ */
+function zonedTimeToUtc(wallClock, timezone) {
+  const zone = isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+  const local = moment(wallClock, 'YYYY-MM-DD HH:mm:ss');
+  const guess = Date.UTC(local.year(), local.month(), local.date(), local.hours(), local.minutes(), local.seconds());
+
+  // Second pass settles times next to a daylight-saving change
+  const offset = getTimezoneOffsetMinutes(zone, new Date(guess));
+  let utc = guess - offset * 60000;
+  const correctedOffset = getTimezoneOffsetMinutes(zone, new Date(utc));
+  if (correctedOffset !== offset) {
+    utc = guess - correctedOffset * 60000;
+  }
+
+  return new Date(utc);
+}
+
+/**
+ * Start and end of a booking as UTC instants
+ * @param {Object} booking - Booking
+ * @returns {Object} - { start, end } Dates
+ */
+function getBookingInstants(booking) {
+  const wallClock = moment(booking.scheduled_at).format('YYYY-MM-DD HH:mm:ss');
+  const start = zonedTimeToUtc(wallClock, booking.timezone);
+  const end = new Date(start.getTime() + (booking.duration_minutes || 60) * 60000);
+  return { start, end };
+}
+
+function formatUtc(date) {
+  return moment.utc(date).format('YYYYMMDD[T]HHmmss[Z]');
+}
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11)
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets (RFC 5545 3.1)
+ */
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) {
+    return line;
+  }
+
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, 'utf8');
+    const limit = chunks.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (currentBytes + charBytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Store address on one line
+ */
+function formatStoreAddress(store) {
+  if (!store) return null;
+  return [store.name, store.address, store.city, store.state].filter(Boolean).join(', ');
+}
+
+/**
+ * VEVENT lines for a booking
+ * @param {Object} booking - Booking (with Store when loaded)
+ * @param {Object} options
+ * @param {number} options.tenantId - Tenant ID (keeps UIDs unique across tenants)
+ * @param {string} options.audience - 'customer' (confirmation email) or 'staff' (calendar feeds)
+ * @param {string} options.url - Link added to the event (e.g. the customer's manage-booking page)
+ * @returns {Array} - Unfolded content lines
+ */
+function buildBookingEventLines(booking, { tenantId = null, audience = 'customer', url = null } = {}) {
+  const { start, end } = getBookingInstants(booking);
+  const store = booking.Store || null;
+  const title = booking.service_title || (booking.StoreService && booking.StoreService.service_title) || 'Booking';
+
+  const summary = audience === 'staff'
+    ? `${title} - ${booking.customer_name || 'Customer'}`
+    : (store && store.name ? `${title} at ${store.name}` : title);
+
+  const description = audience === 'staff'
+    ? [
+      booking.customer_name && `Customer: ${booking.customer_name}`,
+      booking.customer_phone && `Phone: ${booking.customer_phone}`,
+      booking.customer_email && `Email: ${booking.customer_email}`,
+      booking.staff_name && `Staff: ${booking.staff_name}`,
+      `Status: ${booking.status}`,
+      booking.notes && `Notes: ${booking.notes}`
+    ]
+    : [
+      booking.description,
+      booking.staff_name && `With: ${booking.staff_name}`,
+      url && `Manage your booking: ${url}`
+    ];
+
+  const status = booking.status === 'cancelled' || booking.status === 'no_show'
+    ? 'CANCELLED'
+    : booking.status === 'pending' ? 'TENTATIVE' : 'CONFIRMED';
+
+  const location = booking.location_type === 'online' && booking.meeting_link
+    ? booking.meeting_link
+    : formatStoreAddress(store);
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:booking-${tenantId || 0}-${booking.id}@mycroshop.com`,
+    `DTSTAMP:${formatUtc(booking.updated_at || new Date())}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    // Rescheduling bumps the sequence so calendars replace the earlier copy
+    `SEQUENCE:${booking.reschedule_count || 0}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description.filter(Boolean).join('\n'))}`,
+    ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+    ...(url ? [`URL:${url}`] : []),
+    `STATUS:${status}`,
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * Wrap events in a VCALENDAR document
+ * @param {Array} eventLines - Lines from buildBookingEventLines
+ * @param {Object} options - { name } calendar name shown by subscribing apps
+ * @returns {string} - iCalendar text (CRLF line endings)
+ */
+function buildCalendar(eventLines, { name = null } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//MycroShop//Bookings//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...eventLines,
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Single-event .ics for a booking (confirmation email attachment / download)
+ * @param {Object} booking - Booking (with Store when loaded)
+ * @param {Object} options - See buildBookingEventLines
+ * @returns {string}
+ */
+function buildBookingIcs(booking, options = {}) {
+  return buildCalendar(buildBookingEventLines(booking, options));
+}
+
+/**
+ * New secret token for a calendar feed URL
+ */
+function generateFeedToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Subscription URLs for a calendar feed
+ * @param {number} tenantId - Tenant ID
+ * @param {string} token - Feed token
+ * @returns {Object} - { feed_url, webcal_url }
+ */
+function buildCalendarFeedUrls(tenantId, token) {
+  const baseUrl = process.env.BASE_URL || 'https://backend.mycroshop.com';
+  const feedUrl = `${baseUrl}/api/v1/public-bookings/calendar/${tenantId}/${token}.ics`;
+
+  return {
+    feed_url: feedUrl,
+    // webcal:// opens the subscribe dialog on phones and desktop calendar apps
+    webcal_url: feedUrl.replace(/^https?:\/\//, 'webcal://')
+  };
+}
+
+/**
+ * Date range covered by calendar feeds
+ * @returns {Object} - { from, to } Dates
+ */
+function getFeedWindow() {
+  return {
+    from: moment().subtract(FEED_PAST_DAYS, 'days').startOf('day').toDate(),
+    to: moment().add(FEED_FUTURE_DAYS, 'days').endOf('day').toDate()
+  };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  zonedTimeToUtc,
+  getBookingInstants,
+  buildBookingEventLines,
+  buildCalendar,
+  buildBookingIcs,
+  generateFeedToken,
+  buildCalendarFeedUrls,
+  getFeedWindow
+};
@@ -0,0 +1,93 @@
+/**
+ * Booking Link Service
+ * Signed public links that let a customer reschedule or cancel their own booking,
+ * and the tenant's self-service policy (cut-off before the appointment, reschedule limit)
+ */
+
+const moment = require('moment');
+const { requireLinkSecret, signLink, verifyLinkSignature } = require('./signedLinkService');
+
+// Secret used to sign booking links (falls back to the JWT secret; the server refuses to start without one)
+const LINK_SECRET = requireLinkSecret('BOOKING_LINK_SECRET');
+
+/**
+ * Sign a booking for public access
+ * @param {number} tenantId - Tenant ID
+ * @param {number} bookingId - Booking ID
+ * @returns {string} - Hex HMAC signature
+ */
+function signBookingLink(tenantId, bookingId) {
+  return signLink(LINK_SECRET, 'booking', tenantId, bookingId);
+}
+
+/**
+ * Verify a public booking link signature
+ * @param {number} tenantId - Tenant ID
+ * @param {number} bookingId - Booking ID
+ * @param {string} signature - Signature from the URL
+ * @returns {boolean}
+ */
+function verifyBookingLinkSignature(tenantId, bookingId, signature) {
+  return verifyLinkSignature(LINK_SECRET, 'booking', tenantId, bookingId, signature);
+}
+
+/**
+ * Build the customer's manage-booking links
+ * The page lives on the storefront (BOOKING_MANAGE_URL); it talks to the signed public-bookings API
+ * @param {number} tenantId - Tenant ID
+ * @param {number} bookingId - Booking ID
+ * @returns {Object} - { manage_url, reschedule_url, cancel_url, api_url, signature }
+ */
+function buildBookingManageLinks(tenantId, bookingId) {
+  const baseUrl = process.env.BASE_URL || 'https://backend.mycroshop.com';
+  const pageUrl = process.env.BOOKING_MANAGE_URL || `${process.env.FRONTEND_URL || 'https://mycroshop.com'}/booking/manage`;
+  const signature = signBookingLink(tenantId, bookingId);
+  const query = `tenant_id=${tenantId}&booking_id=${bookingId}&signature=${signature}`;
+
+  return {
+    manage_url: `${pageUrl}?${query}`,
+    reschedule_url: `${pageUrl}?${query}&action=reschedule`,
+    cancel_url: `${pageUrl}?${query}&action=cancel`,
+    api_url: `${baseUrl}/api/v1/public-bookings/manage/${tenantId}/${bookingId}?signature=${signature}`,
+    signature
+  };
+}
+
+/**
+ * What the customer may still do with a booking under the tenant's policy
+ * @param {Object} booking - Booking
+ * @param {Object} settings - Booking reminder settings (see bookingReminderService.getBookingReminderSettings)
+ * @returns {Object} - { can_reschedule, can_cancel, reschedule_deadline, cancellation_deadline, reschedules_left, message }
+ */
+function getSelfServicePolicy(booking, settings) {
+  const now = moment();
+  const scheduledAt = moment(booking.scheduled_at);
+  const isOpen = ['pending', 'confirmed'].includes(booking.status);
+  const rescheduleDeadline = scheduledAt.clone().subtract(settings.reschedule_cutoff_hours, 'hours');
+  const cancellationDeadline = scheduledAt.clone().subtract(settings.cancellation_cutoff_hours, 'hours');
+  const reschedulesLeft = Math.max(0, settings.max_reschedules - (booking.reschedule_count || 0));
+
+  const policy = {
+    can_reschedule: isOpen && settings.allow_reschedule && now.isBefore(rescheduleDeadline) && reschedulesLeft > 0,
+    can_cancel: isOpen && settings.allow_cancellation && now.isBefore(cancellationDeadline),
+    reschedule_deadline: rescheduleDeadline.toDate(),
+    cancellation_deadline: cancellationDeadline.toDate(),
+    reschedules_left: reschedulesLeft,
+    message: null
+  };
+
+  if (!isOpen) {
+    policy.message = `This booking is ${booking.status}`;
+  } else if (!policy.can_reschedule && !policy.can_cancel) {
+    policy.message = 'Changes can no longer be made online. Please contact the business.';
+  }
+
+  return policy;
+}
+
+module.exports = {
+  signBookingLink,
+  verifyBookingLinkSignature,
+  buildBookingManageLinks,
+  getSelfServicePolicy
+};
@@ -0,0 +1,336 @@
+/**
+ * Booking Payment Service
+ * Deposits and full prepayment for services booked online: what the customer must pay to secure a
+ * booking, confirming the held booking once the gateway reports the payment, releasing holds that
+ * are never paid, and the cancellation fee kept when a paid booking is cancelled late or missed
+ */
+
+const moment = require('moment');
+const { Sequelize } = require('sequelize');
+const { Tenant } = require('../config/tenant');
+const { getTenantConnection } = require('../config/database');
+const initModels = require('../models');
+const { round2 } = require('./numberService');
+
+// How long an unpaid booking holds its slot while the customer is at the payment page
+const BOOKING_PAYMENT_HOLD_MINUTES = parseInt(process.env.BOOKING_PAYMENT_HOLD_MINUTES || '30');
+
+// Scheduler state
+const CHECK_INTERVAL_MS = parseInt(process.env.BOOKING_HOLD_RELEASE_INTERVAL_MINUTES || '5') * 60 * 1000;
+let schedulerTimer = null;
+let isRunning = false;
+
+/**
+ * Amount the customer must pay online to secure a booking for a service
+ * @param {Object} service - StoreService
+ * @returns {Object} - { requirement, price, amount_due_now } (requirement 'none' when nothing is due)
+ */
+function getServicePaymentTerms(service) {
+  const price = round2(service.price);
+  const requirement = service.payment_requirement || 'none';
+
+  if (requirement === 'none' || price <= 0) {
+    return { requirement: 'none', price, amount_due_now: 0 };
+  }
+
+  if (requirement === 'full') {
+    return { requirement, price, amount_due_now: price };
+  }
+
+  const depositValue = parseFloat(service.deposit_value || 0);
+  const deposit = service.deposit_type === 'fixed'
+    ? depositValue
+    : (price * depositValue) / 100;
+
+  return { requirement, price, amount_due_now: round2(Math.min(deposit, price)) };
+}
+
+/**
+ * Validate service deposit and cancellation fee settings (merged with the service's current values)
+ * @param {Object} settings - payment_requirement, deposit_type, deposit_value, cancellation_fee_type,
+ *   cancellation_fee_value, cancellation_fee_window_hours, price
+ * @returns {Object} - { valid, status, message }
+ */
+function validateServicePaymentSettings(settings) {
+  const {
+    payment_requirement = 'none',
+    deposit_type = 'percentage',
+    deposit_value = 0,
+    cancellation_fee_type = 'none',
+    cancellation_fee_value = 0,
+    cancellation_fee_window_hours = 24,
+    price = 0
+  } = settings;
+
+  if (!['none', 'deposit', 'full'].includes(payment_requirement)) {
+    return { valid: false, status: 400, message: 'payment_requirement must be none, deposit or full' };
+  }
+
+  if (!['percentage', 'fixed'].includes(deposit_type)) {
+    return { valid: false, status: 400, message: 'deposit_type must be percentage or fixed' };
+  }
+
+  if (!['none', 'percentage', 'fixed'].includes(cancellation_fee_type)) {
+    return { valid: false, status: 400, message: 'cancellation_fee_type must be none, percentage or fixed' };
+  }
+
+  const depositValue = parseFloat(deposit_value);
+  const feeValue = parseFloat(cancellation_fee_value);
+  const windowHours = parseInt(cancellation_fee_window_hours);
+
+  if (isNaN(depositValue) || depositValue < 0 || isNaN(feeValue) || feeValue < 0) {
+    return { valid: false, status: 400, message: 'Deposit and cancellation fee values cannot be negative' };
+  }
+
+  if (isNaN(windowHours) || windowHours < 0) {
+    return { valid: false, status: 400, message: 'cancellation_fee_window_hours cannot be negative' };
+  }
+
+  if (payment_requirement !== 'none' && parseFloat(price || 0) <= 0) {
+    return { valid: false, status: 400, message: 'A deposit or prepayment needs a service price' };
+  }
+
+  if (payment_requirement === 'deposit') {
+    if (depositValue <= 0) {
+      return { valid: false, status: 400, message: 'deposit_value is required when a deposit is required' };
+    }
+    if (deposit_type === 'percentage' && depositValue > 100) {
+      return { valid: false, status: 400, message: 'A percentage deposit cannot exceed 100' };
+    }
+  }
+
+  if (cancellation_fee_type === 'percentage' && feeValue > 100) {
+    return { valid: false, status: 400, message: 'A percentage cancellation fee cannot exceed 100' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Cancellation fee and refund for a booking being cancelled or marked as a no-show
+ * The fee applies to no-shows and to cancellations inside the service's fee window. It can only be
+ * kept from what was paid online; anything paid above the fee is owed back to the customer.
+ * @param {Object} booking - Booking
+ * @param {Object} service - StoreService (null if the service was deleted - no fee)
+ * @param {Object} options
+ * @param {boolean} options.noShow - Customer did not turn up
+ * @returns {Object} - { is_late, cancellation_fee, refund_amount, payment_status }
+ */
+function getCancellationCharges(booking, service, { noShow = false } = {}) {
+  const amountPaid = round2(booking.amount_paid);
+  const hoursUntilStart = moment(booking.scheduled_at).diff(moment(), 'hours', true);
+  const windowHours = service ? parseInt(service.cancellation_fee_window_hours ?? 24) : 0;
+  const isLate = noShow || hoursUntilStart < windowHours;
+
+  let fee = 0;
+  if (service && isLate && service.cancellation_fee_type !== 'none') {
+    const feeValue = parseFloat(service.cancellation_fee_value || 0);
+    fee = service.cancellation_fee_type === 'fixed'
+      ? feeValue
+      : (round2(service.price) * feeValue) / 100;
+  }
+
+  const cancellationFee = round2(Math.min(fee, amountPaid));
+  const refundAmount = round2(amountPaid - cancellationFee);
+
+  return {
+    is_late: isLate,
+    cancellation_fee: cancellationFee,
+    refund_amount: refundAmount,
+    payment_status: refundAmount > 0 ? 'refund_due' : booking.payment_status
+  };
+}
+
+/**
+ * Apply a successful gateway payment to the booking it was taken for
+ * Confirms the held booking; if the hold was already released, the payment is marked for refund instead
+ * @param {Object} models - Tenant models
+ * @param {Object} paymentTransaction - PaymentTransaction with booking_id (status success)
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object|null>} - { booking, confirmed, refund_due } or null when there is no booking
+ */
+async function confirmBookingPayment(models, paymentTransaction, transaction = null) {
+  if (!paymentTransaction.booking_id) {
+    return null;
+  }
+
+  const booking = await models.Booking.findByPk(paymentTransaction.booking_id, {
+    lock: transaction ? true : undefined,
+    transaction
+  });
+
+  if (!booking) {
+    return null;
+  }
+
+  // Already applied (webhook and verification both report the same payment)
+  if (booking.payment_transaction_id === paymentTransaction.id && ['deposit_paid', 'paid', 'refund_due', 'refunded'].includes(booking.payment_status)) {
+    return { booking, confirmed: false, refund_due: booking.payment_status === 'refund_due' };
+  }
+
+  const amountPaid = round2(paymentTransaction.amount);
+
+  // The hold expired before the release job got to it - it counts as released, since availability
+  // already treats the slot as free
+  const holdExpired = booking.status === 'pending' &&
+    booking.payment_status === 'awaiting_payment' &&
+    booking.payment_hold_expires_at &&
+    moment(booking.payment_hold_expires_at).isBefore(moment());
+
+  // The hold expired (or was cancelled) before the money arrived - the slot may have gone to someone else
+  if (booking.status !== 'pending' || holdExpired) {
+    await booking.update({
+      ...(holdExpired && {
+        status: 'cancelled',
+        cancellation_reason: 'Payment was not completed in time'
+      }),
+      payment_transaction_id: paymentTransaction.id,
+      amount_paid: amountPaid,
+      refund_amount: amountPaid,
+      payment_status: 'refund_due'
+    }, { transaction });
+    return { booking, confirmed: false, refund_due: true };
+  }
+
+  const service = booking.service_id
+    ? await models.StoreService.findByPk(booking.service_id, { transaction })
+    : null;
+  const price = service ? round2(service.price) : amountPaid;
+
+  await booking.update({
+    status: 'confirmed',
+    payment_transaction_id: paymentTransaction.id,
+    amount_paid: amountPaid,
+    payment_status: amountPaid >= price ? 'paid' : 'deposit_paid',
+    payment_hold_expires_at: null
+  }, { transaction });
+
+  return { booking, confirmed: true, refund_due: false };
+}
+
+/**
+ * Send the booking confirmation once a deposit/prepayment has confirmed the booking
+ * Runs after the payment has been committed; never throws
+ * @param {Object} models - Tenant models
+ * @param {Object} tenant - Tenant
+ * @param {number} bookingId - Booking ID
+ */
+async function sendPaidBookingConfirmation(models, tenant, bookingId) {
+  try {
+    const booking = await models.Booking.findByPk(bookingId, {
+      include: [
+        {
+          model: models.Store,
+          required: false,
+          attributes: ['id', 'name', 'store_type', 'address', 'city', 'state', 'phone', 'email']
+        },
+        {
+          model: models.StoreService,
+          required: false,
+          attributes: ['id', 'service_title', 'description', 'duration_minutes', 'price']
+        }
+      ]
+    });
+
+    if (!booking || !booking.customer_email) {
+      return;
+    }
+
+    const { sendBookingConfirmationEmail } = require('./emailService');
+    await sendBookingConfirmationEmail({
+      tenant,
+      booking,
+      customerEmail: booking.customer_email,
+      customerName: booking.customer_name || 'Customer'
+    });
+  } catch (error) {
+    console.error('Error sending paid booking confirmation:', error);
+  }
+}
+
+/**
+ * Release bookings whose payment hold has expired so the slot can be booked again
+ * @param {Object} models - Tenant models
+ * @param {number} tenantId - Tenant ID (free users, shared DB) or null
+ * @returns {Promise<number>} - Bookings released
+ */
+async function releaseExpiredBookingHolds(models, tenantId = null) {
+  const [released] = await models.Booking.update({
+    status: 'cancelled',
+    cancellation_reason: 'Payment was not completed in time'
+  }, {
+    where: {
+      ...(tenantId ? { tenant_id: tenantId } : {}),
+      status: 'pending',
+      payment_status: 'awaiting_payment',
+      payment_hold_expires_at: { [Sequelize.Op.lt]: new Date() }
+    }
+  });
+
+  return released;
+}
+
+/**
+ * Scan every active tenant database for expired payment holds
+ */
+async function runBookingHoldReleaseJob() {
+  const tenants = await Tenant.findAll({ where: { status: 'active' } });
+
+  for (const tenant of tenants) {
+    try {
+      const sequelize = await getTenantConnection(tenant.id, tenant.subscription_plan || 'enterprise');
+      const models = initModels(sequelize);
+      const released = await releaseExpiredBookingHolds(models, tenant.subscription_plan === 'free' ? tenant.id : null);
+
+      if (released > 0) {
+        console.log(`[Booking Holds] Tenant ${tenant.id}: released ${released} unpaid booking(s)`);
+      }
+    } catch (error) {
+      // One tenant's DB being unavailable must not stop the rest
+      console.error(`[Booking Holds] Failed for tenant ${tenant.id}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Start the unpaid booking release scheduler
+ * Runs every BOOKING_HOLD_RELEASE_INTERVAL_MINUTES (default 5).
+ * Set BOOKING_HOLD_RELEASE_ENABLED=false to disable (e.g. on secondary app instances).
+ */
+function startBookingHoldReleaseScheduler() {
+  if (schedulerTimer || process.env.BOOKING_HOLD_RELEASE_ENABLED === 'false') {
+    return;
+  }
+
+  const tick = async () => {
+    if (isRunning) {
+      return;
+    }
+
+    isRunning = true;
+    try {
+      await runBookingHoldReleaseJob();
+    } catch (error) {
+      console.error('[Booking Holds] Job failed:', error);
+    } finally {
+      isRunning = false;
+    }
+  };
+
+  schedulerTimer = setInterval(tick, CHECK_INTERVAL_MS);
+  // Don't keep the process alive just for the scheduler
+  schedulerTimer.unref();
+  console.log(`Booking hold release scheduler started (every ${CHECK_INTERVAL_MS / 60000} minutes)`);
+}
+
+module.exports = {
+  BOOKING_PAYMENT_HOLD_MINUTES,
+  getServicePaymentTerms,
+  validateServicePaymentSettings,
+  getCancellationCharges,
+  confirmBookingPayment,
+  sendPaidBookingConfirmation,
+  releaseExpiredBookingHolds,
+  runBookingHoldReleaseJob,
+  startBookingHoldReleaseScheduler
+};
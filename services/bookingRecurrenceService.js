@@ -0,0 +1,82 @@
+/**
+ * Booking Recurrence Service
+ * Standing appointments: a weekly (or every N weeks) rule ending on a date or after a number of
+ * occurrences, expanded into the individual booking times of a series
+ */
+
+const moment = require('moment');
+
+// Upper bound on occurrences created in one go (a year of weekly appointments)
+const MAX_SERIES_OCCURRENCES = parseInt(process.env.BOOKING_SERIES_MAX_OCCURRENCES || '52');
+
+/**
+ * Validate a recurrence rule and expand it into occurrence times
+ * @param {Object} recurrence - { frequency: 'weekly', interval_weeks, end_date, count }
+ * @param {string} scheduledAt - First occurrence
+ * @returns {Object} - { valid, status, message, rule, occurrences: ['YYYY-MM-DD HH:mm:ss'] }
+ */
+function expandRecurrence(recurrence, scheduledAt) {
+  if (!recurrence || typeof recurrence !== 'object') {
+    return { valid: false, status: 400, message: 'recurrence must be an object' };
+  }
+
+  const frequency = recurrence.frequency || 'weekly';
+  if (frequency !== 'weekly') {
+    return { valid: false, status: 400, message: 'Only weekly recurrence is supported' };
+  }
+
+  const intervalWeeks = recurrence.interval_weeks !== undefined ? parseInt(recurrence.interval_weeks) : 1;
+  if (isNaN(intervalWeeks) || intervalWeeks < 1 || intervalWeeks > 52) {
+    return { valid: false, status: 400, message: 'interval_weeks must be between 1 and 52' };
+  }
+
+  const hasCount = recurrence.count !== undefined && recurrence.count !== null && recurrence.count !== '';
+  const hasEndDate = !!recurrence.end_date;
+  if (!hasCount && !hasEndDate) {
+    return { valid: false, status: 400, message: 'recurrence needs an end_date or a count' };
+  }
+
+  const count = hasCount ? parseInt(recurrence.count) : null;
+  if (hasCount && (isNaN(count) || count < 1)) {
+    return { valid: false, status: 400, message: 'count must be at least 1' };
+  }
+  if (count > MAX_SERIES_OCCURRENCES) {
+    return { valid: false, status: 400, message: `A series can have at most ${MAX_SERIES_OCCURRENCES} occurrences` };
+  }
+
+  const start = moment(scheduledAt);
+  const endDate = hasEndDate ? moment(recurrence.end_date, 'YYYY-MM-DD', true) : null;
+  if (endDate && !endDate.isValid()) {
+    return { valid: false, status: 400, message: 'end_date must be a date (YYYY-MM-DD)' };
+  }
+  if (endDate && endDate.isBefore(start, 'day')) {
+    return { valid: false, status: 400, message: 'end_date cannot be before the first booking' };
+  }
+
+  const occurrences = [];
+  for (let i = 0; ; i++) {
+    const occurrence = start.clone().add(i * intervalWeeks, 'weeks');
+    if (count && occurrences.length >= count) break;
+    if (endDate && occurrence.isAfter(endDate, 'day')) break;
+    if (occurrences.length >= MAX_SERIES_OCCURRENCES) {
+      return { valid: false, status: 400, message: `A series can have at most ${MAX_SERIES_OCCURRENCES} occurrences. Choose an earlier end_date.` };
+    }
+    occurrences.push(occurrence.format('YYYY-MM-DD HH:mm:ss'));
+  }
+
+  return {
+    valid: true,
+    rule: {
+      frequency,
+      interval_weeks: intervalWeeks,
+      end_date: endDate ? endDate.format('YYYY-MM-DD') : null,
+      count
+    },
+    occurrences
+  };
+}
+
+module.exports = {
+  MAX_SERIES_OCCURRENCES,
+  expandRecurrence
+};
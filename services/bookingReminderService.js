@@ -0,0 +1,444 @@
+/**
+ * Booking Reminder Service
+ * Scheduled reminders before an appointment (e.g. 24h and 1h) by email and, when the tenant has an
+ * active WhatsApp connection, by WhatsApp - each carrying the customer's signed reschedule/cancel links
+ */
+
+const axios = require('axios');
+const moment = require('moment');
+const { Sequelize } = require('sequelize');
+const { Tenant } = require('../config/tenant');
+const { getTenantConnection } = require('../config/database');
+const initModels = require('../models');
+const { buildBookingManageLinks, getSelfServicePolicy } = require('./bookingLinkService');
+
+// Used when a tenant has not saved booking reminder settings yet
+const DEFAULT_BOOKING_REMINDER_SETTINGS = {
+  is_enabled: true,
+  hours_before: [24, 1],
+  send_email: true,
+  send_whatsapp: true,
+  allow_reschedule: true,
+  allow_cancellation: true,
+  reschedule_cutoff_hours: 24,
+  cancellation_cutoff_hours: 24,
+  max_reschedules: 2
+};
+
+// Statuses that still expect the customer to turn up
+const UPCOMING_STATUSES = ['pending', 'confirmed'];
+
+// Scheduler state (reminders are hourly-grained, so the job runs every few minutes)
+const CHECK_INTERVAL_MS = parseInt(process.env.BOOKING_REMINDER_INTERVAL_MINUTES || '5') * 60 * 1000;
+let schedulerTimer = null;
+let isRunning = false;
+
+/**
+ * Normalise a JSON hour list ("[24, 1]", [24, "1"], null) to unique positive integers, largest first
+ */
+function parseHourList(value, fallback) {
+  let hours = value;
+  if (typeof hours === 'string') {
+    try {
+      hours = JSON.parse(hours);
+    } catch (parseError) {
+      hours = null;
+    }
+  }
+  if (!Array.isArray(hours)) {
+    return fallback;
+  }
+  return [...new Set(hours.map(hour => parseInt(hour)).filter(hour => hour > 0))].sort((a, b) => b - a);
+}
+
+/**
+ * Get the tenant's booking reminder and self-service settings (defaults if none saved)
+ * @param {Object} models - Tenant models
+ * @param {number} tenantId - Tenant ID (free users, shared DB) or null
+ * @returns {Promise<Object>} - Plain settings object
+ */
+async function getBookingReminderSettings(models, tenantId = null) {
+  const setting = await models.BookingReminderSetting.findOne({
+    where: tenantId ? { tenant_id: tenantId } : {}
+  });
+
+  if (!setting) {
+    return { ...DEFAULT_BOOKING_REMINDER_SETTINGS };
+  }
+
+  return {
+    is_enabled: setting.is_enabled,
+    hours_before: parseHourList(setting.hours_before, DEFAULT_BOOKING_REMINDER_SETTINGS.hours_before),
+    send_email: setting.send_email,
+    send_whatsapp: setting.send_whatsapp,
+    allow_reschedule: setting.allow_reschedule,
+    allow_cancellation: setting.allow_cancellation,
+    reschedule_cutoff_hours: setting.reschedule_cutoff_hours,
+    cancellation_cutoff_hours: setting.cancellation_cutoff_hours,
+    max_reschedules: setting.max_reschedules
+  };
+}
+
+/**
+ * Work out which scheduled reminder (if any) is due for a booking now
+ * Only the latest reached stage is sent, and stages that passed before the booking was made are skipped.
+ * A stage counts as handled once attempted for the current appointment time, so failures are not retried
+ * every run; rescheduling the booking re-arms every stage.
+ * @param {Object} booking - Booking instance
+ * @param {Object} settings - Reminder settings
+ * @param {Array} reminders - BookingReminder rows for this booking
+ * @param {Object} now - moment
+ * @returns {Object|null} - { hoursBefore }
+ */
+function getDueReminderStage(booking, settings, reminders, now) {
+  const scheduledAt = moment(booking.scheduled_at);
+  if (!now.isBefore(scheduledAt)) {
+    return null;
+  }
+
+  const createdAt = booking.created_at ? moment(booking.created_at) : null;
+  const reached = settings.hours_before
+    .map(hours => ({ hoursBefore: hours, at: scheduledAt.clone().subtract(hours, 'hours') }))
+    .filter(stage => !stage.at.isAfter(now) && (!createdAt || !stage.at.isBefore(createdAt)))
+    .sort((a, b) => a.hoursBefore - b.hoursBefore);
+
+  if (reached.length === 0) {
+    return null;
+  }
+
+  const latest = reached[0];
+  const alreadyHandled = reminders.some(reminder =>
+    reminder.reminder_type === 'before_start'
+    && reminder.hours_before === latest.hoursBefore
+    && moment(reminder.scheduled_for).isSame(scheduledAt)
+  );
+
+  return alreadyHandled ? null : { hoursBefore: latest.hoursBefore };
+}
+
+/**
+ * The tenant's WhatsApp connection, if connected and the access token has not expired
+ * @param {Object} models - Tenant models
+ * @param {number} tenantId - Tenant ID (free users, shared DB) or null
+ * @returns {Promise<Object|null>} - WhatsAppConnection
+ */
+async function getActiveWhatsAppConnection(models, tenantId = null) {
+  return models.WhatsAppConnection.findOne({
+    where: {
+      ...(tenantId ? { tenant_id: tenantId } : {}),
+      [Sequelize.Op.or]: [
+        { token_expires_at: null },
+        { token_expires_at: { [Sequelize.Op.gt]: new Date() } }
+      ]
+    },
+    order: [['updated_at', 'DESC']]
+  });
+}
+
+/**
+ * Phone number in the international digits-only form WhatsApp expects
+ * Local numbers (leading 0) get WHATSAPP_DEFAULT_COUNTRY_CODE (default 234)
+ */
+function normalizeWhatsAppNumber(phone) {
+  if (!phone) return null;
+  let digits = String(phone).replace(/\D/g, '');
+  if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (digits.startsWith('0')) {
+    digits = `${process.env.WHATSAPP_DEFAULT_COUNTRY_CODE || '234'}${digits.slice(1)}`;
+  }
+  return digits.length >= 8 ? digits : null;
+}
+
+/**
+ * Plain-text reminder used for WhatsApp
+ */
+function buildReminderText({ tenant, booking, hoursBefore, links, policy }) {
+  const when = moment(booking.scheduled_at).format('ddd D MMM YYYY [at] h:mm A');
+  const lines = [
+    `Hi ${booking.customer_name || 'there'}, this is a reminder from ${tenant.name || 'MycroShop'}.`,
+    `Your ${booking.service_title || 'appointment'} is ${hoursBefore ? `in ${hoursBefore} hour${hoursBefore === 1 ? '' : 's'}` : 'coming up'}: ${when}.`
+  ];
+  if (booking.Store && booking.Store.name) {
+    lines.push(`Location: ${booking.Store.name}${booking.Store.address ? `, ${booking.Store.address}` : ''}`);
+  }
+  if (policy.can_reschedule || policy.can_cancel) {
+    lines.push(`Need to change it? ${links.manage_url}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Send a WhatsApp message through the tenant's connection
+ * Uses the approved template in WHATSAPP_BOOKING_REMINDER_TEMPLATE when set (required outside the
+ * 24-hour customer service window), otherwise a plain text message
+ */
+async function sendWhatsAppMessage(connection, to, text, templateParams) {
+  let accessToken = connection.access_token;
+  try {
+    const { decrypt } = require('../utils/encryption');
+    if (decrypt) {
+      accessToken = decrypt(accessToken);
+    }
+  } catch (e) {
+    // Token might not be encrypted
+  }
+
+  const templateName = process.env.WHATSAPP_BOOKING_REMINDER_TEMPLATE;
+  const payload = templateName
+    ? {
+      messaging_product: 'whatsapp',
+      to,
+      type: 'template',
+      template: {
+        name: templateName,
+        language: { code: process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'en' },
+        components: [{
+          type: 'body',
+          parameters: templateParams.map(value => ({ type: 'text', text: String(value) }))
+        }]
+      }
+    }
+    : {
+      messaging_product: 'whatsapp',
+      to,
+      type: 'text',
+      text: { body: text }
+    };
+
+  await axios.post(`https://graph.facebook.com/v18.0/${connection.phone_number_id}/messages`, payload, {
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
+/**
+ * Send a reminder for one booking on each enabled channel and record it in the reminder history
+ * @param {Object} models - Tenant models
+ * @param {Object} options
+ * @param {Object} options.tenant - Tenant (name/logo for branding)
+ * @param {Object} options.booking - Booking instance with Store loaded
+ * @param {Object} options.settings - Reminder settings
+ * @param {string} options.reminderType - before_start or manual
+ * @param {number} options.hoursBefore - Reminder stage (0 for manual)
+ * @param {Object} options.whatsappConnection - Active WhatsAppConnection or null
+ * @param {number} options.sentBy - User who triggered a manual reminder (optional)
+ * @returns {Promise<Array>} - Created BookingReminder rows
+ */
+async function sendBookingReminder(models, options) {
+  const { tenant, booking, settings, reminderType, hoursBefore = 0, whatsappConnection = null, sentBy = null } = options;
+
+  const links = buildBookingManageLinks(tenant.id, booking.id);
+  const policy = getSelfServicePolicy(booking, settings);
+  const attempts = [];
+
+  if (settings.send_email && booking.customer_email) {
+    const attempt = { channel: 'email', sentTo: booking.customer_email, status: 'sent', errorMessage: null };
+    try {
+      const { sendBookingReminderEmail } = require('./emailService');
+      await sendBookingReminderEmail({
+        tenant,
+        booking: booking.toJSON ? booking.toJSON() : booking,
+        customerEmail: booking.customer_email,
+        customerName: booking.customer_name || 'Customer',
+        hoursBefore,
+        manageLinks: {
+          reschedule_url: policy.can_reschedule ? links.reschedule_url : null,
+          cancel_url: policy.can_cancel ? links.cancel_url : null
+        }
+      });
+    } catch (error) {
+      attempt.status = 'failed';
+      attempt.errorMessage = error.message;
+    }
+    attempts.push(attempt);
+  }
+
+  const whatsappNumber = normalizeWhatsAppNumber(booking.customer_phone);
+  if (settings.send_whatsapp && whatsappConnection && whatsappNumber) {
+    const attempt = { channel: 'whatsapp', sentTo: whatsappNumber, status: 'sent', errorMessage: null };
+    try {
+      await sendWhatsAppMessage(
+        whatsappConnection,
+        whatsappNumber,
+        buildReminderText({ tenant, booking, hoursBefore, links, policy }),
+        [
+          booking.customer_name || 'there',
+          booking.service_title || 'appointment',
+          moment(booking.scheduled_at).format('ddd D MMM YYYY [at] h:mm A'),
+          links.manage_url
+        ]
+      );
+    } catch (error) {
+      attempt.status = 'failed';
+      attempt.errorMessage = error.response?.data?.error?.message || error.message;
+    }
+    attempts.push(attempt);
+  }
+
+  const reminders = [];
+  for (const attempt of attempts) {
+    reminders.push(await models.BookingReminder.create({
+      tenant_id: booking.tenant_id || null,
+      booking_id: booking.id,
+      reminder_type: reminderType,
+      hours_before: hoursBefore,
+      channel: attempt.channel,
+      scheduled_for: booking.scheduled_at,
+      sent_to: attempt.sentTo,
+      status: attempt.status,
+      error_message: attempt.errorMessage,
+      sent_by: sentBy,
+      sent_at: new Date()
+    }));
+  }
+
+  return reminders;
+}
+
+/**
+ * Send due reminders for one tenant
+ * @param {Object} models - Tenant models
+ * @param {Object} tenant - Tenant record
+ * @returns {Promise<Object>} - { reminders_sent, reminders_failed }
+ */
+async function processTenantBookingReminders(models, tenant) {
+  const tenantId = tenant.subscription_plan === 'free' ? tenant.id : null;
+  const settings = await getBookingReminderSettings(models, tenantId);
+  const summary = { reminders_sent: 0, reminders_failed: 0 };
+
+  if (!settings.is_enabled || settings.hours_before.length === 0) {
+    return summary;
+  }
+
+  const now = moment();
+  const bookings = await models.Booking.findAll({
+    where: {
+      ...(tenantId ? { tenant_id: tenantId } : {}),
+      status: { [Sequelize.Op.in]: UPCOMING_STATUSES },
+      // Bookings still waiting for their deposit are not secured yet
+      payment_status: { [Sequelize.Op.ne]: 'awaiting_payment' },
+      scheduled_at: {
+        [Sequelize.Op.gt]: now.toDate(),
+        [Sequelize.Op.lte]: now.clone().add(Math.max(...settings.hours_before), 'hours').toDate()
+      }
+    },
+    include: [
+      {
+        model: models.Store,
+        required: false,
+        attributes: ['id', 'name', 'address', 'city', 'state', 'phone']
+      },
+      {
+        model: models.BookingReminder,
+        required: false
+      }
+    ]
+  });
+
+  if (bookings.length === 0) {
+    return summary;
+  }
+
+  const whatsappConnection = settings.send_whatsapp
+    ? await getActiveWhatsAppConnection(models, tenantId)
+    : null;
+
+  for (const booking of bookings) {
+    // No way to reach the customer - don't fill the history with failures
+    if (!booking.customer_email && !(whatsappConnection && booking.customer_phone)) continue;
+
+    const stage = getDueReminderStage(booking, settings, booking.BookingReminders || [], now);
+    if (!stage) continue;
+
+    try {
+      const reminders = await sendBookingReminder(models, {
+        tenant,
+        booking,
+        settings,
+        reminderType: 'before_start',
+        hoursBefore: stage.hoursBefore,
+        whatsappConnection
+      });
+
+      for (const reminder of reminders) {
+        if (reminder.status === 'sent') {
+          summary.reminders_sent++;
+        } else {
+          summary.reminders_failed++;
+        }
+      }
+    } catch (error) {
+      summary.reminders_failed++;
+      console.error(`Error sending reminder for booking ${booking.id}:`, error);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Scan every active tenant database for bookings due a reminder
+ */
+async function runBookingReminderJob() {
+  const tenants = await Tenant.findAll({ where: { status: 'active' } });
+
+  for (const tenant of tenants) {
+    try {
+      const sequelize = await getTenantConnection(tenant.id, tenant.subscription_plan || 'enterprise');
+      const models = initModels(sequelize);
+      const summary = await processTenantBookingReminders(models, tenant);
+
+      if (summary.reminders_sent || summary.reminders_failed) {
+        console.log(`[Booking Reminders] Tenant ${tenant.id}:`, summary);
+      }
+    } catch (error) {
+      // One tenant's DB being unavailable must not stop the rest
+      console.error(`[Booking Reminders] Failed for tenant ${tenant.id}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Start the booking reminder scheduler
+ * Runs every BOOKING_REMINDER_INTERVAL_MINUTES (default 5).
+ * Set BOOKING_REMINDERS_ENABLED=false to disable (e.g. on secondary app instances).
+ */
+function startBookingReminderScheduler() {
+  if (schedulerTimer || process.env.BOOKING_REMINDERS_ENABLED === 'false') {
+    return;
+  }
+
+  const tick = async () => {
+    if (isRunning) {
+      return;
+    }
+
+    isRunning = true;
+    try {
+      await runBookingReminderJob();
+    } catch (error) {
+      console.error('[Booking Reminders] Job failed:', error);
+    } finally {
+      isRunning = false;
+    }
+  };
+
+  schedulerTimer = setInterval(tick, CHECK_INTERVAL_MS);
+  // Don't keep the process alive just for the scheduler
+  schedulerTimer.unref();
+  console.log(`Booking reminder scheduler started (every ${CHECK_INTERVAL_MS / 60000} minutes)`);
+}
+
+module.exports = {
+  DEFAULT_BOOKING_REMINDER_SETTINGS,
+  getBookingReminderSettings,
+  getDueReminderStage,
+  getActiveWhatsAppConnection,
+  sendBookingReminder,
+  processTenantBookingReminders,
+  runBookingReminderJob,
+  startBookingReminderScheduler
+};
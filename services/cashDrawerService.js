@@ -0,0 +1,179 @@
+/**
+ * Cash Drawer Service
+ * Till sessions for POS: finds the cashier's open session, totals sales, refunds, layaway payments and
+ * cash movements by payment method, and works out expected vs counted amounts (over / short) at close
+ */
+
+const { Sequelize } = require('sequelize');
+const { getSaleTenders } = require('./tenderService');
+const { round2 } = require('./numberService');
+
+const PAYMENT_METHODS = ['cash', 'card', 'transfer', 'mobile_money', 'loyalty_points', 'other'];
+
+/**
+ * Open till session for a cashier in a store
+ * @param {Object} models - Tenant models
+ * @param {Object} options
+ * @param {number} options.storeId - Store ID
+ * @param {number|null} options.staffId - Staff ID (NULL for the business owner)
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object|null>} - CashDrawerSession
+ */
+function findOpenSession(models, { storeId, staffId }, transaction = null) {
+  return models.CashDrawerSession.findOne({
+    where: {
+      store_id: storeId,
+      staff_id: staffId || null,
+      status: 'open'
+    },
+    transaction
+  });
+}
+
+/**
+ * Open till session for the signed-in cashier: their own staff session, or the owner's session
+ * (staff_id NULL) for tenant admins. Users without a staff record never fall into the owner's till.
+ * @param {Object} models - Tenant models
+ * @param {Object} user - req.user (staffId resolved by requirePermission / attachStaff)
+ * @param {number} storeId - Store ID
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object|null>} - CashDrawerSession
+ */
+async function findCashierSession(models, user, storeId, transaction = null) {
+  if (!user.staffId && user.role !== 'admin') {
+    return null;
+  }
+
+  return findOpenSession(models, { storeId, staffId: user.staffId || null }, transaction);
+}
+
+/**
+ * Totals for a session: sales and refunds per payment method, cash movements and expected amounts
+ * @param {Object} models - Tenant models
+ * @param {Object} session - CashDrawerSession
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object>}
+ */
+async function summarizeSession(models, session, transaction = null) {
+  const [sales, movements, layawayPayments] = await Promise.all([
+    models.POSTransaction.findAll({
+      where: {
+        cash_drawer_session_id: session.id,
+        status: { [Sequelize.Op.in]: ['completed', 'refunded'] }
+      },
+      include: [{ model: models.POSTransactionTender }],
+      transaction
+    }),
+    models.CashDrawerMovement.findAll({
+      where: { session_id: session.id },
+      transaction
+    }),
+    models.LayawayPayment.findAll({
+      where: { cash_drawer_session_id: session.id },
+      transaction
+    })
+  ]);
+
+  const byMethod = {};
+  PAYMENT_METHODS.forEach(method => {
+    byMethod[method] = { sales: 0, refunds: 0, layaway: 0, net: 0 };
+  });
+  const ensureMethod = method => {
+    if (!byMethod[method]) byMethod[method] = { sales: 0, refunds: 0, layaway: 0, net: 0 };
+    return byMethod[method];
+  };
+
+  let totalSales = 0;
+  sales.forEach(sale => {
+    const tenders = getSaleTenders(sale);
+    Object.keys(tenders).forEach(method => {
+      ensureMethod(method).sales += tenders[method];
+    });
+    totalSales += parseFloat(sale.total || 0);
+  });
+
+  let cashIn = 0;
+  let cashOut = 0;
+  let totalRefunds = 0;
+  movements.forEach(movement => {
+    const amount = parseFloat(movement.amount || 0);
+    if (movement.movement_type === 'cash_in') {
+      cashIn += amount;
+    } else if (movement.movement_type === 'cash_out') {
+      cashOut += amount;
+    } else {
+      ensureMethod(movement.payment_method || 'cash').refunds += amount;
+      totalRefunds += amount;
+    }
+  });
+
+  // Layaway deposits and instalments taken (and cancellation refunds paid) at this till
+  let layawayTotal = 0;
+  layawayPayments.forEach(payment => {
+    const amount = parseFloat(payment.amount || 0) * (payment.payment_type === 'refund' ? -1 : 1);
+    ensureMethod(payment.tender_type).layaway += amount;
+    layawayTotal += amount;
+  });
+
+  const expectedByMethod = {};
+  Object.keys(byMethod).forEach(method => {
+    const totals = byMethod[method];
+    totals.sales = round2(totals.sales);
+    totals.refunds = round2(totals.refunds);
+    totals.layaway = round2(totals.layaway);
+    totals.net = round2(totals.sales - totals.refunds + totals.layaway);
+    expectedByMethod[method] = totals.net;
+  });
+
+  const openingFloat = parseFloat(session.opening_float || 0);
+  expectedByMethod.cash = round2(openingFloat + byMethod.cash.net + cashIn - cashOut);
+
+  return {
+    transaction_count: sales.length,
+    total_sales: round2(totalSales),
+    total_refunds: round2(totalRefunds),
+    layaway_payments: round2(layawayTotal),
+    opening_float: round2(openingFloat),
+    cash_in: round2(cashIn),
+    cash_out: round2(cashOut),
+    by_method: byMethod,
+    expected_cash: expectedByMethod.cash,
+    expected_by_method: expectedByMethod
+  };
+}
+
+/**
+ * Over / short per payment method (counted minus expected)
+ * Methods that were not counted are taken as matching the expected amount
+ * @param {Object} expectedByMethod - { method: amount }
+ * @param {Object} countedByMethod - { method: amount }
+ * @returns {Object} - { counted_by_method, variance_by_method, total_variance }
+ */
+function calculateVariance(expectedByMethod, countedByMethod = {}) {
+  const counted = {};
+  const variance = {};
+  let totalVariance = 0;
+
+  Object.keys(expectedByMethod).forEach(method => {
+    const countedAmount = countedByMethod[method] !== undefined && countedByMethod[method] !== null
+      ? round2(countedByMethod[method])
+      : expectedByMethod[method];
+    counted[method] = countedAmount;
+    variance[method] = round2(countedAmount - expectedByMethod[method]);
+    totalVariance += variance[method];
+  });
+
+  return {
+    counted_by_method: counted,
+    variance_by_method: variance,
+    total_variance: round2(totalVariance)
+  };
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  findOpenSession,
+  findCashierSession,
+  summarizeSession,
+  calculateVariance
+};
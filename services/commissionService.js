@@ -0,0 +1,475 @@
+/**
+ * Commission Service
+ * Resolves the commission plan for a staff member (staff over role over default), works out line rates
+ * (product override, category override, month-to-date tier or flat rate), accrues commission on completed
+ * POS sales and bookings, reverses it on refunds and item returns, and builds per-period commission statements
+ */
+
+const { Sequelize } = require('sequelize');
+const moment = require('moment');
+const { round2 } = require('./numberService');
+
+/**
+ * Validate a tiers array: [{ min_sales, rate }]
+ * @param {Array} tiers
+ * @returns {Object} - { valid, message, tiers } (tiers sorted by min_sales)
+ */
+function normalizeTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    return { valid: false, message: 'tiers must be a non-empty array of { min_sales, rate }' };
+  }
+
+  const normalized = [];
+  for (const tier of tiers) {
+    const minSales = parseFloat(tier.min_sales);
+    const rate = parseFloat(tier.rate);
+    if (isNaN(minSales) || minSales < 0 || isNaN(rate) || rate < 0 || rate > 100) {
+      return { valid: false, message: 'Each tier needs min_sales >= 0 and rate between 0 and 100' };
+    }
+    normalized.push({ min_sales: minSales, rate });
+  }
+
+  normalized.sort((a, b) => a.min_sales - b.min_sales);
+  return { valid: true, tiers: normalized };
+}
+
+/**
+ * Rate of the highest tier reached by the given sales total
+ * @param {Array} tiers - [{ min_sales, rate }]
+ * @param {number} salesTotal
+ * @returns {number}
+ */
+function getTierRate(tiers, salesTotal) {
+  let rate = 0;
+  (tiers || [])
+    .slice()
+    .sort((a, b) => parseFloat(a.min_sales) - parseFloat(b.min_sales))
+    .forEach(tier => {
+      if (salesTotal >= parseFloat(tier.min_sales)) {
+        rate = parseFloat(tier.rate);
+      }
+    });
+  return rate;
+}
+
+/**
+ * Commission plan that applies to a staff member on a date in a store
+ * A staff plan wins over a role plan, which wins over the default plan; store-specific plans
+ * win over all-store plans at the same level
+ * @param {Object} models - Tenant models
+ * @param {Object} staff - Staff record (id, role_id)
+ * @param {Object} options
+ * @param {Date} options.date - Sale date
+ * @param {number} options.storeId - Store of the sale
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object|null>} - CommissionPlan with CommissionPlanOverrides
+ */
+async function resolveCommissionPlan(models, staff, { date = new Date(), storeId = null } = {}, transaction = null) {
+  const day = moment(date).format('YYYY-MM-DD');
+  const plans = await models.CommissionPlan.findAll({
+    where: {
+      is_active: true,
+      effective_from: { [Sequelize.Op.lte]: day },
+      [Sequelize.Op.and]: [
+        { [Sequelize.Op.or]: [{ effective_to: null }, { effective_to: { [Sequelize.Op.gte]: day } }] },
+        { [Sequelize.Op.or]: [{ store_id: null }, ...(storeId ? [{ store_id: storeId }] : [])] }
+      ]
+    },
+    include: [{ model: models.CommissionPlanOverride }],
+    transaction
+  });
+
+  const rank = plan => {
+    const level = plan.staff_id ? 0 : plan.role_id ? 1 : 2;
+    return level * 2 + (plan.store_id ? 0 : 1);
+  };
+
+  const candidates = plans.filter(plan => {
+    if (plan.staff_id) return plan.staff_id === staff.id;
+    if (plan.role_id) return staff.role_id && plan.role_id === staff.role_id;
+    return true;
+  });
+
+  candidates.sort((a, b) => rank(a) - rank(b) || moment(b.effective_from).diff(moment(a.effective_from)));
+  return candidates[0] || null;
+}
+
+/**
+ * Rate for one product line
+ * @param {Object} plan - CommissionPlan with CommissionPlanOverrides
+ * @param {Object} product - Product (id, category)
+ * @param {number} tierRate - Rate from the month-to-date tier (tiered plans)
+ * @returns {Object} - { rate, rate_source }
+ */
+function getLineRate(plan, product, tierRate = 0) {
+  const overrides = plan.CommissionPlanOverrides || [];
+
+  const productOverride = product
+    ? overrides.find(override => override.override_type === 'product' && override.product_id === product.id)
+    : null;
+  if (productOverride) {
+    return { rate: parseFloat(productOverride.rate), rate_source: 'product' };
+  }
+
+  const category = product && product.category ? product.category.toLowerCase() : null;
+  const categoryOverride = category
+    ? overrides.find(override => override.override_type === 'category' && override.category && override.category.toLowerCase() === category)
+    : null;
+  if (categoryOverride) {
+    return { rate: parseFloat(categoryOverride.rate), rate_source: 'category' };
+  }
+
+  if (plan.plan_type === 'tiered') {
+    return { rate: tierRate, rate_source: 'tier' };
+  }
+
+  return { rate: parseFloat(plan.rate || 0), rate_source: 'plan' };
+}
+
+/**
+ * Net commissionable product sales for a staff member in the month of a date (accruals less reversals)
+ */
+async function getMonthToDateSales(models, staffId, date, transaction = null) {
+  const total = await models.CommissionEntry.sum('sale_amount', {
+    where: {
+      staff_id: staffId,
+      source_type: 'pos_transaction',
+      earned_at: {
+        [Sequelize.Op.between]: [moment(date).startOf('month').toDate(), moment(date).endOf('month').toDate()]
+      }
+    },
+    transaction
+  });
+  return parseFloat(total || 0);
+}
+
+/**
+ * Accrue commission for a completed POS sale
+ * Transaction-level discounts (manual and promo) are spread over the lines pro rata; tax is excluded
+ * @param {Object} models - Tenant models
+ * @param {Object} posTransaction - POSTransaction (staff_id, store_id, subtotal, discount_amount)
+ * @param {Array} items - Created POSTransactionItem records
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Array>} - Created CommissionEntry records
+ */
+async function accrueSaleCommission(models, posTransaction, items, transaction = null) {
+  if (!posTransaction.staff_id || !items || items.length === 0) {
+    return [];
+  }
+
+  const staff = await models.Staff.findByPk(posTransaction.staff_id, { transaction });
+  if (!staff) return [];
+
+  const earnedAt = posTransaction.created_at || new Date();
+  const plan = await resolveCommissionPlan(models, staff, { date: earnedAt, storeId: posTransaction.store_id }, transaction);
+  if (!plan) return [];
+
+  const subtotal = parseFloat(posTransaction.subtotal || 0);
+  const discount = parseFloat(posTransaction.discount_amount || 0);
+  const netFactor = subtotal > 0 ? Math.max(subtotal - discount, 0) / subtotal : 0;
+
+  const lines = [];
+  for (const item of items) {
+    const product = await models.Product.findByPk(item.product_id, {
+      attributes: ['id', 'name', 'category'],
+      transaction
+    });
+    lines.push({ item, product, saleAmount: round2(parseFloat(item.total || 0) * netFactor) });
+  }
+
+  // Tiered plans pay the rate reached by month-to-date sales including this sale
+  let tierRate = 0;
+  if (plan.plan_type === 'tiered') {
+    const saleTotal = lines.reduce((sum, line) => sum + line.saleAmount, 0);
+    const monthToDate = await getMonthToDateSales(models, staff.id, earnedAt, transaction);
+    tierRate = getTierRate(plan.tiers, monthToDate + saleTotal);
+  }
+
+  const entries = [];
+  for (const { item, product, saleAmount } of lines) {
+    const { rate, rate_source } = getLineRate(plan, product, tierRate);
+    entries.push(await models.CommissionEntry.create({
+      staff_id: staff.id,
+      commission_plan_id: plan.id,
+      store_id: posTransaction.store_id,
+      entry_type: 'accrual',
+      source_type: 'pos_transaction',
+      source_id: posTransaction.id,
+      source_item_id: item.id || null,
+      product_id: item.product_id,
+      description: `${posTransaction.transaction_number} - ${item.product_name || (product ? product.name : 'Item')}`,
+      sale_amount: saleAmount,
+      rate,
+      rate_source,
+      commission_amount: round2(saleAmount * rate / 100),
+      earned_at: earnedAt
+    }, { transaction }));
+  }
+
+  return entries;
+}
+
+/**
+ * Staff member on a booking: the assigned staff_id, otherwise the one named in Booking.staff_name,
+ * preferring staff of the booking's store
+ * @param {Object} models - Tenant models
+ * @param {Object} booking - Booking
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object|null>} - Staff
+ */
+async function findBookingStaff(models, booking, transaction = null) {
+  if (booking.staff_id) {
+    const assigned = await models.Staff.findByPk(booking.staff_id, { transaction });
+    if (assigned) return assigned;
+  }
+
+  if (!booking.staff_name || !booking.staff_name.trim()) return null;
+
+  const matches = await models.Staff.findAll({
+    where: Sequelize.where(
+      Sequelize.fn('LOWER', Sequelize.col('name')),
+      booking.staff_name.trim().toLowerCase()
+    ),
+    transaction
+  });
+
+  return matches.find(staff => booking.store_id && staff.store_id === booking.store_id) || matches[0] || null;
+}
+
+/**
+ * Accrue service commission for a completed booking (once per booking)
+ * The commissionable amount is the booked service's price
+ * @param {Object} models - Tenant models
+ * @param {Object} booking - Booking
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object|null>} - Created CommissionEntry
+ */
+async function accrueBookingCommission(models, booking, transaction = null) {
+  const alreadyAccrued = await getOpenAccruals(models, 'booking', booking.id, transaction);
+  if (alreadyAccrued.length > 0) return null;
+
+  const staff = await findBookingStaff(models, booking, transaction);
+  if (!staff) return null;
+
+  const plan = await resolveCommissionPlan(models, staff, { date: booking.scheduled_at, storeId: booking.store_id }, transaction);
+  if (!plan || parseFloat(plan.service_rate || 0) <= 0) return null;
+
+  const service = booking.service_id
+    ? await models.StoreService.findByPk(booking.service_id, { transaction })
+    : null;
+  const saleAmount = round2(service ? service.price : 0);
+  if (saleAmount <= 0) return null;
+
+  const rate = parseFloat(plan.service_rate);
+  return models.CommissionEntry.create({
+    staff_id: staff.id,
+    commission_plan_id: plan.id,
+    store_id: booking.store_id,
+    entry_type: 'accrual',
+    source_type: 'booking',
+    source_id: booking.id,
+    description: `Booking #${booking.id} - ${booking.service_title}`,
+    sale_amount: saleAmount,
+    rate,
+    rate_source: 'service',
+    commission_amount: round2(saleAmount * rate / 100),
+    earned_at: booking.scheduled_at || new Date()
+  }, { transaction });
+}
+
+/**
+ * Accrual entries for a source that have not been reversed yet
+ */
+async function getOpenAccruals(models, sourceType, sourceId, transaction = null) {
+  const entries = await models.CommissionEntry.findAll({
+    where: { source_type: sourceType, source_id: sourceId },
+    transaction
+  });
+  const reversedIds = new Set(entries.filter(entry => entry.reversed_entry_id).map(entry => entry.reversed_entry_id));
+  return entries.filter(entry => entry.entry_type === 'accrual' && !reversedIds.has(entry.id));
+}
+
+/**
+ * Reverse all open commission accruals for a refunded sale or un-completed booking
+ * @param {Object} models - Tenant models
+ * @param {string} sourceType - pos_transaction | booking
+ * @param {number} sourceId - POSTransaction or Booking ID
+ * @param {Object} options
+ * @param {string} options.reason - Reason recorded on the reversal
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Array>} - Created reversal entries
+ */
+async function reverseCommission(models, sourceType, sourceId, { reason = null } = {}, transaction = null) {
+  const accruals = await getOpenAccruals(models, sourceType, sourceId, transaction);
+  const reversals = [];
+
+  for (const accrual of accruals) {
+    reversals.push(await models.CommissionEntry.create({
+      staff_id: accrual.staff_id,
+      commission_plan_id: accrual.commission_plan_id,
+      store_id: accrual.store_id,
+      entry_type: 'reversal',
+      source_type: accrual.source_type,
+      source_id: accrual.source_id,
+      source_item_id: accrual.source_item_id,
+      product_id: accrual.product_id,
+      description: accrual.description,
+      sale_amount: -parseFloat(accrual.sale_amount),
+      rate: accrual.rate,
+      rate_source: accrual.rate_source,
+      commission_amount: -parseFloat(accrual.commission_amount),
+      reversed_entry_id: accrual.id,
+      earned_at: new Date(),
+      notes: reason
+    }, { transaction }));
+  }
+
+  return reversals;
+}
+
+/**
+ * Reverse part of the commission accrued on one sale line (item-level POS return)
+ * Several partial reversals may point at the same accrual; together they never exceed it
+ * @param {Object} models - Tenant models
+ * @param {Object} options
+ * @param {number} options.transactionId - POSTransaction ID
+ * @param {number} options.itemId - POSTransactionItem ID
+ * @param {number} options.ratio - Share of the line returned (returned quantity / sold quantity)
+ * @param {string} options.reason - Reason recorded on the reversal
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Array>} - Created reversal entries
+ */
+async function reverseItemCommission(models, { transactionId, itemId, ratio, reason = null }, transaction = null) {
+  const entries = await models.CommissionEntry.findAll({
+    where: { source_type: 'pos_transaction', source_id: transactionId, source_item_id: itemId },
+    transaction
+  });
+  const reversals = [];
+
+  for (const accrual of entries.filter(entry => entry.entry_type === 'accrual')) {
+    const alreadyReversed = entries
+      .filter(entry => entry.reversed_entry_id === accrual.id)
+      .reduce((sum, entry) => sum - parseFloat(entry.commission_amount), 0);
+    const remaining = round2(parseFloat(accrual.commission_amount) - alreadyReversed);
+    const commissionAmount = Math.min(round2(parseFloat(accrual.commission_amount) * ratio), remaining);
+    if (commissionAmount <= 0) continue;
+
+    reversals.push(await models.CommissionEntry.create({
+      staff_id: accrual.staff_id,
+      commission_plan_id: accrual.commission_plan_id,
+      store_id: accrual.store_id,
+      entry_type: 'reversal',
+      source_type: accrual.source_type,
+      source_id: accrual.source_id,
+      source_item_id: accrual.source_item_id,
+      product_id: accrual.product_id,
+      description: accrual.description,
+      sale_amount: -round2(parseFloat(accrual.sale_amount) * ratio),
+      rate: accrual.rate,
+      rate_source: accrual.rate_source,
+      commission_amount: -commissionAmount,
+      reversed_entry_id: accrual.id,
+      earned_at: new Date(),
+      notes: reason
+    }, { transaction }));
+  }
+
+  return reversals;
+}
+
+/**
+ * Commission statement for a staff member over a period
+ * @param {Object} models - Tenant models
+ * @param {Object} options
+ * @param {number} options.staffId - Staff ID
+ * @param {string} options.startDate - YYYY-MM-DD
+ * @param {string} options.endDate - YYYY-MM-DD
+ * @returns {Promise<Object>} - { summary, by_source, by_rate_source, entries }
+ */
+async function buildCommissionStatement(models, { staffId, startDate, endDate }) {
+  const entries = await models.CommissionEntry.findAll({
+    where: {
+      staff_id: staffId,
+      earned_at: {
+        [Sequelize.Op.between]: [moment(startDate).startOf('day').toDate(), moment(endDate).endOf('day').toDate()]
+      }
+    },
+    order: [['earned_at', 'ASC'], ['id', 'ASC']]
+  });
+
+  const summary = {
+    commissionable_sales: 0,
+    accrued: 0,
+    reversed: 0,
+    net_commission: 0,
+    sales_count: 0,
+    bookings_count: 0,
+    reversals_count: 0
+  };
+  const bySource = {
+    pos_transaction: { sales: 0, commission: 0 },
+    booking: { sales: 0, commission: 0 }
+  };
+  const byRateSource = {};
+  const salesCounted = new Set();
+
+  entries.forEach(entry => {
+    const sale = parseFloat(entry.sale_amount || 0);
+    const commission = parseFloat(entry.commission_amount || 0);
+
+    summary.commissionable_sales += sale;
+    summary.net_commission += commission;
+    if (entry.entry_type === 'accrual') {
+      summary.accrued += commission;
+      const key = `${entry.source_type}:${entry.source_id}`;
+      if (!salesCounted.has(key)) {
+        salesCounted.add(key);
+        if (entry.source_type === 'booking') summary.bookings_count++;
+        else summary.sales_count++;
+      }
+    } else {
+      summary.reversed += commission;
+      summary.reversals_count++;
+    }
+
+    bySource[entry.source_type].sales += sale;
+    bySource[entry.source_type].commission += commission;
+
+    if (!byRateSource[entry.rate_source]) {
+      byRateSource[entry.rate_source] = { sales: 0, commission: 0 };
+    }
+    byRateSource[entry.rate_source].sales += sale;
+    byRateSource[entry.rate_source].commission += commission;
+  });
+
+  const roundTotals = totals => Object.keys(totals).reduce((rounded, key) => {
+    rounded[key] = { sales: round2(totals[key].sales), commission: round2(totals[key].commission) };
+    return rounded;
+  }, {});
+
+  return {
+    summary: {
+      ...summary,
+      commissionable_sales: round2(summary.commissionable_sales),
+      accrued: round2(summary.accrued),
+      reversed: round2(summary.reversed),
+      net_commission: round2(summary.net_commission)
+    },
+    by_source: roundTotals(bySource),
+    by_rate_source: roundTotals(byRateSource),
+    entries
+  };
+}
+
+module.exports = {
+  normalizeTiers,
+  getTierRate,
+  resolveCommissionPlan,
+  getLineRate,
+  accrueSaleCommission,
+  findBookingStaff,
+  accrueBookingCommission,
+  reverseCommission,
+  reverseItemCommission,
+  buildCommissionStatement
+};
@@ -5,6 +5,8 @@
 
 const nodemailer = require('nodemailer');
 const path = require('path');
+const { buildBookingManageLinks } = require('./bookingLinkService');
+const { buildBookingIcs } = require('./bookingCalendarService');
 
 // Create reusable transporter
 let transporter = null;
@@ -211,7 +213,8 @@ function generateBookingConfirmationEmail(data) {
     booking,
     customerName,
     customerEmail,
-    logoUrl
+    logoUrl,
+    manageLinks = {}
   } = data;
 
   const logoHtml = logoUrl 
@@ -256,7 +259,7 @@ function generateBookingConfirmationEmail(data) {
                 
                 <div style="margin-bottom: 15px;">
                   <p style="margin: 0 0 5px 0; color: #6B7280; font-size: 14px; font-weight: 600;">Date & Time</p>
-                  <p style="margin: 0; color: #111827; font-size: 16px; font-weight: 600;">${formatDateTime(booking.scheduled_at)}</p>
+                  <p style="margin: 0; color: #111827; font-size: 16px; font-weight: 600;">${formatDateTime(booking.scheduled_at)}${booking.timezone ? ` <span style="color: #6B7280; font-weight: 400;">(${escapeHtml(booking.timezone)})</span>` : ''}</p>
                 </div>
 
                 <div style="margin-bottom: 15px;">
@@ -279,6 +282,14 @@ function generateBookingConfirmationEmail(data) {
                 </div>
                 ` : ''}
 
+                ${parseFloat(booking.amount_paid || 0) > 0 ? `
+                <div style="margin-bottom: 15px;">
+                  <p style="margin: 0 0 5px 0; color: #6B7280; font-size: 14px; font-weight: 600;">Paid Online</p>
+                  <p style="margin: 0; color: #111827; font-size: 16px; font-weight: 600;">${formatCurrency(booking.amount_paid)}</p>
+                  ${booking.StoreService && parseFloat(booking.StoreService.price || 0) > parseFloat(booking.amount_paid) ? `<p style="margin: 5px 0 0; color: #6B7280; font-size: 14px;">Balance of ${formatCurrency(parseFloat(booking.StoreService.price) - parseFloat(booking.amount_paid))} due at your appointment</p>` : ''}
+                </div>
+                ` : ''}
+
                 <div style="margin-top: 15px; padding-top: 15px; border-top: 1px solid #E5E7EB;">
                   <p style="margin: 0; color: #374151;">Status: <span style="color: #059669; font-weight: 600;">${escapeHtml(booking.status || 'Confirmed')}</span></p>
                 </div>
@@ -290,8 +301,10 @@ function generateBookingConfirmationEmail(data) {
               </div>
               ` : ''}
 
+              ${generateBookingManageButtons(manageLinks)}
+
               <p style="color: #6B7280; margin: 0; font-size: 14px; line-height: 1.6;">
-                We look forward to serving you! If you need to reschedule or cancel, please contact us as soon as possible.
+                We look forward to serving you! ${manageLinks.reschedule_url || manageLinks.cancel_url ? 'Plans changed? Use the links above to reschedule or cancel.' : 'If you need to reschedule or cancel, please contact us as soon as possible.'}
               </p>
             </td>
           </tr>
@@ -312,6 +325,321 @@ function generateBookingConfirmationEmail(data) {
   `;
 }
 
+/**
+ * Reschedule / cancel buttons for booking emails (omitted when neither link is given)
+ */
+function generateBookingManageButtons(manageLinks = {}) {
+  const buttons = [];
+  if (manageLinks.reschedule_url) {
+    buttons.push(`<a href="${escapeHtml(manageLinks.reschedule_url)}" style="display: inline-block; margin: 0 6px 10px; padding: 12px 28px; background-color: #2563EB; color: #FFFFFF; text-decoration: none; border-radius: 6px; font-weight: 600;">Reschedule</a>`);
+  }
+  if (manageLinks.cancel_url) {
+    buttons.push(`<a href="${escapeHtml(manageLinks.cancel_url)}" style="display: inline-block; margin: 0 6px 10px; padding: 12px 28px; background-color: #FFFFFF; color: #DC2626; text-decoration: none; border: 1px solid #DC2626; border-radius: 6px; font-weight: 600;">Cancel Booking</a>`);
+  }
+  if (buttons.length === 0) return '';
+
+  return `
+              <div style="text-align: center; margin-bottom: 30px;">
+                ${buttons.join('\n                ')}
+              </div>`;
+}
+
+/**
+ * Generate booking reminder email HTML
+ */
+function generateBookingReminderEmail(data) {
+  const {
+    tenant,
+    booking,
+    customerName,
+    hoursBefore,
+    manageLinks = {},
+    logoUrl
+  } = data;
+
+  const logoHtml = logoUrl 
+    ? `<img src="${logoUrl}" alt="${tenant.name}" style="max-width: 150px; height: auto; margin-bottom: 20px;" />`
+    : `<h1 style="color: #2563EB; margin: 0 0 20px 0;">${tenant.name || 'MycroShop'}</h1>`;
+
+  const serviceTitle = booking.service_title || booking.StoreService?.service_title || 'appointment';
+  const message = hoursBefore
+    ? `your ${escapeHtml(serviceTitle)} is in ${hoursBefore} hour${hoursBefore === 1 ? '' : 's'}.`
+    : `this is a reminder about your upcoming ${escapeHtml(serviceTitle)}.`;
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Booking Reminder</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #F9FAFB;">
+  <table role="presentation" style="width: 100%; border-collapse: collapse; background-color: #F9FAFB;">
+    <tr>
+      <td style="padding: 40px 20px;">
+        <table role="presentation" style="max-width: 600px; margin: 0 auto; background-color: #FFFFFF; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+          <!-- Header -->
+          <tr>
+            <td style="padding: 40px 40px 20px; text-align: center; background: linear-gradient(135deg, #667EEA 0%, #764BA2 100%); border-radius: 8px 8px 0 0;">
+              ${logoHtml}
+            </td>
+          </tr>
+          
+          <!-- Content -->
+          <tr>
+            <td style="padding: 40px;">
+              <h2 style="color: #111827; margin: 0 0 10px 0; font-size: 24px; font-weight: 600;">Appointment Reminder</h2>
+              <p style="color: #6B7280; margin: 0 0 30px 0; font-size: 16px;">Hi ${escapeHtml(customerName)}, ${message}</p>
+              
+              <!-- Booking Details -->
+              <div style="background-color: #F9FAFB; padding: 20px; border-radius: 6px; margin-bottom: 30px;">
+                <div style="margin-bottom: 15px;">
+                  <p style="margin: 0 0 5px 0; color: #6B7280; font-size: 14px; font-weight: 600;">Date & Time</p>
+                  <p style="margin: 0; color: #111827; font-size: 16px; font-weight: 600;">${formatDateTime(booking.scheduled_at)}${booking.timezone ? ` <span style="color: #6B7280; font-weight: 400;">(${escapeHtml(booking.timezone)})</span>` : ''}</p>
+                </div>
+
+                <div style="margin-bottom: 15px;">
+                  <p style="margin: 0 0 5px 0; color: #6B7280; font-size: 14px; font-weight: 600;">Duration</p>
+                  <p style="margin: 0; color: #111827; font-size: 16px;">${booking.duration_minutes || 60} minutes</p>
+                </div>
+
+                ${booking.staff_name ? `
+                <div style="margin-bottom: 15px;">
+                  <p style="margin: 0 0 5px 0; color: #6B7280; font-size: 14px; font-weight: 600;">With</p>
+                  <p style="margin: 0; color: #111827; font-size: 16px;">${escapeHtml(booking.staff_name)}</p>
+                </div>
+                ` : ''}
+
+                ${booking.Store ? `
+                <div>
+                  <p style="margin: 0 0 5px 0; color: #6B7280; font-size: 14px; font-weight: 600;">Location</p>
+                  <p style="margin: 0; color: #111827; font-size: 16px; font-weight: 600;">${escapeHtml(booking.Store.name || '')}</p>
+                  ${booking.Store.address ? `<p style="margin: 10px 0 0; color: #6B7280;">${escapeHtml(booking.Store.address)}${booking.Store.city ? ', ' + escapeHtml(booking.Store.city) : ''}</p>` : ''}
+                </div>
+                ` : ''}
+              </div>
+              ${generateBookingManageButtons(manageLinks)}
+
+              <p style="color: #6B7280; margin: 0; font-size: 14px; line-height: 1.6;">
+                ${manageLinks.reschedule_url || manageLinks.cancel_url ? 'Can\'t make it? Please reschedule or cancel using the links above so someone else can take the slot.' : 'Can\'t make it? Please contact us as soon as possible.'}
+              </p>
+            </td>
+          </tr>
+          
+          <!-- Footer -->
+          <tr>
+            <td style="padding: 30px 40px; background-color: #F9FAFB; border-radius: 0 0 8px 8px; text-align: center;">
+              <p style="margin: 0 0 10px 0; color: #6B7280; font-size: 14px;">See you soon!</p>
+              <p style="margin: 0; color: #9CA3AF; font-size: 12px;">© ${new Date().getFullYear()} ${escapeHtml(tenant.name || 'MycroShop')}. All rights reserved.</p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `;
+}
+
+/**
+ * Generate invoice payment reminder email HTML
+ */
+function generateInvoiceReminderEmail(data) {
+  const {
+    tenant,
+    invoice,
+    customerName,
+    reminderType,
+    daysOffset = 0,
+    paymentLink,
+    logoUrl
+  } = data;
+
+  const logoHtml = logoUrl 
+    ? `<img src="${logoUrl}" alt="${tenant.name}" style="max-width: 150px; height: auto; margin-bottom: 20px;" />`
+    : `<h1 style="color: #2563EB; margin: 0 0 20px 0;">${tenant.name || 'MycroShop'}</h1>`;
+
+  const currencySymbol = invoice.currency_symbol || '₦';
+  const balanceDue = Number(invoice.balance_due !== undefined && invoice.balance_due !== null ? invoice.balance_due : invoice.total || 0);
+  const amountPaid = Number(invoice.amount_paid || 0);
+
+  let headline = 'Payment Reminder';
+  let message = `This is a friendly reminder that invoice ${escapeHtml(invoice.invoice_number)} has an outstanding balance.`;
+  if (reminderType === 'before_due') {
+    message = `Invoice ${escapeHtml(invoice.invoice_number)} is due in ${daysOffset} day${daysOffset === 1 ? '' : 's'}.`;
+  } else if (reminderType === 'on_due') {
+    headline = 'Invoice Due Today';
+    message = `Invoice ${escapeHtml(invoice.invoice_number)} is due today.`;
+  } else if (reminderType === 'after_due') {
+    headline = 'Invoice Overdue';
+    message = `Invoice ${escapeHtml(invoice.invoice_number)} is ${daysOffset} day${daysOffset === 1 ? '' : 's'} overdue.`;
+  }
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${headline}</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #F9FAFB;">
+  <table role="presentation" style="width: 100%; border-collapse: collapse; background-color: #F9FAFB;">
+    <tr>
+      <td style="padding: 40px 20px;">
+        <table role="presentation" style="max-width: 600px; margin: 0 auto; background-color: #FFFFFF; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+          <!-- Header -->
+          <tr>
+            <td style="padding: 40px 40px 20px; text-align: center; background: linear-gradient(135deg, #667EEA 0%, #764BA2 100%); border-radius: 8px 8px 0 0;">
+              ${logoHtml}
+            </td>
+          </tr>
+          
+          <!-- Content -->
+          <tr>
+            <td style="padding: 40px;">
+              <h2 style="color: #111827; margin: 0 0 10px 0; font-size: 24px; font-weight: 600;">${headline}</h2>
+              <p style="color: #6B7280; margin: 0 0 30px 0; font-size: 16px;">Hi ${escapeHtml(customerName)}, ${message}</p>
+              
+              <!-- Invoice Summary -->
+              <div style="background-color: #F9FAFB; padding: 20px; border-radius: 6px; margin-bottom: 30px;">
+                <div style="margin-bottom: 15px;">
+                  <p style="margin: 0 0 5px 0; color: #6B7280; font-size: 14px; font-weight: 600;">Invoice Number</p>
+                  <p style="margin: 0; color: #111827; font-size: 16px; font-weight: 600;">${escapeHtml(invoice.invoice_number)}</p>
+                </div>
+
+                <div style="margin-bottom: 15px;">
+                  <p style="margin: 0 0 5px 0; color: #6B7280; font-size: 14px; font-weight: 600;">Due Date</p>
+                  <p style="margin: 0; color: #111827; font-size: 16px;">${formatDate(invoice.due_date)}</p>
+                </div>
+
+                <div style="margin-bottom: 15px;">
+                  <p style="margin: 0 0 5px 0; color: #6B7280; font-size: 14px; font-weight: 600;">Invoice Total</p>
+                  <p style="margin: 0; color: #111827; font-size: 16px;">${escapeHtml(currencySymbol)}${Number(invoice.total || 0).toFixed(2)}</p>
+                </div>
+
+                ${amountPaid > 0 ? `
+                <div style="margin-bottom: 15px;">
+                  <p style="margin: 0 0 5px 0; color: #6B7280; font-size: 14px; font-weight: 600;">Amount Paid</p>
+                  <p style="margin: 0; color: #111827; font-size: 16px;">${escapeHtml(currencySymbol)}${amountPaid.toFixed(2)}</p>
+                </div>
+                ` : ''}
+
+                <div style="margin-top: 15px; padding-top: 15px; border-top: 1px solid #E5E7EB;">
+                  <p style="margin: 0; color: #374151; font-size: 18px;">Balance Due: <span style="color: #DC2626; font-weight: 600;">${escapeHtml(currencySymbol)}${balanceDue.toFixed(2)}</span></p>
+                </div>
+              </div>
+
+              ${paymentLink ? `
+              <div style="text-align: center; margin-bottom: 30px;">
+                <a href="${escapeHtml(paymentLink)}" style="display: inline-block; padding: 12px 32px; background-color: #2563EB; color: #FFFFFF; text-decoration: none; border-radius: 6px; font-weight: 600;">View &amp; Pay Invoice</a>
+              </div>
+              ` : ''}
+
+              <p style="color: #6B7280; margin: 0; font-size: 14px; line-height: 1.6;">
+                A copy of the invoice is attached where available. If you have already made this payment, please disregard this reminder.
+              </p>
+            </td>
+          </tr>
+          
+          <!-- Footer -->
+          <tr>
+            <td style="padding: 30px 40px; background-color: #F9FAFB; border-radius: 0 0 8px 8px; text-align: center;">
+              <p style="margin: 0 0 10px 0; color: #6B7280; font-size: 14px;">Thank you for your business!</p>
+              <p style="margin: 0; color: #9CA3AF; font-size: 12px;">© ${new Date().getFullYear()} ${escapeHtml(tenant.name || 'MycroShop')}. All rights reserved.</p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `;
+}
+
+/**
+ * Generate invoice paid notification email HTML (sent to the merchant)
+ */
+function generateInvoicePaidNotificationEmail(data) {
+  const {
+    tenant,
+    invoice,
+    payment,
+    receiptUrl
+  } = data;
+
+  const currencySymbol = invoice.currency_symbol || '₦';
+  const balanceDue = Number(invoice.balance_due || 0);
+  const customerName = invoice.Customer?.name || 'A customer';
+  const headline = balanceDue > 0 ? 'Invoice Payment Received' : 'Invoice Paid';
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${headline}</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #F9FAFB;">
+  <table role="presentation" style="width: 100%; border-collapse: collapse; background-color: #F9FAFB;">
+    <tr>
+      <td style="padding: 40px 20px;">
+        <table role="presentation" style="max-width: 600px; margin: 0 auto; background-color: #FFFFFF; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+          <!-- Content -->
+          <tr>
+            <td style="padding: 40px;">
+              <h2 style="color: #111827; margin: 0 0 10px 0; font-size: 24px; font-weight: 600;">${headline}</h2>
+              <p style="color: #6B7280; margin: 0 0 30px 0; font-size: 16px;">${escapeHtml(customerName)} paid ${escapeHtml(currencySymbol)}${Number(payment.amount || 0).toFixed(2)} online against invoice ${escapeHtml(invoice.invoice_number)}.</p>
+
+              <!-- Payment Summary -->
+              <div style="background-color: #F9FAFB; padding: 20px; border-radius: 6px; margin-bottom: 30px;">
+                <div style="margin-bottom: 15px;">
+                  <p style="margin: 0 0 5px 0; color: #6B7280; font-size: 14px; font-weight: 600;">Payment Reference</p>
+                  <p style="margin: 0; color: #111827; font-size: 16px;">${escapeHtml(payment.reference || 'N/A')}</p>
+                </div>
+
+                <div style="margin-bottom: 15px;">
+                  <p style="margin: 0 0 5px 0; color: #6B7280; font-size: 14px; font-weight: 600;">Payment Method</p>
+                  <p style="margin: 0; color: #111827; font-size: 16px;">${escapeHtml(payment.payment_method || 'online')}</p>
+                </div>
+
+                <div style="margin-bottom: 15px;">
+                  <p style="margin: 0 0 5px 0; color: #6B7280; font-size: 14px; font-weight: 600;">Invoice Total</p>
+                  <p style="margin: 0; color: #111827; font-size: 16px;">${escapeHtml(currencySymbol)}${Number(invoice.total || 0).toFixed(2)}</p>
+                </div>
+
+                <div style="margin-top: 15px; padding-top: 15px; border-top: 1px solid #E5E7EB;">
+                  <p style="margin: 0; color: #374151; font-size: 18px;">Balance Due: <span style="color: ${balanceDue > 0 ? '#DC2626' : '#059669'}; font-weight: 600;">${escapeHtml(currencySymbol)}${balanceDue.toFixed(2)}</span></p>
+                </div>
+              </div>
+
+              ${receiptUrl ? `
+              <p style="color: #6B7280; margin: 0; font-size: 14px; line-height: 1.6;">
+                A receipt has been generated: <a href="${escapeHtml(receiptUrl)}" style="color: #2563EB;">download receipt</a>.
+              </p>
+              ` : ''}
+            </td>
+          </tr>
+
+          <!-- Footer -->
+          <tr>
+            <td style="padding: 30px 40px; background-color: #F9FAFB; border-radius: 0 0 8px 8px; text-align: center;">
+              <p style="margin: 0; color: #9CA3AF; font-size: 12px;">© ${new Date().getFullYear()} ${escapeHtml(tenant.name || 'MycroShop')}. All rights reserved.</p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `;
+}
+
 /**
  * Send order confirmation email
  */
@@ -369,6 +697,9 @@ async function sendBookingConfirmationEmail(data) {
       return;
     }
 
+    // Self-service reschedule/cancel links (callers pass null links the tenant's policy no longer allows)
+    const manageLinks = data.manageLinks || (tenant.id && booking.id ? buildBookingManageLinks(tenant.id, booking.id) : {});
+
     // Get logo URL
     const logoUrl = tenant.logo_url ? getFullImageUrl(tenant.logo_url) : null;
 
@@ -382,14 +713,27 @@ async function sendBookingConfirmationEmail(data) {
       booking,
       customerName,
       customerEmail,
-      logoUrl
+      logoUrl,
+      manageLinks
+    });
+
+    // Add-to-calendar attachment, in the booking's own time zone
+    const ics = buildBookingIcs(booking, {
+      tenantId: tenant.id,
+      audience: 'customer',
+      url: manageLinks.manage_url || null
     });
 
     const mailOptions = {
       from: `"${tenant.name || 'MycroShop'}" <${process.env.SMTP_USER || 'noreply@mycroshop.com'}>`,
       to: customerEmail,
       subject: `Booking Confirmation - ${booking.service_title || booking.StoreService?.service_title || 'Your Booking'}`,
-      html
+      html,
+      attachments: [{
+        filename: `booking-${booking.id}.ics`,
+        content: ics,
+        contentType: 'text/calendar; charset=utf-8; method=PUBLISH'
+      }]
     };
 
     const info = await transporter.sendMail(mailOptions);
@@ -401,6 +745,142 @@ async function sendBookingConfirmationEmail(data) {
   }
 }
 
+/**
+ * Send booking reminder email
+ * manageLinks: { reschedule_url, cancel_url } - either may be null when the policy window has passed
+ */
+async function sendBookingReminderEmail(data) {
+  try {
+    const { tenant, booking, customerEmail, customerName, hoursBefore, manageLinks = {} } = data;
+
+    if (!customerEmail) {
+      console.warn('No customer email provided for booking reminder');
+      return;
+    }
+
+    // Get logo URL
+    const logoUrl = tenant.logo_url ? getFullImageUrl(tenant.logo_url) : null;
+
+    const transporter = initializeTransporter();
+    if (!transporter) {
+      throw new Error('Email transporter not configured. Please set SMTP environment variables.');
+    }
+
+    const html = generateBookingReminderEmail({
+      tenant,
+      booking,
+      customerName,
+      hoursBefore,
+      manageLinks,
+      logoUrl
+    });
+
+    const mailOptions = {
+      from: `"${tenant.name || 'MycroShop'}" <${process.env.SMTP_USER || 'noreply@mycroshop.com'}>`,
+      to: customerEmail,
+      subject: `Reminder - ${booking.service_title || 'Your Booking'} on ${formatDateTime(booking.scheduled_at)}`,
+      html
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Booking reminder email sent:', info.messageId);
+    return info;
+  } catch (error) {
+    console.error('Error sending booking reminder email:', error);
+    throw error;
+  }
+}
+
+/**
+ * Send invoice payment reminder email
+ * attachments are passed straight to nodemailer (e.g. [{ filename, path }] for the invoice PDF)
+ */
+async function sendInvoiceReminderEmail(data) {
+  try {
+    const { tenant, invoice, customerEmail, customerName, reminderType, daysOffset, paymentLink, attachments = [] } = data;
+
+    if (!customerEmail) {
+      console.warn('No customer email provided for invoice reminder');
+      return;
+    }
+
+    // Get logo URL
+    const logoUrl = tenant.logo_url ? getFullImageUrl(tenant.logo_url) : null;
+
+    const transporter = initializeTransporter();
+    if (!transporter) {
+      throw new Error('Email transporter not configured. Please set SMTP environment variables.');
+    }
+
+    const html = generateInvoiceReminderEmail({
+      tenant,
+      invoice,
+      customerName,
+      reminderType,
+      daysOffset,
+      paymentLink,
+      logoUrl
+    });
+
+    const subjectPrefix = reminderType === 'after_due' ? 'Overdue' : 'Payment Reminder';
+
+    const mailOptions = {
+      from: `"${tenant.name || 'MycroShop'}" <${process.env.SMTP_USER || 'noreply@mycroshop.com'}>`,
+      to: customerEmail,
+      subject: `${subjectPrefix} - Invoice ${invoice.invoice_number}`,
+      html,
+      attachments
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Invoice reminder email sent:', info.messageId);
+    return info;
+  } catch (error) {
+    console.error('Error sending invoice reminder email:', error);
+    throw error;
+  }
+}
+
+/**
+ * Send invoice paid notification to the merchant
+ */
+async function sendInvoicePaidNotificationEmail(data) {
+  try {
+    const { tenant, invoice, payment, recipients = [], receiptUrl } = data;
+
+    if (recipients.length === 0) {
+      console.warn('No merchant email provided for invoice payment notification');
+      return;
+    }
+
+    const transporter = initializeTransporter();
+    if (!transporter) {
+      throw new Error('Email transporter not configured. Please set SMTP environment variables.');
+    }
+
+    const html = generateInvoicePaidNotificationEmail({
+      tenant,
+      invoice,
+      payment,
+      receiptUrl
+    });
+
+    const mailOptions = {
+      from: `"MycroShop" <${process.env.SMTP_USER || 'noreply@mycroshop.com'}>`,
+      to: recipients.join(', '),
+      subject: `Payment received - Invoice ${invoice.invoice_number}`,
+      html
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Invoice paid notification email sent:', info.messageId);
+    return info;
+  } catch (error) {
+    console.error('Error sending invoice paid notification email:', error);
+    throw error;
+  }
+}
+
 // Helper functions
 function escapeHtml(text) {
   if (!text) return '';
@@ -448,6 +928,9 @@ function formatDateTime(dateTime) {
 module.exports = {
   sendOrderConfirmationEmail,
   sendBookingConfirmationEmail,
+  sendBookingReminderEmail,
+  sendInvoiceReminderEmail,
+  sendInvoicePaidNotificationEmail,
   initializeTransporter
 };
 
@@ -66,6 +66,7 @@ function renderInvoiceHtml({ invoice, template, brandColors }) {
   const customerHtml = renderCustomerBlock(layoutMap.CustomerInfo, { customer, invoice, store });
   const itemsHtml = renderItemsBlock(layoutMap.ItemsTable, { items, currency: currencySymbol, tokens });
   const totalsHtml = renderTotalsBlock(layoutMap.Totals, { invoice, currency: currencySymbol, tokens });
+  const balanceHtml = renderBalanceBlock({ invoice, currency: currencySymbol, tokens });
   const paymentHtml = renderPaymentBlock(layoutMap.Payment, { invoice, store, tokens });
   const footerHtml = renderFooterBlock(layoutMap.Footer, { invoice, store });
 
@@ -87,6 +88,7 @@ function renderInvoiceHtml({ invoice, template, brandColors }) {
       ${customerHtml}
       ${itemsHtml}
       ${totalsHtml}
+      ${balanceHtml}
       ${paymentHtml}
       ${footerHtml}
     </div>
@@ -354,6 +356,33 @@ function buildBaseCss(tokens, spacing) {
     color: ${tokens.primary};
   }
 
+  /* Balance (partial payments / instalments) */
+  .balance-card {
+    min-width: 240px;
+    border-radius: 8px;
+    padding: 10px 14px;
+    border: 1px solid ${tokens.border};
+  }
+  .balance-row.balance-due {
+    font-weight: 600;
+    color: ${tokens.primary};
+  }
+  .schedule-table {
+    width: 100%;
+    border-collapse: collapse;
+    font-size: 11px;
+    margin-top: 8px;
+  }
+  .schedule-table th,
+  .schedule-table td {
+    padding: 4px 6px;
+    border-bottom: 1px solid ${tokens.border};
+    text-align: left;
+  }
+  .schedule-table .col-amount {
+    text-align: right;
+  }
+
   /* Payment */
   .payment-box {
     border-radius: 8px;
@@ -2153,6 +2182,64 @@ function renderTotalsBlock(config = {}, { invoice, currency, tokens = {} }) {
   }
 }
 
+/**
+ * Amount paid / balance due (and instalment schedule if any)
+ * Only rendered once a payment has been recorded or a schedule exists, so unpaid invoices look unchanged
+ */
+function renderBalanceBlock({ invoice, currency, tokens = {} }) {
+  const total = Number(invoice.total || 0);
+  const amountPaid = Number(invoice.amount_paid || 0);
+  const balanceDue = invoice.balance_due !== undefined && invoice.balance_due !== null
+    ? Number(invoice.balance_due)
+    : Math.max(total - amountPaid, 0);
+  const schedule = Array.isArray(invoice.InvoicePaymentSchedules) ? invoice.InvoicePaymentSchedules : [];
+
+  if (amountPaid <= 0 && schedule.length === 0) {
+    return '';
+  }
+
+  const scheduleHtml = schedule.length > 0
+    ? `
+      <table class="schedule-table">
+        <thead>
+          <tr>
+            <th>Instalment</th>
+            <th>Due Date</th>
+            <th class="col-amount">Amount</th>
+            <th>Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${schedule.map((instalment) => `
+          <tr>
+            <td>${escapeHtml(instalment.description || `#${instalment.instalment_number}`)}</td>
+            <td>${escapeHtml(String(instalment.due_date || ''))}</td>
+            <td class="col-amount">${currency} ${Number(instalment.amount || 0).toFixed(2)}</td>
+            <td>${escapeHtml(String(instalment.status || 'pending').replace('_', ' '))}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>`
+    : '';
+
+  return `
+  <section class="section">
+    <div class="totals" style="justify-content: flex-end;">
+      <div class="balance-card">
+        <div class="totals-row balance-row">
+          <span>Amount Paid</span>
+          <span>${currency} ${amountPaid.toFixed(2)}</span>
+        </div>
+        <div class="totals-row balance-row balance-due">
+          <span>Balance Due</span>
+          <span>${currency} ${balanceDue.toFixed(2)}</span>
+        </div>
+        ${scheduleHtml}
+      </div>
+    </div>
+  </section>
+  `.trim();
+}
+
 function renderPaymentBlock(config = {}, { invoice, store, tokens = {} }) {
   const variant = config.variant || 'minimal';
   const notes = invoice?.notes || '';
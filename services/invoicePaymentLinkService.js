@@ -0,0 +1,183 @@
+/**
+ * Invoice Payment Link Service
+ * Signed public URLs that let a customer view an invoice and pay it online,
+ * plus the follow-up once the gateway confirms payment (receipt + merchant notification)
+ */
+
+const { User } = require('../config/tenant');
+const { requireLinkSecret, signLink, verifyLinkSignature, isLinkExpired } = require('./signedLinkService');
+
+// Secret used to sign invoice links (falls back to the JWT secret; the server refuses to start without one)
+const LINK_SECRET = requireLinkSecret('INVOICE_LINK_SECRET');
+
+// How long a shared invoice link stays valid
+const LINK_TTL_DAYS = parseInt(process.env.INVOICE_LINK_TTL_DAYS || '30', 10);
+
+/**
+ * Sign an invoice for public access
+ * @param {number} tenantId - Tenant ID
+ * @param {number} invoiceId - Invoice ID
+ * @param {number} expiresAt - Link expiry (unix seconds)
+ * @returns {string} - Hex HMAC signature
+ */
+function signInvoiceLink(tenantId, invoiceId, expiresAt) {
+  return signLink(LINK_SECRET, 'invoice', tenantId, invoiceId, expiresAt);
+}
+
+/**
+ * Verify a public invoice link signature
+ * Invoice links must carry an expiry; links without one are rejected
+ * @param {number} tenantId - Tenant ID
+ * @param {number} invoiceId - Invoice ID
+ * @param {number} expiresAt - Expiry from the URL (exp)
+ * @param {string} signature - Signature from the URL
+ * @returns {boolean}
+ */
+function verifyInvoiceLinkSignature(tenantId, invoiceId, expiresAt, signature) {
+  if (isNaN(parseInt(expiresAt, 10))) {
+    return false;
+  }
+  return verifyLinkSignature(LINK_SECRET, 'invoice', tenantId, invoiceId, signature, expiresAt);
+}
+
+/**
+ * Whether an invoice link's expiry has passed
+ * @param {number} expiresAt - Expiry from the URL (exp)
+ * @returns {boolean}
+ */
+function isInvoiceLinkExpired(expiresAt) {
+  return isLinkExpired(expiresAt);
+}
+
+/**
+ * Build the public payment URL for an invoice
+ * @param {number} tenantId - Tenant ID
+ * @param {number} invoiceId - Invoice ID
+ * @param {number} expiresAt - Optional expiry (unix seconds) to keep, e.g. when re-linking from an open link;
+ *   defaults to INVOICE_LINK_TTL_DAYS from now
+ * @returns {Object} - { url, pay_url, signature, expires_at }
+ */
+function buildInvoicePaymentLink(tenantId, invoiceId, expiresAt = null) {
+  const baseUrl = process.env.BASE_URL || 'https://backend.mycroshop.com';
+  const exp = expiresAt
+    ? parseInt(expiresAt, 10)
+    : Math.floor(Date.now() / 1000) + LINK_TTL_DAYS * 24 * 60 * 60;
+  const signature = signInvoiceLink(tenantId, invoiceId, exp);
+  const path = `${baseUrl}/api/v1/public-invoices/${tenantId}/${invoiceId}`;
+  const query = `exp=${exp}&signature=${signature}`;
+
+  return {
+    url: `${path}?${query}`,
+    pay_url: `${path}/pay?${query}`,
+    signature,
+    expires_at: new Date(exp * 1000)
+  };
+}
+
+/**
+ * Merchant addresses to notify about an invoice payment
+ * Tenant admins first, then the invoice's store email
+ */
+async function getMerchantEmails(tenant, invoice) {
+  const emails = new Set();
+
+  try {
+    const admins = await User.findAll({
+      where: { tenant_id: tenant.id, role: 'admin' },
+      attributes: ['email']
+    });
+    admins.forEach(admin => admin.email && emails.add(admin.email));
+  } catch (error) {
+    console.warn('Could not load tenant admins for invoice payment notification:', error.message);
+  }
+
+  if (invoice.Store && invoice.Store.email) {
+    emails.add(invoice.Store.email);
+  }
+
+  return Array.from(emails);
+}
+
+/**
+ * Follow-up after an online invoice payment has been recorded on the ledger:
+ * generates the receipt and emails the merchant. Never throws - the payment is already saved.
+ * @param {Object} sequelize - Tenant Sequelize connection
+ * @param {Object} tenant - Tenant record
+ * @param {Object} invoicePayment - InvoicePayment created for the gateway payment
+ * @returns {Promise<Object|null>} - Receipt result from createInvoiceReceipt, or null
+ */
+async function completeOnlineInvoicePayment(sequelize, tenant, invoicePayment) {
+  try {
+    const models = sequelize.models;
+    const isFreePlan = tenant.subscription_plan === 'free';
+
+    const invoice = await models.Invoice.findOne({
+      where: {
+        id: invoicePayment.invoice_id,
+        ...(isFreePlan ? { tenant_id: tenant.id } : {})
+      },
+      include: [
+        {
+          model: models.Store,
+          required: false,
+          attributes: ['id', 'name', 'address', 'city', 'state', 'country', 'phone', 'email']
+        },
+        {
+          model: models.Customer,
+          required: false,
+          attributes: ['id', 'name', 'email', 'phone']
+        }
+      ]
+    });
+
+    if (!invoice) {
+      return null;
+    }
+
+    const invoiceItems = await models.InvoiceItem.findAll({
+      where: { invoice_id: invoice.id },
+      order: [['id', 'ASC']]
+    });
+
+    let receipt = null;
+    if (invoiceItems.length > 0) {
+      try {
+        const { createInvoiceReceipt } = require('./invoiceReceiptService');
+        receipt = await createInvoiceReceipt(sequelize, invoice, invoiceItems, {
+          tenantId: isFreePlan ? tenant.id : null
+        });
+      } catch (receiptError) {
+        console.error(`Error generating receipt for invoice ${invoice.id}:`, receiptError);
+      }
+    }
+
+    try {
+      const recipients = await getMerchantEmails(tenant, invoice);
+      if (recipients.length > 0) {
+        const { sendInvoicePaidNotificationEmail } = require('./emailService');
+        await sendInvoicePaidNotificationEmail({
+          tenant,
+          invoice: invoice.toJSON(),
+          payment: invoicePayment.toJSON ? invoicePayment.toJSON() : invoicePayment,
+          recipients,
+          receiptUrl: receipt ? receipt.pdfUrl : null
+        });
+      }
+    } catch (emailError) {
+      console.error(`Error sending invoice payment notification for invoice ${invoice.id}:`, emailError);
+    }
+
+    return receipt;
+  } catch (error) {
+    console.error('Error completing online invoice payment:', error);
+    return null;
+  }
+}
+
+module.exports = {
+  signInvoiceLink,
+  verifyInvoiceLinkSignature,
+  isInvoiceLinkExpired,
+  buildInvoicePaymentLink,
+  completeOnlineInvoicePayment
+};
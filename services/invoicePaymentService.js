@@ -0,0 +1,289 @@
+/**
+ * Invoice Payment Service
+ * Payments ledger for invoices: records deposits/instalments/online payments,
+ * keeps Invoice.amount_paid, balance_due and status in sync, and allocates payments to instalment schedules
+ */
+
+const moment = require('moment');
+const { Sequelize } = require('sequelize');
+const { round2 } = require('./numberService');
+
+/**
+ * Validate a payment amount against the invoice balance
+ * @param {Object} invoice - Invoice instance
+ * @param {number} amount - Payment amount
+ * @returns {Object} - { valid, message }
+ */
+function validateInvoicePayment(invoice, amount) {
+  const paymentAmount = round2(amount);
+
+  if (!paymentAmount || paymentAmount <= 0) {
+    return { valid: false, message: 'Payment amount must be greater than zero' };
+  }
+
+  if (invoice.status === 'cancelled') {
+    return { valid: false, message: 'Cannot record payment on a cancelled invoice' };
+  }
+
+  const balanceDue = round2(Number(invoice.total || 0) - Number(invoice.amount_paid || 0));
+  if (balanceDue <= 0) {
+    return { valid: false, message: 'Invoice is already fully paid' };
+  }
+
+  if (paymentAmount > balanceDue) {
+    return { valid: false, message: `Payment amount exceeds balance due of ${balanceDue.toFixed(2)}` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Spread the total paid across instalments in due date order
+ * @param {Object} models - Tenant models
+ * @param {Object} invoice - Invoice instance
+ * @param {number} amountPaid - Total paid on the invoice
+ * @param {Object} transaction - Optional Sequelize transaction
+ */
+async function allocateToSchedule(models, invoice, amountPaid, transaction = null) {
+  const instalments = await models.InvoicePaymentSchedule.findAll({
+    where: { invoice_id: invoice.id },
+    order: [['due_date', 'ASC'], ['instalment_number', 'ASC']],
+    transaction
+  });
+
+  let remaining = round2(amountPaid);
+  const today = moment().format('YYYY-MM-DD');
+
+  for (const instalment of instalments) {
+    const instalmentAmount = round2(instalment.amount);
+    const allocated = Math.min(remaining, instalmentAmount);
+    remaining = round2(remaining - allocated);
+
+    let status = 'pending';
+    if (allocated >= instalmentAmount) {
+      status = 'paid';
+    } else if (moment(instalment.due_date).format('YYYY-MM-DD') < today) {
+      status = 'overdue';
+    } else if (allocated > 0) {
+      status = 'partially_paid';
+    }
+
+    if (round2(instalment.amount_paid) !== allocated || instalment.status !== status) {
+      await instalment.update({ amount_paid: allocated, status }, { transaction });
+    }
+  }
+
+  return instalments;
+}
+
+/**
+ * Recalculate amount_paid, balance_due and status from the payments ledger
+ * Call after any payment is recorded/voided or the invoice total changes
+ * @param {Object} models - Tenant models
+ * @param {Object} invoice - Invoice instance
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object>} - Updated invoice
+ */
+async function refreshInvoiceBalance(models, invoice, transaction = null) {
+  const payments = await models.InvoicePayment.findAll({
+    where: {
+      invoice_id: invoice.id,
+      status: 'completed'
+    },
+    order: [['payment_date', 'ASC'], ['id', 'ASC']],
+    transaction
+  });
+
+  const total = round2(invoice.total);
+  const amountPaid = round2(payments.reduce((sum, payment) => sum + Number(payment.amount || 0), 0));
+  const balanceDue = Math.max(round2(total - amountPaid), 0);
+
+  const isPastDue = invoice.due_date && moment(invoice.due_date).isBefore(moment(), 'day');
+
+  let status = invoice.status;
+  if (status !== 'cancelled') {
+    if (amountPaid > 0 && balanceDue <= 0) {
+      status = 'paid';
+    } else if (amountPaid > 0) {
+      // A part-paid invoice past its due date stays overdue until settled
+      status = isPastDue ? 'overdue' : 'partially_paid';
+    } else if (['paid', 'partially_paid'].includes(status)) {
+      // All payments voided - back to outstanding
+      status = isPastDue ? 'overdue' : 'sent';
+    }
+  }
+
+  const lastPayment = payments.length > 0 ? payments[payments.length - 1] : null;
+
+  await invoice.update({
+    amount_paid: amountPaid,
+    balance_due: balanceDue,
+    status,
+    payment_method: lastPayment ? lastPayment.payment_method : invoice.payment_method,
+    payment_date: lastPayment ? lastPayment.payment_date : invoice.payment_date
+  }, { transaction });
+
+  await allocateToSchedule(models, invoice, amountPaid, transaction);
+
+  return invoice;
+}
+
+/**
+ * Record a payment against an invoice and refresh its balance
+ * @param {Object} models - Tenant models
+ * @param {Object} invoice - Invoice instance
+ * @param {Object} paymentData
+ * @param {number} paymentData.amount - Amount paid
+ * @param {string} paymentData.paymentMethod - cash, bank_transfer, card, cheque, pos, online, etc.
+ * @param {string} paymentData.reference - Transfer reference/cheque number (optional)
+ * @param {string} paymentData.paymentDate - Date paid (defaults to today)
+ * @param {number} paymentData.paymentTransactionId - PaymentTransaction for online payments (optional)
+ * @param {string} paymentData.notes - Optional notes
+ * @param {number} paymentData.recordedBy - Staff/user ID (optional)
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object>} - Created InvoicePayment
+ */
+async function recordInvoicePayment(models, invoice, paymentData, transaction = null) {
+  const {
+    amount,
+    paymentMethod = 'cash',
+    reference = null,
+    paymentDate = null,
+    paymentTransactionId = null,
+    notes = null,
+    recordedBy = null
+  } = paymentData;
+
+  const payment = await models.InvoicePayment.create({
+    tenant_id: invoice.tenant_id || null,
+    invoice_id: invoice.id,
+    amount: round2(amount),
+    payment_method: paymentMethod,
+    reference,
+    payment_date: paymentDate || moment().format('YYYY-MM-DD'),
+    payment_transaction_id: paymentTransactionId,
+    status: 'completed',
+    notes,
+    recorded_by: recordedBy
+  }, { transaction });
+
+  await refreshInvoiceBalance(models, invoice, transaction);
+
+  return payment;
+}
+
+/**
+ * Record a successful online (gateway) payment against its invoice
+ * Idempotent - a PaymentTransaction is only ever applied once (verify + webhook can both fire).
+ * The invoice row is locked so concurrent calls queue, and the amount is capped at the balance due;
+ * whatever the invoice cannot take is kept on the payment as refund_due_amount
+ * @param {Object} models - Tenant models
+ * @param {Object} paymentTransaction - PaymentTransaction instance with invoice_id
+ * @param {Object} options
+ * @param {string} options.paymentMethod - Gateway channel (card, bank_transfer, ussd...)
+ * @param {Object} options.transaction - Sequelize transaction (required for the lock to hold)
+ * @returns {Promise<Object|null>} - Created InvoicePayment, or null if already applied / invoice not found / nothing due
+ */
+async function recordGatewayInvoicePayment(models, paymentTransaction, options = {}) {
+  const { paymentMethod = 'card', transaction = null } = options;
+
+  if (!paymentTransaction.invoice_id) {
+    return null;
+  }
+
+  const invoiceWhere = { id: paymentTransaction.invoice_id };
+  if (paymentTransaction.tenant_id) {
+    invoiceWhere.tenant_id = paymentTransaction.tenant_id;
+  }
+
+  const invoice = await models.Invoice.findOne({
+    where: invoiceWhere,
+    lock: transaction ? true : undefined,
+    transaction
+  });
+  if (!invoice) {
+    return null;
+  }
+
+  // Checked after taking the invoice lock so a second caller sees the first one's payment
+  const existingPayment = await models.InvoicePayment.findOne({
+    where: {
+      invoice_id: invoice.id,
+      status: 'completed',
+      [Sequelize.Op.or]: [
+        { payment_transaction_id: paymentTransaction.id },
+        { reference: paymentTransaction.transaction_reference }
+      ]
+    },
+    transaction
+  });
+
+  if (existingPayment) {
+    return null;
+  }
+
+  // Money the invoice cannot take stays on the payment as a refund due to the customer
+  const receivedAmount = round2(paymentTransaction.amount);
+  const balanceDue = round2(Number(invoice.total || 0) - Number(invoice.amount_paid || 0));
+  if (balanceDue <= 0 || invoice.status === 'cancelled') {
+    await paymentTransaction.update({ refund_due_amount: receivedAmount }, { transaction });
+    console.warn(`Online payment ${paymentTransaction.transaction_reference} not applied: invoice ${invoice.id} has no balance due - ${receivedAmount.toFixed(2)} to refund`);
+    return null;
+  }
+
+  const amount = Math.min(receivedAmount, balanceDue);
+  if (amount < receivedAmount) {
+    const refundDue = round2(receivedAmount - amount);
+    await paymentTransaction.update({ refund_due_amount: refundDue }, { transaction });
+    console.warn(`Online payment ${paymentTransaction.transaction_reference} exceeds invoice ${invoice.id} balance - recorded ${amount.toFixed(2)}, ${refundDue.toFixed(2)} to refund`);
+  }
+
+  return recordInvoicePayment(models, invoice, {
+    amount,
+    paymentMethod,
+    reference: paymentTransaction.transaction_reference,
+    paymentDate: moment(paymentTransaction.paid_at || new Date()).format('YYYY-MM-DD'),
+    paymentTransactionId: paymentTransaction.id,
+    notes: `Online payment via ${paymentTransaction.gateway_name}`
+  }, transaction);
+}
+
+/**
+ * Validate an instalment plan against the invoice total
+ * @param {Object} invoice - Invoice instance
+ * @param {Array} instalments - [{ due_date, amount, description }]
+ * @returns {Object} - { valid, message }
+ */
+function validatePaymentSchedule(invoice, instalments) {
+  if (!Array.isArray(instalments) || instalments.length === 0) {
+    return { valid: false, message: 'At least one instalment is required' };
+  }
+
+  for (const instalment of instalments) {
+    if (!instalment.due_date || !moment(instalment.due_date, 'YYYY-MM-DD', true).isValid()) {
+      return { valid: false, message: 'Each instalment must have a due_date (YYYY-MM-DD)' };
+    }
+    if (!(round2(instalment.amount) > 0)) {
+      return { valid: false, message: 'Each instalment amount must be greater than zero' };
+    }
+  }
+
+  const scheduleTotal = round2(instalments.reduce((sum, instalment) => sum + Number(instalment.amount), 0));
+  const invoiceTotal = round2(invoice.total);
+  if (scheduleTotal !== invoiceTotal) {
+    return {
+      valid: false,
+      message: `Instalments total ${scheduleTotal.toFixed(2)} must equal the invoice total ${invoiceTotal.toFixed(2)}`
+    };
+  }
+
+  return { valid: true };
+}
+
+module.exports = {
+  validateInvoicePayment,
+  recordInvoicePayment,
+  recordGatewayInvoicePayment,
+  refreshInvoiceBalance,
+  validatePaymentSchedule
+};
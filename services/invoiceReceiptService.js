@@ -0,0 +1,251 @@
+/**
+ * Invoice Receipt Service
+ * Builds, renders (PDF/preview + ESC/POS) and stores receipts for invoice payments.
+ * Shared by the receipts API and the payment webhook (online invoice payments).
+ */
+
+const { generateReceiptTemplate } = require('./receiptTemplate');
+const { generateEscPosReceipt } = require('./receiptEscPosService');
+const { generateInvoicePdfAndPreview } = require('./invoicePdfService');
+
+/**
+ * Prefix relative upload paths with the API base URL
+ */
+function toFullUrl(url) {
+  if (!url || url.startsWith('http')) return url || null;
+  const baseUrl = process.env.BASE_URL || 'https://backend.mycroshop.com';
+  return `${baseUrl}${url}`;
+}
+
+/**
+ * Normalize a generated file path to its /uploads URL
+ */
+function normalizePath(localPath) {
+  if (!localPath) return null;
+  let normalized = String(localPath).replace(/\\/g, '/');
+  const uploadsIndex = normalized.indexOf('/uploads');
+  if (uploadsIndex !== -1) {
+    return normalized.substring(uploadsIndex);
+  }
+  const filename = normalized.split('/').pop();
+  if (filename.endsWith('.pdf')) {
+    return `/uploads/invoices/pdfs/${filename}`;
+  } else if (filename.match(/\.(png|jpg|jpeg)$/i)) {
+    return `/uploads/invoices/previews/${filename}`;
+  }
+  return null;
+}
+
+/**
+ * Check whether the receipts table exists (it is created lazily on some tenants)
+ */
+async function receiptsTableExists(sequelize) {
+  const [tables] = await sequelize.query(`
+    SELECT TABLE_NAME
+    FROM INFORMATION_SCHEMA.TABLES
+    WHERE TABLE_SCHEMA = DATABASE()
+    AND TABLE_NAME = 'receipts'
+  `);
+  return tables && tables.length > 0;
+}
+
+/**
+ * Generate (or return the existing) receipt for an invoice's current payment state
+ * One receipt per payment once an invoice is paid in instalments
+ * @param {Object} sequelize - Tenant Sequelize connection (req.db)
+ * @param {Object} invoice - Invoice instance (with Store)
+ * @param {Array} invoiceItems - InvoiceItem instances
+ * @param {Object} options
+ * @param {number} options.tenantId - Tenant ID for free plan (shared database), null for enterprise
+ * @param {boolean} options.includeStamp - Include digital stamp
+ * @param {string} options.stampStyle - Stamp style
+ * @returns {Promise<Object>} - { alreadyExists, receipt, receiptNumber, receiptData, previewUrl, pdfUrl, escPosCommands, escPosCommandsLength }
+ */
+async function createInvoiceReceipt(sequelize, invoice, invoiceItems, options = {}) {
+  const { tenantId = null, includeStamp = true, stampStyle = 'rectangular' } = options;
+  const models = sequelize.models;
+
+  // Amount paid so far and outstanding balance (partial payments / instalments)
+  const invoiceTotal = Number(invoice.total || 0);
+  const amountPaid = Number(invoice.amount_paid || 0);
+  const balanceDue = Math.max(invoiceTotal - amountPaid, 0);
+  const paymentCount = await models.InvoicePayment.count({
+    where: {
+      invoice_id: invoice.id,
+      status: 'completed'
+    }
+  });
+
+  // Generate receipt number (one receipt per payment once an invoice is paid in instalments)
+  const baseReceiptNumber = `RCP-${invoice.invoice_number.replace('INV-', '')}`;
+  const receiptNumber = paymentCount > 1 ? `${baseReceiptNumber}-${paymentCount}` : baseReceiptNumber;
+
+  // Check if receipt already exists for this invoice (duplicate prevention)
+  let existingReceipt = null;
+  try {
+    if (await receiptsTableExists(sequelize)) {
+      const existingReceiptQuery = tenantId
+        ? `SELECT * FROM receipts WHERE tenant_id = ? AND invoice_id = ? AND receipt_number = ? ORDER BY id DESC LIMIT 1`
+        : `SELECT * FROM receipts WHERE invoice_id = ? AND receipt_number = ? ORDER BY id DESC LIMIT 1`;
+
+      const [existingReceipts] = await sequelize.query(existingReceiptQuery, {
+        replacements: tenantId ? [tenantId, invoice.id, receiptNumber] : [invoice.id, receiptNumber]
+      });
+
+      if (existingReceipts && existingReceipts.length > 0) {
+        existingReceipt = existingReceipts[0];
+      }
+    }
+  } catch (checkError) {
+    console.warn('Could not check for existing receipt:', checkError.message);
+    // Continue - will generate new receipt
+  }
+
+  // Get store info
+  // For free users, they don't have physical stores, so use tenant info or empty store
+  const store = invoice.Store || {};
+
+  // Receipts shouldn't contain logos - use default brand colors
+  const brandColors = {
+    primary: '#2563EB'
+  };
+
+  // Prepare receipt data
+  const receiptData = {
+    receipt_number: receiptNumber,
+    transaction_date: invoice.issue_date || new Date().toISOString().split('T')[0],
+    transaction_time: new Date().toLocaleTimeString(),
+    currency: invoice.currency || 'NGN',
+    currency_symbol: invoice.currency_symbol || (invoice.currency === 'USD' ? '$' : invoice.currency === 'GBP' ? '£' : invoice.currency === 'EUR' ? '€' : invoice.currency === 'NGN' ? '₦' : '$'),
+    subtotal: Number(invoice.subtotal || 0),
+    tax_amount: Number(invoice.tax_amount || 0),
+    discount_amount: Number(invoice.discount_amount || 0),
+    total: invoiceTotal,
+    amount_paid: amountPaid,
+    balance_due: balanceDue,
+    payment_method: invoice.payment_method || 'Cash',
+    items: invoiceItems.map(item => ({
+      item_name: item.item_name,
+      quantity: Number(item.quantity || 0),
+      unit_price: Number(item.unit_price || item.price || 0),
+      price: Number(item.unit_price || item.price || 0),
+      total: Number(item.total || (Number(item.quantity || 0) * Number(item.unit_price || item.price || 0)))
+    })),
+    company_name: store.name || 'Business',
+    primary_color: brandColors.primary || '#2563EB'
+  };
+
+  // If receipt already exists, return it instead of generating a new one
+  if (existingReceipt) {
+    return {
+      alreadyExists: true,
+      receipt: existingReceipt,
+      receiptNumber,
+      receiptData,
+      previewUrl: toFullUrl(existingReceipt.preview_url),
+      pdfUrl: toFullUrl(existingReceipt.pdf_url),
+      escPosCommands: existingReceipt.esc_pos_commands || null,
+      escPosCommandsLength: existingReceipt.esc_pos_commands ? Buffer.from(existingReceipt.esc_pos_commands, 'base64').length : 0
+    };
+  }
+
+  // Generate receipt HTML
+  // Receipts don't include logos - pass null for logoUrl
+  const receiptHtml = generateReceiptTemplate({
+    receipt: receiptData,
+    store: store,
+    items: invoiceItems,
+    logoUrl: null, // Receipts don't contain logos
+    colors: brandColors,
+    digitalStamp: includeStamp ? {
+      company_name: store.name || 'Business',
+      style: stampStyle
+    } : null
+  });
+
+  // Generate PDF and preview
+  let pdfUrl = null;
+  let previewUrl = null;
+
+  try {
+    const result = await generateInvoicePdfAndPreview({
+      html: receiptHtml,
+      invoiceId: invoice.id,
+      templateId: 'receipt'
+    });
+
+    pdfUrl = toFullUrl(normalizePath(result.pdfPath));
+    previewUrl = toFullUrl(normalizePath(result.previewPath));
+  } catch (pdfError) {
+    console.error('Error generating PDF/preview for receipt:', pdfError);
+    // Continue without PDF - ESC/POS will still work
+  }
+
+  // Generate ESC/POS commands
+  let escPosCommands = null;
+  let escPosCommandsBase64 = null;
+
+  try {
+    escPosCommands = await generateEscPosReceipt(receiptData, {
+      includeStamp,
+      stampStyle,
+      maxWidth: 200
+    });
+    escPosCommandsBase64 = escPosCommands.toString('base64');
+  } catch (escPosError) {
+    console.error('Error generating ESC/POS commands:', escPosError);
+    // Continue without ESC/POS - PDF/preview will still work
+  }
+
+  // Save receipt to database (if receipts table exists)
+  let savedReceipt = null;
+  try {
+    if (await receiptsTableExists(sequelize)) {
+      const receiptInsertQuery = tenantId
+        ? `INSERT INTO receipts (tenant_id, invoice_id, receipt_number, preview_url, pdf_url, esc_pos_commands, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, NOW())`
+        : `INSERT INTO receipts (invoice_id, receipt_number, preview_url, pdf_url, esc_pos_commands, created_at)
+           VALUES (?, ?, ?, ?, ?, NOW())`;
+
+      const receiptParams = tenantId
+        ? [tenantId, invoice.id, receiptNumber, previewUrl, pdfUrl, escPosCommandsBase64]
+        : [invoice.id, receiptNumber, previewUrl, pdfUrl, escPosCommandsBase64];
+
+      await sequelize.query(receiptInsertQuery, {
+        replacements: receiptParams
+      });
+
+      // Fetch saved receipt
+      const [savedReceipts] = await sequelize.query(
+        tenantId
+          ? `SELECT * FROM receipts WHERE tenant_id = ? AND invoice_id = ? ORDER BY id DESC LIMIT 1`
+          : `SELECT * FROM receipts WHERE invoice_id = ? ORDER BY id DESC LIMIT 1`,
+        {
+          replacements: tenantId ? [tenantId, invoice.id] : [invoice.id]
+        }
+      );
+
+      if (savedReceipts && savedReceipts.length > 0) {
+        savedReceipt = savedReceipts[0];
+      }
+    }
+  } catch (saveError) {
+    console.warn('Could not save receipt to database (table may not exist):', saveError.message);
+    // Continue - receipt generation still works
+  }
+
+  return {
+    alreadyExists: false,
+    receipt: savedReceipt,
+    receiptNumber,
+    receiptData,
+    previewUrl,
+    pdfUrl,
+    escPosCommands: escPosCommandsBase64,
+    escPosCommandsLength: escPosCommands ? escPosCommands.length : 0
+  };
+}
+
+module.exports = {
+  createInvoiceReceipt
+};
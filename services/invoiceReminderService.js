@@ -0,0 +1,415 @@
+/**
+ * Invoice Reminder Service
+ * Daily job that flips past-due invoices to overdue and emails payment reminders
+ * (before due / on due / N days after) with the invoice PDF attached, keeping a per-invoice history
+ */
+
+const fs = require('fs');
+const moment = require('moment');
+const { Sequelize } = require('sequelize');
+const { Tenant } = require('../config/tenant');
+const { getTenantConnection } = require('../config/database');
+const initModels = require('../models');
+const { renderInvoiceHtml } = require('./invoiceHtmlRenderer');
+const { generateInvoicePdfAndPreview } = require('./invoicePdfService');
+const { buildInvoicePaymentLink } = require('./invoicePaymentLinkService');
+
+// Used when a tenant has not saved reminder settings yet
+const DEFAULT_REMINDER_SETTINGS = {
+  is_enabled: true,
+  days_before_due: [3],
+  remind_on_due_date: true,
+  days_after_due: [1, 7, 14],
+  attach_pdf: true,
+  auto_mark_overdue: true
+};
+
+// Statuses that still expect payment
+const OUTSTANDING_STATUSES = ['sent', 'partially_paid', 'overdue'];
+
+// Scheduler state (one run per day per process)
+const CHECK_INTERVAL_MS = 15 * 60 * 1000;
+let schedulerTimer = null;
+let lastRunDate = null;
+let isRunning = false;
+
+/**
+ * Normalise a JSON day list ("[3, 7]", [3, "7"], null) to unique positive integers
+ */
+function parseDayList(value, fallback) {
+  let days = value;
+  if (typeof days === 'string') {
+    try {
+      days = JSON.parse(days);
+    } catch (parseError) {
+      days = null;
+    }
+  }
+  if (!Array.isArray(days)) {
+    return fallback;
+  }
+  return [...new Set(days.map(day => parseInt(day)).filter(day => day > 0))].sort((a, b) => a - b);
+}
+
+/**
+ * Get the tenant's reminder settings (defaults if none saved)
+ * @param {Object} models - Tenant models
+ * @param {number} tenantId - Tenant ID (free users, shared DB) or null
+ * @returns {Promise<Object>} - Plain settings object
+ */
+async function getReminderSettings(models, tenantId = null) {
+  const setting = await models.InvoiceReminderSetting.findOne({
+    where: tenantId ? { tenant_id: tenantId } : {}
+  });
+
+  if (!setting) {
+    return { ...DEFAULT_REMINDER_SETTINGS };
+  }
+
+  return {
+    is_enabled: setting.is_enabled,
+    days_before_due: parseDayList(setting.days_before_due, DEFAULT_REMINDER_SETTINGS.days_before_due),
+    remind_on_due_date: setting.remind_on_due_date,
+    days_after_due: parseDayList(setting.days_after_due, DEFAULT_REMINDER_SETTINGS.days_after_due),
+    attach_pdf: setting.attach_pdf,
+    auto_mark_overdue: setting.auto_mark_overdue
+  };
+}
+
+/**
+ * Work out which scheduled reminder (if any) is due for an invoice today
+ * Only the latest reached stage is sent, so a missed run never triggers a burst of old reminders
+ * @param {Object} invoice - Invoice instance
+ * @param {Object} settings - Reminder settings
+ * @param {Array} sentReminders - InvoiceReminder rows already sent for this invoice
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Object|null} - { reminderType, daysOffset }
+ */
+function getDueReminderStage(invoice, settings, sentReminders, today) {
+  const dueDate = moment(invoice.due_date);
+  const stages = [
+    ...settings.days_before_due.map(days => ({
+      reminderType: 'before_due',
+      daysOffset: days,
+      date: dueDate.clone().subtract(days, 'days').format('YYYY-MM-DD')
+    })),
+    ...(settings.remind_on_due_date
+      ? [{ reminderType: 'on_due', daysOffset: 0, date: dueDate.format('YYYY-MM-DD') }]
+      : []),
+    ...settings.days_after_due.map(days => ({
+      reminderType: 'after_due',
+      daysOffset: days,
+      date: dueDate.clone().add(days, 'days').format('YYYY-MM-DD')
+    }))
+  ];
+
+  const issueDate = invoice.issue_date ? moment(invoice.issue_date).format('YYYY-MM-DD') : null;
+  const reached = stages
+    .filter(stage => stage.date <= today && (!issueDate || stage.date >= issueDate))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  if (reached.length === 0) {
+    return null;
+  }
+
+  const latest = reached[reached.length - 1];
+  const alreadySent = sentReminders.some(reminder =>
+    reminder.reminder_type === latest.reminderType && reminder.days_offset === latest.daysOffset
+  );
+
+  return alreadySent ? null : { reminderType: latest.reminderType, daysOffset: latest.daysOffset };
+}
+
+/**
+ * Render the invoice to PDF for attaching to the reminder
+ * @returns {Promise<Object|null>} - { pdfPath, previewPath } or null if rendering failed
+ */
+async function renderInvoicePdf(invoice, tenant) {
+  try {
+    const invoiceJson = invoice.toJSON ? invoice.toJSON() : invoice;
+    const html = renderInvoiceHtml({
+      invoice: {
+        ...invoiceJson,
+        logoUrl: tenant.logo_url || null
+      },
+      template: { layout: [] },
+      brandColors: {
+        primary: '#0F172A',
+        secondary: '#64748B',
+        accent: '#4F46E5',
+        text: '#0F172A',
+        background: '#F9FAFB',
+        border: '#E5E7EB',
+        table_header: '#111827',
+        table_row_alt: '#F3F4F6'
+      }
+    });
+
+    return await generateInvoicePdfAndPreview({
+      html,
+      invoiceId: invoice.id,
+      templateId: 'reminder'
+    });
+  } catch (error) {
+    console.error(`Could not render PDF for invoice ${invoice.id} reminder:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Remove generated reminder files once the email has gone out
+ */
+function removeGeneratedFiles(result) {
+  if (!result) return;
+  for (const filePath of [result.pdfPath, result.previewPath]) {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+}
+
+/**
+ * Send a reminder for one invoice and record it in the reminder history
+ * @param {Object} models - Tenant models
+ * @param {Object} options
+ * @param {Object} options.tenant - Tenant (name/logo for branding)
+ * @param {Object} options.invoice - Invoice instance with Customer, Store and InvoiceItems loaded
+ * @param {string} options.reminderType - before_due, on_due, after_due or manual
+ * @param {number} options.daysOffset - Days before/after due date
+ * @param {boolean} options.attachPdf - Attach the rendered invoice PDF
+ * @param {number} options.sentBy - User who triggered a manual reminder (optional)
+ * @returns {Promise<Object>} - Created InvoiceReminder
+ */
+async function sendInvoiceReminder(models, options) {
+  const { tenant, invoice, reminderType, daysOffset = 0, attachPdf = true, sentBy = null } = options;
+
+  const customer = invoice.Customer || {};
+  const customerEmail = customer.email || null;
+
+  let status = 'sent';
+  let errorMessage = null;
+  let pdfResult = null;
+
+  if (!customerEmail) {
+    status = 'failed';
+    errorMessage = 'Customer has no email address';
+  } else {
+    try {
+      if (attachPdf) {
+        pdfResult = await renderInvoicePdf(invoice, tenant);
+      }
+
+      const { sendInvoiceReminderEmail } = require('./emailService');
+      await sendInvoiceReminderEmail({
+        tenant,
+        invoice: invoice.toJSON ? invoice.toJSON() : invoice,
+        customerEmail,
+        customerName: customer.name || 'Customer',
+        reminderType,
+        daysOffset,
+        paymentLink: buildInvoicePaymentLink(tenant.id, invoice.id).url,
+        attachments: pdfResult && pdfResult.pdfPath
+          ? [{ filename: `${invoice.invoice_number}.pdf`, path: pdfResult.pdfPath }]
+          : []
+      });
+    } catch (error) {
+      status = 'failed';
+      errorMessage = error.message;
+    } finally {
+      removeGeneratedFiles(pdfResult);
+    }
+  }
+
+  return models.InvoiceReminder.create({
+    tenant_id: invoice.tenant_id || null,
+    invoice_id: invoice.id,
+    reminder_type: reminderType,
+    days_offset: daysOffset,
+    sent_to: customerEmail,
+    status,
+    balance_due: invoice.balance_due,
+    pdf_attached: status === 'sent' && !!(pdfResult && pdfResult.pdfPath),
+    error_message: errorMessage,
+    sent_by: sentBy,
+    sent_at: new Date()
+  });
+}
+
+/**
+ * Flip outstanding invoices past their due date to overdue
+ * @param {Object} models - Tenant models
+ * @param {number} tenantId - Tenant ID (free users, shared DB) or null
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Promise<number>} - Number of invoices marked overdue
+ */
+async function markOverdueInvoices(models, tenantId, today) {
+  const [affectedCount] = await models.Invoice.update(
+    { status: 'overdue' },
+    {
+      where: {
+        ...(tenantId ? { tenant_id: tenantId } : {}),
+        status: { [Sequelize.Op.in]: ['sent', 'partially_paid'] },
+        due_date: { [Sequelize.Op.lt]: today },
+        balance_due: { [Sequelize.Op.gt]: 0 }
+      }
+    }
+  );
+
+  return affectedCount;
+}
+
+/**
+ * Run overdue detection and scheduled reminders for one tenant
+ * @param {Object} models - Tenant models
+ * @param {Object} tenant - Tenant record
+ * @returns {Promise<Object>} - { marked_overdue, reminders_sent, reminders_failed }
+ */
+async function processTenantInvoiceReminders(models, tenant) {
+  const tenantId = tenant.subscription_plan === 'free' ? tenant.id : null;
+  const today = moment().format('YYYY-MM-DD');
+  const settings = await getReminderSettings(models, tenantId);
+  const summary = { marked_overdue: 0, reminders_sent: 0, reminders_failed: 0 };
+
+  if (settings.auto_mark_overdue) {
+    summary.marked_overdue = await markOverdueInvoices(models, tenantId, today);
+  }
+
+  if (!settings.is_enabled) {
+    return summary;
+  }
+
+  // Nothing can be due before the earliest configured "days before" reminder
+  const lookaheadDays = Math.max(0, ...settings.days_before_due);
+  const invoices = await models.Invoice.findAll({
+    where: {
+      ...(tenantId ? { tenant_id: tenantId } : {}),
+      status: { [Sequelize.Op.in]: OUTSTANDING_STATUSES },
+      reminders_enabled: true,
+      balance_due: { [Sequelize.Op.gt]: 0 },
+      due_date: {
+        [Sequelize.Op.ne]: null,
+        [Sequelize.Op.lte]: moment(today).add(lookaheadDays, 'days').format('YYYY-MM-DD')
+      }
+    },
+    include: [
+      {
+        model: models.Customer,
+        required: false,
+        attributes: ['id', 'name', 'email', 'phone', 'address', 'city', 'state', 'country']
+      },
+      {
+        model: models.Store,
+        required: false,
+        attributes: ['id', 'name', 'address', 'city', 'state', 'country', 'phone', 'email']
+      },
+      {
+        model: models.InvoiceItem
+      },
+      {
+        model: models.InvoiceReminder,
+        required: false,
+        where: { status: 'sent' }
+      }
+    ]
+  });
+
+  for (const invoice of invoices) {
+    // No address to remind - don't fill the history with daily failures
+    if (!invoice.Customer || !invoice.Customer.email) continue;
+
+    const stage = getDueReminderStage(invoice, settings, invoice.InvoiceReminders || [], today);
+    if (!stage) continue;
+
+    try {
+      const reminder = await sendInvoiceReminder(models, {
+        tenant,
+        invoice,
+        reminderType: stage.reminderType,
+        daysOffset: stage.daysOffset,
+        attachPdf: settings.attach_pdf
+      });
+
+      if (reminder.status === 'sent') {
+        summary.reminders_sent++;
+      } else {
+        summary.reminders_failed++;
+      }
+    } catch (error) {
+      summary.reminders_failed++;
+      console.error(`Error sending reminder for invoice ${invoice.id}:`, error);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Scan every active tenant database for overdue invoices and due reminders
+ */
+async function runInvoiceReminderJob() {
+  const tenants = await Tenant.findAll({ where: { status: 'active' } });
+  console.log(`[Invoice Reminders] Processing ${tenants.length} tenants`);
+
+  for (const tenant of tenants) {
+    try {
+      const sequelize = await getTenantConnection(tenant.id, tenant.subscription_plan || 'enterprise');
+      const models = initModels(sequelize);
+      const summary = await processTenantInvoiceReminders(models, tenant);
+
+      if (summary.marked_overdue || summary.reminders_sent || summary.reminders_failed) {
+        console.log(`[Invoice Reminders] Tenant ${tenant.id}:`, summary);
+      }
+    } catch (error) {
+      // One tenant's DB being unavailable must not stop the rest
+      console.error(`[Invoice Reminders] Failed for tenant ${tenant.id}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Start the daily reminder scheduler
+ * Runs once per day after INVOICE_REMINDER_HOUR (server time, default 8).
+ * Set INVOICE_REMINDERS_ENABLED=false to disable (e.g. on secondary app instances).
+ */
+function startInvoiceReminderScheduler() {
+  if (schedulerTimer || process.env.INVOICE_REMINDERS_ENABLED === 'false') {
+    return;
+  }
+
+  const runHour = process.env.INVOICE_REMINDER_HOUR !== undefined
+    ? parseInt(process.env.INVOICE_REMINDER_HOUR)
+    : 8;
+
+  const tick = async () => {
+    const now = moment();
+    const today = now.format('YYYY-MM-DD');
+    if (isRunning || lastRunDate === today || now.hour() < runHour) {
+      return;
+    }
+
+    isRunning = true;
+    lastRunDate = today;
+    try {
+      await runInvoiceReminderJob();
+    } catch (error) {
+      console.error('[Invoice Reminders] Job failed:', error);
+    } finally {
+      isRunning = false;
+    }
+  };
+
+  schedulerTimer = setInterval(tick, CHECK_INTERVAL_MS);
+  // Don't keep the process alive just for the scheduler
+  schedulerTimer.unref();
+  console.log(`Invoice reminder scheduler started (daily after ${runHour}:00)`);
+}
+
+module.exports = {
+  DEFAULT_REMINDER_SETTINGS,
+  getReminderSettings,
+  getDueReminderStage,
+  sendInvoiceReminder,
+  processTenantInvoiceReminders,
+  runInvoiceReminderJob,
+  startInvoiceReminderScheduler
+};
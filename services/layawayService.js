@@ -0,0 +1,309 @@
+/**
+ * Layaway Service
+ * Layaway orders for POS: stock reserved per store in ProductStore.reserved_quantity (held back from
+ * Product.stock, the counter POS sales draw on), deposit and cancellation rules, expiry of unpaid
+ * layaways, and turning a fully paid layaway into a POS sale
+ */
+
+const { Sequelize } = require('sequelize');
+const { consumeBatchesFefo, formatBatchAllocations } = require('./productBatchService');
+const { accrueSaleCommission } = require('./commissionService');
+const { validatePrescriptionForSale, recordDispensing } = require('./prescriptionService');
+const { round2, generateNumber } = require('./numberService');
+
+const LAYAWAY_TENDER_TYPES = ['cash', 'card', 'transfer', 'mobile_money', 'other'];
+const MIN_DEPOSIT_PERCENTAGE = parseFloat(process.env.LAYAWAY_MIN_DEPOSIT_PERCENTAGE || '20');
+const DURATION_DAYS = parseInt(process.env.LAYAWAY_DURATION_DAYS || '30');
+const CANCELLATION_FEE_PERCENTAGE = parseFloat(process.env.LAYAWAY_CANCELLATION_FEE_PERCENTAGE || '10');
+const HOLD_EXPIRY_HOURS = parseInt(process.env.POS_HOLD_EXPIRY_HOURS || '24');
+
+/**
+ * Held basket and layaway rules (env overridable; layaway values may be set per order)
+ * @returns {Object} - { min_deposit_percentage, duration_days, cancellation_fee_percentage, hold_expiry_hours }
+ */
+function getLayawaySettings() {
+  return {
+    min_deposit_percentage: MIN_DEPOSIT_PERCENTAGE,
+    duration_days: DURATION_DAYS,
+    cancellation_fee_percentage: CANCELLATION_FEE_PERCENTAGE,
+    hold_expiry_hours: HOLD_EXPIRY_HOURS
+  };
+}
+
+/**
+ * Units of a product reserved for layaways across all stores
+ * @param {Object} models - Tenant models
+ * @param {number} productId
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<number>}
+ */
+async function getReservedQuantity(models, productId, transaction = null) {
+  const reserved = await models.ProductStore.sum('reserved_quantity', {
+    where: { product_id: productId },
+    transaction
+  });
+  return parseInt(reserved || 0);
+}
+
+/**
+ * Units of a product that can still be sold or reserved: Product.stock less every layaway reservation
+ * @param {Object} models - Tenant models
+ * @param {Object} product - Product
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<number>}
+ */
+async function getAvailableStock(models, product, transaction = null) {
+  const reserved = await getReservedQuantity(models, product.id, transaction);
+  return parseInt(product.stock || 0) - reserved;
+}
+
+/**
+ * Reserve stock for layaway items (Product.stock minus what is already reserved must cover each line)
+ * The product row is locked so a reservation and a sale of the last units cannot both go through
+ * @param {Object} models - Tenant models
+ * @param {Object} options
+ * @param {number} options.storeId
+ * @param {Array} options.items - [{ product_id, product_name, quantity }]
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} - { valid, message }
+ */
+async function reserveStock(models, { storeId, items }, transaction) {
+  for (const item of items) {
+    const productStore = await models.ProductStore.findOne({
+      where: { product_id: item.product_id, store_id: storeId },
+      transaction
+    });
+
+    if (!productStore) {
+      return { valid: false, message: `${item.product_name} is not stocked in this store` };
+    }
+
+    const product = await models.Product.findByPk(item.product_id, { lock: true, transaction });
+    const available = product ? await getAvailableStock(models, product, transaction) : 0;
+    if (available < item.quantity) {
+      return {
+        valid: false,
+        message: `Insufficient stock for ${item.product_name}. Available: ${Math.max(available, 0)}, Requested: ${item.quantity}`
+      };
+    }
+
+    await productStore.update({
+      reserved_quantity: parseInt(productStore.reserved_quantity || 0) + parseInt(item.quantity)
+    }, { transaction });
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Release stock reserved for a layaway's items
+ * @param {Object} models - Tenant models
+ * @param {Object} layaway - LayawayOrder
+ * @param {Array} items - LayawayItems
+ * @param {Object} transaction - Sequelize transaction
+ */
+async function releaseReservedStock(models, layaway, items, transaction) {
+  for (const item of items) {
+    const productStore = await models.ProductStore.findOne({
+      where: { product_id: item.product_id, store_id: layaway.store_id },
+      transaction
+    });
+    if (!productStore) continue;
+
+    await productStore.update({
+      reserved_quantity: Math.max(parseInt(productStore.reserved_quantity || 0) - item.quantity, 0)
+    }, { transaction });
+  }
+}
+
+/**
+ * Fee kept and amount returned when a layaway is cancelled or expires
+ * @param {Object} layaway - LayawayOrder
+ * @param {number|null} feeOverride - Fixed fee set by a manager (NULL to use the order's percentage)
+ * @returns {Object} - { cancellation_fee, refund_amount }
+ */
+function calculateCancellation(layaway, feeOverride = null) {
+  const amountPaid = round2(layaway.amount_paid);
+  const fee = feeOverride !== null && feeOverride !== undefined
+    ? round2(feeOverride)
+    : round2(amountPaid * (parseFloat(layaway.cancellation_fee_percentage || 0) / 100));
+  const cancellationFee = Math.min(fee, amountPaid);
+
+  return {
+    cancellation_fee: cancellationFee,
+    refund_amount: round2(amountPaid - cancellationFee)
+  };
+}
+
+/**
+ * Expire active layaways past their expiry date: release reserved stock and work out the refund due
+ * @param {Object} models - Tenant models
+ * @param {Object} options
+ * @param {number} options.storeId - Optional store filter
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<number>} - Number of layaways expired
+ */
+async function expireLayaways(models, { storeId = null } = {}, transaction) {
+  const where = {
+    status: 'active',
+    expires_at: { [Sequelize.Op.lt]: new Date() }
+  };
+  if (storeId) where.store_id = storeId;
+
+  const overdue = await models.LayawayOrder.findAll({
+    where,
+    include: [{ model: models.LayawayItem }],
+    transaction
+  });
+
+  for (const layaway of overdue) {
+    await releaseReservedStock(models, layaway, layaway.LayawayItems || [], transaction);
+
+    const { cancellation_fee: cancellationFee, refund_amount: refundAmount } = calculateCancellation(layaway);
+    await layaway.update({
+      status: 'expired',
+      cancellation_fee: cancellationFee,
+      refund_due: refundAmount
+    }, { transaction });
+  }
+
+  return overdue.length;
+}
+
+/**
+ * Turn a fully paid layaway into a completed POS sale: release the reservation, take the goods
+ * out of stock and record the payments as the sale's tenders
+ * The sale has no till session; its money was counted in the tills that took each payment.
+ * Prescription-only goods are handed over against the layaway's prescription, re-checked here
+ * @param {Object} models - Tenant models
+ * @param {Object} layaway - LayawayOrder
+ * @param {Object} options
+ * @param {number} options.userId - Staff / user completing the layaway
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} - { valid, posTransaction } or { valid: false, status, message }
+ */
+async function completeLayaway(models, layaway, { userId }, transaction) {
+  const [items, payments] = await Promise.all([
+    models.LayawayItem.findAll({ where: { layaway_order_id: layaway.id }, transaction }),
+    models.LayawayPayment.findAll({ where: { layaway_order_id: layaway.id }, transaction })
+  ]);
+
+  const prescriptionResult = await validatePrescriptionForSale(models, {
+    prescriptionId: layaway.prescription_id || null,
+    customerId: layaway.customer_id,
+    items,
+    transaction
+  });
+
+  if (!prescriptionResult.valid) {
+    return { valid: false, status: 400, message: prescriptionResult.message };
+  }
+
+  // Amount taken per tender type across the deposit and instalments
+  const tenderTotals = {};
+  payments.forEach(payment => {
+    tenderTotals[payment.tender_type] = round2((tenderTotals[payment.tender_type] || 0) + parseFloat(payment.amount || 0));
+  });
+  const tenderTypes = Object.keys(tenderTotals);
+
+  const posTransaction = await models.POSTransaction.create({
+    transaction_number: generateNumber('POS'),
+    store_id: layaway.store_id,
+    staff_id: layaway.staff_id,
+    customer_id: layaway.customer_id,
+    subtotal: layaway.subtotal,
+    tax_amount: layaway.tax_amount,
+    discount_amount: layaway.discount_amount,
+    total: layaway.total,
+    payment_method: tenderTypes.length === 1 ? tenderTypes[0] : 'split',
+    amount_paid: layaway.amount_paid,
+    change_amount: 0,
+    status: 'completed',
+    cash_drawer_session_id: null,
+    notes: `Layaway ${layaway.layaway_number}`
+  }, { transaction });
+
+  for (const tenderType of tenderTypes) {
+    await models.POSTransactionTender.create({
+      transaction_id: posTransaction.id,
+      tender_type: tenderType,
+      amount_tendered: tenderTotals[tenderType],
+      amount: tenderTotals[tenderType],
+      change_amount: 0
+    }, { transaction });
+  }
+
+  await releaseReservedStock(models, layaway, items, transaction);
+
+  const createdItems = [];
+  for (const item of items) {
+    createdItems.push(await models.POSTransactionItem.create({
+      transaction_id: posTransaction.id,
+      product_id: item.product_id,
+      product_name: item.product_name,
+      barcode: item.barcode,
+      quantity: item.quantity,
+      unit_price: item.unit_price,
+      discount_percentage: item.discount_percentage,
+      discount_amount: item.discount_amount,
+      total: item.total
+    }, { transaction }));
+
+    // Same stock counter as a till sale
+    const product = await models.Product.findByPk(item.product_id, { transaction });
+    if (product) {
+      await product.update({
+        stock: product.stock - item.quantity
+      }, { transaction });
+    }
+
+    const batchAllocations = await consumeBatchesFefo(models, {
+      productId: item.product_id,
+      storeId: layaway.store_id,
+      quantity: item.quantity,
+      transaction
+    });
+
+    await models.StockMovement.create({
+      product_id: item.product_id,
+      store_id: layaway.store_id,
+      movement_type: 'sale',
+      quantity: -item.quantity,
+      reference_type: 'pos_transaction',
+      reference_id: posTransaction.id,
+      notes: formatBatchAllocations(batchAllocations) || `Layaway ${layaway.layaway_number}`,
+      created_by: userId
+    }, { transaction });
+  }
+
+  if (prescriptionResult.prescription && prescriptionResult.dispensedItems.length > 0) {
+    await recordDispensing(models, prescriptionResult.prescription, {
+      items: prescriptionResult.dispensedItems,
+      posTransactionId: posTransaction.id,
+      dispensedBy: userId
+    }, transaction);
+  }
+
+  // Commission goes to the staff member who opened the layaway
+  await accrueSaleCommission(models, posTransaction, createdItems, transaction);
+
+  await layaway.update({
+    status: 'completed',
+    completed_at: new Date(),
+    pos_transaction_id: posTransaction.id
+  }, { transaction });
+
+  return { valid: true, posTransaction };
+}
+
+module.exports = {
+  LAYAWAY_TENDER_TYPES,
+  getLayawaySettings,
+  getReservedQuantity,
+  getAvailableStock,
+  reserveStock,
+  releaseReservedStock,
+  calculateCancellation,
+  expireLayaways,
+  completeLayaway
+};
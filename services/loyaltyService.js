@@ -0,0 +1,159 @@
+/**
+ * Loyalty Service
+ * Point redemption shared by the loyalty endpoints and POS (loyalty points as a tender),
+ * and restoring redeemed points when a sale paid with points is refunded
+ */
+
+/**
+ * Currency value of a number of points under a program
+ * @param {Object} program - LoyaltyProgram (redemption_rate points = currency_unit)
+ * @param {number} points
+ * @returns {number}
+ */
+function getRedemptionValue(program, points) {
+  return (parseFloat(points) / parseFloat(program.redemption_rate)) * parseFloat(program.currency_unit);
+}
+
+/**
+ * Customer's loyalty balance with its program
+ * Locked for the rest of the transaction when one is given, so concurrent redemptions queue on the balance
+ * @param {Object} models - Tenant models
+ * @param {number} customerId
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object|null>} - CustomerLoyaltyPoints with LoyaltyProgram
+ */
+function getCustomerPoints(models, customerId, transaction = null) {
+  return models.CustomerLoyaltyPoints.findOne({
+    where: { customer_id: customerId },
+    include: [
+      {
+        model: models.LoyaltyProgram
+      }
+    ],
+    lock: transaction ? true : undefined,
+    transaction
+  });
+}
+
+/**
+ * Check a redemption without applying it
+ * @param {Object} models - Tenant models
+ * @param {Object} options
+ * @param {number} options.customerId
+ * @param {number} options.points
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object>} - { valid, message, status, loyaltyPoints, redemption_value }
+ */
+async function validateRedemption(models, { customerId, points }, transaction = null) {
+  if (!customerId || !points || parseFloat(points) <= 0) {
+    return { valid: false, status: 400, message: 'customer_id and points_to_redeem are required' };
+  }
+
+  const loyaltyPoints = await getCustomerPoints(models, customerId, transaction);
+
+  if (!loyaltyPoints) {
+    return { valid: false, status: 404, message: 'Customer has no loyalty points' };
+  }
+
+  if (parseFloat(loyaltyPoints.available_points) < parseFloat(points)) {
+    return { valid: false, status: 400, message: 'Insufficient points' };
+  }
+
+  return {
+    valid: true,
+    loyaltyPoints,
+    redemption_value: getRedemptionValue(loyaltyPoints.LoyaltyProgram, points)
+  };
+}
+
+/**
+ * Redeem customer points and record the redemption
+ * @param {Object} models - Tenant models
+ * @param {Object} options
+ * @param {number} options.customerId
+ * @param {number} options.points - Points to redeem
+ * @param {string} options.description - Optional description
+ * @param {string} options.referenceType - e.g. pos_transaction
+ * @param {number} options.referenceId
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object>} - { valid, message, status, points_redeemed, redemption_value, remaining_points }
+ */
+async function redeemCustomerPoints(models, options, transaction = null) {
+  const { customerId, description, referenceType = null, referenceId = null } = options;
+  const points = parseFloat(options.points);
+
+  const validation = await validateRedemption(models, { customerId, points }, transaction);
+  if (!validation.valid) return validation;
+
+  const { loyaltyPoints, redemption_value: redemptionValue } = validation;
+  const program = loyaltyPoints.LoyaltyProgram;
+
+  // Update points
+  await loyaltyPoints.update({
+    redeemed_points: parseFloat(loyaltyPoints.redeemed_points) + points,
+    available_points: parseFloat(loyaltyPoints.available_points) - points
+  }, { transaction });
+
+  // Record transaction
+  await models.LoyaltyPointTransaction.create({
+    customer_id: customerId,
+    loyalty_program_id: program.id,
+    transaction_type: 'redeemed',
+    points: -points,
+    reference_type: referenceType,
+    reference_id: referenceId,
+    description: description || `Redeemed ${points} points (₦${redemptionValue.toFixed(2)} value)`
+  }, { transaction });
+
+  return {
+    valid: true,
+    points_redeemed: points,
+    redemption_value: redemptionValue,
+    remaining_points: parseFloat(loyaltyPoints.available_points)
+  };
+}
+
+/**
+ * Give back points redeemed on a sale that was refunded
+ * @param {Object} models - Tenant models
+ * @param {Object} options
+ * @param {number} options.customerId
+ * @param {number} options.points - Points to restore
+ * @param {string} options.referenceType
+ * @param {number} options.referenceId
+ * @param {string} options.description
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object|null>} - Updated CustomerLoyaltyPoints
+ */
+async function restoreRedeemedPoints(models, options, transaction = null) {
+  const { customerId, referenceType = null, referenceId = null, description } = options;
+  const points = parseFloat(options.points);
+  if (!customerId || !points) return null;
+
+  const loyaltyPoints = await getCustomerPoints(models, customerId, transaction);
+  if (!loyaltyPoints) return null;
+
+  await loyaltyPoints.update({
+    redeemed_points: Math.max(parseFloat(loyaltyPoints.redeemed_points) - points, 0),
+    available_points: parseFloat(loyaltyPoints.available_points) + points
+  }, { transaction });
+
+  await models.LoyaltyPointTransaction.create({
+    customer_id: customerId,
+    loyalty_program_id: loyaltyPoints.loyalty_program_id,
+    transaction_type: 'adjusted',
+    points,
+    reference_type: referenceType,
+    reference_id: referenceId,
+    description: description || `Restored ${points} redeemed points`
+  }, { transaction });
+
+  return loyaltyPoints;
+}
+
+module.exports = {
+  getRedemptionValue,
+  validateRedemption,
+  redeemCustomerPoints,
+  restoreRedeemedPoints
+};
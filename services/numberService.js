@@ -0,0 +1,30 @@
+/**
+ * Number Service
+ * Helpers shared by the POS, payments, payroll and stock modules: currency rounding and the
+ * PREFIX-timestamp-random reference numbers given to transactions, returns, tills and transfers
+ */
+
+/**
+ * Round to 2 decimal places (currency)
+ * @param {number|string} value - Anything parseFloat accepts; invalid or empty values count as 0
+ * @returns {number}
+ */
+function round2(value) {
+  return Math.round((parseFloat(value) || 0) * 100) / 100;
+}
+
+/**
+ * Generate unique reference number with a prefix (e.g. RET, TILL, LAY, TRF)
+ * @param {string} prefix - Record type prefix
+ * @returns {string} - e.g. RET-12345678-042
+ */
+function generateNumber(prefix) {
+  const timestamp = Date.now().toString().slice(-8);
+  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+  return `${prefix}-${timestamp}-${random}`;
+}
+
+module.exports = {
+  round2,
+  generateNumber
+};
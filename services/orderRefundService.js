@@ -0,0 +1,441 @@
+/**
+ * Order Refund Service
+ * Full and partial refunds of online store orders through Paystack/Flutterwave:
+ * refund calculation, gateway refund API calls, restocking of returned items and
+ * reversal of the platform fee recorded on the payment transaction.
+ *
+ * Set PAYMENT_REFUNDS_MOCK=true to skip the gateway APIs locally (refunds complete immediately).
+ */
+
+const axios = require('axios');
+const { Sequelize } = require('sequelize');
+const { round2 } = require('./numberService');
+
+/**
+ * Whether gateway refund calls are mocked (local development)
+ */
+function isMockMode() {
+  return process.env.PAYMENT_REFUNDS_MOCK === 'true';
+}
+
+/**
+ * Map Paystack refund status to our refund status
+ * Paystack: pending, processing, needs-attention, processed, failed
+ */
+function mapPaystackRefundStatus(status) {
+  if (status === 'processed') return 'completed';
+  if (status === 'failed') return 'failed';
+  return 'processing';
+}
+
+/**
+ * Map Flutterwave refund status to our refund status
+ * Flutterwave: pending, completed, failed
+ */
+function mapFlutterwaveRefundStatus(status) {
+  if (status === 'completed' || status === 'completed-offline') return 'completed';
+  if (status === 'failed') return 'failed';
+  return 'processing';
+}
+
+/**
+ * Request a refund from the payment gateway
+ * @param {Object} gateway - PaymentGateway instance
+ * @param {string} secretKey - Decrypted gateway secret key
+ * @param {Object} paymentTransaction - PaymentTransaction being refunded
+ * @param {number} amount - Amount to refund (major currency unit)
+ * @param {string} reason - Merchant note
+ * @returns {Promise<Object>} - { gatewayRefundId, status, response }
+ */
+async function requestGatewayRefund(gateway, secretKey, paymentTransaction, amount, reason) {
+  if (isMockMode()) {
+    return {
+      gatewayRefundId: `MOCK-${Date.now()}`,
+      status: 'completed',
+      response: { mock: true, amount, transaction_reference: paymentTransaction.transaction_reference }
+    };
+  }
+
+  if (gateway.gateway_name === 'paystack') {
+    try {
+      const response = await axios.post(
+        'https://api.paystack.co/refund',
+        {
+          transaction: paymentTransaction.transaction_reference,
+          amount: Math.round(amount * 100), // Paystack uses kobo
+          currency: paymentTransaction.currency || 'NGN',
+          merchant_note: reason || undefined
+        },
+        {
+          headers: {
+            'Authorization': `Bearer ${secretKey}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      const data = response.data.data;
+      return {
+        gatewayRefundId: data.id ? String(data.id) : null,
+        status: mapPaystackRefundStatus(data.status),
+        response: data
+      };
+    } catch (error) {
+      console.error('Paystack refund error:', error.response?.data || error.message);
+      throw new Error(error.response?.data?.message || 'Failed to create Paystack refund');
+    }
+  }
+
+  if (gateway.gateway_name === 'flutterwave') {
+    try {
+      // Flutterwave refunds need the Flutterwave transaction ID, not our tx_ref
+      const lookup = await axios.get(
+        'https://api.flutterwave.com/v3/transactions/verify_by_reference',
+        {
+          params: { tx_ref: paymentTransaction.transaction_reference },
+          headers: { 'Authorization': `Bearer ${secretKey}` }
+        }
+      );
+
+      const flutterwaveId = lookup.data.data.id;
+      const response = await axios.post(
+        `https://api.flutterwave.com/v3/transactions/${flutterwaveId}/refund`,
+        {
+          amount,
+          comments: reason || undefined
+        },
+        {
+          headers: {
+            'Authorization': `Bearer ${secretKey}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      const data = response.data.data;
+      return {
+        gatewayRefundId: data.id ? String(data.id) : null,
+        status: mapFlutterwaveRefundStatus(data.status),
+        response: data
+      };
+    } catch (error) {
+      console.error('Flutterwave refund error:', error.response?.data || error.message);
+      throw new Error(error.response?.data?.message || 'Failed to create Flutterwave refund');
+    }
+  }
+
+  throw new Error(`Refunds are not supported for ${gateway.gateway_name}`);
+}
+
+/**
+ * Fetch the current status of a refund from the gateway
+ * @returns {Promise<Object>} - { status, response }
+ */
+async function fetchGatewayRefundStatus(gateway, secretKey, refund) {
+  if (isMockMode() || !refund.gateway_refund_id) {
+    return { status: refund.status, response: refund.gateway_response };
+  }
+
+  if (gateway.gateway_name === 'paystack') {
+    const response = await axios.get(
+      `https://api.paystack.co/refund/${refund.gateway_refund_id}`,
+      { headers: { 'Authorization': `Bearer ${secretKey}` } }
+    );
+    const data = response.data.data;
+    return { status: mapPaystackRefundStatus(data.status), response: data };
+  }
+
+  if (gateway.gateway_name === 'flutterwave') {
+    const response = await axios.get(
+      `https://api.flutterwave.com/v3/refunds/${refund.gateway_refund_id}`,
+      { headers: { 'Authorization': `Bearer ${secretKey}` } }
+    );
+    const data = response.data.data;
+    return { status: mapFlutterwaveRefundStatus(data.status), response: data };
+  }
+
+  return { status: refund.status, response: refund.gateway_response };
+}
+
+/**
+ * Work out the refund amount and returned lines for a refund request
+ * @param {Object} paymentTransaction - Successful PaymentTransaction for the order
+ * @param {Array} orderItems - OnlineStoreOrderItem instances
+ * @param {Object} request
+ * @param {number} request.amount - Amount to refund (optional - defaults to the returned items or the full balance)
+ * @param {Array} request.items - Returned lines [{ order_item_id, quantity }] (optional)
+ * @param {number} request.reservedAmount - Amount already tied up in pending/processing refunds
+ * @returns {Object} - { valid, message } or { valid: true, amount, refundType, lines }
+ */
+function calculateRefund(paymentTransaction, orderItems, request = {}) {
+  const { amount, items, reservedAmount = 0 } = request;
+
+  const refundable = round2(
+    Number(paymentTransaction.amount || 0) - Number(paymentTransaction.refunded_amount || 0) - Number(reservedAmount || 0)
+  );
+
+  if (refundable <= 0) {
+    return { valid: false, message: 'Nothing left to refund on this order' };
+  }
+
+  let lines = [];
+  if (Array.isArray(items) && items.length > 0) {
+    for (const requested of items) {
+      const orderItem = orderItems.find(item => item.id === parseInt(requested.order_item_id, 10));
+      if (!orderItem) {
+        return { valid: false, message: `Order item ${requested.order_item_id} not found on this order` };
+      }
+
+      const quantity = parseInt(requested.quantity, 10);
+      const remainingQuantity = Number(orderItem.quantity || 0) - Number(orderItem.refunded_quantity || 0);
+      if (!quantity || quantity <= 0) {
+        return { valid: false, message: 'Each returned item must have a positive quantity' };
+      }
+      if (quantity > remainingQuantity) {
+        return {
+          valid: false,
+          message: `Cannot return ${quantity} of ${orderItem.product_name} - only ${remainingQuantity} left to refund`
+        };
+      }
+
+      lines.push({
+        order_item_id: orderItem.id,
+        product_id: orderItem.product_id,
+        variation_option_id: orderItem.variation_option_id || null,
+        product_name: orderItem.product_name,
+        quantity,
+        amount: round2(Number(orderItem.unit_price || 0) * quantity)
+      });
+    }
+  }
+
+  let refundAmount;
+  if (amount !== undefined && amount !== null && amount !== '') {
+    refundAmount = round2(amount);
+  } else if (lines.length > 0) {
+    refundAmount = Math.min(round2(lines.reduce((sum, line) => sum + line.amount, 0)), refundable);
+  } else {
+    // No amount and no items - refund everything that is left and return all remaining items
+    refundAmount = refundable;
+    lines = orderItems
+      .filter(item => Number(item.quantity || 0) - Number(item.refunded_quantity || 0) > 0)
+      .map(item => {
+        const quantity = Number(item.quantity || 0) - Number(item.refunded_quantity || 0);
+        return {
+          order_item_id: item.id,
+          product_id: item.product_id,
+          variation_option_id: item.variation_option_id || null,
+          product_name: item.product_name,
+          quantity,
+          amount: round2(Number(item.unit_price || 0) * quantity)
+        };
+      });
+  }
+
+  if (!refundAmount || refundAmount <= 0) {
+    return { valid: false, message: 'Refund amount must be greater than zero' };
+  }
+
+  if (refundAmount > refundable) {
+    return { valid: false, message: `Refund amount exceeds refundable balance of ${refundable.toFixed(2)}` };
+  }
+
+  const alreadyRefunded = Number(paymentTransaction.refunded_amount || 0) + Number(reservedAmount || 0);
+  const refundType = alreadyRefunded <= 0 && refundAmount >= round2(paymentTransaction.amount) ? 'full' : 'partial';
+
+  return { valid: true, amount: refundAmount, refundType, lines };
+}
+
+/**
+ * Share of the transaction's platform fee to reverse for a refund amount (pro rata)
+ * @returns {Object} - { platformFeeReversed, merchantAmountReversed }
+ */
+function calculateFeeReversal(paymentTransaction, refundAmount) {
+  const transactionAmount = Number(paymentTransaction.amount || 0);
+  const platformFee = Number(paymentTransaction.platform_fee || 0);
+
+  if (transactionAmount <= 0 || platformFee <= 0) {
+    return { platformFeeReversed: 0, merchantAmountReversed: round2(refundAmount) };
+  }
+
+  const platformFeeReversed = Math.min(round2(platformFee * (refundAmount / transactionAmount)), platformFee);
+  return {
+    platformFeeReversed,
+    merchantAmountReversed: round2(refundAmount - platformFeeReversed)
+  };
+}
+
+/**
+ * Put returned quantities back into stock and log a 'return' stock movement
+ * Enterprise orders restock the fulfilling store (ProductStore); free users restock the product itself
+ */
+async function restockRefundLines(models, order, refund, options = {}) {
+  const { isFreePlan = false, createdBy = null, transaction = null } = options;
+  const lines = Array.isArray(refund.items) ? refund.items : [];
+
+  for (const line of lines) {
+    if (!line.product_id || !line.quantity) continue;
+
+    if (line.variation_option_id) {
+      const option = await models.ProductVariationOption.findByPk(line.variation_option_id, { transaction });
+      if (option && option.stock !== null) {
+        await option.update({ stock: Number(option.stock) + line.quantity }, { transaction });
+      }
+    } else if (order.store_id && !isFreePlan) {
+      const productStore = await models.ProductStore.findOne({
+        where: { product_id: line.product_id, store_id: order.store_id },
+        transaction
+      });
+      if (productStore) {
+        await productStore.update({ stock: productStore.stock + line.quantity }, { transaction });
+      }
+    } else {
+      const product = await models.Product.findByPk(line.product_id, { transaction });
+      if (product && product.stock !== null) {
+        await product.update({ stock: Number(product.stock) + line.quantity }, { transaction });
+      }
+    }
+
+    // Stock movements are enterprise-only (no stock_movements table in the shared free database)
+    if (!isFreePlan) {
+      await models.StockMovement.create({
+        product_id: line.product_id,
+        store_id: order.store_id || null,
+        movement_type: 'return',
+        quantity: line.quantity,
+        reference_type: 'online_order_refund',
+        reference_id: refund.id,
+        notes: `Refund ${refund.refund_number} for order ${order.order_number}${refund.reason ? `: ${refund.reason}` : ''}`,
+        created_by: createdBy
+      }, { transaction });
+    }
+  }
+}
+
+// Refund statuses a gateway result may still move on from
+const OPEN_REFUND_STATUSES = ['pending', 'processing'];
+
+/**
+ * Apply a refund the gateway has confirmed: restock, update order/items and reverse the platform fee
+ * Idempotent - the refund row is re-read under a lock and only a pending/processing refund is applied,
+ * so the API response, the sync endpoint and the webhooks can all report completion at the same time
+ * @param {Object} models - Tenant models
+ * @param {Object} refund - OnlineStoreOrderRefund instance (reloaded with its locked row)
+ * @param {Object} options
+ * @param {boolean} options.isFreePlan - Shared database tenant
+ * @param {number} options.createdBy - Staff/user ID for stock movements
+ * @param {Object} options.gatewayResponse - Latest gateway payload (optional)
+ * @param {Object} options.transaction - Sequelize transaction
+ * @returns {Promise<boolean>} - true if the refund was applied now
+ */
+async function completeRefund(models, refund, options = {}) {
+  const { isFreePlan = false, createdBy = null, gatewayResponse, transaction = null } = options;
+  const lock = transaction ? transaction.LOCK.UPDATE : undefined;
+
+  await refund.reload({ lock, transaction });
+  if (!OPEN_REFUND_STATUSES.includes(refund.status)) {
+    return false;
+  }
+
+  // Locked so two refunds on the same order add up their amounts one after the other
+  const order = await models.OnlineStoreOrder.findByPk(refund.order_id, { lock, transaction });
+  const paymentTransaction = await models.PaymentTransaction.findByPk(refund.payment_transaction_id, { lock, transaction });
+
+  if (refund.restock && order) {
+    await restockRefundLines(models, order, refund, { isFreePlan, createdBy, transaction });
+  }
+
+  // Track returned quantities so the same units can't be refunded twice
+  const lines = Array.isArray(refund.items) ? refund.items : [];
+  for (const line of lines) {
+    const orderItem = await models.OnlineStoreOrderItem.findByPk(line.order_item_id, { transaction });
+    if (orderItem) {
+      await orderItem.update({
+        refunded_quantity: Number(orderItem.refunded_quantity || 0) + line.quantity
+      }, { transaction });
+    }
+  }
+
+  if (paymentTransaction) {
+    const refundedAmount = round2(Number(paymentTransaction.refunded_amount || 0) + Number(refund.amount));
+    await paymentTransaction.update({
+      refunded_amount: refundedAmount,
+      platform_fee: Math.max(round2(Number(paymentTransaction.platform_fee || 0) - Number(refund.platform_fee_reversed || 0)), 0),
+      merchant_amount: Math.max(round2(Number(paymentTransaction.merchant_amount || 0) - Number(refund.merchant_amount_reversed || 0)), 0),
+      ...(refundedAmount >= round2(paymentTransaction.amount) && { status: 'refunded' })
+    }, { transaction });
+  }
+
+  if (order) {
+    const orderRefundedAmount = round2(Number(order.refunded_amount || 0) + Number(refund.amount));
+    const fullyRefunded = orderRefundedAmount >= round2(paymentTransaction ? paymentTransaction.amount : order.total);
+    await order.update({
+      refunded_amount: orderRefundedAmount,
+      payment_status: fullyRefunded ? 'refunded' : 'partially_refunded'
+    }, { transaction });
+  }
+
+  await refund.update({
+    status: 'completed',
+    processed_at: new Date(),
+    ...(refund.restock && { restocked_at: new Date() }),
+    ...(gatewayResponse !== undefined && { gateway_response: gatewayResponse })
+  }, { transaction });
+
+  return true;
+}
+
+/**
+ * Mark a refund as failed (nothing is restocked or reversed)
+ * Only a refund that is still pending/processing is changed, so a failure never overwrites a completion
+ * @returns {Promise<boolean>} - true if the refund was marked failed now
+ */
+async function failRefund(models, refund, failureReason, gatewayResponse, transaction = null) {
+  const [updated] = await models.OnlineStoreOrderRefund.update({
+    status: 'failed',
+    failure_reason: failureReason || 'Refund failed at payment gateway',
+    processed_at: new Date(),
+    ...(gatewayResponse !== undefined && { gateway_response: gatewayResponse })
+  }, {
+    where: {
+      id: refund.id,
+      status: { [Sequelize.Op.in]: OPEN_REFUND_STATUSES }
+    },
+    transaction
+  });
+
+  await refund.reload({ transaction });
+  return updated > 0;
+}
+
+/**
+ * Record that the gateway accepted a refund request and is processing it
+ * The status only moves from pending, so a webhook that already completed or failed the refund wins
+ * @param {Object} models - Tenant models
+ * @param {Object} refund - OnlineStoreOrderRefund instance
+ * @param {Object} gatewayResult - requestGatewayRefund result
+ * @returns {Promise<void>}
+ */
+async function markRefundProcessing(models, refund, gatewayResult) {
+  await refund.update({ gateway_refund_id: gatewayResult.gatewayRefundId });
+
+  await models.OnlineStoreOrderRefund.update({
+    gateway_response: gatewayResult.response,
+    status: 'processing'
+  }, {
+    where: { id: refund.id, status: 'pending' }
+  });
+
+  await refund.reload();
+}
+
+module.exports = {
+  requestGatewayRefund,
+  fetchGatewayRefundStatus,
+  mapPaystackRefundStatus,
+  calculateRefund,
+  calculateFeeReversal,
+  completeRefund,
+  failRefund,
+  markRefundProcessing
+};
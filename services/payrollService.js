@@ -0,0 +1,353 @@
+/**
+ * Payroll Service
+ * Turns clocked attendance into payroll-ready timesheets: resolves pay rates (staff over role),
+ * splits hours into regular / overtime (daily and weekly thresholds), night and public holiday hours,
+ * and renders timesheets as CSV or printable HTML (for PDF)
+ */
+
+const { Sequelize } = require('sequelize');
+const moment = require('moment');
+const { round2 } = require('./numberService');
+
+/**
+ * Pay rate that applies to a staff member on a date
+ * An individual staff rate wins over the role default
+ * @param {Array} rates - Active StaffPayRate records
+ * @param {Object} staff - Staff record (id, role_id)
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object|null} - StaffPayRate
+ */
+function resolvePayRate(rates, staff, date) {
+  const applies = rate => rate.is_active !== false
+    && !moment(rate.effective_from).isAfter(date, 'day')
+    && (!rate.effective_to || !moment(rate.effective_to).isBefore(date, 'day'));
+  const latestFirst = (a, b) => moment(b.effective_from).diff(moment(a.effective_from));
+
+  const staffRate = rates.filter(rate => rate.staff_id === staff.id && applies(rate)).sort(latestFirst)[0];
+  if (staffRate) return staffRate;
+
+  return rates
+    .filter(rate => !rate.staff_id && staff.role_id && rate.role_id === staff.role_id && applies(rate))
+    .sort(latestFirst)[0] || null;
+}
+
+/**
+ * Minutes of a worked interval that fall inside the nightly window (e.g. 22:00-06:00)
+ * @param {Date} start - Clock in
+ * @param {Date} end - Clock out
+ * @param {string} nightStart - HH:mm:ss
+ * @param {string} nightEnd - HH:mm:ss
+ * @returns {number}
+ */
+function calculateNightMinutes(start, end, nightStart = '22:00:00', nightEnd = '06:00:00') {
+  const workStart = moment(start);
+  const workEnd = moment(end);
+  let minutes = 0;
+
+  // Windows starting the day before clock-in through the clock-out day
+  const day = workStart.clone().subtract(1, 'day').startOf('day');
+  while (day.isSameOrBefore(workEnd, 'day')) {
+    const date = day.format('YYYY-MM-DD');
+    const windowStart = moment(`${date} ${nightStart}`, 'YYYY-MM-DD HH:mm:ss');
+    const windowEnd = moment(`${date} ${nightEnd}`, 'YYYY-MM-DD HH:mm:ss');
+    if (!windowEnd.isAfter(windowStart)) {
+      windowEnd.add(1, 'day');
+    }
+
+    const overlapStart = moment.max(workStart, windowStart);
+    const overlapEnd = moment.min(workEnd, windowEnd);
+    if (overlapEnd.isAfter(overlapStart)) {
+      minutes += overlapEnd.diff(overlapStart, 'minutes');
+    }
+    day.add(1, 'day');
+  }
+
+  return minutes;
+}
+
+/**
+ * Hours and gross pay for one staff member's attendance in a period
+ * Overtime is the larger of daily overtime and weekly overtime; night and holiday hours
+ * earn a premium of (multiplier - 1) on top of their regular or overtime pay
+ * @param {Array} records - Clocked-out StaffAttendance records
+ * @param {Object} rate - StaffPayRate (null = hours only, no pay)
+ * @param {Set<string>} holidayDates - Public holiday dates (YYYY-MM-DD)
+ * @returns {Object}
+ */
+function calculateStaffPay(records, rate, holidayDates = new Set()) {
+  const dailyThreshold = rate ? parseFloat(rate.daily_overtime_after_hours || 8) : 8;
+  const weeklyThreshold = rate ? parseFloat(rate.weekly_overtime_after_hours || 40) : 40;
+
+  const days = {};
+  let nightMinutes = 0;
+  let holidayMinutes = 0;
+
+  records.forEach(record => {
+    const clockIn = moment(record.clock_in_time);
+    const clockOut = moment(record.clock_out_time);
+    const totalMinutes = Math.max(clockOut.diff(clockIn, 'minutes'), 0);
+    const breakMinutes = Math.min(record.break_duration || 0, totalMinutes);
+    const workedMinutes = totalMinutes - breakMinutes;
+    if (workedMinutes <= 0) return;
+
+    // Breaks are spread evenly so night minutes stay proportional to time actually worked
+    const workedRatio = totalMinutes > 0 ? workedMinutes / totalMinutes : 0;
+    const date = clockIn.format('YYYY-MM-DD');
+
+    days[date] = (days[date] || 0) + workedMinutes;
+    nightMinutes += calculateNightMinutes(
+      record.clock_in_time,
+      record.clock_out_time,
+      rate ? rate.night_start_time : undefined,
+      rate ? rate.night_end_time : undefined
+    ) * workedRatio;
+    if (holidayDates.has(date)) {
+      holidayMinutes += workedMinutes;
+    }
+  });
+
+  let totalHours = 0;
+  let dailyOvertime = 0;
+  const weeks = {};
+  Object.keys(days).forEach(date => {
+    const hours = days[date] / 60;
+    totalHours += hours;
+    dailyOvertime += Math.max(hours - dailyThreshold, 0);
+    const week = moment(date).format('GGGG-WW');
+    weeks[week] = (weeks[week] || 0) + hours;
+  });
+
+  const weeklyOvertime = Object.values(weeks).reduce((sum, hours) => sum + Math.max(hours - weeklyThreshold, 0), 0);
+  const overtimeHours = round2(Math.max(dailyOvertime, weeklyOvertime));
+  const regularHours = round2(Math.max(totalHours - overtimeHours, 0));
+  const nightHours = round2(nightMinutes / 60);
+  const holidayHours = round2(holidayMinutes / 60);
+
+  const hourlyRate = rate ? parseFloat(rate.hourly_rate) : 0;
+  const regularPay = round2(regularHours * hourlyRate);
+  const overtimePay = round2(overtimeHours * hourlyRate * (rate ? parseFloat(rate.overtime_multiplier) : 1));
+  const nightPremium = round2(nightHours * hourlyRate * Math.max((rate ? parseFloat(rate.night_multiplier) : 1) - 1, 0));
+  const holidayPremium = round2(holidayHours * hourlyRate * Math.max((rate ? parseFloat(rate.holiday_multiplier) : 1) - 1, 0));
+
+  return {
+    hourly_rate: round2(hourlyRate),
+    days_worked: Object.keys(days).length,
+    regular_hours: regularHours,
+    overtime_hours: overtimeHours,
+    night_hours: nightHours,
+    holiday_hours: holidayHours,
+    regular_pay: regularPay,
+    overtime_pay: overtimePay,
+    night_premium: nightPremium,
+    holiday_premium: holidayPremium,
+    gross_pay: round2(regularPay + overtimePay + nightPremium + holidayPremium)
+  };
+}
+
+/**
+ * Build timesheet lines for every staff member who worked at a store in the period
+ * @param {Object} models - Tenant models
+ * @param {Object} options
+ * @param {number} options.storeId - Store ID
+ * @param {string} options.periodStart - YYYY-MM-DD
+ * @param {string} options.periodEnd - YYYY-MM-DD
+ * @returns {Promise<Array>} - Entry data for TimesheetEntry.create
+ */
+async function buildTimesheetEntries(models, { storeId, periodStart, periodEnd }) {
+  const storeStaff = await models.Staff.findAll({
+    where: { store_id: storeId },
+    attributes: ['id']
+  });
+
+  // Attendance clocked at this store, or with no store for staff assigned to it
+  const records = await models.StaffAttendance.findAll({
+    where: {
+      clock_out_time: { [Sequelize.Op.ne]: null },
+      clock_in_time: {
+        [Sequelize.Op.between]: [
+          moment(periodStart).startOf('day').toDate(),
+          moment(periodEnd).endOf('day').toDate()
+        ]
+      },
+      [Sequelize.Op.or]: [
+        { store_id: storeId },
+        { store_id: null, staff_id: storeStaff.map(staff => staff.id) }
+      ]
+    },
+    include: [
+      {
+        model: models.Staff,
+        attributes: ['id', 'name', 'employee_id', 'role_id']
+      }
+    ],
+    order: [['clock_in_time', 'ASC']]
+  });
+
+  const [rates, holidays, shifts] = await Promise.all([
+    models.StaffPayRate.findAll({ where: { is_active: true } }),
+    models.PublicHoliday.findAll({
+      where: {
+        holiday_date: { [Sequelize.Op.between]: [periodStart, periodEnd] },
+        [Sequelize.Op.or]: [{ store_id: storeId }, { store_id: null }]
+      }
+    }),
+    models.StaffShift.findAll({
+      where: {
+        store_id: storeId,
+        shift_date: { [Sequelize.Op.between]: [periodStart, periodEnd] },
+        attendance_status: ['late', 'no_show']
+      },
+      attributes: ['staff_id', 'attendance_status']
+    })
+  ]);
+  const holidayDates = new Set(holidays.map(holiday => holiday.holiday_date));
+
+  const byStaff = {};
+  records.forEach(record => {
+    if (!record.Staff) return;
+    if (!byStaff[record.staff_id]) {
+      byStaff[record.staff_id] = { staff: record.Staff, records: [] };
+    }
+    byStaff[record.staff_id].records.push(record);
+  });
+
+  return Object.values(byStaff).map(({ staff, records: staffRecords }) => {
+    const rate = resolvePayRate(rates, staff, periodEnd);
+    const pay = calculateStaffPay(staffRecords, rate, holidayDates);
+    const staffShifts = shifts.filter(shift => shift.staff_id === staff.id);
+
+    return {
+      staff_id: staff.id,
+      staff_name: staff.name,
+      employee_id: staff.employee_id || null,
+      pay_rate_id: rate ? rate.id : null,
+      missing_pay_rate: !rate,
+      late_count: staffShifts.filter(shift => shift.attendance_status === 'late').length,
+      no_show_count: staffShifts.filter(shift => shift.attendance_status === 'no_show').length,
+      attendance_ids: staffRecords.map(record => record.id),
+      ...pay
+    };
+  }).sort((a, b) => a.staff_name.localeCompare(b.staff_name));
+}
+
+/**
+ * Escape a value for CSV
+ */
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const EXPORT_COLUMNS = [
+  ['employee_id', 'Employee ID'],
+  ['staff_name', 'Name'],
+  ['days_worked', 'Days Worked'],
+  ['hourly_rate', 'Hourly Rate'],
+  ['regular_hours', 'Regular Hours'],
+  ['overtime_hours', 'Overtime Hours'],
+  ['night_hours', 'Night Hours'],
+  ['holiday_hours', 'Holiday Hours'],
+  ['late_count', 'Late'],
+  ['no_show_count', 'No Shows'],
+  ['regular_pay', 'Regular Pay'],
+  ['overtime_pay', 'Overtime Pay'],
+  ['night_premium', 'Night Premium'],
+  ['holiday_premium', 'Holiday Premium'],
+  ['adjustments', 'Adjustments'],
+  ['gross_pay', 'Gross Pay']
+];
+
+/**
+ * Timesheet as CSV (one row per staff member plus a totals row)
+ * @param {Object} timesheet - Timesheet with TimesheetEntries
+ * @returns {string}
+ */
+function timesheetToCsv(timesheet) {
+  const entries = timesheet.TimesheetEntries || [];
+  const lines = [EXPORT_COLUMNS.map(([, label]) => csvValue(label)).join(',')];
+
+  entries.forEach(entry => {
+    lines.push(EXPORT_COLUMNS.map(([key]) => csvValue(entry[key])).join(','));
+  });
+
+  lines.push([
+    '', 'TOTAL', '', '',
+    timesheet.total_regular_hours,
+    timesheet.total_overtime_hours,
+    timesheet.total_night_hours,
+    timesheet.total_holiday_hours,
+    '', '', '', '', '', '', '',
+    timesheet.total_gross_pay
+  ].map(csvValue).join(','));
+
+  return lines.join('\n');
+}
+
+/**
+ * Escape HTML
+ */
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Printable timesheet HTML (rendered to PDF with the invoice PDF service)
+ * @param {Object} timesheet - Timesheet with TimesheetEntries and Store
+ * @returns {string}
+ */
+function renderTimesheetHtml(timesheet) {
+  const entries = timesheet.TimesheetEntries || [];
+  const storeName = timesheet.Store ? timesheet.Store.name : `Store #${timesheet.store_id}`;
+  const header = EXPORT_COLUMNS.map(([, label]) => `<th>${escapeHtml(label)}</th>`).join('');
+  const rows = entries.map(entry => `<tr>${EXPORT_COLUMNS.map(([key]) => `<td>${escapeHtml(entry[key])}</td>`).join('')}</tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <style>
+    body { font-family: Arial, sans-serif; font-size: 10px; color: #111827; }
+    h1 { font-size: 18px; margin: 0 0 4px; color: #2563EB; }
+    p { margin: 0 0 12px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #E5E7EB; padding: 4px; text-align: right; }
+    th:nth-child(-n+2), td:nth-child(-n+2) { text-align: left; }
+    th { background: #F3F4F6; }
+    tfoot td { font-weight: bold; }
+  </style>
+</head>
+<body>
+  <h1>Timesheet - ${escapeHtml(storeName)}</h1>
+  <p>Pay period ${escapeHtml(timesheet.period_start)} to ${escapeHtml(timesheet.period_end)} &middot; Status: ${escapeHtml(timesheet.status)}${timesheet.approved_at ? ` &middot; Approved ${escapeHtml(moment(timesheet.approved_at).format('YYYY-MM-DD HH:mm'))}` : ''}</p>
+  <table>
+    <thead><tr>${header}</tr></thead>
+    <tbody>${rows}</tbody>
+    <tfoot>
+      <tr>
+        <td></td><td>TOTAL</td><td></td><td></td>
+        <td>${escapeHtml(timesheet.total_regular_hours)}</td>
+        <td>${escapeHtml(timesheet.total_overtime_hours)}</td>
+        <td>${escapeHtml(timesheet.total_night_hours)}</td>
+        <td>${escapeHtml(timesheet.total_holiday_hours)}</td>
+        <td></td><td></td><td></td><td></td><td></td><td></td><td></td>
+        <td>${escapeHtml(timesheet.total_gross_pay)}</td>
+      </tr>
+    </tfoot>
+  </table>
+</body>
+</html>`;
+}
+
+module.exports = {
+  resolvePayRate,
+  calculateNightMinutes,
+  calculateStaffPay,
+  buildTimesheetEntries,
+  timesheetToCsv,
+  renderTimesheetHtml
+};
@@ -0,0 +1,153 @@
+/**
+ * Prescription Service
+ * Enforces prescription-only products at the till and keeps the dispensing log / refill count
+ */
+
+const { Sequelize } = require('sequelize');
+const moment = require('moment');
+
+/**
+ * Validate the prescription presented for a sale
+ * @param {Object} models - Tenant models
+ * @param {Object} options
+ * @param {number} options.prescriptionId - Prescription presented by the customer (optional)
+ * @param {number} options.customerId - Customer on the sale (optional)
+ * @param {Array} options.items - Sale items ({ product_id, product_name, quantity })
+ * @param {Object} options.transaction - Optional Sequelize transaction
+ * @returns {Promise<Object>} - { valid, message, prescription, dispensedItems }
+ */
+async function validatePrescriptionForSale(models, options = {}) {
+  const { prescriptionId = null, customerId = null, items = [], transaction = null } = options;
+
+  const productIds = items.map(item => parseInt(item.product_id)).filter(Boolean);
+  const controlledProducts = await models.Product.findAll({
+    where: {
+      id: { [Sequelize.Op.in]: productIds },
+      requires_prescription: true
+    },
+    attributes: ['id', 'name'],
+    transaction
+  });
+
+  if (!prescriptionId) {
+    if (controlledProducts.length > 0) {
+      return {
+        valid: false,
+        message: `A valid prescription is required to sell: ${controlledProducts.map(product => product.name).join(', ')}`
+      };
+    }
+    return { valid: true, prescription: null, dispensedItems: [] };
+  }
+
+  const prescription = await models.Prescription.findByPk(prescriptionId, {
+    include: [{ model: models.PrescriptionItem }],
+    transaction
+  });
+
+  if (!prescription) {
+    return { valid: false, message: 'Prescription not found' };
+  }
+
+  if (prescription.status !== 'active') {
+    return { valid: false, message: `Prescription ${prescription.prescription_number} is ${prescription.status}` };
+  }
+
+  if (prescription.valid_until && moment(prescription.valid_until).isBefore(moment(), 'day')) {
+    return { valid: false, message: `Prescription ${prescription.prescription_number} expired on ${prescription.valid_until}` };
+  }
+
+  if (customerId && parseInt(customerId) !== prescription.customer_id) {
+    return { valid: false, message: 'Prescription belongs to a different customer' };
+  }
+
+  if (prescription.times_dispensed > 0 && prescription.refills_remaining <= 0) {
+    return { valid: false, message: `Prescription ${prescription.prescription_number} has no refills remaining` };
+  }
+
+  const prescriptionItems = prescription.PrescriptionItems || [];
+  const dispensedItems = [];
+
+  for (const item of items) {
+    const prescriptionItem = prescriptionItems.find(
+      pItem => pItem.product_id && pItem.product_id === parseInt(item.product_id)
+    );
+    const isControlled = controlledProducts.some(product => product.id === parseInt(item.product_id));
+
+    if (!prescriptionItem) {
+      if (isControlled) {
+        return {
+          valid: false,
+          message: `${item.product_name || `Product ${item.product_id}`} is not on prescription ${prescription.prescription_number}`
+        };
+      }
+      continue;
+    }
+
+    if (parseFloat(item.quantity) > prescriptionItem.quantity) {
+      return {
+        valid: false,
+        message: `Prescription allows ${prescriptionItem.quantity} of ${prescriptionItem.medication_name} per fill, requested ${item.quantity}`
+      };
+    }
+
+    dispensedItems.push({
+      prescription_item_id: prescriptionItem.id,
+      product_id: parseInt(item.product_id),
+      quantity: parseInt(item.quantity)
+    });
+  }
+
+  return { valid: true, prescription, dispensedItems };
+}
+
+/**
+ * Record a fill in the dispensing log and decrement refills
+ * Must be called inside the same transaction that creates the sale
+ * @param {Object} models - Tenant models
+ * @param {Object} prescription - Prescription instance
+ * @param {Object} dispensingData
+ * @param {Array} dispensingData.items - Items dispensed ({ prescription_item_id, product_id, quantity })
+ * @param {number} dispensingData.posTransactionId - Sale the fill was made on (optional)
+ * @param {number} dispensingData.dispensedBy - Staff/user ID
+ * @param {string} dispensingData.notes - Optional pharmacist notes
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Array>} - Created PrescriptionDispensing rows
+ */
+async function recordDispensing(models, prescription, dispensingData, transaction = null) {
+  const { items = [], posTransactionId = null, dispensedBy = null, notes = null } = dispensingData;
+
+  const fillNumber = prescription.times_dispensed + 1;
+  const isRefill = prescription.times_dispensed > 0;
+  const dispensedAt = new Date();
+  const dispensings = [];
+
+  for (const item of items) {
+    const dispensing = await models.PrescriptionDispensing.create({
+      prescription_id: prescription.id,
+      prescription_item_id: item.prescription_item_id,
+      product_id: item.product_id,
+      pos_transaction_id: posTransactionId,
+      quantity: item.quantity,
+      fill_number: fillNumber,
+      dispensed_by: dispensedBy,
+      dispensed_at: dispensedAt,
+      notes
+    }, { transaction });
+    dispensings.push(dispensing);
+  }
+
+  const refillsRemaining = isRefill ? prescription.refills_remaining - 1 : prescription.refills_remaining;
+
+  await prescription.update({
+    times_dispensed: fillNumber,
+    refills_remaining: refillsRemaining,
+    status: refillsRemaining <= 0 ? 'completed' : 'active'
+  }, { transaction });
+
+  return dispensings;
+}
+
+module.exports = {
+  validatePrescriptionForSale,
+  recordDispensing
+};
@@ -0,0 +1,192 @@
+/**
+ * Product Batch Service
+ * Lot-level stock for batch-tracked products (supermarket, pharmacy)
+ * Stock is consumed first-expiry-first-out (FEFO) so the earliest-expiring lot is sold first
+ */
+
+const { Sequelize } = require('sequelize');
+const moment = require('moment');
+
+/**
+ * Create a batch for received stock
+ * @param {Object} models - Tenant models
+ * @param {Object} batchData
+ * @param {number} batchData.productId - Product ID
+ * @param {number} batchData.storeId - Store receiving the stock (optional)
+ * @param {string} batchData.batchNumber - Lot/batch number
+ * @param {string} batchData.expiryDate - Expiry date (YYYY-MM-DD, optional)
+ * @param {number} batchData.quantity - Quantity received
+ * @param {number} batchData.costPrice - Unit cost for this lot (optional)
+ * @param {number} batchData.purchaseOrderId - Source purchase order (optional)
+ * @param {number} batchData.purchaseOrderItemId - Source purchase order item (optional)
+ * @param {number} batchData.tenantId - Tenant ID for free users (shared DB), null for enterprise
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object>} - Created ProductBatch
+ */
+async function receiveBatch(models, batchData, transaction = null) {
+  const {
+    productId,
+    storeId = null,
+    batchNumber,
+    expiryDate = null,
+    quantity,
+    costPrice = null,
+    purchaseOrderId = null,
+    purchaseOrderItemId = null,
+    tenantId = null
+  } = batchData;
+
+  const batch = await models.ProductBatch.create({
+    tenant_id: tenantId,
+    product_id: productId,
+    store_id: storeId,
+    batch_number: batchNumber,
+    expiry_date: expiryDate,
+    quantity_received: quantity,
+    quantity_remaining: quantity,
+    cost_price: costPrice,
+    purchase_order_id: purchaseOrderId,
+    purchase_order_item_id: purchaseOrderItemId,
+    received_at: new Date(),
+    status: 'active'
+  }, { transaction });
+
+  await syncProductBatchFields(models, productId, transaction);
+
+  return batch;
+}
+
+/**
+ * Deduct stock from a product's batches, earliest expiry first
+ * Expired lots are never picked. Any quantity not covered by batches is treated as
+ * untracked stock (products sold before batch tracking was enabled), so sales are not blocked.
+ * @param {Object} models - Tenant models
+ * @param {Object} options
+ * @param {number} options.productId - Product ID
+ * @param {number} options.storeId - Store the stock leaves from (optional)
+ * @param {number} options.quantity - Quantity to deduct
+ * @param {Object} options.transaction - Optional Sequelize transaction
+ * @returns {Promise<Array>} - Allocations ({ batch_id, batch_number, expiry_date, quantity })
+ */
+async function consumeBatchesFefo(models, options = {}) {
+  const { productId, storeId = null, quantity, transaction = null } = options;
+  let remaining = parseInt(quantity) || 0;
+  const allocations = [];
+
+  if (remaining <= 0) {
+    return allocations;
+  }
+
+  const today = moment().format('YYYY-MM-DD');
+  const where = {
+    product_id: productId,
+    status: 'active',
+    quantity_remaining: { [Sequelize.Op.gt]: 0 },
+    [Sequelize.Op.and]: [
+      {
+        [Sequelize.Op.or]: [
+          { expiry_date: null },
+          { expiry_date: { [Sequelize.Op.gte]: today } }
+        ]
+      }
+    ]
+  };
+
+  if (storeId) {
+    // Lots received without a store (e.g. PO with no store) can be picked from any store
+    where[Sequelize.Op.and].push({
+      [Sequelize.Op.or]: [
+        { store_id: storeId },
+        { store_id: null }
+      ]
+    });
+  }
+
+  const batches = await models.ProductBatch.findAll({
+    where,
+    // Earliest expiry first; lots without expiry go last, then oldest receipt first
+    order: [
+      [Sequelize.literal('expiry_date IS NULL'), 'ASC'],
+      ['expiry_date', 'ASC'],
+      ['received_at', 'ASC'],
+      ['id', 'ASC']
+    ],
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+
+  for (const batch of batches) {
+    if (remaining <= 0) break;
+
+    const take = Math.min(batch.quantity_remaining, remaining);
+    const newRemaining = batch.quantity_remaining - take;
+
+    await batch.update({
+      quantity_remaining: newRemaining,
+      status: newRemaining === 0 ? 'depleted' : 'active'
+    }, { transaction });
+
+    allocations.push({
+      batch_id: batch.id,
+      batch_number: batch.batch_number,
+      expiry_date: batch.expiry_date,
+      quantity: take
+    });
+    remaining -= take;
+  }
+
+  if (allocations.length > 0) {
+    await syncProductBatchFields(models, productId, transaction);
+  }
+
+  return allocations;
+}
+
+/**
+ * Keep Product.expiry_date/batch_number pointing at the next lot to be picked
+ * so product listings and older reports still show the nearest expiry
+ */
+async function syncProductBatchFields(models, productId, transaction = null) {
+  const nextBatch = await models.ProductBatch.findOne({
+    where: {
+      product_id: productId,
+      status: 'active',
+      quantity_remaining: { [Sequelize.Op.gt]: 0 }
+    },
+    order: [
+      [Sequelize.literal('expiry_date IS NULL'), 'ASC'],
+      ['expiry_date', 'ASC'],
+      ['id', 'ASC']
+    ],
+    transaction
+  });
+
+  if (!nextBatch) {
+    return;
+  }
+
+  await models.Product.update(
+    {
+      expiry_date: nextBatch.expiry_date,
+      batch_number: nextBatch.batch_number
+    },
+    { where: { id: productId }, transaction }
+  );
+}
+
+/**
+ * Describe batch allocations for stock movement notes (e.g. "LOT-A x3, LOT-B x2")
+ */
+function formatBatchAllocations(allocations) {
+  if (!allocations || allocations.length === 0) {
+    return null;
+  }
+  return `Batches: ${allocations.map(a => `${a.batch_number} x${a.quantity}`).join(', ')}`;
+}
+
+module.exports = {
+  receiveBatch,
+  consumeBatchesFefo,
+  syncProductBatchFields,
+  formatBatchAllocations
+};
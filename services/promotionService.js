@@ -0,0 +1,394 @@
+/**
+ * Promotion Service
+ * Validates promo codes and calculates discounts server-side for public checkout and POS
+ */
+
+const { Sequelize } = require('sequelize');
+const { round2 } = require('./numberService');
+
+// How long an unpaid online order holds its promo code use before the use is given back
+const ORDER_RESERVATION_HOURS = parseInt(process.env.PROMOTION_ORDER_RESERVATION_HOURS || '48');
+
+// Online order payment statuses that mean the order has not been paid
+const UNPAID_ORDER_STATUSES = ['pending', 'failed'];
+
+/**
+ * Normalize a customer-entered promo code
+ */
+function normalizePromotionCode(code) {
+  return (code || '').toString().trim().toUpperCase();
+}
+
+/**
+ * Resolve which basket items a promotion applies to
+ * @param {Object} models - Tenant models
+ * @param {Object} promotion - Promotion instance
+ * @param {Array} items - Basket items ({ product_id, quantity, unit_price })
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Array>} - Eligible items
+ */
+async function getEligibleItems(models, promotion, items, transaction = null) {
+  const productIds = items.map(item => parseInt(item.product_id)).filter(Boolean);
+
+  switch (promotion.applies_to) {
+    case 'product': {
+      const allowed = (promotion.product_ids || []).map(id => parseInt(id));
+      return items.filter(item => allowed.includes(parseInt(item.product_id)));
+    }
+
+    case 'category': {
+      const allowed = (promotion.categories || []).map(category => category.toString().toLowerCase());
+      const products = await models.Product.findAll({
+        where: { id: { [Sequelize.Op.in]: productIds } },
+        attributes: ['id', 'category'],
+        transaction
+      });
+      const eligibleIds = products
+        .filter(product => product.category && allowed.includes(product.category.toLowerCase()))
+        .map(product => product.id);
+      return items.filter(item => eligibleIds.includes(parseInt(item.product_id)));
+    }
+
+    case 'collection': {
+      const collectionIds = (promotion.collection_ids || []).map(id => parseInt(id));
+      if (collectionIds.length === 0) {
+        return [];
+      }
+      const collectionProducts = await models.StoreCollectionProduct.findAll({
+        where: {
+          collection_id: { [Sequelize.Op.in]: collectionIds },
+          product_id: { [Sequelize.Op.in]: productIds }
+        },
+        attributes: ['product_id'],
+        transaction
+      });
+      const eligibleIds = collectionProducts.map(row => row.product_id);
+      return items.filter(item => eligibleIds.includes(parseInt(item.product_id)));
+    }
+
+    default:
+      return items;
+  }
+}
+
+/**
+ * Calculate the discount a promotion gives on the eligible items
+ */
+function calculateDiscount(promotion, eligibleItems) {
+  const eligibleSubtotal = eligibleItems.reduce(
+    (sum, item) => sum + (parseFloat(item.quantity) * parseFloat(item.unit_price)),
+    0
+  );
+  const discountValue = parseFloat(promotion.discount_value) || 0;
+  let discount = 0;
+
+  if (promotion.promotion_type === 'percentage') {
+    discount = eligibleSubtotal * (discountValue / 100);
+  } else if (promotion.promotion_type === 'fixed_amount') {
+    discount = Math.min(discountValue, eligibleSubtotal);
+  } else if (promotion.promotion_type === 'buy_x_get_y') {
+    // Every (buy + get) units, the cheapest `get` units are discounted by discount_value percent
+    const buyQuantity = parseInt(promotion.buy_quantity) || 0;
+    const getQuantity = parseInt(promotion.get_quantity) || 0;
+    const groupSize = buyQuantity + getQuantity;
+
+    if (buyQuantity > 0 && getQuantity > 0) {
+      const unitPrices = [];
+      eligibleItems.forEach(item => {
+        for (let i = 0; i < Math.floor(parseFloat(item.quantity)); i++) {
+          unitPrices.push(parseFloat(item.unit_price));
+        }
+      });
+      unitPrices.sort((a, b) => a - b);
+
+      const freeUnits = Math.floor(unitPrices.length / groupSize) * getQuantity;
+      const percentOff = discountValue > 0 ? discountValue : 100;
+      discount = unitPrices
+        .slice(0, freeUnits)
+        .reduce((sum, price) => sum + price * (percentOff / 100), 0);
+    }
+  }
+
+  if (promotion.max_discount_amount !== null && promotion.max_discount_amount !== undefined) {
+    discount = Math.min(discount, parseFloat(promotion.max_discount_amount));
+  }
+
+  return {
+    eligible_subtotal: round2(eligibleSubtotal),
+    discount_amount: round2(discount)
+  };
+}
+
+/**
+ * Validate a promo code against a basket and calculate its discount
+ * @param {Object} models - Tenant models
+ * @param {Object} options
+ * @param {string} options.code - Promo code entered by the customer/cashier
+ * @param {string} options.channel - 'online' or 'pos'
+ * @param {Array} options.items - Basket items ({ product_id, quantity, unit_price })
+ * @param {number} options.subtotal - Basket subtotal before discounts
+ * @param {number} options.customerId - Customer ID (optional)
+ * @param {string} options.customerEmail - Customer email (optional, used for online checkout)
+ * @param {number} options.tenantId - Tenant ID for free users (shared DB), null for enterprise
+ * @param {Object} options.transaction - Optional Sequelize transaction
+ * @returns {Promise<Object>} - { valid, message, promotion, discount_amount, eligible_subtotal }
+ */
+async function evaluatePromotion(models, options = {}) {
+  const {
+    code,
+    channel,
+    items = [],
+    subtotal = 0,
+    customerId = null,
+    customerEmail = null,
+    tenantId = null,
+    transaction = null
+  } = options;
+
+  const normalizedCode = normalizePromotionCode(code);
+  if (!normalizedCode) {
+    return { valid: false, message: 'Promo code is required' };
+  }
+
+  const where = { code: normalizedCode, is_active: true };
+  if (tenantId) {
+    where.tenant_id = tenantId;
+  }
+
+  // Locked for the rest of the transaction so concurrent checkouts check the limits one at a time
+  const promotion = await models.Promotion.findOne({
+    where,
+    lock: transaction ? true : undefined,
+    transaction
+  });
+  if (!promotion) {
+    return { valid: false, message: 'Invalid promo code' };
+  }
+
+  if (promotion.channel !== 'all' && promotion.channel !== channel) {
+    return {
+      valid: false,
+      message: promotion.channel === 'pos'
+        ? 'This promo code can only be used in store'
+        : 'This promo code can only be used online'
+    };
+  }
+
+  const now = new Date();
+  if (promotion.starts_at && new Date(promotion.starts_at) > now) {
+    return { valid: false, message: 'This promo code is not active yet' };
+  }
+  if (promotion.ends_at && new Date(promotion.ends_at) < now) {
+    return { valid: false, message: 'This promo code has expired' };
+  }
+
+  if (promotion.usage_limit !== null || promotion.usage_limit_per_customer !== null) {
+    await releaseExpiredOrderRedemptions(models, promotion, transaction);
+  }
+
+  if (promotion.usage_limit !== null && promotion.usage_count >= promotion.usage_limit) {
+    return { valid: false, message: 'This promo code has reached its usage limit' };
+  }
+
+  if (promotion.min_basket_amount !== null && parseFloat(subtotal) < parseFloat(promotion.min_basket_amount)) {
+    return {
+      valid: false,
+      message: `A minimum spend of ${parseFloat(promotion.min_basket_amount).toFixed(2)} is required for this promo code`
+    };
+  }
+
+  if (promotion.usage_limit_per_customer !== null) {
+    if (!customerId && !customerEmail) {
+      return { valid: false, message: 'Customer details are required to use this promo code' };
+    }
+
+    const customerConditions = [];
+    if (customerId) customerConditions.push({ customer_id: customerId });
+    if (customerEmail) customerConditions.push({ customer_email: customerEmail.toLowerCase() });
+
+    const customerUsage = await models.PromotionRedemption.count({
+      where: {
+        promotion_id: promotion.id,
+        [Sequelize.Op.or]: customerConditions
+      },
+      transaction
+    });
+
+    if (customerUsage >= promotion.usage_limit_per_customer) {
+      return { valid: false, message: 'You have already used this promo code the maximum number of times' };
+    }
+  }
+
+  const eligibleItems = await getEligibleItems(models, promotion, items, transaction);
+  if (eligibleItems.length === 0) {
+    return { valid: false, message: 'This promo code does not apply to any items in your basket' };
+  }
+
+  const { eligible_subtotal, discount_amount } = calculateDiscount(promotion, eligibleItems);
+  if (discount_amount <= 0) {
+    return { valid: false, message: 'This promo code does not apply to your basket' };
+  }
+
+  return {
+    valid: true,
+    promotion,
+    discount_amount,
+    eligible_subtotal
+  };
+}
+
+/**
+ * Record a promotion redemption and bump its usage count
+ * Must be called inside the same transaction that creates the order/sale
+ */
+async function recordRedemption(models, promotion, redemptionData, transaction = null) {
+  const {
+    channel,
+    orderId = null,
+    posTransactionId = null,
+    customerId = null,
+    customerEmail = null,
+    discountAmount = 0,
+    tenantId = null
+  } = redemptionData;
+
+  const redemption = await models.PromotionRedemption.create({
+    tenant_id: tenantId,
+    promotion_id: promotion.id,
+    channel,
+    order_id: orderId,
+    pos_transaction_id: posTransactionId,
+    customer_id: customerId,
+    customer_email: customerEmail ? customerEmail.toLowerCase() : null,
+    discount_amount: round2(discountAmount)
+  }, { transaction });
+
+  await promotion.increment('usage_count', { by: 1, transaction });
+
+  return redemption;
+}
+
+/**
+ * Give back promo code uses held by online orders left unpaid for longer than ORDER_RESERVATION_HOURS
+ * The promotion must already be locked by the caller's transaction
+ * @param {Object} models - Tenant models
+ * @param {Object} promotion - Promotion instance
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<number>} - Number of uses released
+ */
+async function releaseExpiredOrderRedemptions(models, promotion, transaction = null) {
+  const cutoff = new Date(Date.now() - ORDER_RESERVATION_HOURS * 60 * 60 * 1000);
+
+  const expired = await models.PromotionRedemption.findAll({
+    where: {
+      promotion_id: promotion.id,
+      channel: 'online',
+      created_at: { [Sequelize.Op.lt]: cutoff }
+    },
+    include: [{
+      model: models.OnlineStoreOrder,
+      attributes: ['id'],
+      where: { payment_status: { [Sequelize.Op.in]: UNPAID_ORDER_STATUSES } },
+      required: true
+    }],
+    transaction
+  });
+  if (expired.length === 0) {
+    return 0;
+  }
+
+  await models.PromotionRedemption.destroy({
+    where: { id: { [Sequelize.Op.in]: expired.map(redemption => redemption.id) } },
+    transaction
+  });
+  await promotion.update({
+    usage_count: Math.max((parseInt(promotion.usage_count) || 0) - expired.length, 0)
+  }, { transaction });
+
+  return expired.length;
+}
+
+/**
+ * Record the promotion applied to an online order
+ * Called when the order is placed, so unpaid orders hold a use of the code until they are paid,
+ * cancelled or expire, and again once it is paid in case an expired hold was released meanwhile.
+ * Safe to call again for the same order
+ * @param {Object} models - Tenant models
+ * @param {Object} order - OnlineStoreOrder (promotion_id, discount_amount, customer_email)
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object|null>} - PromotionRedemption, or null when there is nothing to record
+ */
+async function recordOrderRedemption(models, order, transaction = null) {
+  if (!order || !order.promotion_id) {
+    return null;
+  }
+
+  const promotion = await models.Promotion.findByPk(order.promotion_id, {
+    lock: transaction ? true : undefined,
+    transaction
+  });
+  if (!promotion) {
+    return null;
+  }
+
+  const existing = await models.PromotionRedemption.findOne({
+    where: { promotion_id: promotion.id, order_id: order.id },
+    transaction
+  });
+  if (existing) {
+    return null;
+  }
+
+  return recordRedemption(models, promotion, {
+    channel: 'online',
+    orderId: order.id,
+    customerEmail: order.customer_email || null,
+    discountAmount: order.discount_amount,
+    tenantId: order.tenant_id || null
+  }, transaction);
+}
+
+/**
+ * Give back the promo code use held by an online order (e.g. when it is cancelled before payment)
+ * @param {Object} models - Tenant models
+ * @param {Object} order - OnlineStoreOrder (promotion_id)
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<boolean>} - true when a use was released
+ */
+async function releaseOrderRedemption(models, order, transaction = null) {
+  if (!order || !order.promotion_id) {
+    return false;
+  }
+
+  const promotion = await models.Promotion.findByPk(order.promotion_id, {
+    lock: transaction ? true : undefined,
+    transaction
+  });
+  if (!promotion) {
+    return false;
+  }
+
+  const redemption = await models.PromotionRedemption.findOne({
+    where: { promotion_id: promotion.id, order_id: order.id },
+    transaction
+  });
+  if (!redemption) {
+    return false;
+  }
+
+  await redemption.destroy({ transaction });
+  await promotion.update({
+    usage_count: Math.max((parseInt(promotion.usage_count) || 0) - 1, 0)
+  }, { transaction });
+
+  return true;
+}
+
+module.exports = {
+  normalizePromotionCode,
+  evaluatePromotion,
+  recordRedemption,
+  recordOrderRedemption,
+  releaseOrderRedemption,
+  calculateDiscount
+};
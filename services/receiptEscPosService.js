@@ -96,6 +96,14 @@ async function generateEscPosReceipt(receiptData, options = {}) {
   const total = formatCurrency(receiptData.total || 0, receiptData.currency || 'USD');
   commands.push(Buffer.from(`TOTAL: ${total.padStart(20)}\n`, 'ascii'));
   commands.push(Buffer.from([0x1B, 0x45, 0x00])); // ESC E 0 (Bold off)
+
+  // Amount paid / balance (invoice paid in part)
+  if (receiptData.balance_due > 0) {
+    const amountPaid = formatCurrency(receiptData.amount_paid || 0, receiptData.currency || 'USD');
+    const balanceDue = formatCurrency(receiptData.balance_due, receiptData.currency || 'USD');
+    commands.push(Buffer.from(`Paid: ${amountPaid.padStart(22)}\n`, 'ascii'));
+    commands.push(Buffer.from(`Balance: ${balanceDue.padStart(19)}\n`, 'ascii'));
+  }
   commands.push(Buffer.from('\n', 'ascii'));
 
   // Payment method
@@ -156,6 +164,118 @@ async function generateEscPosReceipt(receiptData, options = {}) {
   return Buffer.concat(commands);
 }
 
+/**
+ * Generate ESC/POS commands for an end-of-day Z-report (closed till session)
+ * @param {Object} reportData - Z-report data (session, summary, counted and variance by method)
+ * @returns {Buffer} - ESC/POS commands as buffer
+ */
+function generateEscPosZReport(reportData) {
+  const currency = reportData.currency || 'NGN';
+  const line = (label, amount) => {
+    const value = formatCurrency(amount || 0, currency);
+    return Buffer.from(`${label.substring(0, 32 - value.length - 1).padEnd(32 - value.length)}${value}\n`, 'ascii');
+  };
+  const divider = Buffer.from('-'.repeat(32) + '\n', 'ascii');
+  const methodLabel = method => method.replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+
+  const commands = [];
+
+  // Initialize printer
+  commands.push(Buffer.from([0x1B, 0x40])); // ESC @ (Initialize)
+
+  // Header
+  commands.push(Buffer.from([0x1B, 0x61, 0x01])); // ESC a 1 (Center)
+  commands.push(Buffer.from([0x1D, 0x21, 0x11])); // GS ! 17 (Double width + height)
+  commands.push(Buffer.from('Z-REPORT\n', 'ascii'));
+  commands.push(Buffer.from([0x1D, 0x21, 0x00])); // GS ! 0 (Normal size)
+  if (reportData.store_name) {
+    commands.push(Buffer.from(`${reportData.store_name}\n`, 'ascii'));
+  }
+  commands.push(Buffer.from([0x1B, 0x61, 0x00])); // ESC a 0 (Left align)
+  commands.push(divider);
+
+  // Session details
+  commands.push(Buffer.from(`Session: ${reportData.session_number}\n`, 'ascii'));
+  if (reportData.register_name) {
+    commands.push(Buffer.from(`Register: ${reportData.register_name}\n`, 'ascii'));
+  }
+  commands.push(Buffer.from(`Cashier: ${reportData.cashier_name || '-'}\n`, 'ascii'));
+  commands.push(Buffer.from(`Opened: ${reportData.opened_at}\n`, 'ascii'));
+  commands.push(Buffer.from(`Closed: ${reportData.closed_at || 'OPEN'}\n`, 'ascii'));
+  commands.push(Buffer.from(`Transactions: ${reportData.transaction_count || 0}\n`, 'ascii'));
+  commands.push(divider);
+
+  // Sales by payment method
+  commands.push(Buffer.from([0x1B, 0x45, 0x01])); // ESC E 1 (Bold on)
+  commands.push(Buffer.from('SALES\n', 'ascii'));
+  commands.push(Buffer.from([0x1B, 0x45, 0x00])); // ESC E 0 (Bold off)
+  Object.keys(reportData.by_method || {}).forEach(method => {
+    const totals = reportData.by_method[method];
+    if (totals.sales > 0 || totals.refunds > 0) {
+      commands.push(line(methodLabel(method), totals.sales));
+      if (totals.refunds > 0) {
+        commands.push(line('  Refunds', -totals.refunds));
+      }
+    }
+  });
+  commands.push(line('Total Sales', reportData.total_sales));
+  commands.push(line('Total Refunds', -(reportData.total_refunds || 0)));
+  if (reportData.layaway_payments) {
+    commands.push(line('Layaway Payments', reportData.layaway_payments));
+  }
+  commands.push(divider);
+
+  // Cash drawer
+  commands.push(Buffer.from([0x1B, 0x45, 0x01])); // Bold on
+  commands.push(Buffer.from('CASH DRAWER\n', 'ascii'));
+  commands.push(Buffer.from([0x1B, 0x45, 0x00])); // Bold off
+  commands.push(line('Opening Float', reportData.opening_float));
+  commands.push(line('Cash In', reportData.cash_in));
+  commands.push(line('Cash Out', -(reportData.cash_out || 0)));
+  commands.push(line('Expected Cash', reportData.expected_cash));
+  commands.push(line('Counted Cash', reportData.counted_cash));
+  commands.push(divider);
+
+  // Expected vs counted by method
+  commands.push(Buffer.from([0x1B, 0x45, 0x01])); // Bold on
+  commands.push(Buffer.from('RECONCILIATION\n', 'ascii'));
+  commands.push(Buffer.from([0x1B, 0x45, 0x00])); // Bold off
+  Object.keys(reportData.expected_by_method || {}).forEach(method => {
+    const expected = reportData.expected_by_method[method];
+    const counted = reportData.counted_by_method ? reportData.counted_by_method[method] : undefined;
+    const variance = reportData.variance_by_method ? reportData.variance_by_method[method] : 0;
+    if (!expected && !counted && !variance) return;
+    commands.push(Buffer.from(`${methodLabel(method)}\n`, 'ascii'));
+    commands.push(line('  Expected', expected));
+    commands.push(line('  Counted', counted !== undefined ? counted : expected));
+    commands.push(line('  Over/Short', variance));
+  });
+  commands.push(divider);
+
+  // Total variance (bold)
+  commands.push(Buffer.from([0x1B, 0x45, 0x01])); // Bold on
+  const totalVariance = parseFloat(reportData.cash_variance || 0);
+  commands.push(line(totalVariance < 0 ? 'SHORT' : totalVariance > 0 ? 'OVER' : 'BALANCED', totalVariance));
+  commands.push(Buffer.from([0x1B, 0x45, 0x00])); // Bold off
+
+  if (reportData.closing_notes) {
+    commands.push(Buffer.from('\n', 'ascii'));
+    commands.push(Buffer.from(`Notes: ${reportData.closing_notes}\n`, 'ascii'));
+  }
+
+  // Footer
+  commands.push(Buffer.from('\n', 'ascii'));
+  commands.push(Buffer.from([0x1B, 0x61, 0x01])); // Center align
+  commands.push(Buffer.from(`Printed ${new Date().toLocaleString()}\n`, 'ascii'));
+  commands.push(Buffer.from([0x1B, 0x61, 0x00])); // Left align
+  commands.push(Buffer.from('\n\n', 'ascii'));
+
+  // Cut paper
+  commands.push(Buffer.from([0x1D, 0x56, 0x00])); // GS V 0 (Cut paper)
+
+  return Buffer.concat(commands);
+}
+
 /**
  * Generate text-based stamp (fallback)
  */
@@ -221,6 +341,7 @@ function getCurrencySymbol(currency) {
 }
 
 module.exports = {
-  generateEscPosReceipt
+  generateEscPosReceipt,
+  generateEscPosZReport
 };
 
@@ -49,6 +49,8 @@ function generateReceiptTemplate(data) {
   const tax = Number(receipt?.tax_amount || 0);
   const discount = Number(receipt?.discount_amount || 0);
   const total = Number(receipt?.total || 0);
+  const amountPaid = Number(receipt?.amount_paid || 0);
+  const balanceDue = Number(receipt?.balance_due || 0);
   const paymentMethod = receipt?.payment_method || 'Cash';
 
   // Generate items rows
@@ -392,6 +394,14 @@ function generateReceiptTemplate(data) {
         <span class="totals-label">TOTAL</span>
         <span class="totals-value">${currency} ${total.toFixed(2)}</span>
       </div>
+      ${balanceDue > 0 ? `<div class="totals-row">
+        <span class="totals-label">Amount Paid</span>
+        <span class="totals-value">${currency} ${amountPaid.toFixed(2)}</span>
+      </div>
+      <div class="totals-row">
+        <span class="totals-label">Balance Due</span>
+        <span class="totals-value">${currency} ${balanceDue.toFixed(2)}</span>
+      </div>` : ''}
     </div>
 
     <!-- Payment Method -->
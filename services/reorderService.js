@@ -0,0 +1,325 @@
+/**
+ * Reorder Service
+ * Reorder-point / reorder-quantity suggestions from recent sales velocity (StockMovement 'sale' rows),
+ * the preferred supplier's lead time and stock already on order
+ */
+
+const { Sequelize } = require('sequelize');
+const moment = require('moment');
+
+// Purchase orders still expected to deliver stock
+const OPEN_PO_STATUSES = ['draft', 'sent', 'confirmed', 'partial'];
+
+/**
+ * Units sold per day for each product over the lookback window
+ * @param {Object} models - Tenant models
+ * @param {Object} options
+ * @param {Array<number>} options.productIds - Products to measure
+ * @param {number} options.storeId - Limit to one store (optional)
+ * @param {number} options.days - Lookback window in days
+ * @returns {Promise<Object>} - { [productId]: { units_sold, daily_velocity } }
+ */
+async function getSalesVelocity(models, { productIds, storeId = null, days = 30 }) {
+  const where = {
+    product_id: productIds,
+    movement_type: 'sale',
+    created_at: { [Sequelize.Op.gte]: moment().subtract(days, 'days').toDate() }
+  };
+  if (storeId) where.store_id = storeId;
+
+  const rows = await models.StockMovement.findAll({
+    attributes: [
+      'product_id',
+      [Sequelize.fn('SUM', Sequelize.col('quantity')), 'total_quantity']
+    ],
+    where,
+    group: ['product_id'],
+    raw: true
+  });
+
+  const velocity = {};
+  rows.forEach(row => {
+    // Sales are recorded as negative movements
+    const unitsSold = Math.abs(parseInt(row.total_quantity) || 0);
+    velocity[row.product_id] = {
+      units_sold: unitsSold,
+      daily_velocity: days > 0 ? unitsSold / days : 0
+    };
+  });
+
+  return velocity;
+}
+
+/**
+ * Quantity already ordered but not yet received, per product
+ * @param {Object} models - Tenant models
+ * @param {Array<number>} productIds - Products to check
+ * @param {number} storeId - Limit to one store (optional)
+ * @returns {Promise<Object>} - { [productId]: quantity }
+ */
+async function getOnOrderQuantities(models, productIds, storeId = null) {
+  const poWhere = { status: OPEN_PO_STATUSES };
+  if (storeId) poWhere.store_id = storeId;
+
+  const items = await models.PurchaseOrderItem.findAll({
+    where: { product_id: productIds },
+    include: [
+      {
+        model: models.PurchaseOrder,
+        where: poWhere,
+        attributes: ['id', 'status']
+      }
+    ]
+  });
+
+  const onOrder = {};
+  items.forEach(item => {
+    const outstanding = Math.max((item.quantity || 0) - (item.received_quantity || 0), 0);
+    onOrder[item.product_id] = (onOrder[item.product_id] || 0) + outstanding;
+  });
+
+  return onOrder;
+}
+
+/**
+ * Pick the supplier link used for reordering: preferred first, then the most recently received
+ */
+function pickSupplierLink(links) {
+  if (!links || links.length === 0) {
+    return null;
+  }
+  const preferred = links.find(link => link.is_preferred);
+  if (preferred) {
+    return preferred;
+  }
+  return [...links].sort((a, b) => {
+    const aTime = a.last_received_at ? new Date(a.last_received_at).getTime() : 0;
+    const bTime = b.last_received_at ? new Date(b.last_received_at).getTime() : 0;
+    return bTime - aTime;
+  })[0];
+}
+
+/**
+ * Reorder point and quantity for one product
+ * Reorder point covers demand during the supplier lead time plus safety days (never below the low stock threshold);
+ * the order tops stock up to the reorder point plus the cover period, respecting the supplier's minimum order
+ * @param {Object} params
+ * @param {number} params.stock - Current stock
+ * @param {number} params.onOrder - Quantity on open purchase orders
+ * @param {number} params.dailyVelocity - Units sold per day
+ * @param {number} params.leadTimeDays - Supplier lead time
+ * @param {number} params.safetyDays - Extra days of buffer stock
+ * @param {number} params.coverDays - Days of demand each order should cover
+ * @param {number} params.lowStockThreshold - Product's low stock threshold
+ * @param {number} params.minOrderQuantity - Supplier minimum order quantity
+ * @returns {Object} - { reorder_point, target_stock, reorder_quantity, needs_reorder }
+ */
+function calculateReorder(params) {
+  const {
+    stock = 0,
+    onOrder = 0,
+    dailyVelocity = 0,
+    leadTimeDays = 7,
+    safetyDays = 7,
+    coverDays = 30,
+    lowStockThreshold = 0,
+    minOrderQuantity = 1
+  } = params;
+
+  const reorderPoint = Math.max(Math.ceil(dailyVelocity * (leadTimeDays + safetyDays)), lowStockThreshold || 0);
+  const targetStock = reorderPoint + Math.ceil(dailyVelocity * coverDays);
+  const projected = stock + onOrder;
+  const needsReorder = projected <= reorderPoint;
+
+  let reorderQuantity = 0;
+  if (needsReorder) {
+    // With no sales history, bring stock back above the threshold
+    reorderQuantity = Math.max(targetStock - projected, reorderPoint - projected + 1, 0);
+    reorderQuantity = Math.max(reorderQuantity, minOrderQuantity || 1);
+  }
+
+  return {
+    reorder_point: reorderPoint,
+    target_stock: targetStock,
+    reorder_quantity: reorderQuantity,
+    needs_reorder: needsReorder
+  };
+}
+
+/**
+ * Build reorder suggestions for active products, grouped by supplier
+ * @param {Object} models - Tenant models
+ * @param {Object} options
+ * @param {number} options.storeId - Use this store's stock (ProductStore) and sales (optional)
+ * @param {number} options.days - Sales velocity lookback window (default 30)
+ * @param {number} options.safetyDays - Buffer days on top of lead time (default 7)
+ * @param {number} options.coverDays - Days of demand each order covers (default 30)
+ * @param {Array<number>} options.productIds - Limit to these products (optional)
+ * @returns {Promise<Object>} - { suggestions, by_supplier, unassigned }
+ */
+async function buildReorderSuggestions(models, options = {}) {
+  const {
+    storeId = null,
+    days = 30,
+    safetyDays = 7,
+    coverDays = 30,
+    productIds = null
+  } = options;
+
+  const productWhere = { is_active: true };
+  if (productIds && productIds.length > 0) productWhere.id = productIds;
+
+  const products = await models.Product.findAll({
+    where: productWhere,
+    attributes: ['id', 'name', 'sku', 'stock', 'low_stock_threshold', 'cost'],
+    include: [
+      {
+        model: models.ProductSupplier,
+        required: false,
+        include: [
+          {
+            model: models.Supplier,
+            attributes: ['id', 'name', 'company_name', 'is_active']
+          }
+        ]
+      }
+    ]
+  });
+
+  if (products.length === 0) {
+    return { suggestions: [], by_supplier: [], unassigned: [] };
+  }
+
+  const ids = products.map(p => p.id);
+  const [velocity, onOrder, storeStock] = await Promise.all([
+    getSalesVelocity(models, { productIds: ids, storeId, days }),
+    getOnOrderQuantities(models, ids, storeId),
+    storeId
+      ? models.ProductStore.findAll({ where: { store_id: storeId, product_id: ids }, raw: true })
+      : Promise.resolve([])
+  ]);
+
+  const stockByProduct = {};
+  storeStock.forEach(row => {
+    stockByProduct[row.product_id] = row.stock || 0;
+  });
+
+  const suggestions = [];
+  for (const product of products) {
+    const links = (product.ProductSuppliers || []).filter(link => !link.Supplier || link.Supplier.is_active !== false);
+    const link = pickSupplierLink(links);
+    const productVelocity = velocity[product.id] || { units_sold: 0, daily_velocity: 0 };
+    const stock = storeId ? (stockByProduct[product.id] || 0) : (product.stock || 0);
+
+    const result = calculateReorder({
+      stock,
+      onOrder: onOrder[product.id] || 0,
+      dailyVelocity: productVelocity.daily_velocity,
+      leadTimeDays: link ? link.lead_time_days : 7,
+      safetyDays,
+      coverDays,
+      lowStockThreshold: product.low_stock_threshold || 0,
+      minOrderQuantity: link ? link.min_order_quantity : 1
+    });
+
+    if (!result.needs_reorder) {
+      continue;
+    }
+
+    const unitCost = link && link.last_cost !== null
+      ? Number(link.last_cost)
+      : Number(product.cost || 0);
+
+    suggestions.push({
+      product_id: product.id,
+      product_name: product.name,
+      sku: product.sku,
+      current_stock: stock,
+      on_order: onOrder[product.id] || 0,
+      units_sold: productVelocity.units_sold,
+      daily_velocity: Math.round(productVelocity.daily_velocity * 100) / 100,
+      lead_time_days: link ? link.lead_time_days : null,
+      supplier_id: link ? link.supplier_id : null,
+      supplier_name: link && link.Supplier ? (link.Supplier.company_name || link.Supplier.name) : null,
+      unit_cost: unitCost,
+      estimated_total: Math.round(unitCost * result.reorder_quantity * 100) / 100,
+      ...result
+    });
+  }
+
+  // Group by supplier so each group can become one purchase order
+  const groups = {};
+  const unassigned = [];
+  suggestions.forEach(suggestion => {
+    if (!suggestion.supplier_id) {
+      unassigned.push(suggestion);
+      return;
+    }
+    if (!groups[suggestion.supplier_id]) {
+      groups[suggestion.supplier_id] = {
+        supplier_id: suggestion.supplier_id,
+        supplier_name: suggestion.supplier_name,
+        items: [],
+        estimated_total: 0
+      };
+    }
+    groups[suggestion.supplier_id].items.push(suggestion);
+    groups[suggestion.supplier_id].estimated_total += suggestion.estimated_total;
+  });
+
+  const bySupplier = Object.values(groups).map(group => ({
+    ...group,
+    estimated_total: Math.round(group.estimated_total * 100) / 100
+  }));
+
+  return { suggestions, by_supplier: bySupplier, unassigned };
+}
+
+/**
+ * Remember the latest cost for a product/supplier pair after stock is received
+ * Creates the link on first purchase (preferred if the product has no other supplier)
+ * @param {Object} models - Tenant models
+ * @param {Object} data - { productId, supplierId, unitCost, purchaseOrderId }
+ * @param {Object} transaction - Optional Sequelize transaction
+ */
+async function recordSupplierCost(models, data, transaction = null) {
+  const { productId, supplierId, unitCost, purchaseOrderId = null } = data;
+  if (!productId || !supplierId) {
+    return null;
+  }
+
+  const link = await models.ProductSupplier.findOne({
+    where: { product_id: productId, supplier_id: supplierId },
+    transaction
+  });
+
+  if (link) {
+    return link.update({
+      last_cost: unitCost,
+      last_purchase_order_id: purchaseOrderId,
+      last_received_at: new Date()
+    }, { transaction });
+  }
+
+  const otherLinks = await models.ProductSupplier.count({
+    where: { product_id: productId },
+    transaction
+  });
+
+  return models.ProductSupplier.create({
+    product_id: productId,
+    supplier_id: supplierId,
+    is_preferred: otherLinks === 0,
+    last_cost: unitCost,
+    last_purchase_order_id: purchaseOrderId,
+    last_received_at: new Date()
+  }, { transaction });
+}
+
+module.exports = {
+  getSalesVelocity,
+  getOnOrderQuantities,
+  calculateReorder,
+  buildReorderSuggestions,
+  recordSupplierCost
+};
@@ -0,0 +1,203 @@
+/**
+ * Service Package Service
+ * Prepaid session bundles ("10 sessions") and memberships sold to a customer. Bookings name the
+ * package they draw on; a session is taken when the booking is completed and given back if the
+ * booking is moved off completed
+ */
+
+const moment = require('moment');
+const { Sequelize } = require('sequelize');
+
+/**
+ * Sessions left on a customer package (null = unlimited)
+ * @param {Object} customerPackage - CustomerPackage
+ * @returns {number|null}
+ */
+function getRemainingSessions(customerPackage) {
+  if (customerPackage.sessions_total === null || customerPackage.sessions_total === undefined) {
+    return null;
+  }
+  return Math.max(0, customerPackage.sessions_total - (customerPackage.sessions_used || 0));
+}
+
+/**
+ * Whether a customer package has passed its expiry date
+ */
+function isPackageExpired(customerPackage, at = moment()) {
+  return !!customerPackage.expires_at && moment(customerPackage.expires_at).isBefore(at);
+}
+
+/**
+ * Check a customer package can pay for one or more upcoming bookings of a service
+ * Sessions already promised to other upcoming bookings on the package are not available
+ * @param {Object} models - Tenant models
+ * @param {Object} options
+ * @param {number} options.customerPackageId
+ * @param {number} options.customerId - Booking customer (must own the package)
+ * @param {number} options.serviceId
+ * @param {Array} options.scheduledTimes - Booking times that will draw on the package
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object>} - { valid, status, message, customerPackage }
+ */
+async function validatePackageForBookings(models, options, transaction = null) {
+  const { customerPackageId, customerId, serviceId, scheduledTimes } = options;
+
+  const customerPackage = await models.CustomerPackage.findByPk(customerPackageId, { transaction });
+  if (!customerPackage) {
+    return { valid: false, status: 404, message: 'Customer package not found' };
+  }
+
+  if (!customerId || customerPackage.customer_id !== parseInt(customerId)) {
+    return { valid: false, status: 400, message: 'This package belongs to a different customer' };
+  }
+
+  if (customerPackage.status !== 'active' || isPackageExpired(customerPackage)) {
+    return { valid: false, status: 400, message: `This package is ${isPackageExpired(customerPackage) ? 'expired' : customerPackage.status}` };
+  }
+
+  const lastBooking = moment.max(scheduledTimes.map(time => moment(time)));
+  if (customerPackage.expires_at && lastBooking.isAfter(customerPackage.expires_at)) {
+    return {
+      valid: false,
+      status: 400,
+      message: `This package expires on ${moment(customerPackage.expires_at).format('YYYY-MM-DD')}, before the last booking`
+    };
+  }
+
+  // Packages without linked services cover every service
+  if (customerPackage.package_id) {
+    const coveredServices = await models.ServicePackageService.findAll({
+      where: { package_id: customerPackage.package_id },
+      attributes: ['service_id'],
+      transaction
+    });
+    if (coveredServices.length > 0 && !coveredServices.some(link => link.service_id === parseInt(serviceId))) {
+      return { valid: false, status: 400, message: 'This package does not cover this service' };
+    }
+  }
+
+  const remaining = getRemainingSessions(customerPackage);
+  if (remaining !== null) {
+    const reserved = await models.Booking.count({
+      where: {
+        customer_package_id: customerPackage.id,
+        package_redeemed_at: null,
+        status: { [Sequelize.Op.in]: ['pending', 'confirmed'] }
+      },
+      transaction
+    });
+
+    if (remaining - reserved < scheduledTimes.length) {
+      return {
+        valid: false,
+        status: 400,
+        message: `Not enough sessions left on this package (${Math.max(0, remaining - reserved)} available, ${scheduledTimes.length} needed)`
+      };
+    }
+  }
+
+  return { valid: true, customerPackage };
+}
+
+/**
+ * Take a session from the booking's package (booking completed)
+ * Safe to call more than once for the same booking
+ * @param {Object} models - Tenant models
+ * @param {Object} booking - Booking with customer_package_id
+ * @param {Object} options
+ * @param {number} options.tenantId - Tenant ID (free users, shared DB) or null
+ * @param {number} options.createdBy - User/staff completing the booking
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object|null>} - { redeemed, message, customerPackage } or null when the booking has no package
+ */
+async function redeemPackageSession(models, booking, { tenantId = null, createdBy = null } = {}, transaction = null) {
+  if (!booking.customer_package_id) {
+    return null;
+  }
+
+  if (booking.package_redeemed_at) {
+    return { redeemed: false, message: 'Session already taken for this booking' };
+  }
+
+  const customerPackage = await models.CustomerPackage.findByPk(booking.customer_package_id, {
+    lock: transaction ? true : undefined,
+    transaction
+  });
+
+  if (!customerPackage || customerPackage.status === 'cancelled') {
+    return { redeemed: false, message: 'The booking\'s package is no longer available' };
+  }
+
+  const remaining = getRemainingSessions(customerPackage);
+  if (remaining === 0) {
+    return { redeemed: false, message: 'No sessions left on the booking\'s package', customerPackage };
+  }
+
+  const sessionsUsed = customerPackage.sessions_used + 1;
+  await customerPackage.update({
+    sessions_used: sessionsUsed,
+    ...(customerPackage.sessions_total !== null && sessionsUsed >= customerPackage.sessions_total && { status: 'exhausted' })
+  }, { transaction });
+
+  await models.CustomerPackageUsage.create({
+    tenant_id: tenantId,
+    customer_package_id: customerPackage.id,
+    booking_id: booking.id,
+    usage_type: 'redeem',
+    sessions: 1,
+    note: `${booking.service_title} on ${moment(booking.scheduled_at).format('YYYY-MM-DD HH:mm')}`,
+    created_by: createdBy
+  }, { transaction });
+
+  await booking.update({ package_redeemed_at: new Date() }, { transaction });
+
+  return { redeemed: true, customerPackage };
+}
+
+/**
+ * Give back the session taken for a booking (booking moved off completed)
+ * @param {Object} models - Tenant models
+ * @param {Object} booking - Booking
+ * @param {Object} options - { tenantId, createdBy, reason }
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object|null>} - CustomerPackage, or null when no session was taken
+ */
+async function reversePackageSession(models, booking, { tenantId = null, createdBy = null, reason = null } = {}, transaction = null) {
+  if (!booking.customer_package_id || !booking.package_redeemed_at) {
+    return null;
+  }
+
+  const customerPackage = await models.CustomerPackage.findByPk(booking.customer_package_id, {
+    lock: transaction ? true : undefined,
+    transaction
+  });
+
+  if (customerPackage) {
+    await customerPackage.update({
+      sessions_used: Math.max(0, customerPackage.sessions_used - 1),
+      ...(customerPackage.status === 'exhausted' && { status: 'active' })
+    }, { transaction });
+
+    await models.CustomerPackageUsage.create({
+      tenant_id: tenantId,
+      customer_package_id: customerPackage.id,
+      booking_id: booking.id,
+      usage_type: 'reverse',
+      sessions: -1,
+      note: reason,
+      created_by: createdBy
+    }, { transaction });
+  }
+
+  await booking.update({ package_redeemed_at: null }, { transaction });
+
+  return customerPackage;
+}
+
+module.exports = {
+  getRemainingSessions,
+  isPackageExpired,
+  validatePackageForBookings,
+  redeemPackageSession,
+  reversePackageSession
+};
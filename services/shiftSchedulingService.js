@@ -0,0 +1,238 @@
+/**
+ * Shift Scheduling Service
+ * Rota helpers for StaffShift: shift time windows (including overnight shifts), conflict detection,
+ * template expansion, and lateness / no-show evaluation of clock-ins against the scheduled shift
+ */
+
+const { Sequelize } = require('sequelize');
+const moment = require('moment');
+
+// Minutes after shift start before a clock-in counts as late
+const LATE_GRACE_MINUTES = parseInt(process.env.SHIFT_LATE_GRACE_MINUTES || '15');
+
+// How early before shift start a clock-in is matched to the shift
+const EARLY_CLOCK_IN_MINUTES = 120;
+
+/**
+ * Normalize "8:00", "08:00" or "08:00:00" to HH:mm:ss
+ * @param {string} time
+ * @returns {string|null} - null when the value is not a valid time
+ */
+function normalizeTime(time) {
+  if (!time) return null;
+  const parsed = moment(String(time), ['HH:mm:ss', 'HH:mm', 'H:mm'], true);
+  return parsed.isValid() ? parsed.format('HH:mm:ss') : null;
+}
+
+/**
+ * Start and end of a shift; an end time at or before the start time runs into the next day
+ * @param {string} shiftDate - YYYY-MM-DD
+ * @param {string} startTime - HH:mm:ss
+ * @param {string} endTime - HH:mm:ss
+ * @returns {Object} - { start, end } moments
+ */
+function getShiftWindow(shiftDate, startTime, endTime) {
+  const start = moment(`${shiftDate} ${startTime}`, 'YYYY-MM-DD HH:mm:ss');
+  const end = moment(`${shiftDate} ${endTime}`, 'YYYY-MM-DD HH:mm:ss');
+  if (!end.isAfter(start)) {
+    end.add(1, 'day');
+  }
+  return { start, end };
+}
+
+/**
+ * Scheduled working hours of a shift (excluding break)
+ */
+function getShiftHours(shift) {
+  const { start, end } = getShiftWindow(shift.shift_date, shift.shift_start_time, shift.shift_end_time);
+  const minutes = end.diff(start, 'minutes') - (shift.break_duration || 0);
+  return Math.max(Math.round((minutes / 60) * 100) / 100, 0);
+}
+
+/**
+ * Existing shifts for a staff member that overlap the proposed shift
+ * Checks the day before and after as well so overnight shifts are caught
+ * @param {Object} models - Tenant models
+ * @param {Object} proposed
+ * @param {number} proposed.staffId - Staff ID
+ * @param {string} proposed.shiftDate - YYYY-MM-DD
+ * @param {string} proposed.startTime - HH:mm:ss
+ * @param {string} proposed.endTime - HH:mm:ss
+ * @param {Array<number>} proposed.excludeShiftIds - Shifts to ignore (e.g. the one being edited)
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Array>} - Conflicting StaffShift instances
+ */
+async function findShiftConflicts(models, proposed, transaction = null) {
+  const { staffId, shiftDate, startTime, endTime, excludeShiftIds = [] } = proposed;
+  const window = getShiftWindow(shiftDate, startTime, endTime);
+
+  const where = {
+    staff_id: staffId,
+    shift_date: {
+      [Sequelize.Op.between]: [
+        moment(shiftDate).subtract(1, 'day').format('YYYY-MM-DD'),
+        moment(shiftDate).add(1, 'day').format('YYYY-MM-DD')
+      ]
+    }
+  };
+  const excluded = excludeShiftIds.filter(Boolean);
+  if (excluded.length > 0) {
+    where.id = { [Sequelize.Op.notIn]: excluded };
+  }
+
+  const shifts = await models.StaffShift.findAll({ where, transaction });
+
+  return shifts.filter(shift => {
+    const existing = getShiftWindow(shift.shift_date, shift.shift_start_time, shift.shift_end_time);
+    return window.start.isBefore(existing.end) && existing.start.isBefore(window.end);
+  });
+}
+
+/**
+ * Overlaps between shifts in the same batch (e.g. a rota being created in one call)
+ * @param {Array} shifts - [{ staff_id, shift_date, shift_start_time, shift_end_time }]
+ * @returns {Array} - [{ index, other_index }]
+ */
+function findBatchConflicts(shifts) {
+  const conflicts = [];
+  for (let i = 0; i < shifts.length; i++) {
+    const a = shifts[i];
+    const aWindow = getShiftWindow(a.shift_date, a.shift_start_time, a.shift_end_time);
+    for (let j = i + 1; j < shifts.length; j++) {
+      const b = shifts[j];
+      if (parseInt(a.staff_id) !== parseInt(b.staff_id)) continue;
+      const bWindow = getShiftWindow(b.shift_date, b.shift_start_time, b.shift_end_time);
+      if (aWindow.start.isBefore(bWindow.end) && bWindow.start.isBefore(aWindow.end)) {
+        conflicts.push({ index: j, other_index: i });
+      }
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Monday-to-Sunday week containing the given date
+ * @param {string} weekStart - Any date in the week (default today)
+ * @returns {Object} - { start, end, dates }
+ */
+function getWeekRange(weekStart) {
+  const start = moment(weekStart || undefined).startOf('isoWeek');
+  const dates = [];
+  for (let i = 0; i < 7; i++) {
+    dates.push(start.clone().add(i, 'days').format('YYYY-MM-DD'));
+  }
+  return {
+    start: dates[0],
+    end: dates[6],
+    dates
+  };
+}
+
+/**
+ * Dates in a week a template applies to (all seven days when the template has no days_of_week)
+ * @param {Object} template - StaffShiftTemplate
+ * @param {Array<string>} weekDates - Dates from getWeekRange
+ * @returns {Array<string>}
+ */
+function expandTemplateDates(template, weekDates) {
+  const days = Array.isArray(template.days_of_week) && template.days_of_week.length > 0
+    ? template.days_of_week.map(day => parseInt(day))
+    : [0, 1, 2, 3, 4, 5, 6];
+  return weekDates.filter(date => days.includes(moment(date).day()));
+}
+
+/**
+ * Approved shift a clock-in belongs to: one already running, or starting within the early window
+ * @param {Object} models - Tenant models
+ * @param {number} staffId - Staff ID
+ * @param {Date} clockInTime - Clock-in time
+ * @returns {Promise<Object|null>} - StaffShift
+ */
+async function findShiftForClockIn(models, staffId, clockInTime = new Date()) {
+  const now = moment(clockInTime);
+  const shifts = await models.StaffShift.findAll({
+    where: {
+      staff_id: staffId,
+      is_approved: true,
+      attendance_id: null,
+      shift_date: {
+        [Sequelize.Op.between]: [
+          now.clone().subtract(1, 'day').format('YYYY-MM-DD'),
+          now.clone().add(1, 'day').format('YYYY-MM-DD')
+        ]
+      }
+    },
+    order: [['shift_date', 'ASC'], ['shift_start_time', 'ASC']]
+  });
+
+  return shifts.find(shift => {
+    const { start, end } = getShiftWindow(shift.shift_date, shift.shift_start_time, shift.shift_end_time);
+    return now.isSameOrAfter(start.clone().subtract(EARLY_CLOCK_IN_MINUTES, 'minutes')) && now.isBefore(end);
+  }) || null;
+}
+
+/**
+ * Lateness of a clock-in against its shift
+ * @param {Object} shift - StaffShift
+ * @param {Date} clockInTime - Clock-in time
+ * @returns {Object} - { attendance_status: on_time|late, minutes_late }
+ */
+function evaluateClockIn(shift, clockInTime = new Date()) {
+  const { start } = getShiftWindow(shift.shift_date, shift.shift_start_time, shift.shift_end_time);
+  const minutesLate = Math.max(moment(clockInTime).diff(start, 'minutes'), 0);
+  return {
+    attendance_status: minutesLate > LATE_GRACE_MINUTES ? 'late' : 'on_time',
+    minutes_late: minutesLate > LATE_GRACE_MINUTES ? minutesLate : 0
+  };
+}
+
+/**
+ * Flag approved shifts nobody clocked in for once the late grace period has passed
+ * A later clock-in during the shift still matches it and replaces no_show with late
+ * @param {Object} models - Tenant models
+ * @param {Object} options
+ * @param {string} options.startDate - First shift date to check (YYYY-MM-DD)
+ * @param {string} options.endDate - Last shift date to check (YYYY-MM-DD)
+ * @param {number} options.storeId - Limit to one store (optional)
+ * @returns {Promise<number>} - Number of shifts marked no_show
+ */
+async function markNoShows(models, options = {}) {
+  const now = moment();
+  const endDate = moment.min(moment(options.endDate || now.format('YYYY-MM-DD')), now.clone()).format('YYYY-MM-DD');
+  const where = {
+    is_approved: true,
+    attendance_status: 'scheduled',
+    attendance_id: null,
+    shift_date: {
+      [Sequelize.Op.between]: [options.startDate || endDate, endDate]
+    }
+  };
+  if (options.storeId) where.store_id = options.storeId;
+
+  const shifts = await models.StaffShift.findAll({ where });
+  let marked = 0;
+
+  for (const shift of shifts) {
+    const { start } = getShiftWindow(shift.shift_date, shift.shift_start_time, shift.shift_end_time);
+    if (now.isAfter(start.clone().add(LATE_GRACE_MINUTES, 'minutes'))) {
+      await shift.update({ attendance_status: 'no_show' });
+      marked++;
+    }
+  }
+
+  return marked;
+}
+
+module.exports = {
+  LATE_GRACE_MINUTES,
+  normalizeTime,
+  getShiftWindow,
+  getShiftHours,
+  findShiftConflicts,
+  findBatchConflicts,
+  getWeekRange,
+  expandTemplateDates,
+  findShiftForClockIn,
+  evaluateClockIn,
+  markNoShows
+};
@@ -0,0 +1,85 @@
+/**
+ * Signed Link Service
+ * HMAC signatures for public links that grant access to one tenant record without a login
+ * (invoice payment pages, booking self-service), and their constant-time verification.
+ * Links may carry an expiry (unix seconds) that is covered by the signature
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Secret for a kind of signed link, falling back to the JWT secret
+ * Throws when neither is set - links must never be signed with a value anyone can read in the source
+ * @param {string} envName - Dedicated secret variable (e.g. INVOICE_LINK_SECRET)
+ * @returns {string}
+ */
+function requireLinkSecret(envName) {
+  const secret = process.env[envName] || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error(`${envName} or JWT_SECRET must be set to sign public links`);
+  }
+  return secret;
+}
+
+/**
+ * Sign a tenant record for public access
+ * @param {string} secret - Signing secret (see requireLinkSecret)
+ * @param {string} scope - Record type (invoice, booking) so a signature cannot be reused across types
+ * @param {number} tenantId - Tenant ID
+ * @param {number} recordId - Record ID
+ * @param {number} expiresAt - Optional expiry (unix seconds); links without one never expire
+ * @returns {string} - Hex HMAC signature
+ */
+function signLink(secret, scope, tenantId, recordId, expiresAt = null) {
+  let payload = `${scope}:${parseInt(tenantId, 10)}:${parseInt(recordId, 10)}`;
+  if (expiresAt !== null && expiresAt !== undefined) {
+    payload += `:${parseInt(expiresAt, 10)}`;
+  }
+
+  return crypto
+    .createHmac('sha256', secret)
+    .update(payload)
+    .digest('hex');
+}
+
+/**
+ * Verify a public link signature (constant-time)
+ * @param {string} secret - Signing secret
+ * @param {string} scope - Record type
+ * @param {number} tenantId - Tenant ID
+ * @param {number} recordId - Record ID
+ * @param {string} signature - Signature from the URL
+ * @param {number} expiresAt - Expiry from the URL, when the link was signed with one
+ * @returns {boolean}
+ */
+function verifyLinkSignature(secret, scope, tenantId, recordId, signature, expiresAt = null) {
+  if (!signature || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(signLink(secret, scope, tenantId, recordId, expiresAt), 'hex');
+  const provided = Buffer.from(signature, 'hex');
+
+  if (expected.length !== provided.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expected, provided);
+}
+
+/**
+ * Whether a link expiry (unix seconds) has passed
+ * @param {number} expiresAt - Expiry from the URL
+ * @returns {boolean}
+ */
+function isLinkExpired(expiresAt) {
+  const expiry = parseInt(expiresAt, 10);
+  return isNaN(expiry) || expiry * 1000 <= Date.now();
+}
+
+module.exports = {
+  requireLinkSecret,
+  signLink,
+  verifyLinkSignature,
+  isLinkExpired
+};
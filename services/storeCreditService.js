@@ -0,0 +1,156 @@
+/**
+ * Store Credit Service
+ * Customer store-credit wallet: credit issued on POS returns (or by a manager), spent as a
+ * store_credit tender at the till, and given back when a sale paid with credit is refunded
+ */
+
+const { round2 } = require('./numberService');
+
+/**
+ * Customer's store-credit account
+ * Locked for the rest of the transaction when one is given, so concurrent spends queue on the wallet
+ * @param {Object} models - Tenant models
+ * @param {number} customerId
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object|null>} - StoreCreditAccount
+ */
+function getAccount(models, customerId, transaction = null) {
+  return models.StoreCreditAccount.findOne({
+    where: { customer_id: customerId },
+    lock: transaction ? true : undefined,
+    transaction
+  });
+}
+
+/**
+ * Check the customer can spend an amount of store credit
+ * @param {Object} models - Tenant models
+ * @param {Object} options
+ * @param {number} options.customerId
+ * @param {number} options.amount
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object>} - { valid, message, status, account }
+ */
+async function validateStoreCredit(models, { customerId, amount }, transaction = null) {
+  if (!customerId || !amount || parseFloat(amount) <= 0) {
+    return { valid: false, status: 400, message: 'customer_id and a store credit amount are required' };
+  }
+
+  const account = await getAccount(models, customerId, transaction);
+  if (!account || parseFloat(account.balance) <= 0) {
+    return { valid: false, status: 400, message: 'Customer has no store credit' };
+  }
+
+  if (round2(account.balance) < round2(amount)) {
+    return {
+      valid: false,
+      status: 400,
+      message: `Insufficient store credit. Balance: ${round2(account.balance).toFixed(2)}`
+    };
+  }
+
+  return { valid: true, account };
+}
+
+/**
+ * Add to or take from a customer's store credit and record it in the ledger
+ * @param {Object} models - Tenant models
+ * @param {Object} options
+ * @param {number} options.customerId
+ * @param {number} options.amount - Positive to add, negative to spend
+ * @param {string} options.transactionType - issued | redeemed | adjusted
+ * @param {string} options.referenceType - pos_return, pos_transaction, manual
+ * @param {number} options.referenceId
+ * @param {string} options.description
+ * @param {number} options.createdBy
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object>} - { valid, account, entry } or { valid: false, status, message } when a spend exceeds the balance
+ */
+async function postStoreCredit(models, options, transaction = null) {
+  const {
+    customerId,
+    transactionType,
+    referenceType = null,
+    referenceId = null,
+    description = null,
+    createdBy = null
+  } = options;
+  const amount = round2(options.amount);
+
+  let account = await getAccount(models, customerId, transaction);
+  if (!account) {
+    account = await models.StoreCreditAccount.create({
+      customer_id: customerId,
+      balance: 0,
+      total_issued: 0,
+      total_redeemed: 0
+    }, { transaction });
+  }
+
+  const balanceAfter = round2(parseFloat(account.balance) + amount);
+  if (amount < 0 && balanceAfter < 0) {
+    return {
+      valid: false,
+      status: 400,
+      message: `Insufficient store credit. Balance: ${round2(account.balance).toFixed(2)}`
+    };
+  }
+
+  await account.update({
+    balance: balanceAfter,
+    total_issued: amount > 0 ? round2(parseFloat(account.total_issued) + amount) : account.total_issued,
+    total_redeemed: amount < 0 ? round2(parseFloat(account.total_redeemed) - amount) : account.total_redeemed
+  }, { transaction });
+
+  const entry = await models.StoreCreditTransaction.create({
+    account_id: account.id,
+    customer_id: customerId,
+    transaction_type: transactionType,
+    amount,
+    balance_after: balanceAfter,
+    reference_type: referenceType,
+    reference_id: referenceId,
+    description,
+    created_by: createdBy
+  }, { transaction });
+
+  return { valid: true, account, entry };
+}
+
+/**
+ * Issue store credit to a customer
+ * @param {Object} models - Tenant models
+ * @param {Object} options - See postStoreCredit (amount must be positive)
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object>} - { valid, account, entry }
+ */
+function issueStoreCredit(models, options, transaction = null) {
+  return postStoreCredit(models, {
+    ...options,
+    amount: Math.abs(parseFloat(options.amount)),
+    transactionType: 'issued'
+  }, transaction);
+}
+
+/**
+ * Spend store credit (re-checked against the locked balance)
+ * @param {Object} models - Tenant models
+ * @param {Object} options - See postStoreCredit (amount must be positive)
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object>} - { valid, account, entry } or { valid: false, status, message }
+ */
+function redeemStoreCredit(models, options, transaction = null) {
+  return postStoreCredit(models, {
+    ...options,
+    amount: -Math.abs(parseFloat(options.amount)),
+    transactionType: 'redeemed'
+  }, transaction);
+}
+
+module.exports = {
+  getAccount,
+  validateStoreCredit,
+  postStoreCredit,
+  issueStoreCredit,
+  redeemStoreCredit
+};
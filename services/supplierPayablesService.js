@@ -0,0 +1,365 @@
+/**
+ * Supplier Payables Service
+ * Accounts payable for suppliers: three-way match of bills against purchase order lines
+ * (ordered vs received vs billed), bill balances, aged payables and supplier statements
+ */
+
+const { Sequelize } = require('sequelize');
+const moment = require('moment');
+const { round2 } = require('./numberService');
+
+// Used when the supplier has no parseable payment terms
+const DEFAULT_TERMS_DAYS = 30;
+
+// Bills that still count towards what we owe
+const PAYABLE_STATUSES = ['on_hold', 'open', 'partially_paid'];
+
+/**
+ * Number of days to pay from Supplier.payment_terms ("Net 30", "45 days", "COD", "Due on receipt")
+ * @param {string} paymentTerms - Free-text payment terms
+ * @returns {number}
+ */
+function getPaymentTermsDays(paymentTerms) {
+  if (!paymentTerms) {
+    return DEFAULT_TERMS_DAYS;
+  }
+  if (/\b(cod|cash on delivery|on receipt|immediate|upfront|prepaid)\b/i.test(paymentTerms)) {
+    return 0;
+  }
+  const match = String(paymentTerms).match(/(\d+)/);
+  return match ? parseInt(match[1]) : DEFAULT_TERMS_DAYS;
+}
+
+/**
+ * Three-way match for one bill line
+ * Billing more than was received (including earlier bills) is a quantity variance;
+ * a unit price different from the PO price beyond the tolerance is a price variance
+ * @param {Object} line
+ * @param {number} line.quantityReceived - Quantity received on the PO line
+ * @param {number} line.quantityPreviouslyBilled - Quantity on earlier, non-void bills
+ * @param {number} line.quantityBilled - Quantity on this bill
+ * @param {number} line.orderedUnitPrice - PO unit price
+ * @param {number} line.billedUnitPrice - Supplier invoice unit price
+ * @param {number} priceTolerancePercent - Allowed price difference in percent (default 0)
+ * @returns {string} - matched | quantity_variance | price_variance | quantity_and_price_variance
+ */
+function matchBillLine(line, priceTolerancePercent = 0) {
+  const {
+    quantityReceived = 0,
+    quantityPreviouslyBilled = 0,
+    quantityBilled = 0,
+    orderedUnitPrice = 0,
+    billedUnitPrice = 0
+  } = line;
+
+  const quantityVariance = (quantityPreviouslyBilled + quantityBilled) > quantityReceived;
+  const allowedDifference = Math.max(round2(orderedUnitPrice * (priceTolerancePercent / 100)), 0.01);
+  const priceVariance = Math.abs(round2(billedUnitPrice) - round2(orderedUnitPrice)) >= allowedDifference;
+
+  if (quantityVariance && priceVariance) return 'quantity_and_price_variance';
+  if (quantityVariance) return 'quantity_variance';
+  if (priceVariance) return 'price_variance';
+  return 'matched';
+}
+
+/**
+ * Validate a payment amount against the bill balance
+ * @param {Object} bill - SupplierBill instance
+ * @param {number} amount - Payment amount
+ * @returns {Object} - { valid, message }
+ */
+function validateSupplierPayment(bill, amount) {
+  const paymentAmount = round2(amount);
+
+  if (!paymentAmount || paymentAmount <= 0) {
+    return { valid: false, message: 'Payment amount must be greater than zero' };
+  }
+
+  if (bill.status === 'void') {
+    return { valid: false, message: 'Cannot record payment on a void bill' };
+  }
+
+  if (bill.status === 'on_hold') {
+    return { valid: false, message: 'Bill is on hold until its match variance is approved' };
+  }
+
+  const balanceDue = round2(Number(bill.total || 0) - Number(bill.amount_paid || 0));
+  if (balanceDue <= 0) {
+    return { valid: false, message: 'Bill is already fully paid' };
+  }
+
+  if (paymentAmount > balanceDue) {
+    return { valid: false, message: `Payment amount exceeds balance due of ${balanceDue.toFixed(2)}` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Recalculate SupplierBill.amount_paid, balance_due and status from completed payments
+ * @param {Object} models - Tenant models
+ * @param {Object} bill - SupplierBill instance
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object>} - Updated bill
+ */
+async function refreshBillBalance(models, bill, transaction = null) {
+  const paid = await models.SupplierPayment.sum('amount', {
+    where: { supplier_bill_id: bill.id, status: 'completed' },
+    transaction
+  });
+
+  const amountPaid = round2(paid || 0);
+  const balanceDue = round2(Math.max(Number(bill.total || 0) - amountPaid, 0));
+
+  let status = bill.status;
+  if (status !== 'void' && status !== 'on_hold') {
+    if (balanceDue <= 0) {
+      status = 'paid';
+    } else if (amountPaid > 0) {
+      status = 'partially_paid';
+    } else {
+      status = 'open';
+    }
+  }
+
+  return bill.update({
+    amount_paid: amountPaid,
+    balance_due: balanceDue,
+    status
+  }, { transaction });
+}
+
+/**
+ * Aging bucket for an outstanding bill
+ * @param {string} dueDate - Bill due date
+ * @param {string} asOf - Report date
+ * @returns {string} - current | days_1_30 | days_31_60 | days_61_90 | days_over_90
+ */
+function getAgingBucket(dueDate, asOf) {
+  const daysOverdue = moment(asOf).startOf('day').diff(moment(dueDate).startOf('day'), 'days');
+  if (daysOverdue <= 0) return 'current';
+  if (daysOverdue <= 30) return 'days_1_30';
+  if (daysOverdue <= 60) return 'days_31_60';
+  if (daysOverdue <= 90) return 'days_61_90';
+  return 'days_over_90';
+}
+
+function emptyBuckets() {
+  return {
+    current: 0,
+    days_1_30: 0,
+    days_31_60: 0,
+    days_61_90: 0,
+    days_over_90: 0,
+    total: 0
+  };
+}
+
+/**
+ * Aged payables: outstanding bill balances per supplier, bucketed by days past due
+ * @param {Object} models - Tenant models
+ * @param {Object} options
+ * @param {string} options.asOf - Report date (YYYY-MM-DD, default today)
+ * @param {number} options.supplierId - Limit to one supplier (optional)
+ * @returns {Promise<Object>} - { as_of, totals, suppliers }
+ */
+async function buildAgedPayables(models, options = {}) {
+  const asOf = options.asOf || moment().format('YYYY-MM-DD');
+
+  const where = {
+    status: PAYABLE_STATUSES,
+    bill_date: { [Sequelize.Op.lte]: asOf }
+  };
+  if (options.supplierId) where.supplier_id = options.supplierId;
+
+  const bills = await models.SupplierBill.findAll({
+    where,
+    include: [
+      {
+        model: models.Supplier,
+        attributes: ['id', 'name', 'company_name', 'payment_terms']
+      }
+    ],
+    order: [['due_date', 'ASC']]
+  });
+
+  const totals = emptyBuckets();
+  const suppliers = {};
+
+  bills.forEach(bill => {
+    const balance = round2(bill.balance_due);
+    if (balance <= 0) return;
+
+    const bucket = getAgingBucket(bill.due_date, asOf);
+    if (!suppliers[bill.supplier_id]) {
+      suppliers[bill.supplier_id] = {
+        supplier_id: bill.supplier_id,
+        supplier_name: bill.Supplier ? (bill.Supplier.company_name || bill.Supplier.name) : null,
+        payment_terms: bill.Supplier ? bill.Supplier.payment_terms : null,
+        ...emptyBuckets(),
+        bills: []
+      };
+    }
+
+    const entry = suppliers[bill.supplier_id];
+    entry[bucket] = round2(entry[bucket] + balance);
+    entry.total = round2(entry.total + balance);
+    totals[bucket] = round2(totals[bucket] + balance);
+    totals.total = round2(totals.total + balance);
+
+    entry.bills.push({
+      id: bill.id,
+      bill_number: bill.bill_number,
+      supplier_invoice_number: bill.supplier_invoice_number,
+      bill_date: bill.bill_date,
+      due_date: bill.due_date,
+      status: bill.status,
+      total: round2(bill.total),
+      balance_due: balance,
+      days_overdue: Math.max(moment(asOf).diff(moment(bill.due_date), 'days'), 0),
+      bucket
+    });
+  });
+
+  return {
+    as_of: asOf,
+    totals,
+    suppliers: Object.values(suppliers).sort((a, b) => b.total - a.total)
+  };
+}
+
+/**
+ * Supplier statement: bills (credit, increase what we owe) and payments (debit) with a running balance
+ * @param {Object} models - Tenant models
+ * @param {Object} supplier - Supplier instance
+ * @param {Object} options
+ * @param {string} options.startDate - Statement start (YYYY-MM-DD, default 90 days ago)
+ * @param {string} options.endDate - Statement end (YYYY-MM-DD, default today)
+ * @returns {Promise<Object>}
+ */
+async function buildSupplierStatement(models, supplier, options = {}) {
+  const endDate = options.endDate || moment().format('YYYY-MM-DD');
+  const startDate = options.startDate || moment(endDate).subtract(90, 'days').format('YYYY-MM-DD');
+
+  const [bills, payments] = await Promise.all([
+    models.SupplierBill.findAll({
+      where: {
+        supplier_id: supplier.id,
+        status: { [Sequelize.Op.ne]: 'void' },
+        bill_date: { [Sequelize.Op.lte]: endDate }
+      },
+      order: [['bill_date', 'ASC'], ['id', 'ASC']]
+    }),
+    models.SupplierPayment.findAll({
+      where: {
+        supplier_id: supplier.id,
+        status: 'completed',
+        payment_date: { [Sequelize.Op.lte]: endDate }
+      },
+      include: [
+        {
+          model: models.SupplierBill,
+          attributes: ['id', 'bill_number']
+        }
+      ],
+      order: [['payment_date', 'ASC'], ['id', 'ASC']]
+    })
+  ]);
+
+  let openingBalance = 0;
+  const entries = [];
+
+  bills.forEach(bill => {
+    const amount = round2(bill.total);
+    if (moment(bill.bill_date).isBefore(startDate, 'day')) {
+      openingBalance += amount;
+      return;
+    }
+    entries.push({
+      date: bill.bill_date,
+      type: 'bill',
+      reference: bill.bill_number,
+      supplier_invoice_number: bill.supplier_invoice_number,
+      description: bill.purchase_order_id ? `Bill for purchase order #${bill.purchase_order_id}` : 'Supplier bill',
+      credit: amount,
+      debit: 0,
+      sort_id: bill.id
+    });
+  });
+
+  payments.forEach(payment => {
+    const amount = round2(payment.amount);
+    if (moment(payment.payment_date).isBefore(startDate, 'day')) {
+      openingBalance -= amount;
+      return;
+    }
+    entries.push({
+      date: payment.payment_date,
+      type: 'payment',
+      reference: payment.payment_number,
+      description: `Payment (${payment.payment_method})${payment.SupplierBill ? ` for ${payment.SupplierBill.bill_number}` : ''}`,
+      credit: 0,
+      debit: amount,
+      sort_id: payment.id
+    });
+  });
+
+  // Bills before payments on the same day
+  entries.sort((a, b) => {
+    const byDate = moment(a.date).diff(moment(b.date));
+    if (byDate !== 0) return byDate;
+    if (a.type !== b.type) return a.type === 'bill' ? -1 : 1;
+    return a.sort_id - b.sort_id;
+  });
+
+  let balance = round2(openingBalance);
+  let totalBilled = 0;
+  let totalPaid = 0;
+  const lines = entries.map(({ sort_id, ...entry }) => {
+    balance = round2(balance + entry.credit - entry.debit);
+    totalBilled += entry.credit;
+    totalPaid += entry.debit;
+    return { ...entry, balance };
+  });
+
+  const aging = await buildAgedPayables(models, { asOf: endDate, supplierId: supplier.id });
+  const supplierAging = aging.suppliers[0] || { ...emptyBuckets(), bills: [] };
+
+  return {
+    supplier: {
+      id: supplier.id,
+      name: supplier.name,
+      company_name: supplier.company_name,
+      email: supplier.email,
+      phone: supplier.phone,
+      payment_terms: supplier.payment_terms
+    },
+    period: {
+      start_date: startDate,
+      end_date: endDate
+    },
+    opening_balance: round2(openingBalance),
+    total_billed: round2(totalBilled),
+    total_paid: round2(totalPaid),
+    closing_balance: balance,
+    entries: lines,
+    aging: {
+      current: supplierAging.current,
+      days_1_30: supplierAging.days_1_30,
+      days_31_60: supplierAging.days_31_60,
+      days_61_90: supplierAging.days_61_90,
+      days_over_90: supplierAging.days_over_90,
+      total: supplierAging.total
+    }
+  };
+}
+
+module.exports = {
+  getPaymentTermsDays,
+  matchBillLine,
+  validateSupplierPayment,
+  refreshBillBalance,
+  getAgingBucket,
+  buildAgedPayables,
+  buildSupplierStatement
+};
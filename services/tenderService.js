@@ -0,0 +1,232 @@
+/**
+ * Tender Service
+ * Split-tender payments for POS and restaurant tabs: values loyalty points and store credit tenders,
+ * validates tender lines against the amount due, gives change only on cash, records the tender lines,
+ * and reads a sale's amounts per tender type (falling back to payment_method for single-method sales)
+ */
+
+const { round2 } = require('./numberService');
+const { getRedemptionValue, validateRedemption, redeemCustomerPoints } = require('./loyaltyService');
+const { validateStoreCredit, redeemStoreCredit } = require('./storeCreditService');
+
+const TENDER_TYPES = ['cash', 'card', 'transfer', 'mobile_money', 'loyalty_points', 'store_credit', 'exchange', 'other'];
+
+/**
+ * Validate tender lines and work out change
+ * Non-cash tenders may not exceed the amount due (no change on card, transfer, points or credit);
+ * cash covers the rest and any excess cash is returned as change
+ * @param {Array} tenders - [{ tender_type, amount, reference, loyalty_points }] (loyalty and exchange amounts already valued)
+ * @param {number} total - Amount due
+ * @returns {Object} - { valid, message, lines, amount_paid, change_amount, payment_method }
+ */
+function settleTenders(tenders, total) {
+  if (!Array.isArray(tenders) || tenders.length === 0) {
+    return { valid: false, message: 'At least one tender is required' };
+  }
+
+  const amountDue = round2(total);
+  const lines = [];
+
+  for (const tender of tenders) {
+    if (!TENDER_TYPES.includes(tender.tender_type)) {
+      return { valid: false, message: `Invalid tender type: ${tender.tender_type}` };
+    }
+    const amount = round2(tender.amount);
+    if (amount <= 0) {
+      return { valid: false, message: 'Each tender amount must be greater than 0' };
+    }
+    lines.push({
+      tender_type: tender.tender_type,
+      amount_tendered: amount,
+      amount,
+      change_amount: 0,
+      reference: tender.reference || null,
+      loyalty_points: tender.loyalty_points || null
+    });
+  }
+
+  const nonCashTotal = round2(lines
+    .filter(line => line.tender_type !== 'cash')
+    .reduce((sum, line) => sum + line.amount, 0));
+  const cashTendered = round2(lines
+    .filter(line => line.tender_type === 'cash')
+    .reduce((sum, line) => sum + line.amount, 0));
+
+  if (nonCashTotal > amountDue) {
+    return {
+      valid: false,
+      message: `Non-cash tenders (${nonCashTotal.toFixed(2)}) exceed the amount due (${amountDue.toFixed(2)}). Change is only given on cash`
+    };
+  }
+
+  const cashDue = round2(amountDue - nonCashTotal);
+  if (cashTendered < cashDue) {
+    return {
+      valid: false,
+      message: `Insufficient payment. Amount due: ${amountDue.toFixed(2)}, tendered: ${round2(nonCashTotal + cashTendered).toFixed(2)}`
+    };
+  }
+
+  // Take change out of the cash lines, last first
+  let change = round2(cashTendered - cashDue);
+  const changeAmount = change;
+  for (let i = lines.length - 1; i >= 0 && change > 0; i--) {
+    const line = lines[i];
+    if (line.tender_type !== 'cash') continue;
+    const fromLine = Math.min(line.amount, change);
+    line.change_amount = round2(fromLine);
+    line.amount = round2(line.amount - fromLine);
+    change = round2(change - fromLine);
+  }
+
+  const types = [...new Set(lines.map(line => line.tender_type))];
+
+  return {
+    valid: true,
+    lines,
+    amount_paid: round2(nonCashTotal + cashTendered),
+    change_amount: changeAmount,
+    payment_method: types.length === 1 ? types[0] : 'split'
+  };
+}
+
+/**
+ * Value tender inputs before settling them
+ * Loyalty points are valued at the program's redemption rate and store credit is checked against the
+ * wallet; several tenders of one kind draw on the same balance. Exchange credit only comes from a return.
+ * @param {Object} models - Tenant models
+ * @param {Array} tenders - [{ tender_type, amount, points, reference }]
+ * @param {number|null} customerId - Paying customer (required for points and store credit)
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object>} - { valid, tenders } or { valid: false, status, message }
+ */
+async function valueTenders(models, tenders, customerId, transaction = null) {
+  const valuedTenders = [];
+  let storeCreditTotal = 0;
+  let loyaltyPointsTotal = 0;
+
+  for (const tender of tenders) {
+    if (tender.tender_type === 'exchange') {
+      return { valid: false, status: 400, message: 'Exchange credit is applied with exchange_return_id' };
+    }
+
+    if (tender.tender_type === 'store_credit') {
+      storeCreditTotal += parseFloat(tender.amount || 0);
+      const creditCheck = await validateStoreCredit(models, {
+        customerId,
+        amount: storeCreditTotal
+      }, transaction);
+
+      if (!creditCheck.valid) {
+        return creditCheck;
+      }
+
+      valuedTenders.push(tender);
+      continue;
+    }
+
+    if (tender.tender_type !== 'loyalty_points') {
+      valuedTenders.push(tender);
+      continue;
+    }
+
+    if (!customerId) {
+      return { valid: false, status: 400, message: 'customer_id is required to pay with loyalty points' };
+    }
+
+    loyaltyPointsTotal += parseFloat(tender.points || 0);
+    const redemption = await validateRedemption(models, {
+      customerId,
+      points: loyaltyPointsTotal
+    }, transaction);
+
+    if (!redemption.valid) {
+      return redemption;
+    }
+    if (!(parseFloat(tender.points) > 0)) {
+      return { valid: false, status: 400, message: 'points must be greater than zero' };
+    }
+
+    valuedTenders.push({
+      tender_type: 'loyalty_points',
+      amount: getRedemptionValue(redemption.loyaltyPoints.LoyaltyProgram, tender.points),
+      loyalty_points: parseFloat(tender.points)
+    });
+  }
+
+  return { valid: true, tenders: valuedTenders };
+}
+
+/**
+ * Record a sale's settled tender lines, taking loyalty points and store credit from the customer
+ * @param {Object} models - Tenant models
+ * @param {Object} posTransaction - POSTransaction the lines belong to
+ * @param {Array} lines - settleTenders(...).lines
+ * @param {Object} options
+ * @param {number|null} options.customerId - Paying customer
+ * @param {number} options.createdBy - Staff / user ID
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Object>} - { valid } or { valid: false, status, message } when points or credit could not be taken
+ */
+async function recordTenders(models, posTransaction, lines, { customerId, createdBy }, transaction = null) {
+  for (const line of lines) {
+    let redemption = null;
+    if (line.tender_type === 'store_credit') {
+      redemption = await redeemStoreCredit(models, {
+        customerId,
+        amount: line.amount,
+        referenceType: 'pos_transaction',
+        referenceId: posTransaction.id,
+        description: `Spent on ${posTransaction.transaction_number}`,
+        createdBy
+      }, transaction);
+    }
+
+    if (line.tender_type === 'loyalty_points') {
+      redemption = await redeemCustomerPoints(models, {
+        customerId,
+        points: line.loyalty_points,
+        referenceType: 'pos_transaction',
+        referenceId: posTransaction.id,
+        description: `Redeemed ${line.loyalty_points} points on ${posTransaction.transaction_number}`
+      }, transaction);
+    }
+
+    // Never record a points / credit tender that was not actually taken from the customer
+    if (redemption && !redemption.valid) {
+      return { valid: false, status: redemption.status || 400, message: redemption.message };
+    }
+
+    await models.POSTransactionTender.create({
+      transaction_id: posTransaction.id,
+      ...line
+    }, { transaction });
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Amount a sale took per tender type
+ * @param {Object} sale - POSTransaction (with POSTransactionTenders when loaded)
+ * @returns {Object} - { tender_type: amount }
+ */
+function getSaleTenders(sale) {
+  const tenders = sale.POSTransactionTenders || [];
+  if (tenders.length === 0) {
+    return { [sale.payment_method || 'cash']: parseFloat(sale.total || 0) };
+  }
+
+  return tenders.reduce((totals, tender) => {
+    totals[tender.tender_type] = round2((totals[tender.tender_type] || 0) + parseFloat(tender.amount || 0));
+    return totals;
+  }, {});
+}
+
+module.exports = {
+  TENDER_TYPES,
+  settleTenders,
+  valueTenders,
+  recordTenders,
+  getSaleTenders
+};
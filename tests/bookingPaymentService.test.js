@@ -0,0 +1,156 @@
+jest.mock('../config/tenant', () => ({ Tenant: {} }));
+jest.mock('../config/database', () => ({ getTenantConnection: jest.fn() }));
+jest.mock('../models', () => jest.fn());
+
+const moment = require('moment');
+const {
+  getServicePaymentTerms,
+  validateServicePaymentSettings,
+  getCancellationCharges,
+  confirmBookingPayment
+} = require('../services/bookingPaymentService');
+const { mockRecord, mockTransaction } = require('./helpers/mockModels');
+
+describe('getServicePaymentTerms', () => {
+  it('asks for nothing up front when no payment is required', () => {
+    expect(getServicePaymentTerms({ price: 80, payment_requirement: 'none' })).toEqual({
+      requirement: 'none',
+      price: 80,
+      amount_due_now: 0
+    });
+  });
+
+  it('takes a percentage deposit of the price', () => {
+    const terms = getServicePaymentTerms({ price: 80, payment_requirement: 'deposit', deposit_type: 'percentage', deposit_value: 25 });
+
+    expect(terms.amount_due_now).toBe(20);
+  });
+
+  it('never asks for a fixed deposit above the price', () => {
+    const terms = getServicePaymentTerms({ price: 80, payment_requirement: 'deposit', deposit_type: 'fixed', deposit_value: 100 });
+
+    expect(terms.amount_due_now).toBe(80);
+  });
+
+  it('takes the full price for prepaid services', () => {
+    expect(getServicePaymentTerms({ price: 80, payment_requirement: 'full' }).amount_due_now).toBe(80);
+  });
+});
+
+describe('validateServicePaymentSettings', () => {
+  it('refuses a percentage deposit over 100', () => {
+    const result = validateServicePaymentSettings({
+      payment_requirement: 'deposit',
+      deposit_type: 'percentage',
+      deposit_value: 120,
+      price: 80
+    });
+
+    expect(result.message).toBe('A percentage deposit cannot exceed 100');
+  });
+
+  it('refuses a deposit on a free service', () => {
+    const result = validateServicePaymentSettings({ payment_requirement: 'full', price: 0 });
+
+    expect(result.message).toBe('A deposit or prepayment needs a service price');
+  });
+});
+
+describe('getCancellationCharges', () => {
+  const service = {
+    price: 80,
+    cancellation_fee_type: 'percentage',
+    cancellation_fee_value: 50,
+    cancellation_fee_window_hours: 24
+  };
+
+  it('refunds everything paid when cancelled outside the fee window', () => {
+    const booking = { amount_paid: 20, payment_status: 'deposit_paid', scheduled_at: moment().add(3, 'days').toDate() };
+
+    expect(getCancellationCharges(booking, service)).toEqual({
+      is_late: false,
+      cancellation_fee: 0,
+      refund_amount: 20,
+      payment_status: 'refund_due'
+    });
+  });
+
+  it('keeps the fee from what was paid on a late cancellation', () => {
+    const booking = { amount_paid: 80, payment_status: 'paid', scheduled_at: moment().add(2, 'hours').toDate() };
+
+    const charges = getCancellationCharges(booking, service);
+
+    expect(charges.is_late).toBe(true);
+    expect(charges.cancellation_fee).toBe(40);
+    expect(charges.refund_amount).toBe(40);
+  });
+
+  it('never keeps more than was paid for a no-show', () => {
+    const booking = { amount_paid: 20, payment_status: 'deposit_paid', scheduled_at: moment().add(3, 'days').toDate() };
+
+    const charges = getCancellationCharges(booking, service, { noShow: true });
+
+    expect(charges.cancellation_fee).toBe(20);
+    expect(charges.refund_amount).toBe(0);
+    expect(charges.payment_status).toBe('deposit_paid');
+  });
+});
+
+describe('confirmBookingPayment', () => {
+  function buildModels(booking) {
+    return {
+      Booking: { findByPk: jest.fn(async () => booking) },
+      StoreService: { findByPk: jest.fn(async () => ({ id: 2, price: 80 })) }
+    };
+  }
+
+  const paymentTransaction = { id: 30, booking_id: 6, amount: 20 };
+
+  it('confirms a held booking when its deposit arrives', async () => {
+    const booking = mockRecord({
+      id: 6,
+      service_id: 2,
+      status: 'pending',
+      payment_status: 'awaiting_payment',
+      payment_hold_expires_at: moment().add(10, 'minutes').toDate()
+    });
+
+    const result = await confirmBookingPayment(buildModels(booking), paymentTransaction, mockTransaction());
+
+    expect(result).toEqual({ booking, confirmed: true, refund_due: false });
+    expect(booking.status).toBe('confirmed');
+    expect(booking.payment_status).toBe('deposit_paid');
+    expect(booking.amount_paid).toBe(20);
+  });
+
+  it('marks the payment for refund when the hold expired first', async () => {
+    const booking = mockRecord({
+      id: 6,
+      service_id: 2,
+      status: 'pending',
+      payment_status: 'awaiting_payment',
+      payment_hold_expires_at: moment().subtract(1, 'minute').toDate()
+    });
+
+    const result = await confirmBookingPayment(buildModels(booking), paymentTransaction, mockTransaction());
+
+    expect(result.refund_due).toBe(true);
+    expect(booking.status).toBe('cancelled');
+    expect(booking.payment_status).toBe('refund_due');
+    expect(booking.refund_amount).toBe(20);
+  });
+
+  it('applies the same payment only once', async () => {
+    const booking = mockRecord({
+      id: 6,
+      status: 'confirmed',
+      payment_status: 'deposit_paid',
+      payment_transaction_id: 30
+    });
+
+    const result = await confirmBookingPayment(buildModels(booking), paymentTransaction, mockTransaction());
+
+    expect(result.confirmed).toBe(false);
+    expect(booking.update).not.toHaveBeenCalled();
+  });
+});
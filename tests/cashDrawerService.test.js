@@ -0,0 +1,87 @@
+const { findCashierSession, summarizeSession, calculateVariance } = require('../services/cashDrawerService');
+
+function buildModels({ sales = [], movements = [], layawayPayments = [], session = null } = {}) {
+  return {
+    POSTransaction: { findAll: jest.fn(async () => sales) },
+    POSTransactionTender: {},
+    CashDrawerMovement: { findAll: jest.fn(async () => movements) },
+    LayawayPayment: { findAll: jest.fn(async () => layawayPayments) },
+    CashDrawerSession: { findOne: jest.fn(async () => session) }
+  };
+}
+
+describe('summarizeSession', () => {
+  it('works out the expected cash from the float, cash sales, refunds, layaways and cash movements', async () => {
+    const models = buildModels({
+      sales: [
+        { total: 50, payment_method: 'cash', POSTransactionTenders: [] },
+        {
+          total: 80,
+          payment_method: 'split',
+          POSTransactionTenders: [
+            { tender_type: 'cash', amount: 30 },
+            { tender_type: 'card', amount: 50 }
+          ]
+        }
+      ],
+      movements: [
+        { movement_type: 'cash_in', amount: 20 },
+        { movement_type: 'cash_out', amount: 15 },
+        { movement_type: 'refund', payment_method: 'cash', amount: 10 }
+      ],
+      layawayPayments: [
+        { tender_type: 'cash', payment_type: 'deposit', amount: 25 },
+        { tender_type: 'cash', payment_type: 'refund', amount: 5 }
+      ]
+    });
+
+    const summary = await summarizeSession(models, { id: 1, opening_float: 100 });
+
+    expect(summary.transaction_count).toBe(2);
+    expect(summary.total_sales).toBe(130);
+    expect(summary.total_refunds).toBe(10);
+    expect(summary.layaway_payments).toBe(20);
+    expect(summary.by_method.cash).toEqual({ sales: 80, refunds: 10, layaway: 20, net: 90 });
+    // 100 float + 90 net cash + 20 in - 15 out
+    expect(summary.expected_cash).toBe(195);
+    expect(summary.expected_by_method.card).toBe(50);
+  });
+});
+
+describe('calculateVariance', () => {
+  it('reports over and short per method against the expected amounts', () => {
+    const result = calculateVariance({ cash: 195, card: 50 }, { cash: 190.5, card: 52 });
+
+    expect(result.variance_by_method).toEqual({ cash: -4.5, card: 2 });
+    expect(result.total_variance).toBe(-2.5);
+  });
+
+  it('takes methods that were not counted as matching', () => {
+    const result = calculateVariance({ cash: 195, card: 50 }, { cash: 195 });
+
+    expect(result.counted_by_method.card).toBe(50);
+    expect(result.total_variance).toBe(0);
+  });
+});
+
+describe('findCashierSession', () => {
+  it('finds the staff member\'s own open till', async () => {
+    const models = buildModels({ session: { id: 4 } });
+
+    const session = await findCashierSession(models, { staffId: 7, role: 'staff' }, 2);
+
+    expect(session).toEqual({ id: 4 });
+    expect(models.CashDrawerSession.findOne).toHaveBeenCalledWith(expect.objectContaining({
+      where: { store_id: 2, staff_id: 7, status: 'open' }
+    }));
+  });
+
+  it('never puts a user without a staff record into the owner\'s till', async () => {
+    const models = buildModels({ session: { id: 4 } });
+
+    const session = await findCashierSession(models, { staffId: null, role: 'manager' }, 2);
+
+    expect(session).toBeNull();
+    expect(models.CashDrawerSession.findOne).not.toHaveBeenCalled();
+  });
+});
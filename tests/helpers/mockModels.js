@@ -0,0 +1,63 @@
+/**
+ * Test helpers
+ * In-memory stand-ins for Sequelize instances and transactions, so services and controllers
+ * can be exercised without a database
+ */
+
+/**
+ * Fake model instance: update() writes the values onto the record, like a saved Sequelize instance
+ * @param {Object} fields - Column values
+ * @returns {Object}
+ */
+function mockRecord(fields = {}) {
+  const record = {
+    ...fields,
+    update: jest.fn(async values => Object.assign(record, values)),
+    reload: jest.fn(async () => record),
+    destroy: jest.fn(async () => undefined),
+    increment: jest.fn(async (field, { by = 1 } = {}) => {
+      record[field] = (record[field] || 0) + by;
+      return record;
+    }),
+    toJSON: () => ({ ...fields })
+  };
+  return record;
+}
+
+/**
+ * Fake Sequelize transaction
+ * @returns {Object}
+ */
+function mockTransaction() {
+  return {
+    LOCK: { UPDATE: 'UPDATE' },
+    commit: jest.fn(async () => undefined),
+    rollback: jest.fn(async () => undefined)
+  };
+}
+
+/**
+ * Fake Express response that records the status and JSON body
+ * @returns {Object}
+ */
+function mockResponse() {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status: jest.fn(code => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn(body => {
+      res.body = body;
+      return res;
+    })
+  };
+  return res;
+}
+
+module.exports = {
+  mockRecord,
+  mockTransaction,
+  mockResponse
+};
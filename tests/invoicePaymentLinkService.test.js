@@ -0,0 +1,51 @@
+jest.mock('../config/tenant', () => ({ User: {} }));
+
+process.env.INVOICE_LINK_SECRET = process.env.INVOICE_LINK_SECRET || 'test-invoice-link-secret';
+
+const {
+  buildInvoicePaymentLink,
+  verifyInvoiceLinkSignature,
+  isInvoiceLinkExpired
+} = require('../services/invoicePaymentLinkService');
+
+function readLink(url) {
+  const params = new URL(url).searchParams;
+  return { exp: params.get('exp'), signature: params.get('signature') };
+}
+
+describe('invoice payment links', () => {
+  it('signs the expiry into the link', () => {
+    const link = buildInvoicePaymentLink(3, 9);
+    const { exp, signature } = readLink(link.url);
+
+    expect(verifyInvoiceLinkSignature(3, 9, exp, signature)).toBe(true);
+    expect(isInvoiceLinkExpired(exp)).toBe(false);
+    expect(link.expires_at.getTime()).toBe(parseInt(exp, 10) * 1000);
+  });
+
+  it('rejects a link whose expiry was changed', () => {
+    const { exp, signature } = readLink(buildInvoicePaymentLink(3, 9).url);
+
+    expect(verifyInvoiceLinkSignature(3, 9, parseInt(exp, 10) + 86400, signature)).toBe(false);
+  });
+
+  it('rejects a link without an expiry', () => {
+    const { signature } = readLink(buildInvoicePaymentLink(3, 9).url);
+
+    expect(verifyInvoiceLinkSignature(3, 9, undefined, signature)).toBe(false);
+  });
+
+  it('rejects a link signed for another invoice', () => {
+    const { exp, signature } = readLink(buildInvoicePaymentLink(3, 9).url);
+
+    expect(verifyInvoiceLinkSignature(3, 10, exp, signature)).toBe(false);
+  });
+
+  it('treats a past expiry as expired', () => {
+    const expiresAt = Math.floor(Date.now() / 1000) - 60;
+    const { exp, signature } = readLink(buildInvoicePaymentLink(3, 9, expiresAt).url);
+
+    expect(verifyInvoiceLinkSignature(3, 9, exp, signature)).toBe(true);
+    expect(isInvoiceLinkExpired(exp)).toBe(true);
+  });
+});
@@ -0,0 +1,147 @@
+const {
+  validateInvoicePayment,
+  recordGatewayInvoicePayment,
+  refreshInvoiceBalance,
+  validatePaymentSchedule
+} = require('../services/invoicePaymentService');
+const { mockRecord, mockTransaction } = require('./helpers/mockModels');
+
+function buildModels(invoice, payments = []) {
+  return {
+    Invoice: { findOne: jest.fn(async () => invoice) },
+    InvoicePayment: {
+      findOne: jest.fn(async () => null),
+      findAll: jest.fn(async () => payments),
+      create: jest.fn(async values => {
+        const payment = mockRecord({ id: payments.length + 1, ...values });
+        payments.push(payment);
+        return payment;
+      })
+    },
+    InvoicePaymentSchedule: { findAll: jest.fn(async () => []) }
+  };
+}
+
+function buildPaymentTransaction(amount) {
+  return mockRecord({
+    id: 30,
+    invoice_id: 5,
+    tenant_id: null,
+    amount,
+    transaction_reference: 'INV-REF-1',
+    gateway_name: 'paystack',
+    paid_at: new Date('2026-03-01T10:00:00Z'),
+    refund_due_amount: 0
+  });
+}
+
+describe('validateInvoicePayment', () => {
+  const invoice = { status: 'sent', total: 100, amount_paid: 40 };
+
+  it('accepts a part payment within the balance', () => {
+    expect(validateInvoicePayment(invoice, 60)).toEqual({ valid: true });
+  });
+
+  it('refuses more than the balance due', () => {
+    expect(validateInvoicePayment(invoice, 60.01).message).toBe('Payment amount exceeds balance due of 60.00');
+  });
+
+  it('refuses payments on a cancelled or fully paid invoice', () => {
+    expect(validateInvoicePayment({ ...invoice, status: 'cancelled' }, 10).valid).toBe(false);
+    expect(validateInvoicePayment({ ...invoice, amount_paid: 100 }, 10).message).toBe('Invoice is already fully paid');
+  });
+
+  it('refuses a zero amount', () => {
+    expect(validateInvoicePayment(invoice, 0).valid).toBe(false);
+  });
+});
+
+describe('refreshInvoiceBalance', () => {
+  it('marks the invoice partially paid and then paid from the ledger', async () => {
+    const invoice = mockRecord({ id: 5, status: 'sent', total: 100, amount_paid: 0, due_date: null });
+    const payments = [mockRecord({ amount: 30, payment_method: 'cash', payment_date: '2026-03-01' })];
+    const models = buildModels(invoice, payments);
+
+    await refreshInvoiceBalance(models, invoice);
+    expect(invoice.amount_paid).toBe(30);
+    expect(invoice.balance_due).toBe(70);
+    expect(invoice.status).toBe('partially_paid');
+
+    payments.push(mockRecord({ amount: 70, payment_method: 'transfer', payment_date: '2026-03-02' }));
+    await refreshInvoiceBalance(models, invoice);
+    expect(invoice.balance_due).toBe(0);
+    expect(invoice.status).toBe('paid');
+    expect(invoice.payment_method).toBe('transfer');
+  });
+});
+
+describe('recordGatewayInvoicePayment', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records the payment against the locked invoice', async () => {
+    const invoice = mockRecord({ id: 5, status: 'sent', total: 100, amount_paid: 0, due_date: null });
+    const models = buildModels(invoice);
+    const paymentTransaction = buildPaymentTransaction(100);
+    const transaction = mockTransaction();
+
+    const payment = await recordGatewayInvoicePayment(models, paymentTransaction, { transaction });
+
+    expect(models.Invoice.findOne).toHaveBeenCalledWith(expect.objectContaining({ lock: true, transaction }));
+    expect(payment.amount).toBe(100);
+    expect(invoice.status).toBe('paid');
+    expect(paymentTransaction.refund_due_amount).toBe(0);
+  });
+
+  it('keeps an overpayment on the payment as a refund due', async () => {
+    const invoice = mockRecord({ id: 5, status: 'partially_paid', total: 100, amount_paid: 80, due_date: null });
+    const models = buildModels(invoice, [mockRecord({ amount: 80, payment_method: 'cash', payment_date: '2026-02-01' })]);
+    const paymentTransaction = buildPaymentTransaction(50);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const payment = await recordGatewayInvoicePayment(models, paymentTransaction, { transaction: mockTransaction() });
+
+    expect(payment.amount).toBe(20);
+    expect(paymentTransaction.refund_due_amount).toBe(30);
+    expect(invoice.status).toBe('paid');
+  });
+
+  it('keeps the whole payment as a refund due when nothing is owed', async () => {
+    const invoice = mockRecord({ id: 5, status: 'paid', total: 100, amount_paid: 100, due_date: null });
+    const models = buildModels(invoice);
+    const paymentTransaction = buildPaymentTransaction(25);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const payment = await recordGatewayInvoicePayment(models, paymentTransaction, { transaction: mockTransaction() });
+
+    expect(payment).toBeNull();
+    expect(paymentTransaction.refund_due_amount).toBe(25);
+    expect(models.InvoicePayment.create).not.toHaveBeenCalled();
+  });
+
+  it('applies a gateway payment only once', async () => {
+    const invoice = mockRecord({ id: 5, status: 'sent', total: 100, amount_paid: 0, due_date: null });
+    const models = buildModels(invoice);
+    models.InvoicePayment.findOne.mockResolvedValue(mockRecord({ id: 1 }));
+
+    const payment = await recordGatewayInvoicePayment(models, buildPaymentTransaction(100), { transaction: mockTransaction() });
+
+    expect(payment).toBeNull();
+    expect(models.InvoicePayment.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('validatePaymentSchedule', () => {
+  it('requires the instalments to add up to the invoice total', () => {
+    const invoice = { total: 100 };
+
+    expect(validatePaymentSchedule(invoice, [
+      { due_date: '2026-04-01', amount: 50 },
+      { due_date: '2026-05-01', amount: 50 }
+    ])).toEqual({ valid: true });
+    expect(validatePaymentSchedule(invoice, [
+      { due_date: '2026-04-01', amount: 50 }
+    ]).message).toBe('Instalments total 50.00 must equal the invoice total 100.00');
+  });
+});
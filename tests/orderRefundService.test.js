@@ -0,0 +1,149 @@
+const {
+  calculateRefund,
+  calculateFeeReversal,
+  completeRefund,
+  failRefund
+} = require('../services/orderRefundService');
+const { mockRecord, mockTransaction } = require('./helpers/mockModels');
+
+const orderItems = [
+  { id: 1, product_id: 10, product_name: 'Shoes', quantity: 2, refunded_quantity: 0, unit_price: 40 },
+  { id: 2, product_id: 11, product_name: 'Socks', quantity: 1, refunded_quantity: 0, unit_price: 20 }
+];
+
+describe('calculateRefund', () => {
+  const paymentTransaction = { amount: 100, refunded_amount: 0 };
+
+  it('refunds everything left, with all remaining items, when nothing is specified', () => {
+    const result = calculateRefund(paymentTransaction, orderItems);
+
+    expect(result.valid).toBe(true);
+    expect(result.amount).toBe(100);
+    expect(result.refundType).toBe('full');
+    expect(result.lines.map(line => [line.order_item_id, line.quantity])).toEqual([[1, 2], [2, 1]]);
+  });
+
+  it('prices returned items at their unit price', () => {
+    const result = calculateRefund(paymentTransaction, orderItems, { items: [{ order_item_id: 1, quantity: 1 }] });
+
+    expect(result.amount).toBe(40);
+    expect(result.refundType).toBe('partial');
+  });
+
+  it('refuses returning more units than are left to refund', () => {
+    const items = [{ ...orderItems[0], refunded_quantity: 2 }, orderItems[1]];
+
+    const result = calculateRefund(paymentTransaction, items, { items: [{ order_item_id: 1, quantity: 1 }] });
+
+    expect(result.valid).toBe(false);
+    expect(result.message).toBe('Cannot return 1 of Shoes - only 0 left to refund');
+  });
+
+  it('counts refunds still in flight against the refundable balance', () => {
+    const result = calculateRefund({ amount: 100, refunded_amount: 30 }, orderItems, { amount: 50, reservedAmount: 30 });
+
+    expect(result.valid).toBe(false);
+    expect(result.message).toBe('Refund amount exceeds refundable balance of 40.00');
+  });
+
+  it('has nothing to refund on a fully refunded payment', () => {
+    const result = calculateRefund({ amount: 100, refunded_amount: 100 }, orderItems);
+
+    expect(result).toEqual({ valid: false, message: 'Nothing left to refund on this order' });
+  });
+});
+
+describe('calculateFeeReversal', () => {
+  it('reverses the platform fee pro rata', () => {
+    expect(calculateFeeReversal({ amount: 200, platform_fee: 10 }, 50)).toEqual({
+      platformFeeReversed: 2.5,
+      merchantAmountReversed: 47.5
+    });
+  });
+
+  it('reverses nothing when no fee was taken', () => {
+    expect(calculateFeeReversal({ amount: 200, platform_fee: 0 }, 50)).toEqual({
+      platformFeeReversed: 0,
+      merchantAmountReversed: 50
+    });
+  });
+});
+
+describe('completeRefund', () => {
+  function buildContext(refundStatus) {
+    const refund = mockRecord({
+      id: 3,
+      refund_number: 'RFD-1',
+      order_id: 8,
+      payment_transaction_id: 30,
+      status: refundStatus,
+      amount: 40,
+      platform_fee_reversed: 1,
+      merchant_amount_reversed: 39,
+      restock: false,
+      items: [{ order_item_id: 1, product_id: 10, quantity: 1 }]
+    });
+    const order = mockRecord({ id: 8, total: 100, refunded_amount: 0, payment_status: 'paid' });
+    const paymentTransaction = mockRecord({ id: 30, amount: 100, refunded_amount: 0, platform_fee: 2.5, merchant_amount: 97.5, status: 'success' });
+    const orderItem = mockRecord({ id: 1, refunded_quantity: 0 });
+    const models = {
+      OnlineStoreOrder: { findByPk: jest.fn(async () => order) },
+      PaymentTransaction: { findByPk: jest.fn(async () => paymentTransaction) },
+      OnlineStoreOrderItem: { findByPk: jest.fn(async () => orderItem) },
+      OnlineStoreOrderRefund: { update: jest.fn(async () => [1]) }
+    };
+    return { refund, order, paymentTransaction, orderItem, models };
+  }
+
+  it('applies a processing refund to the order, its items and the payment', async () => {
+    const { refund, order, paymentTransaction, orderItem, models } = buildContext('processing');
+    const transaction = mockTransaction();
+
+    const applied = await completeRefund(models, refund, { transaction });
+
+    expect(applied).toBe(true);
+    expect(refund.reload).toHaveBeenCalledWith({ lock: 'UPDATE', transaction });
+    expect(refund.status).toBe('completed');
+    expect(orderItem.refunded_quantity).toBe(1);
+    expect(order.refunded_amount).toBe(40);
+    expect(order.payment_status).toBe('partially_refunded');
+    expect(paymentTransaction.refunded_amount).toBe(40);
+    expect(paymentTransaction.platform_fee).toBe(1.5);
+    expect(paymentTransaction.merchant_amount).toBe(58.5);
+  });
+
+  it('never applies a refund that is already completed', async () => {
+    const { refund, order, models } = buildContext('completed');
+
+    const applied = await completeRefund(models, refund, { transaction: mockTransaction() });
+
+    expect(applied).toBe(false);
+    expect(models.OnlineStoreOrder.findByPk).not.toHaveBeenCalled();
+    expect(order.refunded_amount).toBe(0);
+  });
+
+  it('re-reads the refund so a concurrent completion is seen', async () => {
+    const { refund, models } = buildContext('processing');
+    refund.reload.mockImplementation(async () => Object.assign(refund, { status: 'completed' }));
+
+    const applied = await completeRefund(models, refund, { transaction: mockTransaction() });
+
+    expect(applied).toBe(false);
+    expect(models.PaymentTransaction.findByPk).not.toHaveBeenCalled();
+  });
+});
+
+describe('failRefund', () => {
+  it('only fails a refund that is still open', async () => {
+    const refund = mockRecord({ id: 3, status: 'completed' });
+    const models = { OnlineStoreOrderRefund: { update: jest.fn(async () => [0]) } };
+
+    const failed = await failRefund(models, refund, 'Declined');
+
+    expect(failed).toBe(false);
+    expect(models.OnlineStoreOrderRefund.update).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'failed' }),
+      expect.objectContaining({ where: expect.objectContaining({ id: 3 }) })
+    );
+  });
+});
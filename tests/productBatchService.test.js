@@ -0,0 +1,88 @@
+const { consumeBatchesFefo, formatBatchAllocations } = require('../services/productBatchService');
+const { mockRecord, mockTransaction } = require('./helpers/mockModels');
+
+function buildModels(batches) {
+  return {
+    ProductBatch: {
+      findAll: jest.fn(async () => batches),
+      findOne: jest.fn(async () => batches.find(batch => batch.status === 'active' && batch.quantity_remaining > 0) || null)
+    },
+    Product: {
+      update: jest.fn(async () => [1])
+    }
+  };
+}
+
+describe('consumeBatchesFefo', () => {
+  it('takes stock from the earliest-expiring lots first and depletes them', async () => {
+    // findAll returns the lots in FEFO order, as the query sorts them
+    const first = mockRecord({ id: 1, batch_number: 'LOT-A', expiry_date: '2030-01-01', quantity_remaining: 3, status: 'active' });
+    const second = mockRecord({ id: 2, batch_number: 'LOT-B', expiry_date: '2030-06-01', quantity_remaining: 10, status: 'active' });
+    const models = buildModels([first, second]);
+
+    const allocations = await consumeBatchesFefo(models, { productId: 9, storeId: 4, quantity: 5, transaction: mockTransaction() });
+
+    expect(allocations).toEqual([
+      { batch_id: 1, batch_number: 'LOT-A', expiry_date: '2030-01-01', quantity: 3 },
+      { batch_id: 2, batch_number: 'LOT-B', expiry_date: '2030-06-01', quantity: 2 }
+    ]);
+    expect(first.quantity_remaining).toBe(0);
+    expect(first.status).toBe('depleted');
+    expect(second.quantity_remaining).toBe(8);
+    expect(second.status).toBe('active');
+  });
+
+  it('points the product at the next lot to be picked', async () => {
+    const first = mockRecord({ id: 1, batch_number: 'LOT-A', expiry_date: '2030-01-01', quantity_remaining: 2, status: 'active' });
+    const second = mockRecord({ id: 2, batch_number: 'LOT-B', expiry_date: '2030-06-01', quantity_remaining: 4, status: 'active' });
+    const models = buildModels([first, second]);
+
+    await consumeBatchesFefo(models, { productId: 9, quantity: 2 });
+
+    expect(models.Product.update).toHaveBeenCalledWith(
+      { expiry_date: '2030-06-01', batch_number: 'LOT-B' },
+      expect.objectContaining({ where: { id: 9 } })
+    );
+  });
+
+  it('locks the lots it reads inside a transaction', async () => {
+    const models = buildModels([]);
+    const transaction = mockTransaction();
+
+    await consumeBatchesFefo(models, { productId: 9, quantity: 1, transaction });
+
+    expect(models.ProductBatch.findAll).toHaveBeenCalledWith(expect.objectContaining({ lock: 'UPDATE', transaction }));
+  });
+
+  it('treats quantity not covered by lots as untracked stock', async () => {
+    const only = mockRecord({ id: 1, batch_number: 'LOT-A', expiry_date: null, quantity_remaining: 1, status: 'active' });
+    const models = buildModels([only]);
+
+    const allocations = await consumeBatchesFefo(models, { productId: 9, quantity: 4 });
+
+    expect(allocations).toHaveLength(1);
+    expect(allocations[0].quantity).toBe(1);
+  });
+
+  it('does nothing for a zero quantity', async () => {
+    const models = buildModels([]);
+
+    const allocations = await consumeBatchesFefo(models, { productId: 9, quantity: 0 });
+
+    expect(allocations).toEqual([]);
+    expect(models.ProductBatch.findAll).not.toHaveBeenCalled();
+  });
+});
+
+describe('formatBatchAllocations', () => {
+  it('describes the lots used', () => {
+    expect(formatBatchAllocations([
+      { batch_number: 'LOT-A', quantity: 3 },
+      { batch_number: 'LOT-B', quantity: 2 }
+    ])).toBe('Batches: LOT-A x3, LOT-B x2');
+  });
+
+  it('returns null when no lots were used', () => {
+    expect(formatBatchAllocations([])).toBeNull();
+  });
+});
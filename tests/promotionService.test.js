@@ -0,0 +1,196 @@
+const {
+  calculateDiscount,
+  evaluatePromotion,
+  recordOrderRedemption,
+  releaseOrderRedemption
+} = require('../services/promotionService');
+const { mockRecord, mockTransaction } = require('./helpers/mockModels');
+
+function buildPromotion(fields = {}) {
+  return mockRecord({
+    id: 1,
+    code: 'SAVE10',
+    channel: 'all',
+    applies_to: 'all',
+    promotion_type: 'percentage',
+    discount_value: 10,
+    max_discount_amount: null,
+    min_basket_amount: null,
+    usage_limit: null,
+    usage_limit_per_customer: null,
+    usage_count: 0,
+    starts_at: null,
+    ends_at: null,
+    ...fields
+  });
+}
+
+function buildModels(promotion, overrides = {}) {
+  return {
+    Promotion: {
+      findOne: jest.fn(async () => promotion),
+      findByPk: jest.fn(async () => promotion)
+    },
+    PromotionRedemption: {
+      findAll: jest.fn(async () => []),
+      findOne: jest.fn(async () => null),
+      count: jest.fn(async () => 0),
+      create: jest.fn(async values => mockRecord({ id: 50, ...values })),
+      destroy: jest.fn(async () => 1),
+      ...overrides
+    },
+    OnlineStoreOrder: {}
+  };
+}
+
+const basket = [{ product_id: 1, quantity: 2, unit_price: 50 }];
+
+describe('calculateDiscount', () => {
+  it('takes a percentage off the eligible items', () => {
+    const result = calculateDiscount({ promotion_type: 'percentage', discount_value: 10, max_discount_amount: null }, basket);
+    expect(result).toEqual({ eligible_subtotal: 100, discount_amount: 10 });
+  });
+
+  it('never gives a fixed discount larger than the eligible subtotal', () => {
+    const result = calculateDiscount({ promotion_type: 'fixed_amount', discount_value: 500, max_discount_amount: null }, basket);
+    expect(result.discount_amount).toBe(100);
+  });
+
+  it('caps the discount at max_discount_amount', () => {
+    const result = calculateDiscount({ promotion_type: 'percentage', discount_value: 50, max_discount_amount: 20 }, basket);
+    expect(result.discount_amount).toBe(20);
+  });
+
+  it('discounts the cheapest units on buy x get y', () => {
+    const items = [
+      { product_id: 1, quantity: 2, unit_price: 30 },
+      { product_id: 2, quantity: 1, unit_price: 10 }
+    ];
+    const result = calculateDiscount({
+      promotion_type: 'buy_x_get_y',
+      buy_quantity: 2,
+      get_quantity: 1,
+      discount_value: 0,
+      max_discount_amount: null
+    }, items);
+    expect(result.discount_amount).toBe(10);
+  });
+});
+
+describe('evaluatePromotion', () => {
+  it('rejects a code that has reached its usage limit', async () => {
+    const promotion = buildPromotion({ usage_limit: 5, usage_count: 5 });
+    const models = buildModels(promotion);
+
+    const result = await evaluatePromotion(models, { code: 'save10', channel: 'online', items: basket, subtotal: 100 });
+
+    expect(result.valid).toBe(false);
+    expect(result.message).toBe('This promo code has reached its usage limit');
+  });
+
+  it('gives back uses held by expired unpaid orders before checking the limit', async () => {
+    const promotion = buildPromotion({ usage_limit: 5, usage_count: 5 });
+    const models = buildModels(promotion, {
+      findAll: jest.fn(async () => [mockRecord({ id: 7, order_id: 70 })])
+    });
+    const transaction = mockTransaction();
+
+    const result = await evaluatePromotion(models, {
+      code: 'SAVE10',
+      channel: 'online',
+      items: basket,
+      subtotal: 100,
+      transaction
+    });
+
+    expect(models.PromotionRedemption.destroy).toHaveBeenCalledTimes(1);
+    expect(promotion.usage_count).toBe(4);
+    expect(result.valid).toBe(true);
+    expect(result.discount_amount).toBe(10);
+  });
+
+  it('rejects a customer who has used the code the maximum number of times', async () => {
+    const promotion = buildPromotion({ usage_limit_per_customer: 1 });
+    const models = buildModels(promotion, { count: jest.fn(async () => 1) });
+
+    const result = await evaluatePromotion(models, {
+      code: 'SAVE10',
+      channel: 'online',
+      items: basket,
+      subtotal: 100,
+      customerEmail: 'Ada@Example.com'
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.message).toMatch(/maximum number of times/);
+  });
+
+  it('rejects a POS-only code online', async () => {
+    const models = buildModels(buildPromotion({ channel: 'pos' }));
+
+    const result = await evaluatePromotion(models, { code: 'SAVE10', channel: 'online', items: basket, subtotal: 100 });
+
+    expect(result.valid).toBe(false);
+    expect(result.message).toBe('This promo code can only be used in store');
+  });
+
+  it('enforces the minimum basket amount', async () => {
+    const models = buildModels(buildPromotion({ min_basket_amount: 150 }));
+
+    const result = await evaluatePromotion(models, { code: 'SAVE10', channel: 'online', items: basket, subtotal: 100 });
+
+    expect(result.valid).toBe(false);
+    expect(result.message).toMatch(/minimum spend of 150.00/);
+  });
+});
+
+describe('order redemptions', () => {
+  const order = { id: 70, promotion_id: 1, discount_amount: 10, customer_email: 'ADA@example.com', tenant_id: null };
+
+  it('holds a use of the code for a new order', async () => {
+    const promotion = buildPromotion({ usage_count: 2 });
+    const models = buildModels(promotion);
+
+    const redemption = await recordOrderRedemption(models, order, mockTransaction());
+
+    expect(redemption).not.toBeNull();
+    expect(models.PromotionRedemption.create).toHaveBeenCalledWith(
+      expect.objectContaining({ order_id: 70, channel: 'online', customer_email: 'ada@example.com', discount_amount: 10 }),
+      expect.anything()
+    );
+    expect(promotion.usage_count).toBe(3);
+  });
+
+  it('does not count the same order twice', async () => {
+    const promotion = buildPromotion({ usage_count: 3 });
+    const models = buildModels(promotion, { findOne: jest.fn(async () => mockRecord({ id: 50 })) });
+
+    const redemption = await recordOrderRedemption(models, order, mockTransaction());
+
+    expect(redemption).toBeNull();
+    expect(models.PromotionRedemption.create).not.toHaveBeenCalled();
+    expect(promotion.usage_count).toBe(3);
+  });
+
+  it('gives the use back when the order is cancelled', async () => {
+    const promotion = buildPromotion({ usage_count: 3 });
+    const redemption = mockRecord({ id: 50 });
+    const models = buildModels(promotion, { findOne: jest.fn(async () => redemption) });
+
+    const released = await releaseOrderRedemption(models, order, mockTransaction());
+
+    expect(released).toBe(true);
+    expect(redemption.destroy).toHaveBeenCalled();
+    expect(promotion.usage_count).toBe(2);
+  });
+
+  it('does nothing for an order without a held use', async () => {
+    const promotion = buildPromotion({ usage_count: 0 });
+    const models = buildModels(promotion);
+
+    const released = await releaseOrderRedemption(models, order, mockTransaction());
+
+    expect(released).toBe(false);
+    expect(promotion.usage_count).toBe(0);
+  });
+});
@@ -0,0 +1,159 @@
+jest.mock('../config/tenant', () => ({
+  getTenantById: jest.fn(async () => null)
+}));
+jest.mock('../services/commissionService', () => ({
+  accrueSaleCommission: jest.fn(async () => [])
+}));
+
+const { settleTab } = require('../controllers/restaurantController');
+const { accrueSaleCommission } = require('../services/commissionService');
+const { mockRecord, mockTransaction, mockResponse } = require('./helpers/mockModels');
+
+function buildContext(options = {}) {
+  const {
+    tabStatus = 'open',
+    productStock = 5,
+    reservedStock = 0,
+    drawerSession = { id: 11 },
+    body = {}
+  } = options;
+
+  const tab = mockRecord({
+    id: 1,
+    tab_number: 'TAB-1',
+    status: tabStatus,
+    store_id: 4,
+    staff_id: 3,
+    table_id: null,
+    customer_id: null
+  });
+  const product = mockRecord({ id: 9, name: 'Burger patty', stock: productStock });
+  const tabItems = [
+    mockRecord({ id: 1, product_id: 9, name: 'Burger', quantity: 2, unit_price: 10, modifiers_total: 0, total: 20, status: 'served', modifiers: [] }),
+    mockRecord({ id: 2, product_id: null, name: 'Tea', quantity: 1, unit_price: 5, modifiers_total: 0, total: 5, status: 'served', modifiers: [] })
+  ];
+
+  let posTransaction = null;
+  const models = {
+    RestaurantTab: { findByPk: jest.fn(async () => tab) },
+    RestaurantTabItem: { findAll: jest.fn(async () => tabItems) },
+    RestaurantTable: { update: jest.fn(async () => [1]) },
+    Product: { findByPk: jest.fn(async () => product), update: jest.fn(async () => [1]) },
+    ProductStore: { sum: jest.fn(async () => reservedStock) },
+    ProductBatch: { findAll: jest.fn(async () => []), findOne: jest.fn(async () => null) },
+    CashDrawerSession: { findOne: jest.fn(async () => drawerSession) },
+    POSTransaction: {
+      create: jest.fn(async values => {
+        posTransaction = mockRecord({ id: 100, ...values });
+        return posTransaction;
+      }),
+      findByPk: jest.fn(async () => ({ ...posTransaction, POSTransactionItems: [], POSTransactionTenders: [] }))
+    },
+    POSTransactionItem: { create: jest.fn(async values => mockRecord(values)) },
+    POSTransactionTender: { create: jest.fn(async values => mockRecord(values)) },
+    StockMovement: { create: jest.fn(async values => mockRecord(values)) }
+  };
+
+  const transaction = mockTransaction();
+  const req = {
+    params: { id: 1 },
+    body: { payment_method: 'cash', amount_paid: 30, ...body },
+    user: { id: 9, tenantId: 1, staffId: 3, role: 'staff' },
+    db: { models, transaction: jest.fn(async () => transaction) }
+  };
+
+  return { req, res: mockResponse(), models, transaction, tab, product };
+}
+
+describe('settleTab', () => {
+  beforeEach(() => {
+    accrueSaleCommission.mockClear();
+  });
+
+  it('settles the tab into a POS sale in the cashier\'s till and draws down stock', async () => {
+    const { req, res, models, transaction, tab, product } = buildContext();
+
+    await settleTab(req, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(models.POSTransaction.create).toHaveBeenCalledWith(expect.objectContaining({
+      total: 25,
+      amount_paid: 30,
+      change_amount: 5,
+      payment_method: 'cash',
+      cash_drawer_session_id: 11
+    }), expect.anything());
+    expect(models.POSTransactionTender.create).toHaveBeenCalledWith(
+      expect.objectContaining({ tender_type: 'cash', amount: 25, change_amount: 5 }),
+      expect.anything()
+    );
+    expect(product.stock).toBe(3);
+    expect(models.StockMovement.create).toHaveBeenCalledWith(expect.objectContaining({
+      product_id: 9,
+      quantity: -2,
+      notes: 'Restaurant tab TAB-1'
+    }), expect.anything());
+    expect(accrueSaleCommission).toHaveBeenCalledWith(models, expect.objectContaining({ id: 100 }), expect.any(Array), transaction);
+    expect(tab.status).toBe('settled');
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  it('locks the tab before settling it', async () => {
+    const { req, res, models, transaction } = buildContext();
+
+    await settleTab(req, res);
+
+    expect(models.RestaurantTab.findByPk).toHaveBeenCalledWith(1, expect.objectContaining({ lock: 'UPDATE', transaction }));
+  });
+
+  it('refuses a payment that does not cover the bill', async () => {
+    const { req, res, models, transaction } = buildContext({ body: { amount_paid: 10 } });
+
+    await settleTab(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toMatch(/Insufficient payment/);
+    expect(models.POSTransaction.create).not.toHaveBeenCalled();
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  it('refuses a discount larger than the subtotal', async () => {
+    const { req, res, models } = buildContext({ body: { discount_amount: 40 } });
+
+    await settleTab(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toMatch(/discount_amount must be between 0/);
+    expect(models.POSTransaction.create).not.toHaveBeenCalled();
+  });
+
+  it('does not sell stock reserved for layaways', async () => {
+    const { req, res, models } = buildContext({ productStock: 5, reservedStock: 4 });
+
+    await settleTab(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Insufficient stock for Burger patty. Available: 1, Requested: 2');
+    expect(models.POSTransaction.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses cash without an open till session', async () => {
+    const { req, res, models } = buildContext({ drawerSession: null });
+
+    await settleTab(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Open a till session for this store before taking cash');
+    expect(models.POSTransaction.create).not.toHaveBeenCalled();
+  });
+
+  it('does not settle a tab twice', async () => {
+    const { req, res, models } = buildContext({ tabStatus: 'settled' });
+
+    await settleTab(req, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Tab is already settled');
+    expect(models.POSTransaction.create).not.toHaveBeenCalled();
+  });
+});
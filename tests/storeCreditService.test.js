@@ -0,0 +1,87 @@
+const { validateStoreCredit, issueStoreCredit, redeemStoreCredit } = require('../services/storeCreditService');
+const { mockRecord, mockTransaction } = require('./helpers/mockModels');
+
+function buildModels(account) {
+  return {
+    StoreCreditAccount: {
+      findOne: jest.fn(async () => account),
+      create: jest.fn(async values => mockRecord({ id: 2, ...values }))
+    },
+    StoreCreditTransaction: {
+      create: jest.fn(async values => mockRecord({ id: 9, ...values }))
+    }
+  };
+}
+
+describe('validateStoreCredit', () => {
+  it('accepts a spend within the balance', async () => {
+    const account = mockRecord({ id: 1, balance: 40 });
+
+    const result = await validateStoreCredit(buildModels(account), { customerId: 5, amount: 40 });
+
+    expect(result).toEqual({ valid: true, account });
+  });
+
+  it('refuses a spend above the balance', async () => {
+    const result = await validateStoreCredit(buildModels(mockRecord({ id: 1, balance: 40 })), { customerId: 5, amount: 40.01 });
+
+    expect(result.valid).toBe(false);
+    expect(result.message).toBe('Insufficient store credit. Balance: 40.00');
+  });
+
+  it('refuses a customer without credit', async () => {
+    const result = await validateStoreCredit(buildModels(null), { customerId: 5, amount: 10 });
+
+    expect(result.message).toBe('Customer has no store credit');
+  });
+});
+
+describe('issueStoreCredit', () => {
+  it('opens a wallet for a first-time customer and records the credit in the ledger', async () => {
+    const models = buildModels(null);
+
+    const result = await issueStoreCredit(models, {
+      customerId: 5,
+      amount: 25,
+      referenceType: 'pos_return',
+      referenceId: 3
+    }, mockTransaction());
+
+    expect(result.valid).toBe(true);
+    expect(models.StoreCreditAccount.create).toHaveBeenCalled();
+    expect(result.account.balance).toBe(25);
+    expect(result.account.total_issued).toBe(25);
+    expect(models.StoreCreditTransaction.create).toHaveBeenCalledWith(expect.objectContaining({
+      transaction_type: 'issued',
+      amount: 25,
+      balance_after: 25
+    }), expect.anything());
+  });
+});
+
+describe('redeemStoreCredit', () => {
+  it('takes the spend off the locked balance', async () => {
+    const account = mockRecord({ id: 1, balance: 40, total_issued: 40, total_redeemed: 0 });
+    const models = buildModels(account);
+    const transaction = mockTransaction();
+
+    const result = await redeemStoreCredit(models, { customerId: 5, amount: 15 }, transaction);
+
+    expect(models.StoreCreditAccount.findOne).toHaveBeenCalledWith(expect.objectContaining({ lock: true, transaction }));
+    expect(result.valid).toBe(true);
+    expect(account.balance).toBe(25);
+    expect(account.total_redeemed).toBe(15);
+    expect(result.entry.amount).toBe(-15);
+  });
+
+  it('never takes the balance below zero', async () => {
+    const account = mockRecord({ id: 1, balance: 10, total_issued: 10, total_redeemed: 0 });
+    const models = buildModels(account);
+
+    const result = await redeemStoreCredit(models, { customerId: 5, amount: 15 });
+
+    expect(result.valid).toBe(false);
+    expect(account.balance).toBe(10);
+    expect(models.StoreCreditTransaction.create).not.toHaveBeenCalled();
+  });
+});
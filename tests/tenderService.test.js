@@ -0,0 +1,76 @@
+const { settleTenders, valueTenders, getSaleTenders } = require('../services/tenderService');
+
+describe('settleTenders', () => {
+  it('gives change only out of cash', () => {
+    const result = settleTenders([
+      { tender_type: 'card', amount: 60 },
+      { tender_type: 'cash', amount: 50 }
+    ], 100);
+
+    expect(result.valid).toBe(true);
+    expect(result.amount_paid).toBe(110);
+    expect(result.change_amount).toBe(10);
+    expect(result.payment_method).toBe('split');
+    expect(result.lines[1]).toEqual(expect.objectContaining({ tender_type: 'cash', amount_tendered: 50, amount: 40, change_amount: 10 }));
+  });
+
+  it('refuses non-cash tenders above the amount due', () => {
+    const result = settleTenders([{ tender_type: 'card', amount: 120 }], 100);
+
+    expect(result.valid).toBe(false);
+    expect(result.message).toMatch(/Change is only given on cash/);
+  });
+
+  it('refuses a payment short of the amount due', () => {
+    const result = settleTenders([
+      { tender_type: 'card', amount: 40 },
+      { tender_type: 'cash', amount: 50 }
+    ], 100);
+
+    expect(result.valid).toBe(false);
+    expect(result.message).toBe('Insufficient payment. Amount due: 100.00, tendered: 90.00');
+  });
+
+  it('refuses unknown tender types', () => {
+    expect(settleTenders([{ tender_type: 'cheque', amount: 10 }], 10).valid).toBe(false);
+  });
+});
+
+describe('valueTenders', () => {
+  it('checks store credit tenders together against the wallet', async () => {
+    const models = {
+      StoreCreditAccount: { findOne: jest.fn(async () => ({ id: 1, balance: 50 })) }
+    };
+
+    const result = await valueTenders(models, [
+      { tender_type: 'store_credit', amount: 30 },
+      { tender_type: 'store_credit', amount: 30 }
+    ], 5);
+
+    expect(result.valid).toBe(false);
+    expect(result.message).toBe('Insufficient store credit. Balance: 50.00');
+  });
+
+  it('only takes exchange credit from a return', async () => {
+    const result = await valueTenders({}, [{ tender_type: 'exchange', amount: 10 }], null);
+
+    expect(result.valid).toBe(false);
+    expect(result.status).toBe(400);
+  });
+});
+
+describe('getSaleTenders', () => {
+  it('falls back to payment_method for single-method sales', () => {
+    expect(getSaleTenders({ payment_method: 'card', total: 25 })).toEqual({ card: 25 });
+  });
+
+  it('adds up tender lines per type', () => {
+    expect(getSaleTenders({
+      POSTransactionTenders: [
+        { tender_type: 'cash', amount: 10 },
+        { tender_type: 'cash', amount: 5.5 },
+        { tender_type: 'card', amount: 20 }
+      ]
+    })).toEqual({ cash: 15.5, card: 20 });
+  });
+});